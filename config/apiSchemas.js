@@ -0,0 +1,192 @@
+// Shared pieces of the route schemas in routes/*.js: parameter shapes, response envelopes
+// and the component schemas listed under components.schemas in the OpenAPI document
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// 64-bit columns (scores, ids, epoch milliseconds) and COUNT/AVG results arrive from pg as strings
+const bigint = (description) => ({
+  type: 'string',
+  nullable: true,
+  pattern: '^-?\\d+(\\.\\d+)?$',
+  description: description ? `${description}, as a decimal string` : 'Decimal string'
+});
+
+const username = { type: 'string', minLength: 2, maxLength: 15, description: 'osu! username' };
+const beatmapId = { type: 'integer', minimum: 1, description: 'osu! beatmap id' };
+const id = { type: 'integer', minimum: 1 };
+
+// Mods as given on the pp endpoints: HDDT, HD,DT or HD+DT
+const mods = { type: 'string', maxLength: 40, pattern: '^[a-zA-Z0-9,+ ]*$' };
+
+// `{ success: true, data, meta }` with the given data and meta schemas
+const envelope = (data = {}, meta) => ({
+  type: 'object',
+  required: ['success', 'data'],
+  properties: {
+    success: { type: 'boolean', enum: [true] },
+    data,
+    ...(meta && { meta })
+  }
+});
+
+const list = (item = { type: 'object' }, meta) => envelope({ type: 'array', items: item }, meta);
+
+// A page of a list served through middleware/pagination
+const page = (item) => list(item, ref('PageMeta'));
+
+const components = {
+  schemas: {
+    Error: {
+      type: 'object',
+      required: ['success'],
+      properties: {
+        success: { type: 'boolean', enum: [false] },
+        error: { type: 'string' },
+        errors: { type: 'array', items: { type: 'string' }, description: 'One message per invalid parameter' }
+      }
+    },
+    PageMeta: {
+      type: 'object',
+      required: ['limit', 'hasMore', 'nextCursor', 'prevCursor'],
+      description: 'Pagination state; the same links are sent in the Link header and the total in X-Total-Count',
+      properties: {
+        limit: { type: 'integer' },
+        total: { type: 'integer', description: 'Rows in the whole list, when counted' },
+        hasMore: { type: 'boolean' },
+        nextCursor: { type: 'string', nullable: true, description: 'Pass as ?cursor= for the next page' },
+        prevCursor: { type: 'string', nullable: true, description: 'Pass as ?cursor= for the previous page' }
+      }
+    },
+    Score: {
+      type: 'object',
+      description: "A player's best score on a beatmap as shown on the country leaderboard",
+      properties: {
+        beatmap_id: bigint('Beatmap id'),
+        beatmap_title: { type: 'string', nullable: true },
+        artist: { type: 'string', nullable: true },
+        difficulty_name: { type: 'string', nullable: true },
+        difficulty_rating: { type: 'number', nullable: true },
+        player_id: bigint('osu! user id'),
+        username: { type: 'string' },
+        rank: { type: 'integer', nullable: true, description: 'Position on the country leaderboard of the beatmap' },
+        score: bigint('Score'),
+        accuracy: { type: 'number', nullable: true, description: 'Between 0 and 1' },
+        accuracy_text: { type: 'string', nullable: true },
+        mods: { type: 'string', nullable: true },
+        pp: { type: 'number', nullable: true },
+        max_combo: { type: 'integer', nullable: true },
+        count_300: { type: 'integer', nullable: true },
+        count_100: { type: 'integer', nullable: true },
+        count_50: { type: 'integer', nullable: true },
+        count_miss: { type: 'integer', nullable: true },
+        play_date: bigint('Epoch milliseconds'),
+        last_updated: bigint('Epoch milliseconds'),
+        country: { type: 'string' },
+        mode: { type: 'string' }
+      }
+    },
+    RankedPlayer: {
+      type: 'object',
+      description: "A player's statistics in one mode",
+      properties: {
+        username: { type: 'string' },
+        user_id: bigint('osu! user id'),
+        total_scores: { type: 'integer', nullable: true },
+        avg_rank: { type: 'number', nullable: true },
+        best_score: bigint('Best score'),
+        total_pp: { type: 'number', nullable: true },
+        weighted_pp: { type: 'number', nullable: true },
+        first_places: { type: 'integer', nullable: true },
+        top_10_places: { type: 'integer', nullable: true },
+        accuracy_avg: { type: 'number', nullable: true },
+        playcount: { type: 'integer', nullable: true },
+        total_playtime: { type: 'integer', nullable: true },
+        global_rank: { type: 'integer', nullable: true },
+        country_rank: { type: 'integer', nullable: true },
+        avatar_url: { type: 'string', nullable: true },
+        rank: bigint('Position in this list')
+      }
+    },
+    SkillRating: {
+      type: 'object',
+      required: ['username', 'skill_rank', 'rating', 'uncertainty', 'percentile'],
+      properties: {
+        username: { type: 'string' },
+        skill_rank: { type: 'integer' },
+        rating: { type: 'integer' },
+        uncertainty: { type: 'integer', description: 'Rating deviation, grown for the time since the last new score' },
+        rating_interval: { type: 'array', items: { type: 'integer' }, description: '95% interval of the rating' },
+        percentile: { type: 'number', description: 'Share of the country below the player, 0-100' },
+        skill_value: { type: 'number' },
+        confidence: { type: 'number' },
+        observations: { type: 'integer', nullable: true },
+        weighted_pp: { type: 'number', nullable: true },
+        country_rank: { type: 'integer', nullable: true },
+        avatar_url: { type: 'string', nullable: true }
+      }
+    },
+    H2HRating: {
+      type: 'object',
+      required: ['username', 'h2h_rank', 'rating', 'deviation'],
+      properties: {
+        h2h_rank: { type: 'integer' },
+        username: { type: 'string' },
+        rating: { type: 'integer', description: 'Glicko-2 rating on the 1500 scale' },
+        deviation: { type: 'integer', description: 'Rating deviation, grown for the time since the last match' },
+        volatility: { type: 'number' },
+        matches: { type: 'integer' },
+        wins: { type: 'integer' },
+        losses: { type: 'integer' },
+        draws: { type: 'integer' },
+        avatar_url: { type: 'string', nullable: true },
+        country_rank: { type: 'integer', nullable: true },
+        weighted_pp: { type: 'number', nullable: true }
+      }
+    },
+    Comment: {
+      type: 'object',
+      required: ['id', 'target_username', 'commenter_username', 'comment_text'],
+      properties: {
+        id: { type: 'integer' },
+        target_username: { type: 'string', description: 'Player whose profile the comment is on' },
+        commenter_username: { type: 'string' },
+        comment_text: { type: 'string' },
+        created_at: bigint('Epoch milliseconds'),
+        updated_at: bigint('Epoch milliseconds'),
+        commenter_avatar_url: { type: 'string', nullable: true }
+      }
+    },
+    Webhook: {
+      type: 'object',
+      required: ['id', 'url', 'events'],
+      properties: {
+        id: { type: 'integer' },
+        url: { type: 'string' },
+        events: { type: 'array', items: { type: 'string' }, description: 'Subscribed events; empty means all' },
+        description: { type: 'string', nullable: true },
+        is_active: { type: 'boolean' },
+        secret: { type: 'string', description: 'Signing secret, only returned on creation and rotation' },
+        created_at: bigint('Epoch milliseconds'),
+        updated_at: bigint('Epoch milliseconds')
+      }
+    }
+  },
+  securitySchemes: {
+    bearerAuth: {
+      type: 'http',
+      scheme: 'bearer',
+      bearerFormat: 'JWT',
+      description: 'Access token from /api/auth/osu/callback or /api/auth/refresh'
+    }
+  }
+};
+
+module.exports = {
+  components,
+  ref,
+  bigint,
+  envelope,
+  list,
+  page,
+  fields: { username, beatmapId, id, mods }
+};
@@ -0,0 +1,39 @@
+const { config } = require('./env');
+
+// Countries tracked by this deployment
+const TRACKED_COUNTRIES = config.TRACKED_COUNTRIES.length > 0 ? config.TRACKED_COUNTRIES : ['DZ'];
+const DEFAULT_COUNTRY = TRACKED_COUNTRIES[0];
+
+// Display names and user search terms for known countries
+const countryInfo = {
+  DZ: { name: 'Algeria', flag: '🇩🇿', searchTerms: ['algeria', 'dz', 'algerie'] },
+  MA: { name: 'Morocco', flag: '🇲🇦', searchTerms: ['morocco', 'maroc', 'ma'] },
+  TN: { name: 'Tunisia', flag: '🇹🇳', searchTerms: ['tunisia', 'tunisie', 'tn'] },
+  LY: { name: 'Libya', flag: '🇱🇾', searchTerms: ['libya', 'libye', 'ly'] },
+  EG: { name: 'Egypt', flag: '🇪🇬', searchTerms: ['egypt', 'egypte', 'eg'] }
+};
+
+function normalizeCountry(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : null;
+}
+
+function isTrackedCountry(code) {
+  return TRACKED_COUNTRIES.includes(normalizeCountry(code));
+}
+
+function getCountryInfo(code) {
+  const normalized = normalizeCountry(code);
+  return countryInfo[normalized] || {
+    name: normalized,
+    flag: '',
+    searchTerms: [normalized.toLowerCase()]
+  };
+}
+
+module.exports = {
+  TRACKED_COUNTRIES,
+  DEFAULT_COUNTRY,
+  normalizeCountry,
+  isTrackedCountry,
+  getCountryInfo
+};
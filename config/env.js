@@ -43,23 +43,70 @@ const config = {
   // osu! API configuration
   OSU_CLIENT_ID: process.env.OSU_CLIENT_ID,
   OSU_CLIENT_SECRET: process.env.OSU_CLIENT_SECRET,
+  // Must match the callback URL registered for the osu! OAuth application
+  OSU_REDIRECT_URI: process.env.OSU_REDIRECT_URI || `http://localhost:${process.env.PORT || 3000}/api/auth/osu/callback`,
   
   // Security configuration
   JWT_SECRET: process.env.JWT_SECRET,
   API_KEY: process.env.API_KEY,
+  ACCESS_TOKEN_TTL: process.env.ACCESS_TOKEN_TTL || '15m',
+  REFRESH_TOKEN_TTL_DAYS: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+  
+  // osu! user ids granted elevated roles when they sign in
+  ADMIN_OSU_IDS: (process.env.ADMIN_OSU_IDS || '')
+    .split(',')
+    .map(id => parseInt(id))
+    .filter(id => !isNaN(id)),
+  SUPER_ADMIN_OSU_IDS: (process.env.SUPER_ADMIN_OSU_IDS || '')
+    .split(',')
+    .map(id => parseInt(id))
+    .filter(id => !isNaN(id)),
+  
+  // Tracked countries (ISO 3166-1 alpha-2, first entry is the default)
+  TRACKED_COUNTRIES: (process.env.TRACKED_COUNTRIES || 'DZ')
+    .split(',')
+    .map(code => code.trim().toUpperCase())
+    .filter(Boolean),
+  
+  // Tracked game modes (osu, taiko, fruits, mania)
+  TRACKED_MODES: (process.env.TRACKED_MODES || 'osu,taiko,fruits,mania')
+    .split(',')
+    .map(mode => mode.trim().toLowerCase())
+    .filter(Boolean),
   
   // External services
   DISCORD_WEBHOOK_URL: process.env.DISCORD_WEBHOOK_URL,
-  
-  // Job scheduling (with defaults)
-  DISCOVERY_INTERVAL_MS: parseInt(process.env.DISCOVERY_INTERVAL_MS) || 4 * 60 * 60 * 1000, // 4 hours
-  RANKINGS_INTERVAL_MS: parseInt(process.env.RANKINGS_INTERVAL_MS) || 30 * 60 * 1000, // 30 minutes
-  LEADERBOARD_INTERVAL_MS: parseInt(process.env.LEADERBOARD_INTERVAL_MS) || 2 * 60 * 60 * 1000, // 2 hours
-  DAILY_JOB_HOUR_UTC: parseInt(process.env.DAILY_JOB_HOUR_UTC) || 0, // Midnight UTC
+  DISCORD_MAX_ATTEMPTS: parseInt(process.env.DISCORD_MAX_ATTEMPTS) || 5,
+  DISCORD_RETRY_BASE_MS: parseInt(process.env.DISCORD_RETRY_BASE_MS) || 30 * 1000, // doubles per attempt
+  WEBHOOK_MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+  WEBHOOK_RETRY_BASE_MS: parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 60 * 1000, // doubles per attempt
+  WEBHOOK_TIMEOUT_MS: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000,
+  
+  // Job schedules: cron expressions in UTC, overridden by JOB_CRON_<NAME>; "off" disables a job
+  JOB_SCHEDULES: {
+    fetchAlgerianPlayers: process.env.JOB_CRON_FETCH_ALGERIAN_PLAYERS || '0 */12 * * *',
+    fetchStandardScores: process.env.JOB_CRON_FETCH_STANDARD_SCORES || '0 * * * *',
+    fetchGeneralStats: process.env.JOB_CRON_FETCH_GENERAL_STATS || '0 */6 * * *',
+    fetchLeaderboards: process.env.JOB_CRON_FETCH_LEADERBOARDS || '0 */2 * * *',
+    fetchDailyStats: process.env.JOB_CRON_FETCH_DAILY_STATS || '55 23 * * *',
+    updatePlayerSkills: process.env.JOB_CRON_UPDATE_PLAYER_SKILLS || '30 * * * *',
+    updateAchievements: process.env.JOB_CRON_UPDATE_ACHIEVEMENTS || '45 */6 * * *',
+    updateH2HRatings: process.env.JOB_CRON_UPDATE_H2H_RATINGS || '15 */2 * * *',
+    snapshotRankings: process.env.JOB_CRON_SNAPSHOT_RANKINGS || '30 0 * * *',
+    cleanup: process.env.JOB_CRON_CLEANUP || '0 3 * * *',
+    processDiscordOutbox: process.env.JOB_CRON_PROCESS_DISCORD_OUTBOX || '* * * * *',
+    processWebhookDeliveries: process.env.JOB_CRON_PROCESS_WEBHOOK_DELIVERIES || '* * * * *'
+  },
+  // Lifetime of a job's Redis lock; renewed while the job runs, so it only matters after a crash
+  JOB_LOCK_TTL_MS: parseInt(process.env.JOB_LOCK_TTL_MS) || 5 * 60 * 1000,
   
   // Feature flags
   ENABLE_PLAYER_DISCOVERY: process.env.ENABLE_PLAYER_DISCOVERY !== 'false',
   ENABLE_DISCORD_NOTIFICATIONS: process.env.ENABLE_DISCORD_NOTIFICATIONS === 'true',
+  DISCORD_NOTIFY_NEW_FIRST: process.env.DISCORD_NOTIFY_NEW_FIRST !== 'false',
+  DISCORD_NOTIFY_NEW_PLAYER: process.env.DISCORD_NOTIFY_NEW_PLAYER !== 'false',
+  DISCORD_NOTIFY_ACHIEVEMENT: process.env.DISCORD_NOTIFY_ACHIEVEMENT !== 'false',
+  DISCORD_NOTIFY_RANK_MILESTONE: process.env.DISCORD_NOTIFY_RANK_MILESTONE !== 'false',
   ENABLE_WEBSOCKETS: process.env.ENABLE_WEBSOCKETS !== 'false',
   
   // Rate limiting
@@ -67,10 +114,22 @@ const config = {
   API_RATE_LIMIT_MAX: parseInt(process.env.API_RATE_LIMIT_MAX) || 100,
   ADMIN_RATE_LIMIT_MAX: parseInt(process.env.ADMIN_RATE_LIMIT_MAX) || 20,
   
+  // osu! API client; point the base URL at a mock server to run without the real API
+  OSU_API_BASE_URL: (process.env.OSU_API_BASE_URL || 'https://osu.ppy.sh').replace(/\/+$/, ''),
+  OSU_API_TIMEOUT_MS: parseInt(process.env.OSU_API_TIMEOUT_MS) || 15000,
+  OSU_API_MAX_RETRIES: parseInt(process.env.OSU_API_MAX_RETRIES) || 3, // 429, 5xx and network errors
+  OSU_API_RETRY_BASE_MS: parseInt(process.env.OSU_API_RETRY_BASE_MS) || 1000, // doubles per attempt unless Retry-After says otherwise
+
   // osu! API limits
   OSU_API_MAX_CONCURRENT: parseInt(process.env.OSU_API_MAX_CONCURRENT) || 3,
   OSU_API_MIN_TIME: parseInt(process.env.OSU_API_MIN_TIME) || 600,
   
+  // Per-beatmap leaderboard fetch queue (workers follow OSU_API_MAX_CONCURRENT)
+  BEATMAP_QUEUE_BATCH: parseInt(process.env.BEATMAP_QUEUE_BATCH) || 150, // beatmaps per mode per leaderboard run
+  BEATMAP_QUEUE_MAX_ATTEMPTS: parseInt(process.env.BEATMAP_QUEUE_MAX_ATTEMPTS) || 5, // then dead-lettered
+  BEATMAP_QUEUE_RETRY_BASE_MS: parseInt(process.env.BEATMAP_QUEUE_RETRY_BASE_MS) || 60 * 1000, // doubles per attempt
+  BEATMAP_QUEUE_LEASE_MS: parseInt(process.env.BEATMAP_QUEUE_LEASE_MS) || 5 * 60 * 1000, // requeued if a worker dies
+  
   // Cache settings
   DEFAULT_CACHE_TTL: parseInt(process.env.DEFAULT_CACHE_TTL) || 300, // 5 minutes
   PLAYER_CACHE_TTL: parseInt(process.env.PLAYER_CACHE_TTL) || 300,
@@ -78,9 +137,29 @@ const config = {
   SEARCH_CACHE_TTL: parseInt(process.env.SEARCH_CACHE_TTL) || 600,
   ANALYTICS_CACHE_TTL: parseInt(process.env.ANALYTICS_CACHE_TTL) || 900,
   
+  // Profile comments
+  COMMENT_MAX_LENGTH: parseInt(process.env.COMMENT_MAX_LENGTH) || 500,
+  COMMENT_RATE_LIMIT_PER_MINUTE: parseInt(process.env.COMMENT_RATE_LIMIT_PER_MINUTE) || 3,
+  COMMENT_RATE_LIMIT_PER_HOUR: parseInt(process.env.COMMENT_RATE_LIMIT_PER_HOUR) || 20,
+  // Extra words to reject, comma separated, on top of the built-in list
+  COMMENT_BLOCKED_WORDS: (process.env.COMMENT_BLOCKED_WORDS || '')
+    .split(',')
+    .map(word => word.trim().toLowerCase())
+    .filter(Boolean),
+  
   // Cleanup settings
   SKILL_CLEANUP_CUTOFF_DAYS: parseInt(process.env.SKILL_CLEANUP_CUTOFF_DAYS) || 90,
-  
+  // 0 keeps admin audit entries forever
+  AUDIT_LOG_RETENTION_DAYS: process.env.AUDIT_LOG_RETENTION_DAYS !== undefined
+    ? parseInt(process.env.AUDIT_LOG_RETENTION_DAYS) || 0
+    : 365,
+  JOB_RUN_RETENTION_DAYS: parseInt(process.env.JOB_RUN_RETENTION_DAYS) || 30,
+  
+  // Warn when a response drifts from its route schema (off in production unless asked for)
+  API_RESPONSE_CHECKS: process.env.API_RESPONSE_CHECKS !== undefined
+    ? process.env.API_RESPONSE_CHECKS === 'true'
+    : (process.env.NODE_ENV || 'development') !== 'production',
+
   // Logging
   LOG_LEVEL: process.env.LOG_LEVEL || 'INFO'
 };
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const { pool, query, getRows } = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Arbitrary key so concurrent runners (two deploys, CLI + server) never interleave
+const MIGRATION_LOCK_KEY = 461827;
+
+// Load migration modules from disk, ordered by version
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  const migrations = fs.readdirSync(dir)
+    .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const mod = require(path.join(dir, file));
+      if (typeof mod.up !== 'function' || typeof mod.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      return { version: parseInt(match[1], 10), name: match[2], file, up: mod.up, down: mod.down };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, i) => {
+    if (i > 0 && migrations[i - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}: ${migrations[i - 1].file}, ${migration.file}`);
+    }
+  });
+
+  return migrations;
+}
+
+async function ensureMigrationsTable() {
+  await query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000
+    )
+  `);
+}
+
+async function getMigrationStatus() {
+  await ensureMigrationsTable();
+
+  const migrations = loadMigrations();
+  const applied = await getRows('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  const appliedVersions = new Set(applied.map(row => row.version));
+  const knownVersions = new Set(migrations.map(m => m.version));
+
+  return {
+    applied,
+    pending: migrations.filter(m => !appliedVersions.has(m.version)),
+    // Applied in the database but missing from this checkout (e.g. running an older build)
+    unknown: applied.filter(row => !knownVersions.has(row.version))
+  };
+}
+
+// Run fn with a dedicated client holding the migration lock
+async function withMigrationLock(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+async function runMigration(client, migration, direction) {
+  await client.query('BEGIN');
+  try {
+    await migration[direction](client);
+    if (direction === 'up') {
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw new Error(`Migration ${migration.file} (${direction}) failed: ${err.message}`);
+  }
+}
+
+// Apply all pending migrations, each in its own transaction
+async function migrateUp() {
+  await ensureMigrationsTable();
+
+  return withMigrationLock(async (client) => {
+    const { pending } = await getMigrationStatus();
+    for (const migration of pending) {
+      console.log(`⬆️ Applying migration ${migration.file}`);
+      await runMigration(client, migration, 'up');
+    }
+    return pending;
+  });
+}
+
+// Revert the most recently applied migrations
+async function migrateDown(steps = 1) {
+  await ensureMigrationsTable();
+
+  return withMigrationLock(async (client) => {
+    const { applied, unknown } = await getMigrationStatus();
+    if (unknown.length > 0) {
+      throw new Error(`Cannot roll back: migration files missing for version(s) ${unknown.map(row => row.version).join(', ')}`);
+    }
+
+    const migrations = loadMigrations();
+    const toRevert = applied.slice(-steps).reverse()
+      .map(row => migrations.find(m => m.version === row.version));
+
+    for (const migration of toRevert) {
+      console.log(`⬇️ Reverting migration ${migration.file}`);
+      await runMigration(client, migration, 'down');
+    }
+    return toRevert;
+  });
+}
+
+// Throws unless the database matches the migrations in this checkout
+async function assertSchemaUpToDate() {
+  const { pending, unknown } = await getMigrationStatus();
+
+  if (pending.length > 0) {
+    throw new Error(`Database schema is out of date, ${pending.length} pending migration(s): ${pending.map(m => m.file).join(', ')}. Run "npm run migrate up".`);
+  }
+  if (unknown.length > 0) {
+    throw new Error(`Database schema is newer than this build, unknown migration version(s): ${unknown.map(row => row.version).join(', ')}`);
+  }
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  assertSchemaUpToDate
+};
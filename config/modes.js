@@ -0,0 +1,60 @@
+const { config } = require('./env');
+
+// Game modes as named by the osu! API v2
+const GAME_MODES = ['osu', 'taiko', 'fruits', 'mania'];
+
+const modeInfo = {
+  osu: { id: 0, name: 'osu!' },
+  taiko: { id: 1, name: 'osu!taiko' },
+  fruits: { id: 2, name: 'osu!catch' },
+  mania: { id: 3, name: 'osu!mania' }
+};
+
+// Common names and ruleset ids people use for each mode
+const modeAliases = {
+  std: 'osu', standard: 'osu', '0': 'osu',
+  '1': 'taiko',
+  catch: 'fruits', ctb: 'fruits', '2': 'fruits',
+  '3': 'mania'
+};
+
+// Skills that are meaningful for each mode
+const MODE_SKILLS = {
+  osu: ['aim', 'speed', 'accuracy', 'reading', 'consistency'],
+  taiko: ['speed', 'accuracy', 'reading', 'consistency'],
+  fruits: ['aim', 'speed', 'accuracy', 'consistency'],
+  mania: ['speed', 'accuracy', 'consistency']
+};
+
+function normalizeMode(mode) {
+  if (mode === undefined || mode === null) return null;
+  const value = String(mode).trim().toLowerCase();
+  return modeAliases[value] || value;
+}
+
+const configuredModes = config.TRACKED_MODES.map(normalizeMode).filter(mode => GAME_MODES.includes(mode));
+const TRACKED_MODES = configuredModes.length > 0 ? [...new Set(configuredModes)] : ['osu'];
+const DEFAULT_MODE = TRACKED_MODES.includes('osu') ? 'osu' : TRACKED_MODES[0];
+
+function isTrackedMode(mode) {
+  return TRACKED_MODES.includes(normalizeMode(mode));
+}
+
+function getModeInfo(mode) {
+  return modeInfo[normalizeMode(mode)] || modeInfo.osu;
+}
+
+function getModeSkills(mode) {
+  return MODE_SKILLS[normalizeMode(mode)] || MODE_SKILLS.osu;
+}
+
+module.exports = {
+  GAME_MODES,
+  TRACKED_MODES,
+  DEFAULT_MODE,
+  MODE_SKILLS,
+  normalizeMode,
+  isTrackedMode,
+  getModeInfo,
+  getModeSkills
+};
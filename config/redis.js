@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const redis = require('redis');
 const { config } = require('./env');
 
@@ -134,6 +135,40 @@ async function getCacheStats() {
   }
 }
 
+// Distributed locks: a key holding a random token, so only the holder can renew or release it.
+// acquireLock returns the token, or null when the lock is held elsewhere or Redis is unreachable.
+const RENEW_LOCK_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) else return 0 end";
+const RELEASE_LOCK_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+
+async function acquireLock(name, ttlMs) {
+  const token = crypto.randomBytes(16).toString('hex');
+  try {
+    const result = await redisClient.set(`lock:${name}`, token, { NX: true, PX: ttlMs });
+    return result === 'OK' ? token : null;
+  } catch (err) {
+    console.warn(`Failed to acquire lock ${name}:`, err.message);
+    return null;
+  }
+}
+
+async function renewLock(name, token, ttlMs) {
+  try {
+    const renewed = await redisClient.eval(RENEW_LOCK_SCRIPT, { keys: [`lock:${name}`], arguments: [token, String(ttlMs)] });
+    return renewed === 1;
+  } catch (err) {
+    console.warn(`Failed to renew lock ${name}:`, err.message);
+    return false;
+  }
+}
+
+async function releaseLock(name, token) {
+  try {
+    await redisClient.eval(RELEASE_LOCK_SCRIPT, { keys: [`lock:${name}`], arguments: [token] });
+  } catch (err) {
+    console.warn(`Failed to release lock ${name}:`, err.message);
+  }
+}
+
 // Test Redis connection
 async function testRedisConnection() {
   try {
@@ -157,5 +192,8 @@ module.exports = {
   invalidateCache,
   clearAllCache,
   getCacheStats,
+  acquireLock,
+  renewLock,
+  releaseLock,
   testRedisConnection
 };
\ No newline at end of file
@@ -56,14 +56,18 @@ const authenticateToken = (req, res, next) => {
   });
 };
 
-// Admin authentication middleware
-const requireAdmin = (req, res, next) => {
-  if (!req.user || req.user.role !== 'admin') {
-    return res.status(403).json({ success: false, error: 'Admin access required' });
+authenticateToken.apiSchema = { auth: 'user' };
+
+// Signed-in accounts must be linked to a player for social features
+const requirePlayer = (req, res, next) => {
+  if (!req.user?.username) {
+    return res.status(403).json({ success: false, error: 'This account is not linked to a player' });
   }
   next();
 };
 
+requirePlayer.apiSchema = { auth: 'player' };
+
 // Input validation helper
 const validateInput = (rules) => {
   return (req, res, next) => {
@@ -261,7 +265,7 @@ module.exports = {
   apiRateLimit,
   adminRateLimit,
   authenticateToken,
-  requireAdmin,
+  requirePlayer,
   validateInput,
   sanitizeInput,
   sanitizeInputMiddleware,
@@ -1,4 +1,7 @@
 const { query } = require('../config/db');
+const { config } = require('../config/env');
+const { auditService } = require('../services/audit');
+const { jobRunService } = require('../services/jobRuns');
 
 async function cleanupJob() {
   console.log('🧹 Running database cleanup...');
@@ -25,18 +28,29 @@ async function cleanupJob() {
       WHERE discovery_timestamp < $1
     `, [Date.now() - (180 * 24 * 60 * 60 * 1000)]);
     
-    const totalCleaned = skillResult.rowCount + activityResult.rowCount + discoveryResult.rowCount;
+    // Admin audit entries follow AUDIT_LOG_RETENTION_DAYS
+    const auditCleaned = await auditService.prune(config.AUDIT_LOG_RETENTION_DAYS);
+    
+    // Finished job runs follow JOB_RUN_RETENTION_DAYS
+    const jobRunsCleaned = await jobRunService.prune(config.JOB_RUN_RETENTION_DAYS);
+    
+    const cleaned = {
+      skillTracking: skillResult.rowCount,
+      playerActivity: activityResult.rowCount,
+      discoveryLogs: discoveryResult.rowCount,
+      adminAuditLog: auditCleaned,
+      jobRuns: jobRunsCleaned
+    };
+    const totalCleaned = Object.values(cleaned).reduce((sum, count) => sum + count, 0);
     
     if (totalCleaned > 0) {
-      console.log(`✅ Cleaned up ${totalCleaned} old records:`, {
-        skillTracking: skillResult.rowCount,
-        playerActivity: activityResult.rowCount,
-        discoveryLogs: discoveryResult.rowCount
-      });
+      console.log(`✅ Cleaned up ${totalCleaned} old records:`, cleaned);
     } else {
       console.log('✅ No old records to clean up');
     }
     
+    return cleaned;
+    
   } catch (err) {
     console.error('❌ Database cleanup failed:', err.message);
     throw err;
@@ -1,4 +1,5 @@
 const { query } = require('../config/db');
+const { TRACKED_COUNTRIES } = require('../config/countries');
 
 async function fetchDailyStatsJob() {
   console.log('📊 Calculating daily statistics...');
@@ -7,57 +8,60 @@ async function fetchDailyStatsJob() {
     const today = new Date().toISOString().split('T')[0];
     const yesterday = Date.now() - (24 * 60 * 60 * 1000);
     
-    const [activePlayersResult, newScoresResult, totalPPResult, avgAccuracyResult, topScoreResult] = await Promise.all([
-      query(`
-        SELECT COUNT(DISTINCT username) as count 
-        FROM algeria_top50 
-        WHERE last_updated > $1
-      `, [yesterday]),
+    for (const country of TRACKED_COUNTRIES) {
+      const [activePlayersResult, newScoresResult, totalPPResult, avgAccuracyResult, topScoreResult] = await Promise.all([
+        query(`
+          SELECT COUNT(DISTINCT username) as count 
+          FROM algeria_top50 
+          WHERE last_updated > $1 AND country = $2
+        `, [yesterday, country]),
       
-      query(`
-        SELECT COUNT(*) as count 
-        FROM algeria_top50 
-        WHERE last_updated > $1
-      `, [yesterday]),
+        query(`
+          SELECT COUNT(*) as count 
+          FROM algeria_top50 
+          WHERE last_updated > $1 AND country = $2
+        `, [yesterday, country]),
       
-      query(`
-        SELECT SUM(pp) as total 
-        FROM algeria_top50 
-        WHERE last_updated > $1 AND pp > 0
-      `, [yesterday]),
+        query(`
+          SELECT SUM(pp) as total 
+          FROM algeria_top50 
+          WHERE last_updated > $1 AND country = $2 AND pp > 0
+        `, [yesterday, country]),
       
-      query(`
-        SELECT AVG(accuracy) as avg 
-        FROM algeria_top50 
-        WHERE last_updated > $1 AND accuracy::numeric > 0
-      `, [yesterday]),
+        query(`
+          SELECT AVG(accuracy) as avg 
+          FROM algeria_top50 
+          WHERE last_updated > $1 AND country = $2 AND accuracy::numeric > 0
+        `, [yesterday, country]),
       
-      query(`
-        SELECT MAX(score) as max 
-        FROM algeria_top50 
-        WHERE last_updated > $1
-      `, [yesterday])
-    ]);
+        query(`
+          SELECT MAX(score) as max 
+          FROM algeria_top50 
+          WHERE last_updated > $1 AND country = $2
+        `, [yesterday, country])
+      ]);
     
-    await query(`
-      INSERT INTO daily_stats (date, active_players, new_scores, total_pp_gained, average_accuracy, top_score)
-      VALUES ($1, $2, $3, $4, $5, $6)
-      ON CONFLICT (date) DO UPDATE SET
-        active_players = EXCLUDED.active_players,
-        new_scores = EXCLUDED.new_scores,
-        total_pp_gained = EXCLUDED.total_pp_gained,
-        average_accuracy = EXCLUDED.average_accuracy,
-        top_score = EXCLUDED.top_score
-    `, [
-      today,
-      parseInt(activePlayersResult.rows[0].count) || 0,
-      parseInt(newScoresResult.rows[0].count) || 0,
-      parseFloat(totalPPResult.rows[0].total) || 0,
-      parseFloat(avgAccuracyResult.rows[0].avg) || 0,
-      parseInt(topScoreResult.rows[0].max) || 0
-    ]);
+      await query(`
+        INSERT INTO daily_stats (date, active_players, new_scores, total_pp_gained, average_accuracy, top_score, country)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (date, country) DO UPDATE SET
+          active_players = EXCLUDED.active_players,
+          new_scores = EXCLUDED.new_scores,
+          total_pp_gained = EXCLUDED.total_pp_gained,
+          average_accuracy = EXCLUDED.average_accuracy,
+          top_score = EXCLUDED.top_score
+      `, [
+        today,
+        parseInt(activePlayersResult.rows[0].count) || 0,
+        parseInt(newScoresResult.rows[0].count) || 0,
+        parseFloat(totalPPResult.rows[0].total) || 0,
+        parseFloat(avgAccuracyResult.rows[0].avg) || 0,
+        parseInt(topScoreResult.rows[0].max) || 0,
+        country
+      ]);
+    }
     
-    console.log(`✅ Daily stats calculated for ${today}`);
+    console.log(`✅ Daily stats calculated for ${today} (${TRACKED_COUNTRIES.join(', ')})`);
   } catch (err) {
     console.error('❌ Daily stats calculation failed:', err.message);
     throw err;
@@ -1,23 +1,24 @@
-const { query } = require('../config/db');
-const { getAccessToken } = require('../services/osuApi');
-const axios = require('axios');
+const { query, getRows } = require('../config/db');
+const { DEFAULT_MODE } = require('../config/modes');
+const { TRACKED_COUNTRIES } = require('../config/countries');
+const { getUser } = require('../services/osuApi');
 
 async function fetchGeneralStatsJob() {
   console.log('🔄 Updating general player stats...');
-  const token = await getAccessToken();
 
-  const players = await query(`SELECT user_id FROM players WHERE country = 'DZ'`);
+  const players = await getRows(`
+    SELECT user_id FROM player_stats
+    WHERE country = ANY($1) AND user_id IS NOT NULL AND is_active = true
+  `, [TRACKED_COUNTRIES]);
   let updatedCount = 0;
 
   for (const player of players) {
     try {
-      const { data } = await axios.get(`https://osu.ppy.sh/api/v2/users/${player.user_id}/osu`, {
-        headers: { Authorization: `Bearer ${token}` }
-      });
+      const data = await getUser(player.user_id, DEFAULT_MODE);
 
       await query(`
-        UPDATE players
-        SET accuracy = $1, playcount = $2, total_score = $3, ranked_score = $4
+        UPDATE player_stats
+        SET hit_accuracy = $1, playcount = $2, total_score = $3, ranked_score = $4
         WHERE user_id = $5
       `, [
         data.statistics.hit_accuracy,
@@ -34,6 +35,7 @@ async function fetchGeneralStatsJob() {
   }
 
   console.log(`✅ Updated stats for ${updatedCount} players`);
+  return { players: players.length, updated: updatedCount };
 }
 
 module.exports = fetchGeneralStatsJob;
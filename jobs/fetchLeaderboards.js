@@ -1,11 +1,17 @@
 const { leaderboardService } = require('../services/leaderboard');
+const { TRACKED_MODES } = require('../config/modes');
 
 async function fetchLeaderboardsJob() {
   console.log('🔄 Starting leaderboards update...');
   
   try {
-    await leaderboardService.updateLeaderboards();
+    const totals = { queued: 0, processed: 0, failed: 0, deadLettered: 0 };
+    for (const mode of TRACKED_MODES) {
+      const result = await leaderboardService.updateLeaderboards(mode);
+      Object.keys(totals).forEach(key => { totals[key] += result[key]; });
+    }
     console.log('✅ Leaderboards update completed');
+    return totals;
   } catch (err) {
     console.error('❌ Leaderboards update failed:', err.message);
     throw err;
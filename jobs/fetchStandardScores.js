@@ -1,41 +1,39 @@
-const { getAccessToken } = require('../services/osuApi');
-const { query } = require('../config/db');
-const axios = require('axios');
+const { getUserScores } = require('../services/osuApi');
+const { query, getRows } = require('../config/db');
+const { DEFAULT_MODE } = require('../config/modes');
+const { TRACKED_COUNTRIES } = require('../config/countries');
 
 async function fetchStandardScoresJob() {
   console.log('🔄 Fetching standard scores...');
-  const token = await getAccessToken();
 
-  const players = await query(`SELECT user_id, username FROM players WHERE country = 'DZ'`);
+  const players = await getRows(`
+    SELECT user_id, username FROM player_stats
+    WHERE country = ANY($1) AND user_id IS NOT NULL AND is_active = true
+  `, [TRACKED_COUNTRIES]);
   let totalScores = 0;
 
   for (const player of players) {
     try {
       // Fetch top plays
-      const topRes = await axios.get(`https://osu.ppy.sh/api/v2/users/${player.user_id}/scores/best`, {
-        headers: { Authorization: `Bearer ${token}` },
-        params: { mode: 'osu', limit: 50 }
-      });
+      const topScores = await getUserScores(player.user_id, 'best', 50, DEFAULT_MODE);
 
       // Fetch recent plays
-      const recentRes = await axios.get(`https://osu.ppy.sh/api/v2/users/${player.user_id}/scores/recent`, {
-        headers: { Authorization: `Bearer ${token}` },
-        params: { mode: 'osu', limit: 50 }
-      });
+      const recentScores = await getUserScores(player.user_id, 'recent', 50, DEFAULT_MODE);
 
       // Store/update them in DB
-      const allScores = [...topRes.data, ...recentRes.data];
+      const allScores = [...topScores, ...recentScores];
       totalScores += allScores.length;
 
       for (const score of allScores) {
         await query(`
-          INSERT INTO scores (score_id, user_id, beatmap_id, pp, accuracy, mods, date_played)
-          VALUES ($1, $2, $3, $4, $5, $6, $7)
+          INSERT INTO scores (score_id, user_id, beatmap_id, mode, pp, accuracy, mods, date_played)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
           ON CONFLICT (score_id) DO NOTHING
         `, [
           score.id,
           player.user_id,
           score.beatmap.id,
+          DEFAULT_MODE,
           score.pp,
           score.accuracy * 100,
           score.mods.join(','),
@@ -48,6 +46,7 @@ async function fetchStandardScoresJob() {
   }
 
   console.log(`✅ Stored ${totalScores} scores`);
+  return { players: players.length, scores: totalScores };
 }
 
 module.exports = fetchStandardScoresJob;
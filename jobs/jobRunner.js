@@ -1,15 +1,28 @@
-const cron = require('node-cron');
-const fetchAlgerianPlayersJob = require('./fetchAlgerianPlayers');
-const fetchStandardScoresJob = require('./fetchStandardScores');
-const fetchGeneralStatsJob = require('./fetchGeneralStats');
+const { config } = require('../config/env');
+const { registerJob, startScheduler } = require('./scheduler');
 
-// Every 12 hours → Refresh player list
-cron.schedule('0 */12 * * *', fetchAlgerianPlayersJob);
+// Every background job by name; schedules come from config.JOB_SCHEDULES
+const JOBS = {
+  fetchAlgerianPlayers: require('./fetchAlgerianPlayers'),
+  fetchStandardScores: require('./fetchStandardScores'),
+  fetchGeneralStats: require('./fetchGeneralStats'),
+  fetchLeaderboards: require('./fetchLeaderboards'),
+  fetchDailyStats: require('./fetchDailyStats'),
+  updatePlayerSkills: require('./updatePlayerSkills'),
+  updateAchievements: require('./updateAchievements'),
+  updateH2HRatings: require('./updateH2HRatings'),
+  snapshotRankings: require('./snapshotRankings'),
+  cleanup: require('./cleanupJob'),
+  processDiscordOutbox: require('./processDiscordOutbox'),
+  processWebhookDeliveries: require('./processWebhookDeliveries')
+};
 
-// Every hour → Fetch top & recent scores
-cron.schedule('0 * * * *', fetchStandardScoresJob);
+// Register and schedule every job; called once the server is listening
+function startJobs() {
+  Object.entries(JOBS).forEach(([name, fn]) => registerJob(name, fn, config.JOB_SCHEDULES[name]));
+  return startScheduler();
+}
 
-// Every 6 hours → Update general stats
-cron.schedule('0 */6 * * *', fetchGeneralStatsJob);
-
-console.log('📅 Jobs scheduled');
+module.exports = {
+  startJobs
+};
@@ -0,0 +1,18 @@
+const { discordService } = require('../services/discord');
+
+// Deliver queued Discord notifications, including retries and anything left over from before a restart
+async function processDiscordOutboxJob() {
+  try {
+    const result = await discordService.processOutbox(25);
+    
+    if (result.sent + result.failed + result.retried > 0) {
+      console.log(`📨 Discord outbox: ${result.sent} sent, ${result.retried} to retry, ${result.failed} failed`);
+    }
+    return result;
+  } catch (err) {
+    console.error('❌ Discord outbox processing failed:', err.message);
+    throw err;
+  }
+}
+
+module.exports = processDiscordOutboxJob;
@@ -0,0 +1,18 @@
+const { webhookService } = require('../services/webhooks');
+
+// Send due webhook deliveries, including retries and anything queued before a restart
+async function processWebhookDeliveriesJob() {
+  try {
+    const result = await webhookService.processDeliveries(50);
+    
+    if (result.delivered + result.failed + result.retried > 0) {
+      console.log(`🪝 Webhooks: ${result.delivered} delivered, ${result.retried} to retry, ${result.failed} failed`);
+    }
+    return result;
+  } catch (err) {
+    console.error('❌ Webhook delivery processing failed:', err.message);
+    throw err;
+  }
+}
+
+module.exports = processWebhookDeliveriesJob;
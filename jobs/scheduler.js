@@ -0,0 +1,185 @@
+// jobs/scheduler.js
+const os = require('os');
+const crypto = require('crypto');
+const cron = require('node-cron');
+const { config } = require('../config/env');
+const { acquireLock, renewLock, releaseLock } = require('../config/redis');
+const { jobRunService } = require('../services/jobRuns');
+const { broadcastToClients } = require('../middleware/websocket');
+
+// Names this process in job_runs so a run can be traced to the instance that did it
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+// Registered jobs by name
+const jobs = new Map();
+
+const lockName = (name) => `job:${name}`;
+
+// Register a job; `schedule` is a cron expression in UTC, or 'off' to only run it by hand
+function registerJob(name, fn, schedule = 'off') {
+  if (schedule !== 'off' && !cron.validate(schedule)) {
+    console.error(`❌ Invalid cron expression for job '${name}': "${schedule}"; it will only run when triggered`);
+    schedule = 'off';
+  }
+
+  jobs.set(name, { name, fn, schedule, task: null, running: false });
+}
+
+// Run a job under its lock and record the run. `done` settles with the finished run and never rejects.
+async function execute(job, run, token) {
+  const renewEvery = Math.max(1000, Math.floor(config.JOB_LOCK_TTL_MS / 3));
+  const heartbeat = setInterval(async () => {
+    if (!(await renewLock(lockName(job.name), token, config.JOB_LOCK_TTL_MS))) {
+      console.warn(`⚠️ Job '${job.name}' lost its lock while running`);
+    }
+    jobRunService.heartbeat(run.id).catch(err => console.warn(`Job heartbeat failed for ${job.name}:`, err.message));
+  }, renewEvery);
+
+  console.log(`🔄 Starting job: ${job.name} (${run.trigger})`);
+  broadcastToClients({ type: 'job_started', job: job.name, timestamp: Date.now() });
+
+  try {
+    const result = await job.fn();
+    const finished = await jobRunService.finish(run.id, { status: 'success', result });
+    console.log(`✅ Job '${job.name}' completed in ${finished.duration_ms}ms`);
+    broadcastToClients({ type: 'job_completed', job: job.name, duration: finished.duration_ms, timestamp: Date.now() });
+    return finished;
+  } catch (err) {
+    console.error(`❌ Job '${job.name}' failed:`, err.message);
+    broadcastToClients({ type: 'job_failed', job: job.name, error: err.message, timestamp: Date.now() });
+    return jobRunService.finish(run.id, { status: 'failure', error: err.message })
+      .catch(dbErr => {
+        console.error(`Failed to record the run of job ${job.name}:`, dbErr.message);
+        return null;
+      });
+  } finally {
+    clearInterval(heartbeat);
+    job.running = false;
+    await releaseLock(lockName(job.name), token);
+  }
+}
+
+// Take the job's lock and record the start. Resolves to { run, done }, or null when the job is
+// already running here or on another instance (or Redis is unreachable, so that cannot be ruled out).
+async function startJobRun(name, { trigger = 'manual', triggeredBy = null } = {}) {
+  const job = jobs.get(name);
+  if (!job) throw new Error(`Unknown job: ${name}`);
+  if (job.running) return null;
+
+  job.running = true;
+  const token = await acquireLock(lockName(name), config.JOB_LOCK_TTL_MS);
+  if (!token) {
+    job.running = false;
+    console.warn(`⚠️ Skipped job '${name}' because it holds a lock elsewhere or Redis is unavailable`);
+    return null;
+  }
+
+  let run;
+  try {
+    run = await jobRunService.start(name, { trigger, triggeredBy, instanceId: INSTANCE_ID });
+  } catch (err) {
+    job.running = false;
+    await releaseLock(lockName(name), token);
+    throw err;
+  }
+
+  return { run, done: execute(job, run, token) };
+}
+
+// Scheduled and startup runs; paused jobs are skipped
+async function runScheduled(name, trigger = 'schedule') {
+  try {
+    if (await jobRunService.isPaused(name)) return null;
+    const started = await startJobRun(name, { trigger });
+    return started && started.done;
+  } catch (err) {
+    console.error(`❌ Job '${name}' could not start:`, err.message);
+    return null;
+  }
+}
+
+// Schedule every registered job. Runs left 'running' by a stopped instance are closed, and
+// jobs that have never succeeded run once now, one after another, so a fresh install fills
+// its tables without waiting for the schedule.
+async function startScheduler() {
+  const abandoned = await jobRunService.markAbandoned(Date.now() - config.JOB_LOCK_TTL_MS);
+  if (abandoned > 0) {
+    console.warn(`⚠️ Marked ${abandoned} job runs as abandoned`);
+  }
+
+  const summaries = await jobRunService.getSummaries();
+  const catchUp = [];
+
+  for (const job of jobs.values()) {
+    if (job.schedule === 'off') continue;
+
+    job.task = cron.schedule(job.schedule, () => runScheduled(job.name), { name: job.name, timezone: 'Etc/UTC' });
+    const summary = summaries.get(job.name);
+    if (!summary || !summary.last_success_at) catchUp.push(job.name);
+  }
+
+  console.log(`📅 ${[...jobs.values()].filter(job => job.task).length} jobs scheduled`);
+
+  (async () => {
+    for (const name of catchUp) {
+      await runScheduled(name, 'startup');
+    }
+  })();
+}
+
+function describeJob(job, summary) {
+  const paused = Boolean(summary && summary.paused);
+  const lastRun = summary && summary.last_run ? summary.last_run : null;
+  const nextRun = job.task && !paused ? job.task.getNextRun() : null;
+
+  return {
+    name: job.name,
+    schedule: job.schedule,
+    paused,
+    pausedBy: paused ? summary.paused_by : null,
+    running: job.running || Boolean(lastRun && lastRun.status === 'running'),
+    nextRun: nextRun ? nextRun.getTime() : null,
+    lastRun,
+    lastSuccessAt: summary && summary.last_success_at ? Number(summary.last_success_at) : null
+  };
+}
+
+// Every registered job with its schedule, pause state and latest run
+async function listJobs() {
+  const summaries = await jobRunService.getSummaries();
+  return [...jobs.values()].map(job => describeJob(job, summaries.get(job.name)));
+}
+
+async function getJob(name) {
+  if (!jobs.has(name)) return null;
+  return (await listJobs()).find(job => job.name === name);
+}
+
+// Pause or resume a job's schedule on every instance; manual runs still work while paused
+async function setJobPaused(name, paused, actor = null) {
+  if (!jobs.has(name)) return null;
+
+  await jobRunService.setPaused(name, paused, actor);
+  console.log(`${paused ? '⏸️ Paused' : '▶️ Resumed'} job: ${name}`);
+  return getJob(name);
+}
+
+// Stop every schedule (for graceful shutdown); running jobs finish on their own
+function stopScheduler() {
+  for (const job of jobs.values()) {
+    if (job.task) job.task.stop();
+    job.task = null;
+  }
+  console.log('🛑 Job schedules stopped');
+}
+
+module.exports = {
+  registerJob,
+  startScheduler,
+  stopScheduler,
+  startJobRun,
+  listJobs,
+  getJob,
+  setJobPaused,
+  INSTANCE_ID
+};
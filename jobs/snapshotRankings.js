@@ -0,0 +1,35 @@
+const { rankHistoryService } = require('../services/rankHistory');
+const { discordService } = require('../services/discord');
+
+const SNAPSHOT_RETENTION_DAYS = 365;
+
+async function snapshotRankingsJob() {
+  console.log('📸 Taking daily rank snapshot...');
+  
+  try {
+    const today = new Date().toISOString().split('T')[0];
+    const stored = await rankHistoryService.takeSnapshot(today);
+    const pruned = await rankHistoryService.pruneSnapshots(SNAPSHOT_RETENTION_DAYS);
+    
+    const milestones = await rankHistoryService.getMilestoneCrossings(today);
+    for (const crossing of milestones) {
+      await discordService.notify('rank_milestone', {
+        username: crossing.username,
+        country: crossing.country,
+        mode: crossing.mode,
+        milestone: crossing.milestone,
+        previousRank: crossing.previous_country_rank,
+        currentRank: crossing.country_rank,
+        pp: crossing.weighted_pp
+      });
+    }
+    
+    console.log(`✅ Rank snapshot for ${today}: ${stored} player modes stored, ${pruned} old snapshots pruned, ${milestones.length} milestones reached`);
+    return { stored, pruned, milestones: milestones.length };
+  } catch (err) {
+    console.error('❌ Rank snapshot failed:', err.message);
+    throw err;
+  }
+}
+
+module.exports = snapshotRankingsJob;
@@ -1,5 +1,6 @@
 const { query } = require('../config/db');
 const { broadcastToClients } = require('../middleware/websocket');
+const { discordService } = require('../services/discord');
 
 async function checkPlayerAchievements(username) {
   try {
@@ -138,7 +139,7 @@ async function checkPlayerAchievements(username) {
       if (check.condition()) {
         // Get achievement ID
         const achievement = await query(`
-          SELECT id FROM achievements WHERE name = $1
+          SELECT id, category, icon, points FROM achievements WHERE name = $1
         `, [check.name]);
 
         if (achievement.rows[0]) {
@@ -160,6 +161,13 @@ async function checkPlayerAchievements(username) {
               description: check.description,
               unlockedAt: new Date()
             });
+
+            await discordService.notify('achievement_unlocked', {
+              ...achievement.rows[0],
+              username,
+              name: check.name,
+              description: check.description
+            });
           }
         }
       }
@@ -185,7 +193,7 @@ const players = await query(`
   FROM player_stats 
   WHERE is_active = true 
   AND (
-    last_seen > $1 OR 
+    last_seen > to_timestamp($1) OR 
     last_calculated > $1 OR
     last_seen IS NULL
   )
@@ -0,0 +1,18 @@
+const { h2hRatingService } = require('../services/h2hRatings');
+
+// Rate the head-to-head matches made by new scores on shared beatmap leaderboards
+async function updateH2HRatingsJob() {
+  console.log('⚔️ Updating head-to-head ratings...');
+
+  try {
+    const result = await h2hRatingService.updateRatings();
+
+    console.log(`✅ Head-to-head ratings: ${result.beatmaps} beatmaps, ${result.matches} matches, ${result.players} players rated`);
+    return result;
+  } catch (err) {
+    console.error('❌ Head-to-head rating update failed:', err.message);
+    throw err;
+  }
+}
+
+module.exports = updateH2HRatingsJob;
@@ -1,6 +1,7 @@
 const { query } = require('../config/db');
-const { SkillCalculator } = require('../services/skillCalculator');
+const { updatePlayerSkills } = require('../services/skillCalculator');
 const { broadcastToClients } = require('../middleware/websocket');
+const { TRACKED_MODES } = require('../config/modes');
 
 async function updatePlayerSkillsJob() {
   console.log('🧮 Updating player skills...');
@@ -16,52 +17,24 @@ const result = await query(`
   LIMIT 100
 `);
 const players = result.rows || [];
+let updatedCount = 0;
+let errorCount = 0;
 
 for (const player of players) {
       try {
-        // Get player's scores for skill calculation
-        const playerScores = await query(`
-          SELECT * FROM algeria_top50 
-          WHERE username = $1 
-          ORDER BY pp DESC 
-          LIMIT 100
-        `, [player.username]);
-
-        if (playerScores.rows.length === 0) {
-          console.log(`⚠️ No scores found for ${player.username}, skipping...`);
-          continue;
-        }
-
-        // Calculate skills
-        const skills = {
-          aim: SkillCalculator.calculateAimSkill(playerScores.rows),
-          speed: SkillCalculator.calculateSpeedSkill(playerScores.rows),
-          accuracy: SkillCalculator.calculateAccuracySkill(playerScores.rows),
-          reading: SkillCalculator.calculateReadingSkill(playerScores.rows),
-          consistency: SkillCalculator.calculateConsistencySkill(playerScores.rows)
-        };
-
         const now = Date.now();
+        const skills = {};
 
-        // Store skill tracking data
-        for (const [skillType, skillValue] of Object.entries(skills)) {
-          await query(`
-            INSERT INTO skill_tracking (username, skill_type, skill_value, calculated_at)
-            VALUES ($1, $2, $3, $4)
-          `, [player.username, skillType, skillValue, now]);
+        for (const mode of TRACKED_MODES) {
+          // Calculate and store the skills that apply to this mode
+          const modeSkills = await updatePlayerSkills(player.username, mode);
+          if (modeSkills) skills[mode] = modeSkills;
         }
 
-        // Clean up old skill data (keep last 30 entries per skill type)
-        await query(`
-          DELETE FROM skill_tracking 
-          WHERE username = $1 
-          AND id NOT IN (
-            SELECT id FROM skill_tracking 
-            WHERE username = $1 
-            ORDER BY calculated_at DESC 
-            LIMIT 150
-          )
-        `, [player.username]);
+        if (Object.keys(skills).length === 0) {
+          console.log(`⚠️ No scores found for ${player.username}, skipping...`);
+          continue;
+        }
 
         // Update player stats with last calculation time
         await query(`
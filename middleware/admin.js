@@ -1,5 +1,6 @@
 // middleware/admin.js
-const { authenticateToken } = require('./validation');
+const { authenticateToken } = require('../config/security');
+const { auditService } = require('../services/audit');
 
 // Admin access middleware
 const requireAdmin = (req, res, next) => {
@@ -10,7 +11,8 @@ const requireAdmin = (req, res, next) => {
     });
   }
   
-  if (req.user.role !== 'admin') {
+  // Super admins can do everything admins can
+  if (req.user.role !== 'admin' && req.user.role !== 'super_admin') {
     return res.status(403).json({ 
       success: false, 
       error: 'Admin access required' 
@@ -20,6 +22,8 @@ const requireAdmin = (req, res, next) => {
   next();
 };
 
+requireAdmin.apiSchema = { auth: 'admin' };
+
 // Combined auth + admin middleware
 const adminAuth = [authenticateToken, requireAdmin];
 
@@ -42,22 +46,37 @@ const requireSuperAdmin = (req, res, next) => {
   next();
 };
 
-// Log admin actions
+requireSuperAdmin.apiSchema = { auth: 'superAdmin' };
+
+// Write every admin write request to the audit log once the response is sent.
+// Handlers can name the action and its target with res.locals.audit = { action, target, details }.
 const logAdminAction = (req, res, next) => {
-  const originalSend = res.send;
-  
-  res.send = function(data) {
-    // Log successful admin actions
-    if (res.statusCode < 400) {
-      console.log(`🔧 Admin Action: ${req.user?.username || req.user?.id} - ${req.method} ${req.originalUrl}`);
-      if (req.body && Object.keys(req.body).length > 0) {
-        console.log(`   Data:`, JSON.stringify(req.body, null, 2));
-      }
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return next();
+
+  res.on('finish', () => {
+    const audit = res.locals.audit || {};
+    const payload = { ...(audit.details || {}) };
+    // File uploads are logged by size only
+    if (Buffer.isBuffer(req.body)) {
+      payload.bodyBytes = req.body.length;
+    } else if (req.body && Object.keys(req.body).length > 0) {
+      payload.body = req.body;
     }
-    
-    originalSend.call(this, data);
-  };
-  
+
+    auditService.record({
+      actor: req.user?.username || (req.user?.id !== undefined ? String(req.user.id) : null),
+      action: audit.action || `${req.method} ${req.baseUrl}${req.route?.path || ''}`,
+      target: audit.target ?? null,
+      payload: Object.keys(payload).length > 0 ? payload : null,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      ip: req.ip,
+      status: res.statusCode
+    }).catch(err => console.error('Admin audit log write failed:', err.message));
+
+    console.log(`🔧 Admin Action: ${req.user?.username || req.user?.id} - ${req.method} ${req.originalUrl} (${res.statusCode})`);
+  });
+
   next();
 };
 
@@ -0,0 +1,188 @@
+// middleware/apiSchema.js
+const { config } = require('../config/env');
+const { components } = require('../config/apiSchemas');
+
+// Route schemas: apiRoute({ summary, params, query, body, response, ... }) validates the
+// request against the schema, checks the JSON response against `response` when
+// API_RESPONSE_CHECKS is on, and keeps the schema on the middleware as `apiSchema` so
+// services/openapi can describe the route. Middleware shared by a whole router (country,
+// mode, pagination, sign-in) carries an `apiSchema` of its own.
+//
+// Schemas are the JSON Schema subset OpenAPI 3.0 uses: type, nullable, enum, minimum,
+// maximum, minLength, maxLength, pattern, format: uri, properties, required,
+// additionalProperties, items, minItems, maxItems, allOf, oneOf and $ref into
+// components.schemas. Query parameters take `required: true`.
+
+const resolve = (schema) => (schema && schema.$ref ? components.schemas[schema.$ref.split('/').pop()] : schema);
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => typeof value === 'object' && value !== null && !Array.isArray(value)
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'true or false',
+  array: 'an array',
+  object: 'an object'
+};
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (err) {
+    return false;
+  }
+};
+
+const child = (path, key) => (path ? `${path}.${key}` : key);
+
+// Problems with `value` against `schema`, one message each, named after `path`
+function validateSchema(schema, value, path = '') {
+  schema = resolve(schema);
+  if (!schema) return [];
+  const name = path || 'body';
+
+  if (value === null) {
+    return schema.nullable || !schema.type ? [] : [`${name} must not be null`];
+  }
+
+  if (schema.allOf) {
+    const errors = schema.allOf.flatMap(part => validateSchema(part, value, path));
+    if (errors.length > 0) return errors;
+  }
+
+  if (schema.oneOf && !schema.oneOf.some(option => validateSchema(option, value, path).length === 0)) {
+    return [`${name} does not match any of the allowed shapes`];
+  }
+
+  if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+    return [`${name} must be ${TYPE_NAMES[schema.type]}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${name} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${name} must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${name} must be at most ${schema.maximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${name} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${name} must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${name} has invalid format`);
+    if (schema.format === 'uri' && !isHttpUrl(value)) errors.push(`${name} must be an http or https URL`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${name} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${name} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, `${name}[${index}]`)));
+    }
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    (schema.required || [])
+      .filter(key => value[key] === undefined)
+      .forEach(key => errors.push(`${child(path, key)} is required`));
+
+    Object.entries(schema.properties || {})
+      .filter(([key]) => value[key] !== undefined)
+      .forEach(([key, property]) => {
+        errors.push(...validateSchema(property, value[key], child(path, key)));
+      });
+
+    if (typeof schema.additionalProperties === 'object') {
+      Object.keys(value)
+        .filter(key => !(schema.properties && key in schema.properties))
+        .forEach(key => errors.push(...validateSchema(schema.additionalProperties, value[key], child(path, key))));
+    }
+  }
+
+  return errors;
+}
+
+// Path and query values are strings; read them as the schema's type before checking.
+// Values that do not convert are left as strings so the type check reports them.
+function coerce(schema, raw) {
+  switch (resolve(schema).type) {
+    case 'integer':
+    case 'number':
+      return typeof raw === 'string' && raw.trim() !== '' && !isNaN(Number(raw)) ? Number(raw) : raw;
+    case 'boolean':
+      return raw === 'true' ? true : raw === 'false' ? false : raw;
+    default:
+      return raw;
+  }
+}
+
+// Empty values count as missing, as they always have for query filters
+function validateParameters(schemas = {}, values = {}, alwaysRequired = false) {
+  return Object.entries(schemas).flatMap(([name, schema]) => {
+    const raw = values[name];
+    if (raw === undefined || raw === '') {
+      return alwaysRequired || schema.required ? [`${name} is required`] : [];
+    }
+    return validateSchema(schema, coerce(schema, raw), name);
+  });
+}
+
+// Warn when a successful JSON response drifts from its documented shape; the response
+// itself is sent unchanged
+function checkResponse(req, res, schema) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode < 300) {
+      const errors = validateSchema(schema, body, 'response');
+      if (errors.length > 0) {
+        console.warn(`⚠️ ${req.method} ${req.originalUrl} response does not match its schema: ${errors.slice(0, 5).join('; ')}`);
+      }
+    }
+    return json(body);
+  };
+}
+
+const apiRoute = (schema) => {
+  const middleware = (req, res, next) => {
+    const errors = [
+      ...validateParameters(schema.params, req.params, true),
+      ...validateParameters(schema.query, req.query),
+      // Raw uploads are checked by the route itself
+      ...(schema.body && !Buffer.isBuffer(req.body) ? validateSchema(schema.body, req.body ?? {}) : [])
+    ];
+
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    if (schema.response && config.API_RESPONSE_CHECKS) checkResponse(req, res, schema.response);
+    next();
+  };
+
+  middleware.apiSchema = schema;
+  return middleware;
+};
+
+module.exports = {
+  apiRoute,
+  validateSchema
+};
@@ -40,7 +40,7 @@ const corsOptions = {
     'Authorization',
     'x-api-key'
   ],
-  exposedHeaders: ['X-Total-Count', 'X-Rate-Limit-Remaining'],
+  exposedHeaders: ['X-Total-Count', 'X-Rate-Limit-Remaining', 'Link'],
   maxAge: 86400 // 24 hours
 };
 
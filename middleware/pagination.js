@@ -0,0 +1,286 @@
+// middleware/pagination.js
+const crypto = require('crypto');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+// Query parameters that pick the page rather than the list
+const PAGE_PARAMS = ['cursor', 'limit'];
+
+// Opaque cursors: base64url JSON. decodeCursor returns null for no cursor and undefined for
+// one that is not a JSON object.
+const encodeCursor = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const value = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : undefined;
+  } catch (err) {
+    return undefined;
+  }
+}
+
+// Identifies the list a cursor was issued for (route plus sort and filter parameters), so a
+// cursor from one list is never applied to another
+function listFingerprint(req) {
+  const params = Object.keys(req.query)
+    .filter(key => !PAGE_PARAMS.includes(key))
+    .sort()
+    .map(key => [key, String(req.query[key])]);
+
+  return crypto.createHash('sha1')
+    .update(JSON.stringify([req.baseUrl + req.path, params]))
+    .digest('base64url')
+    .slice(0, 10);
+}
+
+const isScalar = value => value === null || typeof value === 'string' || Number.isFinite(value);
+const isKey = value => Array.isArray(value) && value.every(isScalar);
+
+// Page cursors point at a row of the list: { f: fingerprint, k: its sort key values,
+// r: its rank, b: 1 when paging backwards }. A backward cursor without k starts at the end.
+// Cursors of `lists` lists paged together keep one key per list, false once it ran out, and
+// only go forward.
+function readPageCursor(cursor, fingerprint, lists) {
+  const value = decodeCursor(cursor);
+  if (!value || value.f !== fingerprint) return undefined;
+  if (lists) {
+    const keys = value.k;
+    if (value.b || !Array.isArray(keys) || keys.length !== lists || !keys.every(key => key === false || isKey(key))) {
+      return undefined;
+    }
+  } else if (value.k === undefined ? !value.b : !isKey(value.k)) {
+    return undefined;
+  }
+  if (value.r !== undefined && !(Number.isInteger(value.r) && value.r >= 0)) return undefined;
+
+  return { key: value.k ?? null, rank: value.r ?? null, backward: value.b === 1 };
+}
+
+// Parse ?limit= and ?cursor= into req.page = { limit, cursor, fingerprint, cacheKey }. Limits
+// above maxLimit are rejected rather than silently cut, and so is the retired ?offset=.
+// `lists` is the number of lists paged together by the route, if more than one.
+const paginate = ({ defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT, lists } = {}) => {
+  const middleware = (req, res, next) => {
+    const { limit, cursor, offset } = req.query;
+    const fingerprint = listFingerprint(req);
+
+    if (offset !== undefined) {
+      return res.status(400).json({ success: false, error: 'Offset is not supported; page with cursor instead' });
+    }
+
+    let pageLimit = defaultLimit;
+    if (limit !== undefined && limit !== '') {
+      pageLimit = Number(limit);
+      if (!Number.isInteger(pageLimit) || pageLimit < 1 || pageLimit > maxLimit) {
+        return res.status(400).json({
+          success: false,
+          error: `Limit must be between 1 and ${maxLimit}`
+        });
+      }
+    }
+
+    let pageCursor = null;
+    if (cursor) {
+      pageCursor = readPageCursor(cursor, fingerprint, lists);
+      if (pageCursor === undefined) {
+        return res.status(400).json({ success: false, error: 'Invalid cursor' });
+      }
+    }
+
+    req.page = {
+      limit: pageLimit,
+      cursor: pageCursor,
+      fingerprint,
+      // Cache keys are lowercased, so the case-sensitive cursor goes in as a hex digest
+      cacheKey: cursor ? crypto.createHash('sha1').update(cursor).digest('hex') : 'first'
+    };
+    next();
+  };
+
+  middleware.apiSchema = {
+    query: {
+      limit: { type: 'integer', minimum: 1, maximum: maxLimit, description: `Page size, ${defaultLimit} when omitted` },
+      cursor: { type: 'string', description: 'meta.nextCursor or meta.prevCursor of another page of the same list' }
+    }
+  };
+  return middleware;
+};
+
+// Keyset pagination: a list is ordered by sort keys whose last one is unique, like
+//   [{ column: 'pms.weighted_pp', order: 'DESC' }, { column: 'pms.username' }]
+// and a page continues after the row its cursor points at. `column` is the SQL expression and
+// `field` the row property with its value, the column name without its table by default.
+// NULLs sort last.
+const sortKey = ({ column, order = 'ASC', field = column.split('.').pop() }) => ({
+  column, field, descending: order.toUpperCase() === 'DESC'
+});
+
+// Condition for the rows after keys[i..] in scan order; values are placeholders or null
+function after(keys, values, backward, i = 0) {
+  const { column, descending } = keys[i];
+  const value = values[i];
+  const rest = i + 1 < keys.length ? after(keys, values, backward, i + 1) : null;
+
+  // NULLs come last going forward, so first going backward
+  if (value === null) {
+    if (!backward) return rest ? `(${column} IS NULL AND ${rest})` : 'FALSE';
+    return rest ? `(${column} IS NOT NULL OR (${column} IS NULL AND ${rest}))` : `${column} IS NOT NULL`;
+  }
+
+  const parts = [`${column} ${descending === backward ? '>' : '<'} ${value}`];
+  if (rest) parts.push(`(${column} = ${value} AND ${rest})`);
+  if (!backward) parts.push(`${column} IS NULL`);
+  return `(${parts.join(' OR ')})`;
+}
+
+// The sort key values of a row, as cursors keep them
+const keyOf = (keys, row) => keys.map(({ field }) => (row[field] === undefined ? null : row[field]));
+const rowKey = (sortKeys, row) => keyOf(sortKeys.map(sortKey), row);
+
+// SQL for one page: `where` to AND into the query, `orderBy` and a `limit` placeholder that
+// asks for one row more than the page to tell whether there is more. Values are pushed onto
+// `params`. `key` overrides the cursor's sort key values (lists paged together).
+function keyset(sortKeys, page, params, key = page.cursor && page.cursor.key) {
+  const keys = sortKeys.map(sortKey);
+  const backward = Boolean(page.cursor && page.cursor.backward);
+
+  let where = 'TRUE';
+  if (key) {
+    const values = keys.map((_, i) => {
+      if (key[i] === null || key[i] === undefined) return null;
+      params.push(key[i]);
+      return `$${params.length}`;
+    });
+    where = after(keys, values, backward);
+  }
+
+  const orderBy = keys
+    .map(({ column, descending }) => `${column} ${descending === backward ? 'ASC' : 'DESC'} NULLS ${backward ? 'FIRST' : 'LAST'}`)
+    .join(', ');
+
+  params.push(page.limit + 1);
+  return { where, orderBy, limit: `$${params.length}` };
+}
+
+// Compare two values of a sort key the way the SQL above orders them: numbers as numbers,
+// the rest as text, NULLs last whatever the order
+function compareValues(a, b, descending) {
+  const aNull = a === null || a === undefined;
+  const bNull = b === null || b === undefined;
+  if (aNull || bNull) return aNull === bNull ? 0 : aNull ? 1 : -1;
+
+  let difference;
+  if (typeof a === 'number' && typeof b === 'number') difference = a - b;
+  else difference = String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+  return descending ? -difference : difference;
+}
+
+// keyset() over rows already sorted in memory: the rows it would select, look-ahead included
+function keysetRows(rows, sortKeys, page) {
+  const keys = sortKeys.map(sortKey);
+  const { cursor, limit } = page;
+  const backward = Boolean(cursor && cursor.backward);
+  const ordered = backward ? rows.slice().reverse() : rows;
+  if (!cursor || !cursor.key) return ordered.slice(0, limit + 1);
+
+  const compare = row => {
+    for (let i = 0; i < keys.length; i++) {
+      const difference = compareValues(row[keys[i].field], cursor.key[i], keys[i].descending);
+      if (difference !== 0) return difference;
+    }
+    return 0;
+  };
+  return ordered.filter(row => (backward ? compare(row) < 0 : compare(row) > 0)).slice(0, limit + 1);
+}
+
+// A page from the rows keyset() selected: the items in list order, the rank of the first
+// one (null when unknown) and cursors to the pages before and after it
+function keysetResult(rows, sortKeys, page) {
+  const keys = sortKeys.map(sortKey);
+  const { limit, cursor, fingerprint } = page;
+  const backward = Boolean(cursor && cursor.backward);
+
+  const more = rows.length > limit;
+  const items = more ? rows.slice(0, limit) : rows.slice();
+  if (backward) items.reverse();
+
+  let firstRank = null;
+  if (!cursor) firstRank = 1;
+  else if (cursor.rank !== null) firstRank = backward ? cursor.rank - items.length : cursor.rank + 1;
+
+  // Going backward there is more after the page unless it started at the end
+  const hasMore = backward ? Boolean(cursor.key) : more;
+  const hasPrevious = backward ? more : Boolean(cursor && cursor.key);
+  const rankOf = index => (firstRank === null ? undefined : firstRank + index);
+  const cursorAt = (index, extra) =>
+    encodeCursor({ f: fingerprint, k: keyOf(keys, items[index]), r: rankOf(index), ...extra });
+
+  return {
+    items,
+    firstRank,
+    hasMore,
+    nextCursor: hasMore && items.length > 0 ? cursorAt(items.length - 1) : null,
+    prevCursor: hasPrevious && items.length > 0 ? cursorAt(0, { b: 1 }) : null
+  };
+}
+
+// A page of lists paged together from the rowKey() of the last row of each, false for lists
+// that ran out
+function listsResult(keys, page) {
+  const hasMore = keys.some(key => key !== false);
+  return {
+    hasMore,
+    nextCursor: hasMore ? encodeCursor({ f: page.fingerprint, k: keys }) : null,
+    prevCursor: null
+  };
+}
+
+// URL of another page of the same list, relative to the host
+function pageUrl(req, cursor) {
+  const params = new URLSearchParams();
+  Object.entries(req.query)
+    .filter(([key]) => !PAGE_PARAMS.includes(key))
+    .forEach(([key, value]) => params.append(key, String(value)));
+  params.set('limit', String(req.page.limit));
+  if (cursor) params.set('cursor', cursor);
+
+  const path = req.path === '/' ? req.baseUrl || '/' : req.baseUrl + req.path;
+  return `${path}?${params.toString()}`;
+}
+
+// Pagination metadata for a keysetResult(), also sent as a Link header. `total` is the row
+// count of the whole list when it is counted, sent as X-Total-Count.
+function pageMeta(req, res, result, total) {
+  const links = [`<${pageUrl(req)}>; rel="first"`];
+  if (result.prevCursor) links.push(`<${pageUrl(req, result.prevCursor)}>; rel="prev"`);
+  if (result.nextCursor) links.push(`<${pageUrl(req, result.nextCursor)}>; rel="next"`);
+  if (total > 0) {
+    links.push(`<${pageUrl(req, encodeCursor({ f: req.page.fingerprint, r: total + 1, b: 1 }))}>; rel="last"`);
+  }
+
+  res.set('Link', links.join(', '));
+  if (total !== undefined) res.set('X-Total-Count', String(total));
+
+  return {
+    limit: req.page.limit,
+    ...(total !== undefined && { total }),
+    hasMore: result.hasMore,
+    nextCursor: result.nextCursor,
+    prevCursor: result.prevCursor
+  };
+}
+
+module.exports = {
+  paginate,
+  keyset,
+  keysetRows,
+  keysetResult,
+  rowKey,
+  listsResult,
+  pageMeta,
+  encodeCursor,
+  decodeCursor,
+  MAX_LIMIT
+};
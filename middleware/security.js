@@ -15,6 +15,7 @@ const securityMiddleware = helmet({
         "'self'", 
         "'unsafe-inline'", 
         "https://cdnjs.cloudflare.com",
+        "https://cdn.jsdelivr.net", // Swagger UI on /api/docs
         "https://fonts.googleapis.com"
       ],
       fontSrc: [
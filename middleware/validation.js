@@ -1,4 +1,6 @@
 // middleware/validation.js
+const { TRACKED_COUNTRIES, DEFAULT_COUNTRY, normalizeCountry } = require('../config/countries');
+const { TRACKED_MODES, DEFAULT_MODE, normalizeMode } = require('../config/modes');
 
 // Input validation helper
 const validateInput = (rules) => {
@@ -125,35 +127,6 @@ const validateRateLimit = (windowMs, maxRequests, keyGenerator = null) => {
   };
 };
 
-// Validate pagination parameters
-const validatePagination = (req, res, next) => {
-  const { limit, offset } = req.query;
-  
-  if (limit !== undefined) {
-    const limitNum = parseInt(limit);
-    if (isNaN(limitNum) || limitNum < 1 || limitNum > 1000) {
-      return res.status(400).json({
-        success: false,
-        error: 'Limit must be between 1 and 1000'
-      });
-    }
-    req.query.limit = limitNum;
-  }
-  
-  if (offset !== undefined) {
-    const offsetNum = parseInt(offset);
-    if (isNaN(offsetNum) || offsetNum < 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Offset must be 0 or greater'
-      });
-    }
-    req.query.offset = offsetNum;
-  }
-  
-  next();
-};
-
 // Validate sort parameters
 const validateSort = (allowedFields, defaultField = null, defaultOrder = 'DESC') => {
   return (req, res, next) => {
@@ -259,14 +232,79 @@ const validateMods = (req, res, next) => {
   next();
 };
 
+// Validate country parameter and expose it as req.country
+const validateCountry = (req, res, next) => {
+  const requested = req.query.country;
+  
+  if (requested === undefined || requested === '') {
+    req.country = DEFAULT_COUNTRY;
+    req.countryExplicit = false;
+    return next();
+  }
+  
+  const country = normalizeCountry(requested);
+  if (!TRACKED_COUNTRIES.includes(country)) {
+    return res.status(400).json({
+      success: false,
+      error: `Country must be one of: ${TRACKED_COUNTRIES.join(', ')}`
+    });
+  }
+  
+  req.country = country;
+  req.countryExplicit = true;
+  next();
+};
+
+validateCountry.apiSchema = {
+  query: {
+    country: {
+      type: 'string',
+      enum: TRACKED_COUNTRIES,
+      description: `Country code, ${DEFAULT_COUNTRY} when omitted`
+    }
+  }
+};
+
+// Validate game mode parameter and expose it as req.mode
+const validateMode = (req, res, next) => {
+  const requested = req.query.mode;
+  
+  if (requested === undefined || requested === '') {
+    req.mode = DEFAULT_MODE;
+    return next();
+  }
+  
+  const mode = normalizeMode(requested);
+  if (!TRACKED_MODES.includes(mode)) {
+    return res.status(400).json({
+      success: false,
+      error: `Mode must be one of: ${TRACKED_MODES.join(', ')}`
+    });
+  }
+  
+  req.mode = mode;
+  next();
+};
+
+validateMode.apiSchema = {
+  query: {
+    mode: {
+      type: 'string',
+      enum: TRACKED_MODES,
+      description: `Game mode, ${DEFAULT_MODE} when omitted`
+    }
+  }
+};
+
 module.exports = {
   validateInput,
   sanitizeInput,
   validateRateLimit,
-  validatePagination,
   validateSort,
   validateUsername,
   validateRange,
   validateDifficultyRange,
-  validateMods
+  validateMods,
+  validateCountry,
+  validateMode
 };
\ No newline at end of file
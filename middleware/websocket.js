@@ -1,4 +1,5 @@
 const WebSocket = require('ws');
+const { webhookService } = require('../services/webhooks');
 
 class WebSocketManager {
   constructor() {
@@ -178,9 +179,15 @@ class WebSocketManager {
 // Create singleton instance
 const wsManager = new WebSocketManager();
 
+// Fan an event out to WebSocket clients and webhook subscribers
+function broadcastToClients(data) {
+  webhookService.dispatch(data).catch(err => console.error('❌ Webhook dispatch failed:', err.message));
+  return wsManager.broadcast(data);
+}
+
 // Export both the manager and a convenience function
 module.exports = {
   WebSocketManager,
   wsManager,
-  broadcastToClients: (data) => wsManager.broadcast(data)
+  broadcastToClients
 };
\ No newline at end of file
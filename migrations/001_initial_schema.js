@@ -0,0 +1,351 @@
+// Baseline schema. Tables use IF NOT EXISTS and the ALTERs below bring databases
+// created by the old ensureTables()/addMissingColumns() bootstrap up to the same shape.
+
+async function up(client) {
+  // Core leaderboard table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS algeria_top50 (
+      beatmap_id BIGINT,
+      beatmap_title TEXT,
+      artist TEXT,
+      difficulty_name TEXT,
+      player_id BIGINT,
+      username TEXT,
+      rank INTEGER,
+      score BIGINT,
+      accuracy REAL,
+      accuracy_text TEXT,
+      mods TEXT,
+      pp REAL DEFAULT 0,
+      difficulty_rating REAL DEFAULT 0,
+      max_combo INTEGER DEFAULT 0,
+      count_300 INTEGER DEFAULT 0,
+      count_100 INTEGER DEFAULT 0,
+      count_50 INTEGER DEFAULT 0,
+      count_miss INTEGER DEFAULT 0,
+      play_date BIGINT,
+      last_updated BIGINT,
+      country TEXT DEFAULT 'DZ',
+      mode TEXT DEFAULT 'osu',
+      PRIMARY KEY (beatmap_id, player_id, mode)
+    )
+  `);
+
+  // Enhanced player statistics
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS player_stats (
+      username TEXT PRIMARY KEY,
+      user_id BIGINT UNIQUE,
+      total_scores INTEGER DEFAULT 0,
+      avg_rank REAL DEFAULT 0,
+      best_score BIGINT DEFAULT 0,
+      total_pp REAL DEFAULT 0,
+      weighted_pp REAL DEFAULT 0,
+      first_places INTEGER DEFAULT 0,
+      top_10_places INTEGER DEFAULT 0,
+      accuracy_avg REAL DEFAULT 0,
+      playcount INTEGER DEFAULT 0,
+      total_playtime INTEGER DEFAULT 0,
+      level REAL DEFAULT 1,
+      global_rank INTEGER DEFAULT 0,
+      country_rank INTEGER DEFAULT 0,
+      join_date TIMESTAMP,
+      last_seen TIMESTAMP DEFAULT now(),
+      last_calculated BIGINT DEFAULT 0,
+      is_active BOOLEAN DEFAULT true,
+      avatar_url TEXT,
+      cover_url TEXT,
+      country TEXT DEFAULT 'DZ'
+    )
+  `);
+
+  // Per-mode player statistics
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS player_mode_stats (
+      username TEXT,
+      mode TEXT,
+      country TEXT DEFAULT 'DZ',
+      total_scores INTEGER DEFAULT 0,
+      avg_rank REAL DEFAULT 0,
+      best_score BIGINT DEFAULT 0,
+      total_pp REAL DEFAULT 0,
+      weighted_pp REAL DEFAULT 0,
+      first_places INTEGER DEFAULT 0,
+      top_10_places INTEGER DEFAULT 0,
+      accuracy_avg REAL DEFAULT 0,
+      playcount INTEGER DEFAULT 0,
+      total_playtime INTEGER DEFAULT 0,
+      global_rank INTEGER DEFAULT 0,
+      country_rank INTEGER DEFAULT 0,
+      last_calculated BIGINT DEFAULT 0,
+      PRIMARY KEY (username, mode),
+      FOREIGN KEY (username) REFERENCES player_stats(username) ON DELETE CASCADE
+    )
+  `);
+
+  // Skill tracking system
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS skill_tracking (
+      id SERIAL PRIMARY KEY,
+      username TEXT,
+      skill_type TEXT,
+      skill_value REAL,
+      confidence REAL DEFAULT 0.5,
+      calculated_at BIGINT,
+      mode TEXT DEFAULT 'osu',
+      FOREIGN KEY (username) REFERENCES player_stats(username) ON DELETE CASCADE
+    )
+  `);
+
+  // Achievements system
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS achievements (
+      id SERIAL PRIMARY KEY,
+      name TEXT UNIQUE,
+      description TEXT,
+      category TEXT,
+      icon TEXT,
+      points INTEGER DEFAULT 0,
+      created_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS player_achievements (
+      id SERIAL PRIMARY KEY,
+      username TEXT,
+      achievement_id INTEGER,
+      unlocked_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000,
+      progress REAL DEFAULT 1.0,
+      FOREIGN KEY (username) REFERENCES player_stats(username) ON DELETE CASCADE,
+      FOREIGN KEY (achievement_id) REFERENCES achievements(id),
+      UNIQUE(username, achievement_id)
+    )
+  `);
+
+  // Activity tracking
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS player_activity (
+      id SERIAL PRIMARY KEY,
+      username TEXT,
+      activity_type TEXT,
+      activity_data JSONB,
+      timestamp BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000,
+      FOREIGN KEY (username) REFERENCES player_stats(username) ON DELETE CASCADE
+    )
+  `);
+
+  // Daily statistics
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS daily_stats (
+      date DATE,
+      country TEXT DEFAULT 'DZ',
+      active_players INTEGER DEFAULT 0,
+      new_scores INTEGER DEFAULT 0,
+      new_players INTEGER DEFAULT 0,
+      total_pp_gained REAL DEFAULT 0,
+      average_accuracy REAL DEFAULT 0,
+      top_score BIGINT DEFAULT 0,
+      PRIMARY KEY (date, country)
+    )
+  `);
+
+  // Beatmap metadata
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS beatmap_metadata (
+      beatmap_id BIGINT PRIMARY KEY,
+      beatmapset_id BIGINT,
+      artist TEXT,
+      title TEXT,
+      version TEXT,
+      creator TEXT,
+      difficulty_rating REAL,
+      cs REAL,
+      ar REAL,
+      od REAL,
+      hp REAL,
+      length INTEGER,
+      bpm REAL,
+      max_combo INTEGER,
+      tags TEXT[],
+      genre_id INTEGER,
+      language_id INTEGER,
+      play_count INTEGER DEFAULT 0,
+      favorite_count INTEGER DEFAULT 0,
+      ranked_date BIGINT,
+      last_updated BIGINT
+    )
+  `);
+
+  // Player discovery tables
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS player_discovery_log (
+      id SERIAL PRIMARY KEY,
+      username TEXT,
+      user_id BIGINT,
+      discovery_method TEXT,
+      discovery_timestamp BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000,
+      is_new_player BOOLEAN DEFAULT false,
+      player_data JSONB
+    )
+  `);
+
+  // Social features
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS player_relationships (
+      id SERIAL PRIMARY KEY,
+      follower_username TEXT,
+      following_username TEXT,
+      relationship_type TEXT DEFAULT 'follow',
+      created_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000,
+      FOREIGN KEY (follower_username) REFERENCES player_stats(username) ON DELETE CASCADE,
+      FOREIGN KEY (following_username) REFERENCES player_stats(username) ON DELETE CASCADE,
+      UNIQUE(follower_username, following_username)
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS player_comments (
+      id SERIAL PRIMARY KEY,
+      target_username TEXT,
+      commenter_username TEXT,
+      comment_text TEXT,
+      created_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000,
+      is_deleted BOOLEAN DEFAULT false,
+      FOREIGN KEY (target_username) REFERENCES player_stats(username) ON DELETE CASCADE,
+      FOREIGN KEY (commenter_username) REFERENCES player_stats(username) ON DELETE CASCADE
+    )
+  `);
+
+  // Columns added over time by the old bootstrap
+  const columnUpdates = [
+    'ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS pp REAL DEFAULT 0',
+    'ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS artist TEXT',
+    'ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS difficulty_name TEXT',
+    'ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS difficulty_rating REAL DEFAULT 0',
+    'ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS max_combo INTEGER DEFAULT 0',
+    'ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS count_300 INTEGER DEFAULT 0',
+    'ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS count_100 INTEGER DEFAULT 0',
+    'ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS count_50 INTEGER DEFAULT 0',
+    'ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS count_miss INTEGER DEFAULT 0',
+    'ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS accuracy REAL',
+    'ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS accuracy_text TEXT',
+    'ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS mods TEXT',
+    'ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS play_date BIGINT',
+    'ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS last_updated BIGINT',
+    "ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS country TEXT DEFAULT 'DZ'",
+    "ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS mode TEXT DEFAULT 'osu'",
+    'ALTER TABLE player_stats ADD COLUMN IF NOT EXISTS user_id BIGINT',
+    'ALTER TABLE player_stats ADD COLUMN IF NOT EXISTS join_date TIMESTAMP',
+    'ALTER TABLE player_stats ADD COLUMN IF NOT EXISTS last_seen TIMESTAMP DEFAULT now()',
+    "ALTER TABLE player_stats ADD COLUMN IF NOT EXISTS country TEXT DEFAULT 'DZ'",
+    "ALTER TABLE skill_tracking ADD COLUMN IF NOT EXISTS mode TEXT DEFAULT 'osu'",
+    "ALTER TABLE daily_stats ADD COLUMN IF NOT EXISTS country TEXT DEFAULT 'DZ'"
+  ];
+
+  for (const sql of columnUpdates) {
+    await client.query(sql);
+  }
+
+  // ensureTables() created join_date/last_seen as epoch milliseconds; discovery writes timestamps
+  await client.query(`
+    DO $$ BEGIN
+      IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'player_stats' AND column_name = 'last_seen' AND data_type = 'bigint'
+      ) THEN
+        ALTER TABLE player_stats ALTER COLUMN last_seen DROP DEFAULT;
+        ALTER TABLE player_stats ALTER COLUMN last_seen TYPE TIMESTAMP USING to_timestamp(last_seen / 1000.0);
+        ALTER TABLE player_stats ALTER COLUMN last_seen SET DEFAULT now();
+      END IF;
+      IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'player_stats' AND column_name = 'join_date' AND data_type = 'bigint'
+      ) THEN
+        ALTER TABLE player_stats ALTER COLUMN join_date TYPE TIMESTAMP USING to_timestamp(join_date / 1000.0);
+      END IF;
+    END $$
+  `);
+
+  // Primary keys widened for the country and mode dimensions
+  await client.query(`
+    DO $$ BEGIN
+      IF NOT EXISTS (
+        SELECT 1 FROM information_schema.key_column_usage
+        WHERE table_name = 'daily_stats' AND constraint_name = 'daily_stats_pkey' AND column_name = 'country'
+      ) THEN
+        ALTER TABLE daily_stats DROP CONSTRAINT IF EXISTS daily_stats_pkey;
+        ALTER TABLE daily_stats ADD PRIMARY KEY (date, country);
+      END IF;
+      IF NOT EXISTS (
+        SELECT 1 FROM information_schema.key_column_usage
+        WHERE table_name = 'algeria_top50' AND constraint_name = 'algeria_top50_pkey' AND column_name = 'mode'
+      ) THEN
+        ALTER TABLE algeria_top50 DROP CONSTRAINT IF EXISTS algeria_top50_pkey;
+        ALTER TABLE algeria_top50 ADD PRIMARY KEY (beatmap_id, player_id, mode);
+      END IF;
+    END $$
+  `);
+
+  // Existing player stats were all osu!standard
+  await client.query(`
+    INSERT INTO player_mode_stats (
+      username, mode, country, total_scores, avg_rank, best_score, total_pp, weighted_pp,
+      first_places, top_10_places, accuracy_avg, playcount, total_playtime,
+      global_rank, country_rank, last_calculated
+    )
+    SELECT
+      username, 'osu', country, total_scores, avg_rank, best_score, total_pp, weighted_pp,
+      first_places, top_10_places, accuracy_avg, playcount, total_playtime,
+      global_rank, country_rank, last_calculated
+    FROM player_stats
+    ON CONFLICT (username, mode) DO NOTHING
+  `);
+
+  // Indexes for performance (migrations run in a transaction, so no CONCURRENTLY)
+  const indexes = [
+    'CREATE INDEX IF NOT EXISTS idx_algeria_score ON algeria_top50(score DESC)',
+    'CREATE INDEX IF NOT EXISTS idx_algeria_rank ON algeria_top50(rank ASC)',
+    'CREATE INDEX IF NOT EXISTS idx_algeria_pp ON algeria_top50(pp DESC)',
+    'CREATE INDEX IF NOT EXISTS idx_algeria_updated ON algeria_top50(last_updated DESC)',
+    'CREATE INDEX IF NOT EXISTS idx_algeria_username ON algeria_top50(username)',
+    'CREATE INDEX IF NOT EXISTS idx_algeria_beatmap ON algeria_top50(beatmap_id)',
+    'CREATE INDEX IF NOT EXISTS idx_algeria_country ON algeria_top50(country, beatmap_id)',
+    'CREATE INDEX IF NOT EXISTS idx_algeria_mode ON algeria_top50(mode, country, beatmap_id)',
+    'CREATE INDEX IF NOT EXISTS idx_player_stats_country ON player_stats(country, weighted_pp DESC)',
+    'CREATE INDEX IF NOT EXISTS idx_player_stats_pp ON player_stats(weighted_pp DESC)',
+    'CREATE INDEX IF NOT EXISTS idx_player_stats_active ON player_stats(is_active, last_seen DESC)',
+    'CREATE INDEX IF NOT EXISTS idx_player_mode_stats_rank ON player_mode_stats(mode, country, weighted_pp DESC)',
+    'CREATE INDEX IF NOT EXISTS idx_player_activity_time ON player_activity(timestamp DESC)',
+    'CREATE INDEX IF NOT EXISTS idx_skill_tracking_username ON skill_tracking(username)',
+    'CREATE INDEX IF NOT EXISTS idx_skill_tracking_time ON skill_tracking(calculated_at DESC)',
+    'CREATE INDEX IF NOT EXISTS idx_discovery_log_timestamp ON player_discovery_log(discovery_timestamp DESC)',
+    'CREATE INDEX IF NOT EXISTS idx_beatmap_metadata_difficulty ON beatmap_metadata(difficulty_rating)',
+    'CREATE INDEX IF NOT EXISTS idx_achievements_category ON achievements(category)',
+    'CREATE INDEX IF NOT EXISTS idx_player_achievements_username ON player_achievements(username)'
+  ];
+
+  for (const sql of indexes) {
+    await client.query(sql);
+  }
+}
+
+async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS
+      player_comments,
+      player_relationships,
+      player_discovery_log,
+      beatmap_metadata,
+      daily_stats,
+      player_activity,
+      player_achievements,
+      achievements,
+      skill_tracking,
+      player_mode_stats,
+      player_stats,
+      algeria_top50
+  `);
+}
+
+module.exports = { up, down };
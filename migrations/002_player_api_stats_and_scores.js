@@ -0,0 +1,33 @@
+// Columns written by fetchGeneralStats and the scores table written by fetchStandardScores.
+// Both jobs used to target `players`/`scores` tables that were never created.
+
+async function up(client) {
+  await client.query('ALTER TABLE player_stats ADD COLUMN IF NOT EXISTS hit_accuracy REAL DEFAULT 0');
+  await client.query('ALTER TABLE player_stats ADD COLUMN IF NOT EXISTS total_score BIGINT DEFAULT 0');
+  await client.query('ALTER TABLE player_stats ADD COLUMN IF NOT EXISTS ranked_score BIGINT DEFAULT 0');
+
+  // Best and recent scores of tracked players, regardless of local leaderboard position
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS scores (
+      score_id BIGINT PRIMARY KEY,
+      user_id BIGINT,
+      beatmap_id BIGINT,
+      mode TEXT DEFAULT 'osu',
+      pp REAL DEFAULT 0,
+      accuracy REAL,
+      mods TEXT,
+      date_played BIGINT
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_scores_user ON scores(user_id, mode, date_played DESC)');
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS scores');
+  await client.query('ALTER TABLE player_stats DROP COLUMN IF EXISTS ranked_score');
+  await client.query('ALTER TABLE player_stats DROP COLUMN IF EXISTS total_score');
+  await client.query('ALTER TABLE player_stats DROP COLUMN IF EXISTS hit_accuracy');
+}
+
+module.exports = { up, down };
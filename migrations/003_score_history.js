@@ -0,0 +1,48 @@
+// Append-only log of every observed version of a player's score on a beatmap.
+// algeria_top50 keeps only the current state; this keeps what it replaced.
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS score_history (
+      id BIGSERIAL PRIMARY KEY,
+      beatmap_id BIGINT NOT NULL,
+      player_id BIGINT NOT NULL,
+      username TEXT,
+      country TEXT DEFAULT 'DZ',
+      mode TEXT DEFAULT 'osu',
+      rank INTEGER,
+      score BIGINT,
+      pp REAL DEFAULT 0,
+      accuracy REAL,
+      mods TEXT,
+      max_combo INTEGER DEFAULT 0,
+      count_miss INTEGER DEFAULT 0,
+      play_date BIGINT,
+      observed_at BIGINT NOT NULL,
+      changes TEXT[] NOT NULL
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_score_history_beatmap ON score_history(beatmap_id, mode, country, observed_at DESC)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_score_history_player ON score_history(player_id, beatmap_id, mode, observed_at)');
+
+  // Seed with the scores we already hold so the first improvement has something to diff against
+  await client.query(`
+    INSERT INTO score_history (
+      beatmap_id, player_id, username, country, mode, rank, score, pp, accuracy,
+      mods, max_combo, count_miss, play_date, observed_at, changes
+    )
+    SELECT
+      beatmap_id, player_id, username, country, mode, rank, score, pp, accuracy,
+      mods, max_combo, count_miss, play_date,
+      COALESCE(last_updated, play_date, EXTRACT(EPOCH FROM NOW())::BIGINT * 1000),
+      ARRAY['new']
+    FROM algeria_top50
+  `);
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS score_history');
+}
+
+module.exports = { up, down };
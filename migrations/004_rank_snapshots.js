@@ -0,0 +1,28 @@
+// One row per player, mode and day so rank trends can be computed from real history
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS rank_snapshots (
+      snapshot_date DATE NOT NULL,
+      username TEXT NOT NULL,
+      mode TEXT NOT NULL DEFAULT 'osu',
+      country TEXT DEFAULT 'DZ',
+      global_rank INTEGER DEFAULT 0,
+      country_rank INTEGER DEFAULT 0,
+      weighted_pp REAL DEFAULT 0,
+      accuracy REAL DEFAULT 0,
+      playcount INTEGER DEFAULT 0,
+      PRIMARY KEY (snapshot_date, username, mode),
+      FOREIGN KEY (username) REFERENCES player_stats(username) ON DELETE CASCADE ON UPDATE CASCADE
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_rank_snapshots_country ON rank_snapshots(country, mode, snapshot_date DESC)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_rank_snapshots_player ON rank_snapshots(username, mode, snapshot_date DESC)');
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS rank_snapshots');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,26 @@
+// Persistent queue of Discord webhook deliveries so notifications survive restarts
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS discord_outbox (
+      id BIGSERIAL PRIMARY KEY,
+      event_type TEXT NOT NULL,
+      payload JSONB NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER DEFAULT 0,
+      last_error TEXT,
+      next_attempt_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000,
+      locked_at BIGINT,
+      created_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000,
+      sent_at BIGINT
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_discord_outbox_due ON discord_outbox(status, next_attempt_at)');
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS discord_outbox');
+}
+
+module.exports = { up, down };
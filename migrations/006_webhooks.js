@@ -0,0 +1,46 @@
+// Outbound webhook subscriptions and their delivery log
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+      id SERIAL PRIMARY KEY,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      events TEXT[] NOT NULL DEFAULT '{}',
+      description TEXT,
+      is_active BOOLEAN DEFAULT true,
+      created_by TEXT,
+      created_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000,
+      updated_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id BIGSERIAL PRIMARY KEY,
+      subscription_id INTEGER NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+      event_type TEXT NOT NULL,
+      payload JSONB NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER DEFAULT 0,
+      response_status INTEGER,
+      response_body TEXT,
+      last_error TEXT,
+      next_attempt_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000,
+      locked_at BIGINT,
+      redelivery_of BIGINT REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+      created_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000,
+      delivered_at BIGINT
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, created_at DESC)');
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS webhook_deliveries');
+  await client.query('DROP TABLE IF EXISTS webhook_subscriptions');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,38 @@
+// Player accounts verified through osu! OAuth, and their refresh tokens
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS user_accounts (
+      id SERIAL PRIMARY KEY,
+      osu_user_id BIGINT UNIQUE NOT NULL,
+      username TEXT REFERENCES player_stats(username) ON UPDATE CASCADE ON DELETE SET NULL,
+      role TEXT NOT NULL DEFAULT 'user',
+      created_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000,
+      last_login_at BIGINT
+    )
+  `);
+
+  // Only a hash of each refresh token is stored
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id BIGSERIAL PRIMARY KEY,
+      account_id INTEGER NOT NULL REFERENCES user_accounts(id) ON DELETE CASCADE,
+      token_hash TEXT UNIQUE NOT NULL,
+      expires_at BIGINT NOT NULL,
+      created_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000,
+      revoked_at BIGINT,
+      replaced_by BIGINT REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+      user_agent TEXT,
+      ip TEXT
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_refresh_tokens_account ON refresh_tokens(account_id)');
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS refresh_tokens');
+  await client.query('DROP TABLE IF EXISTS user_accounts');
+}
+
+module.exports = { up, down };
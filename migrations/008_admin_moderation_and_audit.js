@@ -0,0 +1,32 @@
+// Player moderation state and the admin audit trail
+
+async function up(client) {
+  // Set while a player is banned or hidden; discovery must not reactivate them
+  await client.query('ALTER TABLE player_stats ADD COLUMN IF NOT EXISTS moderation_status TEXT');
+  await client.query('ALTER TABLE player_stats ADD COLUMN IF NOT EXISTS moderation_reason TEXT');
+  await client.query('ALTER TABLE player_stats ADD COLUMN IF NOT EXISTS moderated_by TEXT');
+  await client.query('ALTER TABLE player_stats ADD COLUMN IF NOT EXISTS moderated_at BIGINT');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS admin_audit_log (
+      id BIGSERIAL PRIMARY KEY,
+      actor TEXT,
+      action TEXT NOT NULL,
+      target TEXT,
+      payload JSONB,
+      created_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created ON admin_audit_log(created_at DESC)');
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS admin_audit_log');
+  await client.query('ALTER TABLE player_stats DROP COLUMN IF EXISTS moderated_at');
+  await client.query('ALTER TABLE player_stats DROP COLUMN IF EXISTS moderated_by');
+  await client.query('ALTER TABLE player_stats DROP COLUMN IF EXISTS moderation_reason');
+  await client.query('ALTER TABLE player_stats DROP COLUMN IF EXISTS moderation_status');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,22 @@
+// Request details for the admin audit log, written by logAdminAction for every admin write
+
+async function up(client) {
+  await client.query('ALTER TABLE admin_audit_log ADD COLUMN IF NOT EXISTS method TEXT');
+  await client.query('ALTER TABLE admin_audit_log ADD COLUMN IF NOT EXISTS path TEXT');
+  await client.query('ALTER TABLE admin_audit_log ADD COLUMN IF NOT EXISTS ip TEXT');
+  await client.query('ALTER TABLE admin_audit_log ADD COLUMN IF NOT EXISTS status INTEGER');
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_admin_audit_log_actor ON admin_audit_log(actor, created_at DESC)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_admin_audit_log_action ON admin_audit_log(action, created_at DESC)');
+}
+
+async function down(client) {
+  await client.query('DROP INDEX IF EXISTS idx_admin_audit_log_action');
+  await client.query('DROP INDEX IF EXISTS idx_admin_audit_log_actor');
+  await client.query('ALTER TABLE admin_audit_log DROP COLUMN IF EXISTS status');
+  await client.query('ALTER TABLE admin_audit_log DROP COLUMN IF EXISTS ip');
+  await client.query('ALTER TABLE admin_audit_log DROP COLUMN IF EXISTS path');
+  await client.query('ALTER TABLE admin_audit_log DROP COLUMN IF EXISTS method');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,17 @@
+// Indexes for follower lists and the activity feed of followed players
+
+async function up(client) {
+  await client.query('CREATE INDEX IF NOT EXISTS idx_player_relationships_follower ON player_relationships(follower_username, created_at DESC)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_player_relationships_following ON player_relationships(following_username, created_at DESC)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_player_activity_username ON player_activity(username, timestamp DESC)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_player_achievements_unlocked ON player_achievements(username, unlocked_at DESC)');
+}
+
+async function down(client) {
+  await client.query('DROP INDEX IF EXISTS idx_player_achievements_unlocked');
+  await client.query('DROP INDEX IF EXISTS idx_player_activity_username');
+  await client.query('DROP INDEX IF EXISTS idx_player_relationships_following');
+  await client.query('DROP INDEX IF EXISTS idx_player_relationships_follower');
+}
+
+module.exports = { up, down };
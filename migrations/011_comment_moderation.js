@@ -0,0 +1,54 @@
+// Editing, reporting and moderation for player profile comments
+
+async function up(client) {
+  await client.query('ALTER TABLE player_comments ADD COLUMN IF NOT EXISTS updated_at BIGINT');
+  await client.query('ALTER TABLE player_comments ADD COLUMN IF NOT EXISTS deleted_at BIGINT');
+  await client.query('ALTER TABLE player_comments ADD COLUMN IF NOT EXISTS is_hidden BOOLEAN DEFAULT false');
+  await client.query('ALTER TABLE player_comments ADD COLUMN IF NOT EXISTS hidden_reason TEXT');
+  await client.query('ALTER TABLE player_comments ADD COLUMN IF NOT EXISTS hidden_by TEXT');
+  await client.query('ALTER TABLE player_comments ADD COLUMN IF NOT EXISTS hidden_at BIGINT');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS comment_reports (
+      id SERIAL PRIMARY KEY,
+      comment_id INTEGER NOT NULL REFERENCES player_comments(id) ON DELETE CASCADE,
+      reporter_username TEXT NOT NULL REFERENCES player_stats(username) ON DELETE CASCADE ON UPDATE CASCADE,
+      reason TEXT,
+      created_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000,
+      resolved_at BIGINT,
+      resolved_by TEXT,
+      resolution TEXT,
+      UNIQUE(comment_id, reporter_username)
+    )
+  `);
+
+  // Players barred from commenting, optionally until expires_at
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS comment_bans (
+      username TEXT PRIMARY KEY REFERENCES player_stats(username) ON DELETE CASCADE ON UPDATE CASCADE,
+      reason TEXT,
+      banned_by TEXT,
+      created_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000,
+      expires_at BIGINT
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_player_comments_target ON player_comments(target_username, created_at DESC)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_player_comments_commenter ON player_comments(commenter_username, created_at DESC)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_comment_reports_open ON comment_reports(comment_id) WHERE resolved_at IS NULL');
+}
+
+async function down(client) {
+  await client.query('DROP INDEX IF EXISTS idx_player_comments_commenter');
+  await client.query('DROP INDEX IF EXISTS idx_player_comments_target');
+  await client.query('DROP TABLE IF EXISTS comment_bans');
+  await client.query('DROP TABLE IF EXISTS comment_reports');
+  await client.query('ALTER TABLE player_comments DROP COLUMN IF EXISTS hidden_at');
+  await client.query('ALTER TABLE player_comments DROP COLUMN IF EXISTS hidden_by');
+  await client.query('ALTER TABLE player_comments DROP COLUMN IF EXISTS hidden_reason');
+  await client.query('ALTER TABLE player_comments DROP COLUMN IF EXISTS is_hidden');
+  await client.query('ALTER TABLE player_comments DROP COLUMN IF EXISTS deleted_at');
+  await client.query('ALTER TABLE player_comments DROP COLUMN IF EXISTS updated_at');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,41 @@
+// Difficulty attributes computed from parsed .osu files
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS beatmap_attributes (
+      beatmap_id BIGINT PRIMARY KEY,
+      beatmapset_id BIGINT,
+      file_md5 TEXT,
+      mode TEXT DEFAULT 'osu',
+      star_rating REAL,
+      aim_difficulty REAL,
+      speed_difficulty REAL,
+      max_combo INTEGER,
+      count_circles INTEGER,
+      count_sliders INTEGER,
+      count_spinners INTEGER,
+      drain_time REAL,
+      total_length REAL,
+      bpm_min REAL,
+      bpm_max REAL,
+      bpm_main REAL,
+      note_density REAL,
+      peak_density INTEGER,
+      stream_ratio REAL,
+      jump_ratio REAL,
+      tech_ratio REAL,
+      classification TEXT,
+      source TEXT,
+      computed_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000
+    )
+  `);
+
+  await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_beatmap_attributes_md5 ON beatmap_attributes(file_md5)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_beatmap_attributes_classification ON beatmap_attributes(classification)');
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS beatmap_attributes');
+}
+
+module.exports = { up, down };
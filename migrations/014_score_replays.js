@@ -0,0 +1,55 @@
+// Uploaded .osr replays with their analysis, plus what is needed to match them to beatmaps
+
+async function up(client) {
+  // MD5 of the beatmap's .osu file, which replays identify the beatmap by
+  await client.query('ALTER TABLE beatmap_metadata ADD COLUMN IF NOT EXISTS checksum TEXT');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_beatmap_metadata_checksum ON beatmap_metadata(checksum)');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS beatmap_files (
+      beatmap_id BIGINT PRIMARY KEY,
+      file_md5 TEXT NOT NULL,
+      content BYTEA NOT NULL,
+      fetched_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS score_replays (
+      id SERIAL PRIMARY KEY,
+      replay_md5 TEXT NOT NULL UNIQUE,
+      beatmap_md5 TEXT NOT NULL,
+      beatmap_id BIGINT,
+      player_id BIGINT,
+      player_name TEXT NOT NULL,
+      mode TEXT DEFAULT 'osu',
+      mods TEXT,
+      score BIGINT,
+      max_combo INTEGER,
+      count_300 INTEGER,
+      count_100 INTEGER,
+      count_50 INTEGER,
+      count_geki INTEGER,
+      count_katu INTEGER,
+      count_miss INTEGER,
+      perfect BOOLEAN DEFAULT FALSE,
+      played_at BIGINT,
+      online_score_id BIGINT,
+      matched_score BOOLEAN DEFAULT FALSE,
+      analysis JSONB,
+      uploaded_by INTEGER REFERENCES user_accounts(id) ON DELETE SET NULL,
+      uploaded_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_score_replays_score ON score_replays(beatmap_id, player_id, mode)');
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS score_replays');
+  await client.query('DROP TABLE IF EXISTS beatmap_files');
+  await client.query('DROP INDEX IF EXISTS idx_beatmap_metadata_checksum');
+  await client.query('ALTER TABLE beatmap_metadata DROP COLUMN IF EXISTS checksum');
+}
+
+module.exports = { up, down };
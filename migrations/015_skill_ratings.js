@@ -0,0 +1,27 @@
+// Glicko-style rating per player, mode and skill, updated from country percentiles
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS skill_ratings (
+      username TEXT NOT NULL,
+      mode TEXT NOT NULL DEFAULT 'osu',
+      skill_type TEXT NOT NULL,
+      rating REAL NOT NULL,
+      deviation REAL NOT NULL,
+      percentile REAL,
+      observations INTEGER DEFAULT 0,
+      last_score_date BIGINT DEFAULT 0,
+      updated_at BIGINT,
+      PRIMARY KEY (username, mode, skill_type),
+      FOREIGN KEY (username) REFERENCES player_stats(username) ON DELETE CASCADE
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_skill_ratings_leaderboard ON skill_ratings(mode, skill_type, rating DESC)');
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS skill_ratings');
+}
+
+module.exports = { up, down };
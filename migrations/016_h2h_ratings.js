@@ -0,0 +1,41 @@
+// Glicko-2 ratings from head-to-head results on shared beatmap leaderboards, and how far
+// each leaderboard has been processed so only new scores make new matches
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS h2h_ratings (
+      username TEXT NOT NULL,
+      mode TEXT NOT NULL DEFAULT 'osu',
+      country TEXT,
+      rating REAL NOT NULL,
+      deviation REAL NOT NULL,
+      volatility REAL NOT NULL,
+      matches INTEGER DEFAULT 0,
+      wins INTEGER DEFAULT 0,
+      losses INTEGER DEFAULT 0,
+      draws INTEGER DEFAULT 0,
+      updated_at BIGINT,
+      PRIMARY KEY (username, mode)
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS h2h_processed_beatmaps (
+      beatmap_id BIGINT NOT NULL,
+      mode TEXT NOT NULL DEFAULT 'osu',
+      country TEXT NOT NULL,
+      scores_updated_at BIGINT NOT NULL,
+      processed_at BIGINT NOT NULL,
+      PRIMARY KEY (beatmap_id, mode, country)
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_h2h_ratings_leaderboard ON h2h_ratings(country, mode, rating DESC)');
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS h2h_processed_beatmaps');
+  await client.query('DROP TABLE IF EXISTS h2h_ratings');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,40 @@
+// Every run of a scheduled job, and which jobs an admin has paused
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS job_runs (
+      id BIGSERIAL PRIMARY KEY,
+      job_name TEXT NOT NULL,
+      trigger TEXT NOT NULL DEFAULT 'schedule',
+      triggered_by TEXT,
+      instance_id TEXT,
+      status TEXT NOT NULL DEFAULT 'running',
+      started_at BIGINT NOT NULL,
+      heartbeat_at BIGINT,
+      finished_at BIGINT,
+      duration_ms INTEGER,
+      error TEXT,
+      counters JSONB
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_job_runs_job ON job_runs(job_name, started_at DESC)');
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_job_runs_running ON job_runs(status) WHERE status = 'running'`);
+
+  // Paused schedules hold for every instance and survive restarts
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS job_settings (
+      job_name TEXT PRIMARY KEY,
+      paused BOOLEAN NOT NULL DEFAULT false,
+      updated_by TEXT,
+      updated_at BIGINT
+    )
+  `);
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS job_settings');
+  await client.query('DROP TABLE IF EXISTS job_runs');
+}
+
+module.exports = { up, down };
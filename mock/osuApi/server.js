@@ -0,0 +1,433 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+
+// Offline stand-in for the osu! API v2 endpoints this project calls, answered from the JSON
+// fixtures next to this file in the shapes osu! returns. Any client id and secret get a token.
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const MODES = ['osu', 'taiko', 'fruits', 'mania'];
+
+// Faults and behaviours that can be switched on at start or at runtime
+//   rate-limit      every rateLimitEvery-th API request answers 429 with Retry-After
+//   server-errors   every errorEvery-th API request answers 500
+//   expired-tokens  tokens stop working (401) after tokenUses API requests
+//   paging          rankings, beatmapset search and match listings use pages of pagingPageSize
+const SCENARIOS = ['rate-limit', 'server-errors', 'expired-tokens', 'paging'];
+
+const DEFAULT_OPTIONS = {
+  fixturesDir: FIXTURES_DIR,
+  scenarios: [],
+  rateLimitEvery: 5,
+  retryAfterSeconds: 1,
+  errorEvery: 4,
+  tokenUses: 20,
+  pageSize: 50,
+  pagingPageSize: 2,
+  loginUserId: null // who /oauth/authorize signs in; defaults to the first fixture user
+};
+
+const TOKEN_TTL_SECONDS = 86400;
+
+function loadFixtures(dir) {
+  const read = (name) => JSON.parse(fs.readFileSync(path.join(dir, `${name}.json`), 'utf8'));
+  return {
+    users: read('users'),
+    beatmapsets: read('beatmapsets'),
+    scores: read('scores'),
+    matches: read('matches'),
+    osuFilesDir: path.join(dir, 'osu')
+  };
+}
+
+function parseScenarios(value) {
+  const names = Array.isArray(value) ? value : String(value || '').split(',');
+  const scenarios = names.map(name => name.trim()).filter(Boolean);
+  const unknown = scenarios.filter(name => !SCENARIOS.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown mock osu! scenarios: ${unknown.join(', ')} (known: ${SCENARIOS.join(', ')})`);
+  }
+  return new Set(scenarios);
+}
+
+// Cursors arrive as cursor_string (a page number, or base64 JSON as osu! issues them),
+// cursor[page] or page
+function requestedPage(query) {
+  if (query.cursor_string) {
+    const page = Number(query.cursor_string);
+    if (!Number.isNaN(page)) return Math.max(1, page);
+    try {
+      return Math.max(1, Number(JSON.parse(Buffer.from(query.cursor_string, 'base64').toString()).page) || 1);
+    } catch (err) {
+      return 1;
+    }
+  }
+  return Math.max(1, parseInt(query.cursor?.page || query.page) || 1);
+}
+
+function paginate(items, query, pageSize) {
+  const page = requestedPage(query);
+  const slice = items.slice((page - 1) * pageSize, page * pageSize);
+  const hasMore = page * pageSize < items.length;
+  const cursor = hasMore ? { page: page + 1 } : null;
+
+  return {
+    items: slice,
+    cursor,
+    cursor_string: cursor ? Buffer.from(JSON.stringify(cursor)).toString('base64') : null,
+    total: items.length
+  };
+}
+
+function createMockOsuApi(options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const fixtures = loadFixtures(settings.fixturesDir);
+  const state = {
+    scenarios: parseScenarios(settings.scenarios),
+    tokens: new Map(),
+    apiRequests: 0,
+    endpoints: {}
+  };
+
+  const pageSize = () => (state.scenarios.has('paging') ? settings.pagingPageSize : settings.pageSize);
+
+  // Fixture lookups in the shapes the API returns
+
+  const findUser = (key) => {
+    const value = String(key);
+    if (value.startsWith('@')) {
+      return fixtures.users.find(user => user.username.toLowerCase() === value.slice(1).toLowerCase());
+    }
+    return fixtures.users.find(user => String(user.id) === value)
+      || fixtures.users.find(user => user.username.toLowerCase() === value.toLowerCase());
+  };
+
+  const compactUser = (user) => ({
+    id: user.id,
+    username: user.username,
+    country_code: user.country_code,
+    country: user.country,
+    avatar_url: user.avatar_url,
+    cover: { url: user.cover_url },
+    is_active: user.is_active,
+    is_bot: false,
+    default_group: 'default'
+  });
+
+  const statisticsFor = (user, mode) => user.statistics_rulesets[mode] || {
+    global_rank: null,
+    country_rank: null,
+    pp: 0,
+    hit_accuracy: 0,
+    play_count: 0,
+    play_time: 0,
+    total_score: 0,
+    ranked_score: 0,
+    maximum_combo: 0,
+    level: { current: 1, progress: 0 },
+    grade_counts: { ss: 0, ssh: 0, s: 0, sh: 0, a: 0 }
+  };
+
+  const fullUser = (user, mode) => ({
+    ...compactUser(user),
+    cover_url: user.cover_url,
+    join_date: user.join_date,
+    playmode: Object.keys(user.statistics_rulesets)[0] || 'osu',
+    statistics: statisticsFor(user, mode),
+    statistics_rulesets: user.statistics_rulesets
+  });
+
+  const setOnly = ({ beatmaps, ...set }) => set;
+
+  const findBeatmap = (predicate) => {
+    for (const set of fixtures.beatmapsets) {
+      const beatmap = set.beatmaps.find(predicate);
+      if (beatmap) return { ...beatmap, beatmapset: setOnly(set) };
+    }
+    return null;
+  };
+
+  const scoreWithUser = (score) => ({ ...score, user: compactUser(findUser(score.user_id)) });
+
+  const scoreWithBeatmap = (score) => {
+    const { beatmapset, ...beatmap } = findBeatmap(bm => bm.id === score.beatmap_id);
+    return { ...scoreWithUser(score), beatmap, beatmapset };
+  };
+
+  const notFound = (res) => res.status(404).json({ error: null });
+
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  // Request counts per endpoint pattern, for /__mock/state
+  app.use((req, res, next) => {
+    res.on('finish', () => {
+      const endpoint = `${req.method} ${req.route ? req.baseUrl + req.route.path : req.path}`;
+      const counts = state.endpoints[endpoint] = state.endpoints[endpoint] || { requests: 0, statuses: {} };
+      counts.requests++;
+      counts.statuses[res.statusCode] = (counts.statuses[res.statusCode] || 0) + 1;
+    });
+    next();
+  });
+
+  // OAuth: client credentials and authorization codes. Codes are mock-<user id>.
+  app.post('/oauth/token', (req, res) => {
+    const { grant_type, code } = req.body || {};
+    let userId = null;
+
+    if (grant_type === 'authorization_code') {
+      const user = typeof code === 'string' && code.startsWith('mock-') ? findUser(code.slice(5)) : null;
+      if (!user) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'The provided authorization grant is invalid.' });
+      }
+      userId = user.id;
+    } else if (grant_type !== 'client_credentials') {
+      return res.status(400).json({ error: 'unsupported_grant_type' });
+    }
+
+    const token = crypto.randomBytes(24).toString('hex');
+    state.tokens.set(token, { userId, uses: 0, expiresAt: Date.now() + TOKEN_TTL_SECONDS * 1000 });
+
+    res.json({
+      token_type: 'Bearer',
+      expires_in: TOKEN_TTL_SECONDS,
+      access_token: token,
+      ...(userId ? { refresh_token: crypto.randomBytes(24).toString('hex') } : {})
+    });
+  });
+
+  // Approves straight away as the login user (or ?user=<id or name>)
+  app.get('/oauth/authorize', (req, res) => {
+    const { redirect_uri, state: oauthState } = req.query;
+    const user = findUser(req.query.user || settings.loginUserId || fixtures.users[0].id);
+    if (!redirect_uri || !user) {
+      return res.status(400).json({ error: 'invalid_request' });
+    }
+
+    const target = new URL(redirect_uri);
+    target.searchParams.set('code', `mock-${user.id}`);
+    if (oauthState) target.searchParams.set('state', oauthState);
+    res.redirect(target.toString());
+  });
+
+  // Raw .osu files from fixtures/osu/<id>.osu; no token needed, as on osu.ppy.sh
+  app.get('/osu/:beatmap', (req, res) => {
+    const file = path.join(fixtures.osuFilesDir, `${parseInt(req.params.beatmap)}.osu`);
+    if (!fs.existsSync(file)) return res.status(404).send('');
+    res.type('text/plain').send(fs.readFileSync(file));
+  });
+
+  const api = express.Router();
+
+  // Scenario faults come before authentication, as osu!'s own rate limiting does
+  api.use((req, res, next) => {
+    state.apiRequests++;
+
+    if (state.scenarios.has('rate-limit') && state.apiRequests % settings.rateLimitEvery === 0) {
+      res.set('Retry-After', String(settings.retryAfterSeconds));
+      return res.status(429).json({ error: 'Too Many Attempts.' });
+    }
+    if (state.scenarios.has('server-errors') && state.apiRequests % settings.errorEvery === 0) {
+      return res.status(500).json({ error: 'Internal Server Error' });
+    }
+
+    const header = req.get('authorization') || '';
+    const token = state.tokens.get(header.replace(/^Bearer\s+/i, ''));
+    if (!token || token.expiresAt < Date.now()) {
+      return res.status(401).json({ authentication: 'basic' });
+    }
+
+    token.uses++;
+    if (state.scenarios.has('expired-tokens') && token.uses > settings.tokenUses) {
+      state.tokens.delete(header.replace(/^Bearer\s+/i, ''));
+      return res.status(401).json({ authentication: 'basic' });
+    }
+
+    req.token = token;
+    next();
+  });
+
+  api.get('/me/:mode?', (req, res) => {
+    const user = req.token.userId && findUser(req.token.userId);
+    if (!user) return res.status(401).json({ authentication: 'basic' });
+    res.json(fullUser(user, req.params.mode || 'osu'));
+  });
+
+  api.get('/users/:user/scores/:type', (req, res) => {
+    const user = findUser(req.params.user);
+    if (!user) return notFound(res);
+
+    const mode = req.query.mode || 'osu';
+    const limit = Math.min(parseInt(req.query.limit) || 100, 100);
+    const offset = parseInt(req.query.offset) || 0;
+    const own = fixtures.scores.filter(score => score.user_id === user.id && score.mode === mode);
+
+    let scores;
+    switch (req.params.type) {
+      case 'best':
+        scores = own.sort((a, b) => b.pp - a.pp);
+        break;
+      case 'recent':
+        scores = own.sort((a, b) => Date.parse(b.ended_at) - Date.parse(a.ended_at));
+        break;
+      case 'firsts':
+        scores = own.filter(score => {
+          const top = fixtures.scores
+            .filter(other => other.beatmap_id === score.beatmap_id && other.mode === mode)
+            .sort((a, b) => b.score - a.score)[0];
+          return top.id === score.id;
+        });
+        break;
+      default:
+        return notFound(res);
+    }
+
+    res.json(scores.slice(offset, offset + limit).map(scoreWithBeatmap));
+  });
+
+  api.get('/users/:user/:mode?', (req, res) => {
+    const user = findUser(req.params.user);
+    if (!user) return notFound(res);
+    if (req.params.mode && !MODES.includes(req.params.mode)) return notFound(res);
+    res.json(fullUser(user, req.params.mode || Object.keys(user.statistics_rulesets)[0] || 'osu'));
+  });
+
+  api.get('/beatmaps/lookup', (req, res) => {
+    const { checksum, id } = req.query;
+    const beatmap = findBeatmap(bm => (checksum && bm.checksum === checksum) || (id && String(bm.id) === String(id)));
+    if (!beatmap) return notFound(res);
+    res.json(beatmap);
+  });
+
+  api.get('/beatmaps/:beatmap/scores', (req, res) => {
+    const beatmapId = parseInt(req.params.beatmap);
+    const beatmap = findBeatmap(bm => bm.id === beatmapId);
+    if (!beatmap) return notFound(res);
+
+    const mode = req.query.mode || beatmap.mode;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const scores = fixtures.scores
+      .filter(score => score.beatmap_id === beatmapId && score.mode === mode)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(scoreWithUser);
+
+    res.json({ scores, user_score: null });
+  });
+
+  api.get('/beatmaps/:beatmap', (req, res) => {
+    const beatmap = findBeatmap(bm => bm.id === parseInt(req.params.beatmap));
+    if (!beatmap) return notFound(res);
+    res.json(beatmap);
+  });
+
+  // Ranked sets newest first; m narrows to sets with a difficulty of that ruleset id
+  api.get('/beatmapsets/search', (req, res) => {
+    const rulesetId = req.query.m !== undefined ? parseInt(req.query.m) : null;
+    const text = (req.query.q || '').toLowerCase();
+
+    const sets = fixtures.beatmapsets
+      .filter(set => rulesetId === null || set.beatmaps.some(bm => bm.mode_int === rulesetId))
+      .filter(set => !text || `${set.artist} ${set.title} ${set.creator}`.toLowerCase().includes(text))
+      .sort((a, b) => Date.parse(b.ranked_date) - Date.parse(a.ranked_date));
+
+    const { items, cursor, cursor_string, total } = paginate(sets, req.query, pageSize());
+    res.json({ beatmapsets: items, cursor, cursor_string, total, search: { sort: req.query.sort || 'ranked_desc' } });
+  });
+
+  api.get('/rankings/:mode/:type', (req, res) => {
+    const { mode, type } = req.params;
+    if (!MODES.includes(mode) || !['performance', 'score'].includes(type)) return notFound(res);
+
+    const sortKey = type === 'performance' ? 'pp' : 'ranked_score';
+    const ranking = fixtures.users
+      .filter(user => user.statistics_rulesets[mode])
+      .filter(user => !req.query.country || user.country_code === String(req.query.country).toUpperCase())
+      .sort((a, b) => b.statistics_rulesets[mode][sortKey] - a.statistics_rulesets[mode][sortKey])
+      .map(user => ({ ...user.statistics_rulesets[mode], user: compactUser(user) }));
+
+    const { items, cursor, cursor_string, total } = paginate(ranking, req.query, pageSize());
+    res.json({ ranking: items, cursor, cursor_string, total });
+  });
+
+  // Only user search is mocked; it matches usernames, as osu! does
+  api.get('/search', (req, res) => {
+    const text = String(req.query.query || '').toLowerCase();
+    const users = text ? fixtures.users.filter(user => user.username.toLowerCase().includes(text)) : [];
+    res.json({
+      user: { data: users.map(compactUser), total: users.length },
+      wiki_page: { data: [], total: 0 }
+    });
+  });
+
+  api.get('/matches', (req, res) => {
+    const matches = fixtures.matches
+      .map(entry => entry.match)
+      .sort((a, b) => b.id - a.id);
+
+    const { items, cursor, cursor_string } = paginate(matches, req.query, Math.min(parseInt(req.query.limit) || pageSize(), pageSize()));
+    res.json({ matches: items, cursor, cursor_string, params: { limit: items.length, sort: 'id_desc' } });
+  });
+
+  api.get('/matches/:match', (req, res) => {
+    const entry = fixtures.matches.find(item => String(item.match.id) === req.params.match);
+    if (!entry) return notFound(res);
+
+    const userIds = new Set();
+    entry.events.forEach(event => {
+      if (event.user_id) userIds.add(event.user_id);
+      (event.game?.scores || []).forEach(score => userIds.add(score.user_id));
+    });
+
+    res.json({
+      match: entry.match,
+      events: entry.events,
+      users: [...userIds].map(findUser).filter(Boolean).map(compactUser),
+      first_event_id: entry.events[0]?.id,
+      latest_event_id: entry.events[entry.events.length - 1]?.id,
+      current_game_id: null
+    });
+  });
+
+  api.use((req, res) => notFound(res));
+  app.use('/api/v2', api);
+
+  // Control endpoints for tests and manual runs
+  app.get('/__mock/state', (req, res) => {
+    res.json({
+      scenarios: [...state.scenarios],
+      apiRequests: state.apiRequests,
+      activeTokens: state.tokens.size,
+      endpoints: state.endpoints
+    });
+  });
+
+  app.put('/__mock/scenarios', (req, res) => {
+    try {
+      state.scenarios = parseScenarios(req.body?.scenarios);
+      res.json({ scenarios: [...state.scenarios] });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  app.post('/__mock/reset', (req, res) => {
+    state.tokens.clear();
+    state.apiRequests = 0;
+    state.endpoints = {};
+    res.json({ scenarios: [...state.scenarios] });
+  });
+
+  app.use((req, res) => notFound(res));
+
+  app.locals.mock = state;
+  return app;
+}
+
+module.exports = {
+  createMockOsuApi,
+  parseScenarios,
+  SCENARIOS
+};
@@ -1,6 +1,7 @@
      // Global state
         let currentData = {
             leaderboards: [],
+            leaderboardPage: null,
             players: [],
             analytics: null,
             filters: {
@@ -14,8 +15,15 @@
         let websocket = null;
         let apiBaseUrl = window.location.origin;
 
+        // Signed-in osu! account, filled by restoreSession()
+        let currentAccount = null;
+        let playerComments = { username: null, items: [], nextCursor: null };
+        // Recent scores of the open player modal, for the score detail view
+        let playerScores = { username: null, items: [] };
+
         // Initialize the application
         document.addEventListener('DOMContentLoaded', function() {
+            restoreSession();
             initializeWebSocket();
             loadOverviewStats();
             loadLeaderboards();
@@ -104,6 +112,91 @@
             }
         }
 
+        // Authentication: the osu! login redirects back with tokens in the URL fragment
+        function storeTokens({ accessToken, refreshToken, expiresAt }) {
+            localStorage.setItem('accessToken', accessToken);
+            localStorage.setItem('refreshToken', refreshToken);
+            localStorage.setItem('expiresAt', String(expiresAt));
+        }
+
+        function clearTokens() {
+            localStorage.removeItem('accessToken');
+            localStorage.removeItem('refreshToken');
+            localStorage.removeItem('expiresAt');
+            currentAccount = null;
+        }
+
+        async function restoreSession() {
+            const fragment = new URLSearchParams(window.location.hash.slice(1));
+            if (fragment.get('access_token') && fragment.get('refresh_token')) {
+                storeTokens({
+                    accessToken: fragment.get('access_token'),
+                    refreshToken: fragment.get('refresh_token'),
+                    expiresAt: fragment.get('expires_at')
+                });
+                history.replaceState(null, '', window.location.pathname + window.location.search);
+            }
+
+            if (!localStorage.getItem('accessToken')) return;
+
+            const data = await authApiCall('/auth/me');
+            if (data && data.success) {
+                currentAccount = data.data;
+            }
+        }
+
+        async function refreshAccessToken() {
+            const refreshToken = localStorage.getItem('refreshToken');
+            if (!refreshToken) return false;
+
+            try {
+                const response = await fetch(`${apiBaseUrl}/api/auth/refresh`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ refreshToken })
+                });
+                if (!response.ok) {
+                    clearTokens();
+                    return false;
+                }
+
+                const data = await response.json();
+                storeTokens(data.data);
+                return true;
+            } catch (error) {
+                console.error('Token refresh failed:', error);
+                return false;
+            }
+        }
+
+        // Like apiCall, but sends the access token, retries once after a refresh and
+        // returns the API's error body instead of only notifying
+        async function authApiCall(endpoint, options = {}, retried = false) {
+            try {
+                const token = localStorage.getItem('accessToken');
+                const response = await fetch(`${apiBaseUrl}/api${endpoint}`, {
+                    ...options,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+                        ...options.headers
+                    }
+                });
+
+                if ((response.status === 401 || response.status === 403) && token && !retried) {
+                    if (await refreshAccessToken()) {
+                        return authApiCall(endpoint, options, true);
+                    }
+                }
+
+                const data = await response.json().catch(() => null);
+                return data || { success: false, error: `HTTP ${response.status}: ${response.statusText}` };
+            } catch (error) {
+                console.error('API call failed:', error);
+                return { success: false, error: error.message };
+            }
+        }
+
         // Load overview statistics
         async function loadOverviewStats() {
             const data = await apiCall('/analytics/overview');
@@ -117,29 +210,58 @@
             }
         }
 
-        // Load leaderboards data
-        async function loadLeaderboards(offset = 0) {
+        // Load a page of leaderboards data; pass a cursor from the last page's meta to move through it.
+        // `position` is the place of the page's first score, or { before } for the page ending above one.
+        async function loadLeaderboards(cursor = null, position = 1) {
             showLoading('leaderboardLoading', true);
             
             const params = new URLSearchParams({
                 limit: 50,
-                offset: offset,
                 sort: currentData.filters.sort,
                 order: 'DESC',
                 timeRange: currentData.filters.timeRange !== 'all' ? currentData.filters.timeRange : '',
                 mods: currentData.filters.mods !== 'all' ? currentData.filters.mods : '',
                 player: currentData.filters.search
             });
+            if (cursor) params.set('cursor', cursor);
 
             const data = await apiCall(`/leaderboards?${params}`);
             showLoading('leaderboardLoading', false);
             
             if (data && data.success) {
+                const first = typeof position === 'number' ? position : Math.max(1, position.before - data.data.length);
                 currentData.leaderboards = data.data;
+                currentData.leaderboardPage = { ...data.meta, cursor, first };
                 renderLeaderboards(data.data);
+                renderLeaderboardPagination(data.data.length);
             }
         }
 
+        // Previous/next controls and the range shown, from the current page's meta
+        function renderLeaderboardPagination(count) {
+            const container = document.getElementById('leaderboardPagination');
+            const page = currentData.leaderboardPage;
+            if (!container || !page) return;
+
+            if (page.total === 0) {
+                container.innerHTML = '';
+                return;
+            }
+
+            const { first } = page;
+            container.innerHTML = `
+                <button class="nav-btn" ${page.prevCursor ? '' : 'disabled'} onclick="loadLeaderboards(currentData.leaderboardPage.prevCursor, { before: ${first} })">
+                    <i class="fas fa-chevron-left"></i> Previous
+                </button>
+                <span style="color: var(--text-secondary);">
+                    ${formatNumber(first)}–${formatNumber(first + count - 1)} of ${formatNumber(page.total)}
+                </span>
+                <button class="nav-btn" ${page.nextCursor ? '' : 'disabled'} onclick="loadLeaderboards(currentData.leaderboardPage.nextCursor, ${first + count})">
+                    Next <i class="fas fa-chevron-right"></i>
+                </button>
+            `;
+        }
+
         // Render leaderboards table
         function renderLeaderboards(scores) {
             const tbody = document.getElementById('leaderboardBody');
@@ -440,8 +562,9 @@
                             <i class="fas fa-clock"></i> Recent Scores
                         </h4>
                         <div style="max-height: 300px; overflow-y: auto;">
-                            ${player.recentScores.slice(0, 5).map(score => `
-                                <div style="display: flex; justify-content: space-between; align-items: center; padding: 0.8rem; background: rgba(255,255,255,0.02); border-radius: 8px; margin-bottom: 0.5rem;">
+                            ${player.recentScores.slice(0, 5).map((score, index) => `
+                                <div style="display: flex; justify-content: space-between; align-items: center; padding: 0.8rem; background: rgba(255,255,255,0.02); border-radius: 8px; margin-bottom: 0.5rem; cursor: pointer;"
+                                     onclick="showScoreDetail(${index})">
                                     <div style="flex: 1;">
                                         <div style="font-weight: 600; margin-bottom: 0.2rem;">${score.beatmap_title}</div>
                                         <div style="font-size: 0.8rem; color: var(--text-secondary);">
@@ -473,7 +596,15 @@
                             `).join('')}
                         </div>
                     ` : ''}
+
+                    <h4 style="color: var(--primary-color); margin: 1.5rem 0 1rem 0;">
+                        <i class="fas fa-comments"></i> Comments
+                    </h4>
+                    <div id="playerComments"></div>
                 `;
+
+                playerScores = { username: player.username, items: player.recentScores || [] };
+                loadPlayerComments(player.username);
             } else {
                 title.textContent = 'Error';
                 content.innerHTML = `
@@ -486,6 +617,296 @@
             }
         }
 
+        // Score detail view, with the analysis of an uploaded replay when there is one
+        async function showScoreDetail(index) {
+            const score = playerScores.items[index];
+            if (!score) return;
+
+            const title = document.getElementById('playerModalTitle');
+            const content = document.getElementById('playerModalContent');
+            const username = playerScores.username;
+
+            title.textContent = `${score.beatmap_title} [${score.difficulty_name}]`;
+            content.innerHTML = `
+                <a href="#" style="color: var(--text-secondary);" onclick="showPlayerModal('${escapeHtml(username)}'); return false;">
+                    <i class="fas fa-arrow-left"></i> Back to ${escapeHtml(username)}
+                </a>
+
+                <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 1rem; margin: 1.5rem 0;">
+                    <div class="player-stat"><span><i class="fas fa-star"></i> Score</span><strong>${formatNumber(score.score)}</strong></div>
+                    <div class="player-stat"><span><i class="fas fa-bullseye"></i> Accuracy</span><strong>${escapeHtml(score.accuracy_text)}</strong></div>
+                    <div class="player-stat"><span><i class="fas fa-chart-line"></i> pp</span><strong>${score.pp ? score.pp.toFixed(0) : 'N/A'}</strong></div>
+                    <div class="player-stat"><span><i class="fas fa-link"></i> Combo</span><strong>${score.max_combo}x</strong></div>
+                    <div class="player-stat"><span><i class="fas fa-magic"></i> Mods</span><strong>${escapeHtml(score.mods || 'None')}</strong></div>
+                    <div class="player-stat"><span><i class="fas fa-list-ol"></i> Hits</span><strong>${score.count_300} / ${score.count_100} / ${score.count_50} / ${score.count_miss}</strong></div>
+                </div>
+
+                <h4 style="color: var(--primary-color); margin: 1.5rem 0 1rem 0;">
+                    <i class="fas fa-film"></i> Replay analysis
+                </h4>
+                <div id="scoreReplay"><div class="loading"><div class="loading-spinner"></div></div></div>
+            `;
+
+            const query = new URLSearchParams({ beatmapId: score.beatmap_id, username, mode: score.mode });
+            const list = await authApiCall(`/replays?${query}`);
+            const latest = list.success && list.data.length > 0 ? list.data[0] : null;
+            const replay = latest ? await authApiCall(`/replays/${latest.id}`) : null;
+
+            renderScoreReplay(replay && replay.success ? replay.data : null, index);
+        }
+
+        function renderScoreReplay(replay, index) {
+            const container = document.getElementById('scoreReplay');
+            if (!container) return;
+
+            const upload = currentAccount ? `
+                <label class="nav-btn" style="display: inline-block; cursor: pointer; margin-top: 1rem;">
+                    <i class="fas fa-upload"></i> Upload .osr replay
+                    <input type="file" accept=".osr" style="display: none;" onchange="uploadScoreReplay(this.files[0], ${index})">
+                </label>
+            ` : `
+                <div style="margin-top: 1rem; color: var(--text-secondary);">
+                    <a href="/api/auth/osu/login?redirect=/" style="color: var(--primary-color);"><i class="fas fa-sign-in-alt"></i> Sign in with osu!</a> to upload a replay.
+                </div>
+            `;
+
+            const analysis = replay && replay.analysis;
+            if (!analysis) {
+                container.innerHTML = `<p style="color: var(--text-secondary);">No replay has been uploaded for this score.</p>${upload}`;
+                return;
+            }
+
+            const errors = analysis.hitErrors;
+            const histogram = errors ? errors.histogram : null;
+            const histogramPeak = histogram ? Math.max(1, ...histogram.counts) : 1;
+            const timelinePeak = Math.max(1, ...analysis.timeline.map(section => section.countMiss + section.sliderBreaks + section.count50));
+
+            container.innerHTML = `
+                ${replay.matched_score ? '' : `
+                    <p style="color: var(--text-secondary); font-size: 0.9rem;">
+                        <i class="fas fa-info-circle"></i> This replay is of another play (${formatNumber(replay.score)}), not the current leaderboard score.
+                    </p>
+                `}
+
+                <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 1rem; margin-bottom: 1.5rem;">
+                    <div class="player-stat"><span><i class="fas fa-wave-square"></i> Unstable rate</span><strong>${analysis.unstableRate !== null ? analysis.unstableRate.toFixed(2) : 'N/A'}</strong></div>
+                    <div class="player-stat"><span><i class="fas fa-clock"></i> Mean error</span><strong>${errors && errors.mean !== null ? errors.mean.toFixed(1) + 'ms' : 'N/A'}</strong></div>
+                    <div class="player-stat"><span><i class="fas fa-angle-double-left"></i> Early / late</span><strong>${errors ? `${errors.early ?? '-'} / +${errors.late ?? '-'}ms` : 'N/A'}</strong></div>
+                    <div class="player-stat"><span><i class="fas fa-unlink"></i> Slider breaks</span><strong>${analysis.judged ? analysis.judged.sliderBreaks : 'N/A'}</strong></div>
+                </div>
+
+                ${histogram ? `
+                    <h5 style="margin: 1rem 0 0.5rem 0;">Hit error distribution (${histogram.start}ms to +${-histogram.start}ms)</h5>
+                    <div style="display: flex; align-items: flex-end; gap: 1px; height: 80px; background: rgba(255,255,255,0.02); border-radius: 8px; padding: 4px;">
+                        ${histogram.counts.map((count, bin) => {
+                            const offset = histogram.start + bin * histogram.binSize;
+                            const color = Math.abs(offset + histogram.binSize / 2) <= errors.windows['300'] ? 'var(--primary-color)'
+                                : Math.abs(offset + histogram.binSize / 2) <= errors.windows['100'] ? '#00ff88' : '#ffa502';
+                            return `<div title="${offset}ms: ${count}" style="flex: 1; height: ${count / histogramPeak * 100}%; background: ${color};"></div>`;
+                        }).join('')}
+                    </div>
+                ` : ''}
+
+                ${analysis.timeline.length > 0 ? `
+                    <h5 style="margin: 1rem 0 0.5rem 0;">Misses through the map</h5>
+                    <div style="display: flex; align-items: flex-end; gap: 2px; height: 60px; background: rgba(255,255,255,0.02); border-radius: 8px; padding: 4px;">
+                        ${analysis.timeline.map(section => {
+                            const total = section.countMiss + section.sliderBreaks + section.count50;
+                            const range = `${(section.start / 1000).toFixed(0)}s-${(section.end / 1000).toFixed(0)}s`;
+                            return `<div title="${range}: ${section.countMiss} misses, ${section.sliderBreaks} slider breaks, ${section.count50} 50s"
+                                         style="flex: 1; display: flex; flex-direction: column-reverse; height: ${total / timelinePeak * 100}%; min-height: 2px; background: rgba(255,255,255,0.05);">
+                                        <div style="flex: ${section.countMiss}; background: #ff4757;"></div>
+                                        <div style="flex: ${section.sliderBreaks}; background: #ffa502;"></div>
+                                        <div style="flex: ${section.count50}; background: var(--text-secondary);"></div>
+                                    </div>`;
+                        }).join('')}
+                    </div>
+                ` : ''}
+
+                ${analysis.heatmap ? `
+                    <h5 style="margin: 1rem 0 0.5rem 0;">Cursor heatmap</h5>
+                    <canvas id="replayHeatmap" width="${analysis.heatmap.columns * analysis.heatmap.cellSize}" height="${analysis.heatmap.rows * analysis.heatmap.cellSize}"
+                            style="width: 100%; max-width: 512px; background: rgba(255,255,255,0.02); border-radius: 8px;"></canvas>
+                ` : ''}
+
+                ${upload}
+            `;
+
+            if (analysis.heatmap) drawReplayHeatmap(analysis.heatmap);
+        }
+
+        function drawReplayHeatmap(heatmap) {
+            const canvas = document.getElementById('replayHeatmap');
+            if (!canvas) return;
+
+            const context = canvas.getContext('2d');
+            const peak = Math.max(1, ...heatmap.cells.flat());
+            heatmap.cells.forEach((row, y) => row.forEach((count, x) => {
+                if (!count) return;
+                // Square root so the few hot cells do not wash out the rest
+                context.fillStyle = `rgba(255, 102, 170, ${Math.sqrt(count / peak).toFixed(3)})`;
+                context.fillRect(x * heatmap.cellSize, y * heatmap.cellSize, heatmap.cellSize, heatmap.cellSize);
+            }));
+        }
+
+        async function uploadScoreReplay(file, index) {
+            if (!file) return;
+
+            const data = await authApiCall('/replays', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/octet-stream' },
+                body: file
+            });
+            if (!data.success) {
+                showNotification(escapeHtml(data.error), 'error');
+                return;
+            }
+
+            showNotification('Replay uploaded', 'success');
+            showScoreDetail(index);
+        }
+
+        // Player profile comments
+        function escapeHtml(text) {
+            const div = document.createElement('div');
+            div.textContent = text == null ? '' : String(text);
+            return div.innerHTML;
+        }
+
+        async function loadPlayerComments(username, append = false) {
+            const cursor = append ? playerComments.nextCursor : null;
+            const query = new URLSearchParams({ limit: 20 });
+            if (cursor) query.set('cursor', cursor);
+
+            const data = await authApiCall(`/players/${encodeURIComponent(username)}/comments?${query}`);
+            if (!data.success) {
+                showNotification(`Failed to load comments: ${escapeHtml(data.error)}`, 'error');
+                return;
+            }
+
+            playerComments = {
+                username,
+                items: append ? [...playerComments.items, ...data.data] : data.data,
+                nextCursor: data.meta.nextCursor
+            };
+            renderPlayerComments();
+        }
+
+        function renderPlayerComments() {
+            const container = document.getElementById('playerComments');
+            if (!container) return;
+
+            const { username, items, nextCursor } = playerComments;
+            const signedIn = currentAccount && currentAccount.username;
+
+            container.innerHTML = `
+                ${signedIn ? `
+                    <form id="commentForm" style="display: flex; gap: 0.5rem; margin-bottom: 1rem;">
+                        <textarea id="commentText" class="search-input" rows="2" maxlength="500" placeholder="Leave a comment for ${escapeHtml(username)}..."
+                                  style="flex: 1; padding: 0.6rem; resize: vertical; font-family: inherit;"></textarea>
+                        <button type="submit" class="nav-btn active"><i class="fas fa-paper-plane"></i> Post</button>
+                    </form>
+                ` : `
+                    <div style="margin-bottom: 1rem; color: var(--text-secondary);">
+                        <a href="/api/auth/osu/login?redirect=/" style="color: var(--primary-color);"><i class="fas fa-sign-in-alt"></i> Sign in with osu!</a> to leave a comment.
+                    </div>
+                `}
+
+                ${items.length === 0 ? `
+                    <p style="color: var(--text-secondary);">No comments yet.</p>
+                ` : items.map(comment => {
+                    const own = signedIn && comment.commenter_username === currentAccount.username;
+                    const canDelete = own || (currentAccount && ['admin', 'super_admin'].includes(currentAccount.role));
+                    return `
+                        <div style="padding: 0.8rem; background: rgba(255,255,255,0.02); border-radius: 8px; margin-bottom: 0.5rem;">
+                            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.3rem;">
+                                <span style="font-weight: 600; cursor: pointer;" onclick="showPlayerModal('${escapeHtml(comment.commenter_username)}')">${escapeHtml(comment.commenter_username)}</span>
+                                <span style="font-size: 0.8rem; color: var(--text-secondary);">
+                                    ${formatDate(comment.created_at)}${comment.updated_at ? ' • edited' : ''}
+                                </span>
+                            </div>
+                            <div id="commentBody-${comment.id}" style="white-space: pre-wrap; word-break: break-word;">${escapeHtml(comment.comment_text)}</div>
+                            <div style="display: flex; gap: 0.8rem; margin-top: 0.4rem; font-size: 0.8rem;">
+                                ${own ? `<a href="#" style="color: var(--text-secondary);" onclick="editPlayerComment(${comment.id}); return false;"><i class="fas fa-edit"></i> Edit</a>` : ''}
+                                ${canDelete ? `<a href="#" style="color: var(--text-secondary);" onclick="deletePlayerComment(${comment.id}); return false;"><i class="fas fa-trash"></i> Delete</a>` : ''}
+                                ${signedIn && !own ? `<a href="#" style="color: var(--text-secondary);" onclick="reportPlayerComment(${comment.id}); return false;"><i class="fas fa-flag"></i> Report</a>` : ''}
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
+
+                ${nextCursor ? `
+                    <button class="nav-btn" style="width: 100%;" onclick="loadPlayerComments('${escapeHtml(username)}', true)">Load more</button>
+                ` : ''}
+            `;
+
+            const form = document.getElementById('commentForm');
+            if (form) {
+                form.addEventListener('submit', async function(event) {
+                    event.preventDefault();
+                    await postPlayerComment(document.getElementById('commentText').value);
+                });
+            }
+        }
+
+        async function postPlayerComment(text) {
+            if (!text.trim()) return;
+
+            const data = await authApiCall(`/players/${encodeURIComponent(playerComments.username)}/comments`, {
+                method: 'POST',
+                body: JSON.stringify({ text })
+            });
+            if (!data.success) {
+                showNotification(escapeHtml(data.error), 'error');
+                return;
+            }
+
+            playerComments.items = [data.data, ...playerComments.items];
+            renderPlayerComments();
+        }
+
+        async function editPlayerComment(id) {
+            const comment = playerComments.items.find(item => item.id === id);
+            const text = comment && prompt('Edit your comment', comment.comment_text);
+            if (!text || text === comment.comment_text) return;
+
+            const data = await authApiCall(`/comments/${id}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ text })
+            });
+            if (!data.success) {
+                showNotification(escapeHtml(data.error), 'error');
+                return;
+            }
+
+            Object.assign(comment, data.data);
+            renderPlayerComments();
+        }
+
+        async function deletePlayerComment(id) {
+            if (!confirm('Delete this comment?')) return;
+
+            const data = await authApiCall(`/comments/${id}`, { method: 'DELETE' });
+            if (!data.success) {
+                showNotification(escapeHtml(data.error), 'error');
+                return;
+            }
+
+            playerComments.items = playerComments.items.filter(item => item.id !== id);
+            renderPlayerComments();
+        }
+
+        async function reportPlayerComment(id) {
+            const reason = prompt('Why are you reporting this comment? (optional)');
+            if (reason === null) return;
+
+            const data = await authApiCall(`/comments/${id}/report`, {
+                method: 'POST',
+                body: JSON.stringify({ reason })
+            });
+            showNotification(data.success ? 'Comment reported, thanks' : escapeHtml(data.error), data.success ? 'success' : 'error');
+        }
+
         function closeModal(modalId) {
             document.getElementById(modalId).classList.remove('active');
         }
@@ -681,7 +1102,7 @@
                 const currentSection = getCurrentSection();
                 switch(currentSection) {
                     case 'leaderboards':
-                        loadLeaderboards();
+                        loadLeaderboards(currentData.leaderboardPage?.cursor, currentData.leaderboardPage?.first);
                         break;
                     case 'players':
                         loadPlayers();
@@ -700,7 +1121,7 @@
                 loadOverviewStats();
                 const currentSection = getCurrentSection();
                 if (currentSection === 'leaderboards') {
-                    loadLeaderboards();
+                    loadLeaderboards(currentData.leaderboardPage?.cursor, currentData.leaderboardPage?.first);
                 }
             }
         });
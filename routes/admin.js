@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const { adminAuth, logAdminAction } = require('../middleware/admin');
+
+// Every /api/admin route requires an admin token
+router.use(adminAuth, logAdminAction);
+
+router.use('/players', require('./admin/players'));
+router.use('/beatmaps', require('./admin/beatmaps'));
+router.use('/jobs', require('./admin/jobs'));
+router.use('/cache', require('./admin/cache'));
+router.use('/audit', require('./admin/audit'));
+router.use('/webhooks', require('./admin/webhooks'));
+router.use('/comments', require('./admin/comments'));
+
+module.exports = router;
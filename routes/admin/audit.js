@@ -0,0 +1,78 @@
+const express = require('express');
+const router = express.Router();
+const { auditService } = require('../../services/audit');
+const { apiRoute } = require('../../middleware/apiSchema');
+const { list } = require('../../config/apiSchemas');
+
+const MAX_EXPORT_ROWS = 10000;
+
+// Accept epoch milliseconds or anything Date can parse; undefined when missing, NaN when invalid
+const parseTime = (value) => {
+  if (value === undefined || value === '') return undefined;
+  return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+};
+
+// Query the audit log: ?actor=&action=&target=&status=success|failure|<code>&from=&to=&limit=&offset=
+// Add format=csv to download every matching entry (up to 10000) instead of a page.
+router.get('/',
+  apiRoute({
+    summary: 'Search the admin audit log',
+    description: 'With format=csv, every matching entry (up to 10000) is downloaded as CSV instead of a page.',
+    query: {
+      actor: { type: 'string', description: 'Admin username' },
+      action: { type: 'string', description: 'e.g. player.ban' },
+      target: { type: 'string' },
+      status: { type: 'string', pattern: '^(success|failure|\\d{3})$', description: 'success, failure or an HTTP status' },
+      from: { type: 'string', description: 'Date or epoch milliseconds' },
+      to: { type: 'string', description: 'Date or epoch milliseconds' },
+      limit: { type: 'integer', minimum: 1, maximum: 500 },
+      offset: { type: 'integer', minimum: 0 },
+      format: { type: 'string', enum: ['json', 'csv'] }
+    },
+    response: list()
+  }),
+  async (req, res) => {
+    try {
+      const { actor, action, target, status, limit = 50, offset = 0, format = 'json' } = req.query;
+      const from = parseTime(req.query.from);
+      const to = parseTime(req.query.to);
+
+      if (Number.isNaN(from) || Number.isNaN(to)) {
+        return res.status(400).json({ success: false, error: 'from and to must be dates or epoch milliseconds' });
+      }
+
+      const filters = { actor, action, target, status, from, to };
+
+      if (format === 'csv') {
+        const { rows } = await auditService.search({ ...filters, limit: MAX_EXPORT_ROWS, offset: 0 });
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="admin-audit-${new Date().toISOString().split('T')[0]}.csv"`);
+        return res.send(auditService.toCSV(rows));
+      }
+
+      const { rows, total } = await auditService.search({ ...filters, limit: parseInt(limit), offset: parseInt(offset) });
+      res.json({
+        success: true,
+        data: rows,
+        meta: {
+          total,
+          limit: parseInt(limit),
+          offset: parseInt(offset),
+          filters: {
+            actor: actor || null,
+            action: action || null,
+            target: target || null,
+            status: status || null,
+            from: from ?? null,
+            to: to ?? null
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Admin audit log error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+module.exports = router;
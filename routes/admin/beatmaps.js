@@ -0,0 +1,140 @@
+const express = require('express');
+const router = express.Router();
+const { validateMode } = require('../../middleware/validation');
+const { adminService } = require('../../services/admin');
+const { beatmapAnalysisService } = require('../../services/beatmapAnalysis');
+const { BeatmapParseError } = require('../../services/beatmapParser');
+const { beatmapQueueService } = require('../../services/beatmapQueue');
+const { apiRoute } = require('../../middleware/apiSchema');
+const { envelope, fields } = require('../../config/apiSchemas');
+
+const BEATMAP_FILE_TYPES = ['text/plain', 'application/octet-stream', 'text/x-osu'];
+
+const deadLetterSchema = {
+  type: 'object',
+  properties: {
+    beatmapId: { type: 'integer' },
+    title: { type: 'string', nullable: true },
+    mode: { type: 'string' },
+    attempts: { type: 'integer' },
+    lastError: { type: 'string', nullable: true },
+    failedAt: { type: 'integer', description: 'Epoch milliseconds' }
+  }
+};
+
+// Leaderboard fetch queue depth, counters and the fetches it gave up on
+router.get('/queue',
+  validateMode,
+  apiRoute({
+    summary: 'Leaderboard fetch queue of a mode and its dead letters',
+    response: envelope({
+      type: 'object',
+      properties: {
+        stats: { type: 'object', nullable: true },
+        deadLetters: { type: 'array', items: deadLetterSchema }
+      }
+    })
+  }),
+  async (req, res) => {
+    try {
+      const [stats, deadLetters] = await Promise.all([
+        beatmapQueueService.getStats(),
+        beatmapQueueService.getDeadLetters(req.mode)
+      ]);
+      res.json({ success: true, data: { stats: stats[req.mode], deadLetters }, meta: { mode: req.mode } });
+    } catch (error) {
+      console.error('Admin beatmap queue error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Queue dead-lettered fetches again, all of them or the given beatmaps
+router.post('/queue/retry',
+  validateMode,
+  apiRoute({
+    summary: 'Retry dead-lettered leaderboard fetches',
+    body: {
+      type: 'object',
+      properties: {
+        beatmapIds: { type: 'array', items: fields.beatmapId, minItems: 1, description: 'Every dead letter when omitted' }
+      }
+    },
+    response: envelope({ type: 'object', properties: { requeued: { type: 'integer' } } })
+  }),
+  async (req, res) => {
+    res.locals.audit = { action: 'beatmap.queue_retry', details: { mode: req.mode } };
+
+    try {
+      const requeued = await beatmapQueueService.retryDeadLetters(req.mode, req.body.beatmapIds || null);
+      res.locals.audit.details.requeued = requeued;
+      res.json({ success: true, data: { requeued }, meta: { mode: req.mode } });
+    } catch (error) {
+      console.error('Admin beatmap queue retry error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Re-fetch a beatmap's metadata and tracked leaderboard from osu!
+router.post('/:beatmapId/refresh',
+  apiRoute({
+    summary: "Re-fetch a beatmap and its tracked leaderboard from osu!",
+    params: { beatmapId: fields.beatmapId },
+    errors: [404],
+    response: envelope()
+  }),
+  validateMode,
+  async (req, res) => {
+    try {
+      const beatmapId = parseInt(req.params.beatmapId);
+      res.locals.audit = { action: 'beatmap.refresh', target: beatmapId, details: { mode: req.mode } };
+
+      const data = await adminService.refreshBeatmap(beatmapId, req.mode);
+      if (!data) {
+        return res.status(404).json({ success: false, error: 'Beatmap not found on osu!' });
+      }
+
+      res.locals.audit.details.trackedScores = data.trackedScores;
+      res.json({ success: true, data });
+    } catch (error) {
+      console.error('Admin beatmap refresh error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Store difficulty attributes from the beatmap's .osu file, sent as the raw request body
+router.post('/:beatmapId/file',
+  express.raw({ type: BEATMAP_FILE_TYPES, limit: '5mb' }),
+  apiRoute({
+    summary: "Import difficulty attributes from a beatmap's .osu file",
+    params: { beatmapId: fields.beatmapId },
+    upload: BEATMAP_FILE_TYPES,
+    body: { type: 'object', properties: { content: { type: 'string', description: 'The .osu file, when sent as JSON' } } },
+    response: envelope()
+  }),
+  async (req, res) => {
+    const beatmapId = parseInt(req.params.beatmapId);
+    res.locals.audit = { action: 'beatmap.import_file', target: beatmapId };
+
+    try {
+      const content = Buffer.isBuffer(req.body) ? req.body : req.body?.content;
+      if (!content) {
+        return res.status(400).json({ success: false, error: 'Send the .osu file as the request body' });
+      }
+
+      const data = await beatmapAnalysisService.importFile(content, { beatmapId, source: 'upload' });
+      res.locals.audit.details = { md5: data.file_md5, classification: data.classification };
+      res.json({ success: true, data });
+    } catch (error) {
+      if (error instanceof BeatmapParseError) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      console.error('Admin beatmap file import error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const { adminService, CACHE_NAMESPACES } = require('../../services/admin');
+const { apiRoute } = require('../../middleware/apiSchema');
+const { envelope } = require('../../config/apiSchemas');
+
+const namespaceList = { type: 'array', items: { type: 'string', enum: CACHE_NAMESPACES } };
+
+// Namespaces that can be invalidated
+router.get('/',
+  apiRoute({
+    summary: 'Cache namespaces that can be invalidated',
+    response: envelope({ type: 'object', properties: { namespaces: namespaceList } })
+  }),
+  (req, res) => {
+    res.json({ success: true, data: { namespaces: CACHE_NAMESPACES } });
+  }
+);
+
+// Clear one or more cache namespaces, e.g. { "namespaces": ["rankings", "leaderboard"] }
+router.post('/invalidate',
+  apiRoute({
+    summary: 'Clear cache namespaces',
+    body: {
+      type: 'object',
+      required: ['namespaces'],
+      properties: { namespaces: { ...namespaceList, minItems: 1 } }
+    },
+    response: envelope({ type: 'object', properties: { cleared: { type: 'object' } } })
+  }),
+  async (req, res) => {
+    res.locals.audit = { action: 'cache.invalidate' };
+
+    try {
+      const cleared = await adminService.invalidateCacheNamespaces([...new Set(req.body.namespaces)]);
+      res.locals.audit.details = { cleared };
+      res.json({ success: true, data: { cleared } });
+    } catch (error) {
+      console.error('Admin cache invalidate error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,157 @@
+const express = require('express');
+const router = express.Router();
+const { commentService } = require('../../services/comments');
+const { apiRoute } = require('../../middleware/apiSchema');
+const { envelope, list, ref, fields } = require('../../config/apiSchemas');
+
+const actorOf = (req) => req.user.username || String(req.user.id);
+
+// Reported comments, most reported first; ?status=resolved shows reviewed ones
+router.get('/queue',
+  apiRoute({
+    summary: 'Reported comments, most reported first',
+    query: {
+      status: { type: 'string', enum: ['open', 'resolved'] },
+      limit: { type: 'integer', minimum: 1, maximum: 200 },
+      offset: { type: 'integer', minimum: 0 }
+    },
+    response: list()
+  }),
+  async (req, res) => {
+    try {
+      const { status = 'open', limit = 50, offset = 0 } = req.query;
+      const data = await commentService.getModerationQueue({ status, limit: parseInt(limit), offset: parseInt(offset) });
+      res.json({ success: true, data, meta: { status, limit: parseInt(limit), offset: parseInt(offset) } });
+    } catch (error) {
+      console.error('Comment queue error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Hide a comment from profiles and close its reports
+router.post('/:id/hide',
+  apiRoute({
+    summary: 'Hide a comment and close its reports',
+    params: { id: fields.id },
+    body: { type: 'object', properties: { reason: { type: 'string', maxLength: 500 } } },
+    errors: [404],
+    response: envelope(ref('Comment'))
+  }),
+  async (req, res) => {
+    res.locals.audit = { action: 'comment.hide', target: req.params.id };
+
+    try {
+      const comment = await commentService.hide(parseInt(req.params.id), actorOf(req), req.body.reason || null);
+      if (!comment) {
+        return res.status(404).json({ success: false, error: 'Comment not found' });
+      }
+      res.json({ success: true, data: comment });
+    } catch (error) {
+      console.error('Comment hide error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Make a hidden comment visible again
+router.post('/:id/unhide',
+  apiRoute({
+    summary: 'Make a hidden comment visible again',
+    params: { id: fields.id },
+    errors: [404],
+    response: envelope(ref('Comment'))
+  }),
+  async (req, res) => {
+    res.locals.audit = { action: 'comment.unhide', target: req.params.id };
+
+    try {
+      const comment = await commentService.unhide(parseInt(req.params.id));
+      if (!comment) {
+        return res.status(404).json({ success: false, error: 'Comment not found' });
+      }
+      res.json({ success: true, data: comment });
+    } catch (error) {
+      console.error('Comment unhide error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Close a comment's reports and leave it visible
+router.post('/:id/dismiss',
+  apiRoute({
+    summary: "Close a comment's reports and leave it visible",
+    params: { id: fields.id },
+    response: envelope({ type: 'object', properties: { id: { type: 'integer' }, dismissed: { type: 'integer' } } })
+  }),
+  async (req, res) => {
+    res.locals.audit = { action: 'comment.dismiss_reports', target: req.params.id };
+
+    try {
+      const dismissed = await commentService.dismissReports(parseInt(req.params.id), actorOf(req));
+      res.json({ success: true, data: { id: parseInt(req.params.id), dismissed } });
+    } catch (error) {
+      console.error('Comment dismiss error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Bar a player from commenting, for `days` days or until lifted
+router.post('/commenters/:username/ban',
+  apiRoute({
+    summary: 'Bar a player from commenting',
+    params: { username: fields.username },
+    body: {
+      type: 'object',
+      required: ['reason'],
+      properties: {
+        reason: { type: 'string', minLength: 3, maxLength: 500 },
+        days: { type: 'integer', minimum: 1, maximum: 3650, description: 'Until lifted when omitted' }
+      }
+    },
+    errors: [404],
+    response: envelope()
+  }),
+  async (req, res) => {
+    res.locals.audit = { action: 'commenter.ban', target: req.params.username };
+
+    try {
+      const { reason, days } = req.body;
+      const ban = await commentService.banCommenter(req.params.username, actorOf(req), String(reason), days ? parseInt(days) : null);
+      if (!ban) {
+        return res.status(404).json({ success: false, error: 'Player not found' });
+      }
+      res.json({ success: true, data: ban });
+    } catch (error) {
+      console.error('Commenter ban error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+router.delete('/commenters/:username/ban',
+  apiRoute({
+    summary: 'Lift a commenting ban',
+    params: { username: fields.username },
+    errors: [404],
+    response: envelope({ type: 'object', properties: { username: { type: 'string' }, banned: { type: 'boolean' } } })
+  }),
+  async (req, res) => {
+    res.locals.audit = { action: 'commenter.unban', target: req.params.username };
+
+    try {
+      const removed = await commentService.unbanCommenter(req.params.username);
+      if (!removed) {
+        return res.status(404).json({ success: false, error: 'Player is not banned from commenting' });
+      }
+      res.json({ success: true, data: { username: req.params.username, banned: false } });
+    } catch (error) {
+      console.error('Commenter unban error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,151 @@
+const express = require('express');
+const router = express.Router();
+const { startJobRun, listJobs, getJob, setJobPaused } = require('../../jobs/scheduler');
+const { jobRunService } = require('../../services/jobRuns');
+const { apiRoute } = require('../../middleware/apiSchema');
+const { envelope, list, bigint } = require('../../config/apiSchemas');
+
+const RUN_STATUSES = ['running', 'success', 'failure', 'abandoned'];
+
+const runSchema = {
+  type: 'object',
+  required: ['id', 'job_name', 'status', 'started_at'],
+  properties: {
+    id: bigint('Run id'),
+    job_name: { type: 'string' },
+    trigger: { type: 'string', enum: ['schedule', 'startup', 'manual'] },
+    triggered_by: { type: 'string', nullable: true },
+    instance_id: { type: 'string', nullable: true, description: 'Host, process id and a random suffix of the instance' },
+    status: { type: 'string', enum: RUN_STATUSES },
+    started_at: bigint('Epoch milliseconds'),
+    heartbeat_at: bigint('Epoch milliseconds'),
+    finished_at: bigint('Epoch milliseconds'),
+    duration_ms: { type: 'integer', nullable: true },
+    error: { type: 'string', nullable: true },
+    counters: { type: 'object', nullable: true, description: 'Totals the job reported, e.g. players updated' }
+  }
+};
+
+const jobSchema = {
+  type: 'object',
+  required: ['name', 'schedule', 'paused', 'running'],
+  properties: {
+    name: { type: 'string' },
+    schedule: { type: 'string', description: 'Cron expression in UTC, or off' },
+    paused: { type: 'boolean' },
+    pausedBy: { type: 'string', nullable: true },
+    running: { type: 'boolean', description: 'Running on any instance' },
+    nextRun: { type: 'integer', nullable: true, description: 'Epoch milliseconds' },
+    lastRun: { type: 'object', nullable: true, description: 'Latest run, as in the run history' },
+    lastSuccessAt: { type: 'integer', nullable: true, description: 'Epoch milliseconds' }
+  }
+};
+
+const jobParams = { name: { type: 'string', description: 'Job name from the list' } };
+
+const actorOf = (req) => req.user.username || String(req.user.id);
+
+// Jobs with their schedule, pause state and latest run
+router.get('/',
+  apiRoute({
+    summary: 'Scheduled jobs with their pause state and latest run',
+    response: list(jobSchema)
+  }),
+  async (req, res) => {
+    try {
+      res.json({ success: true, data: await listJobs() });
+    } catch (error) {
+      console.error('Admin job list error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Run history of one job, newest first
+router.get('/:name/runs',
+  apiRoute({
+    summary: 'Run history of a job',
+    params: jobParams,
+    query: {
+      status: { type: 'string', enum: RUN_STATUSES },
+      limit: { type: 'integer', minimum: 1, maximum: 200 },
+      offset: { type: 'integer', minimum: 0 }
+    },
+    errors: [404],
+    response: list(runSchema)
+  }),
+  async (req, res) => {
+    try {
+      const { status, limit = 20, offset = 0 } = req.query;
+      if (!(await getJob(req.params.name))) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+      }
+
+      const data = await jobRunService.getRuns(req.params.name, { status, limit: parseInt(limit), offset: parseInt(offset) });
+      res.json({ success: true, data, meta: { status: status || null, limit: parseInt(limit), offset: parseInt(offset) } });
+    } catch (error) {
+      console.error('Admin job runs error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Start a job now without waiting for it to finish
+router.post('/:name/run',
+  apiRoute({
+    summary: 'Start a job now',
+    description: 'Answers with the new run as soon as the job has started; it also runs while paused.',
+    params: jobParams,
+    status: 202,
+    errors: [404, 409],
+    response: envelope(runSchema)
+  }),
+  async (req, res) => {
+    res.locals.audit = { action: 'job.run', target: req.params.name };
+
+    try {
+      if (!(await getJob(req.params.name))) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+      }
+
+      const started = await startJobRun(req.params.name, { trigger: 'manual', triggeredBy: actorOf(req) });
+      if (!started) {
+        return res.status(409).json({ success: false, error: 'Job is already running' });
+      }
+
+      res.locals.audit.details = { runId: started.run.id };
+      res.status(202).json({ success: true, data: started.run });
+    } catch (error) {
+      console.error('Admin job run error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Pause or resume a job's schedule on every instance; manual runs still work while paused
+const setPaused = (paused) => async (req, res) => {
+  res.locals.audit = { action: paused ? 'job.pause' : 'job.resume', target: req.params.name };
+
+  try {
+    const job = await setJobPaused(req.params.name, paused, actorOf(req));
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    res.json({ success: true, data: job });
+  } catch (error) {
+    console.error('Admin job pause error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+router.post('/:name/pause',
+  apiRoute({ summary: "Pause a job's schedule", params: jobParams, errors: [404], response: envelope(jobSchema) }),
+  setPaused(true)
+);
+router.post('/:name/resume',
+  apiRoute({ summary: "Resume a job's schedule", params: jobParams, errors: [404], response: envelope(jobSchema) }),
+  setPaused(false)
+);
+
+module.exports = router;
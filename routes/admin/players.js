@@ -0,0 +1,145 @@
+const express = require('express');
+const router = express.Router();
+const { validateMode } = require('../../middleware/validation');
+const { requireSuperAdmin } = require('../../middleware/admin');
+const { adminService } = require('../../services/admin');
+const { apiRoute } = require('../../middleware/apiSchema');
+const { envelope, fields } = require('../../config/apiSchemas');
+
+const usernameParams = { username: fields.username };
+
+// Name the audit log entry for this request; logAdminAction writes it
+const audit = (action, target = req => req.params.username) => (req, res, next) => {
+  res.locals.audit = { action, target: target(req) };
+  next();
+};
+
+// Re-fetch a player from osu! in the background
+router.post('/:username/refresh',
+  audit('player.refresh'),
+  apiRoute({
+    summary: 'Re-fetch a player from osu! in the background',
+    params: usernameParams,
+    status: 202,
+    errors: [404],
+    response: envelope({
+      type: 'object',
+      properties: { username: { type: 'string' }, mode: { type: 'string' }, status: { type: 'string', enum: ['queued'] } }
+    })
+  }),
+  validateMode,
+  async (req, res) => {
+    try {
+      const player = await adminService.findPlayer(req.params.username);
+      if (!player) {
+        return res.status(404).json({ success: false, error: 'Player not found' });
+      }
+
+      res.locals.audit.details = { mode: req.mode };
+      adminService.refreshPlayer(player.username, req.mode)
+        .then(result => console.log(`🔧 Refreshed ${result.username} (${result.mode})`))
+        .catch(err => console.error(`Player refresh failed for ${player.username}:`, err.message));
+
+      res.status(202).json({ success: true, data: { username: player.username, mode: req.mode, status: 'queued' } });
+    } catch (error) {
+      console.error('Admin player refresh error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Ban or hide a player with a reason
+const moderate = (status) => [
+  audit(status === 'banned' ? 'player.ban' : 'player.hide'),
+  apiRoute({
+    summary: status === 'banned' ? 'Ban a player' : 'Hide a player from rankings and leaderboards',
+    params: usernameParams,
+    body: {
+      type: 'object',
+      required: ['reason'],
+      properties: { reason: { type: 'string', minLength: 3, maxLength: 500 } }
+    },
+    errors: [404],
+    response: envelope()
+  }),
+  async (req, res) => {
+    try {
+      const reason = String(req.body.reason).trim();
+      const actor = req.user.username || String(req.user.id);
+      const player = await adminService.moderatePlayer(req.params.username, status, reason, actor);
+      if (!player) {
+        return res.status(404).json({ success: false, error: 'Player not found' });
+      }
+
+      res.json({ success: true, data: player });
+    } catch (error) {
+      console.error('Admin player moderation error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+];
+
+router.post('/:username/ban', ...moderate('banned'));
+router.post('/:username/hide', ...moderate('hidden'));
+
+// Lift a ban or hide
+router.post('/:username/restore',
+  audit('player.restore'),
+  apiRoute({ summary: 'Lift a ban or hide', params: usernameParams, errors: [404], response: envelope() }),
+  async (req, res) => {
+    try {
+      const previous = await adminService.findPlayer(req.params.username);
+      if (!previous) {
+        return res.status(404).json({ success: false, error: 'Player not found' });
+      }
+
+      const player = await adminService.restorePlayer(previous.username);
+      res.locals.audit.details = {
+        previousStatus: previous.moderation_status,
+        previousReason: previous.moderation_reason
+      };
+      res.json({ success: true, data: player });
+    } catch (error) {
+      console.error('Admin player restore error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Merge a duplicate username (source) into the canonical player (target); deletes the source row
+router.post('/merge',
+  audit('player.merge', req => req.body.target),
+  requireSuperAdmin,
+  apiRoute({
+    summary: 'Merge a duplicate player into the canonical one',
+    description: 'Moves the scores and history of source to target and deletes source.',
+    body: {
+      type: 'object',
+      required: ['source', 'target'],
+      properties: { source: fields.username, target: fields.username }
+    },
+    errors: [404],
+    response: envelope()
+  }),
+  async (req, res) => {
+    try {
+      const { source, target } = req.body;
+      if (String(source).toLowerCase() === String(target).toLowerCase()) {
+        return res.status(400).json({ success: false, error: 'source and target must be different players' });
+      }
+
+      const result = await adminService.mergePlayers(String(source), String(target));
+      if (!result) {
+        return res.status(404).json({ success: false, error: 'Both players must exist' });
+      }
+
+      res.locals.audit.details = { moved: result.moved };
+      res.json({ success: true, data: result });
+    } catch (error) {
+      console.error('Admin player merge error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+module.exports = router;
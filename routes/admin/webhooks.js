@@ -0,0 +1,209 @@
+const express = require('express');
+const router = express.Router();
+const { webhookService, WEBHOOK_EVENTS } = require('../../services/webhooks');
+const { apiRoute } = require('../../middleware/apiSchema');
+const { envelope, list, ref, fields } = require('../../config/apiSchemas');
+
+const DELIVERY_STATUSES = ['pending', 'sending', 'delivered', 'failed'];
+
+// Writable subscription fields; updates may leave any of them out
+const subscriptionFields = {
+  url: { type: 'string', format: 'uri', description: 'http or https endpoint that receives the events' },
+  events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS }, description: 'Empty for every event' },
+  description: { type: 'string' },
+  isActive: { type: 'boolean' }
+};
+
+const idParams = { id: fields.id };
+
+// List subscriptions with delivery counts
+router.get('/',
+  apiRoute({
+    summary: 'Webhook subscriptions with delivery counts',
+    response: list(ref('Webhook'), { type: 'object', properties: { events: { type: 'array', items: { type: 'string' } } } })
+  }),
+  async (req, res) => {
+    try {
+      const data = await webhookService.listSubscriptions();
+      res.json({ success: true, data, meta: { events: WEBHOOK_EVENTS } });
+    } catch (error) {
+      console.error('Webhook list error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Create a subscription; the signing secret is only returned here
+router.post('/',
+  apiRoute({
+    summary: 'Create a webhook subscription',
+    description: 'The signing secret is only returned here and on rotation.',
+    body: { type: 'object', required: ['url'], properties: subscriptionFields },
+    status: 201,
+    response: envelope(ref('Webhook'))
+  }),
+  async (req, res) => {
+    res.locals.audit = { action: 'webhook.create' };
+
+    try {
+      const { url, events, description } = req.body;
+      const data = await webhookService.createSubscription(
+        { url, events: [...new Set(events || [])], description },
+        req.user.username || String(req.user.id)
+      );
+      res.locals.audit.target = data.id;
+
+      res.status(201).json({ success: true, data });
+    } catch (error) {
+      console.error('Webhook create error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Get one subscription
+router.get('/:id',
+  apiRoute({
+    summary: 'One webhook subscription',
+    params: idParams,
+    errors: [404],
+    response: envelope(ref('Webhook'))
+  }),
+  async (req, res) => {
+    try {
+      const data = await webhookService.getSubscription(parseInt(req.params.id));
+      if (!data) {
+        return res.status(404).json({ success: false, error: 'Webhook not found' });
+      }
+      res.json({ success: true, data });
+    } catch (error) {
+      console.error('Webhook get error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Update url, events, description or isActive; rotateSecret returns a new secret
+router.patch('/:id',
+  apiRoute({
+    summary: 'Update a webhook subscription',
+    params: idParams,
+    body: {
+      type: 'object',
+      properties: {
+        ...subscriptionFields,
+        rotateSecret: { type: 'boolean', description: 'Issue and return a new signing secret' }
+      }
+    },
+    errors: [404],
+    response: envelope(ref('Webhook'))
+  }),
+  async (req, res) => {
+    res.locals.audit = { action: 'webhook.update', target: req.params.id };
+
+    try {
+      const { url, events, description, isActive, rotateSecret } = req.body;
+      const data = await webhookService.updateSubscription(parseInt(req.params.id), {
+        url,
+        events: events && [...new Set(events)],
+        description,
+        isActive,
+        rotateSecret: rotateSecret === true
+      });
+
+      if (!data) {
+        return res.status(404).json({ success: false, error: 'Webhook not found' });
+      }
+      res.json({ success: true, data });
+    } catch (error) {
+      console.error('Webhook update error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Delete a subscription and its delivery log
+router.delete('/:id',
+  apiRoute({
+    summary: 'Delete a webhook subscription and its delivery log',
+    params: idParams,
+    errors: [404],
+    response: { type: 'object', properties: { success: { type: 'boolean' }, message: { type: 'string' } } }
+  }),
+  async (req, res) => {
+    res.locals.audit = { action: 'webhook.delete', target: req.params.id };
+
+    try {
+      const deleted = await webhookService.deleteSubscription(parseInt(req.params.id));
+      if (!deleted) {
+        return res.status(404).json({ success: false, error: 'Webhook not found' });
+      }
+      res.json({ success: true, message: 'Webhook deleted' });
+    } catch (error) {
+      console.error('Webhook delete error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Delivery log for a subscription
+router.get('/:id/deliveries',
+  apiRoute({
+    summary: 'Delivery log of a webhook subscription',
+    params: idParams,
+    query: {
+      status: { type: 'string', enum: DELIVERY_STATUSES },
+      limit: { type: 'integer', minimum: 1, maximum: 200 }
+    },
+    errors: [404],
+    response: list()
+  }),
+  async (req, res) => {
+    try {
+      const { status, limit = 50 } = req.query;
+      const subscription = await webhookService.getSubscription(parseInt(req.params.id));
+      if (!subscription) {
+        return res.status(404).json({ success: false, error: 'Webhook not found' });
+      }
+
+      const data = await webhookService.getDeliveries(subscription.id, { status, limit: parseInt(limit) });
+      res.json({
+        success: true,
+        data,
+        meta: { subscriptionId: subscription.id, status: status || null, limit: parseInt(limit) }
+      });
+    } catch (error) {
+      console.error('Webhook deliveries error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Queue a delivery's payload again as a new delivery
+router.post('/deliveries/:deliveryId/redeliver',
+  apiRoute({
+    summary: "Queue a delivery's payload again",
+    params: { deliveryId: fields.id },
+    status: 202,
+    errors: [404],
+    response: envelope()
+  }),
+  async (req, res) => {
+    res.locals.audit = { action: 'webhook.redeliver', target: req.params.deliveryId };
+
+    try {
+      const data = await webhookService.redeliver(parseInt(req.params.deliveryId));
+      if (!data) {
+        return res.status(404).json({ success: false, error: 'Delivery not found' });
+      }
+
+      webhookService.processDeliveries().catch(err => console.error('Webhook delivery processing failed:', err.message));
+      res.status(202).json({ success: true, data });
+    } catch (error) {
+      console.error('Webhook redeliver error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+module.exports = router;
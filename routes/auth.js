@@ -0,0 +1,230 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../config/security');
+const { authService, AuthError } = require('../services/auth');
+const { apiRoute } = require('../middleware/apiSchema');
+const { envelope, bigint } = require('../config/apiSchemas');
+
+const requestMeta = (req) => ({
+  userAgent: req.get('user-agent') || null,
+  ip: req.ip
+});
+
+const tokenResponse = ({ account, accessToken, refreshToken, tokenType, expiresAt }) => ({
+  accessToken,
+  refreshToken,
+  tokenType,
+  expiresAt,
+  account: {
+    id: account.id,
+    osuUserId: Number(account.osu_user_id),
+    username: account.username,
+    role: account.role
+  }
+});
+
+const tokenSchema = envelope({
+  type: 'object',
+  required: ['accessToken', 'refreshToken', 'tokenType', 'expiresAt', 'account'],
+  properties: {
+    accessToken: { type: 'string' },
+    refreshToken: { type: 'string', description: 'Single use; /refresh returns a new one' },
+    tokenType: { type: 'string', enum: ['Bearer'] },
+    expiresAt: { type: 'integer', description: 'Access token expiry, epoch milliseconds' },
+    account: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        osuUserId: { type: 'integer' },
+        username: { type: 'string' },
+        role: { type: 'string', description: 'user, admin or super_admin' }
+      }
+    }
+  }
+});
+
+// Only same-site paths are accepted as post-login redirects
+const isSafeRedirect = (redirect) =>
+  typeof redirect === 'string' && redirect.startsWith('/') && !redirect.startsWith('//');
+
+const handleAuthError = (res, error, label) => {
+  if (error instanceof AuthError) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ success: false, error: 'Internal server error' });
+};
+
+// Send the player to osu! to approve sign-in
+router.get('/osu/login',
+  apiRoute({
+    summary: 'Sign in with osu!',
+    query: {
+      redirect: { type: 'string', pattern: '^/(?!/)', description: 'Same-site path to return to with the tokens in the URL fragment' }
+    },
+    status: 302,
+    responseDescription: 'Redirect to the osu! authorization page'
+  }),
+  async (req, res) => {
+    try {
+      const { redirect } = req.query;
+      if (redirect !== undefined && !isSafeRedirect(redirect)) {
+        return res.status(400).json({ success: false, error: 'redirect must be a relative path' });
+      }
+
+      res.redirect(await authService.createLoginUrl(redirect || null));
+    } catch (error) {
+      handleAuthError(res, error, 'OAuth login');
+    }
+  }
+);
+
+// osu! sends the player back here with an authorization code
+router.get('/osu/callback',
+  apiRoute({
+    summary: 'OAuth callback from osu!',
+    description: 'Returns the token pair, or redirects to the path given at sign-in with the tokens in the URL fragment.',
+    query: {
+      code: { type: 'string' },
+      state: { type: 'string' },
+      error: { type: 'string', description: 'Set by osu! when the player denied access' }
+    },
+    errors: [401],
+    response: tokenSchema
+  }),
+  async (req, res) => {
+    try {
+      const { code, state, error } = req.query;
+
+      if (error) {
+        return res.status(401).json({ success: false, error: `osu! authorization was denied: ${error}` });
+      }
+
+      const stored = await authService.consumeState(state);
+      if (!stored) {
+        return res.status(400).json({ success: false, error: 'Invalid or expired OAuth state' });
+      }
+      if (!code) {
+        return res.status(400).json({ success: false, error: 'Missing authorization code' });
+      }
+
+      const data = tokenResponse(await authService.loginWithCode(code, requestMeta(req)));
+
+      // Browser flows get the tokens in the fragment so they never reach server logs
+      if (stored.redirect) {
+        const fragment = new URLSearchParams({
+          access_token: data.accessToken,
+          refresh_token: data.refreshToken,
+          expires_at: String(data.expiresAt)
+        });
+        return res.redirect(`${stored.redirect}#${fragment}`);
+      }
+
+      res.json({ success: true, data });
+    } catch (error) {
+      handleAuthError(res, error, 'OAuth callback');
+    }
+  }
+);
+
+// Exchange a refresh token for a new token pair; the old refresh token stops working
+router.post('/refresh',
+  apiRoute({
+    summary: 'Exchange a refresh token for a new token pair',
+    body: {
+      type: 'object',
+      required: ['refreshToken'],
+      properties: { refreshToken: { type: 'string', minLength: 1 } }
+    },
+    errors: [401],
+    response: tokenSchema
+  }),
+  async (req, res) => {
+    try {
+      const { refreshToken } = req.body;
+      if (!refreshToken || typeof refreshToken !== 'string') {
+        return res.status(400).json({ success: false, error: 'refreshToken is required' });
+      }
+
+      const data = tokenResponse(await authService.refresh(refreshToken, requestMeta(req)));
+      res.json({ success: true, data });
+    } catch (error) {
+      handleAuthError(res, error, 'Token refresh');
+    }
+  }
+);
+
+// Revoke one refresh token, or every session of the signed-in account with { all: true }
+router.post('/logout', apiRoute({
+  summary: 'Sign out',
+  description: 'Revokes the given refresh token, or with all: true (and an access token) every session of the account.',
+  body: {
+    type: 'object',
+    properties: {
+      refreshToken: { type: 'string', minLength: 1 },
+      all: { type: 'boolean' }
+    }
+  },
+  errors: [401, 403],
+  response: envelope({ type: 'object', properties: { revoked: { type: 'integer' } } })
+}), async (req, res, next) => {
+  if (req.body.all === true) return authenticateToken(req, res, next);
+  next();
+}, async (req, res) => {
+  try {
+    const { refreshToken, all } = req.body;
+
+    if (all === true) {
+      const revoked = await authService.revokeAll(req.user.id);
+      return res.json({ success: true, data: { revoked } });
+    }
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ success: false, error: 'refreshToken is required' });
+    }
+
+    const revoked = await authService.revoke(refreshToken);
+    res.json({ success: true, data: { revoked: revoked ? 1 : 0 } });
+  } catch (error) {
+    handleAuthError(res, error, 'Logout');
+  }
+});
+
+// The signed-in account and its player profile
+router.get('/me',
+  apiRoute({
+    summary: 'The signed-in account and its player profile',
+    errors: [404],
+    response: envelope({
+      type: 'object',
+      required: ['id', 'username', 'role'],
+      properties: {
+        id: { type: 'integer' },
+        osu_user_id: bigint('osu! user id'),
+        username: { type: 'string' },
+        role: { type: 'string' },
+        created_at: bigint('Epoch milliseconds'),
+        last_login_at: bigint('Epoch milliseconds'),
+        country: { type: 'string', nullable: true },
+        avatar_url: { type: 'string', nullable: true },
+        weighted_pp: { type: 'number', nullable: true },
+        global_rank: { type: 'integer', nullable: true },
+        country_rank: { type: 'integer', nullable: true }
+      }
+    })
+  }),
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const account = await authService.getAccount(req.user.id);
+      if (!account) {
+        return res.status(404).json({ success: false, error: 'Account not found' });
+      }
+      res.json({ success: true, data: account });
+    } catch (error) {
+      handleAuthError(res, error, 'Current account');
+    }
+  }
+);
+
+module.exports = router;
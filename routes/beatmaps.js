@@ -0,0 +1,198 @@
+const express = require('express');
+const router = express.Router();
+const { getRow } = require('../config/db');
+const { apiRoute } = require('../middleware/apiSchema');
+const { heavyRateLimit } = require('../middleware/rateLimiting');
+const { envelope, list, fields } = require('../config/apiSchemas');
+const { normalizeMode } = require('../config/modes');
+const { getBeatmap } = require('../services/osuApi');
+const { leaderboardService } = require('../services/leaderboard');
+const { cacheService } = require('../services/cache');
+const { PPCalculator } = require('../services/ppCalculator');
+const { beatmapAnalysisService } = require('../services/beatmapAnalysis');
+const { BeatmapParseError } = require('../services/beatmapParser');
+
+// Accuracies shown when no ?acc= is given
+const DEFAULT_ACCURACIES = [95, 97, 98, 99, 100];
+
+// .osu uploads arrive as the raw file; the bytes are kept so the MD5 matches osu!'s checksum
+const osuFileBody = express.raw({ type: ['text/plain', 'application/octet-stream', 'text/x-osu'], limit: '5mb' });
+const uploadedFile = (req) => (Buffer.isBuffer(req.body) ? req.body : req.body?.content);
+
+// Metadata joined with the attributes of an analysed .osu file, when there is one
+const BEATMAP_QUERY = `
+  SELECT
+    bm.*,
+    ba.aim_difficulty, ba.speed_difficulty, ba.classification,
+    COALESCE(bm.count_circles, ba.count_circles) AS count_circles,
+    COALESCE(bm.count_sliders, ba.count_sliders) AS count_sliders,
+    COALESCE(bm.count_spinners, ba.count_spinners) AS count_spinners
+  FROM beatmap_metadata bm
+  LEFT JOIN beatmap_attributes ba ON ba.beatmap_id = bm.beatmap_id
+  WHERE bm.beatmap_id = $1
+`;
+
+// Saved metadata for a beatmap, fetched from osu! and stored the first time it is asked for
+async function loadBeatmap(beatmapId) {
+  const cached = await cacheService.getBeatmapCache(beatmapId);
+  if (cached) return cached;
+
+  let beatmap = await getRow(BEATMAP_QUERY, [beatmapId]);
+
+  if (!beatmap) {
+    try {
+      await leaderboardService.saveBeatmapMetadata(await getBeatmap(beatmapId));
+    } catch (err) {
+      if (err.response?.status === 404) return null;
+      throw err;
+    }
+    beatmap = await getRow(BEATMAP_QUERY, [beatmapId]);
+  }
+
+  if (beatmap) await cacheService.cacheBeatmap(beatmapId, beatmap);
+  return beatmap;
+}
+
+// pp for hypothetical plays: ?acc= (percent), mods=HDDT, misses=, combo=
+router.get('/:beatmapId/pp',
+  apiRoute({
+    summary: 'pp of hypothetical plays on a beatmap',
+    description: 'Without acc, pp is given for 95, 97, 98, 99 and 100% accuracy. Only osu!standard is supported.',
+    params: { beatmapId: fields.beatmapId },
+    query: {
+      acc: { type: 'number', minimum: 0, maximum: 100, description: 'Accuracy in percent' },
+      mods: { ...fields.mods, description: 'e.g. HDDT, HD,DT or HD+DT' },
+      misses: { type: 'integer', minimum: 0 },
+      combo: { type: 'integer', minimum: 0, description: 'Full combo when omitted' },
+      mode: { type: 'string', description: 'Only osu (osu!standard) is supported' }
+    },
+    errors: [404],
+    response: list({
+      type: 'object',
+      properties: {
+        accuracy: { type: 'number' },
+        pp: { type: 'number' },
+        aim: { type: 'number' },
+        speed: { type: 'number' },
+        accuracyPP: { type: 'number' },
+        combo: { type: 'integer' },
+        hits: { type: 'object' }
+      }
+    }, { type: 'object' })
+  }),
+  async (req, res) => {
+    try {
+      const mode = normalizeMode(req.query.mode) || 'osu';
+      if (mode !== 'osu') {
+        return res.status(400).json({ success: false, error: 'pp can only be calculated for osu!standard' });
+      }
+
+      const beatmap = await loadBeatmap(req.params.beatmapId);
+      if (!beatmap) {
+        return res.status(404).json({ success: false, error: 'Beatmap not found' });
+      }
+
+      const { acc, mods = '', misses = 0, combo } = req.query;
+      const accuracies = acc !== undefined ? [Number(acc)] : DEFAULT_ACCURACIES;
+
+      const results = accuracies.map(accuracy => PPCalculator.calculate(beatmap, {
+        accuracy: accuracy / 100,
+        mods,
+        countMiss: parseInt(misses),
+        combo: combo !== undefined ? parseInt(combo) : undefined
+      }, mode));
+
+      if (results.some(result => result === null)) {
+        return res.status(400).json({ success: false, error: 'pp is not awarded with these mods' });
+      }
+
+      res.json({
+        success: true,
+        data: results.map((result, index) => ({
+          accuracy: accuracies[index],
+          pp: Math.round(result.pp * 100) / 100,
+          aim: Math.round(result.aim * 100) / 100,
+          speed: Math.round(result.speed * 100) / 100,
+          accuracyPP: Math.round(result.accuracy * 100) / 100,
+          combo: result.combo,
+          hits: result.hits
+        })),
+        meta: {
+          beatmapId: Number(beatmap.beatmap_id),
+          title: `${beatmap.artist} - ${beatmap.title} [${beatmap.version}]`,
+          mode,
+          mods: results[0].mods,
+          misses: parseInt(misses),
+          maxCombo: results[0].maxCombo,
+          starRating: beatmap.difficulty_rating,
+          difficulty: results[0].difficulty,
+          estimated: results[0].estimated
+        }
+      });
+    } catch (error) {
+      console.error('Beatmap pp error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Difficulty attributes of an uploaded .osu file (raw body or { content }), nothing is stored
+router.post('/analyze',
+  heavyRateLimit,
+  osuFileBody,
+  apiRoute({
+    summary: 'Difficulty attributes of an uploaded .osu file',
+    description: 'Send the .osu file as the raw body, or JSON with its text as content. Nothing is stored.',
+    query: { mods: fields.mods },
+    upload: ['text/plain', 'application/octet-stream', 'text/x-osu'],
+    body: {
+      type: 'object',
+      properties: {
+        content: { type: 'string', description: 'Text of the .osu file' }
+      }
+    },
+    errors: [429],
+    response: envelope({ type: 'object' })
+  }),
+  async (req, res) => {
+    try {
+      const content = uploadedFile(req);
+      if (!content) {
+        return res.status(400).json({ success: false, error: 'Send the .osu file as the request body' });
+      }
+
+      const data = beatmapAnalysisService.analyze(content, req.query.mods || '');
+      res.json({ success: true, data });
+    } catch (error) {
+      if (error instanceof BeatmapParseError) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      console.error('Beatmap analyze error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Stored attributes from the beatmap's analysed .osu file
+router.get('/:beatmapId/attributes',
+  apiRoute({
+    summary: "Stored attributes from a beatmap's analysed .osu file",
+    params: { beatmapId: fields.beatmapId },
+    errors: [404],
+    response: envelope({ type: 'object' })
+  }),
+  async (req, res) => {
+    try {
+      const data = await beatmapAnalysisService.getAttributes(req.params.beatmapId);
+      if (!data) {
+        return res.status(404).json({ success: false, error: 'Beatmap has not been analysed' });
+      }
+      res.json({ success: true, data });
+    } catch (error) {
+      console.error('Beatmap attributes error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+module.exports = router;
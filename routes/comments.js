@@ -0,0 +1,96 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePlayer } = require('../config/security');
+const { apiRoute } = require('../middleware/apiSchema');
+const { ref, envelope, fields } = require('../config/apiSchemas');
+const { commentService, CommentError } = require('../services/comments');
+
+// Everything here acts on a comment as the signed-in player
+router.use(authenticateToken, requirePlayer);
+
+const handleCommentError = (res, error, label) => {
+  if (error instanceof CommentError) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ success: false, error: 'Internal server error' });
+};
+
+// Edit your own comment
+router.patch('/:id',
+  apiRoute({
+    summary: 'Edit your own comment',
+    params: { id: fields.id },
+    body: {
+      type: 'object',
+      required: ['text'],
+      properties: { text: { type: 'string', minLength: 1 } }
+    },
+    errors: [404, 429],
+    response: envelope(ref('Comment'))
+  }),
+  async (req, res) => {
+    try {
+      const comment = await commentService.update(parseInt(req.params.id), req.user.username, req.body.text);
+      res.json({ success: true, data: comment });
+    } catch (error) {
+      handleCommentError(res, error, 'Comment edit');
+    }
+  }
+);
+
+// Delete your own comment; admins can delete any
+router.delete('/:id',
+  apiRoute({
+    summary: 'Delete your own comment; admins can delete any',
+    params: { id: fields.id },
+    errors: [404],
+    response: envelope({
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        deleted: { type: 'boolean' }
+      }
+    })
+  }),
+  async (req, res) => {
+    try {
+      const data = await commentService.remove(parseInt(req.params.id), req.user);
+      res.json({ success: true, data });
+    } catch (error) {
+      handleCommentError(res, error, 'Comment delete');
+    }
+  }
+);
+
+// Report a comment to the moderators
+router.post('/:id/report',
+  apiRoute({
+    summary: 'Report a comment to the moderators',
+    params: { id: fields.id },
+    body: {
+      type: 'object',
+      properties: { reason: { type: 'string', maxLength: 500 } }
+    },
+    errors: [404],
+    responseDescription: 'Already reported (201 for a new report)',
+    response: envelope({
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        reported: { type: 'boolean' }
+      }
+    })
+  }),
+  async (req, res) => {
+    try {
+      const reason = typeof req.body.reason === 'string' && req.body.reason.trim() ? req.body.reason.trim() : null;
+      const created = await commentService.report(parseInt(req.params.id), req.user.username, reason);
+      res.status(created ? 201 : 200).json({ success: true, data: { id: parseInt(req.params.id), reported: true } });
+    } catch (error) {
+      handleCommentError(res, error, 'Comment report');
+    }
+  }
+);
+
+module.exports = router;
@@ -1,13 +1,20 @@
 const express = require('express');
 const router = express.Router();
-const { getRows, getRow, getCached, getCacheKey } = require('../config/db');
-const { validateInput } = require('../middleware/validation');
+const { getRows, getRow } = require('../config/db');
+const { getCached, getCacheKey } = require('../config/redis');
+const { validateCountry } = require('../middleware/validation');
+const { apiRoute } = require('../middleware/apiSchema');
+const { ref, envelope, fields } = require('../config/apiSchemas');
+
+router.use(validateCountry);
 
 // Player comparison endpoint
 router.get('/:username1/:username2', 
-  validateInput({
-    username1: { required: true, minLength: 2 },
-    username2: { required: true, minLength: 2 }
+  apiRoute({
+    summary: 'Compare two players: statistics, skills, top scores and achievements',
+    params: { username1: fields.username, username2: fields.username },
+    errors: [404],
+    response: envelope({ type: 'object' })
   }),
   async (req, res) => {
     try {
@@ -84,7 +91,7 @@ router.get('/:username1/:username2',
             p2.rank as player2_rank,
             p2.accuracy as player2_accuracy,
             p2.pp as player2_pp,
-            CASE WHEN p1.rank < p2.rank THEN $1 ELSE $2 END as winner
+            CASE WHEN p1.score > p2.score THEN $1 ELSE $2 END as winner
           FROM algeria_top50 p1
           INNER JOIN algeria_top50 p2 ON p1.beatmap_id = p2.beatmap_id
           WHERE p1.username ILIKE $3 AND p2.username ILIKE $4
@@ -164,8 +171,22 @@ router.get('/:username1/:username2',
 
 // Multiple player comparison (up to 4 players)
 router.post('/multiple', 
-  validateInput({
-    usernames: { required: true }
+  apiRoute({
+    summary: 'Compare two to four players',
+    body: {
+      type: 'object',
+      required: ['usernames'],
+      properties: {
+        usernames: { type: 'array', minItems: 2, maxItems: 4, items: fields.username }
+      }
+    },
+    response: envelope({
+      type: 'object',
+      properties: {
+        players: { type: 'array', items: { type: 'object' } },
+        rankings: { type: 'object' }
+      }
+    })
   }),
   async (req, res) => {
     try {
@@ -253,55 +274,72 @@ router.post('/multiple',
 );
 
 // Compare players on specific beatmap
-router.get('/beatmap/:beatmapId/:username1/:username2', async (req, res) => {
-  try {
-    const { beatmapId, username1, username2 } = req.params;
-    const cacheKey = getCacheKey('compare', 'beatmap', beatmapId, username1, username2);
+router.get('/beatmap/:beatmapId/:username1/:username2',
+  apiRoute({
+    summary: "Compare two players' scores on a beatmap",
+    params: { beatmapId: fields.beatmapId, username1: fields.username, username2: fields.username },
+    response: envelope({
+      type: 'object',
+      required: ['hasScores'],
+      properties: {
+        hasScores: { type: 'boolean' },
+        player1Score: { allOf: [ref('Score')], nullable: true },
+        player2Score: { allOf: [ref('Score')], nullable: true },
+        leaderboard: { type: 'array', items: { type: 'object' } },
+        comparison: { type: 'object', nullable: true }
+      }
+    })
+  }),
+  async (req, res) => {
+    try {
+      const { beatmapId, username1, username2 } = req.params;
+      const cacheKey = getCacheKey('compare', 'beatmap', beatmapId, req.country, username1, username2);
     
-    const data = await getCached(cacheKey, async () => {
-      const [score1, score2, allScores] = await Promise.all([
-        getRow(`
-          SELECT * FROM algeria_top50 
-          WHERE beatmap_id = $1 AND username ILIKE $2
-        `, [beatmapId, `%${username1}%`]),
-        getRow(`
-          SELECT * FROM algeria_top50 
-          WHERE beatmap_id = $1 AND username ILIKE $2
-        `, [beatmapId, `%${username2}%`]),
-        getRows(`
-          SELECT username, rank, score, accuracy, pp, mods
-          FROM algeria_top50 
-          WHERE beatmap_id = $1
-          ORDER BY rank ASC
-          LIMIT 50
-        `, [beatmapId])
-      ]);
+      const data = await getCached(cacheKey, async () => {
+        const [score1, score2, allScores] = await Promise.all([
+          getRow(`
+            SELECT * FROM algeria_top50 
+            WHERE beatmap_id = $1 AND username ILIKE $2
+          `, [beatmapId, `%${username1}%`]),
+          getRow(`
+            SELECT * FROM algeria_top50 
+            WHERE beatmap_id = $1 AND username ILIKE $2
+          `, [beatmapId, `%${username2}%`]),
+          getRows(`
+            SELECT username, rank, score, accuracy, pp, mods
+            FROM algeria_top50 
+            WHERE beatmap_id = $1 AND country = $2
+            ORDER BY rank ASC
+            LIMIT 50
+          `, [beatmapId, req.country])
+        ]);
       
-      if (!score1 && !score2) {
-        return { hasScores: false, message: 'Neither player has played this beatmap' };
-      }
+        if (!score1 && !score2) {
+          return { hasScores: false, message: 'Neither player has played this beatmap' };
+        }
       
-      return {
-        hasScores: true,
-        beatmapId,
-        player1Score: score1,
-        player2Score: score2,
-        leaderboard: allScores,
-        comparison: score1 && score2 ? {
-          scoreDiff: score1.score - score2.score,
-          rankDiff: score1.rank - score2.rank,
-          accuracyDiff: score1.accuracy - score2.accuracy,
-          ppDiff: (score1.pp || 0) - (score2.pp || 0),
-          winner: score1.rank < score2.rank ? username1 : username2
-        } : null
-      };
-    }, 300);
+        return {
+          hasScores: true,
+          beatmapId,
+          player1Score: score1,
+          player2Score: score2,
+          leaderboard: allScores,
+          comparison: score1 && score2 ? {
+            scoreDiff: score1.score - score2.score,
+            rankDiff: score1.rank - score2.rank,
+            accuracyDiff: score1.accuracy - score2.accuracy,
+            ppDiff: (score1.pp || 0) - (score2.pp || 0),
+            winner: score1.score > score2.score ? username1 : username2
+          } : null
+        };
+      }, 300);
     
-    res.json({ success: true, data });
-  } catch (error) {
-    console.error('Beatmap comparison error:', error);
-    res.status(500).json({ success: false, error: 'Failed to compare on beatmap' });
+      res.json({ success: true, data });
+    } catch (error) {
+      console.error('Beatmap comparison error:', error);
+      res.status(500).json({ success: false, error: 'Failed to compare on beatmap' });
+    }
   }
-});
+);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const { apiRoute } = require('../middleware/apiSchema');
+const { buildOpenApiSpec } = require('../services/openapi');
+const { version } = require('../package.json');
+
+// Swagger UI, loaded from the CDN the Content-Security-Policy allows
+const SWAGGER_UI = 'https://cdn.jsdelivr.net/npm/swagger-ui-dist@5';
+
+const docsPage = (specUrl) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>API documentation</title>
+  <link rel="stylesheet" href="${SWAGGER_UI}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${SWAGGER_UI}/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: '${specUrl}', dom_id: '#swagger-ui', deepLinking: true });
+  </script>
+</body>
+</html>`;
+
+// The routes only change on restart, so the document is built once
+let spec = null;
+
+// Interactive documentation of every /api route
+router.get('/',
+  apiRoute({ summary: 'Interactive API documentation', produces: 'text/html' }),
+  (req, res) => {
+    res.type('html').send(docsPage(`${req.baseUrl}/openapi.json`));
+  }
+);
+
+// The OpenAPI 3 document behind the interactive docs
+router.get('/openapi.json',
+  apiRoute({ summary: 'OpenAPI 3 document for this API' }),
+  (req, res) => {
+    try {
+      if (!spec) spec = buildOpenApiSpec(req.app, { version });
+      res.json(spec);
+    } catch (error) {
+      console.error('OpenAPI document error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+module.exports = router;
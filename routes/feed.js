@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePlayer } = require('../config/security');
+const { apiRoute } = require('../middleware/apiSchema');
+const { paginate, pageMeta } = require('../middleware/pagination');
+const { ref, list } = require('../config/apiSchemas');
+const { feedService } = require('../services/feed');
+
+// Activity of the players the signed-in player follows
+router.get('/',
+  authenticateToken,
+  requirePlayer,
+  apiRoute({
+    summary: 'Activity of the players you follow, newest first',
+    response: list({ type: 'object' }, {
+      allOf: [ref('PageMeta')],
+      properties: { username: { type: 'string' } }
+    })
+  }),
+  paginate({ defaultLimit: 30 }),
+  async (req, res) => {
+    try {
+      const page = await feedService.getFeed(req.user.username, req.page);
+
+      res.json({
+        success: true,
+        data: page.items,
+        meta: {
+          username: req.user.username,
+          ...pageMeta(req, res, page)
+        }
+      });
+    } catch (error) {
+      console.error('Feed error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -2,89 +2,193 @@ const express = require('express');
 const router = express.Router();
 const { testConnection } = require('../config/db');
 const { testRedisConnection } = require('../config/redis');
-const { testApiConnection } = require('../services/osuApi');
+const { testApiConnection, getRateLimitStatus, getRequestMetrics } = require('../services/osuApi');
+const { beatmapQueueService } = require('../services/beatmapQueue');
+const { apiRoute } = require('../middleware/apiSchema');
 
-// Health check endpoint
-router.get('/', async (req, res) => {
-  try {
-    const [dbHealthy, redisHealthy, apiHealthy] = await Promise.all([
-      testConnection(),
-      testRedisConnection(),
-      testApiConnection()
-    ]);
-
-    const status = dbHealthy && redisHealthy && apiHealthy ? 'healthy' : 'unhealthy';
-    const statusCode = status === 'healthy' ? 200 : 503;
-
-    res.status(statusCode).json({
-      status,
-      timestamp: new Date().toISOString(),
-      services: {
-        database: dbHealthy ? 'connected' : 'disconnected',
-        redis: redisHealthy ? 'connected' : 'disconnected',
-        osuApi: apiHealthy ? 'connected' : 'disconnected'
-      },
-      uptime: process.uptime(),
-      memory: process.memoryUsage(),
-      version: process.env.npm_package_version || '1.0.0'
-    });
-  } catch (error) {
-    res.status(503).json({
-      status: 'unhealthy',
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
+// Health responses are plain status objects rather than the usual envelope
+const connection = { type: 'string', enum: ['connected', 'disconnected'] };
+const check = {
+  type: 'object',
+  required: ['status'],
+  properties: {
+    status: { type: 'string', enum: ['healthy', 'unhealthy'] },
+    responseTime: { type: 'integer', description: 'Milliseconds' },
+    error: { type: 'string' }
+  }
+};
+const queueStats = {
+  type: 'object',
+  nullable: true,
+  properties: {
+    pending: { type: 'integer' },
+    delayed: { type: 'integer', description: 'Failed fetches waiting to retry' },
+    active: { type: 'integer' },
+    dead: { type: 'integer', description: 'Fetches given up on after repeated failures' },
+    processed: { type: 'integer' },
+    failed: { type: 'integer' },
+    deadLettered: { type: 'integer' }
   }
-});
+};
+const endpointMetrics = {
+  type: 'object',
+  properties: {
+    requests: { type: 'integer' },
+    errors: { type: 'integer' },
+    retries: { type: 'integer' },
+    rateLimited: { type: 'integer', description: 'Responses with status 429' },
+    tokenRefreshes: { type: 'integer', description: 'Tokens refreshed after a 401' },
+    statuses: { type: 'object', additionalProperties: { type: 'integer' }, description: 'Responses per HTTP status, or network' },
+    avgMs: { type: 'integer' },
+    maxMs: { type: 'integer' },
+    lastRequestAt: { type: 'integer', nullable: true, description: 'Epoch milliseconds' },
+    lastError: { type: 'string', nullable: true }
+  }
+};
 
-// Detailed health check
-router.get('/detailed', async (req, res) => {
+// The connection tests report failure by returning false rather than throwing
+async function runCheck(test, failure) {
+  const start = Date.now();
   try {
-    const healthChecks = {};
+    const healthy = await test();
+    return healthy
+      ? { status: 'healthy', responseTime: Date.now() - start }
+      : { status: 'unhealthy', error: failure };
+  } catch (err) {
+    return { status: 'unhealthy', error: err.message };
+  }
+}
 
-    // Database health
-    try {
-      await testConnection();
-      healthChecks.database = { status: 'healthy', responseTime: 0 };
-    } catch (err) {
-      healthChecks.database = { status: 'unhealthy', error: err.message };
+// Health check endpoint
+router.get('/',
+  apiRoute({
+    summary: 'Service health',
+    description: 'Answers 503 with the same body when the database, Redis or the osu! API is unreachable.',
+    errors: [503],
+    response: {
+      type: 'object',
+      required: ['status', 'services'],
+      properties: {
+        status: { type: 'string', enum: ['healthy', 'unhealthy'] },
+        timestamp: { type: 'string', format: 'date-time' },
+        services: {
+          type: 'object',
+          properties: { database: connection, redis: connection, osuApi: connection }
+        },
+        uptime: { type: 'number', description: 'Seconds' },
+        memory: { type: 'object' },
+        version: { type: 'string' }
+      }
     }
-
-    // Redis health
+  }),
+  async (req, res) => {
     try {
-      const start = Date.now();
-      await testRedisConnection();
-      healthChecks.redis = { status: 'healthy', responseTime: Date.now() - start };
-    } catch (err) {
-      healthChecks.redis = { status: 'unhealthy', error: err.message };
+      const [dbHealthy, redisHealthy, apiHealthy] = await Promise.all([
+        testConnection(),
+        testRedisConnection(),
+        testApiConnection()
+      ]);
+
+      const status = dbHealthy && redisHealthy && apiHealthy ? 'healthy' : 'unhealthy';
+      const statusCode = status === 'healthy' ? 200 : 503;
+
+      res.status(statusCode).json({
+        status,
+        timestamp: new Date().toISOString(),
+        services: {
+          database: dbHealthy ? 'connected' : 'disconnected',
+          redis: redisHealthy ? 'connected' : 'disconnected',
+          osuApi: apiHealthy ? 'connected' : 'disconnected'
+        },
+        uptime: process.uptime(),
+        memory: process.memoryUsage(),
+        version: process.env.npm_package_version || '1.0.0'
+      });
+    } catch (error) {
+      res.status(503).json({
+        status: 'unhealthy',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
     }
+  }
+);
 
-    // osu! API health
-    try {
-      const start = Date.now();
-      await testApiConnection();
-      healthChecks.osuApi = { status: 'healthy', responseTime: Date.now() - start };
-    } catch (err) {
-      healthChecks.osuApi = { status: 'unhealthy', error: err.message };
+// Detailed health check
+router.get('/detailed',
+  apiRoute({
+    summary: 'Service health with response times',
+    description: 'Answers 503 with the same body when any check fails.',
+    errors: [503],
+    response: {
+      type: 'object',
+      required: ['status', 'checks'],
+      properties: {
+        status: { type: 'string', enum: ['healthy', 'unhealthy'] },
+        checks: {
+          type: 'object',
+          properties: { database: check, redis: check, osuApi: check }
+        },
+        queues: {
+          type: 'object',
+          properties: {
+            beatmaps: { type: 'object', additionalProperties: queueStats, description: 'Leaderboard fetch queue per mode' }
+          }
+        },
+        osuApi: {
+          type: 'object',
+          description: 'Requests made by this instance since it started',
+          properties: {
+            limiter: {
+              type: 'object',
+              properties: {
+                running: { type: 'integer' },
+                pending: { type: 'integer' },
+                rateLimitedUntil: { type: 'integer', nullable: true, description: 'Epoch milliseconds; set while a 429 pauses requests' }
+              }
+            },
+            endpoints: { type: 'object', additionalProperties: endpointMetrics, description: 'Keyed by path pattern' }
+          }
+        },
+        timestamp: { type: 'string', format: 'date-time' },
+        uptime: { type: 'number', description: 'Seconds' },
+        memory: { type: 'object' },
+        environment: { type: 'string' }
+      }
     }
+  }),
+  async (req, res) => {
+    try {
+      const healthChecks = {
+        database: await runCheck(testConnection, 'Database connection test failed'),
+        redis: await runCheck(testRedisConnection, 'Redis ping failed'),
+        osuApi: await runCheck(testApiConnection, 'osu! API token request failed')
+      };
 
-    const overallHealthy = Object.values(healthChecks).every(check => check.status === 'healthy');
+      const overallHealthy = Object.values(healthChecks).every(check => check.status === 'healthy');
 
-    res.status(overallHealthy ? 200 : 503).json({
-      status: overallHealthy ? 'healthy' : 'unhealthy',
-      checks: healthChecks,
-      timestamp: new Date().toISOString(),
-      uptime: process.uptime(),
-      memory: process.memoryUsage(),
-      environment: process.env.NODE_ENV || 'development'
-    });
-  } catch (error) {
-    res.status(500).json({
-      status: 'error',
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
+      // Queue depth and failure counts (informational; they do not affect the status)
+      const queues = { beatmaps: await beatmapQueueService.getStats() };
+      const osuApi = { limiter: getRateLimitStatus(), endpoints: getRequestMetrics() };
+
+      res.status(overallHealthy ? 200 : 503).json({
+        status: overallHealthy ? 'healthy' : 'unhealthy',
+        checks: healthChecks,
+        queues,
+        osuApi,
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime(),
+        memory: process.memoryUsage(),
+        environment: process.env.NODE_ENV || 'development'
+      });
+    } catch (error) {
+      res.status(500).json({
+        status: 'error',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
   }
-});
+);
 
 module.exports = router;
\ No newline at end of file
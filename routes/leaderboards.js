@@ -1,118 +1,171 @@
 const express = require('express');
 const router = express.Router();
 const { getRows, getRow } = require('../config/db');
-const { validateInput } = require('../config/security');
+const { validateCountry, validateMode } = require('../middleware/validation');
+const { paginate, keyset, keysetRows, keysetResult, pageMeta } = require('../middleware/pagination');
+const { apiRoute } = require('../middleware/apiSchema');
+const { ref, bigint, envelope, list, page, fields } = require('../config/apiSchemas');
 const { cacheService } = require('../services/cache');
 const { leaderboardService } = require('../services/leaderboard');
+const { scoreHistoryService } = require('../services/scoreHistory');
+
+router.use(validateCountry);
+router.use(validateMode);
+
+const LEADERBOARD_SORTS = ['rank', 'score', 'pp', 'accuracy', 'last_updated', 'difficulty_rating', 'max_combo'];
+const ORDERS = ['ASC', 'DESC', 'asc', 'desc'];
+const TIMEFRAMES = ['all', '24h', '7d', '30d'];
+const starRating = { type: 'number', minimum: 0, maximum: 20 };
+const scorePage = page(ref('Score'));
+
+// One row of aggregates over the country's scores
+const aggregateRow = (group) => ({
+  type: 'object',
+  properties: {
+    ...group,
+    avg_accuracy: { type: 'number', nullable: true },
+    avg_pp: { type: 'number', nullable: true },
+    unique_players: bigint('Players')
+  }
+});
 
 // Get main leaderboards with filtering
-router.get('/', async (req, res) => {
-  try {
-    const {
-      limit = 100,
-      offset = 0,
-      sort = 'score',
-      order = 'DESC',
-      minDifficulty,
-      maxDifficulty,
-      mods,
-      player,
-      beatmapId
-    } = req.query;
-
-    const allowedSort = [
-      'rank', 'score', 'pp', 'accuracy', 'last_updated', 
-      'difficulty_rating', 'max_combo'
-    ];
-    const sortColumn = allowedSort.includes(sort) ? sort : 'score';
-    const sortOrder = order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
-
-    let params = [];
-    let whereClauses = [];
-
-    // Add filters
-    if (minDifficulty !== undefined && minDifficulty !== '') {
-      params.push(parseFloat(minDifficulty));
-      whereClauses.push(`difficulty_rating >= $${params.length}`);
-    }
-    if (maxDifficulty !== undefined && maxDifficulty !== '') {
-      params.push(parseFloat(maxDifficulty));
-      whereClauses.push(`difficulty_rating <= $${params.length}`);
-    }
-    if (mods) {
-      params.push(mods);
-      whereClauses.push(`mods = $${params.length}`);
-    }
-    if (player) {
-      params.push(`%${player}%`);
-      whereClauses.push(`username ILIKE $${params.length}`);
-    }
-    if (beatmapId) {
-      params.push(beatmapId);
-      whereClauses.push(`beatmap_id = $${params.length}`);
-    }
+router.get('/',
+  apiRoute({
+    summary: 'Scores on the country leaderboards of every beatmap',
+    query: {
+      sort: { type: 'string', enum: LEADERBOARD_SORTS, description: 'score when omitted' },
+      order: { type: 'string', enum: ORDERS },
+      minDifficulty: starRating,
+      maxDifficulty: starRating,
+      mods: { type: 'string', maxLength: 40, description: 'Exact mod combination, e.g. HDDT' },
+      player: { type: 'string', maxLength: 50, description: 'Part of a username' },
+      beatmapId: fields.beatmapId
+    },
+    response: scorePage
+  }),
+  paginate({ defaultLimit: 100 }),
+  async (req, res) => {
+    try {
+      const {
+        sort = 'score',
+        order = 'DESC',
+        minDifficulty,
+        maxDifficulty,
+        mods,
+        player,
+        beatmapId
+      } = req.query;
 
-    const whereClause = whereClauses.length ? `WHERE ${whereClauses.join(' AND ')}` : '';
-    const paramCount = params.length;
-
-    const sql = `
-      SELECT 
-        beatmap_id, beatmap_title, artist, difficulty_name, difficulty_rating,
-        player_id, username, rank, score, accuracy, accuracy_text, mods, pp,
-        max_combo, count_300, count_100, count_50, count_miss, 
-        play_date, last_updated
-      FROM algeria_top50
-      ${whereClause}
-      ORDER BY ${sortColumn} ${sortOrder}
-      LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
-    `;
-
-    params.push(parseInt(limit), parseInt(offset));
-    const data = await getRows(sql, params);
-
-    res.json({
-      success: true,
-      data,
-      meta: {
-        sort: sortColumn,
-        order: sortOrder,
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        hasMore: data.length === parseInt(limit),
-        filters: {
-          minDifficulty,
-          maxDifficulty,
-          mods,
-          player,
-          beatmapId
-        }
+      const sortColumn = LEADERBOARD_SORTS.includes(sort) ? sort : 'score';
+      const sortOrder = order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+
+      let params = [req.country, req.mode];
+      let whereClauses = ['country = $1', 'mode = $2'];
+
+      // Add filters
+      if (minDifficulty !== undefined && minDifficulty !== '') {
+        params.push(parseFloat(minDifficulty));
+        whereClauses.push(`difficulty_rating >= $${params.length}`);
       }
-    });
-  } catch (error) {
-    console.error('Leaderboards error:', error);
-    res.status(500).json({ success: false, error: 'Internal server error' });
+      if (maxDifficulty !== undefined && maxDifficulty !== '') {
+        params.push(parseFloat(maxDifficulty));
+        whereClauses.push(`difficulty_rating <= $${params.length}`);
+      }
+      if (mods) {
+        params.push(mods);
+        whereClauses.push(`mods = $${params.length}`);
+      }
+      if (player) {
+        params.push(`%${player}%`);
+        whereClauses.push(`username ILIKE $${params.length}`);
+      }
+      if (beatmapId) {
+        params.push(beatmapId);
+        whereClauses.push(`beatmap_id = $${params.length}`);
+      }
+
+      const whereClause = `WHERE ${whereClauses.join(' AND ')}`;
+      const sortKeys = [
+        { column: sortColumn, order: sortOrder },
+        { column: 'beatmap_id' },
+        { column: 'player_id' }
+      ];
+      const pageParams = [...params];
+      const { where, orderBy, limit } = keyset(sortKeys, req.page, pageParams);
+
+      const sql = `
+        SELECT 
+          beatmap_id, beatmap_title, artist, difficulty_name, difficulty_rating,
+          player_id, username, rank, score, accuracy, accuracy_text, mods, pp,
+          max_combo, count_300, count_100, count_50, count_miss, 
+          play_date, last_updated, country, mode
+        FROM algeria_top50
+        ${whereClause} AND ${where}
+        ORDER BY ${orderBy}
+        LIMIT ${limit}
+      `;
+
+      const [rows, count] = await Promise.all([
+        getRows(sql, pageParams),
+        getRow(`SELECT COUNT(*) AS total FROM algeria_top50 ${whereClause}`, params)
+      ]);
+      const page = keysetResult(rows, sortKeys, req.page);
+
+      res.json({
+        success: true,
+        data: page.items,
+        meta: {
+          country: req.country,
+          mode: req.mode,
+          sort: sortColumn,
+          order: sortOrder,
+          ...pageMeta(req, res, page, parseInt(count.total)),
+          filters: {
+            minDifficulty,
+            maxDifficulty,
+            mods,
+            player,
+            beatmapId
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Leaderboards error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
   }
-});
+);
 
 // Get leaderboard for specific beatmap
 router.get('/beatmap/:beatmapId', 
-  validateInput({
-    beatmapId: { required: true, type: 'number' }
+  apiRoute({
+    summary: "A beatmap's country leaderboard",
+    params: { beatmapId: fields.beatmapId },
+    response: {
+      ...scorePage,
+      properties: {
+        ...scorePage.properties,
+        beatmapInfo: { type: 'object', nullable: true, description: 'Saved metadata of the beatmap' }
+      }
+    }
   }),
+  paginate(),
   async (req, res) => {
     try {
       const { beatmapId } = req.params;
-      const { limit = 50 } = req.query;
       
-      // Try cache first
-      let data = await cacheService.getLeaderboardCache(beatmapId);
+      // The whole country leaderboard is cached and paged from there
+      let scores = await cacheService.getLeaderboardCache(beatmapId, req.country, req.mode);
       
-      if (!data) {
-        data = await leaderboardService.getBeatmapLeaderboard(beatmapId, parseInt(limit));
+      if (!scores) {
+        scores = await leaderboardService.getBeatmapLeaderboard(beatmapId, req.country, req.mode);
         
         // Cache for 5 minutes
-        await cacheService.cacheLeaderboard(beatmapId, data, 300);
+        await cacheService.cacheLeaderboard(beatmapId, req.country, req.mode, scores, 300);
       }
+      const sortKeys = [{ column: 'rank' }, { column: 'username' }];
+      const page = keysetResult(keysetRows(scores, sortKeys, req.page), sortKeys, req.page);
 
       const beatmapInfo = await getRow(`
         SELECT artist, title, version, difficulty_rating, creator
@@ -122,12 +175,13 @@ router.get('/beatmap/:beatmapId',
 
       res.json({
         success: true,
-        data,
+        data: page.items,
         beatmapInfo,
         meta: {
+          country: req.country,
+          mode: req.mode,
           beatmapId: parseInt(beatmapId),
-          totalScores: data.length,
-          limit: parseInt(limit)
+          ...pageMeta(req, res, page, scores.length)
         }
       });
     } catch (error) {
@@ -137,279 +191,433 @@ router.get('/beatmap/:beatmapId',
   }
 );
 
-// Get top scores across all beatmaps
-router.get('/top-scores', async (req, res) => {
-  try {
-    const { 
-      limit = 50, 
-      timeframe = 'all',
-      minPP = 0
-    } = req.query;
-
-    let whereClause = 'WHERE pp > $1';
-    let params = [parseFloat(minPP)];
-
-    // Add time filter
-    if (timeframe !== 'all') {
-      const timeRanges = {
-        '24h': 24 * 60 * 60 * 1000,
-        '7d': 7 * 24 * 60 * 60 * 1000,
-        '30d': 30 * 24 * 60 * 60 * 1000
-      };
+// Get how a beatmap's local leaderboard evolved, or its state at ?at=<epoch ms>
+router.get('/beatmap/:beatmapId/history', 
+  apiRoute({
+    summary: "How a beatmap's country leaderboard changed, or how it stood at a moment",
+    params: { beatmapId: fields.beatmapId },
+    query: {
+      at: { type: 'integer', minimum: 0, description: 'Epoch milliseconds; returns the leaderboard as it stood then' },
+      limit: { type: 'integer', minimum: 1, maximum: 500 }
+    },
+    response: list()
+  }),
+  async (req, res) => {
+    try {
+      const { beatmapId } = req.params;
+      const { at, limit = at ? 50 : 100 } = req.query;
       
-      const cutoff = Date.now() - (timeRanges[timeframe] || 0);
-      if (cutoff > 0) {
-        params.push(cutoff);
-        whereClause += ` AND last_updated > ${params.length}`;
-      }
+      const data = at
+        ? await scoreHistoryService.getBeatmapLeaderboardAt(beatmapId, req.country, req.mode, parseInt(at), parseInt(limit))
+        : await scoreHistoryService.getBeatmapHistory(beatmapId, req.country, req.mode, parseInt(limit));
+
+      res.json({
+        success: true,
+        data,
+        meta: {
+          country: req.country,
+          mode: req.mode,
+          beatmapId: parseInt(beatmapId),
+          at: at ? parseInt(at) : null,
+          total: data.length,
+          limit: parseInt(limit)
+        }
+      });
+    } catch (error) {
+      console.error('Beatmap history error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
     }
+  }
+);
 
-    params.push(parseInt(limit));
-
-    const data = await getRows(`
-      SELECT 
-        beatmap_id, beatmap_title, artist, difficulty_name, difficulty_rating,
-        username, rank, score, accuracy, accuracy_text, mods, pp,
-        max_combo, play_date, last_updated
-      FROM algeria_top50
-      ${whereClause}
-      ORDER BY pp DESC
-      LIMIT ${params.length}
-    `, params);
-
-    res.json({
-      success: true,
-      data,
-      meta: {
-        timeframe,
-        minPP: parseFloat(minPP),
-        limit: parseInt(limit),
-        totalResults: data.length
+// Get top scores across all beatmaps
+router.get('/top-scores',
+  apiRoute({
+    summary: 'Highest pp scores of the country',
+    query: {
+      timeframe: { type: 'string', enum: TIMEFRAMES, description: 'Only scores updated in this window' },
+      minPP: { type: 'number', minimum: 0 }
+    },
+    response: scorePage
+  }),
+  paginate(),
+  async (req, res) => {
+    try {
+      const { 
+        timeframe = 'all',
+        minPP = 0
+      } = req.query;
+
+      let whereClause = 'WHERE country = $1 AND mode = $2 AND pp > $3';
+      let params = [req.country, req.mode, parseFloat(minPP)];
+
+      // Add time filter
+      if (timeframe !== 'all') {
+        const timeRanges = {
+          '24h': 24 * 60 * 60 * 1000,
+          '7d': 7 * 24 * 60 * 60 * 1000,
+          '30d': 30 * 24 * 60 * 60 * 1000
+        };
+      
+        const cutoff = Date.now() - (timeRanges[timeframe] || 0);
+        if (cutoff > 0) {
+          params.push(cutoff);
+          whereClause += ` AND last_updated > $${params.length}`;
+        }
       }
-    });
-  } catch (error) {
-    console.error('Top scores error:', error);
-    res.status(500).json({ success: false, error: 'Internal server error' });
+
+      const sortKeys = [{ column: 'pp', order: 'DESC' }, { column: 'beatmap_id' }, { column: 'player_id' }];
+      const pageParams = [...params];
+      const { where, orderBy, limit } = keyset(sortKeys, req.page, pageParams);
+
+      const [rows, count] = await Promise.all([
+        getRows(`
+          SELECT 
+            beatmap_id, beatmap_title, artist, difficulty_name, difficulty_rating,
+            player_id, username, rank, score, accuracy, accuracy_text, mods, pp,
+            max_combo, play_date, last_updated
+          FROM algeria_top50
+          ${whereClause} AND ${where}
+          ORDER BY ${orderBy}
+          LIMIT ${limit}
+        `, pageParams),
+        getRow(`SELECT COUNT(*) AS total FROM algeria_top50 ${whereClause}`, params)
+      ]);
+      const page = keysetResult(rows, sortKeys, req.page);
+
+      res.json({
+        success: true,
+        data: page.items,
+        meta: {
+          country: req.country,
+          mode: req.mode,
+          timeframe,
+          minPP: parseFloat(minPP),
+          ...pageMeta(req, res, page, parseInt(count.total))
+        }
+      });
+    } catch (error) {
+      console.error('Top scores error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
   }
-});
+);
 
 // Get recent scores
-router.get('/recent', async (req, res) => {
-  try {
-    const { limit = 50, hours = 24 } = req.query;
+router.get('/recent',
+  apiRoute({
+    summary: 'Scores set in the last hours',
+    query: {
+      hours: { type: 'integer', minimum: 1, maximum: 24 * 365, description: '24 when omitted' }
+    },
+    response: scorePage
+  }),
+  paginate(),
+  async (req, res) => {
+    try {
+      const { hours = 24 } = req.query;
     
-    const cutoff = Date.now() - (parseInt(hours) * 60 * 60 * 1000);
+      const cutoff = Date.now() - (parseInt(hours) * 60 * 60 * 1000);
+      const sortKeys = [{ column: 'last_updated', order: 'DESC' }, { column: 'beatmap_id' }, { column: 'player_id' }];
+      const params = [req.country, req.mode, cutoff];
+      const { where, orderBy, limit } = keyset(sortKeys, req.page, params);
     
-    const data = await getRows(`
-      SELECT 
-        beatmap_id, beatmap_title, artist, difficulty_name, difficulty_rating,
-        username, rank, score, accuracy, accuracy_text, mods, pp,
-        max_combo, play_date, last_updated
-      FROM algeria_top50
-      WHERE last_updated > $1
-      ORDER BY last_updated DESC
-      LIMIT $2
-    `, [cutoff, parseInt(limit)]);
-
-    res.json({
-      success: true,
-      data,
-      meta: {
-        hours: parseInt(hours),
-        limit: parseInt(limit),
-        cutoff: new Date(cutoff).toISOString()
-      }
-    });
-  } catch (error) {
-    console.error('Recent scores error:', error);
-    res.status(500).json({ success: false, error: 'Internal server error' });
+      const [rows, count] = await Promise.all([
+        getRows(`
+          SELECT 
+            beatmap_id, beatmap_title, artist, difficulty_name, difficulty_rating,
+            player_id, username, rank, score, accuracy, accuracy_text, mods, pp,
+            max_combo, play_date, last_updated
+          FROM algeria_top50
+          WHERE country = $1 AND mode = $2 AND last_updated > $3 AND ${where}
+          ORDER BY ${orderBy}
+          LIMIT ${limit}
+        `, params),
+        getRow(`
+          SELECT COUNT(*) AS total FROM algeria_top50
+          WHERE country = $1 AND mode = $2 AND last_updated > $3
+        `, [req.country, req.mode, cutoff])
+      ]);
+
+      const page = keysetResult(rows, sortKeys, req.page);
+
+      res.json({
+        success: true,
+        data: page.items,
+        meta: {
+          country: req.country,
+          mode: req.mode,
+          hours: parseInt(hours),
+          ...pageMeta(req, res, page, parseInt(count.total)),
+          cutoff: new Date(cutoff).toISOString()
+        }
+      });
+    } catch (error) {
+      console.error('Recent scores error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
   }
-});
+);
 
 // Get first place scores
-router.get('/first-places', async (req, res) => {
-  try {
-    const { limit = 100, player } = req.query;
+router.get('/first-places',
+  apiRoute({
+    summary: 'Scores that are first on their beatmap',
+    query: {
+      player: { type: 'string', maxLength: 50, description: 'Part of a username' }
+    },
+    response: scorePage
+  }),
+  paginate({ defaultLimit: 100 }),
+  async (req, res) => {
+    try {
+      const { player } = req.query;
     
-    let whereClause = 'WHERE rank = 1';
-    let params = [];
+      let whereClause = 'WHERE country = $1 AND mode = $2 AND rank = 1';
+      let params = [req.country, req.mode];
 
-    if (player) {
-      params.push(`%${player}%`);
-      whereClause += ` AND username ILIKE ${params.length}`;
-    }
-
-    params.push(parseInt(limit));
-
-    const data = await getRows(`
-      SELECT 
-        beatmap_id, beatmap_title, artist, difficulty_name, difficulty_rating,
-        username, score, accuracy, accuracy_text, mods, pp,
-        max_combo, play_date, last_updated
-      FROM algeria_top50
-      ${whereClause}
-      ORDER BY pp DESC
-      LIMIT ${params.length}
-    `, params);
-
-    res.json({
-      success: true,
-      data,
-      meta: {
-        player,
-        limit: parseInt(limit),
-        totalFirstPlaces: data.length
+      if (player) {
+        params.push(`%${player}%`);
+        whereClause += ` AND username ILIKE $${params.length}`;
       }
-    });
-  } catch (error) {
-    console.error('First places error:', error);
-    res.status(500).json({ success: false, error: 'Internal server error' });
+
+      const sortKeys = [{ column: 'pp', order: 'DESC' }, { column: 'beatmap_id' }];
+      const pageParams = [...params];
+      const { where, orderBy, limit } = keyset(sortKeys, req.page, pageParams);
+
+      const [rows, count] = await Promise.all([
+        getRows(`
+          SELECT 
+            beatmap_id, beatmap_title, artist, difficulty_name, difficulty_rating,
+            username, score, accuracy, accuracy_text, mods, pp,
+            max_combo, play_date, last_updated
+          FROM algeria_top50
+          ${whereClause} AND ${where}
+          ORDER BY ${orderBy}
+          LIMIT ${limit}
+        `, pageParams),
+        getRow(`SELECT COUNT(*) AS total FROM algeria_top50 ${whereClause}`, params)
+      ]);
+      const page = keysetResult(rows, sortKeys, req.page);
+
+      res.json({
+        success: true,
+        data: page.items,
+        meta: {
+          country: req.country,
+          mode: req.mode,
+          player,
+          ...pageMeta(req, res, page, parseInt(count.total))
+        }
+      });
+    } catch (error) {
+      console.error('First places error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
   }
-});
+);
 
 // Get leaderboard statistics
-router.get('/stats', async (req, res) => {
-  try {
-    const cacheKey = 'leaderboard_stats';
-    let stats = await cacheService.get(cacheKey);
+router.get('/stats',
+  apiRoute({
+    summary: 'Totals over the country leaderboards',
+    response: envelope({ type: 'object' })
+  }),
+  async (req, res) => {
+    try {
+      const cacheKey = `leaderboard_stats:${req.country.toLowerCase()}:${req.mode}`;
+      let stats = await cacheService.get(cacheKey);
     
-    if (!stats) {
-      stats = await leaderboardService.getLeaderboardStats();
-      await cacheService.set(cacheKey, stats, 600); // Cache for 10 minutes
-    }
+      if (!stats) {
+        stats = await leaderboardService.getLeaderboardStats(req.country, req.mode);
+        await cacheService.set(cacheKey, stats, 600); // Cache for 10 minutes
+      }
 
-    res.json({
-      success: true,
-      data: stats
-    });
-  } catch (error) {
-    console.error('Leaderboard stats error:', error);
-    res.status(500).json({ success: false, error: 'Internal server error' });
+      res.json({
+        success: true,
+        data: stats,
+        meta: {
+          country: req.country,
+          mode: req.mode
+        }
+      });
+    } catch (error) {
+      console.error('Leaderboard stats error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
   }
-});
+);
 
 // Get mod usage statistics
-router.get('/mods', async (req, res) => {
-  try {
-    const { limit = 20 } = req.query;
+router.get('/mods',
+  apiRoute({
+    summary: 'Most used mod combinations',
+    query: {
+      limit: { type: 'integer', minimum: 1, maximum: 100 }
+    },
+    response: list(aggregateRow({
+      mods: { type: 'string' },
+      usage_count: bigint('Scores'),
+      max_pp: { type: 'number', nullable: true }
+    }))
+  }),
+  async (req, res) => {
+    try {
+      const { limit = 20 } = req.query;
     
-    const data = await getRows(`
-      SELECT 
-        mods,
-        COUNT(*) as usage_count,
-        AVG(accuracy) as avg_accuracy,
-        AVG(pp) as avg_pp,
-        MAX(pp) as max_pp,
-        COUNT(DISTINCT username) as unique_players
-      FROM algeria_top50
-      WHERE mods != 'None' AND mods IS NOT NULL
-      GROUP BY mods
-      ORDER BY usage_count DESC
-      LIMIT $1
-    `, [parseInt(limit)]);
-
-    res.json({
-      success: true,
-      data,
-      meta: {
-        limit: parseInt(limit)
-      }
-    });
-  } catch (error) {
-    console.error('Mod usage error:', error);
-    res.status(500).json({ success: false, error: 'Internal server error' });
+      const data = await getRows(`
+        SELECT 
+          mods,
+          COUNT(*) as usage_count,
+          AVG(accuracy) as avg_accuracy,
+          AVG(pp) as avg_pp,
+          MAX(pp) as max_pp,
+          COUNT(DISTINCT username) as unique_players
+        FROM algeria_top50
+        WHERE country = $1 AND mode = $2 AND mods != 'None' AND mods IS NOT NULL
+        GROUP BY mods
+        ORDER BY usage_count DESC
+        LIMIT $3
+      `, [req.country, req.mode, parseInt(limit)]);
+
+      res.json({
+        success: true,
+        data,
+        meta: {
+          country: req.country,
+          mode: req.mode,
+          limit: parseInt(limit)
+        }
+      });
+    } catch (error) {
+      console.error('Mod usage error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
   }
-});
+);
 
 // Get difficulty distribution
-router.get('/difficulty-distribution', async (req, res) => {
-  try {
-    const data = await getRows(`
-      SELECT 
-        CASE 
-          WHEN difficulty_rating >= 8.0 THEN '8.0+'
-          WHEN difficulty_rating >= 7.0 THEN '7.0-7.99'
-          WHEN difficulty_rating >= 6.0 THEN '6.0-6.99'
-          WHEN difficulty_rating >= 5.0 THEN '5.0-5.99'
-          WHEN difficulty_rating >= 4.0 THEN '4.0-4.99'
-          WHEN difficulty_rating >= 3.0 THEN '3.0-3.99'
-          WHEN difficulty_rating >= 2.0 THEN '2.0-2.99'
-          ELSE '0.0-1.99'
-        END as difficulty_range,
-        COUNT(*) as score_count,
-        AVG(accuracy) as avg_accuracy,
-        AVG(pp) as avg_pp,
-        COUNT(DISTINCT username) as unique_players
-      FROM algeria_top50
-      WHERE difficulty_rating > 0
-      GROUP BY 
-        CASE 
-          WHEN difficulty_rating >= 8.0 THEN '8.0+'
-          WHEN difficulty_rating >= 7.0 THEN '7.0-7.99'
-          WHEN difficulty_rating >= 6.0 THEN '6.0-6.99'
-          WHEN difficulty_rating >= 5.0 THEN '5.0-5.99'
-          WHEN difficulty_rating >= 4.0 THEN '4.0-4.99'
-          WHEN difficulty_rating >= 3.0 THEN '3.0-3.99'
-          WHEN difficulty_rating >= 2.0 THEN '2.0-2.99'
-          ELSE '0.0-1.99'
-        END
-      ORDER BY 
-        CASE difficulty_range
-          WHEN '0.0-1.99' THEN 1
-          WHEN '2.0-2.99' THEN 2
-          WHEN '3.0-3.99' THEN 3
-          WHEN '4.0-4.99' THEN 4
-          WHEN '5.0-5.99' THEN 5
-          WHEN '6.0-6.99' THEN 6
-          WHEN '7.0-7.99' THEN 7
-          WHEN '8.0+' THEN 8
-        END
-    `);
-
-    res.json({
-      success: true,
-      data
-    });
-  } catch (error) {
-    console.error('Difficulty distribution error:', error);
-    res.status(500).json({ success: false, error: 'Internal server error' });
+router.get('/difficulty-distribution',
+  apiRoute({
+    summary: 'Scores per star rating range',
+    response: list(aggregateRow({
+      difficulty_range: { type: 'string', example: '5.0-5.99' },
+      score_count: bigint('Scores')
+    }))
+  }),
+  async (req, res) => {
+    try {
+      const data = await getRows(`
+        SELECT 
+          CASE 
+            WHEN difficulty_rating >= 8.0 THEN '8.0+'
+            WHEN difficulty_rating >= 7.0 THEN '7.0-7.99'
+            WHEN difficulty_rating >= 6.0 THEN '6.0-6.99'
+            WHEN difficulty_rating >= 5.0 THEN '5.0-5.99'
+            WHEN difficulty_rating >= 4.0 THEN '4.0-4.99'
+            WHEN difficulty_rating >= 3.0 THEN '3.0-3.99'
+            WHEN difficulty_rating >= 2.0 THEN '2.0-2.99'
+            ELSE '0.0-1.99'
+          END as difficulty_range,
+          COUNT(*) as score_count,
+          AVG(accuracy) as avg_accuracy,
+          AVG(pp) as avg_pp,
+          COUNT(DISTINCT username) as unique_players
+        FROM algeria_top50
+        WHERE country = $1 AND mode = $2 AND difficulty_rating > 0
+        GROUP BY 
+          CASE 
+            WHEN difficulty_rating >= 8.0 THEN '8.0+'
+            WHEN difficulty_rating >= 7.0 THEN '7.0-7.99'
+            WHEN difficulty_rating >= 6.0 THEN '6.0-6.99'
+            WHEN difficulty_rating >= 5.0 THEN '5.0-5.99'
+            WHEN difficulty_rating >= 4.0 THEN '4.0-4.99'
+            WHEN difficulty_rating >= 3.0 THEN '3.0-3.99'
+            WHEN difficulty_rating >= 2.0 THEN '2.0-2.99'
+            ELSE '0.0-1.99'
+          END
+        ORDER BY 
+          CASE difficulty_range
+            WHEN '0.0-1.99' THEN 1
+            WHEN '2.0-2.99' THEN 2
+            WHEN '3.0-3.99' THEN 3
+            WHEN '4.0-4.99' THEN 4
+            WHEN '5.0-5.99' THEN 5
+            WHEN '6.0-6.99' THEN 6
+            WHEN '7.0-7.99' THEN 7
+            WHEN '8.0+' THEN 8
+          END
+      `, [req.country, req.mode]);
+
+      res.json({
+        success: true,
+        data,
+        meta: {
+          country: req.country,
+          mode: req.mode
+        }
+      });
+    } catch (error) {
+      console.error('Difficulty distribution error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
   }
-});
+);
 
 // Get most popular beatmaps
-router.get('/popular-beatmaps', async (req, res) => {
-  try {
-    const { limit = 20 } = req.query;
+router.get('/popular-beatmaps',
+  apiRoute({
+    summary: 'Beatmaps with the most country scores',
+    query: {
+      limit: { type: 'integer', minimum: 1, maximum: 100 }
+    },
+    response: list(aggregateRow({
+      beatmap_id: bigint('Beatmap id'),
+      beatmap_title: { type: 'string', nullable: true },
+      artist: { type: 'string', nullable: true },
+      difficulty_name: { type: 'string', nullable: true },
+      difficulty_rating: { type: 'number', nullable: true },
+      total_scores: bigint('Scores'),
+      best_score: bigint('Score')
+    }))
+  }),
+  async (req, res) => {
+    try {
+      const { limit = 20 } = req.query;
     
-    const data = await getRows(`
-      SELECT 
-        beatmap_id,
-        beatmap_title,
-        artist,
-        difficulty_name,
-        difficulty_rating,
-        COUNT(*) as total_scores,
-        AVG(accuracy) as avg_accuracy,
-        MAX(score) as best_score,
-        AVG(pp) as avg_pp,
-        COUNT(DISTINCT username) as unique_players
-      FROM algeria_top50
-      GROUP BY beatmap_id, beatmap_title, artist, difficulty_name, difficulty_rating
-      ORDER BY total_scores DESC
-      LIMIT $1
-    `, [parseInt(limit)]);
-
-    res.json({
-      success: true,
-      data,
-      meta: {
-        limit: parseInt(limit)
-      }
-    });
-  } catch (error) {
-    console.error('Popular beatmaps error:', error);
-    res.status(500).json({ success: false, error: 'Internal server error' });
+      const data = await getRows(`
+        SELECT 
+          beatmap_id,
+          beatmap_title,
+          artist,
+          difficulty_name,
+          difficulty_rating,
+          COUNT(*) as total_scores,
+          AVG(accuracy) as avg_accuracy,
+          MAX(score) as best_score,
+          AVG(pp) as avg_pp,
+          COUNT(DISTINCT username) as unique_players
+        FROM algeria_top50
+        WHERE country = $1 AND mode = $2
+        GROUP BY beatmap_id, beatmap_title, artist, difficulty_name, difficulty_rating
+        ORDER BY total_scores DESC
+        LIMIT $3
+      `, [req.country, req.mode, parseInt(limit)]);
+
+      res.json({
+        success: true,
+        data,
+        meta: {
+          country: req.country,
+          mode: req.mode,
+          limit: parseInt(limit)
+        }
+      });
+    } catch (error) {
+      console.error('Popular beatmaps error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
   }
-});
+);
 
 module.exports = router;
\ No newline at end of file
@@ -2,44 +2,119 @@ const express = require('express');
 const router = express.Router();
 const { getRows, getRow } = require('../config/db');
 const { cacheService } = require('../services/cache');
-const { validateInput } = require('../config/security');
+const { authenticateToken, requirePlayer } = require('../config/security');
+const { validateCountry, validateMode } = require('../middleware/validation');
+const { paginate, keyset, keysetResult, pageMeta } = require('../middleware/pagination');
+const { apiRoute } = require('../middleware/apiSchema');
+const { ref, bigint, envelope, list, page, fields } = require('../config/apiSchemas');
 const { getPlayerAchievements } = require('../services/achievements');
+const { scoreHistoryService } = require('../services/scoreHistory');
+const { rankHistoryService } = require('../services/rankHistory');
+const { feedService } = require('../services/feed');
+const { commentService, CommentError } = require('../services/comments');
+const { DEFAULT_MODE } = require('../config/modes');
+
+router.use(validateCountry);
+router.use(validateMode);
+
+// Players only match an explicit ?country= when they belong to it
+const matchesCountry = (req, player) => !req.countryExplicit || player.country === req.country;
+
+// Columns of player_stats that are replaced by the requested mode's player_mode_stats row
+const MODE_STAT_COLUMNS = [
+  'total_scores', 'avg_rank', 'best_score', 'total_pp', 'weighted_pp', 'first_places',
+  'top_10_places', 'accuracy_avg', 'playcount', 'total_playtime', 'global_rank',
+  'country_rank', 'last_calculated'
+];
+
+// The requested mode's row of player_mode_stats for a username resolved from player_stats. Players
+// without one get zeros cast to each column's type, so they arrive like real rows (BIGINT columns as
+// strings); has_stats tells them apart.
+const MODE_STATS_SQL = `
+  SELECT pms.username IS NOT NULL AS has_stats,
+    ${MODE_STAT_COLUMNS.map(column => `CASE WHEN pms.username IS NULL THEN 0 ELSE pms.${column} END AS ${column}`).join(',\n    ')}
+  FROM (SELECT 1) AS defaults
+  LEFT JOIN player_mode_stats pms ON pms.username = $1 AND pms.mode = $2
+`;
+
+// A page of one of the player's follower lists or profile comments
+const playerPage = (item) => list(item, {
+  allOf: [ref('PageMeta')],
+  properties: { username: { type: 'string' } }
+});
+
+const followResponse = envelope({
+  type: 'object',
+  properties: {
+    follower: { type: 'string' },
+    following: { type: 'string' }
+  }
+});
+
+const applyModeStats = (player, modeStats, mode) => {
+  const merged = { ...player, mode };
+  // The default mode keeps the player_stats summary when there is no mode row
+  if (modeStats.has_stats || mode !== DEFAULT_MODE) {
+    MODE_STAT_COLUMNS.forEach(column => {
+      merged[column] = modeStats[column];
+    });
+  }
+  return merged;
+};
 
 // Get player profile
 router.get('/:username', 
-  validateInput({
-    username: { required: true, minLength: 2, maxLength: 15 }
+  apiRoute({
+    summary: "A player's profile with recent and best scores, skills and achievements",
+    params: { username: fields.username },
+    errors: [404],
+    response: envelope({
+      allOf: [ref('RankedPlayer')],
+      properties: {
+        countryRank: { type: 'integer' },
+        recentScores: { type: 'array', items: ref('Score') },
+        bestScores: { type: 'array', items: ref('Score') },
+        skillProgression: { type: 'object' },
+        achievements: { type: 'array', items: { type: 'object' } },
+        recentActivity: { type: 'array', items: { type: 'object' } }
+      }
+    })
   }),
   async (req, res) => {
     try {
       const { username } = req.params;
-      const cacheKey = cacheService.generateKey('player', username);
       
       // Try to get from cache first
-      let data = await cacheService.getPlayerCache(username);
+      let data = await cacheService.getPlayerCache(username, req.mode);
       
       if (!data) {
-        const [playerStats, recentScores, bestScores, skills, achievements, activity] = await Promise.all([
-          getRow(`SELECT * FROM player_stats WHERE username ILIKE $1`, [`%${username}%`]),
+        const playerStats = await getRow(`SELECT * FROM player_stats WHERE username ILIKE $1`, [`%${username}%`]);
+        
+        if (!playerStats) {
+          return res.status(404).json({ success: false, error: 'Player not found' });
+        }
+        
+        const [modeStats, recentScores, bestScores, skills, achievements, activity] = await Promise.all([
+          getRow(MODE_STATS_SQL, [playerStats.username, req.mode]),
           getRows(`
             SELECT * FROM algeria_top50 
-            WHERE username ILIKE $1 
+            WHERE username ILIKE $1 AND mode = $2
             ORDER BY last_updated DESC 
             LIMIT 10
-          `, [`%${username}%`]),
+          `, [`%${username}%`, req.mode]),
           getRows(`
             SELECT * FROM algeria_top50 
-            WHERE username ILIKE $1 
+            WHERE username ILIKE $1 AND mode = $2
             ORDER BY pp DESC 
             LIMIT 10
-          `, [`%${username}%`]),
+          `, [`%${username}%`, req.mode]),
           getRows(`
             SELECT skill_type, skill_value, calculated_at
             FROM skill_tracking 
-            WHERE username ILIKE $1 
+            WHERE username ILIKE $1 AND mode = $2
             ORDER BY calculated_at DESC
             LIMIT 25
-          `, [`%${username}%`]),
+          `, [`%${username}%`, req.mode]),
           getPlayerAchievements(username),
           getRows(`
             SELECT activity_type, activity_data, timestamp
@@ -50,10 +125,6 @@ router.get('/:username',
           `, [`%${username}%`])
         ]);
         
-        if (!playerStats) {
-          return res.status(404).json({ success: false, error: 'Player not found' });
-        }
-        
         // Calculate skill progression
         const skillProgression = {};
         skills.forEach(skill => {
@@ -66,15 +137,17 @@ router.get('/:username',
           });
         });
         
-        // Calculate rank among all players
+        const player = applyModeStats(playerStats, modeStats, req.mode);
+        
+        // Calculate rank among players of the same country in this mode
         const rankResult = await getRow(`
           SELECT COUNT(*) + 1 as rank
-          FROM player_stats
-          WHERE weighted_pp > $1
-        `, [playerStats.weighted_pp || 0]);
+          FROM player_mode_stats
+          WHERE weighted_pp > $1 AND country = $2 AND mode = $3
+        `, [player.weighted_pp || 0, player.country, req.mode]);
         
         data = {
-          ...playerStats,
+          ...player,
           countryRank: parseInt(rankResult.rank),
           recentScores,
           bestScores,
@@ -84,7 +157,11 @@ router.get('/:username',
         };
 
         // Cache the result
-        await cacheService.cachePlayer(username, data);
+        await cacheService.cachePlayer(username, req.mode, data);
+      }
+      
+      if (!matchesCountry(req, data)) {
+        return res.status(404).json({ success: false, error: 'Player not found' });
       }
       
       res.json({ success: true, data });
@@ -97,8 +174,11 @@ router.get('/:username',
 
 // Get player statistics summary
 router.get('/:username/stats', 
-  validateInput({
-    username: { required: true, minLength: 2, maxLength: 15 }
+  apiRoute({
+    summary: "A player's statistics in the requested mode",
+    params: { username: fields.username },
+    errors: [404],
+    response: envelope(ref('RankedPlayer'))
   }),
   async (req, res) => {
     try {
@@ -108,16 +188,19 @@ router.get('/:username/stats',
         SELECT 
           username, total_scores, avg_rank, best_score, total_pp, weighted_pp,
           first_places, top_10_places, accuracy_avg, playcount, total_playtime,
-          level, global_rank, country_rank, last_seen
+          level, global_rank, country_rank, last_seen, country
         FROM player_stats 
         WHERE username ILIKE $1
       `, [`%${username}%`]);
       
-      if (!stats) {
+      if (!stats || !matchesCountry(req, stats)) {
         return res.status(404).json({ success: false, error: 'Player not found' });
       }
 
-      res.json({ success: true, data: stats });
+      const modeStats = await getRow(MODE_STATS_SQL, [stats.username, req.mode]);
+
+      const { last_calculated, ...data } = applyModeStats(stats, modeStats, req.mode);
+      res.json({ success: true, data });
     } catch (error) {
       console.error('Player stats error:', error);
       res.status(500).json({ success: false, error: 'Internal server error' });
@@ -125,92 +208,137 @@ router.get('/:username/stats',
   }
 );
 
-// Get player recent scores
-router.get('/:username/recent', 
-  validateInput({
-    username: { required: true, minLength: 2, maxLength: 15 }
+// A paginated list of a player's scores in the requested mode, by `sort` then the score's key
+const listPlayerScores = ({ filter = '', sort, defaultLimit, label, summary }) => [
+  apiRoute({
+    summary,
+    params: { username: fields.username },
+    response: page(ref('Score'))
   }),
+  paginate({ defaultLimit }),
   async (req, res) => {
     try {
       const { username } = req.params;
-      const { limit = 20 } = req.query;
+      const whereClause = `WHERE username ILIKE $1 AND mode = $2 ${filter}`;
+      const params = [`%${username}%`, req.mode];
+      const sortKeys = [sort, { column: 'beatmap_id' }, { column: 'player_id' }];
+      const pageParams = [...params];
+      const { where, orderBy, limit } = keyset(sortKeys, req.page, pageParams);
       
-      const scores = await getRows(`
-        SELECT 
-          beatmap_id, beatmap_title, artist, difficulty_name, difficulty_rating,
-          rank, score, accuracy, accuracy_text, mods, pp, max_combo,
-          count_300, count_100, count_50, count_miss, play_date, last_updated
-        FROM algeria_top50 
-        WHERE username ILIKE $1 
-        ORDER BY last_updated DESC 
-        LIMIT $2
-      `, [`%${username}%`, parseInt(limit)]);
-
-      res.json({ success: true, data: scores });
+      const [rows, count] = await Promise.all([
+        getRows(`
+          SELECT 
+            beatmap_id, beatmap_title, artist, difficulty_name, difficulty_rating,
+            player_id, rank, score, accuracy, accuracy_text, mods, pp, max_combo,
+            count_300, count_100, count_50, count_miss, play_date, last_updated
+          FROM algeria_top50 
+          ${whereClause} AND ${where}
+          ORDER BY ${orderBy}
+          LIMIT ${limit}
+        `, pageParams),
+        getRow(`SELECT COUNT(*) AS total FROM algeria_top50 ${whereClause}`, params)
+      ]);
+      const page = keysetResult(rows, sortKeys, req.page);
+
+      res.json({
+        success: true,
+        data: page.items,
+        meta: {
+          username,
+          mode: req.mode,
+          ...pageMeta(req, res, page, parseInt(count.total))
+        }
+      });
     } catch (error) {
-      console.error('Player recent scores error:', error);
+      console.error(`Player ${label} error:`, error);
       res.status(500).json({ success: false, error: 'Internal server error' });
     }
   }
-);
+];
 
-// Get player best scores
-router.get('/:username/best', 
-  validateInput({
-    username: { required: true, minLength: 2, maxLength: 15 }
+router.get('/:username/recent', ...listPlayerScores({
+  sort: { column: 'last_updated', order: 'DESC' }, defaultLimit: 20, label: 'recent scores', summary: "A player's most recent scores"
+}));
+router.get('/:username/best', ...listPlayerScores({
+  sort: { column: 'pp', order: 'DESC' }, defaultLimit: 20, label: 'best scores', summary: "A player's highest pp scores"
+}));
+router.get('/:username/firsts', ...listPlayerScores({
+  filter: 'AND rank = 1', sort: { column: 'pp', order: 'DESC' }, defaultLimit: 50, label: 'first places', summary: "A player's first places"
+}));
+
+// Get every recorded version of a player's score on a beatmap
+router.get('/:username/history/:beatmapId', 
+  apiRoute({
+    summary: "Every recorded version of a player's score on a beatmap",
+    params: { username: fields.username, beatmapId: fields.beatmapId },
+    errors: [404],
+    response: list()
   }),
   async (req, res) => {
     try {
-      const { username } = req.params;
-      const { limit = 20 } = req.query;
+      const { username, beatmapId } = req.params;
       
-      const scores = await getRows(`
-        SELECT 
-          beatmap_id, beatmap_title, artist, difficulty_name, difficulty_rating,
-          rank, score, accuracy, accuracy_text, mods, pp, max_combo,
-          count_300, count_100, count_50, count_miss, play_date, last_updated
-        FROM algeria_top50 
-        WHERE username ILIKE $1 
-        ORDER BY pp DESC 
-        LIMIT $2
-      `, [`%${username}%`, parseInt(limit)]);
-
-      res.json({ success: true, data: scores });
+      const player = await feedService.findPlayer(username);
+      
+      if (!player || !matchesCountry(req, player)) {
+        return res.status(404).json({ success: false, error: 'Player not found' });
+      }
+
+      const history = await scoreHistoryService.getPlayerBeatmapHistory(player.username, beatmapId, req.mode);
+
+      res.json({
+        success: true,
+        data: history,
+        meta: {
+          username: player.username,
+          mode: req.mode,
+          beatmapId: parseInt(beatmapId),
+          versions: history.length
+        }
+      });
     } catch (error) {
-      console.error('Player best scores error:', error);
+      console.error('Player score history error:', error);
       res.status(500).json({ success: false, error: 'Internal server error' });
     }
   }
 );
 
-// Get player first place scores
-router.get('/:username/firsts', 
-  validateInput({
-    username: { required: true, minLength: 2, maxLength: 15 }
+// Get a player's daily rank snapshots
+router.get('/:username/rank-history', 
+  apiRoute({
+    summary: "A player's daily rank snapshots",
+    params: { username: fields.username },
+    query: {
+      days: { type: 'integer', minimum: 1, maximum: 365, description: '90 when omitted' }
+    },
+    errors: [404],
+    response: list()
   }),
   async (req, res) => {
     try {
       const { username } = req.params;
-      const { limit = 50 } = req.query;
+      const { days = 90 } = req.query;
       
-      const scores = await getRows(`
-        SELECT 
-          beatmap_id, beatmap_title, artist, difficulty_name, difficulty_rating,
-          score, accuracy, accuracy_text, mods, pp, max_combo,
-          count_300, count_100, count_50, count_miss, play_date, last_updated
-        FROM algeria_top50 
-        WHERE username ILIKE $1 AND rank = 1
-        ORDER BY pp DESC 
-        LIMIT $2
-      `, [`%${username}%`, parseInt(limit)]);
+      const player = await feedService.findPlayer(username);
+      
+      if (!player || !matchesCountry(req, player)) {
+        return res.status(404).json({ success: false, error: 'Player not found' });
+      }
 
-      res.json({ 
-        success: true, 
-        data: scores,
-        total: scores.length 
+      const history = await rankHistoryService.getPlayerRankHistory(player.username, req.mode, parseInt(days));
+
+      res.json({
+        success: true,
+        data: history,
+        meta: {
+          username: player.username,
+          mode: req.mode,
+          days: parseInt(days),
+          snapshots: history.length
+        }
       });
     } catch (error) {
-      console.error('Player first places error:', error);
+      console.error('Player rank history error:', error);
       res.status(500).json({ success: false, error: 'Internal server error' });
     }
   }
@@ -218,8 +346,21 @@ router.get('/:username/firsts',
 
 // Get player skills
 router.get('/:username/skills', 
-  validateInput({
-    username: { required: true, minLength: 2, maxLength: 15 }
+  apiRoute({
+    summary: "A player's skill values over time",
+    description: 'confidence (0-1) says how sure each latest value is, from the scores behind it.',
+    params: { username: fields.username },
+    query: {
+      days: { type: 'integer', minimum: 1, maximum: 365, description: '30 when omitted' }
+    },
+    response: envelope({
+      type: 'object',
+      properties: {
+        latest: { type: 'object', additionalProperties: { type: 'number' } },
+        confidence: { type: 'object', additionalProperties: { type: 'number' } },
+        progression: { type: 'object' }
+      }
+    })
   }),
   async (req, res) => {
     try {
@@ -229,11 +370,11 @@ router.get('/:username/skills',
       const cutoff = Date.now() - (parseInt(days) * 24 * 60 * 60 * 1000);
       
       const skills = await getRows(`
-        SELECT skill_type, skill_value, calculated_at
+        SELECT skill_type, skill_value, confidence, calculated_at
         FROM skill_tracking 
-        WHERE username ILIKE $1 AND calculated_at > $2
+        WHERE username ILIKE $1 AND calculated_at > $2 AND mode = $3
         ORDER BY calculated_at DESC
-      `, [`%${username}%`, cutoff]);
+      `, [`%${username}%`, cutoff, req.mode]);
 
       // Group skills by type
       const skillProgression = {};
@@ -243,16 +384,19 @@ router.get('/:username/skills',
         }
         skillProgression[skill.skill_type].push({
           value: parseFloat(skill.skill_value),
+          confidence: parseFloat(skill.confidence),
           timestamp: parseInt(skill.calculated_at)
         });
       });
 
-      // Get latest skills
+      // Get latest skills, and how sure each one is (0-1, from the number of scores behind it)
       const latestSkills = {};
+      const confidence = {};
       Object.keys(skillProgression).forEach(skillType => {
         const skillData = skillProgression[skillType];
         if (skillData.length > 0) {
           latestSkills[skillType] = skillData[0].value;
+          confidence[skillType] = skillData[0].confidence;
         }
       });
 
@@ -260,6 +404,7 @@ router.get('/:username/skills',
         success: true, 
         data: {
           latest: latestSkills,
+          confidence,
           progression: skillProgression
         }
       });
@@ -272,8 +417,17 @@ router.get('/:username/skills',
 
 // Get player achievements
 router.get('/:username/achievements', 
-  validateInput({
-    username: { required: true, minLength: 2, maxLength: 15 }
+  apiRoute({
+    summary: "A player's unlocked achievements",
+    params: { username: fields.username },
+    response: envelope({
+      type: 'object',
+      properties: {
+        achievements: { type: 'array', items: { type: 'object' } },
+        totalAchievements: { type: 'integer' },
+        totalPoints: { type: 'integer' }
+      }
+    })
   }),
   async (req, res) => {
     try {
@@ -299,4 +453,168 @@ router.get('/:username/achievements',
   }
 );
 
+// Follow a player as the signed-in player
+router.post('/:username/follow',
+  authenticateToken,
+  requirePlayer,
+  apiRoute({
+    summary: 'Follow a player',
+    params: { username: fields.username },
+    errors: [404],
+    responseDescription: 'Already following (201 when the follow is new)',
+    response: followResponse
+  }),
+  async (req, res) => {
+    try {
+      const target = await feedService.findPlayer(req.params.username);
+      if (!target || !target.is_active) {
+        return res.status(404).json({ success: false, error: 'Player not found' });
+      }
+      if (target.username === req.user.username) {
+        return res.status(400).json({ success: false, error: 'You cannot follow yourself' });
+      }
+
+      const created = await feedService.follow(req.user.username, target.username);
+      res.status(created ? 201 : 200).json({
+        success: true,
+        data: { follower: req.user.username, following: target.username }
+      });
+    } catch (error) {
+      console.error('Player follow error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Stop following a player
+router.delete('/:username/follow',
+  authenticateToken,
+  requirePlayer,
+  apiRoute({
+    summary: 'Stop following a player',
+    params: { username: fields.username },
+    errors: [404],
+    response: followResponse
+  }),
+  async (req, res) => {
+    try {
+      const target = await feedService.findPlayer(req.params.username);
+      const removed = target ? await feedService.unfollow(req.user.username, target.username) : false;
+
+      if (!removed) {
+        return res.status(404).json({ success: false, error: 'You are not following this player' });
+      }
+      res.json({ success: true, data: { follower: req.user.username, following: target.username } });
+    } catch (error) {
+      console.error('Player unfollow error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// List who follows a player, or who they follow
+const listRelationships = (direction, summary) => [
+  apiRoute({
+    summary,
+    params: { username: fields.username },
+    errors: [404],
+    response: playerPage({ type: 'object' })
+  }),
+  paginate(),
+  async (req, res) => {
+    try {
+      const player = await feedService.findPlayer(req.params.username);
+      if (!player || !player.is_active) {
+        return res.status(404).json({ success: false, error: 'Player not found' });
+      }
+
+      const [page, counts] = await Promise.all([
+        feedService.listRelationships(player.username, direction, req.page),
+        feedService.getFollowCounts(player.username)
+      ]);
+
+      res.json({
+        success: true,
+        data: page.items,
+        meta: {
+          username: player.username,
+          ...pageMeta(req, res, page, counts[direction])
+        }
+      });
+    } catch (error) {
+      console.error(`Player ${direction} error:`, error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+];
+
+router.get('/:username/followers', ...listRelationships('followers', 'Players following a player'));
+router.get('/:username/following', ...listRelationships('following', 'Players a player follows'));
+
+// Comments on a player's profile, newest first
+router.get('/:username/comments',
+  apiRoute({
+    summary: "Comments on a player's profile, newest first",
+    params: { username: fields.username },
+    errors: [404],
+    response: playerPage(ref('Comment'))
+  }),
+  paginate({ defaultLimit: 20 }),
+  async (req, res) => {
+    try {
+      const player = await feedService.findPlayer(req.params.username);
+      if (!player || !player.is_active) {
+        return res.status(404).json({ success: false, error: 'Player not found' });
+      }
+
+      const page = await commentService.listForPlayer(player.username, req.page);
+      res.json({
+        success: true,
+        data: page.items,
+        meta: { username: player.username, ...pageMeta(req, res, page) }
+      });
+    } catch (error) {
+      console.error('Player comments error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Post a comment on a player's profile as the signed-in player
+router.post('/:username/comments',
+  authenticateToken,
+  requirePlayer,
+  apiRoute({
+    summary: "Comment on a player's profile",
+    params: { username: fields.username },
+    body: {
+      type: 'object',
+      required: ['text'],
+      properties: {
+        text: { type: 'string', minLength: 1, description: 'Comment text; the length limit and word filter are applied by the server' }
+      }
+    },
+    status: 201,
+    errors: [404, 429],
+    response: envelope(ref('Comment'))
+  }),
+  async (req, res) => {
+    try {
+      const player = await feedService.findPlayer(req.params.username);
+      if (!player || !player.is_active) {
+        return res.status(404).json({ success: false, error: 'Player not found' });
+      }
+
+      const comment = await commentService.create(player.username, req.user.username, req.body.text);
+      res.status(201).json({ success: true, data: comment });
+    } catch (error) {
+      if (error instanceof CommentError) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      console.error('Player comment post error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
 module.exports = router;
\ No newline at end of file
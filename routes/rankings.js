@@ -1,95 +1,152 @@
 const express = require('express');
 const router = express.Router();
-const { getRows } = require('../config/db');
+const { getRows, getRow } = require('../config/db');
 const { cacheService } = require('../services/cache');
-const { validateInput } = require('../config/security');
+const { rankHistoryService } = require('../services/rankHistory');
+const { skillRatingService } = require('../services/skillRatings');
+const { h2hRatingService } = require('../services/h2hRatings');
+const { validateCountry, validateMode } = require('../middleware/validation');
+const { paginate, keyset, keysetResult, pageMeta } = require('../middleware/pagination');
+const { apiRoute } = require('../middleware/apiSchema');
+const { ref, bigint, envelope, list, page, fields } = require('../config/apiSchemas');
+const { getModeSkills } = require('../config/modes');
+
+router.use(validateCountry);
+router.use(validateMode);
+
+const RANKING_SORTS = ['weighted_pp', 'total_pp', 'first_places', 'avg_rank', 'accuracy_avg', 'total_scores'];
+
+// A player in a head-to-head matchup
+const matchupPlayer = {
+  type: 'object',
+  properties: {
+    username: { type: 'string' },
+    country: { type: 'string', nullable: true },
+    rating: { type: 'integer' },
+    deviation: { type: 'integer' },
+    matches: { type: 'integer' }
+  }
+};
 
 // Get player rankings
-router.get('/', async (req, res) => {
-  try {
-    const { 
-      sort = 'weighted_pp', 
-      limit = 50, 
-      offset = 0, 
-      timeframe = 'all',
-      minScores = 5 
-    } = req.query;
+router.get('/',
+  apiRoute({
+    summary: 'Players of the country ranked by a statistic',
+    query: {
+      sort: { type: 'string', enum: RANKING_SORTS, description: 'weighted_pp when omitted; avg_rank sorts ascending' },
+      timeframe: { type: 'string', enum: ['all', '24h', '7d', '30d'], description: 'Only players recalculated in this window' },
+      minScores: { type: 'integer', minimum: 0, description: 'Leaderboard scores a player needs to be ranked, 5 when omitted' }
+    },
+    response: page(ref('RankedPlayer'))
+  }),
+  paginate(),
+  async (req, res) => {
+    try {
+      const { 
+        sort = 'weighted_pp', 
+        timeframe = 'all',
+        minScores = 5 
+      } = req.query;
+      const { limit, cacheKey } = req.page;
     
-    // Try cache first
-    const cacheParams = { sort, limit, offset, timeframe, minScores };
-    let data = await cacheService.getRankingsCache(cacheParams);
+      // Try cache first
+      const cacheParams = { country: req.country, mode: req.mode, sort, limit, cursor: cacheKey, timeframe, minScores };
+      let page = await cacheService.getRankingsCache(cacheParams);
     
-    if (!data) {
-      const allowedSort = ['weighted_pp', 'total_pp', 'first_places', 'avg_rank', 'accuracy_avg', 'total_scores'];
-      const sortColumn = allowedSort.includes(sort.toLowerCase()) ? sort.toLowerCase() : 'weighted_pp';
-      const sortOrder = sort === 'avg_rank' ? 'ASC' : 'DESC';
+      if (!page) {
+        const sortColumn = RANKING_SORTS.includes(sort.toLowerCase()) ? sort.toLowerCase() : 'weighted_pp';
+        const sortKeys = [
+          { column: `pms.${sortColumn}`, order: sort === 'avg_rank' ? 'ASC' : 'DESC' },
+          { column: 'pms.username' }
+        ];
       
-      let whereClause = `WHERE total_scores >= $1 AND is_active = true`;
-      let params = [parseInt(minScores)];
-      let paramCount = 1;
+        let whereClause = `WHERE pms.country = $1 AND pms.mode = $2 AND pms.total_scores >= $3 AND ps.is_active = true`;
+        let params = [req.country, req.mode, parseInt(minScores)];
       
-      if (timeframe !== 'all') {
-        const timeRanges = {
-          '24h': 24 * 60 * 60 * 1000,
-          '7d': 7 * 24 * 60 * 60 * 1000,
-          '30d': 30 * 24 * 60 * 60 * 1000
-        };
+        if (timeframe !== 'all') {
+          const timeRanges = {
+            '24h': 24 * 60 * 60 * 1000,
+            '7d': 7 * 24 * 60 * 60 * 1000,
+            '30d': 30 * 24 * 60 * 60 * 1000
+          };
         
-        const cutoff = Date.now() - (timeRanges[timeframe] || 0);
-        if (cutoff > 0) {
-          whereClause += ` AND last_calculated >= $${++paramCount}`;
-          params.push(cutoff);
+          const cutoff = Date.now() - (timeRanges[timeframe] || 0);
+          if (cutoff > 0) {
+            params.push(cutoff);
+            whereClause += ` AND pms.last_calculated >= $${params.length}`;
+          }
         }
-      }
-      
-      params.push(parseInt(limit), parseInt(offset));
+
+        const pageParams = [...params];
+        const { where, orderBy, limit: pageLimit } = keyset(sortKeys, req.page, pageParams);
       
-      data = await getRows(`
-        SELECT 
-          username, user_id, total_scores, avg_rank, best_score, total_pp, weighted_pp,
-          first_places, top_10_places, accuracy_avg, playcount, total_playtime,
-          level, global_rank, country_rank, last_seen, avatar_url,
-          ROW_NUMBER() OVER (ORDER BY ${sortColumn} ${sortOrder}) as rank
-        FROM player_stats 
-        ${whereClause}
-        ORDER BY ${sortColumn} ${sortOrder}
-        LIMIT $${++paramCount} OFFSET $${++paramCount}
-      `, params);
+        const [rows, count] = await Promise.all([
+          getRows(`
+            SELECT 
+              pms.username, ps.user_id, pms.total_scores, pms.avg_rank, pms.best_score, pms.total_pp, pms.weighted_pp,
+              pms.first_places, pms.top_10_places, pms.accuracy_avg, pms.playcount, pms.total_playtime,
+              ps.level, pms.global_rank, pms.country_rank, ps.last_seen, ps.avatar_url
+            FROM player_mode_stats pms
+            JOIN player_stats ps ON ps.username = pms.username
+            ${whereClause} AND ${where}
+            ORDER BY ${orderBy}
+            LIMIT ${pageLimit}
+          `, pageParams),
+          getRow(`
+            SELECT COUNT(*) AS total
+            FROM player_mode_stats pms
+            JOIN player_stats ps ON ps.username = pms.username
+            ${whereClause}
+          `, params)
+        ]);
 
-      // Cache for 5 minutes
-      await cacheService.cacheRankings(cacheParams, data, 300);
-    }
-    
-    res.json({
-      success: true,
-      data,
-      meta: {
-        sort,
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        timeframe,
-        minScores: parseInt(minScores),
-        hasMore: data.length === parseInt(limit)
+        // Ranks carry on from the cursor, as a window function would restart on every page
+        const result = keysetResult(rows, sortKeys, req.page);
+        result.items = result.items.map((row, index) => ({
+          ...row,
+          rank: result.firstRank === null ? null : String(result.firstRank + index)
+        }));
+        page = { result, total: parseInt(count.total) };
+
+        // Cache for 5 minutes
+        await cacheService.cacheRankings(cacheParams, page, 300);
       }
-    });
-  } catch (error) {
-    console.error('Rankings error:', error);
-    res.status(500).json({ success: false, error: 'Internal server error' });
+    
+      res.json({
+        success: true,
+        data: page.result.items,
+        meta: {
+          country: req.country,
+          mode: req.mode,
+          sort,
+          timeframe,
+          minScores: parseInt(minScores),
+          ...pageMeta(req, res, page.result, page.total)
+        }
+      });
+    } catch (error) {
+      console.error('Rankings error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
   }
-});
+);
 
 // Get top performers by specific metric
 router.get('/top/:metric', 
-  validateInput({
-    metric: { 
-      required: true, 
-      enum: ['pp', 'accuracy', 'first_places', 'total_scores', 'playtime'] 
-    }
+  apiRoute({
+    summary: 'Top players by one metric',
+    params: {
+      metric: { type: 'string', enum: ['pp', 'accuracy', 'first_places', 'total_scores', 'playtime'] }
+    },
+    response: page({
+      allOf: [ref('RankedPlayer')],
+      properties: { metric_value: { description: 'Value of the requested metric' } }
+    })
   }),
+  paginate({ defaultLimit: 20 }),
   async (req, res) => {
     try {
       const { metric } = req.params;
-      const { limit = 20 } = req.query;
 
       const metricMapping = {
         pp: 'weighted_pp',
@@ -100,25 +157,41 @@ router.get('/top/:metric',
       };
 
       const column = metricMapping[metric];
-      const order = metric === 'accuracy' ? 'DESC' : 'DESC';
+      const sortKeys = [{ column: `pms.${column}`, field: 'metric_value', order: 'DESC' }, { column: 'pms.username' }];
 
-      const data = await getRows(`
-        SELECT 
-          username, user_id, weighted_pp, accuracy_avg, first_places, 
-          total_scores, total_playtime, country_rank, avatar_url,
-          ${column} as metric_value
-        FROM player_stats
-        WHERE is_active = true AND ${column} > 0
-        ORDER BY ${column} ${order}
-        LIMIT $1
-      `, [parseInt(limit)]);
+      const whereClause = `WHERE pms.country = $1 AND pms.mode = $2 AND ps.is_active = true AND pms.${column} > 0`;
+      const params = [req.country, req.mode];
+      const { where, orderBy, limit } = keyset(sortKeys, req.page, params);
+
+      const [rows, count] = await Promise.all([
+        getRows(`
+          SELECT 
+            pms.username, ps.user_id, pms.weighted_pp, pms.accuracy_avg, pms.first_places, 
+            pms.total_scores, pms.total_playtime, pms.country_rank, ps.avatar_url,
+            pms.${column} as metric_value
+          FROM player_mode_stats pms
+          JOIN player_stats ps ON ps.username = pms.username
+          ${whereClause} AND ${where}
+          ORDER BY ${orderBy}
+          LIMIT ${limit}
+        `, params),
+        getRow(`
+          SELECT COUNT(*) AS total
+          FROM player_mode_stats pms
+          JOIN player_stats ps ON ps.username = pms.username
+          ${whereClause}
+        `, [req.country, req.mode])
+      ]);
+      const page = keysetResult(rows, sortKeys, req.page);
 
       res.json({
         success: true,
-        data,
+        data: page.items,
         meta: {
+          country: req.country,
+          mode: req.mode,
           metric,
-          limit: parseInt(limit)
+          ...pageMeta(req, res, page, parseInt(count.total))
         }
       });
     } catch (error) {
@@ -130,45 +203,37 @@ router.get('/top/:metric',
 
 // Get rankings by skill
 router.get('/skills/:skillType', 
-  validateInput({
-    skillType: { 
-      required: true, 
-      enum: ['aim', 'speed', 'accuracy', 'reading', 'consistency'] 
-    }
+  apiRoute({
+    summary: 'Players ranked by their rating in one skill',
+    description: 'Ratings come from country percentiles of the skill and carry an uncertainty that grows while a player sets no new scores.',
+    params: {
+      skillType: { type: 'string', enum: ['aim', 'speed', 'accuracy', 'reading', 'consistency'] }
+    },
+    response: page(ref('SkillRating'))
   }),
+  paginate({ defaultLimit: 20 }),
   async (req, res) => {
     try {
       const { skillType } = req.params;
-      const { limit = 20 } = req.query;
+      
+      if (!getModeSkills(req.mode).includes(skillType)) {
+        return res.status(400).json({
+          success: false,
+          error: `Skill '${skillType}' is not tracked for ${req.mode}`
+        });
+      }
 
-      const data = await getRows(`
-        WITH recent_skills AS (
-          SELECT DISTINCT ON (username) 
-                 username, skill_value, calculated_at
-          FROM skill_tracking 
-          WHERE skill_type = $1
-          ORDER BY username, calculated_at DESC
-        )
-        SELECT 
-          rs.username, 
-          rs.skill_value,
-          ps.weighted_pp, 
-          ps.country_rank, 
-          ps.avatar_url,
-          ROW_NUMBER() OVER (ORDER BY rs.skill_value DESC) as skill_rank
-        FROM recent_skills rs
-        JOIN player_stats ps ON rs.username = ps.username
-        WHERE ps.is_active = true
-        ORDER BY rs.skill_value DESC
-        LIMIT $2
-      `, [skillType, parseInt(limit)]);
+      // Ranked by rating, with the country percentile and the rating's uncertainty
+      const { total, ...page } = await skillRatingService.getSkillLeaderboard(req.country, req.mode, skillType, req.page);
 
       res.json({
         success: true,
-        data,
+        data: page.items,
         meta: {
+          country: req.country,
+          mode: req.mode,
           skillType,
-          limit: parseInt(limit)
+          ...pageMeta(req, res, page, total)
         }
       });
     } catch (error) {
@@ -179,132 +244,255 @@ router.get('/skills/:skillType',
 );
 
 // Get country ranking comparison
-router.get('/country-comparison', async (req, res) => {
-  try {
-    const { limit = 100 } = req.query;
+router.get('/country-comparison',
+  apiRoute({
+    summary: 'Players of the country in order of their osu! country rank',
+    response: page(ref('RankedPlayer'))
+  }),
+  paginate({ defaultLimit: 100 }),
+  async (req, res) => {
+    try {
+      const sortKeys = [{ column: 'pms.country_rank' }, { column: 'pms.username' }];
+      const params = [req.country, req.mode];
+      const { where, orderBy, limit } = keyset(sortKeys, req.page, params);
+
+      const [rows, count] = await Promise.all([
+        getRows(`
+          SELECT 
+            pms.username, 
+            pms.country_rank, 
+            pms.global_rank, 
+            pms.weighted_pp, 
+            pms.accuracy_avg,
+            pms.first_places,
+            pms.total_scores,
+            ps.avatar_url
+          FROM player_mode_stats pms
+          JOIN player_stats ps ON ps.username = pms.username
+          WHERE pms.country = $1 AND pms.mode = $2 AND ps.is_active = true AND pms.country_rank > 0 AND ${where}
+          ORDER BY ${orderBy}
+          LIMIT ${limit}
+        `, params),
+        getRow(`
+          SELECT COUNT(*) AS total
+          FROM player_mode_stats pms
+          JOIN player_stats ps ON ps.username = pms.username
+          WHERE pms.country = $1 AND pms.mode = $2 AND ps.is_active = true AND pms.country_rank > 0
+        `, [req.country, req.mode])
+      ]);
+      const page = keysetResult(rows, sortKeys, req.page);
 
-    const data = await getRows(`
-      SELECT 
-        username, 
-        country_rank, 
-        global_rank, 
-        weighted_pp, 
-        accuracy_avg,
-        first_places,
-        total_scores,
-        avatar_url
-      FROM player_stats
-      WHERE is_active = true AND country_rank > 0
-      ORDER BY country_rank ASC
-      LIMIT $1
-    `, [parseInt(limit)]);
+      res.json({
+        success: true,
+        data: page.items,
+        meta: {
+          country: req.country,
+          mode: req.mode,
+          ...pageMeta(req, res, page, parseInt(count.total))
+        }
+      });
+    } catch (error) {
+      console.error('Country comparison error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
 
-    res.json({
-      success: true,
-      data,
-      meta: {
-        limit: parseInt(limit),
-        country: 'DZ'
+// Get biggest country rank climbers and fallers over the last N days of snapshots
+router.get('/trends', 
+  apiRoute({
+    summary: 'Biggest country rank climbers and fallers',
+    query: {
+      days: { type: 'integer', minimum: 1, maximum: 365, description: '7 when omitted' },
+      limit: { type: 'integer', minimum: 1, maximum: 100 }
+    },
+    response: envelope({
+      type: 'object',
+      description: 'rank_change is positive for climbers',
+      properties: {
+        climbers: { type: 'array', items: { type: 'object' } },
+        fallers: { type: 'array', items: { type: 'object' } }
       }
-    });
-  } catch (error) {
-    console.error('Country comparison error:', error);
-    res.status(500).json({ success: false, error: 'Internal server error' });
+    })
+  }),
+  async (req, res) => {
+    try {
+      const { days = 7, limit = 10 } = req.query;
+      
+      const data = await rankHistoryService.getRankMovers(req.country, req.mode, parseInt(days), parseInt(limit));
+
+      res.json({
+        success: true,
+        data,
+        meta: {
+          country: req.country,
+          mode: req.mode,
+          days: parseInt(days),
+          limit: parseInt(limit),
+          period: `Last ${days} days`
+        }
+      });
+    } catch (error) {
+      console.error('Ranking trends error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
   }
-});
+);
 
-// Get ranking changes/trends
-router.get('/trends', async (req, res) => {
-  try {
-    const { days = 7, limit = 50 } = req.query;
-    
-    // This would require historical ranking data
-    // For now, return recent activity as a proxy for trends
-    const cutoff = Date.now() - (parseInt(days) * 24 * 60 * 60 * 1000);
-    
-    const data = await getRows(`
-      SELECT 
-        ps.username,
-        ps.weighted_pp,
-        ps.country_rank,
-        ps.first_places,
-        ps.last_calculated,
-        COUNT(ats.username) as recent_scores
-      FROM player_stats ps
-      LEFT JOIN algeria_top50 ats ON ps.username = ats.username AND ats.last_updated > $1
-      WHERE ps.is_active = true
-      GROUP BY ps.username, ps.weighted_pp, ps.country_rank, ps.first_places, ps.last_calculated
-      HAVING COUNT(ats.username) > 0
-      ORDER BY recent_scores DESC, ps.weighted_pp DESC
-      LIMIT $2
-    `, [cutoff, parseInt(limit)]);
+// Get players ranked by Glicko-2 rating from head-to-head results on shared beatmaps
+router.get('/h2h', 
+  apiRoute({
+    summary: 'Players ranked by Glicko-2 rating from head-to-head results on shared beatmaps',
+    query: {
+      minMatches: { type: 'integer', minimum: 0, description: 'Matches a player needs to be listed, 10 when omitted' }
+    },
+    response: page(ref('H2HRating'))
+  }),
+  paginate(),
+  async (req, res) => {
+    try {
+      const { minMatches = 10 } = req.query;
+      
+      const { total, ...page } = await h2hRatingService.getLeaderboard(req.country, req.mode, req.page, {
+        minMatches: parseInt(minMatches)
+      });
+
+      res.json({
+        success: true,
+        data: page.items,
+        meta: {
+          country: req.country,
+          mode: req.mode,
+          minMatches: parseInt(minMatches),
+          ...pageMeta(req, res, page, total)
+        }
+      });
+    } catch (error) {
+      console.error('H2H rankings error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
 
-    res.json({
-      success: true,
-      data,
-      meta: {
-        days: parseInt(days),
-        limit: parseInt(limit),
-        period: `Last ${days} days`
+// Get the chance each of two players wins a shared beatmap
+router.get('/h2h/:username1/:username2', 
+  apiRoute({
+    summary: 'The chance each of two players wins a shared beatmap',
+    params: { username1: fields.username, username2: fields.username },
+    errors: [404],
+    response: envelope({
+      type: 'object',
+      properties: {
+        player1: matchupPlayer,
+        player2: matchupPlayer,
+        player1WinProbability: { type: 'number' },
+        player2WinProbability: { type: 'number' },
+        sharedMaps: {
+          type: 'object',
+          properties: {
+            total: { type: 'integer' },
+            player1Wins: { type: 'integer' },
+            player2Wins: { type: 'integer' },
+            draws: { type: 'integer' }
+          }
+        }
       }
-    });
-  } catch (error) {
-    console.error('Ranking trends error:', error);
-    res.status(500).json({ success: false, error: 'Internal server error' });
+    })
+  }),
+  async (req, res) => {
+    try {
+      const { username1, username2 } = req.params;
+      
+      const data = await h2hRatingService.getMatchup(username1, username2, req.mode);
+      if (!data) {
+        return res.status(404).json({ success: false, error: 'Both players need a head-to-head rating in this mode' });
+      }
+
+      res.json({
+        success: true,
+        data,
+        meta: { mode: req.mode }
+      });
+    } catch (error) {
+      console.error('H2H matchup error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
   }
-});
+);
 
 // Get milestone achievements in rankings
-router.get('/milestones', async (req, res) => {
-  try {
-    const data = await getRows(`
-      SELECT 
-        'top_100_pp' as milestone,
-        COUNT(*) as players_count
-      FROM player_stats 
-      WHERE weighted_pp >= 100 AND is_active = true
+router.get('/milestones',
+  apiRoute({
+    summary: 'How many players reached each milestone',
+    response: list({
+      type: 'object',
+      properties: {
+        milestone: { type: 'string' },
+        players_count: bigint('Players')
+      }
+    })
+  }),
+  async (req, res) => {
+    try {
+      const data = await getRows(`
+        WITH mode_players AS (
+          SELECT pms.*
+          FROM player_mode_stats pms
+          JOIN player_stats ps ON ps.username = pms.username
+          WHERE pms.country = $1 AND pms.mode = $2 AND ps.is_active = true
+        )
+        SELECT 
+          'top_100_pp' as milestone,
+          COUNT(*) as players_count
+        FROM mode_players 
+        WHERE weighted_pp >= 100
       
-      UNION ALL
+        UNION ALL
       
-      SELECT 
-        'top_1000_pp' as milestone,
-        COUNT(*) as players_count
-      FROM player_stats 
-      WHERE weighted_pp >= 1000 AND is_active = true
+        SELECT 
+          'top_1000_pp' as milestone,
+          COUNT(*) as players_count
+        FROM mode_players 
+        WHERE weighted_pp >= 1000
       
-      UNION ALL
+        UNION ALL
       
-      SELECT 
-        'high_accuracy' as milestone,
-        COUNT(*) as players_count
-      FROM player_stats 
-      WHERE accuracy_avg >= 0.95 AND is_active = true
+        SELECT 
+          'high_accuracy' as milestone,
+          COUNT(*) as players_count
+        FROM mode_players 
+        WHERE accuracy_avg >= 0.95
       
-      UNION ALL
+        UNION ALL
       
-      SELECT 
-        'first_place_holders' as milestone,
-        COUNT(*) as players_count
-      FROM player_stats 
-      WHERE first_places > 0 AND is_active = true
+        SELECT 
+          'first_place_holders' as milestone,
+          COUNT(*) as players_count
+        FROM mode_players 
+        WHERE first_places > 0
       
-      UNION ALL
+        UNION ALL
       
-      SELECT 
-        'prolific_players' as milestone,
-        COUNT(*) as players_count
-      FROM player_stats 
-      WHERE total_scores >= 100 AND is_active = true
-    `);
+        SELECT 
+          'prolific_players' as milestone,
+          COUNT(*) as players_count
+        FROM mode_players 
+        WHERE total_scores >= 100
+      `, [req.country, req.mode]);
 
-    res.json({
-      success: true,
-      data
-    });
-  } catch (error) {
-    console.error('Milestones error:', error);
-    res.status(500).json({ success: false, error: 'Internal server error' });
+      res.json({
+        success: true,
+        data,
+        meta: {
+          country: req.country,
+          mode: req.mode
+        }
+      });
+    } catch (error) {
+      console.error('Milestones error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
   }
-});
+);
 
 module.exports = router;
\ No newline at end of file
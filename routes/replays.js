@@ -0,0 +1,112 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../config/security');
+const { validateMode } = require('../middleware/validation');
+const { heavyRateLimit } = require('../middleware/rateLimiting');
+const { replayService, ReplayError } = require('../services/replays');
+const { apiRoute } = require('../middleware/apiSchema');
+const { envelope, list, bigint, fields } = require('../config/apiSchemas');
+
+// .osr uploads arrive as the raw file
+const REPLAY_TYPES = ['application/octet-stream', 'application/x-osu-replay'];
+const replayBody = express.raw({ type: REPLAY_TYPES, limit: '10mb' });
+
+const replaySchema = {
+  type: 'object',
+  required: ['id', 'player_name'],
+  properties: {
+    id: { type: 'integer' },
+    beatmap_id: bigint('Beatmap id'),
+    player_id: bigint('osu! user id'),
+    player_name: { type: 'string' },
+    mode: { type: 'string' },
+    mods: { type: 'string', nullable: true },
+    score: bigint('Score'),
+    max_combo: { type: 'integer', nullable: true },
+    count_miss: { type: 'integer', nullable: true },
+    perfect: { type: 'boolean' },
+    played_at: bigint('Epoch milliseconds'),
+    matched_score: { type: 'boolean', description: 'Whether the replay matched a stored leaderboard score' },
+    uploaded_at: bigint('Epoch milliseconds'),
+    analysis: { type: 'object', nullable: true, description: 'Hit errors, unstable rate, heatmap and miss timeline' }
+  }
+};
+
+const handleReplayError = (res, error, label) => {
+  if (error instanceof ReplayError) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ success: false, error: 'Internal server error' });
+};
+
+// Upload an .osr replay of a leaderboard score; it is matched by beatmap checksum and player
+router.post('/',
+  apiRoute({
+    summary: 'Upload an .osr replay',
+    description: 'Send the replay file as the request body. Uploading the same replay again answers 200 with the stored one.',
+    upload: REPLAY_TYPES,
+    status: 201,
+    errors: [404, 429],
+    response: envelope(replaySchema, { type: 'object', properties: { created: { type: 'boolean' } } })
+  }),
+  heavyRateLimit,
+  authenticateToken,
+  replayBody,
+  async (req, res) => {
+    try {
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ success: false, error: 'Send the .osr file as the request body' });
+      }
+
+      const { replay, created } = await replayService.upload(req.body, req.user.id);
+      res.status(created ? 201 : 200).json({ success: true, data: replay, meta: { created } });
+    } catch (error) {
+      handleReplayError(res, error, 'Replay upload');
+    }
+  }
+);
+
+// Replays uploaded for a player's score on a beatmap
+router.get('/',
+  validateMode,
+  apiRoute({
+    summary: "Replays uploaded for a player's score on a beatmap",
+    query: {
+      beatmapId: { ...fields.beatmapId, required: true },
+      username: { ...fields.username, required: true }
+    },
+    response: list(replaySchema)
+  }),
+  async (req, res) => {
+    try {
+      const data = await replayService.getScoreReplays(req.query.beatmapId, req.query.username, req.mode);
+      res.json({ success: true, data, meta: { total: data.length, mode: req.mode } });
+    } catch (error) {
+      handleReplayError(res, error, 'Replay list');
+    }
+  }
+);
+
+// One replay with its analysis
+router.get('/:id',
+  apiRoute({
+    summary: 'One replay with its analysis',
+    params: { id: fields.id },
+    errors: [404],
+    response: envelope(replaySchema)
+  }),
+  async (req, res) => {
+    try {
+      const replay = await replayService.getReplay(parseInt(req.params.id));
+      if (!replay) {
+        return res.status(404).json({ success: false, error: 'Replay not found' });
+      }
+      res.json({ success: true, data: replay });
+    } catch (error) {
+      handleReplayError(res, error, 'Replay');
+    }
+  }
+);
+
+module.exports = router;
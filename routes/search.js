@@ -1,24 +1,80 @@
 const express = require('express');
 const router = express.Router();
-const { getRows, getCached, getCacheKey } = require('../config/db');
-const { validateInput } = require('../middleware/validation');
+const { getRows, getRow } = require('../config/db');
+const { getCached, getCacheKey } = require('../config/redis');
+const { validateCountry } = require('../middleware/validation');
+const { paginate, keyset, keysetResult, rowKey, listsResult, pageMeta } = require('../middleware/pagination');
+const { apiRoute } = require('../middleware/apiSchema');
+const { ref, envelope, list, page, fields } = require('../config/apiSchemas');
+
+router.use(validateCountry);
+
+const ORDERS = ['ASC', 'DESC', 'asc', 'desc'];
+const PLAYER_SORTS = ['weighted_pp', 'total_pp', 'accuracy_avg', 'first_places', 'total_scores', 'avg_rank'];
+const BEATMAP_SORTS = ['difficulty_rating', 'length', 'bpm', 'country_players', 'top_pp'];
+// Names from when only Algeria was tracked, still accepted from older clients
+const BEATMAP_SORT_ALIASES = { algerian_players: 'country_players' };
+const SCORE_SORTS = ['pp', 'score', 'accuracy', 'rank', 'last_updated'];
+// Result types of the combined search, in the order the cursor keeps them
+const SEARCH_TYPES = ['players', 'beatmaps', 'scores'];
+
+const number = { type: 'number', minimum: 0 };
+const count = { type: 'integer', minimum: 0 };
+const flag = { type: 'boolean' };
 
 // Main search endpoint
 router.get('/', 
-  validateInput({
-    q: { required: true, minLength: 2, maxLength: 50 }
+  apiRoute({
+    summary: 'Search players, beatmaps and scores',
+    description: 'Each result type is paged together; meta.totals has the count of each. Pages only go forward. ' +
+      'Beatmaps repeat country_players as algerian_players, its old name.',
+    query: {
+      q: { type: 'string', minLength: 2, maxLength: 50, required: true },
+      type: { type: 'string', enum: ['all', 'players', 'beatmaps', 'scores'] }
+    },
+    response: envelope({
+      type: 'object',
+      properties: {
+        players: { type: 'array', items: ref('RankedPlayer') },
+        beatmaps: { type: 'array', items: { type: 'object' } },
+        scores: { type: 'array', items: ref('Score') }
+      }
+    }, {
+      allOf: [ref('PageMeta')],
+      properties: { totals: { type: 'object', additionalProperties: { type: 'integer' } } }
+    })
   }),
+  paginate({ defaultLimit: 20, lists: SEARCH_TYPES.length }),
   async (req, res) => {
     try {
-      const { q, type = 'all', limit = 20 } = req.query;
+      const { q, type = 'all' } = req.query;
+      const { limit, cursor } = req.page;
       const searchTerm = q.trim();
-      const cacheKey = getCacheKey('search', type, searchTerm, limit);
+      const cacheKey = getCacheKey('search', req.country, type, searchTerm, limit, req.page.cacheKey);
       
-      const data = await getCached(cacheKey, async () => {
+      // Each result type is paged together; the cursor keeps where each one stopped
+      const { data, totals, keys } = await getCached(cacheKey, async () => {
         const results = {};
+        const totals = {};
+        const keys = SEARCH_TYPES.map(() => false);
+
+        // The next rows of one result type, from the SQL around the keyset condition
+        const nextRows = async (name, sortKeys, params, sql) => {
+          const index = SEARCH_TYPES.indexOf(name);
+          const key = cursor ? cursor.key[index] : null;
+          if (key === false) return [];
+
+          const { where, orderBy, limit: pageLimit } = keyset(sortKeys, req.page, params, key);
+          const rows = await getRows(sql(where, orderBy, pageLimit), params);
+          if (rows.length > limit) keys[index] = rowKey(sortKeys, rows[limit - 1]);
+          return rows.slice(0, limit);
+        };
         
         if (type === 'all' || type === 'players') {
-          results.players = await getRows(`
+          results.players = await nextRows('players', [
+            { column: 'weighted_pp', order: 'DESC' },
+            { column: 'username' }
+          ], [`%${searchTerm}%`, req.country], (where, orderBy, pageLimit) => `
             SELECT 
               username, 
               user_id,
@@ -32,58 +88,96 @@ router.get('/',
               country_rank,
               global_rank
             FROM player_stats
-            WHERE username ILIKE $1 AND is_active = true
-            ORDER BY weighted_pp DESC
-            LIMIT $2
-          `, [`%${searchTerm}%`, parseInt(limit)]);
+            WHERE username ILIKE $1 AND country = $2 AND is_active = true AND ${where}
+            ORDER BY ${orderBy}
+            LIMIT ${pageLimit}
+          `);
+          totals.players = parseInt((await getRow(`
+            SELECT COUNT(*) AS total FROM player_stats
+            WHERE username ILIKE $1 AND country = $2 AND is_active = true
+          `, [`%${searchTerm}%`, req.country])).total);
         }
         
         if (type === 'all' || type === 'beatmaps') {
-          results.beatmaps = await getRows(`
-            SELECT DISTINCT 
-              bm.beatmap_id, 
-              bm.artist, 
-              bm.title, 
-              bm.version,
-              bm.difficulty_rating,
-              bm.length,
-              bm.bpm,
-              bm.cs,
-              bm.ar,
-              bm.od,
-              bm.hp,
-              COUNT(DISTINCT ats.username) as algerian_players,
-              MAX(ats.score) as top_score,
-              MAX(ats.pp) as top_pp
-            FROM beatmap_metadata bm
-            LEFT JOIN algeria_top50 ats ON bm.beatmap_id = ats.beatmap_id
+          // Ordered by aggregates, so paged over the grouped rows
+          results.beatmaps = await nextRows('beatmaps', [
+            { column: 'country_players', order: 'DESC' },
+            { column: 'top_pp', order: 'DESC' },
+            { column: 'beatmap_id' }
+          ], [`%${searchTerm}%`, req.country], (where, orderBy, pageLimit) => `
+            SELECT *, country_players AS algerian_players FROM (
+              SELECT 
+                bm.beatmap_id, 
+                bm.artist, 
+                bm.title, 
+                bm.version,
+                bm.difficulty_rating,
+                bm.length,
+                bm.bpm,
+                bm.cs,
+                bm.ar,
+                bm.od,
+                bm.hp,
+                COUNT(DISTINCT ats.username) as country_players,
+                MAX(ats.score) as top_score,
+                MAX(ats.pp) as top_pp
+              FROM beatmap_metadata bm
+              LEFT JOIN algeria_top50 ats ON bm.beatmap_id = ats.beatmap_id AND ats.country = $2
+              WHERE bm.artist ILIKE $1 OR bm.title ILIKE $1 OR bm.version ILIKE $1
+              GROUP BY bm.beatmap_id, bm.artist, bm.title, bm.version, bm.difficulty_rating, bm.length, bm.bpm, bm.cs, bm.ar, bm.od, bm.hp
+            ) beatmaps
+            WHERE ${where}
+            ORDER BY ${orderBy}
+            LIMIT ${pageLimit}
+          `);
+          totals.beatmaps = parseInt((await getRow(`
+            SELECT COUNT(*) AS total FROM beatmap_metadata bm
             WHERE bm.artist ILIKE $1 OR bm.title ILIKE $1 OR bm.version ILIKE $1
-            GROUP BY bm.beatmap_id, bm.artist, bm.title, bm.version, bm.difficulty_rating, bm.length, bm.bpm, bm.cs, bm.ar, bm.od, bm.hp
-            ORDER BY algerian_players DESC, top_pp DESC
-            LIMIT $2
-          `, [`%${searchTerm}%`, parseInt(limit)]);
+          `, [`%${searchTerm}%`])).total);
         }
         
         if (type === 'all' || type === 'scores') {
-          results.scores = await getRows(`
+          results.scores = await nextRows('scores', [
+            { column: 'ats.pp', order: 'DESC' },
+            { column: 'ats.score', order: 'DESC' },
+            { column: 'ats.beatmap_id' },
+            { column: 'ats.player_id' },
+            { column: 'ats.mode' }
+          ], [`%${searchTerm}%`, req.country], (where, orderBy, pageLimit) => `
             SELECT 
               ats.*,
               bm.length,
               bm.bpm
             FROM algeria_top50 ats
             LEFT JOIN beatmap_metadata bm ON ats.beatmap_id = bm.beatmap_id
-            WHERE ats.beatmap_title ILIKE $1 
+            WHERE ats.country = $2
+              AND (ats.beatmap_title ILIKE $1 
                OR ats.artist ILIKE $1 
-               OR ats.username ILIKE $1
-            ORDER BY ats.pp DESC, ats.score DESC
-            LIMIT $2
-          `, [`%${searchTerm}%`, parseInt(limit)]);
+               OR ats.username ILIKE $1)
+              AND ${where}
+            ORDER BY ${orderBy}
+            LIMIT ${pageLimit}
+          `);
+          totals.scores = parseInt((await getRow(`
+            SELECT COUNT(*) AS total FROM algeria_top50 ats
+            WHERE ats.country = $2
+              AND (ats.beatmap_title ILIKE $1 OR ats.artist ILIKE $1 OR ats.username ILIKE $1)
+          `, [`%${searchTerm}%`, req.country])).total);
         }
         
-        return results;
+        return { data: results, totals, keys };
       }, 600);
       
-      res.json({ success: true, query: searchTerm, data });
+      res.json({
+        success: true,
+        query: searchTerm,
+        country: req.country,
+        data,
+        meta: {
+          totals,
+          ...pageMeta(req, res, listsResult(keys, req.page))
+        }
+      });
     } catch (error) {
       console.error('Search error:', error);
       res.status(500).json({ success: false, error: 'Search failed' });
@@ -92,333 +186,452 @@ router.get('/',
 );
 
 // Advanced player search
-router.get('/players/advanced', async (req, res) => {
-  try {
-    const { 
-      minPP, maxPP, minAccuracy, maxAccuracy, 
-      minScores, maxScores, hasFirstPlace, 
-      sortBy = 'weighted_pp', order = 'DESC', 
-      limit = 50, offset = 0 
-    } = req.query;
+router.get('/players/advanced',
+  apiRoute({
+    summary: 'Find players by pp, accuracy and score ranges',
+    query: {
+      minPP: number,
+      maxPP: number,
+      minAccuracy: number,
+      maxAccuracy: number,
+      minScores: count,
+      maxScores: count,
+      hasFirstPlace: flag,
+      sortBy: { type: 'string', enum: PLAYER_SORTS },
+      order: { type: 'string', enum: ORDERS }
+    },
+    response: page(ref('RankedPlayer'))
+  }),
+  paginate(),
+  async (req, res) => {
+    try {
+      const { 
+        minPP, maxPP, minAccuracy, maxAccuracy, 
+        minScores, maxScores, hasFirstPlace, 
+        sortBy = 'weighted_pp', order = 'DESC'
+      } = req.query;
     
-    let whereClauses = ['is_active = true'];
-    let params = [];
-    let paramCount = 0;
+      let whereClauses = ['is_active = true', 'country = $1'];
+      let params = [req.country];
+      let paramCount = 1;
     
-    if (minPP !== undefined && minPP !== '') {
-      whereClauses.push(`weighted_pp >= $${++paramCount}`);
-      params.push(parseFloat(minPP));
-    }
-    if (maxPP !== undefined && maxPP !== '') {
-      whereClauses.push(`weighted_pp <= $${++paramCount}`);
-      params.push(parseFloat(maxPP));
-    }
-    if (minAccuracy !== undefined && minAccuracy !== '') {
-      whereClauses.push(`accuracy_avg >= $${++paramCount}`);
-      params.push(parseFloat(minAccuracy));
-    }
-    if (maxAccuracy !== undefined && maxAccuracy !== '') {
-      whereClauses.push(`accuracy_avg <= ${++paramCount}`);
-      params.push(parseFloat(maxAccuracy));
-    }
-    if (minScores !== undefined && minScores !== '') {
-      whereClauses.push(`total_scores >= ${++paramCount}`);
-      params.push(parseInt(minScores));
-    }
-    if (maxScores !== undefined && maxScores !== '') {
-      whereClauses.push(`total_scores <= ${++paramCount}`);
-      params.push(parseInt(maxScores));
-    }
-    if (hasFirstPlace === 'true') {
-      whereClauses.push(`first_places > 0`);
-    }
+      if (minPP !== undefined && minPP !== '') {
+        whereClauses.push(`weighted_pp >= $${++paramCount}`);
+        params.push(parseFloat(minPP));
+      }
+      if (maxPP !== undefined && maxPP !== '') {
+        whereClauses.push(`weighted_pp <= $${++paramCount}`);
+        params.push(parseFloat(maxPP));
+      }
+      if (minAccuracy !== undefined && minAccuracy !== '') {
+        whereClauses.push(`accuracy_avg >= $${++paramCount}`);
+        params.push(parseFloat(minAccuracy));
+      }
+      if (maxAccuracy !== undefined && maxAccuracy !== '') {
+        whereClauses.push(`accuracy_avg <= $${++paramCount}`);
+        params.push(parseFloat(maxAccuracy));
+      }
+      if (minScores !== undefined && minScores !== '') {
+        whereClauses.push(`total_scores >= $${++paramCount}`);
+        params.push(parseInt(minScores));
+      }
+      if (maxScores !== undefined && maxScores !== '') {
+        whereClauses.push(`total_scores <= $${++paramCount}`);
+        params.push(parseInt(maxScores));
+      }
+      if (hasFirstPlace === 'true') {
+        whereClauses.push(`first_places > 0`);
+      }
     
-    const allowedSort = ['weighted_pp', 'total_pp', 'accuracy_avg', 'first_places', 'total_scores', 'avg_rank'];
-    const sortColumn = allowedSort.includes(sortBy) ? sortBy : 'weighted_pp';
-    const sortOrder = order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+      const sortColumn = PLAYER_SORTS.includes(sortBy) ? sortBy : 'weighted_pp';
+      const sortOrder = order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
     
-    params.push(parseInt(limit), parseInt(offset));
+      const sortKeys = [{ column: sortColumn, order: sortOrder }, { column: 'username' }];
+      const pageParams = [...params];
+      const { where, orderBy, limit } = keyset(sortKeys, req.page, pageParams);
     
-    const data = await getRows(`
-      SELECT *,
-             ROW_NUMBER() OVER (ORDER BY ${sortColumn} ${sortOrder}) as search_rank
-      FROM player_stats 
-      WHERE ${whereClauses.join(' AND ')}
-      ORDER BY ${sortColumn} ${sortOrder}
-      LIMIT ${++paramCount} OFFSET ${++paramCount}
-    `, params);
+      const [rows, count] = await Promise.all([
+        getRows(`
+          SELECT * FROM player_stats 
+          WHERE ${whereClauses.join(' AND ')} AND ${where}
+          ORDER BY ${orderBy}
+          LIMIT ${limit}
+        `, pageParams),
+        getRow(`SELECT COUNT(*) AS total FROM player_stats WHERE ${whereClauses.join(' AND ')}`, params)
+      ]);
+
+      // Ranks carry on from the cursor
+      const page = keysetResult(rows, sortKeys, req.page);
+      const data = page.items.map((row, index) => ({
+        ...row,
+        search_rank: page.firstRank === null ? null : String(page.firstRank + index)
+      }));
     
-    res.json({ 
-      success: true, 
-      data,
-      meta: {
-        filters: req.query,
-        sort: sortColumn,
-        order: sortOrder,
-        count: data.length,
-        hasMore: data.length === parseInt(limit)
-      }
-    });
-  } catch (error) {
-    console.error('Advanced player search error:', error);
-    res.status(500).json({ success: false, error: 'Advanced search failed' });
+      res.json({ 
+        success: true, 
+        data,
+        meta: {
+          country: req.country,
+          filters: req.query,
+          sort: sortColumn,
+          order: sortOrder,
+          ...pageMeta(req, res, page, parseInt(count.total))
+        }
+      });
+    } catch (error) {
+      console.error('Advanced player search error:', error);
+      res.status(500).json({ success: false, error: 'Advanced search failed' });
+    }
   }
-});
+);
 
 // Beatmap search with filters
-router.get('/beatmaps/advanced', async (req, res) => {
-  try {
-    const { 
-      minDiff, maxDiff, minLength, maxLength,
-      minBPM, maxBPM, minCS, maxCS, minAR, maxAR,
-      genre, hasAlgerianScores,
-      sortBy = 'difficulty_rating', order = 'DESC',
-      limit = 50, offset = 0 
-    } = req.query;
+router.get('/beatmaps/advanced',
+  apiRoute({
+    summary: 'Find beatmaps by difficulty, length, BPM, CS and AR',
+    description: 'Beatmaps repeat country_players as algerian_players, its old name.',
+    query: {
+      minDiff: number,
+      maxDiff: number,
+      minLength: { ...count, description: 'Seconds' },
+      maxLength: { ...count, description: 'Seconds' },
+      minBPM: number,
+      maxBPM: number,
+      minCS: number,
+      maxCS: number,
+      minAR: number,
+      maxAR: number,
+      hasCountryScores: { ...flag, description: 'Only beatmaps with scores from the country' },
+      hasAlgerianScores: { ...flag, deprecated: true, description: 'Old name of hasCountryScores' },
+      sortBy: { type: 'string', enum: [...BEATMAP_SORTS, ...Object.keys(BEATMAP_SORT_ALIASES)] },
+      order: { type: 'string', enum: ORDERS }
+    },
+    response: page()
+  }),
+  paginate(),
+  async (req, res) => {
+    try {
+      const { 
+        minDiff, maxDiff, minLength, maxLength,
+        minBPM, maxBPM, minCS, maxCS, minAR, maxAR,
+        genre, hasCountryScores = req.query.hasAlgerianScores,
+        sortBy = 'difficulty_rating', order = 'DESC'
+      } = req.query;
     
-    let whereClauses = [];
-    let params = [];
-    let paramCount = 0;
+      let whereClauses = [];
+      let params = [req.country];
+      let paramCount = 1;
     
-    if (minDiff !== undefined && minDiff !== '') {
-      whereClauses.push(`bm.difficulty_rating >= ${++paramCount}`);
-      params.push(parseFloat(minDiff));
-    }
-    if (maxDiff !== undefined && maxDiff !== '') {
-      whereClauses.push(`bm.difficulty_rating <= ${++paramCount}`);
-      params.push(parseFloat(maxDiff));
-    }
-    if (minLength !== undefined && minLength !== '') {
-      whereClauses.push(`bm.length >= ${++paramCount}`);
-      params.push(parseInt(minLength));
-    }
-    if (maxLength !== undefined && maxLength !== '') {
-      whereClauses.push(`bm.length <= ${++paramCount}`);
-      params.push(parseInt(maxLength));
-    }
-    if (minBPM !== undefined && minBPM !== '') {
-      whereClauses.push(`bm.bpm >= ${++paramCount}`);
-      params.push(parseFloat(minBPM));
-    }
-    if (maxBPM !== undefined && maxBPM !== '') {
-      whereClauses.push(`bm.bpm <= ${++paramCount}`);
-      params.push(parseFloat(maxBPM));
-    }
-    if (minCS !== undefined && minCS !== '') {
-      whereClauses.push(`bm.cs >= ${++paramCount}`);
-      params.push(parseFloat(minCS));
-    }
-    if (maxCS !== undefined && maxCS !== '') {
-      whereClauses.push(`bm.cs <= ${++paramCount}`);
-      params.push(parseFloat(maxCS));
-    }
-    if (minAR !== undefined && minAR !== '') {
-      whereClauses.push(`bm.ar >= ${++paramCount}`);
-      params.push(parseFloat(minAR));
-    }
-    if (maxAR !== undefined && maxAR !== '') {
-      whereClauses.push(`bm.ar <= ${++paramCount}`);
-      params.push(parseFloat(maxAR));
-    }
-    if (hasAlgerianScores === 'true') {
-      whereClauses.push(`algerian_players > 0`);
-    }
+      if (minDiff !== undefined && minDiff !== '') {
+        whereClauses.push(`bm.difficulty_rating >= $${++paramCount}`);
+        params.push(parseFloat(minDiff));
+      }
+      if (maxDiff !== undefined && maxDiff !== '') {
+        whereClauses.push(`bm.difficulty_rating <= $${++paramCount}`);
+        params.push(parseFloat(maxDiff));
+      }
+      if (minLength !== undefined && minLength !== '') {
+        whereClauses.push(`bm.length >= $${++paramCount}`);
+        params.push(parseInt(minLength));
+      }
+      if (maxLength !== undefined && maxLength !== '') {
+        whereClauses.push(`bm.length <= $${++paramCount}`);
+        params.push(parseInt(maxLength));
+      }
+      if (minBPM !== undefined && minBPM !== '') {
+        whereClauses.push(`bm.bpm >= $${++paramCount}`);
+        params.push(parseFloat(minBPM));
+      }
+      if (maxBPM !== undefined && maxBPM !== '') {
+        whereClauses.push(`bm.bpm <= $${++paramCount}`);
+        params.push(parseFloat(maxBPM));
+      }
+      if (minCS !== undefined && minCS !== '') {
+        whereClauses.push(`bm.cs >= $${++paramCount}`);
+        params.push(parseFloat(minCS));
+      }
+      if (maxCS !== undefined && maxCS !== '') {
+        whereClauses.push(`bm.cs <= $${++paramCount}`);
+        params.push(parseFloat(maxCS));
+      }
+      if (minAR !== undefined && minAR !== '') {
+        whereClauses.push(`bm.ar >= $${++paramCount}`);
+        params.push(parseFloat(minAR));
+      }
+      if (maxAR !== undefined && maxAR !== '') {
+        whereClauses.push(`bm.ar <= $${++paramCount}`);
+        params.push(parseFloat(maxAR));
+      }
     
-    const whereClause = whereClauses.length ? `WHERE ${whereClauses.join(' AND ')}` : '';
+      const whereClause = whereClauses.length ? `WHERE ${whereClauses.join(' AND ')}` : '';
+      const havingClause = hasCountryScores === 'true' ? 'HAVING COUNT(DISTINCT ats.username) > 0' : '';
     
-    const allowedSort = ['difficulty_rating', 'length', 'bpm', 'algerian_players', 'top_pp'];
-    const sortColumn = allowedSort.includes(sortBy) ? sortBy : 'difficulty_rating';
-    const sortOrder = order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+      const sortColumn = BEATMAP_SORT_ALIASES[sortBy] || (BEATMAP_SORTS.includes(sortBy) ? sortBy : 'difficulty_rating');
+      const sortOrder = order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
     
-    params.push(parseInt(limit), parseInt(offset));
+      const matching = `
+        FROM beatmap_metadata bm
+        LEFT JOIN algeria_top50 ats ON bm.beatmap_id = ats.beatmap_id AND ats.country = $1
+        ${whereClause}
+        GROUP BY bm.beatmap_id, bm.beatmapset_id, bm.artist, bm.title, bm.version, 
+                 bm.creator, bm.difficulty_rating, bm.cs, bm.ar, bm.od, bm.hp, 
+                 bm.length, bm.bpm, bm.max_combo, bm.play_count, bm.favorite_count,
+                 bm.ranked_date, bm.last_updated
+        ${havingClause}
+      `;
     
-    const data = await getRows(`
-      SELECT 
-        bm.*,
-        COUNT(DISTINCT ats.username) as algerian_players,
-        MAX(ats.score) as top_score,
-        MAX(ats.pp) as top_pp,
-        AVG(ats.accuracy) as avg_accuracy
-      FROM beatmap_metadata bm
-      LEFT JOIN algeria_top50 ats ON bm.beatmap_id = ats.beatmap_id
-      ${whereClause}
-      GROUP BY bm.beatmap_id, bm.beatmapset_id, bm.artist, bm.title, bm.version, 
-               bm.creator, bm.difficulty_rating, bm.cs, bm.ar, bm.od, bm.hp, 
-               bm.length, bm.bpm, bm.max_combo, bm.play_count, bm.favorite_count,
-               bm.ranked_date, bm.last_updated
-      ORDER BY ${sortColumn} ${sortOrder}
-      LIMIT ${++paramCount} OFFSET ${++paramCount}
-    `, params);
+      // Some sorts are aggregates, so pages are taken from the grouped rows
+      const sortKeys = [{ column: sortColumn, order: sortOrder }, { column: 'beatmap_id' }];
+      const pageParams = [...params];
+      const { where, orderBy, limit } = keyset(sortKeys, req.page, pageParams);
     
-    res.json({ 
-      success: true, 
-      data,
-      meta: {
-        filters: req.query,
-        sort: sortColumn,
-        order: sortOrder,
-        count: data.length,
-        hasMore: data.length === parseInt(limit)
-      }
-    });
-  } catch (error) {
-    console.error('Advanced beatmap search error:', error);
-    res.status(500).json({ success: false, error: 'Advanced beatmap search failed' });
+      const [rows, count] = await Promise.all([
+        getRows(`
+          SELECT *, country_players AS algerian_players FROM (
+            SELECT 
+              bm.*,
+              COUNT(DISTINCT ats.username) as country_players,
+              MAX(ats.score) as top_score,
+              MAX(ats.pp) as top_pp,
+              AVG(ats.accuracy) as avg_accuracy
+            ${matching}
+          ) beatmaps
+          WHERE ${where}
+          ORDER BY ${orderBy}
+          LIMIT ${limit}
+        `, pageParams),
+        getRow(`SELECT COUNT(*) AS total FROM (SELECT bm.beatmap_id ${matching}) matching`, params)
+      ]);
+      const page = keysetResult(rows, sortKeys, req.page);
+    
+      res.json({ 
+        success: true, 
+        data: page.items,
+        meta: {
+          country: req.country,
+          filters: req.query,
+          sort: sortColumn,
+          order: sortOrder,
+          ...pageMeta(req, res, page, parseInt(count.total))
+        }
+      });
+    } catch (error) {
+      console.error('Advanced beatmap search error:', error);
+      res.status(500).json({ success: false, error: 'Advanced beatmap search failed' });
+    }
   }
-});
+);
 
 // Search suggestions/autocomplete
-router.get('/suggestions', async (req, res) => {
-  try {
-    const { q, type = 'players', limit = 10 } = req.query;
+router.get('/suggestions',
+  apiRoute({
+    summary: 'Autocomplete players or beatmaps',
+    description: 'Returns an empty list for queries shorter than two characters.',
+    query: {
+      q: { type: 'string', maxLength: 50 },
+      type: { type: 'string', enum: ['players', 'beatmaps'] },
+      limit: { type: 'integer', minimum: 1, maximum: 50 }
+    },
+    response: list()
+  }),
+  async (req, res) => {
+    try {
+      const { q, type = 'players', limit = 10 } = req.query;
     
-    if (!q || q.length < 2) {
-      return res.json({ success: true, data: [] });
-    }
+      if (!q || q.length < 2) {
+        return res.json({ success: true, data: [] });
+      }
     
-    const searchTerm = q.trim();
-    const cacheKey = getCacheKey('search', 'suggestions', type, searchTerm, limit);
+      const searchTerm = q.trim();
+      const cacheKey = getCacheKey('search', 'suggestions', req.country, type, searchTerm, limit);
     
-    const data = await getCached(cacheKey, async () => {
-      let results = [];
+      const data = await getCached(cacheKey, async () => {
+        let results = [];
       
-      if (type === 'players') {
-        results = await getRows(`
-          SELECT username, weighted_pp, avatar_url
-          FROM player_stats
-          WHERE username ILIKE $1 AND is_active = true
-          ORDER BY weighted_pp DESC
-          LIMIT $2
-        `, [`%${searchTerm}%`, parseInt(limit)]);
-      } else if (type === 'beatmaps') {
-        results = await getRows(`
-          SELECT DISTINCT 
-            bm.beatmap_id,
-            CONCAT(bm.artist, ' - ', bm.title, ' [', bm.version, ']') as full_title,
-            bm.difficulty_rating
-          FROM beatmap_metadata bm
-          WHERE bm.artist ILIKE $1 OR bm.title ILIKE $1 OR bm.version ILIKE $1
-          ORDER BY bm.difficulty_rating DESC
-          LIMIT $2
-        `, [`%${searchTerm}%`, parseInt(limit)]);
-      }
+        if (type === 'players') {
+          results = await getRows(`
+            SELECT username, weighted_pp, avatar_url
+            FROM player_stats
+            WHERE username ILIKE $1 AND country = $3 AND is_active = true
+            ORDER BY weighted_pp DESC
+            LIMIT $2
+          `, [`%${searchTerm}%`, parseInt(limit), req.country]);
+        } else if (type === 'beatmaps') {
+          results = await getRows(`
+            SELECT DISTINCT 
+              bm.beatmap_id,
+              CONCAT(bm.artist, ' - ', bm.title, ' [', bm.version, ']') as full_title,
+              bm.difficulty_rating
+            FROM beatmap_metadata bm
+            WHERE bm.artist ILIKE $1 OR bm.title ILIKE $1 OR bm.version ILIKE $1
+            ORDER BY bm.difficulty_rating DESC
+            LIMIT $2
+          `, [`%${searchTerm}%`, parseInt(limit)]);
+        }
       
-      return results;
-    }, 300);
+        return results;
+      }, 300);
     
-    res.json({ success: true, data });
-  } catch (error) {
-    console.error('Search suggestions error:', error);
-    res.status(500).json({ success: false, error: 'Failed to get suggestions' });
+      res.json({ success: true, data });
+    } catch (error) {
+      console.error('Search suggestions error:', error);
+      res.status(500).json({ success: false, error: 'Failed to get suggestions' });
+    }
   }
-});
+);
 
 // Search history and trending searches (if you want to implement this)
-router.get('/trending', async (req, res) => {
-  try {
-    const { limit = 10 } = req.query;
-    const cacheKey = getCacheKey('search', 'trending', limit);
+router.get('/trending',
+  apiRoute({
+    summary: 'Players and beatmaps with the most scores in the last week',
+    query: {
+      limit: { type: 'integer', minimum: 1, maximum: 50 }
+    },
+    response: envelope({
+      type: 'object',
+      properties: {
+        trendingPlayers: { type: 'array', items: { type: 'object' } },
+        trendingBeatmaps: { type: 'array', items: { type: 'object' } }
+      }
+    })
+  }),
+  async (req, res) => {
+    try {
+      const { limit = 10 } = req.query;
+      const cacheKey = getCacheKey('search', 'trending', req.country, limit);
     
-    const data = await getCached(cacheKey, async () => {
-      // Get most active players recently
-      const trendingPlayers = await getRows(`
-        SELECT 
-          ps.username,
-          ps.weighted_pp,
-          ps.avatar_url,
-          COUNT(ats.username) as recent_scores
-        FROM player_stats ps
-        LEFT JOIN algeria_top50 ats ON ps.username = ats.username 
-          AND ats.last_updated > $1
-        WHERE ps.is_active = true
-        GROUP BY ps.username, ps.weighted_pp, ps.avatar_url
-        HAVING COUNT(ats.username) > 0
-        ORDER BY recent_scores DESC, ps.weighted_pp DESC
-        LIMIT $2
-      `, [Date.now() - (7 * 24 * 60 * 60 * 1000), parseInt(limit)]);
+      const data = await getCached(cacheKey, async () => {
+        // Get most active players recently
+        const trendingPlayers = await getRows(`
+          SELECT 
+            ps.username,
+            ps.weighted_pp,
+            ps.avatar_url,
+            COUNT(ats.username) as recent_scores
+          FROM player_stats ps
+          LEFT JOIN algeria_top50 ats ON ps.username = ats.username 
+            AND ats.last_updated > $1
+          WHERE ps.country = $3 AND ps.is_active = true
+          GROUP BY ps.username, ps.weighted_pp, ps.avatar_url
+          HAVING COUNT(ats.username) > 0
+          ORDER BY recent_scores DESC, ps.weighted_pp DESC
+          LIMIT $2
+        `, [Date.now() - (7 * 24 * 60 * 60 * 1000), parseInt(limit), req.country]);
       
-      // Get most popular beatmaps recently
-      const trendingBeatmaps = await getRows(`
-        SELECT 
-          bm.beatmap_id,
-          CONCAT(bm.artist, ' - ', bm.title, ' [', bm.version, ']') as full_title,
-          bm.difficulty_rating,
-          COUNT(ats.username) as recent_plays
-        FROM beatmap_metadata bm
-        INNER JOIN algeria_top50 ats ON bm.beatmap_id = ats.beatmap_id
-        WHERE ats.last_updated > $1
-        GROUP BY bm.beatmap_id, bm.artist, bm.title, bm.version, bm.difficulty_rating
-        ORDER BY recent_plays DESC, bm.difficulty_rating DESC
-        LIMIT $2
-      `, [Date.now() - (7 * 24 * 60 * 60 * 1000), parseInt(limit)]);
+        // Get most popular beatmaps recently
+        const trendingBeatmaps = await getRows(`
+          SELECT 
+            bm.beatmap_id,
+            CONCAT(bm.artist, ' - ', bm.title, ' [', bm.version, ']') as full_title,
+            bm.difficulty_rating,
+            COUNT(ats.username) as recent_plays
+          FROM beatmap_metadata bm
+          INNER JOIN algeria_top50 ats ON bm.beatmap_id = ats.beatmap_id
+          WHERE ats.last_updated > $1 AND ats.country = $3
+          GROUP BY bm.beatmap_id, bm.artist, bm.title, bm.version, bm.difficulty_rating
+          ORDER BY recent_plays DESC, bm.difficulty_rating DESC
+          LIMIT $2
+        `, [Date.now() - (7 * 24 * 60 * 60 * 1000), parseInt(limit), req.country]);
       
-      return {
-        trendingPlayers,
-        trendingBeatmaps
-      };
-    }, 1800); // Cache for 30 minutes
+        return {
+          trendingPlayers,
+          trendingBeatmaps
+        };
+      }, 1800); // Cache for 30 minutes
     
-    res.json({ success: true, data });
-  } catch (error) {
-    console.error('Trending search error:', error);
-    res.status(500).json({ success: false, error: 'Failed to get trending searches' });
+      res.json({ success: true, data });
+    } catch (error) {
+      console.error('Trending search error:', error);
+      res.status(500).json({ success: false, error: 'Failed to get trending searches' });
+    }
   }
-});
+);
 
 // Search within specific player's scores
-router.get('/player/:username/scores', async (req, res) => {
-  try {
-    const { username } = req.params;
-    const { q, minPP, maxPP, mods, sortBy = 'pp', order = 'DESC', limit = 50 } = req.query;
+router.get('/player/:username/scores',
+  apiRoute({
+    summary: "Search a player's scores",
+    params: { username: fields.username },
+    query: {
+      q: { type: 'string', maxLength: 50, description: 'Part of a beatmap title or artist' },
+      minPP: number,
+      maxPP: number,
+      mods: { type: 'string', maxLength: 40 },
+      sortBy: { type: 'string', enum: SCORE_SORTS },
+      order: { type: 'string', enum: ORDERS }
+    },
+    response: page(ref('Score'))
+  }),
+  paginate(),
+  async (req, res) => {
+    try {
+      const { username } = req.params;
+      const { q, minPP, maxPP, mods, sortBy = 'pp', order = 'DESC' } = req.query;
     
-    let whereClauses = ['username ILIKE $1'];
-    let params = [`%${username}%`];
-    let paramCount = 1;
+      let whereClauses = ['username ILIKE $1'];
+      let params = [`%${username}%`];
+      let paramCount = 1;
     
-    if (q) {
-      whereClauses.push(`(beatmap_title ILIKE ${++paramCount} OR artist ILIKE ${paramCount})`);
-      params.push(`%${q}%`);
-    }
-    if (minPP !== undefined && minPP !== '') {
-      whereClauses.push(`pp >= ${++paramCount}`);
-      params.push(parseFloat(minPP));
-    }
-    if (maxPP !== undefined && maxPP !== '') {
-      whereClauses.push(`pp <= ${++paramCount}`);
-      params.push(parseFloat(maxPP));
-    }
-    if (mods) {
-      whereClauses.push(`mods = ${++paramCount}`);
-      params.push(mods);
-    }
+      if (req.countryExplicit) {
+        whereClauses.push(`country = $${++paramCount}`);
+        params.push(req.country);
+      }
+    
+      if (q) {
+        whereClauses.push(`(beatmap_title ILIKE $${++paramCount} OR artist ILIKE $${paramCount})`);
+        params.push(`%${q}%`);
+      }
+      if (minPP !== undefined && minPP !== '') {
+        whereClauses.push(`pp >= $${++paramCount}`);
+        params.push(parseFloat(minPP));
+      }
+      if (maxPP !== undefined && maxPP !== '') {
+        whereClauses.push(`pp <= $${++paramCount}`);
+        params.push(parseFloat(maxPP));
+      }
+      if (mods) {
+        whereClauses.push(`mods = $${++paramCount}`);
+        params.push(mods);
+      }
     
-    const allowedSort = ['pp', 'score', 'accuracy', 'rank', 'last_updated'];
-    const sortColumn = allowedSort.includes(sortBy) ? sortBy : 'pp';
-    const sortOrder = order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+      const sortColumn = SCORE_SORTS.includes(sortBy) ? sortBy : 'pp';
+      const sortOrder = order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
     
-    params.push(parseInt(limit));
+      const sortKeys = [
+        { column: sortColumn, order: sortOrder },
+        { column: 'beatmap_id' },
+        { column: 'player_id' },
+        { column: 'mode' }
+      ];
+      const pageParams = [...params];
+      const { where, orderBy, limit } = keyset(sortKeys, req.page, pageParams);
     
-    const data = await getRows(`
-      SELECT * FROM algeria_top50
-      WHERE ${whereClauses.join(' AND ')}
-      ORDER BY ${sortColumn} ${sortOrder}
-      LIMIT ${++paramCount}
-    `, params);
+      const [rows, count] = await Promise.all([
+        getRows(`
+          SELECT * FROM algeria_top50
+          WHERE ${whereClauses.join(' AND ')} AND ${where}
+          ORDER BY ${orderBy}
+          LIMIT ${limit}
+        `, pageParams),
+        getRow(`SELECT COUNT(*) AS total FROM algeria_top50 WHERE ${whereClauses.join(' AND ')}`, params)
+      ]);
+      const page = keysetResult(rows, sortKeys, req.page);
     
-    res.json({ 
-      success: true, 
-      data,
-      meta: {
-        username,
-        query: q,
-        filters: req.query,
-        count: data.length
-      }
-    });
-  } catch (error) {
-    console.error('Player scores search error:', error);
-    res.status(500).json({ success: false, error: 'Failed to search player scores' });
+      res.json({ 
+        success: true, 
+        data: page.items,
+        meta: {
+          username,
+          query: q,
+          filters: req.query,
+          ...pageMeta(req, res, page, parseInt(count.total))
+        }
+      });
+    } catch (error) {
+      console.error('Player scores search error:', error);
+      res.status(500).json({ success: false, error: 'Failed to search player scores' });
+    }
   }
-});
+);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+// Usage: node scripts/backtestSkills.js [players.json]
+// Backtests the skill model on the synthetic fixture players, or on a JSON file of
+// [{ username, truth?, scores: [...] }] with rows shaped like the skill scores query.
+// Reports how well each skill recovers the known truth, how stable it is between the
+// older and newer half of each player's scores, and whether confidence tracks error.
+// The previous mod-based heuristics are scored alongside as a baseline.
+const fs = require('fs');
+const { calculateSkills } = require('../services/skillModel');
+
+const SKILLS = ['aim', 'speed', 'accuracy', 'reading', 'consistency'];
+// Players need this many scores to be split into halves for the stability check
+const MIN_SPLIT_SCORES = 10;
+
+const hasMod = (score, mod) => typeof score.mods === 'string' && score.mods.includes(mod);
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// The heuristics the skill model replaced, kept to compare against
+function legacySkills(scores) {
+  const aimScores = scores.filter(s => hasMod(s, 'HR') || s.difficulty_rating > 5.0);
+  const speedScores = scores.filter(s => hasMod(s, 'DT') || s.difficulty_rating > 4.5);
+  const readingScores = scores.filter(s => hasMod(s, 'HD') || hasMod(s, 'HR'));
+  const avg = (list, field) => (list.length ? average(list.map(s => s[field] || 0)) : 0);
+
+  const highAccuracy = scores.filter(s => (s.accuracy || 0) > 0.98).length / Math.max(1, scores.length);
+  const missRate = scores.length
+    ? average(scores.map(s => (s.count_miss || 0) / Math.max(1, s.max_combo || 100)))
+    : 1;
+
+  return {
+    aim: aimScores.length ? Math.min(10, (avg(aimScores, 'pp') / 100) * avg(aimScores, 'accuracy') * 1.2) : 0,
+    speed: speedScores.length
+      ? Math.min(10, (avg(speedScores, 'pp') / 80) * (1 + speedScores.filter(s => hasMod(s, 'DT')).length / scores.length))
+      : 0,
+    accuracy: scores.length ? Math.min(10, avg(scores, 'accuracy') * 10 * (1 + highAccuracy)) : 0,
+    reading: readingScores.length
+      ? Math.min(10, 3 + (readingScores.filter(s => hasMod(s, 'HD')).length + readingScores.filter(s => hasMod(s, 'HR')).length) / scores.length * 7)
+      : Math.min(10, scores.length * 0.1),
+    consistency: scores.length >= 5 ? Math.min(10, Math.max(0, 1 - missRate * 2) * 10) : 0
+  };
+}
+
+function modelSkills(scores) {
+  const skills = calculateSkills(scores, 'osu');
+  return {
+    values: Object.fromEntries(SKILLS.map(skill => [skill, skills[skill].value])),
+    confidence: Object.fromEntries(SKILLS.map(skill => [skill, skills[skill].confidence]))
+  };
+}
+
+// Ranks from 1, ties sharing their average rank
+function ranks(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const result = new Array(values.length);
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+    for (let k = i; k <= j; k++) result[order[k].index] = (i + j) / 2 + 1;
+    i = j + 1;
+  }
+  return result;
+}
+
+function spearman(a, b) {
+  if (a.length < 3) return null;
+  const ra = ranks(a);
+  const rb = ranks(b);
+  const meanA = average(ra);
+  const meanB = average(rb);
+  let covariance = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+  for (let i = 0; i < ra.length; i++) {
+    covariance += (ra[i] - meanA) * (rb[i] - meanB);
+    varianceA += Math.pow(ra[i] - meanA, 2);
+    varianceB += Math.pow(rb[i] - meanB, 2);
+  }
+  if (varianceA === 0 || varianceB === 0) return 0;
+  return covariance / Math.sqrt(varianceA * varianceB);
+}
+
+const round = (value) => (value === null ? null : Math.round(value * 1000) / 1000);
+
+// Scores split by play date into an older and a newer half
+function splitByDate(scores) {
+  const sorted = [...scores].sort((a, b) => (a.play_date || 0) - (b.play_date || 0));
+  const middle = Math.floor(sorted.length / 2);
+  return [sorted.slice(0, middle), sorted.slice(middle)];
+}
+
+function runBacktest(players) {
+  const estimates = players.map(player => ({
+    player,
+    model: modelSkills(player.scores),
+    legacy: legacySkills(player.scores)
+  }));
+
+  const splitPlayers = players.filter(player => player.scores.length >= MIN_SPLIT_SCORES);
+  const halves = splitPlayers.map(player => splitByDate(player.scores).map(half => ({
+    model: modelSkills(half).values,
+    legacy: legacySkills(half)
+  })));
+
+  const report = {};
+  for (const skill of SKILLS) {
+    const withTruth = estimates.filter(estimate => estimate.player.truth?.[skill] !== undefined);
+    const truth = withTruth.map(estimate => estimate.player.truth[skill]);
+
+    const result = {
+      recovery: withTruth.length
+        ? {
+          model: round(spearman(withTruth.map(e => e.model.values[skill]), truth)),
+          legacy: round(spearman(withTruth.map(e => e.legacy[skill]), truth))
+        }
+        : null,
+      stability: {
+        model: round(spearman(halves.map(([older]) => older.model[skill]), halves.map(([, newer]) => newer.model[skill]))),
+        legacy: round(spearman(halves.map(([older]) => older.legacy[skill]), halves.map(([, newer]) => newer.legacy[skill])))
+      },
+      meanConfidence: round(average(estimates.map(e => e.model.confidence[skill]))),
+      calibration: null
+    };
+
+    // Rank error against the truth for the least, middle and most confident third of players
+    if (withTruth.length >= 9) {
+      const estimateRanks = ranks(withTruth.map(e => e.model.values[skill]));
+      const truthRanks = ranks(truth);
+      const byConfidence = withTruth
+        .map((estimate, index) => ({
+          confidence: estimate.model.confidence[skill],
+          error: Math.abs(estimateRanks[index] - truthRanks[index]) / withTruth.length
+        }))
+        .sort((a, b) => a.confidence - b.confidence);
+
+      const third = Math.floor(byConfidence.length / 3);
+      result.calibration = [
+        byConfidence.slice(0, third),
+        byConfidence.slice(third, byConfidence.length - third),
+        byConfidence.slice(byConfidence.length - third)
+      ].map(group => ({
+        confidence: round(average(group.map(entry => entry.confidence))),
+        rankError: round(average(group.map(entry => entry.error)))
+      }));
+    }
+
+    report[skill] = result;
+  }
+
+  // Whether aim and speed specialists are told apart, which overall level alone cannot do
+  const specialists = estimates.filter(e => e.player.truth?.aim !== undefined && e.player.truth?.speed !== undefined);
+  const specialization = specialists.length
+    ? {
+      model: round(spearman(specialists.map(e => e.model.values.aim - e.model.values.speed), specialists.map(e => e.player.truth.aim - e.player.truth.speed))),
+      legacy: round(spearman(specialists.map(e => e.legacy.aim - e.legacy.speed), specialists.map(e => e.player.truth.aim - e.player.truth.speed)))
+    }
+    : null;
+
+  return { players: players.length, splitPlayers: splitPlayers.length, skills: report, specialization };
+}
+
+function printReport({ players, splitPlayers, skills, specialization }) {
+  console.log(`Skill model backtest: ${players} players, ${splitPlayers} split by date\n`);
+  console.log('skill         recovery (model / legacy)   stability (model / legacy)   confidence   rank error by confidence third');
+
+  for (const [skill, result] of Object.entries(skills)) {
+    const pair = (value) => (value ? `${value.model ?? '-'} / ${value.legacy ?? '-'}` : '-');
+    const calibration = result.calibration
+      ? result.calibration.map(group => `${group.rankError} @${group.confidence}`).join('  ')
+      : '-';
+    console.log(
+      `${skill.padEnd(14)}${pair(result.recovery).padEnd(28)}${pair(result.stability).padEnd(29)}${String(result.meanConfidence).padEnd(13)}${calibration}`
+    );
+  }
+
+  if (specialization) {
+    console.log(`\naim vs speed specialization recovery: ${specialization.model} (model) / ${specialization.legacy} (legacy)`);
+  }
+}
+
+if (require.main === module) {
+  const [file] = process.argv.slice(2);
+  const players = file
+    ? JSON.parse(fs.readFileSync(file, 'utf8'))
+    : require('../tests/fixtures/skillPlayers').createSkillFixtures().players;
+
+  printReport(runBacktest(players));
+}
+
+module.exports = {
+  runBacktest,
+  legacySkills,
+  spearman
+};
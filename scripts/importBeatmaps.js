@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+// Usage: node scripts/importBeatmaps.js <directory>
+// Parses every .osu file under the directory and stores its difficulty attributes.
+require('dotenv').config();
+const { closePool } = require('../config/db');
+const { connectRedis, disconnectRedis } = require('../config/redis');
+const { beatmapAnalysisService } = require('../services/beatmapAnalysis');
+
+async function main() {
+  const [directory] = process.argv.slice(2);
+  if (!directory) {
+    throw new Error('Pass the directory that holds the .osu files');
+  }
+
+  await connectRedis();
+
+  const summary = await beatmapAnalysisService.importDirectory(directory, {
+    onFile: (file, row) => console.log(`  ✅ ${row.beatmap_id}  ${row.star_rating?.toFixed(2) ?? '-'}*  ${row.classification}  ${file}`)
+  });
+
+  summary.errors.forEach(({ file, error }) => console.log(`  ⚠️ ${file}: ${error}`));
+  console.log(`\n${summary.imported} imported, ${summary.skipped} skipped, ${summary.failed} failed`);
+}
+
+main()
+  .then(async () => {
+    await disconnectRedis();
+    await closePool();
+  })
+  .catch(async (err) => {
+    console.error('❌ Beatmap import failed:', err.message);
+    await disconnectRedis();
+    await closePool();
+    process.exit(1);
+  });
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+// Usage: node scripts/migrate.js up|down [steps]|status
+require('dotenv').config();
+const { closePool } = require('../config/db');
+const { getMigrationStatus, migrateUp, migrateDown } = require('../config/migrator');
+
+async function status() {
+  const { applied, pending, unknown } = await getMigrationStatus();
+
+  applied.forEach(row => {
+    const appliedAt = new Date(Number(row.applied_at)).toISOString();
+    console.log(`  ✅ ${String(row.version).padStart(3, '0')}_${row.name}  (applied ${appliedAt})`);
+  });
+  pending.forEach(migration => console.log(`  ⏳ ${migration.file}  (pending)`));
+  unknown.forEach(row => console.log(`  ❓ ${String(row.version).padStart(3, '0')}_${row.name}  (no migration file)`));
+
+  console.log(`\n${applied.length} applied, ${pending.length} pending`);
+}
+
+async function main() {
+  const [command = 'status', arg] = process.argv.slice(2);
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrateUp();
+      console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Database schema is up to date');
+      break;
+    }
+    case 'down': {
+      const steps = arg === undefined ? 1 : parseInt(arg, 10);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('down expects a positive number of steps');
+      }
+      const reverted = await migrateDown(steps);
+      console.log(`✅ Reverted ${reverted.length} migration(s)`);
+      break;
+    }
+    case 'status':
+      await status();
+      break;
+    default:
+      throw new Error(`Unknown command "${command}". Use up, down [steps] or status.`);
+  }
+}
+
+main()
+  .then(() => closePool())
+  .catch(async (err) => {
+    console.error('❌ Migration failed:', err.message);
+    await closePool();
+    process.exit(1);
+  });
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+// Usage: node scripts/mockOsuApi.js [--port 4010] [--scenarios rate-limit,server-errors,expired-tokens,paging]
+// Serves the osu! API endpoints this project uses from mock/osuApi/fixtures. Run the app against it with
+// OSU_API_BASE_URL=http://localhost:4010 and any OSU_CLIENT_ID / OSU_CLIENT_SECRET.
+// Scenarios can also be switched at runtime: PUT /__mock/scenarios {"scenarios": ["paging"]}
+require('dotenv').config();
+const { createMockOsuApi, SCENARIOS } = require('../mock/osuApi/server');
+
+function readOption(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const port = parseInt(readOption(args, 'port') || process.env.MOCK_OSU_PORT) || 4010;
+  const scenarios = readOption(args, 'scenarios') ?? process.env.MOCK_OSU_SCENARIOS ?? '';
+
+  const app = createMockOsuApi({
+    scenarios,
+    loginUserId: process.env.MOCK_OSU_LOGIN_USER || null
+  });
+
+  const server = app.listen(port, () => {
+    const active = [...app.locals.mock.scenarios];
+    console.log(`🧪 Mock osu! API listening on http://localhost:${port}`);
+    console.log(`   Scenarios: ${active.length > 0 ? active.join(', ') : 'none'} (available: ${SCENARIOS.join(', ')})`);
+  });
+
+  const shutdown = () => server.close(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error('❌ Mock osu! API failed to start:', err.message);
+  process.exit(1);
+}
@@ -20,20 +20,6 @@ function safeRequire(label, filePath) {
     }
 }
 
-function runJob(fileName, jobFn) {
-    if (typeof jobFn !== 'function') {
-        console.warn(`⚠️ Job file "${fileName}" does not export a function — skipped.`);
-        return;
-    }
-    try {
-        jobFn();
-        console.log(`✅ Job ran: ${fileName}`);
-    } catch (err) {
-        console.error(`❌ Job failed: ${fileName}`);
-        console.error(err.stack || err);
-    }
-}
-
 // ===== ENVIRONMENT VALIDATION =====
 const requiredEnvVars = [
     'OSU_CLIENT_ID', 'OSU_CLIENT_SECRET', 
@@ -116,18 +102,33 @@ if (typeof errorHandler === 'function') app.use(errorHandler);
 
 // ===== START SERVER =====
 const server = http.createServer(app);
-server.listen(PORT, () => {
-    console.log(`\n🚀 Server running on port ${PORT}`);
-
-    // Start jobs after the server is ready
-    console.log('\n🔄 Starting jobs...\n');
-    fs.readdirSync(path.join(__dirname, 'jobs')).forEach(file => {
-        if (file.endsWith('.js') && !file.startsWith('schedulingUtils')) {
-            const jobModule = safeRequire(`job ${file}`, `./jobs/${file}`);
-            if (jobModule) runJob(file, jobModule);
+
+function startServer() {
+    server.listen(PORT, () => {
+        console.log(`\n🚀 Server running on port ${PORT}`);
+
+        // Start the job scheduler after the server is ready
+        console.log('\n🔄 Starting jobs...\n');
+        const jobRunner = safeRequire('job runner', './jobs/jobRunner');
+        if (jobRunner) {
+            jobRunner.startJobs().catch(err => {
+                console.error('❌ Job scheduler failed to start:', err.stack || err);
+            });
         }
     });
-});
+}
+
+// Refuse to serve traffic until every migration has been applied.
+// Redis is optional for caching but holds OAuth login state, so connect it first.
+const { initializeDatabase } = require('./middleware/initialization');
+const { connectRedis } = require('./config/redis');
+connectRedis()
+    .then(() => initializeDatabase())
+    .then(startServer)
+    .catch(err => {
+        console.error('❌ Startup aborted:', err.message);
+        process.exit(1);
+    });
 
 // ===== WEBSOCKET =====
 const websocket = safeRequire('websocket middleware', './middleware/websocket');
@@ -1,4 +1,7 @@
 const { query, getRows, getRow } = require('../config/db');
+const { discordService } = require('./discord');
+
+const DAY = 24 * 60 * 60 * 1000;
 
 // Default achievements data
 const defaultAchievements = [
@@ -118,7 +121,7 @@ async function checkAchievements(username) {
 
     for (const check of achievementChecks) {
       if (check.condition()) {
-        const achievement = await getRow(`SELECT id FROM achievements WHERE name = $1`, [check.name]);
+        const achievement = await getRow(`SELECT id, description, category, icon, points FROM achievements WHERE name = $1`, [check.name]);
         if (achievement) {
           // Check if player already has this achievement
           const existingAchievement = await getRow(`
@@ -134,6 +137,8 @@ async function checkAchievements(username) {
 
             unlockedAchievements.push(check.name);
             console.log(`🏆 ${username} unlocked achievement: ${check.name}`);
+
+            await discordService.notify('achievement_unlocked', { username, name: check.name, ...achievement });
           }
         }
       }
@@ -147,23 +152,20 @@ async function checkAchievements(username) {
 }
 
 // Helper function to check consecutive days
+// play_date is epoch milliseconds in a BIGINT, which pg returns as a string
 function checkConsecutiveDays(playerScores, requiredDays = 5) {
   if (playerScores.length < requiredDays) return false;
 
-  const scoreDates = playerScores
-    .map(s => new Date(s.last_updated).toDateString())
-    .filter((date, index, array) => array.indexOf(date) === index)
-    .sort();
+  const scoreDays = [...new Set(playerScores
+    .filter(s => s.play_date)
+    .map(s => Math.floor(Number(s.play_date) / DAY)))]
+    .sort((a, b) => a - b);
 
   let consecutiveDays = 1;
   let maxConsecutiveDays = 1;
 
-  for (let i = 1; i < scoreDates.length; i++) {
-    const currentDate = new Date(scoreDates[i]);
-    const previousDate = new Date(scoreDates[i - 1]);
-    const daysDiff = (currentDate - previousDate) / (1000 * 60 * 60 * 24);
-
-    if (daysDiff === 1) {
+  for (let i = 1; i < scoreDays.length; i++) {
+    if (scoreDays[i] - scoreDays[i - 1] === 1) {
       consecutiveDays++;
       maxConsecutiveDays = Math.max(maxConsecutiveDays, consecutiveDays);
     } else {
@@ -0,0 +1,250 @@
+const { getRow, getRows, pool } = require('../config/db');
+const { getCacheKey } = require('../config/redis');
+const { DEFAULT_MODE } = require('../config/modes');
+const { getUser, getBeatmap } = require('./osuApi');
+const { cacheService } = require('./cache');
+const { leaderboardService } = require('./leaderboard');
+const { PlayerDiscoveryService } = require('./playerDiscovery');
+const { authService } = require('./auth');
+
+const MODERATION_STATUSES = ['banned', 'hidden'];
+
+// Cache namespaces admins can clear, e.g. "player" clears every player:* key
+const CACHE_NAMESPACES = Object.values(cacheService.prefixes);
+
+// Usernames are matched case-insensitively but never as patterns. Rows differing only by case
+// resolve to the exact spelling; without one the name is ambiguous and matches nobody.
+function pickPlayer(rows, username) {
+  const exact = rows.find(row => row.username === username);
+  if (exact) return exact;
+  return rows.length === 1 ? rows[0] : null;
+}
+
+// Maintenance actions behind /api/admin
+class AdminService {
+  constructor() {
+    this.playerDiscovery = new PlayerDiscoveryService();
+  }
+
+  async findPlayer(username) {
+    const rows = await getRows(`
+      SELECT username, user_id, country, is_active, moderation_status, moderation_reason, moderated_by, moderated_at
+      FROM player_stats WHERE LOWER(username) = LOWER($1)
+    `, [username]);
+    return pickPlayer(rows, username);
+  }
+
+  // Re-fetch a player's profile and best scores from osu!; null if the player is unknown
+  async refreshPlayer(username, mode = DEFAULT_MODE) {
+    const player = await this.findPlayer(username);
+    if (!player) return null;
+
+    const user = await getUser(player.user_id || `@${player.username}`, mode);
+    await this.playerDiscovery.registerPlayer(user, 'admin_refresh', mode, user.statistics);
+    await this.playerDiscovery.fetchPlayerHistory(user.username, user.id, mode);
+    await cacheService.invalidatePlayerRelatedCache(user.username);
+
+    return { username: user.username, userId: user.id, mode, refreshedAt: Date.now() };
+  }
+
+  // Re-fetch a beatmap's metadata and tracked leaderboard; null if osu! does not know the map
+  async refreshBeatmap(beatmapId, mode = DEFAULT_MODE) {
+    let beatmap;
+    try {
+      beatmap = await getBeatmap(beatmapId);
+    } catch (err) {
+      if (err.response?.status === 404) return null;
+      throw err;
+    }
+
+    const title = `${beatmap.beatmapset?.artist} - ${beatmap.beatmapset?.title} [${beatmap.version}]`;
+    const result = await leaderboardService.fetchLeaderboard(beatmapId, title, mode);
+    await cacheService.invalidateLeaderboardCache(beatmapId);
+    await cacheService.del(getCacheKey(cacheService.prefixes.beatmap, beatmapId));
+
+    return { beatmapId, title, mode, ...result };
+  }
+
+  // Ban or hide a player. Both remove them from listings and tracking; a ban also ends their sessions.
+  async moderatePlayer(username, status, reason, actor) {
+    const found = await this.findPlayer(username);
+    if (!found) return null;
+
+    const player = await getRow(`
+      UPDATE player_stats SET
+        is_active = false,
+        moderation_status = $2,
+        moderation_reason = $3,
+        moderated_by = $4,
+        moderated_at = $5
+      WHERE username = $1
+      RETURNING username, is_active, moderation_status, moderation_reason, moderated_by, moderated_at
+    `, [found.username, status, reason, actor, Date.now()]);
+
+    if (!player) return null;
+
+    if (status === 'banned') {
+      const account = await getRow('SELECT id FROM user_accounts WHERE username = $1', [player.username]);
+      if (account) await authService.revokeAll(account.id);
+    }
+
+    await cacheService.invalidatePlayerRelatedCache(player.username);
+    return player;
+  }
+
+  // Lift a ban or hide
+  async restorePlayer(username) {
+    const found = await this.findPlayer(username);
+    if (!found) return null;
+
+    const player = await getRow(`
+      UPDATE player_stats SET
+        is_active = true,
+        moderation_status = NULL,
+        moderation_reason = NULL,
+        moderated_by = NULL,
+        moderated_at = NULL
+      WHERE username = $1
+      RETURNING username, is_active, moderation_status
+    `, [found.username]);
+
+    if (player) await cacheService.invalidatePlayerRelatedCache(player.username);
+    return player;
+  }
+
+  // Fold a duplicate player row (usually a pre-rename username) into the canonical one.
+  // Rows that would collide with data the target already has are dropped with the source.
+  async mergePlayers(sourceUsername, targetUsername) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const { rows } = await client.query(`
+        SELECT username, user_id FROM player_stats
+        WHERE LOWER(username) IN (LOWER($1), LOWER($2))
+        FOR UPDATE
+      `, [sourceUsername, targetUsername]);
+
+      const source = pickPlayer(rows.filter(r => r.username.toLowerCase() === sourceUsername.toLowerCase()), sourceUsername);
+      const target = pickPlayer(rows.filter(r => r.username.toLowerCase() === targetUsername.toLowerCase()), targetUsername);
+      if (!source || !target) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const from = source.username;
+      const to = target.username;
+      const moved = {};
+      const move = async (table, sql) => {
+        moved[table] = (moved[table] || 0) + (await client.query(sql, [from, to])).rowCount;
+      };
+
+      await move('algeria_top50', 'UPDATE algeria_top50 SET username = $2 WHERE username = $1');
+      await move('score_history', 'UPDATE score_history SET username = $2 WHERE username = $1');
+      await move('skill_tracking', 'UPDATE skill_tracking SET username = $2 WHERE username = $1');
+      await move('player_activity', 'UPDATE player_activity SET username = $2 WHERE username = $1');
+      await move('score_replays', 'UPDATE score_replays SET player_name = $2 WHERE player_name = $1');
+      await move('player_discovery_log', 'UPDATE player_discovery_log SET username = $2 WHERE username = $1');
+      await move('player_mode_stats', `
+        UPDATE player_mode_stats s SET username = $2
+        WHERE s.username = $1
+          AND NOT EXISTS (SELECT 1 FROM player_mode_stats t WHERE t.username = $2 AND t.mode = s.mode)
+      `);
+      await move('skill_ratings', `
+        UPDATE skill_ratings s SET username = $2
+        WHERE s.username = $1
+          AND NOT EXISTS (SELECT 1 FROM skill_ratings t WHERE t.username = $2 AND t.mode = s.mode AND t.skill_type = s.skill_type)
+      `);
+      await move('h2h_ratings', `
+        UPDATE h2h_ratings s SET username = $2
+        WHERE s.username = $1
+          AND NOT EXISTS (SELECT 1 FROM h2h_ratings t WHERE t.username = $2 AND t.mode = s.mode)
+      `);
+      await move('player_achievements', `
+        UPDATE player_achievements s SET username = $2
+        WHERE s.username = $1
+          AND NOT EXISTS (SELECT 1 FROM player_achievements t WHERE t.username = $2 AND t.achievement_id = s.achievement_id)
+      `);
+      await move('rank_snapshots', `
+        UPDATE rank_snapshots s SET username = $2
+        WHERE s.username = $1
+          AND NOT EXISTS (
+            SELECT 1 FROM rank_snapshots t
+            WHERE t.username = $2 AND t.mode = s.mode AND t.snapshot_date = s.snapshot_date
+          )
+      `);
+      await move('player_relationships', `
+        UPDATE player_relationships r SET follower_username = $2
+        WHERE r.follower_username = $1 AND r.following_username <> $2
+          AND NOT EXISTS (
+            SELECT 1 FROM player_relationships t
+            WHERE t.follower_username = $2 AND t.following_username = r.following_username
+          )
+      `);
+      await move('player_relationships', `
+        UPDATE player_relationships r SET following_username = $2
+        WHERE r.following_username = $1 AND r.follower_username <> $2
+          AND NOT EXISTS (
+            SELECT 1 FROM player_relationships t
+            WHERE t.following_username = $2 AND t.follower_username = r.follower_username
+          )
+      `);
+      await move('player_comments', 'UPDATE player_comments SET target_username = $2 WHERE target_username = $1');
+      await move('player_comments', 'UPDATE player_comments SET commenter_username = $2 WHERE commenter_username = $1');
+      await move('comment_reports', `
+        UPDATE comment_reports r SET reporter_username = $2
+        WHERE r.reporter_username = $1
+          AND NOT EXISTS (
+            SELECT 1 FROM comment_reports t
+            WHERE t.reporter_username = $2 AND t.comment_id = r.comment_id
+          )
+      `);
+      await move('comment_bans', `
+        UPDATE comment_bans SET username = $2
+        WHERE username = $1 AND NOT EXISTS (SELECT 1 FROM comment_bans WHERE username = $2)
+      `);
+      await move('user_accounts', `
+        UPDATE user_accounts SET username = $2
+        WHERE username = $1 AND NOT EXISTS (SELECT 1 FROM user_accounts WHERE username = $2)
+      `);
+
+      // Cascades clear whatever could not be moved; the osu! id survives on the target
+      await client.query('DELETE FROM player_stats WHERE username = $1', [from]);
+      if (!target.user_id && source.user_id) {
+        await client.query('UPDATE player_stats SET user_id = $2 WHERE username = $1', [to, source.user_id]);
+      }
+
+      await client.query('COMMIT');
+
+      await cacheService.invalidatePlayerRelatedCache(from);
+      await cacheService.invalidatePlayerRelatedCache(to);
+
+      return { source: from, target: to, moved };
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw e;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Clear whole cache namespaces; returns how many keys each one had
+  async invalidateCacheNamespaces(namespaces) {
+    const cleared = {};
+    for (const namespace of namespaces) {
+      cleared[namespace] = await cacheService.invalidateNamespace(namespace);
+    }
+    return cleared;
+  }
+}
+
+// Create singleton instance
+const adminService = new AdminService();
+
+module.exports = {
+  AdminService,
+  adminService,
+  MODERATION_STATUSES,
+  CACHE_NAMESPACES
+};
@@ -0,0 +1,132 @@
+const { query, getRows, getRow } = require('../config/db');
+
+// Payload keys whose values never reach the audit log
+const REDACTED_KEY_PATTERN = /secret|token|password|passwd|authorization|api[-_]?key|cookie|signature/i;
+const REDACTED = '[REDACTED]';
+// URLs can carry credentials in their path or query (Discord webhook URLs do), so only the origin is kept
+const URL_KEY_PATTERN = /url$/i;
+
+const CSV_COLUMNS = ['id', 'created_at', 'actor', 'action', 'target', 'method', 'path', 'status', 'ip', 'payload'];
+
+function redactUrl(url) {
+  try {
+    const { origin, pathname, search } = new URL(url);
+    return pathname === '/' && !search ? origin : `${origin}/${REDACTED}`;
+  } catch (err) {
+    return REDACTED;
+  }
+}
+
+// Copy a request body with sensitive values replaced
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (value && typeof value === 'object') {
+    const copy = {};
+    for (const [key, inner] of Object.entries(value)) {
+      // Flags such as rotateSecret: true are kept; they reveal nothing
+      if (REDACTED_KEY_PATTERN.test(key) && typeof inner !== 'boolean') {
+        copy[key] = REDACTED;
+      } else if (URL_KEY_PATTERN.test(key) && typeof inner === 'string') {
+        copy[key] = redactUrl(inner);
+      } else {
+        copy[key] = redact(inner);
+      }
+    }
+    return copy;
+  }
+  return value;
+}
+
+// Quote a CSV cell, and defuse values a spreadsheet would run as a formula
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Persistent trail of admin actions
+class AuditService {
+  // Record one action; the payload is redacted before it is stored
+  async record({ actor = null, action, target = null, payload = null, method = null, path = null, ip = null, status = null }) {
+    return getRow(`
+      INSERT INTO admin_audit_log (actor, action, target, payload, method, path, ip, status, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING id, created_at
+    `, [
+      actor,
+      action,
+      target === null ? null : String(target),
+      payload === null ? null : JSON.stringify(redact(payload)),
+      method,
+      path,
+      ip,
+      status,
+      Date.now()
+    ]);
+  }
+
+  // Filtered, newest-first page of the log. `action` also matches its sub-actions
+  // ("player" matches "player.ban"); `status` is "success", "failure" or an HTTP code.
+  async search({ actor, action, target, status, from, to, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+    const add = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace(/\?/g, `$${params.length}`));
+    };
+
+    if (actor) add('actor ILIKE ?', actor);
+    if (action) add("(action = ? OR action LIKE ? || '.%')", action);
+    if (target) add('target ILIKE ?', target);
+    if (status === 'success') conditions.push('status < 400');
+    else if (status === 'failure') conditions.push('status >= 400');
+    else if (status) add('status = ?', parseInt(status));
+    if (from) add('created_at >= ?', from);
+    if (to) add('created_at <= ?', to);
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [rows, count] = await Promise.all([
+      getRows(`
+        SELECT id, actor, action, target, payload, method, path, ip, status, created_at
+        FROM admin_audit_log
+        ${where}
+        ORDER BY created_at DESC, id DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, limit, offset]),
+      getRow(`SELECT COUNT(*) AS total FROM admin_audit_log ${where}`, params)
+    ]);
+
+    return { rows, total: parseInt(count.total) };
+  }
+
+  toCSV(rows) {
+    return [
+      CSV_COLUMNS.join(','),
+      ...rows.map(row => CSV_COLUMNS.map(column =>
+        csvCell(column === 'created_at' && row.created_at ? new Date(Number(row.created_at)).toISOString() : row[column])
+      ).join(','))
+    ].join('\n');
+  }
+
+  // Delete entries older than the retention window; 0 keeps everything
+  async prune(retentionDays) {
+    if (!retentionDays || retentionDays <= 0) return 0;
+
+    const result = await query(
+      'DELETE FROM admin_audit_log WHERE created_at < $1',
+      [Date.now() - retentionDays * 24 * 60 * 60 * 1000]
+    );
+    return result.rowCount;
+  }
+}
+
+// Create singleton instance
+const auditService = new AuditService();
+
+module.exports = {
+  AuditService,
+  auditService,
+  redact
+};
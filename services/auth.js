@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { query, getRow } = require('../config/db');
+const { redisClient, getCacheKey } = require('../config/redis');
+const { config } = require('../config/env');
+const { generateToken } = require('../config/security');
+const { isTrackedCountry } = require('../config/countries');
+const { DEFAULT_MODE } = require('../config/modes');
+const { getAuthorizationUrl, exchangeAuthorizationCode, getAuthenticatedUser } = require('./osuApi');
+const { PlayerDiscoveryService } = require('./playerDiscovery');
+
+const STATE_TTL_SECONDS = 10 * 60;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Auth failures carry the HTTP status the route should answer with
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+// osu! OAuth sign-in, JWT access tokens and rotating refresh tokens
+class AuthService {
+  constructor() {
+    this.playerDiscovery = new PlayerDiscoveryService();
+  }
+
+  // Start the authorization-code flow; `redirect` is where the browser goes after the callback
+  async createLoginUrl(redirect = null) {
+    const state = crypto.randomBytes(24).toString('hex');
+    await redisClient.set(getCacheKey('oauth_state', state), JSON.stringify({ redirect }), { EX: STATE_TTL_SECONDS });
+    return getAuthorizationUrl(state);
+  }
+
+  // States are single use; returns null for unknown or expired ones
+  async consumeState(state) {
+    if (!state) return null;
+    const stored = await redisClient.getDel(getCacheKey('oauth_state', state));
+    return stored ? JSON.parse(stored) : null;
+  }
+
+  // Finish the flow: verify the player with osu!, tie them to player_stats and issue tokens
+  async loginWithCode(code, meta = {}) {
+    let osuUser;
+    try {
+      const { access_token } = await exchangeAuthorizationCode(code);
+      osuUser = await getAuthenticatedUser(access_token, DEFAULT_MODE);
+    } catch (err) {
+      console.warn('osu! OAuth exchange failed:', err.response?.data?.error || err.message);
+      throw new AuthError('osu! did not accept the authorization code');
+    }
+
+    if (!isTrackedCountry(osuUser.country?.code)) {
+      throw new AuthError('Only players from tracked countries can sign in', 403);
+    }
+
+    await this.playerDiscovery.registerPlayer(osuUser, 'oauth_login', DEFAULT_MODE, osuUser.statistics);
+    const player = await getRow('SELECT username, moderation_status FROM player_stats WHERE user_id = $1', [osuUser.id]);
+    if (!player) {
+      throw new AuthError('Could not create a player profile', 500);
+    }
+    if (player.moderation_status === 'banned') {
+      throw new AuthError('This player is banned', 403);
+    }
+
+    const account = await this.upsertAccount(osuUser.id, player.username);
+    return { account, ...(await this.issueTokens(account, meta)) };
+  }
+
+  // Roles configured by osu! id win; otherwise keep whatever the account already has
+  resolveRole(osuUserId, currentRole = 'user') {
+    if (config.SUPER_ADMIN_OSU_IDS.includes(Number(osuUserId))) return 'super_admin';
+    if (config.ADMIN_OSU_IDS.includes(Number(osuUserId))) return 'admin';
+    return currentRole;
+  }
+
+  async upsertAccount(osuUserId, username) {
+    const existing = await getRow('SELECT role FROM user_accounts WHERE osu_user_id = $1', [osuUserId]);
+
+    return getRow(`
+      INSERT INTO user_accounts (osu_user_id, username, role, last_login_at)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (osu_user_id) DO UPDATE SET
+        username = EXCLUDED.username,
+        role = EXCLUDED.role,
+        last_login_at = EXCLUDED.last_login_at
+      RETURNING *
+    `, [osuUserId, username, this.resolveRole(osuUserId, existing?.role), Date.now()]);
+  }
+
+  async issueTokens(account, { userAgent = null, ip = null } = {}) {
+    const accessToken = generateToken({
+      id: account.id,
+      osuUserId: Number(account.osu_user_id),
+      username: account.username,
+      role: account.role
+    }, config.ACCESS_TOKEN_TTL);
+
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const stored = await getRow(`
+      INSERT INTO refresh_tokens (account_id, token_hash, expires_at, user_agent, ip)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING id
+    `, [account.id, hashToken(refreshToken), Date.now() + config.REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000, userAgent, ip]);
+
+    return {
+      accessToken,
+      refreshToken,
+      refreshTokenId: stored.id,
+      tokenType: 'Bearer',
+      expiresAt: jwt.decode(accessToken).exp * 1000
+    };
+  }
+
+  // Rotate a refresh token. Presenting an already-rotated token revokes every session of
+  // that account, since it means the token was copied.
+  async refresh(refreshToken, meta = {}) {
+    const stored = await getRow('SELECT * FROM refresh_tokens WHERE token_hash = $1', [hashToken(refreshToken || '')]);
+
+    if (!stored) {
+      throw new AuthError('Invalid refresh token');
+    }
+    if (stored.expires_at < Date.now()) {
+      throw new AuthError('Refresh token has expired');
+    }
+
+    const claimed = await query(`
+      UPDATE refresh_tokens SET revoked_at = $2
+      WHERE id = $1 AND revoked_at IS NULL
+    `, [stored.id, Date.now()]);
+
+    if (claimed.rowCount === 0) {
+      await this.revokeAll(stored.account_id);
+      console.warn(`⚠️ Refresh token reuse detected for account ${stored.account_id}, all sessions revoked`);
+      throw new AuthError('Refresh token has been revoked');
+    }
+
+    const account = await getRow('SELECT * FROM user_accounts WHERE id = $1', [stored.account_id]);
+    if (!account) {
+      throw new AuthError('Account no longer exists');
+    }
+
+    const tokens = await this.issueTokens(account, meta);
+    await query('UPDATE refresh_tokens SET replaced_by = $2 WHERE id = $1', [stored.id, tokens.refreshTokenId]);
+
+    return { account, ...tokens };
+  }
+
+  async revoke(refreshToken) {
+    const result = await query(`
+      UPDATE refresh_tokens SET revoked_at = $2
+      WHERE token_hash = $1 AND revoked_at IS NULL
+    `, [hashToken(refreshToken || ''), Date.now()]);
+    return result.rowCount > 0;
+  }
+
+  async revokeAll(accountId) {
+    const result = await query(`
+      UPDATE refresh_tokens SET revoked_at = $2
+      WHERE account_id = $1 AND revoked_at IS NULL
+    `, [accountId, Date.now()]);
+    return result.rowCount;
+  }
+
+  async getAccount(accountId) {
+    return getRow(`
+      SELECT
+        ua.id, ua.osu_user_id, ua.username, ua.role, ua.created_at, ua.last_login_at,
+        ps.country, ps.avatar_url, ps.weighted_pp, ps.global_rank, ps.country_rank
+      FROM user_accounts ua
+      LEFT JOIN player_stats ps ON ps.username = ua.username
+      WHERE ua.id = $1
+    `, [accountId]);
+  }
+}
+
+// Create singleton instance
+const authService = new AuthService();
+
+module.exports = {
+  AuthService,
+  authService,
+  AuthError
+};
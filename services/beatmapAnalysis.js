@@ -0,0 +1,179 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { getRow, query } = require('../config/db');
+const { getCacheKey } = require('../config/redis');
+const { parseOsuFile, BeatmapParseError } = require('./beatmapParser');
+const { calculateDifficulty } = require('./difficultyCalculator');
+const { PPCalculator } = require('./ppCalculator');
+const { cacheService } = require('./cache');
+const { getBeatmapFile } = require('./osuApi');
+
+// Parses .osu files and keeps their nomod difficulty attributes in beatmap_attributes
+class BeatmapAnalysisService {
+  // Attributes for a file's content with the given mods, and pp for an SS, without storing anything
+  analyze(content, mods = []) {
+    const beatmap = parseOsuFile(content);
+    const attributes = calculateDifficulty(beatmap, mods);
+
+    const ss = attributes.aimDifficulty !== null
+      ? PPCalculator.calculate({
+        ...beatmap.difficulty,
+        max_combo: attributes.maxCombo,
+        count_circles: attributes.countCircles,
+        count_sliders: attributes.countSliders,
+        count_spinners: attributes.countSpinners
+      }, { accuracy: 1, mods }, beatmap.mode, {
+        ratings: { aim: attributes.aimDifficulty, speed: attributes.speedDifficulty }
+      })
+      : null;
+
+    return {
+      md5: beatmap.md5,
+      metadata: beatmap.metadata,
+      attributes,
+      ssPP: ss ? Math.round(ss.pp * 100) / 100 : null
+    };
+  }
+
+  async getAttributes(beatmapId) {
+    return getRow('SELECT * FROM beatmap_attributes WHERE beatmap_id = $1', [beatmapId]);
+  }
+
+  async getAttributesByMd5(md5) {
+    return getRow('SELECT * FROM beatmap_attributes WHERE file_md5 = $1', [md5]);
+  }
+
+  // Parse and store one file. beatmapId is needed when the file has no BeatmapID (old or unsubmitted maps).
+  async importFile(content, { beatmapId = null, source = 'upload' } = {}) {
+    const beatmap = parseOsuFile(content);
+    const fileBeatmapId = beatmap.metadata.beatmapId;
+
+    if (beatmapId && fileBeatmapId && Number(beatmapId) !== fileBeatmapId) {
+      throw new BeatmapParseError(`File is for beatmap ${fileBeatmapId}, not ${beatmapId}`);
+    }
+
+    const id = Number(beatmapId) || fileBeatmapId;
+    if (!id) {
+      throw new BeatmapParseError('File has no BeatmapID; pass the beatmap id explicitly');
+    }
+
+    const a = calculateDifficulty(beatmap);
+    const row = await getRow(`
+      INSERT INTO beatmap_attributes (
+        beatmap_id, beatmapset_id, file_md5, mode, star_rating, aim_difficulty, speed_difficulty,
+        max_combo, count_circles, count_sliders, count_spinners, drain_time, total_length,
+        bpm_min, bpm_max, bpm_main, note_density, peak_density,
+        stream_ratio, jump_ratio, tech_ratio, classification, source, computed_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24)
+      ON CONFLICT (beatmap_id) DO UPDATE SET
+        beatmapset_id = EXCLUDED.beatmapset_id,
+        file_md5 = EXCLUDED.file_md5,
+        mode = EXCLUDED.mode,
+        star_rating = EXCLUDED.star_rating,
+        aim_difficulty = EXCLUDED.aim_difficulty,
+        speed_difficulty = EXCLUDED.speed_difficulty,
+        max_combo = EXCLUDED.max_combo,
+        count_circles = EXCLUDED.count_circles,
+        count_sliders = EXCLUDED.count_sliders,
+        count_spinners = EXCLUDED.count_spinners,
+        drain_time = EXCLUDED.drain_time,
+        total_length = EXCLUDED.total_length,
+        bpm_min = EXCLUDED.bpm_min,
+        bpm_max = EXCLUDED.bpm_max,
+        bpm_main = EXCLUDED.bpm_main,
+        note_density = EXCLUDED.note_density,
+        peak_density = EXCLUDED.peak_density,
+        stream_ratio = EXCLUDED.stream_ratio,
+        jump_ratio = EXCLUDED.jump_ratio,
+        tech_ratio = EXCLUDED.tech_ratio,
+        classification = EXCLUDED.classification,
+        source = EXCLUDED.source,
+        computed_at = EXCLUDED.computed_at
+      RETURNING *
+    `, [
+      id, beatmap.metadata.beatmapsetId, beatmap.md5, beatmap.mode, a.starRating, a.aimDifficulty, a.speedDifficulty,
+      a.maxCombo, a.countCircles, a.countSliders, a.countSpinners, a.drainTime, a.totalLength,
+      a.bpm.min, a.bpm.max, a.bpm.main, a.noteDensity, a.peakDensity,
+      a.streamRatio, a.jumpRatio, a.techRatio, a.classification, source, Date.now()
+    ]);
+
+    await this.storeFile(id, beatmap.md5, content);
+    await cacheService.del(getCacheKey(cacheService.prefixes.beatmap, id));
+    return row;
+  }
+
+  // Keep the raw file so replays of the beatmap can be analysed against it
+  async storeFile(beatmapId, md5, content) {
+    const raw = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    await query(`
+      INSERT INTO beatmap_files (beatmap_id, file_md5, content, fetched_at)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (beatmap_id) DO UPDATE SET
+        file_md5 = EXCLUDED.file_md5,
+        content = EXCLUDED.content,
+        fetched_at = EXCLUDED.fetched_at
+    `, [beatmapId, md5, raw, Date.now()]);
+  }
+
+  // The beatmap's .osu file: the stored copy, else (or when it is not the expected version)
+  // downloaded from osu! and stored
+  async getFile(beatmapId, expectedMd5 = null) {
+    const stored = await getRow('SELECT file_md5, content FROM beatmap_files WHERE beatmap_id = $1', [beatmapId]);
+    if (stored && (!expectedMd5 || stored.file_md5 === expectedMd5)) {
+      return { md5: stored.file_md5, content: stored.content };
+    }
+
+    let content;
+    try {
+      content = await getBeatmapFile(beatmapId);
+    } catch (err) {
+      if (err.response?.status === 404) return null;
+      throw err;
+    }
+    if (!content || content.length === 0) return null;
+
+    const { md5 } = parseOsuFile(content);
+    await this.storeFile(beatmapId, md5, content);
+    return { md5, content };
+  }
+
+  // Import every .osu file under a directory, e.g. an osu! Songs folder
+  async importDirectory(directory, { onFile } = {}) {
+    const summary = { imported: 0, skipped: 0, failed: 0, errors: [] };
+
+    const walk = async (dir) => {
+      for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+          continue;
+        }
+        if (!entry.name.toLowerCase().endsWith('.osu')) continue;
+
+        try {
+          const row = await this.importFile(await fs.readFile(fullPath), { source: 'directory' });
+          summary.imported++;
+          if (onFile) onFile(fullPath, row);
+        } catch (err) {
+          if (err instanceof BeatmapParseError) {
+            summary.skipped++;
+          } else {
+            summary.failed++;
+          }
+          summary.errors.push({ file: fullPath, error: err.message });
+        }
+      }
+    };
+
+    await walk(directory);
+    return summary;
+  }
+}
+
+// Create singleton instance
+const beatmapAnalysisService = new BeatmapAnalysisService();
+
+module.exports = {
+  BeatmapAnalysisService,
+  beatmapAnalysisService
+};
@@ -0,0 +1,423 @@
+const crypto = require('crypto');
+
+// .osu beatmap files: sections of key:value pairs or comma lists.
+// Positions are in osu!pixels (512x384 playfield), times in milliseconds.
+
+const HIT_OBJECT_TYPES = {
+  CIRCLE: 1,
+  SLIDER: 2,
+  NEW_COMBO: 4,
+  SPINNER: 8,
+  HOLD: 128
+};
+
+const MODE_NAMES = ['osu', 'taiko', 'fruits', 'mania'];
+
+// Paths are flattened into points no more than this far apart
+const CURVE_SEGMENT_LENGTH = 5;
+
+// Bounds on what one file can make the parser and the analysis built on it do. Ranked maps
+// stay well inside them; lengths, repeats and ticks beyond them are clamped, the rest rejected.
+const MAX_HIT_OBJECTS = 20000;
+const MAX_SLIDER_LENGTH = 10000;
+const MAX_SLIDER_SLIDES = 100;
+const MAX_SLIDER_TICKS_PER_SPAN = 100;
+const MAX_SLIDER_CONTROL_POINTS = 256;
+const MAX_SLIDER_PATH_POINTS = 1000;
+// Per file: control point steps spent flattening curves, and slider ticks plus repeats
+const MAX_CURVE_WORK = 200000000;
+const MAX_SLIDER_CHECKPOINTS = 300000;
+
+class BeatmapParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BeatmapParseError';
+  }
+}
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+// NaN falls back to the default
+const clamp = (value, min, max, fallback) => (Number.isNaN(value) ? fallback : Math.min(max, Math.max(min, value)));
+const lerp = (a, b, t) => ({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+
+function parseKeyValue(line) {
+  const index = line.indexOf(':');
+  if (index === -1) return null;
+  return [line.slice(0, index).trim(), line.slice(index + 1).trim()];
+}
+
+function bezierPoint(points, t) {
+  let current = points;
+  while (current.length > 1) {
+    const next = [];
+    for (let i = 0; i < current.length - 1; i++) next.push(lerp(current[i], current[i + 1], t));
+    current = next;
+  }
+  return current[0];
+}
+
+// Bezier curves split into segments wherever a control point repeats
+function bezierPath(points, spacing = CURVE_SEGMENT_LENGTH) {
+  const segments = [[points[0]]];
+  for (let i = 1; i < points.length; i++) {
+    const last = segments[segments.length - 1];
+    if (points[i].x === points[i - 1].x && points[i].y === points[i - 1].y) {
+      segments.push([points[i]]);
+    } else {
+      last.push(points[i]);
+    }
+  }
+
+  const path = [];
+  for (const segment of segments) {
+    if (segment.length < 2) continue;
+    const approxLength = segment.slice(1).reduce((sum, point, i) => sum + distance(segment[i], point), 0);
+    const steps = Math.max(2, Math.ceil(approxLength / spacing));
+    for (let step = 0; step <= steps; step++) path.push(bezierPoint(segment, step / steps));
+  }
+  return path;
+}
+
+function catmullPath(points, spacing = CURVE_SEGMENT_LENGTH) {
+  const path = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const p0 = points[Math.max(0, i - 1)];
+    const p1 = points[i];
+    const p2 = points[i + 1];
+    const p3 = points[Math.min(points.length - 1, i + 2)];
+    const steps = Math.max(2, Math.ceil(distance(p1, p2) / spacing));
+
+    for (let step = 0; step <= steps; step++) {
+      const t = step / steps;
+      const t2 = t * t;
+      const t3 = t2 * t;
+      const axis = (a, b, c, d) => 0.5 * (2 * b + (-a + c) * t + (2 * a - 5 * b + 4 * c - d) * t2 + (-a + 3 * b - 3 * c + d) * t3);
+      path.push({ x: axis(p0.x, p1.x, p2.x, p3.x), y: axis(p0.y, p1.y, p2.y, p3.y) });
+    }
+  }
+  return path;
+}
+
+// Arc through three points; falls back to bezier when they are (nearly) collinear
+function perfectCirclePath(points, spacing = CURVE_SEGMENT_LENGTH) {
+  const [a, b, c] = points;
+  const d = 2 * (a.x * (b.y - c.y) + b.x * (c.y - a.y) + c.x * (a.y - b.y));
+  if (Math.abs(d) < 1e-3) return bezierPath(points, spacing);
+
+  const aSq = a.x * a.x + a.y * a.y;
+  const bSq = b.x * b.x + b.y * b.y;
+  const cSq = c.x * c.x + c.y * c.y;
+  const centre = {
+    x: (aSq * (b.y - c.y) + bSq * (c.y - a.y) + cSq * (a.y - b.y)) / d,
+    y: (aSq * (c.x - b.x) + bSq * (a.x - c.x) + cSq * (b.x - a.x)) / d
+  };
+  const radius = distance(a, centre);
+
+  const startAngle = Math.atan2(a.y - centre.y, a.x - centre.x);
+  let endAngle = Math.atan2(c.y - centre.y, c.x - centre.x);
+  // Go the way that passes through the middle point
+  const clockwise = (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x) < 0;
+  if (clockwise) {
+    while (endAngle > startAngle) endAngle -= 2 * Math.PI;
+  } else {
+    while (endAngle < startAngle) endAngle += 2 * Math.PI;
+  }
+
+  const arcLength = Math.abs(endAngle - startAngle) * radius;
+  const steps = Math.max(2, Math.ceil(arcLength / spacing));
+  const path = [];
+  for (let step = 0; step <= steps; step++) {
+    const angle = startAngle + (endAngle - startAngle) * (step / steps);
+    path.push({ x: centre.x + radius * Math.cos(angle), y: centre.y + radius * Math.sin(angle) });
+  }
+  return path;
+}
+
+// Flatten a slider's control points and cut or extend the path to its pixel length.
+// Long control polygons are flattened more coarsely so no path exceeds MAX_SLIDER_PATH_POINTS.
+function buildSliderPath(curveType, controlPoints, pixelLength) {
+  const polygonLength = controlPoints.slice(1).reduce((sum, point, i) => sum + distance(controlPoints[i], point), 0);
+  // Every segment and span gets at least two steps on top of its share of the length
+  const spacing = Math.max(
+    CURVE_SEGMENT_LENGTH,
+    polygonLength / Math.max(1, MAX_SLIDER_PATH_POINTS - 3 * controlPoints.length)
+  );
+
+  let path;
+  if (curveType === 'L' || controlPoints.length === 2) {
+    path = controlPoints;
+  } else if (curveType === 'P' && controlPoints.length === 3) {
+    path = perfectCirclePath(controlPoints, spacing);
+  } else if (curveType === 'C') {
+    path = catmullPath(controlPoints, spacing);
+  } else {
+    path = bezierPath(controlPoints, spacing);
+  }
+
+  const trimmed = [path[0]];
+  let travelled = 0;
+  for (let i = 1; i < path.length; i++) {
+    const segment = distance(path[i - 1], path[i]);
+    if (travelled + segment >= pixelLength) {
+      trimmed.push(lerp(path[i - 1], path[i], segment > 0 ? (pixelLength - travelled) / segment : 0));
+      return trimmed;
+    }
+    travelled += segment;
+    trimmed.push(path[i]);
+  }
+
+  // The path is shorter than its declared length: extend the last segment
+  if (path.length >= 2 && travelled < pixelLength) {
+    const last = path[path.length - 1];
+    const previous = path[path.length - 2];
+    const segment = distance(previous, last);
+    if (segment > 0) {
+      trimmed[trimmed.length - 1] = lerp(previous, last, (segment + pixelLength - travelled) / segment);
+    }
+  }
+  return trimmed;
+}
+
+// Position a fraction 0-1 of the way along a flattened path
+function pointAlongPath(path, progress) {
+  const lengths = [0];
+  for (let i = 1; i < path.length; i++) lengths.push(lengths[i - 1] + distance(path[i - 1], path[i]));
+
+  const target = lengths[lengths.length - 1] * Math.min(1, Math.max(0, progress));
+  for (let i = 1; i < path.length; i++) {
+    if (lengths[i] >= target) {
+      const segment = lengths[i] - lengths[i - 1];
+      return lerp(path[i - 1], path[i], segment > 0 ? (target - lengths[i - 1]) / segment : 0);
+    }
+  }
+  return path[path.length - 1];
+}
+
+// Uninherited point (beat length) and effective slider velocity multiplier at `time`
+function timingAt(timingPoints, time) {
+  let beat = timingPoints.find(point => point.uninherited) || { beatLength: 500 };
+  let velocity = 1;
+
+  for (const point of timingPoints) {
+    if (point.time > time) break;
+    if (point.uninherited) {
+      beat = point;
+      velocity = 1;
+    } else {
+      velocity = point.beatLength < 0 ? Math.min(10, Math.max(0.1, -100 / point.beatLength)) : 1;
+    }
+  }
+  return { beatLength: beat.beatLength, velocity, meter: beat.meter };
+}
+
+function parseTimingPoint(line) {
+  const parts = line.split(',').map(part => part.trim());
+  if (parts.length < 2) return null;
+
+  const beatLength = parseFloat(parts[1]);
+  return {
+    time: parseFloat(parts[0]),
+    beatLength,
+    meter: parseInt(parts[2]) || 4,
+    // Files before v6 have no uninherited column; a negative beat length marks an inherited point
+    uninherited: parts[6] !== undefined ? parts[6] === '1' : beatLength > 0,
+    kiai: (parseInt(parts[7]) & 1) === 1
+  };
+}
+
+// budget tracks the curve work and slider checkpoints left for the rest of the file
+function parseHitObject(line, difficulty, timingPoints, budget) {
+  const parts = line.split(',');
+  if (parts.length < 4) return null;
+
+  const x = parseFloat(parts[0]);
+  const y = parseFloat(parts[1]);
+  const time = parseInt(parts[2]);
+  const type = parseInt(parts[3]);
+  const newCombo = (type & HIT_OBJECT_TYPES.NEW_COMBO) !== 0;
+
+  if (type & HIT_OBJECT_TYPES.SPINNER) {
+    return { kind: 'spinner', x: 256, y: 192, time, endTime: parseInt(parts[5]) || time, newCombo };
+  }
+
+  if (type & HIT_OBJECT_TYPES.HOLD) {
+    return { kind: 'hold', x, y, time, endTime: parseInt((parts[5] || '').split(':')[0]) || time, newCombo };
+  }
+
+  if (!(type & HIT_OBJECT_TYPES.SLIDER)) {
+    return { kind: 'circle', x, y, time, endTime: time, newCombo };
+  }
+
+  const [curveType, ...pointParts] = (parts[5] || '').split('|');
+  if (pointParts.length >= MAX_SLIDER_CONTROL_POINTS) {
+    throw new BeatmapParseError(`Slider at ${time}ms has more than ${MAX_SLIDER_CONTROL_POINTS} control points`);
+  }
+  const controlPoints = [{ x, y }, ...pointParts.map(point => {
+    const [px, py] = point.split(':').map(Number);
+    return { x: px, y: py };
+  })];
+  const slides = Math.min(MAX_SLIDER_SLIDES, Math.max(1, parseInt(parts[6]) || 1));
+  const length = Math.min(MAX_SLIDER_LENGTH, Math.max(0, parseFloat(parts[7]) || 0));
+
+  const timing = timingAt(timingPoints, time);
+  const pixelsPerBeat = 100 * difficulty.sliderMultiplier * timing.velocity;
+  const spanDuration = pixelsPerBeat > 0 ? (length / pixelsPerBeat) * timing.beatLength : 0;
+  const path = controlPoints.length > 1 && length > 0
+    ? buildSliderPath(curveType, controlPoints, length)
+    : [{ x, y }];
+
+  // Each step of a curve costs up to the square of its control points (De Casteljau)
+  const linear = curveType === 'L' || controlPoints.length <= 2;
+  budget.curveWork -= linear ? path.length : path.length * controlPoints.length ** 2;
+  if (budget.curveWork < 0) {
+    throw new BeatmapParseError('Beatmap sliders are too complex to analyse');
+  }
+
+  // Ticks sit every 1/tickRate beats along each span, but never right on the span's end
+  const tickDistance = pixelsPerBeat / difficulty.sliderTickRate;
+  const tickCount = tickDistance > 0 && length > 0
+    ? Math.min(MAX_SLIDER_TICKS_PER_SPAN, Math.max(0, Math.ceil((length - tickDistance / 8) / tickDistance) - 1))
+    : 0;
+  const ticksPerSpan = Array.from({ length: tickCount }, (_, i) => ((i + 1) * tickDistance) / length);
+
+  budget.checkpoints -= (tickCount + 1) * slides;
+  if (budget.checkpoints < 0) {
+    throw new BeatmapParseError('Beatmap has too many slider ticks and repeats to analyse');
+  }
+
+  const endPosition = slides % 2 === 0 ? path[0] : path[path.length - 1];
+
+  return {
+    kind: 'slider',
+    x,
+    y,
+    time,
+    endTime: time + spanDuration * slides,
+    newCombo,
+    curveType,
+    controlPoints,
+    path,
+    slides,
+    length,
+    spanDuration,
+    tickCount: ticksPerSpan.length * slides,
+    ticks: ticksPerSpan,
+    endX: endPosition.x,
+    endY: endPosition.y
+  };
+}
+
+// Parse a .osu file (text or the raw Buffer). Throws BeatmapParseError when it is not one.
+// md5 matches the checksum osu! and replays use when given the raw bytes.
+function parseOsuFile(content) {
+  const raw = Buffer.isBuffer(content) ? content : Buffer.from(typeof content === 'string' ? content : '', 'utf8');
+  if (raw.length === 0) {
+    throw new BeatmapParseError('Beatmap file is empty');
+  }
+
+  const text = raw.toString('utf8').replace(/^\uFEFF/, '');
+  const lines = text.split(/\r?\n/);
+  const header = lines[0].match(/osu file format v(\d+)/);
+  if (!header) {
+    throw new BeatmapParseError('Not an .osu file (missing "osu file format" header)');
+  }
+
+  const sections = { General: {}, Metadata: {}, Difficulty: {} };
+  const breaks = [];
+  const timingPointLines = [];
+  const hitObjectLines = [];
+  let section = null;
+
+  for (const raw of lines.slice(1)) {
+    const line = raw.trim();
+    if (!line || line.startsWith('//')) continue;
+
+    const sectionMatch = line.match(/^\[(\w+)\]$/);
+    if (sectionMatch) {
+      section = sectionMatch[1];
+      continue;
+    }
+
+    if (section === 'General' || section === 'Metadata' || section === 'Difficulty') {
+      const pair = parseKeyValue(line);
+      if (pair) sections[section][pair[0]] = pair[1];
+    } else if (section === 'Events') {
+      const parts = line.split(',');
+      if (parts[0] === '2' || parts[0] === 'Break') {
+        breaks.push({ startTime: parseInt(parts[1]), endTime: parseInt(parts[2]) });
+      }
+    } else if (section === 'TimingPoints') {
+      timingPointLines.push(line);
+    } else if (section === 'HitObjects') {
+      hitObjectLines.push(line);
+    }
+  }
+
+  const rawDifficulty = sections.Difficulty;
+  const od = parseFloat(rawDifficulty.OverallDifficulty ?? 5);
+  const difficulty = {
+    cs: parseFloat(rawDifficulty.CircleSize ?? 5),
+    od,
+    // Old files have no approach rate and use the overall difficulty for it
+    ar: parseFloat(rawDifficulty.ApproachRate ?? od),
+    hp: parseFloat(rawDifficulty.HPDrainRate ?? 5),
+    // Kept to the ranges the osu! editor allows, which also bounds the slider tick spacing
+    sliderMultiplier: clamp(parseFloat(rawDifficulty.SliderMultiplier ?? 1.4), 0.4, 3.6, 1.4),
+    sliderTickRate: clamp(parseFloat(rawDifficulty.SliderTickRate ?? 1), 0.5, 8, 1)
+  };
+
+  const timingPoints = timingPointLines
+    .map(parseTimingPoint)
+    .filter(Boolean)
+    .sort((a, b) => a.time - b.time);
+
+  if (hitObjectLines.length > MAX_HIT_OBJECTS) {
+    throw new BeatmapParseError(`Beatmap has more than ${MAX_HIT_OBJECTS} hit objects`);
+  }
+
+  const budget = { curveWork: MAX_CURVE_WORK, checkpoints: MAX_SLIDER_CHECKPOINTS };
+  const hitObjects = hitObjectLines
+    .map(line => parseHitObject(line, difficulty, timingPoints, budget))
+    .filter(Boolean)
+    .sort((a, b) => a.time - b.time);
+
+  const metadata = sections.Metadata;
+  const general = sections.General;
+
+  return {
+    formatVersion: parseInt(header[1]),
+    md5: crypto.createHash('md5').update(raw).digest('hex'),
+    mode: MODE_NAMES[parseInt(general.Mode) || 0] || 'osu',
+    general: {
+      audioFilename: general.AudioFilename || null,
+      audioLeadIn: parseInt(general.AudioLeadIn) || 0,
+      previewTime: parseInt(general.PreviewTime) || -1,
+      stackLeniency: parseFloat(general.StackLeniency ?? 0.7)
+    },
+    metadata: {
+      title: metadata.Title || null,
+      titleUnicode: metadata.TitleUnicode || null,
+      artist: metadata.Artist || null,
+      artistUnicode: metadata.ArtistUnicode || null,
+      creator: metadata.Creator || null,
+      version: metadata.Version || null,
+      source: metadata.Source || null,
+      tags: metadata.Tags ? metadata.Tags.split(/\s+/).filter(Boolean) : [],
+      beatmapId: parseInt(metadata.BeatmapID) || null,
+      beatmapsetId: parseInt(metadata.BeatmapSetID) || null
+    },
+    difficulty,
+    timingPoints,
+    breaks,
+    hitObjects
+  };
+}
+
+module.exports = {
+  parseOsuFile,
+  BeatmapParseError,
+  HIT_OBJECT_TYPES,
+  timingAt,
+  pointAlongPath,
+  buildSliderPath
+};
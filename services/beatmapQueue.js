@@ -0,0 +1,253 @@
+const { redisClient } = require('../config/redis');
+const { config } = require('../config/env');
+const { TRACKED_MODES } = require('../config/modes');
+
+// Lower priorities are fetched first; within a priority, oldest first
+const PRIORITY = {
+  KNOWN: 0, // beatmaps that already have tracked scores
+  RANKED: 1 // newly ranked beatmaps from the beatmapset search
+};
+
+// Scores in the pending set: priority first, then enqueue time (epoch ms stays below 1e13)
+const PRIORITY_STEP = 1e13;
+
+// Redis keys of one mode's queue. Members are beatmap ids.
+//   pending  sorted set, scored by priority and enqueue time
+//   delayed  sorted set of failed jobs, scored by when they may run again
+//   active   sorted set of jobs being fetched, scored by when their lease runs out
+//   jobs     hash of job JSON (title, priority, attempts, last error) for pending, delayed and active jobs
+//   dead     hash of job JSON for jobs that failed BEATMAP_QUEUE_MAX_ATTEMPTS times
+//   stats    hash of counters
+const queueKeys = (mode) => {
+  const prefix = `beatmap_queue:${mode}`;
+  return {
+    pending: `${prefix}:pending`,
+    delayed: `${prefix}:delayed`,
+    active: `${prefix}:active`,
+    jobs: `${prefix}:jobs`,
+    dead: `${prefix}:dead`,
+    stats: `${prefix}:stats`
+  };
+};
+
+// Add a job unless it is queued, being fetched, waiting to retry or dead-lettered. A job that
+// is already pending moves up when queued again with a higher priority.
+// KEYS: pending, delayed, active, dead, jobs. ARGV: member, score, job JSON.
+const ENQUEUE_SCRIPT = `
+if redis.call('hexists', KEYS[4], ARGV[1]) == 1 or redis.call('zscore', KEYS[3], ARGV[1]) or redis.call('zscore', KEYS[2], ARGV[1]) then
+  return 0
+end
+local current = redis.call('zscore', KEYS[1], ARGV[1])
+if current then
+  if tonumber(ARGV[2]) < tonumber(current) then
+    redis.call('zadd', KEYS[1], ARGV[2], ARGV[1])
+    redis.call('hset', KEYS[5], ARGV[1], ARGV[3])
+  end
+  return 0
+end
+redis.call('zadd', KEYS[1], ARGV[2], ARGV[1])
+redis.call('hset', KEYS[5], ARGV[1], ARGV[3])
+return 1
+`;
+
+// Move due retries and expired leases (a worker that crashed) back to pending, then lease the
+// first pending job. KEYS: pending, delayed, active, jobs. ARGV: now, lease ms, priority step.
+const CLAIM_SCRIPT = `
+local now = tonumber(ARGV[1])
+local function requeue(key, limit)
+  local members = redis.call('zrangebyscore', key, '-inf', now, 'LIMIT', 0, limit)
+  for _, member in ipairs(members) do
+    redis.call('zrem', key, member)
+    local raw = redis.call('hget', KEYS[4], member)
+    if raw then
+      local job = cjson.decode(raw)
+      redis.call('zadd', KEYS[1], job.priority * tonumber(ARGV[3]) + job.enqueuedAt, member)
+    end
+  end
+end
+requeue(KEYS[2], 100)
+requeue(KEYS[3], 100)
+
+local popped = redis.call('zpopmin', KEYS[1])
+if #popped == 0 then
+  return false
+end
+local raw = redis.call('hget', KEYS[4], popped[1])
+if not raw then
+  return false
+end
+redis.call('zadd', KEYS[3], now + tonumber(ARGV[2]), popped[1])
+return raw
+`;
+
+// Durable per-beatmap leaderboard fetch queue, one per mode, kept in Redis so a crash or
+// restart loses neither the remaining beatmaps nor their retry state
+class BeatmapQueueService {
+  // Queue beatmaps ({ beatmapId, title }) at one priority; returns how many were new
+  async enqueue(mode, beatmaps, priority = PRIORITY.RANKED) {
+    const keys = queueKeys(mode);
+    const now = Date.now();
+    let added = 0;
+
+    for (const beatmap of beatmaps) {
+      const job = {
+        beatmapId: Number(beatmap.beatmapId),
+        title: beatmap.title || null,
+        mode,
+        priority,
+        attempts: 0,
+        lastError: null,
+        enqueuedAt: now
+      };
+
+      added += await redisClient.eval(ENQUEUE_SCRIPT, {
+        keys: [keys.pending, keys.delayed, keys.active, keys.dead, keys.jobs],
+        arguments: [String(job.beatmapId), String(priority * PRIORITY_STEP + now), JSON.stringify(job)]
+      });
+    }
+
+    return added;
+  }
+
+  // Lease the next job, or null when nothing is due
+  async claim(mode) {
+    const keys = queueKeys(mode);
+    const raw = await redisClient.eval(CLAIM_SCRIPT, {
+      keys: [keys.pending, keys.delayed, keys.active, keys.jobs],
+      arguments: [String(Date.now()), String(config.BEATMAP_QUEUE_LEASE_MS), String(PRIORITY_STEP)]
+    });
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async complete(job) {
+    const keys = queueKeys(job.mode);
+    const member = String(job.beatmapId);
+
+    await redisClient.multi()
+      .zRem(keys.active, member)
+      .hDel(keys.jobs, member)
+      .hIncrBy(keys.stats, 'processed', 1)
+      .exec();
+  }
+
+  // Retry with a doubling delay, or dead-letter the job after BEATMAP_QUEUE_MAX_ATTEMPTS failures
+  async fail(job, error) {
+    const keys = queueKeys(job.mode);
+    const member = String(job.beatmapId);
+    const failed = { ...job, attempts: job.attempts + 1, lastError: error.message, failedAt: Date.now() };
+
+    if (failed.attempts >= config.BEATMAP_QUEUE_MAX_ATTEMPTS) {
+      await redisClient.multi()
+        .zRem(keys.active, member)
+        .hDel(keys.jobs, member)
+        .hSet(keys.dead, member, JSON.stringify(failed))
+        .hIncrBy(keys.stats, 'failed', 1)
+        .hIncrBy(keys.stats, 'deadLettered', 1)
+        .exec();
+      console.warn(`☠️ Beatmap ${job.beatmapId} (${job.mode}) dead-lettered after ${failed.attempts} failures: ${error.message}`);
+      return { deadLettered: true, attempts: failed.attempts };
+    }
+
+    const retryAt = failed.failedAt + config.BEATMAP_QUEUE_RETRY_BASE_MS * Math.pow(2, failed.attempts - 1);
+    await redisClient.multi()
+      .zRem(keys.active, member)
+      .hSet(keys.jobs, member, JSON.stringify(failed))
+      .zAdd(keys.delayed, { score: retryAt, value: member })
+      .hIncrBy(keys.stats, 'failed', 1)
+      .exec();
+    return { deadLettered: false, attempts: failed.attempts, retryAt };
+  }
+
+  // Fetch up to `limit` queued beatmaps with `handler(job)`. One worker per concurrent slot of
+  // the osu! API limiter, which paces the requests the handlers make. A handler that throws
+  // fails the job.
+  async process(mode, handler, { limit = config.BEATMAP_QUEUE_BATCH, onProgress } = {}) {
+    const totals = { processed: 0, failed: 0, deadLettered: 0 };
+    let claimed = 0;
+
+    const worker = async () => {
+      while (claimed < limit) {
+        claimed++;
+        const job = await this.claim(mode);
+        if (!job) return;
+
+        try {
+          await handler(job);
+          await this.complete(job);
+          totals.processed++;
+        } catch (err) {
+          const result = await this.fail(job, err);
+          totals.failed++;
+          if (result.deadLettered) totals.deadLettered++;
+        }
+
+        if (onProgress) onProgress(totals);
+      }
+    };
+
+    const workers = Math.max(1, config.OSU_API_MAX_CONCURRENT);
+    await Promise.all(Array.from({ length: workers }, worker));
+    return totals;
+  }
+
+  // Dead-lettered jobs, most recent failure first
+  async getDeadLetters(mode) {
+    const entries = await redisClient.hGetAll(queueKeys(mode).dead);
+    return Object.values(entries)
+      .map(raw => JSON.parse(raw))
+      .sort((a, b) => b.failedAt - a.failedAt);
+  }
+
+  // Put dead-lettered jobs (all, or the given beatmap ids) back at the front of the queue
+  async retryDeadLetters(mode, beatmapIds = null) {
+    const keys = queueKeys(mode);
+    const dead = await this.getDeadLetters(mode);
+    const selected = beatmapIds ? dead.filter(job => beatmapIds.includes(job.beatmapId)) : dead;
+    if (selected.length === 0) return 0;
+
+    await redisClient.hDel(keys.dead, selected.map(job => String(job.beatmapId)));
+    return this.enqueue(mode, selected, PRIORITY.KNOWN);
+  }
+
+  // Queue depth and failure counters of every tracked mode; null for a mode Redis cannot answer for
+  async getStats() {
+    const stats = {};
+
+    for (const mode of TRACKED_MODES) {
+      const keys = queueKeys(mode);
+      try {
+        const [pending, delayed, active, dead, counters] = await Promise.all([
+          redisClient.zCard(keys.pending),
+          redisClient.zCard(keys.delayed),
+          redisClient.zCard(keys.active),
+          redisClient.hLen(keys.dead),
+          redisClient.hGetAll(keys.stats)
+        ]);
+
+        stats[mode] = {
+          pending,
+          delayed,
+          active,
+          dead,
+          processed: parseInt(counters.processed) || 0,
+          failed: parseInt(counters.failed) || 0,
+          deadLettered: parseInt(counters.deadLettered) || 0
+        };
+      } catch (err) {
+        console.warn(`Failed to read beatmap queue stats for ${mode}:`, err.message);
+        stats[mode] = null;
+      }
+    }
+
+    return stats;
+  }
+}
+
+// Create singleton instance
+const beatmapQueueService = new BeatmapQueueService();
+
+module.exports = {
+  BeatmapQueueService,
+  beatmapQueueService,
+  PRIORITY
+};
@@ -18,13 +18,13 @@ class CacheService {
   }
 
   // Player-related caching
-  async cachePlayer(username, data, ttl = config.PLAYER_CACHE_TTL) {
-    const key = getCacheKey(this.prefixes.player, username);
+  async cachePlayer(username, mode, data, ttl = config.PLAYER_CACHE_TTL) {
+    const key = getCacheKey(this.prefixes.player, username, mode);
     return await setCached(key, data, ttl);
   }
 
-  async getPlayerCache(username) {
-    const key = getCacheKey(this.prefixes.player, username);
+  async getPlayerCache(username, mode) {
+    const key = getCacheKey(this.prefixes.player, username, mode);
     try {
       const cached = await redisClient.get(key);
       return cached ? JSON.parse(cached) : null;
@@ -40,13 +40,13 @@ class CacheService {
   }
 
   // Leaderboard caching
-  async cacheLeaderboard(beatmapId, data, ttl = this.defaultTTL) {
-    const key = getCacheKey(this.prefixes.leaderboard, beatmapId);
+  async cacheLeaderboard(beatmapId, country, mode, data, ttl = this.defaultTTL) {
+    const key = getCacheKey(this.prefixes.leaderboard, beatmapId, country, mode);
     return await setCached(key, data, ttl);
   }
 
-  async getLeaderboardCache(beatmapId) {
-    const key = getCacheKey(this.prefixes.leaderboard, beatmapId);
+  async getLeaderboardCache(beatmapId, country, mode) {
+    const key = getCacheKey(this.prefixes.leaderboard, beatmapId, country, mode);
     try {
       const cached = await redisClient.get(key);
       return cached ? JSON.parse(cached) : null;
@@ -58,21 +58,21 @@ class CacheService {
 
   async invalidateLeaderboardCache(beatmapId = null) {
     const pattern = beatmapId 
-      ? getCacheKey(this.prefixes.leaderboard, beatmapId)
+      ? getCacheKey(this.prefixes.leaderboard, beatmapId, '*')
       : getCacheKey(this.prefixes.leaderboard, '*');
     return await invalidateCache(pattern);
   }
 
   // Rankings caching
   async cacheRankings(params, data, ttl = config.RANKINGS_CACHE_TTL) {
-    const { sort, limit, offset, timeframe } = params;
-    const key = getCacheKey(this.prefixes.rankings, sort, limit, offset, timeframe);
+    const { country, mode, sort, limit, cursor, timeframe, minScores } = params;
+    const key = getCacheKey(this.prefixes.rankings, country, mode, sort, limit, cursor, timeframe, minScores);
     return await setCached(key, data, ttl);
   }
 
   async getRankingsCache(params) {
-    const { sort, limit, offset, timeframe } = params;
-    const key = getCacheKey(this.prefixes.rankings, sort, limit, offset, timeframe);
+    const { country, mode, sort, limit, cursor, timeframe, minScores } = params;
+    const key = getCacheKey(this.prefixes.rankings, country, mode, sort, limit, cursor, timeframe, minScores);
     try {
       const cached = await redisClient.get(key);
       return cached ? JSON.parse(cached) : null;
@@ -330,6 +330,21 @@ class CacheService {
     return totalInvalidated;
   }
 
+  // Clear every key under one prefix, e.g. "player" → player:*
+  async invalidateNamespace(prefix) {
+    try {
+      const keys = await redisClient.keys(getCacheKey(prefix, '*'));
+      if (keys.length > 0) {
+        await redisClient.del(...keys);
+      }
+      console.debug(`Invalidated ${keys.length} cache keys in ${prefix}`);
+      return keys.length;
+    } catch (err) {
+      console.warn(`Failed to invalidate namespace ${prefix}:`, err.message);
+      return 0;
+    }
+  }
+
   // Cache statistics
   async getCacheStats() {
     try {
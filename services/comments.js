@@ -0,0 +1,296 @@
+const { query, getRows, getRow, pool } = require('../config/db');
+const { config } = require('../config/env');
+const { feedService } = require('./feed');
+const { keyset, keysetResult } = require('../middleware/pagination');
+
+// Common English and French insults; COMMENT_BLOCKED_WORDS adds more
+const DEFAULT_BLOCKED_WORDS = [
+  'fuck', 'fucking', 'shit', 'bitch', 'cunt', 'asshole', 'dick', 'retard', 'whore', 'slut',
+  'putain', 'merde', 'connard', 'connasse', 'salope', 'encule', 'batard', 'pute', 'nique'
+];
+
+// Undo the usual letter substitutions before matching blocked words
+const LEET_MAP = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's' };
+
+const LINK_PATTERN = /(https?:\/\/|www\.)|\b[a-z0-9-]+\.(com|net|org|io|gg|ly|me|co|ru|xyz|tk|link|dz|fr|info)\b|discord\.gg/i;
+
+const COMMENT_COLUMNS = `
+  c.id, c.target_username, c.commenter_username, c.comment_text, c.created_at, c.updated_at,
+  ps.avatar_url AS commenter_avatar_url
+`;
+
+const COMMENT_SORT = [{ column: 'c.created_at', order: 'DESC' }, { column: 'c.id', order: 'DESC' }];
+
+// Comment failures carry the HTTP status the route should answer with
+class CommentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CommentError';
+    this.status = status;
+  }
+}
+
+function normalizeForFilter(text) {
+  return text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[013457@$]/g, char => LEET_MAP[char]);
+}
+
+// Returns why a comment is rejected, or null when it is acceptable
+function checkCommentText(text, blockedWords = [...DEFAULT_BLOCKED_WORDS, ...config.COMMENT_BLOCKED_WORDS]) {
+  if (typeof text !== 'string' || text.trim().length === 0) {
+    return 'Comment cannot be empty';
+  }
+  if (text.length > config.COMMENT_MAX_LENGTH) {
+    return `Comment must be at most ${config.COMMENT_MAX_LENGTH} characters`;
+  }
+  if (LINK_PATTERN.test(text)) {
+    return 'Links are not allowed in comments';
+  }
+
+  const words = normalizeForFilter(text).split(/[^a-z]+/);
+  if (words.some(word => blockedWords.includes(word))) {
+    return 'Comment contains blocked language';
+  }
+  return null;
+}
+
+// Profile comments, reports and the moderation queue
+class CommentService {
+  async getComment(id) {
+    return getRow('SELECT * FROM player_comments WHERE id = $1', [id]);
+  }
+
+  // Visible comments on a player's profile, newest first; `page` is req.page of the
+  // pagination middleware
+  async listForPlayer(username, page) {
+    const params = [username];
+    const { where, orderBy, limit } = keyset(COMMENT_SORT, page, params);
+
+    const rows = await getRows(`
+      SELECT ${COMMENT_COLUMNS}
+      FROM player_comments c
+      LEFT JOIN player_stats ps ON ps.username = c.commenter_username
+      WHERE c.target_username = $1 AND c.is_deleted = false AND c.is_hidden = false AND ${where}
+      ORDER BY ${orderBy}
+      LIMIT ${limit}
+    `, params);
+
+    return keysetResult(rows, COMMENT_SORT, page);
+  }
+
+  async getActiveBan(username) {
+    return getRow(`
+      SELECT username, reason, banned_by, created_at, expires_at
+      FROM comment_bans
+      WHERE username = $1 AND (expires_at IS NULL OR expires_at > $2)
+    `, [username, Date.now()]);
+  }
+
+  // Throws when the commenter has posted too much recently; runs on the caller's transaction
+  async assertWithinRateLimit(client, username) {
+    const now = Date.now();
+    const { rows: [counts] } = await client.query(`
+      SELECT
+        COUNT(*) FILTER (WHERE created_at > $2) AS last_minute,
+        COUNT(*) AS last_hour
+      FROM player_comments
+      WHERE commenter_username = $1 AND created_at > $3
+    `, [username, now - 60 * 1000, now - 60 * 60 * 1000]);
+
+    if (parseInt(counts.last_minute) >= config.COMMENT_RATE_LIMIT_PER_MINUTE ||
+        parseInt(counts.last_hour) >= config.COMMENT_RATE_LIMIT_PER_HOUR) {
+      throw new CommentError('You are commenting too fast, try again later', 429);
+    }
+  }
+
+  async create(targetUsername, commenterUsername, text) {
+    const ban = await this.getActiveBan(commenterUsername);
+    if (ban) {
+      throw new CommentError('You are not allowed to comment', 403);
+    }
+
+    const rejection = checkCommentText(text);
+    if (rejection) throw new CommentError(rejection);
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Locking the commenter's player row queues their concurrent posts, so each one
+      // counts the comments committed before it and the rate limit cannot be raced
+      await client.query('SELECT 1 FROM player_stats WHERE username = $1 FOR UPDATE', [commenterUsername]);
+      await this.assertWithinRateLimit(client, commenterUsername);
+
+      const { rows: [comment] } = await client.query(`
+        INSERT INTO player_comments (target_username, commenter_username, comment_text, created_at)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id, target_username, commenter_username, comment_text, created_at, updated_at
+      `, [targetUsername, commenterUsername, text.trim(), Date.now()]);
+
+      await client.query('COMMIT');
+      return comment;
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw e;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Only the author can edit, and only while the comment is visible
+  async update(id, commenterUsername, text) {
+    const comment = await this.getComment(id);
+    if (!comment || comment.is_deleted) {
+      throw new CommentError('Comment not found', 404);
+    }
+    if (comment.commenter_username !== commenterUsername) {
+      throw new CommentError('You can only edit your own comments', 403);
+    }
+    if (comment.is_hidden) {
+      throw new CommentError('Hidden comments cannot be edited', 403);
+    }
+    if (await this.getActiveBan(commenterUsername)) {
+      throw new CommentError('You are not allowed to comment', 403);
+    }
+
+    const rejection = checkCommentText(text);
+    if (rejection) throw new CommentError(rejection);
+
+    return getRow(`
+      UPDATE player_comments SET comment_text = $2, updated_at = $3
+      WHERE id = $1
+      RETURNING id, target_username, commenter_username, comment_text, created_at, updated_at
+    `, [id, text.trim(), Date.now()]);
+  }
+
+  // Soft delete by the author or an admin
+  async remove(id, user) {
+    const comment = await this.getComment(id);
+    if (!comment || comment.is_deleted) {
+      throw new CommentError('Comment not found', 404);
+    }
+
+    const isAdmin = user.role === 'admin' || user.role === 'super_admin';
+    if (comment.commenter_username !== user.username && !isAdmin) {
+      throw new CommentError('You can only delete your own comments', 403);
+    }
+
+    await query('UPDATE player_comments SET is_deleted = true, deleted_at = $2 WHERE id = $1', [id, Date.now()]);
+    return { id, deleted: true };
+  }
+
+  // Returns true for a new report, false if this player already reported the comment
+  async report(id, reporterUsername, reason = null) {
+    const comment = await this.getComment(id);
+    if (!comment || comment.is_deleted || comment.is_hidden) {
+      throw new CommentError('Comment not found', 404);
+    }
+    if (comment.commenter_username === reporterUsername) {
+      throw new CommentError('You cannot report your own comment');
+    }
+
+    const result = await query(`
+      INSERT INTO comment_reports (comment_id, reporter_username, reason, created_at)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (comment_id, reporter_username) DO NOTHING
+    `, [id, reporterUsername, reason, Date.now()]);
+    return result.rowCount > 0;
+  }
+
+  // Reported comments awaiting review ('open'), or everything already reviewed ('resolved')
+  async getModerationQueue({ status = 'open', limit = 50, offset = 0 } = {}) {
+    const open = status === 'open';
+    return getRows(`
+      SELECT
+        c.id, c.target_username, c.commenter_username, c.comment_text, c.created_at, c.updated_at,
+        c.is_hidden, c.hidden_reason, c.hidden_by, c.hidden_at,
+        COUNT(r.id) AS report_count,
+        MIN(r.created_at) AS first_reported_at,
+        ARRAY_AGG(r.reason ORDER BY r.created_at) FILTER (WHERE r.reason IS NOT NULL) AS reasons,
+        (SELECT COUNT(*) FROM comment_reports pr
+          JOIN player_comments pc ON pc.id = pr.comment_id
+          WHERE pc.commenter_username = c.commenter_username) AS commenter_report_count,
+        EXISTS (
+          SELECT 1 FROM comment_bans b
+          WHERE b.username = c.commenter_username AND (b.expires_at IS NULL OR b.expires_at > $4)
+        ) AS commenter_banned
+      FROM player_comments c
+      JOIN comment_reports r ON r.comment_id = c.id
+      WHERE c.is_deleted = false AND (r.resolved_at IS NULL) = $1
+      GROUP BY c.id
+      ORDER BY COUNT(r.id) DESC, MIN(r.created_at) ASC
+      LIMIT $2 OFFSET $3
+    `, [open, limit, offset, Date.now()]);
+  }
+
+  async resolveReports(commentId, actor, resolution) {
+    const result = await query(`
+      UPDATE comment_reports SET resolved_at = $2, resolved_by = $3, resolution = $4
+      WHERE comment_id = $1 AND resolved_at IS NULL
+    `, [commentId, Date.now(), actor, resolution]);
+    return result.rowCount;
+  }
+
+  async hide(id, actor, reason) {
+    const comment = await getRow(`
+      UPDATE player_comments SET is_hidden = true, hidden_reason = $2, hidden_by = $3, hidden_at = $4
+      WHERE id = $1
+      RETURNING id, target_username, commenter_username, is_hidden, hidden_reason, hidden_by, hidden_at
+    `, [id, reason, actor, Date.now()]);
+
+    if (comment) await this.resolveReports(id, actor, 'hidden');
+    return comment;
+  }
+
+  async unhide(id) {
+    return getRow(`
+      UPDATE player_comments SET is_hidden = false, hidden_reason = NULL, hidden_by = NULL, hidden_at = NULL
+      WHERE id = $1
+      RETURNING id, target_username, commenter_username, is_hidden
+    `, [id]);
+  }
+
+  // Close the reports on a comment without hiding it
+  async dismissReports(id, actor) {
+    return this.resolveReports(id, actor, 'dismissed');
+  }
+
+  // Bar a player from commenting; days = null bans until lifted. Null when the player is unknown.
+  async banCommenter(username, actor, reason, days = null) {
+    const player = await feedService.findPlayer(username);
+    if (!player) return null;
+
+    return getRow(`
+      INSERT INTO comment_bans (username, reason, banned_by, created_at, expires_at)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (username) DO UPDATE SET
+        reason = EXCLUDED.reason,
+        banned_by = EXCLUDED.banned_by,
+        created_at = EXCLUDED.created_at,
+        expires_at = EXCLUDED.expires_at
+      RETURNING *
+    `, [player.username, reason, actor, Date.now(), days ? Date.now() + days * 24 * 60 * 60 * 1000 : null]);
+  }
+
+  async unbanCommenter(username) {
+    const player = await feedService.findPlayer(username);
+    if (!player) return false;
+
+    const result = await query('DELETE FROM comment_bans WHERE username = $1', [player.username]);
+    return result.rowCount > 0;
+  }
+}
+
+// Create singleton instance
+const commentService = new CommentService();
+
+module.exports = {
+  CommentService,
+  commentService,
+  CommentError,
+  checkCommentText
+};
@@ -0,0 +1,361 @@
+const { timingAt, pointAlongPath } = require('./beatmapParser');
+const { parseMods, clockRate, applyModsToDifficulty, starRating } = require('./ppCalculator');
+
+// Strain-based osu!standard difficulty, after the osu! aim/speed skills: every object adds
+// strain that decays over time, each 400ms section keeps its peak, and the peaks are summed
+// with decaying weights. Plus map-content statistics used to classify the map.
+
+const SECTION_LENGTH = 400;
+const DECAY_WEIGHT = 0.9;
+const DIFFICULTY_MULTIPLIER = 0.0675;
+const NORMALISED_RADIUS = 52;
+const MIN_STRAIN_TIME = 50;
+
+const SKILLS = {
+  aim: { multiplier: 26.25, decayBase: 0.15 },
+  speed: { multiplier: 1400, decayBase: 0.3 }
+};
+
+const AIM_ANGLE_BONUS_BEGIN = Math.PI / 3;
+const AIM_TIMING_THRESHOLD = 107;
+const SPEED_ANGLE_BONUS_BEGIN = 5 * Math.PI / 6;
+const SINGLE_SPACING_THRESHOLD = 125;
+const MIN_SPEED_BONUS = 75;
+const MAX_SPEED_BONUS = 45;
+const SPEED_BALANCING_FACTOR = 40;
+
+// Thresholds for calling a pair of objects part of a stream or a jump, in normalised pixels
+const STREAM_MAX_SPACING = 110;
+const JUMP_MIN_SPACING = 180;
+// A map needs at least this share of one pattern type to be classified as it
+const CLASSIFICATION_THRESHOLD = 0.25;
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+const diminishingExp = (value) => Math.pow(value, 0.99);
+
+function circleRadius(cs) {
+  return 32 * (1 - 0.7 * (cs - 5) / 5);
+}
+
+// Scale distances so circle size does not change spacing; small circles get a bonus
+function scalingFactor(cs) {
+  const radius = circleRadius(cs);
+  let factor = NORMALISED_RADIUS / radius;
+  if (radius < 30) factor *= 1 + Math.min(30 - radius, 5) / 50;
+  return factor;
+}
+
+// Where a lazy cursor that stays within the follow circle ends a slider, and how far it moved
+function lazySliderCursor(slider, followRadius) {
+  let cursor = { x: slider.x, y: slider.y };
+  let travel = 0;
+
+  const follow = (position) => {
+    const gap = distance(position, cursor);
+    if (gap > followRadius) {
+      const t = (gap - followRadius) / gap;
+      cursor = { x: cursor.x + (position.x - cursor.x) * t, y: cursor.y + (position.y - cursor.y) * t };
+      travel += gap - followRadius;
+    }
+  };
+
+  for (let span = 0; span < slider.slides; span++) {
+    const reversed = span % 2 === 1;
+    const ticks = reversed ? [...slider.ticks].reverse().map(p => 1 - p) : slider.ticks;
+    ticks.forEach(progress => follow(pointAlongPath(slider.path, progress)));
+    follow(pointAlongPath(slider.path, reversed ? 0 : 1));
+  }
+
+  return { end: cursor, travel };
+}
+
+// Hit objects with the distances, angles and timings the skills need
+function buildDifficultyObjects(hitObjects, cs, rate) {
+  const scale = scalingFactor(cs);
+  const followRadius = circleRadius(cs) * 3;
+  const cursorEnds = new Map();
+
+  const endCursor = (object) => {
+    if (object.kind !== 'slider') return { end: object, travel: 0 };
+    if (!cursorEnds.has(object)) cursorEnds.set(object, lazySliderCursor(object, followRadius));
+    return cursorEnds.get(object);
+  };
+
+  const objects = [];
+  for (let i = 1; i < hitObjects.length; i++) {
+    const current = hitObjects[i];
+    const last = hitObjects[i - 1];
+    const lastLast = i > 1 ? hitObjects[i - 2] : null;
+    const deltaTime = (current.time - last.time) / rate;
+
+    const entry = {
+      object: current,
+      time: current.time / rate,
+      deltaTime,
+      strainTime: Math.max(MIN_STRAIN_TIME, deltaTime),
+      jumpDistance: 0,
+      travelDistance: 0,
+      angle: null
+    };
+
+    if (current.kind !== 'spinner' && last.kind !== 'spinner') {
+      const lastCursor = endCursor(last);
+      entry.jumpDistance = distance(current, lastCursor.end) * scale;
+      entry.travelDistance = lastCursor.travel * scale;
+
+      if (lastLast && lastLast.kind !== 'spinner') {
+        const lastLastCursor = endCursor(lastLast).end;
+        const v1 = { x: lastLastCursor.x - last.x, y: lastLastCursor.y - last.y };
+        const v2 = { x: current.x - lastCursor.end.x, y: current.y - lastCursor.end.y };
+        const dot = v1.x * v2.x + v1.y * v2.y;
+        const det = v1.x * v2.y - v1.y * v2.x;
+        entry.angle = Math.abs(Math.atan2(det, dot));
+      }
+    }
+
+    objects.push(entry);
+  }
+  return objects;
+}
+
+function aimStrainOf(current, previous) {
+  if (current.object.kind === 'spinner') return 0;
+
+  let result = 0;
+  if (previous && current.angle !== null && current.angle > AIM_ANGLE_BONUS_BEGIN) {
+    const scale = 90;
+    const angleBonus = Math.sqrt(
+      Math.max(previous.jumpDistance - scale, 0) *
+      Math.pow(Math.sin(current.angle - AIM_ANGLE_BONUS_BEGIN), 2) *
+      Math.max(current.jumpDistance - scale, 0)
+    );
+    result = 1.5 * diminishingExp(Math.max(0, angleBonus)) / Math.max(AIM_TIMING_THRESHOLD, previous.strainTime);
+  }
+
+  const jump = diminishingExp(current.jumpDistance);
+  const travel = diminishingExp(current.travelDistance);
+  const combined = jump + travel + Math.sqrt(travel * jump);
+
+  return Math.max(
+    result + combined / Math.max(current.strainTime, AIM_TIMING_THRESHOLD),
+    combined / current.strainTime
+  );
+}
+
+function speedStrainOf(current) {
+  if (current.object.kind === 'spinner') return 0;
+
+  const spacing = Math.min(SINGLE_SPACING_THRESHOLD, current.travelDistance + current.jumpDistance);
+  const deltaTime = Math.max(MAX_SPEED_BONUS, current.deltaTime);
+
+  let speedBonus = 1;
+  if (deltaTime < MIN_SPEED_BONUS) {
+    speedBonus = 1 + Math.pow((MIN_SPEED_BONUS - deltaTime) / SPEED_BALANCING_FACTOR, 2);
+  }
+
+  let angleBonus = 1;
+  const angle = current.angle;
+  if (angle !== null && angle < SPEED_ANGLE_BONUS_BEGIN) {
+    angleBonus = 1 + Math.pow(Math.sin(SPEED_ANGLE_BONUS_BEGIN - angle), 2) / 3.57;
+    if (angle < Math.PI / 2) {
+      angleBonus = 1.28;
+      if (spacing < 90 && angle < Math.PI / 4) {
+        angleBonus += (1 - angleBonus) * Math.min((90 - spacing) / 10, 1);
+      } else if (spacing < 90) {
+        angleBonus += (1 - angleBonus) * Math.min((90 - spacing) / 10, 1) *
+          Math.sin((Math.PI / 2 - angle) / (Math.PI / 4));
+      }
+    }
+  }
+
+  return (1 + (speedBonus - 1) * 0.75) * angleBonus *
+    (0.95 + speedBonus * Math.pow(spacing / SINGLE_SPACING_THRESHOLD, 3.5)) / current.strainTime;
+}
+
+// Section peaks of one skill's strain, weighted into a single difficulty value
+function skillDifficulty(objects, strainOf, { multiplier, decayBase }) {
+  if (objects.length === 0) return { value: 0, peaks: [] };
+
+  const decay = (ms) => Math.pow(decayBase, ms / 1000);
+  const peaks = [];
+  let strain = 0;
+  let sectionPeak = 0;
+  let previous = null;
+  let sectionEnd = Math.ceil(objects[0].time / SECTION_LENGTH) * SECTION_LENGTH;
+
+  for (const current of objects) {
+    while (current.time > sectionEnd) {
+      peaks.push(sectionPeak);
+      sectionPeak = previous ? strain * decay(sectionEnd - previous.time) : 0;
+      sectionEnd += SECTION_LENGTH;
+    }
+
+    strain *= decay(current.deltaTime);
+    strain += strainOf(current, previous) * multiplier;
+    sectionPeak = Math.max(sectionPeak, strain);
+    previous = current;
+  }
+  peaks.push(sectionPeak);
+
+  let weight = 1;
+  const value = [...peaks].sort((a, b) => b - a).reduce((sum, peak) => {
+    const weighted = sum + peak * weight;
+    weight *= DECAY_WEIGHT;
+    return weighted;
+  }, 0);
+
+  return { value, peaks };
+}
+
+function countMaxCombo(hitObjects) {
+  return hitObjects.reduce((combo, object) => {
+    if (object.kind === 'slider') return combo + 1 + object.tickCount + object.slides;
+    return combo + 1;
+  }, 0);
+}
+
+function bpmRange(timingPoints, lastTime, rate = 1) {
+  const beats = timingPoints.filter(point => point.uninherited && point.beatLength > 0);
+  if (beats.length === 0) return { min: null, max: null, main: null };
+
+  const durations = new Map();
+  beats.forEach((point, index) => {
+    const end = index + 1 < beats.length ? beats[index + 1].time : Math.max(lastTime, point.time);
+    const bpm = Math.round(60000 / point.beatLength * rate * 100) / 100;
+    durations.set(bpm, (durations.get(bpm) || 0) + (end - point.time));
+  });
+
+  const bpms = [...durations.keys()];
+  const main = [...durations.entries()].sort((a, b) => b[1] - a[1])[0][0];
+  return { min: Math.min(...bpms), max: Math.max(...bpms), main };
+}
+
+// Drain time, densities and the stream/jump/tech makeup of a map; times follow the clock rate
+function mapStatistics(beatmap, rate = 1) {
+  const { hitObjects, timingPoints, breaks, difficulty } = beatmap;
+  const scale = scalingFactor(difficulty.cs);
+
+  if (hitObjects.length === 0) {
+    return {
+      drainTime: 0, totalLength: 0, noteDensity: 0, peakDensity: 0,
+      bpm: bpmRange(timingPoints, 0, rate),
+      streamRatio: 0, jumpRatio: 0, techRatio: 0, classification: 'mixed'
+    };
+  }
+
+  const first = hitObjects[0].time;
+  const last = Math.max(...hitObjects.map(object => object.endTime));
+  const breakTime = breaks
+    .filter(b => b.startTime >= first && b.endTime <= last)
+    .reduce((sum, b) => sum + (b.endTime - b.startTime), 0);
+  const drainTime = Math.max(0, last - first - breakTime) / 1000 / rate;
+
+  let peakDensity = 0;
+  for (let start = 0, end = 0; end < hitObjects.length; end++) {
+    while (hitObjects[end].time - hitObjects[start].time >= 1000 * rate) start++;
+    peakDensity = Math.max(peakDensity, end - start + 1);
+  }
+
+  let pairs = 0;
+  let streamPairs = 0;
+  let jumpPairs = 0;
+  let complexRhythmPairs = 0;
+
+  for (let i = 1; i < hitObjects.length; i++) {
+    const previous = hitObjects[i - 1];
+    const current = hitObjects[i];
+    if (current.kind === 'spinner' || previous.kind === 'spinner') continue;
+
+    const { beatLength } = timingAt(timingPoints, current.time);
+    const gap = current.time - previous.endTime;
+    const delta = current.time - previous.time;
+    // Pauses longer than two beats are not part of any pattern
+    if (gap > beatLength * 2) continue;
+
+    pairs++;
+    const end = previous.kind === 'slider' ? { x: previous.endX, y: previous.endY } : previous;
+    const spacing = distance(current, end) * scale;
+    const beatFraction = delta / beatLength;
+
+    if (beatFraction <= 0.25 * 1.15 && spacing < STREAM_MAX_SPACING) {
+      streamPairs++;
+    } else if (beatFraction >= 0.5 * 0.85 && beatFraction <= 1.05 && spacing >= JUMP_MIN_SPACING) {
+      jumpPairs++;
+    }
+
+    // Anything off the 1/2 grid that is not a stream note: 1/3, 1/6, 3/4 and lone 1/4s
+    const halfBeats = beatFraction * 2;
+    if (beatFraction > 0.25 * 1.15 && Math.abs(halfBeats - Math.round(halfBeats)) > 0.1) {
+      complexRhythmPairs++;
+    }
+  }
+
+  const sliders = hitObjects.filter(object => object.kind === 'slider').length;
+  const streamRatio = pairs > 0 ? streamPairs / pairs : 0;
+  const jumpRatio = pairs > 0 ? jumpPairs / pairs : 0;
+  const techRatio = Math.min(1,
+    0.6 * (pairs > 0 ? complexRhythmPairs / pairs : 0) + 0.4 * (sliders / hitObjects.length)
+  );
+
+  const [dominant, share] = Object.entries({ stream: streamRatio, jump: jumpRatio, tech: techRatio })
+    .sort((a, b) => b[1] - a[1])[0];
+
+  return {
+    drainTime,
+    totalLength: last / 1000 / rate,
+    noteDensity: drainTime > 0 ? hitObjects.length / drainTime : 0,
+    peakDensity,
+    bpm: bpmRange(timingPoints, last, rate),
+    streamRatio,
+    jumpRatio,
+    techRatio,
+    classification: share >= CLASSIFICATION_THRESHOLD ? dominant : 'mixed'
+  };
+}
+
+// Difficulty attributes of a parsed beatmap (see beatmapParser) with the given mods.
+// Aim and speed are only computed for osu!standard maps.
+function calculateDifficulty(beatmap, mods = []) {
+  const modList = parseMods(mods);
+  const rate = clockRate(modList);
+  const adjusted = applyModsToDifficulty(beatmap.difficulty, modList);
+  const { hitObjects } = beatmap;
+
+  const attributes = {
+    mode: beatmap.mode,
+    mods: modList,
+    maxCombo: countMaxCombo(hitObjects),
+    countCircles: hitObjects.filter(object => object.kind === 'circle').length,
+    countSliders: hitObjects.filter(object => object.kind === 'slider').length,
+    countSpinners: hitObjects.filter(object => object.kind === 'spinner').length,
+    cs: adjusted.cs,
+    ar: adjusted.ar,
+    od: adjusted.od,
+    hp: adjusted.hp,
+    clockRate: rate,
+    ...mapStatistics(beatmap, rate)
+  };
+
+  if (beatmap.mode !== 'osu' || hitObjects.length < 2) {
+    return { ...attributes, aimDifficulty: null, speedDifficulty: null, starRating: null };
+  }
+
+  const objects = buildDifficultyObjects(hitObjects, adjusted.cs, rate);
+  const aim = skillDifficulty(objects, aimStrainOf, SKILLS.aim);
+  const speed = skillDifficulty(objects, speedStrainOf, SKILLS.speed);
+  const aimDifficulty = Math.sqrt(aim.value) * DIFFICULTY_MULTIPLIER;
+  const speedDifficulty = Math.sqrt(speed.value) * DIFFICULTY_MULTIPLIER;
+
+  return {
+    ...attributes,
+    aimDifficulty,
+    speedDifficulty,
+    starRating: starRating(aimDifficulty, speedDifficulty)
+  };
+}
+
+module.exports = {
+  calculateDifficulty,
+  mapStatistics,
+  circleRadius
+};
@@ -0,0 +1,221 @@
+const axios = require('axios');
+const { query, getRows } = require('../config/db');
+const { config } = require('../config/env');
+const { getCountryInfo } = require('../config/countries');
+const { getModeInfo } = require('../config/modes');
+
+// Events that can be sent, and the config flag that toggles each one
+const DISCORD_EVENTS = {
+  new_first: 'DISCORD_NOTIFY_NEW_FIRST',
+  new_player: 'DISCORD_NOTIFY_NEW_PLAYER',
+  achievement_unlocked: 'DISCORD_NOTIFY_ACHIEVEMENT',
+  rank_milestone: 'DISCORD_NOTIFY_RANK_MILESTONE'
+};
+
+const COLORS = {
+  new_first: 0xf1c40f,
+  new_player: 0x2ecc71,
+  achievement_unlocked: 0x9b59b6,
+  rank_milestone: 0x3498db
+};
+
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+const formatNumber = (value) => Number(value || 0).toLocaleString('en-US');
+const countryLabel = (code) => {
+  const info = getCountryInfo(code);
+  return info.flag ? `${info.flag} ${info.name}` : info.name;
+};
+
+// Embed templates, one per event type
+const templates = {
+  new_first: (p) => ({
+    title: `👑 New #1 on ${p.beatmapTitle}`,
+    url: `https://osu.ppy.sh/b/${p.beatmapId}`,
+    description: `**${p.username}** took first place in ${countryLabel(p.country)}` +
+      (p.previousHolder ? `, beating **${p.previousHolder}**` : ''),
+    fields: [
+      { name: 'Score', value: formatNumber(p.score), inline: true },
+      { name: 'PP', value: p.pp ? `${Math.round(p.pp)}pp` : '—', inline: true },
+      { name: 'Accuracy', value: `${((p.accuracy || 0) * 100).toFixed(2)}%`, inline: true },
+      { name: 'Mods', value: p.mods || 'None', inline: true },
+      { name: 'Mode', value: getModeInfo(p.mode).name, inline: true }
+    ]
+  }),
+
+  new_player: (p) => ({
+    title: `🆕 New player: ${p.username}`,
+    url: `https://osu.ppy.sh/users/${p.userId}`,
+    thumbnail: p.avatarUrl ? { url: p.avatarUrl } : undefined,
+    fields: [
+      { name: 'Country', value: countryLabel(p.country), inline: true },
+      { name: 'Global Rank', value: p.globalRank ? `#${formatNumber(p.globalRank)}` : '—', inline: true },
+      { name: 'PP', value: p.pp ? `${Math.round(p.pp)}pp` : '—', inline: true },
+      { name: 'Found via', value: p.discoveryMethod || 'unknown', inline: true }
+    ]
+  }),
+
+  achievement_unlocked: (p) => ({
+    title: `${p.icon || '🏆'} ${p.username} unlocked ${p.name}`,
+    description: p.description,
+    fields: [
+      { name: 'Points', value: String(p.points || 0), inline: true },
+      { name: 'Category', value: p.category || '—', inline: true }
+    ]
+  }),
+
+  rank_milestone: (p) => ({
+    title: `📈 ${p.username} reached top ${p.milestone} in ${countryLabel(p.country)}`,
+    description: p.milestone === 1 ? `**${p.username}** is now the #1 ${getModeInfo(p.mode).name} player!` : undefined,
+    fields: [
+      { name: 'Country Rank', value: `#${p.previousRank} → #${p.currentRank}`, inline: true },
+      { name: 'PP', value: p.pp ? `${Math.round(p.pp)}pp` : '—', inline: true },
+      { name: 'Mode', value: getModeInfo(p.mode).name, inline: true }
+    ]
+  })
+};
+
+// Discord webhook notifications, delivered through the discord_outbox table
+class DiscordService {
+  constructor(options = {}) {
+    this.webhookUrl = options.webhookUrl !== undefined ? options.webhookUrl : config.DISCORD_WEBHOOK_URL;
+    this.enabled = options.enabled !== undefined ? options.enabled : config.ENABLE_DISCORD_NOTIFICATIONS;
+    this.maxAttempts = options.maxAttempts || config.DISCORD_MAX_ATTEMPTS;
+    this.retryBaseMs = options.retryBaseMs || config.DISCORD_RETRY_BASE_MS;
+    this.timeout = options.timeout || 10000;
+    this.eventToggles = options.eventToggles || Object.fromEntries(
+      Object.entries(DISCORD_EVENTS).map(([event, flag]) => [event, config[flag]])
+    );
+    this.processing = false;
+  }
+
+  isEnabled(eventType) {
+    return Boolean(this.enabled && this.webhookUrl && this.eventToggles[eventType]);
+  }
+
+  // Build the webhook body for an event
+  buildMessage(eventType, payload) {
+    const template = templates[eventType];
+    if (!template) {
+      throw new Error(`Unknown Discord event type: ${eventType}`);
+    }
+
+    return {
+      username: 'osu! Leaderboards',
+      embeds: [{
+        ...template(payload),
+        color: COLORS[eventType],
+        timestamp: new Date(payload.timestamp || Date.now()).toISOString()
+      }]
+    };
+  }
+
+  // Queue a notification; delivery happens in processOutbox so it survives restarts
+  async notify(eventType, payload) {
+    if (!this.isEnabled(eventType)) return false;
+
+    try {
+      await query(`
+        INSERT INTO discord_outbox (event_type, payload)
+        VALUES ($1, $2)
+      `, [eventType, JSON.stringify({ ...payload, timestamp: payload.timestamp || Date.now() })]);
+    } catch (err) {
+      console.error(`Failed to queue Discord ${eventType} notification:`, err.message);
+      return false;
+    }
+
+    this.processOutbox().catch(err => console.error('Discord outbox processing failed:', err.message));
+    return true;
+  }
+
+  // POST one message to the webhook; throws with retryAfter set when rate limited
+  async deliver(message) {
+    try {
+      await axios.post(this.webhookUrl, message, { timeout: this.timeout });
+    } catch (err) {
+      const status = err.response?.status;
+      const error = new Error(status ? `Discord responded with ${status}` : err.message);
+      error.status = status;
+      if (status === 429) {
+        const retryAfter = Number(err.response.data?.retry_after ?? err.response.headers?.['retry-after']);
+        if (!Number.isNaN(retryAfter)) error.retryAfter = retryAfter * 1000;
+      }
+      // Client errors other than rate limits will never succeed on retry
+      error.permanent = status >= 400 && status < 500 && status !== 429;
+      throw error;
+    }
+  }
+
+  // Exponential backoff, or Discord's own retry_after when it gave one
+  getRetryDelay(attempts, err = {}) {
+    if (err.retryAfter) return err.retryAfter;
+    return Math.min(this.retryBaseMs * Math.pow(2, attempts - 1), MAX_RETRY_DELAY_MS);
+  }
+
+  // Claim due rows and try to deliver them
+  async processOutbox(batchSize = 10) {
+    if (this.processing || !this.webhookUrl) return { sent: 0, failed: 0, retried: 0 };
+    this.processing = true;
+
+    const result = { sent: 0, failed: 0, retried: 0 };
+
+    try {
+      const now = Date.now();
+      // Rows stuck in 'sending' belong to a process that died mid-delivery
+      const entries = await getRows(`
+        UPDATE discord_outbox SET status = 'sending', locked_at = $1
+        WHERE id IN (
+          SELECT id FROM discord_outbox
+          WHERE (status = 'pending' AND next_attempt_at <= $1)
+             OR (status = 'sending' AND locked_at < $2)
+          ORDER BY id
+          LIMIT $3
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+      `, [now, now - STALE_LOCK_MS, batchSize]);
+
+      for (const entry of entries) {
+        const attempts = entry.attempts + 1;
+
+        try {
+          await this.deliver(this.buildMessage(entry.event_type, entry.payload));
+          await query(`
+            UPDATE discord_outbox
+            SET status = 'sent', attempts = $2, sent_at = $3, locked_at = NULL, last_error = NULL
+            WHERE id = $1
+          `, [entry.id, attempts, Date.now()]);
+          result.sent++;
+        } catch (err) {
+          const giveUp = err.permanent || attempts >= this.maxAttempts;
+          await query(`
+            UPDATE discord_outbox
+            SET status = $2, attempts = $3, last_error = $4, next_attempt_at = $5, locked_at = NULL
+            WHERE id = $1
+          `, [entry.id, giveUp ? 'failed' : 'pending', attempts, err.message, Date.now() + this.getRetryDelay(attempts, err)]);
+
+          if (giveUp) {
+            console.warn(`⚠️ Discord ${entry.event_type} notification #${entry.id} failed permanently:`, err.message);
+            result.failed++;
+          } else {
+            result.retried++;
+          }
+        }
+      }
+    } finally {
+      this.processing = false;
+    }
+
+    return result;
+  }
+}
+
+// Create singleton instance
+const discordService = new DiscordService();
+
+module.exports = {
+  DiscordService,
+  discordService,
+  DISCORD_EVENTS
+};
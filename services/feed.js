@@ -0,0 +1,139 @@
+const { query, getRows, getRow } = require('../config/db');
+const { keyset, keysetResult } = require('../middleware/pagination');
+
+// Rank changes older than this are not worth surfacing in a feed
+const RANK_CHANGE_LOOKBACK_DAYS = 90;
+
+const RELATIONSHIP_SORT = [
+  { column: 'r.created_at', field: 'followed_at', order: 'DESC' },
+  { column: 'r.id', order: 'DESC' }
+];
+const FEED_SORT = [{ column: 'occurred_at', order: 'DESC' }, { column: 'key', order: 'DESC' }];
+
+// Follow relationships between players and the activity feed they produce
+class FeedService {
+  // Case-insensitive but exact; the exact spelling wins over names differing only by case
+  async findPlayer(username) {
+    return getRow(`
+      SELECT username, country, is_active FROM player_stats
+      WHERE LOWER(username) = LOWER($1)
+      ORDER BY username = $1 DESC, username
+      LIMIT 1
+    `, [username]);
+  }
+
+  // Returns true when a new follow was created, false when it already existed
+  async follow(follower, following) {
+    const result = await query(`
+      INSERT INTO player_relationships (follower_username, following_username, relationship_type, created_at)
+      VALUES ($1, $2, 'follow', $3)
+      ON CONFLICT (follower_username, following_username) DO NOTHING
+    `, [follower, following, Date.now()]);
+    return result.rowCount > 0;
+  }
+
+  async unfollow(follower, following) {
+    const result = await query(`
+      DELETE FROM player_relationships
+      WHERE follower_username = $1 AND following_username = $2
+    `, [follower, following]);
+    return result.rowCount > 0;
+  }
+
+  async getFollowCounts(username) {
+    const row = await getRow(`
+      SELECT
+        COUNT(*) FILTER (WHERE following_username = $1) AS followers,
+        COUNT(*) FILTER (WHERE follower_username = $1) AS following
+      FROM player_relationships
+      WHERE following_username = $1 OR follower_username = $1
+    `, [username]);
+    return { followers: parseInt(row.followers), following: parseInt(row.following) };
+  }
+
+  // direction 'followers' lists who follows `username`, 'following' lists who they follow,
+  // newest first; `page` is req.page of the pagination middleware
+  async listRelationships(username, direction, page) {
+    const [self, other] = direction === 'followers'
+      ? ['following_username', 'follower_username']
+      : ['follower_username', 'following_username'];
+    const params = [username];
+    const { where, orderBy, limit } = keyset(RELATIONSHIP_SORT, page, params);
+
+    const rows = await getRows(`
+      SELECT r.id, r.created_at AS followed_at, ps.username, ps.country, ps.avatar_url, ps.weighted_pp, ps.global_rank
+      FROM player_relationships r
+      JOIN player_stats ps ON ps.username = r.${other} AND ps.is_active = true
+      WHERE r.${self} = $1 AND ${where}
+      ORDER BY ${orderBy}
+      LIMIT ${limit}
+    `, params);
+
+    return keysetResult(rows, RELATIONSHIP_SORT, page);
+  }
+
+  // New #1s and other player_activity events, achievements and daily rank changes of everyone
+  // `username` follows, newest first
+  async getFeed(username, page) {
+    const params = [username, RANK_CHANGE_LOOKBACK_DAYS];
+    const { where, orderBy, limit } = keyset(FEED_SORT, page, params);
+
+    const rows = await getRows(`
+      WITH followed AS (
+        SELECT r.following_username AS username
+        FROM player_relationships r
+        JOIN player_stats ps ON ps.username = r.following_username AND ps.is_active = true
+        WHERE r.follower_username = $1
+      ),
+      events AS (
+        SELECT 'activity:' || pa.id AS key, pa.username, pa.activity_type AS type,
+          pa.activity_data AS data, pa.timestamp AS occurred_at
+        FROM player_activity pa
+        JOIN followed f ON f.username = pa.username
+
+        UNION ALL
+
+        SELECT 'achievement:' || pa.id, pa.username, 'achievement_unlocked',
+          jsonb_build_object(
+            'achievementId', a.id, 'name', a.name, 'description', a.description,
+            'category', a.category, 'icon', a.icon, 'points', a.points
+          ),
+          pa.unlocked_at
+        FROM player_achievements pa
+        JOIN achievements a ON a.id = pa.achievement_id
+        JOIN followed f ON f.username = pa.username
+
+        UNION ALL
+
+        SELECT 'rank:' || rc.username || ':' || rc.mode || ':' || rc.snapshot_date, rc.username, 'rank_change',
+          jsonb_build_object(
+            'mode', rc.mode, 'countryRank', rc.country_rank, 'previousCountryRank', rc.previous_rank,
+            'change', rc.previous_rank - rc.country_rank, 'globalRank', rc.global_rank
+          ),
+          (EXTRACT(EPOCH FROM rc.snapshot_date) * 1000)::bigint
+        FROM (
+          SELECT rs.*, LAG(rs.country_rank) OVER (PARTITION BY rs.username, rs.mode ORDER BY rs.snapshot_date) AS previous_rank
+          FROM rank_snapshots rs
+          JOIN followed f ON f.username = rs.username
+          WHERE rs.snapshot_date >= CURRENT_DATE - $2::int
+        ) rc
+        WHERE rc.previous_rank > 0 AND rc.country_rank > 0 AND rc.previous_rank <> rc.country_rank
+      )
+      SELECT key, username, type, data, occurred_at
+      FROM events
+      WHERE ${where}
+      ORDER BY ${orderBy}
+      LIMIT ${limit}
+    `, params);
+
+    return keysetResult(rows, FEED_SORT, page);
+  }
+}
+
+// Create singleton instance
+const feedService = new FeedService();
+
+module.exports = {
+  FeedService,
+  feedService
+};
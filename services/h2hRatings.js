@@ -0,0 +1,387 @@
+const { pool, getRow, getRows } = require('../config/db');
+const { DEFAULT_MODE } = require('../config/modes');
+const { keyset, keysetResult } = require('../middleware/pagination');
+
+// Glicko-2 ratings from shared beatmap leaderboards. Every beatmap is a set of matches between
+// each pair of a country's players on it, won by the higher score. A beatmap only makes new
+// matches for the pairs where someone set a new score since it was last processed, and all
+// matches found in one run form a single Glicko-2 rating period.
+//
+// A score is new when score_history first saw it or saw its score change. last_updated is no
+// use for this: every rescan of a leaderboard sets it, changed or not.
+
+const INITIAL_RATING = 1500;
+const INITIAL_DEVIATION = 350;
+const INITIAL_VOLATILITY = 0.06;
+// Glicko-2 system constant: how much volatility may change between periods
+const TAU = 0.5;
+const GLICKO2_SCALE = 173.7178;
+const VOLATILITY_TOLERANCE = 0.000001;
+const MAX_VOLATILITY_ITERATIONS = 100;
+// Periods a rating sits idle are counted in days, growing its deviation as Glicko-2 would
+const DAY = 24 * 60 * 60 * 1000;
+// Beatmap leaderboards processed per run; the rest wait for the next one
+const DEFAULT_BATCH_SIZE = 500;
+// score_history rows of a score first seen or changed, not only re-rated for pp
+const NEW_SCORE = "('new' = ANY(h.changes) OR 'score' = ANY(h.changes))";
+
+const g = (phi) => 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+const expectedScore = (mu, opponentMu, opponentPhi) => 1 / (1 + Math.exp(-g(opponentPhi) * (mu - opponentMu)));
+
+// Rating on the Glicko-2 scale, with the deviation grown for the idle days since its last update
+function toGlicko2(row, now = Date.now()) {
+  if (!row) {
+    return { mu: 0, phi: INITIAL_DEVIATION / GLICKO2_SCALE, sigma: INITIAL_VOLATILITY };
+  }
+
+  const sigma = Number(row.volatility);
+  const idleDays = row.updated_at ? Math.max(0, now - Number(row.updated_at)) / DAY : 0;
+  const phi = Math.min(
+    INITIAL_DEVIATION / GLICKO2_SCALE,
+    Math.sqrt(Math.pow(Number(row.deviation) / GLICKO2_SCALE, 2) + sigma * sigma * idleDays)
+  );
+
+  return { mu: (Number(row.rating) - INITIAL_RATING) / GLICKO2_SCALE, phi, sigma };
+}
+
+// New volatility by the Illinois algorithm from step 5 of Glickman's Glicko-2 paper
+function updateVolatility(phi, sigma, v, delta) {
+  const a = Math.log(sigma * sigma);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    const d = phi * phi + v + ex;
+    return (ex * (delta * delta - phi * phi - v - ex)) / (2 * d * d) - (x - a) / (TAU * TAU);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * TAU) < 0) k++;
+    B = a - k * TAU;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  for (let i = 0; i < MAX_VOLATILITY_ITERATIONS && Math.abs(B - A) > VOLATILITY_TOLERANCE; i++) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA /= 2;
+    }
+    B = C;
+    fB = fC;
+  }
+
+  return Math.exp(A / 2);
+}
+
+// One player's rating after a period of weighted results: [{ opponent, score, weight }]
+// where opponent is on the Glicko-2 scale and score is 1, 0.5 or 0
+function ratePeriod(player, results) {
+  const { mu, phi, sigma } = player;
+
+  let inverseV = 0;
+  let improvement = 0;
+  for (const { opponent, score, weight } of results) {
+    const gPhi = g(opponent.phi);
+    const expected = expectedScore(mu, opponent.mu, opponent.phi);
+    inverseV += weight * gPhi * gPhi * expected * (1 - expected);
+    improvement += weight * gPhi * (score - expected);
+  }
+
+  if (inverseV === 0) return { ...player };
+
+  const v = 1 / inverseV;
+  const newSigma = updateVolatility(phi, sigma, v, v * improvement);
+  const preRatingPhi = Math.sqrt(phi * phi + newSigma * newSigma);
+  const newPhi = 1 / Math.sqrt(1 / (preRatingPhi * preRatingPhi) + inverseV);
+
+  return { mu: mu + newPhi * newPhi * improvement, phi: newPhi, sigma: newSigma };
+}
+
+// Chance that player A beats player B on a shared beatmap, allowing for both deviations
+function winProbability(a, b) {
+  return 1 / (1 + Math.exp(-g(Math.sqrt(a.phi * a.phi + b.phi * b.phi)) * (a.mu - b.mu)));
+}
+
+// Matches on one beatmap leaderboard: every pair in which at least one player set a new score
+// (`scored_at`) since `processedThrough`. Each is weighted so a beatmap counts about as much as one match per
+// player, however many players it has.
+function beatmapMatches(scores, processedThrough) {
+  const matches = [];
+  const weight = 1 / Math.max(1, scores.length - 1);
+
+  for (let i = 0; i < scores.length; i++) {
+    for (let j = i + 1; j < scores.length; j++) {
+      const a = scores[i];
+      const b = scores[j];
+      if (processedThrough !== null && Number(a.scored_at) <= processedThrough && Number(b.scored_at) <= processedThrough) {
+        continue;
+      }
+
+      const aScore = Number(a.score);
+      const bScore = Number(b.score);
+      matches.push({
+        a: a.username,
+        b: b.username,
+        result: aScore > bScore ? 1 : aScore < bScore ? 0 : 0.5,
+        weight
+      });
+    }
+  }
+
+  return matches;
+}
+
+const toRatingRow = ({ mu, phi, sigma }) => ({
+  rating: INITIAL_RATING + mu * GLICKO2_SCALE,
+  deviation: phi * GLICKO2_SCALE,
+  volatility: sigma
+});
+
+class H2HRatingService {
+  // Turn new scores on shared leaderboards into matches and rate them as one period per mode
+  async updateRatings({ batchSize = DEFAULT_BATCH_SIZE, now = Date.now() } = {}) {
+    const pending = await getRows(`
+      SELECT n.beatmap_id, n.mode, n.country, n.scores_updated_at, p.scores_updated_at AS processed_through
+      FROM (
+        SELECT h.beatmap_id, h.mode, h.country, MAX(h.observed_at) AS scores_updated_at, COUNT(DISTINCT h.player_id) AS players
+        FROM score_history h
+        WHERE h.country IS NOT NULL AND ${NEW_SCORE}
+        GROUP BY h.beatmap_id, h.mode, h.country
+      ) n
+      LEFT JOIN h2h_processed_beatmaps p
+        ON p.beatmap_id = n.beatmap_id AND p.mode = n.mode AND p.country = n.country
+      WHERE n.players > 1 AND n.scores_updated_at > COALESCE(p.scores_updated_at, -1)
+      ORDER BY n.scores_updated_at ASC
+      LIMIT $1
+    `, [batchSize]);
+
+    if (pending.length === 0) return { beatmaps: 0, matches: 0, players: 0 };
+
+    // Scores of other countries and modes on these beatmaps come along and are left out below
+    const beatmapIds = [...new Set(pending.map(p => p.beatmap_id))];
+    const scores = await getRows(`
+      SELECT s.beatmap_id, s.mode, s.country, s.username, s.score, COALESCE(MAX(h.observed_at), 0) AS scored_at
+      FROM algeria_top50 s
+      LEFT JOIN score_history h
+        ON h.beatmap_id = s.beatmap_id AND h.player_id = s.player_id AND h.mode = s.mode AND ${NEW_SCORE}
+      WHERE s.beatmap_id IN (${beatmapIds.map((id, i) => `$${i + 1}`).join(', ')}) AND s.username IS NOT NULL
+      GROUP BY s.beatmap_id, s.mode, s.country, s.username, s.score
+    `, beatmapIds);
+
+    const scoresByBeatmap = new Map();
+    for (const score of scores) {
+      const key = `${score.beatmap_id}:${score.mode}:${score.country}`;
+      if (!scoresByBeatmap.has(key)) scoresByBeatmap.set(key, []);
+      scoresByBeatmap.get(key).push(score);
+    }
+
+    // mode -> country of each player and their matches
+    const periods = new Map();
+    let matchCount = 0;
+    for (const beatmap of pending) {
+      const beatmapScores = scoresByBeatmap.get(`${beatmap.beatmap_id}:${beatmap.mode}:${beatmap.country}`) || [];
+      const processedThrough = beatmap.processed_through === null ? null : Number(beatmap.processed_through);
+
+      if (!periods.has(beatmap.mode)) periods.set(beatmap.mode, { countries: new Map(), matches: [] });
+      const period = periods.get(beatmap.mode);
+      beatmapScores.forEach(score => period.countries.set(score.username, score.country));
+
+      const matches = beatmapMatches(beatmapScores, processedThrough);
+      period.matches.push(...matches);
+      matchCount += matches.length;
+    }
+
+    const client = await pool.connect();
+    let playerCount = 0;
+
+    try {
+      await client.query('BEGIN');
+
+      for (const [mode, period] of periods) {
+        playerCount += await this.rateModePeriod(client, mode, period, now);
+      }
+
+      for (const beatmap of pending) {
+        await client.query(`
+          INSERT INTO h2h_processed_beatmaps (beatmap_id, mode, country, scores_updated_at, processed_at)
+          VALUES ($1, $2, $3, $4, $5)
+          ON CONFLICT (beatmap_id, mode, country) DO UPDATE SET
+            scores_updated_at = EXCLUDED.scores_updated_at,
+            processed_at = EXCLUDED.processed_at
+        `, [beatmap.beatmap_id, beatmap.mode, beatmap.country, beatmap.scores_updated_at, now]);
+      }
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    return { beatmaps: pending.length, matches: matchCount, players: playerCount };
+  }
+
+  // Rate every player with matches in this period against their opponents' ratings from before it
+  async rateModePeriod(client, mode, { countries, matches }, now) {
+    if (matches.length === 0) return 0;
+
+    const usernames = [...new Set(matches.flatMap(match => [match.a, match.b]))];
+    const { rows } = await client.query(`
+      SELECT username, rating, deviation, volatility, updated_at
+      FROM h2h_ratings
+      WHERE mode = $1 AND username = ANY($2)
+    `, [mode, usernames]);
+
+    const before = new Map(usernames.map(username => [
+      username,
+      toGlicko2(rows.find(row => row.username === username), now)
+    ]));
+
+    const results = new Map(usernames.map(username => [username, { games: [], wins: 0, losses: 0, draws: 0 }]));
+    for (const { a, b, result, weight } of matches) {
+      results.get(a).games.push({ opponent: before.get(b), score: result, weight });
+      results.get(b).games.push({ opponent: before.get(a), score: 1 - result, weight });
+
+      const tally = result === 1 ? ['wins', 'losses'] : result === 0 ? ['losses', 'wins'] : ['draws', 'draws'];
+      results.get(a)[tally[0]]++;
+      results.get(b)[tally[1]]++;
+    }
+
+    for (const username of usernames) {
+      const { games, wins, losses, draws } = results.get(username);
+      const { rating, deviation, volatility } = toRatingRow(ratePeriod(before.get(username), games));
+
+      await client.query(`
+        INSERT INTO h2h_ratings (
+          username, mode, country, rating, deviation, volatility, matches, wins, losses, draws, updated_at
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        ON CONFLICT (username, mode) DO UPDATE SET
+          country = EXCLUDED.country,
+          rating = EXCLUDED.rating,
+          deviation = EXCLUDED.deviation,
+          volatility = EXCLUDED.volatility,
+          matches = h2h_ratings.matches + EXCLUDED.matches,
+          wins = h2h_ratings.wins + EXCLUDED.wins,
+          losses = h2h_ratings.losses + EXCLUDED.losses,
+          draws = h2h_ratings.draws + EXCLUDED.draws,
+          updated_at = EXCLUDED.updated_at
+      `, [
+        username, mode, countries.get(username), rating, deviation, volatility,
+        games.length, wins, losses, draws, now
+      ]);
+    }
+
+    return usernames.length;
+  }
+
+  // A page (req.page of the pagination middleware) of a country's players by head-to-head
+  // rating, with deviations grown to today
+  async getLeaderboard(country, mode = DEFAULT_MODE, page, { minMatches = 10 } = {}, now = Date.now()) {
+    const sortKeys = [{ column: 'hr.rating', order: 'DESC' }, { column: 'hr.username' }];
+    const params = [country, mode, minMatches];
+    const { where, orderBy, limit } = keyset(sortKeys, page, params);
+
+    const [rows, count] = await Promise.all([
+      getRows(`
+        SELECT hr.username, hr.rating, hr.deviation, hr.volatility, hr.matches, hr.wins, hr.losses, hr.draws,
+               hr.updated_at, ps.avatar_url, pms.country_rank, pms.weighted_pp
+        FROM h2h_ratings hr
+        LEFT JOIN player_stats ps ON ps.username = hr.username
+        LEFT JOIN player_mode_stats pms ON pms.username = hr.username AND pms.mode = hr.mode
+        WHERE hr.country = $1 AND hr.mode = $2 AND hr.matches >= $3 AND ${where}
+        ORDER BY ${orderBy}
+        LIMIT ${limit}
+      `, params),
+      getRow(`
+        SELECT COUNT(*) AS total
+        FROM h2h_ratings
+        WHERE country = $1 AND mode = $2 AND matches >= $3
+      `, [country, mode, minMatches])
+    ]);
+
+    const result = keysetResult(rows, sortKeys, page);
+    const items = result.items.map((row, index) => {
+      const { rating, deviation } = toRatingRow(toGlicko2(row, now));
+
+      return {
+        h2h_rank: result.firstRank === null ? null : result.firstRank + index,
+        username: row.username,
+        rating: Math.round(rating),
+        deviation: Math.round(deviation),
+        volatility: Math.round(Number(row.volatility) * 10000) / 10000,
+        matches: row.matches,
+        wins: row.wins,
+        losses: row.losses,
+        draws: row.draws,
+        avatar_url: row.avatar_url,
+        country_rank: row.country_rank,
+        weighted_pp: row.weighted_pp
+      };
+    });
+
+    return { ...result, items, total: parseInt(count.total) };
+  }
+
+  // The chance each of two players wins a shared beatmap, with their record on the maps they share.
+  // Returns null if either player has no rating in the mode.
+  async getMatchup(username1, username2, mode = DEFAULT_MODE, now = Date.now()) {
+    const [player1, player2] = await Promise.all([
+      getRow('SELECT * FROM h2h_ratings WHERE username ILIKE $1 AND mode = $2', [username1, mode]),
+      getRow('SELECT * FROM h2h_ratings WHERE username ILIKE $1 AND mode = $2', [username2, mode])
+    ]);
+    if (!player1 || !player2) return null;
+
+    const record = await getRow(`
+      SELECT
+        COUNT(*) AS shared_maps,
+        COUNT(*) FILTER (WHERE p1.score > p2.score) AS player1_wins,
+        COUNT(*) FILTER (WHERE p1.score < p2.score) AS player2_wins,
+        COUNT(*) FILTER (WHERE p1.score = p2.score) AS draws
+      FROM algeria_top50 p1
+      JOIN algeria_top50 p2 ON p2.beatmap_id = p1.beatmap_id AND p2.mode = p1.mode
+      WHERE p1.username = $1 AND p2.username = $2 AND p1.mode = $3
+    `, [player1.username, player2.username, mode]);
+
+    const a = toGlicko2(player1, now);
+    const b = toGlicko2(player2, now);
+    const probability = winProbability(a, b);
+    const describe = (row, glicko2) => {
+      const { rating, deviation } = toRatingRow(glicko2);
+      return { username: row.username, country: row.country, rating: Math.round(rating), deviation: Math.round(deviation), matches: row.matches };
+    };
+
+    return {
+      player1: describe(player1, a),
+      player2: describe(player2, b),
+      player1WinProbability: Math.round(probability * 1000) / 1000,
+      player2WinProbability: Math.round((1 - probability) * 1000) / 1000,
+      sharedMaps: {
+        total: parseInt(record.shared_maps),
+        player1Wins: parseInt(record.player1_wins),
+        player2Wins: parseInt(record.player2_wins),
+        draws: parseInt(record.draws)
+      }
+    };
+  }
+}
+
+// Create singleton instance
+const h2hRatingService = new H2HRatingService();
+
+module.exports = {
+  H2HRatingService,
+  h2hRatingService,
+  ratePeriod,
+  winProbability,
+  beatmapMatches
+};
@@ -0,0 +1,138 @@
+const { query, getRows, getRow } = require('../config/db');
+
+const RUN_COLUMNS = `
+  id, job_name, trigger, triggered_by, instance_id, status, started_at, heartbeat_at,
+  finished_at, duration_ms, error, counters
+`;
+
+// Keep only flat numeric/text counters from a job's result, e.g. { updated: 12, errors: 0 }
+function toCounters(result) {
+  if (!result || typeof result !== 'object' || Array.isArray(result)) return null;
+
+  const counters = {};
+  Object.entries(result).forEach(([key, value]) => {
+    if (['number', 'string', 'boolean'].includes(typeof value)) counters[key] = value;
+  });
+  return Object.keys(counters).length > 0 ? counters : null;
+}
+
+// Persistent history of scheduled job runs and the pause state of each job
+class JobRunService {
+  async start(jobName, { trigger = 'schedule', triggeredBy = null, instanceId = null } = {}) {
+    const now = Date.now();
+    return getRow(`
+      INSERT INTO job_runs (job_name, trigger, triggered_by, instance_id, status, started_at, heartbeat_at)
+      VALUES ($1, $2, $3, $4, 'running', $5, $5)
+      RETURNING ${RUN_COLUMNS}
+    `, [jobName, trigger, triggeredBy, instanceId, now]);
+  }
+
+  async heartbeat(runId) {
+    await query('UPDATE job_runs SET heartbeat_at = $1 WHERE id = $2', [Date.now(), runId]);
+  }
+
+  async finish(runId, { status, error = null, result = null }) {
+    const counters = toCounters(result);
+    return getRow(`
+      UPDATE job_runs
+      SET status = $2, error = $3, counters = $4, finished_at = $5, duration_ms = $5 - started_at
+      WHERE id = $1
+      RETURNING ${RUN_COLUMNS}
+    `, [runId, status, error, counters && JSON.stringify(counters), Date.now()]);
+  }
+
+  // Runs whose instance stopped sending heartbeats (crash or restart mid-run)
+  async markAbandoned(staleBefore) {
+    const result = await query(`
+      UPDATE job_runs
+      SET status = 'abandoned', finished_at = $1, error = 'Instance stopped during the run'
+      WHERE status = 'running' AND COALESCE(heartbeat_at, started_at) < $2
+    `, [Date.now(), staleBefore]);
+    return result.rowCount;
+  }
+
+  async getRuns(jobName, { status, limit = 20, offset = 0 } = {}) {
+    const params = [jobName, limit, offset];
+    if (status) params.push(status);
+
+    return getRows(`
+      SELECT ${RUN_COLUMNS}
+      FROM job_runs
+      WHERE job_name = $1 ${status ? 'AND status = $4' : ''}
+      ORDER BY started_at DESC, id DESC
+      LIMIT $2 OFFSET $3
+    `, params);
+  }
+
+  // Latest run, latest successful run and pause state of every job that has any
+  async getSummaries() {
+    const rows = await getRows(`
+      WITH names AS (
+        SELECT DISTINCT job_name FROM job_runs
+        UNION
+        SELECT job_name FROM job_settings
+      )
+      SELECT
+        n.job_name,
+        COALESCE(js.paused, false) AS paused,
+        js.updated_by AS paused_by,
+        js.updated_at AS paused_at,
+        last_success.finished_at AS last_success_at,
+        CASE WHEN last_run.id IS NULL THEN NULL ELSE to_jsonb(last_run) END AS last_run
+      FROM names n
+      LEFT JOIN job_settings js ON js.job_name = n.job_name
+      LEFT JOIN LATERAL (
+        SELECT ${RUN_COLUMNS}
+        FROM job_runs
+        WHERE job_name = n.job_name
+        ORDER BY started_at DESC, id DESC
+        LIMIT 1
+      ) last_run ON true
+      LEFT JOIN LATERAL (
+        SELECT finished_at
+        FROM job_runs
+        WHERE job_name = n.job_name AND status = 'success'
+        ORDER BY started_at DESC
+        LIMIT 1
+      ) last_success ON true
+    `);
+
+    return new Map(rows.map(row => [row.job_name, row]));
+  }
+
+  async isPaused(jobName) {
+    const row = await getRow('SELECT paused FROM job_settings WHERE job_name = $1', [jobName]);
+    return Boolean(row && row.paused);
+  }
+
+  async setPaused(jobName, paused, actor = null) {
+    await query(`
+      INSERT INTO job_settings (job_name, paused, updated_by, updated_at)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (job_name) DO UPDATE SET
+        paused = EXCLUDED.paused,
+        updated_by = EXCLUDED.updated_by,
+        updated_at = EXCLUDED.updated_at
+    `, [jobName, paused, actor, Date.now()]);
+  }
+
+  // Delete finished runs older than the retention window; 0 keeps everything
+  async prune(retentionDays) {
+    if (!retentionDays || retentionDays <= 0) return 0;
+
+    const result = await query(
+      "DELETE FROM job_runs WHERE status <> 'running' AND started_at < $1",
+      [Date.now() - retentionDays * 24 * 60 * 60 * 1000]
+    );
+    return result.rowCount;
+  }
+}
+
+// Create singleton instance
+const jobRunService = new JobRunService();
+
+module.exports = {
+  JobRunService,
+  jobRunService,
+  toCounters
+};
@@ -1,51 +1,49 @@
-const axios = require('axios');
 const { query, getRows, pool } = require('../config/db');
-const { getAccessToken, getBeatmapScores, getBeatmap, limiter } = require('./osuApi');
-const { saveProgress, getProgress } = require('../config/redis');
+const { getBeatmapScores, getBeatmap, searchBeatmapsets } = require('./osuApi');
+const { beatmapQueueService, PRIORITY } = require('./beatmapQueue');
 const { updatePlayerSkills } = require('./skillCalculator');
 const { checkAchievements } = require('./achievements');
+const { scoreHistoryService } = require('./scoreHistory');
+const { discordService } = require('./discord');
+const { broadcastToClients } = require('../middleware/websocket');
+const { isTrackedCountry, normalizeCountry } = require('../config/countries');
+const { DEFAULT_MODE, getModeInfo } = require('../config/modes');
+const { PPCalculator } = require('./ppCalculator');
 
 // Leaderboard fetching and management
 class LeaderboardService {
   constructor() {
     this.maxRetries = 3;
-    this.batchSize = 50;
   }
 
-  // Fetch leaderboard for a specific beatmap
-  async fetchLeaderboard(beatmapId, beatmapTitle) {
+  // Fetch leaderboard for a specific beatmap in one game mode. Queued fetches pass retries: 1
+  // since the queue retries them itself.
+  async fetchLeaderboard(beatmapId, beatmapTitle, mode = DEFAULT_MODE, { retries = this.maxRetries } = {}) {
     let attempt = 0;
     
-    while (attempt < this.maxRetries) {
+    while (attempt < retries) {
       try {
-        const token = await getAccessToken();
-        
-        const [scoresRes, beatmapRes] = await Promise.all([
-          axios.get(`https://osu.ppy.sh/api/v2/beatmaps/${beatmapId}/scores`, {
-            headers: { Authorization: `Bearer ${token}` }
-          }),
-          axios.get(`https://osu.ppy.sh/api/v2/beatmaps/${beatmapId}`, {
-            headers: { Authorization: `Bearer ${token}` }
-          }).catch(() => ({ data: null }))
+        const [scoresRes, beatmapInfo] = await Promise.all([
+          getBeatmapScores(beatmapId, 50, mode),
+          getBeatmap(beatmapId).catch(() => null)
         ]);
         
-        const scores = scoresRes.data.scores || [];
-        const beatmapInfo = beatmapRes.data;
-        const algerianScores = scores.filter(s => s.user?.country?.code === 'DZ');
+        const scores = scoresRes.scores || [];
+        const trackedScores = scores.filter(s => isTrackedCountry(s.user?.country?.code));
         
-        if (algerianScores.length > 0) {
-          await this.saveBeatmapScores(beatmapId, beatmapTitle, algerianScores, beatmapInfo);
+        if (trackedScores.length > 0) {
+          await this.saveBeatmapScores(beatmapId, beatmapTitle, trackedScores, beatmapInfo, mode);
           
-          // Broadcast to clients if available
-          if (global.broadcastToClients) {
-            global.broadcastToClients({
-              type: 'new_scores',
-              beatmapId,
-              beatmapTitle,
-              scoresCount: algerianScores.length,
-              topScore: algerianScores[0]
-            });
-          }
+          // Broadcast to clients and webhook subscribers
+          broadcastToClients({
+            type: 'new_scores',
+            beatmapId,
+            beatmapTitle,
+            mode,
+            scoresCount: trackedScores.length,
+            countries: [...new Set(trackedScores.map(s => normalizeCountry(s.user.country.code)))],
+            topScore: trackedScores[0]
+          });
         }
         
         if (beatmapInfo) {
@@ -54,14 +52,14 @@ class LeaderboardService {
         
         return {
           success: true,
-          algerianScores: algerianScores.length,
+          trackedScores: trackedScores.length,
           totalScores: scores.length
         };
         
       } catch (err) {
         attempt++;
-        if (attempt >= this.maxRetries) {
-          console.warn(`Failed to fetch ${beatmapId} after ${this.maxRetries} attempts:`, err.message);
+        if (attempt >= retries) {
+          console.warn(`Failed to fetch ${beatmapId} after ${retries} attempts:`, err.message);
           return { success: false, error: err.message };
         }
         
@@ -72,32 +70,43 @@ class LeaderboardService {
   }
 
   // Save beatmap scores to database
-  async saveBeatmapScores(beatmapId, beatmapTitle, algerianScores, beatmapInfo) {
+  // Scores may belong to several tracked countries; ranks are per country and mode
+  async saveBeatmapScores(beatmapId, beatmapTitle, trackedScores, beatmapInfo, mode = DEFAULT_MODE) {
     const now = Date.now();
     const client = await pool.connect();
+    const countryPositions = {};
+    const newFirsts = [];
     
     try {
       await client.query('BEGIN');
       
-      for (let i = 0; i < algerianScores.length; i++) {
-        const s = algerianScores[i];
+      for (const s of trackedScores) {
+        const country = normalizeCountry(s.user.country?.code);
+        const rank = countryPositions[country] = (countryPositions[country] || 0) + 1;
         const mods = s.mods?.length ? s.mods.join(',') : 'None';
+        const pp = this.getScorePP(s, beatmapInfo, mode);
         
         // Check for new #1 score
         const existingTop = await client.query(
-          'SELECT username, rank FROM algeria_top50 WHERE beatmap_id = $1 ORDER BY rank ASC LIMIT 1',
-          [beatmapId]
+          'SELECT username, rank FROM algeria_top50 WHERE beatmap_id = $1 AND country = $2 AND mode = $3 ORDER BY rank ASC LIMIT 1',
+          [beatmapId, country, mode]
         );
         
-        const isNewFirst = i === 0 && (!existingTop.rows[0] || existingTop.rows[0].username !== s.user.username);
+        const isNewFirst = rank === 1 && (!existingTop.rows[0] || existingTop.rows[0].username !== s.user.username);
+        
+        // Previous version of this score, diffed into score_history after the upsert
+        const previous = await client.query(
+          'SELECT score, pp, accuracy, mods FROM algeria_top50 WHERE beatmap_id = $1 AND player_id = $2 AND mode = $3',
+          [beatmapId, s.user.id, mode]
+        );
         
         await client.query(`
           INSERT INTO algeria_top50
             (beatmap_id, beatmap_title, artist, difficulty_name, player_id, username, rank, score, 
              accuracy, accuracy_text, mods, pp, difficulty_rating, max_combo, count_300, count_100, 
-             count_50, count_miss, play_date, last_updated)
-          VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20)
-          ON CONFLICT (beatmap_id, player_id) DO UPDATE SET
+             count_50, count_miss, play_date, last_updated, country, mode)
+          VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22)
+          ON CONFLICT (beatmap_id, player_id, mode) DO UPDATE SET
             beatmap_title = EXCLUDED.beatmap_title,
             artist = EXCLUDED.artist,
             difficulty_name = EXCLUDED.difficulty_name,
@@ -115,40 +124,57 @@ class LeaderboardService {
             count_50 = EXCLUDED.count_50,
             count_miss = EXCLUDED.count_miss,
             play_date = EXCLUDED.play_date,
-            last_updated = EXCLUDED.last_updated
+            last_updated = EXCLUDED.last_updated,
+            country = EXCLUDED.country
         `, [
           beatmapId, beatmapTitle,
           beatmapInfo?.beatmapset?.artist || 'Unknown',
           beatmapInfo?.version || 'Unknown',
-          s.user.id, s.user.username, i + 1, s.score,
+          s.user.id, s.user.username, rank, s.score,
           s.accuracy, `${(s.accuracy * 100).toFixed(2)}%`,
-          mods, s.pp || 0, beatmapInfo?.difficulty_rating || 0,
+          mods, pp, beatmapInfo?.difficulty_rating || 0,
           s.max_combo || 0, s.statistics?.count_300 || 0,
           s.statistics?.count_100 || 0, s.statistics?.count_50 || 0,
           s.statistics?.count_miss || 0,
-          new Date(s.created_at).getTime(), now
+          new Date(s.created_at).getTime(), now, country, mode
         ]);
         
+        await scoreHistoryService.recordScore(client, previous.rows[0], {
+          beatmapId, playerId: s.user.id, username: s.user.username, country, mode, rank,
+          score: s.score, pp, accuracy: s.accuracy, mods,
+          maxCombo: s.max_combo || 0, countMiss: s.statistics?.count_miss || 0,
+          playDate: new Date(s.created_at).getTime(), observedAt: now
+        });
+        
         if (isNewFirst) {
+          // player_activity references player_stats, which updatePlayerStats only fills after the commit
+          await client.query(`
+            INSERT INTO player_stats (username, country)
+            VALUES ($1, $2)
+            ON CONFLICT (username) DO NOTHING
+          `, [s.user.username, country]);
+
           await client.query(`
             INSERT INTO player_activity (username, activity_type, activity_data)
             VALUES ($1, 'new_first_place', $2)
           `, [s.user.username, JSON.stringify({
-            beatmapId, beatmapTitle, score: s.score, pp: s.pp, mods
+            beatmapId, beatmapTitle, country, mode, score: s.score, pp, mods
           })]);
           
-          // Send notification if configured
-          if (process.env.DISCORD_WEBHOOK_URL) {
-            await this.sendDiscordNotification(s, beatmapTitle, beatmapId, 'new_first');
-          }
+          newFirsts.push({ score: s, country, mode, mods, pp, previousHolder: existingTop.rows[0]?.username });
         }
       }
       
       await client.query('COMMIT');
       
+      // Notify only once the new #1s are committed
+      for (const first of newFirsts) {
+        await this.sendDiscordNotification(first.score, beatmapTitle, beatmapId, first);
+      }
+      
       // Update player stats for all affected players
-      for (const score of algerianScores) {
-        await this.updatePlayerStats(score.user.username);
+      for (const score of trackedScores) {
+        await this.updatePlayerStats(score.user.username, normalizeCountry(score.user.country?.code), mode);
         await checkAchievements(score.user.username);
       }
       
@@ -160,6 +186,25 @@ class LeaderboardService {
     }
   }
 
+  // Loved and unranked scores come back with pp: null, so work it out from the beatmap
+  getScorePP(score, beatmapInfo, mode = DEFAULT_MODE) {
+    if (score.pp != null) return score.pp;
+    if (!beatmapInfo) return 0;
+
+    const pp = PPCalculator.calculateForApiScore({
+      difficulty_rating: beatmapInfo.difficulty_rating,
+      cs: beatmapInfo.cs,
+      ar: beatmapInfo.ar,
+      od: beatmapInfo.accuracy,
+      hp: beatmapInfo.drain,
+      max_combo: beatmapInfo.max_combo,
+      count_circles: beatmapInfo.count_circles,
+      count_sliders: beatmapInfo.count_sliders,
+      count_spinners: beatmapInfo.count_spinners
+    }, score, mode);
+    return pp ?? 0;
+  }
+
   // Save beatmap metadata
   async saveBeatmapMetadata(beatmapInfo) {
     try {
@@ -169,8 +214,9 @@ class LeaderboardService {
         INSERT INTO beatmap_metadata (
           beatmap_id, beatmapset_id, artist, title, version, creator,
           difficulty_rating, cs, ar, od, hp, length, bpm, max_combo,
-          play_count, favorite_count, ranked_date, last_updated
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+          play_count, favorite_count, ranked_date, last_updated,
+          count_circles, count_sliders, count_spinners, checksum
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)
         ON CONFLICT (beatmap_id) DO UPDATE SET
           artist = EXCLUDED.artist,
           title = EXCLUDED.title,
@@ -186,7 +232,11 @@ class LeaderboardService {
           max_combo = EXCLUDED.max_combo,
           play_count = EXCLUDED.play_count,
           favorite_count = EXCLUDED.favorite_count,
-          last_updated = EXCLUDED.last_updated
+          last_updated = EXCLUDED.last_updated,
+          count_circles = EXCLUDED.count_circles,
+          count_sliders = EXCLUDED.count_sliders,
+          count_spinners = EXCLUDED.count_spinners,
+          checksum = COALESCE(EXCLUDED.checksum, beatmap_metadata.checksum)
       `, [
         beatmapInfo.id, beatmapset.id, beatmapset.artist, beatmapset.title,
         beatmapInfo.version, beatmapset.creator, beatmapInfo.difficulty_rating,
@@ -194,19 +244,22 @@ class LeaderboardService {
         beatmapInfo.total_length, beatmapInfo.bpm, beatmapInfo.max_combo,
         beatmapInfo.playcount, beatmapset.favourite_count,
         beatmapset.ranked_date ? new Date(beatmapset.ranked_date).getTime() : null,
-        Date.now()
+        Date.now(),
+        beatmapInfo.count_circles ?? null, beatmapInfo.count_sliders ?? null, beatmapInfo.count_spinners ?? null,
+        beatmapInfo.checksum || null
       ]);
     } catch (err) {
       console.error('Beatmap metadata save failed:', err.message);
     }
   }
 
-  // Update player statistics based on their scores
-  async updatePlayerStats(username) {
+  // Update player statistics based on their scores in one mode
+  // player_stats keeps the default mode summary, player_mode_stats keeps every mode
+  async updatePlayerStats(username, country = null, mode = DEFAULT_MODE) {
     try {
       const playerScores = await getRows(`
-        SELECT * FROM algeria_top50 WHERE username = $1
-      `, [username]);
+        SELECT * FROM algeria_top50 WHERE username = $1 AND mode = $2
+      `, [username, mode]);
       
       if (playerScores.length === 0) return;
       
@@ -224,12 +277,41 @@ class LeaderboardService {
         return sum + (score.pp || 0) * Math.pow(0.95, index);
       }, 0);
       
+      const stats = [username, totalScores, avgRank, bestScore, totalPP, weightedPP, 
+        firstPlaces, top10Places, avgAccuracy, now, country, playerScores[0].country];
+      
+      if (mode === DEFAULT_MODE) {
+        await query(`
+          INSERT INTO player_stats (
+            username, total_scores, avg_rank, best_score, total_pp, weighted_pp,
+            first_places, top_10_places, accuracy_avg, last_calculated, country
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, COALESCE($11, $12))
+          ON CONFLICT (username) DO UPDATE SET
+            total_scores = EXCLUDED.total_scores,
+            avg_rank = EXCLUDED.avg_rank,
+            best_score = EXCLUDED.best_score,
+            total_pp = EXCLUDED.total_pp,
+            weighted_pp = EXCLUDED.weighted_pp,
+            first_places = EXCLUDED.first_places,
+            top_10_places = EXCLUDED.top_10_places,
+            accuracy_avg = EXCLUDED.accuracy_avg,
+            last_calculated = EXCLUDED.last_calculated,
+            country = COALESCE($11, player_stats.country)
+        `, stats);
+      } else {
+        await query(`
+          INSERT INTO player_stats (username, country)
+          VALUES ($1, COALESCE($2, $3))
+          ON CONFLICT (username) DO NOTHING
+        `, [username, country, playerScores[0].country]);
+      }
+      
       await query(`
-        INSERT INTO player_stats (
+        INSERT INTO player_mode_stats (
           username, total_scores, avg_rank, best_score, total_pp, weighted_pp,
-          first_places, top_10_places, accuracy_avg, last_calculated
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-        ON CONFLICT (username) DO UPDATE SET
+          first_places, top_10_places, accuracy_avg, last_calculated, country, mode
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, COALESCE($11, $12), $13)
+        ON CONFLICT (username, mode) DO UPDATE SET
           total_scores = EXCLUDED.total_scores,
           avg_rank = EXCLUDED.avg_rank,
           best_score = EXCLUDED.best_score,
@@ -238,38 +320,34 @@ class LeaderboardService {
           first_places = EXCLUDED.first_places,
           top_10_places = EXCLUDED.top_10_places,
           accuracy_avg = EXCLUDED.accuracy_avg,
-          last_calculated = EXCLUDED.last_calculated
-      `, [username, totalScores, avgRank, bestScore, totalPP, weightedPP, 
-          firstPlaces, top10Places, avgAccuracy, now]);
+          last_calculated = EXCLUDED.last_calculated,
+          country = EXCLUDED.country
+      `, [...stats, mode]);
       
       // Update skills
-      await updatePlayerSkills(username, playerScores);
+      await updatePlayerSkills(username, mode);
       
     } catch (err) {
       console.error('Player stats update failed:', err.message);
     }
   }
 
-  // Get all beatmaps for scanning
-  async getAllBeatmaps() {
+  // Get all beatmaps for scanning in one mode
+  async getAllBeatmaps(mode = DEFAULT_MODE) {
     let allBeatmaps = [];
     let page = 1;
     const maxPages = 30; // Reduced for faster scanning
     
     while (page <= maxPages) {
       try {
-        const token = await getAccessToken();
-        const res = await axios.get('https://osu.ppy.sh/api/v2/beatmapsets/search', {
-          headers: { Authorization: `Bearer ${token}` },
-          params: { mode: 'osu', nsfw: false, sort: 'ranked_desc', page, 's': 'ranked' }
-        });
+        const res = await searchBeatmapsets({ m: getModeInfo(mode).id, page });
         
-        const sets = res.data.beatmapsets || [];
+        const sets = res.beatmapsets || [];
         if (sets.length === 0) break;
         
         const beatmaps = sets.flatMap(set =>
           (set.beatmaps || [])
-            .filter(bm => bm.difficulty_rating >= 2.0)
+            .filter(bm => bm.mode === mode && bm.difficulty_rating >= 2.0)
             .map(bm => ({ 
               id: bm.id, 
               title: `${set.artist} - ${set.title} [${bm.version}]`, 
@@ -289,89 +367,90 @@ class LeaderboardService {
     return allBeatmaps;
   }
 
-  // Main update function
-  async updateLeaderboards() {
-    console.log("🔄 Starting leaderboards update...");
+  // Main update function: queue the mode's known and newly ranked beatmaps, then fetch the next
+  // batch from the queue. Whatever is left waits in Redis for the next run.
+  async updateLeaderboards(mode = DEFAULT_MODE) {
+    console.log(`🔄 Starting ${getModeInfo(mode).name} leaderboards update...`);
     try {
-      const beatmaps = await this.getAllBeatmaps();
-      await saveProgress("total_beatmaps", beatmaps.length);
-      
-      // Priority: Update known beatmaps first
-      const priorityBeatmaps = await getRows(`
+      // Known beatmaps go first, least recently updated first
+      const knownBeatmaps = await getRows(`
         SELECT beatmap_id, MIN(beatmap_title) AS beatmap_title
         FROM algeria_top50
+        WHERE mode = $1
         GROUP BY beatmap_id
         ORDER BY MIN(last_updated) ASC
         LIMIT 100
-      `);
+      `, [mode]);
+      const knownQueued = await beatmapQueueService.enqueue(
+        mode,
+        knownBeatmaps.map(bm => ({ beatmapId: bm.beatmap_id, title: bm.beatmap_title })),
+        PRIORITY.KNOWN
+      );
       
-      if (priorityBeatmaps.length > 0) {
-        console.log(`⚡ Priority scanning ${priorityBeatmaps.length} known beatmaps`);
-        for (const bm of priorityBeatmaps) {
-          await limiter.schedule(() => this.fetchLeaderboard(bm.beatmap_id, bm.beatmap_title));
-        }
-      }
-      
-      // Regular scanning
-      let startIndex = parseInt(await getProgress("last_index") || "0", 10);
-      if (startIndex >= beatmaps.length) {
-        startIndex = 0;
-        await saveProgress("last_index", "0");
-      }
+      const rankedBeatmaps = await this.getAllBeatmaps(mode);
+      const rankedQueued = await beatmapQueueService.enqueue(
+        mode,
+        rankedBeatmaps.map(bm => ({ beatmapId: bm.id, title: bm.title })),
+        PRIORITY.RANKED
+      );
       
-      console.log(`📌 Regular scanning from index ${startIndex}/${beatmaps.length}`);
+      console.log(`📌 Queued ${knownQueued} known and ${rankedQueued} ranked beatmaps`);
       
-      for (let i = startIndex; i < Math.min(startIndex + this.batchSize, beatmaps.length); i++) {
-        const bm = beatmaps[i];
-        await limiter.schedule(() => this.fetchLeaderboard(bm.id, bm.title));
-        await saveProgress("last_index", i + 1);
-        
-        if (i % 10 === 0 && global.broadcastToClients) {
-          global.broadcastToClients({
-            type: 'scan_progress',
-            progress: {
-              current: i,
-              total: beatmaps.length,
-              percentage: ((i / beatmaps.length) * 100).toFixed(2)
-            }
-          });
+      const totals = await beatmapQueueService.process(mode, async (job) => {
+        const result = await this.fetchLeaderboard(job.beatmapId, job.title, mode, { retries: 1 });
+        if (!result.success) throw new Error(result.error);
+        return result;
+      }, {
+        onProgress: ({ processed, failed }) => {
+          const done = processed + failed;
+          if (done % 10 === 0) {
+            broadcastToClients({ type: 'scan_progress', mode, progress: { processed, failed } });
+          }
         }
-      }
+      });
       
-      console.log("✅ Leaderboard update completed");
+      const queue = (await beatmapQueueService.getStats())[mode];
+      console.log(`✅ Leaderboard update completed: ${totals.processed} fetched, ${totals.failed} failed, ${queue ? queue.pending + queue.delayed : '?'} left in the queue`);
       
-      if (global.broadcastToClients) {
-        global.broadcastToClients({
-          type: 'scan_complete',
-          timestamp: Date.now()
-        });
-      }
+      broadcastToClients({
+        type: 'scan_complete',
+        mode,
+        timestamp: Date.now()
+      });
       
-      return { success: true, beatmapsScanned: beatmaps.length };
+      return { success: true, mode, queued: knownQueued + rankedQueued, ...totals };
     } catch (err) {
       console.error('❌ Leaderboard update failed:', err.message);
       
-      if (global.broadcastToClients) {
-        global.broadcastToClients({
-          type: 'scan_error',
-          error: err.message,
-          timestamp: Date.now()
-        });
-      }
+      broadcastToClients({
+        type: 'scan_error',
+        mode,
+        error: err.message,
+        timestamp: Date.now()
+      });
       
       throw err;
     }
   }
 
-  // Send Discord notification
-  async sendDiscordNotification(score, beatmapTitle, beatmapId, type) {
-    // Placeholder for Discord notification
-    // Implementation would depend on specific webhook setup
-    return;
+  // Send Discord notification for a new #1
+  async sendDiscordNotification(score, beatmapTitle, beatmapId, { country, mods, pp = score.pp, previousHolder, mode = DEFAULT_MODE }) {
+    return discordService.notify('new_first', {
+      beatmapId,
+      beatmapTitle,
+      username: score.user.username,
+      country,
+      mode,
+      score: score.score,
+      pp,
+      accuracy: score.accuracy,
+      mods,
+      previousHolder
+    });
   }
 
   // Get leaderboard statistics
-  async getLeaderboardStats() {
+  async getLeaderboardStats(country, mode = DEFAULT_MODE) {
     try {
       const stats = await getRows(`
         SELECT 
@@ -383,13 +462,14 @@ class LeaderboardService {
           SUM(pp) as total_pp,
           COUNT(CASE WHEN rank = 1 THEN 1 END) as first_places
         FROM algeria_top50
-      `);
+        WHERE country = $1 AND mode = $2
+      `, [country, mode]);
 
       const recentActivity = await getRows(`
         SELECT COUNT(*) as recent_scores
         FROM algeria_top50
-        WHERE last_updated > $1
-      `, [Date.now() - (24 * 60 * 60 * 1000)]);
+        WHERE last_updated > $1 AND country = $2 AND mode = $3
+      `, [Date.now() - (24 * 60 * 60 * 1000), country, mode]);
 
       return {
         ...stats[0],
@@ -402,7 +482,8 @@ class LeaderboardService {
   }
 
   // Get top performers on a specific beatmap
-  async getBeatmapLeaderboard(beatmapId, limit = 50) {
+  // limit = null returns the whole country leaderboard
+  async getBeatmapLeaderboard(beatmapId, country, mode = DEFAULT_MODE, limit = null) {
     try {
       return await getRows(`
         SELECT 
@@ -410,10 +491,10 @@ class LeaderboardService {
           max_combo, count_300, count_100, count_50, count_miss,
           play_date, last_updated
         FROM algeria_top50
-        WHERE beatmap_id = $1
-        ORDER BY rank ASC
-        LIMIT $2
-      `, [beatmapId, limit]);
+        WHERE beatmap_id = $1 AND country = $2 AND mode = $3
+        ORDER BY rank ASC, username
+        LIMIT $4
+      `, [beatmapId, country, mode, limit]);
     } catch (err) {
       console.error('Failed to get beatmap leaderboard:', err.message);
       return [];
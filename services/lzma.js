@@ -0,0 +1,304 @@
+// LZMA decoder for the "LZMA alone" (.lzma) container that osu! replays use, following the
+// reference decoder in the LZMA SDK (LzmaSpec.cpp). Header: one properties byte (lc/lp/pb),
+// a 32-bit dictionary size and a 64-bit uncompressed size (all ones when unknown).
+
+const HEADER_SIZE = 13;
+// Largest output decompress() produces unless the caller asks for less
+const MAX_OUTPUT_SIZE = 0x7FFFFFFF;
+
+const NUM_BIT_MODEL_TOTAL_BITS = 11;
+const BIT_MODEL_TOTAL = 1 << NUM_BIT_MODEL_TOTAL_BITS;
+const NUM_MOVE_BITS = 5;
+const TOP_VALUE = 1 << 24;
+
+const NUM_STATES = 12;
+const NUM_POS_BITS_MAX = 4;
+const NUM_LEN_TO_POS_STATES = 4;
+const NUM_ALIGN_BITS = 4;
+const START_POS_MODEL_INDEX = 4;
+const END_POS_MODEL_INDEX = 14;
+const NUM_FULL_DISTANCES = 1 << (END_POS_MODEL_INDEX >>> 1);
+const MATCH_MIN_LEN = 2;
+const END_MARKER_DISTANCE = 0xFFFFFFFF;
+
+class LzmaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LzmaError';
+  }
+}
+
+const createProbs = (count) => new Uint16Array(count).fill(BIT_MODEL_TOTAL >>> 1);
+
+class RangeDecoder {
+  constructor(input, offset) {
+    this.input = input;
+    this.offset = offset;
+    this.range = 0xFFFFFFFF;
+    this.code = 0;
+
+    if (this.nextByte() !== 0) throw new LzmaError('Corrupted range coder header');
+    for (let i = 0; i < 4; i++) this.code = ((this.code << 8) | this.nextByte()) >>> 0;
+    if (this.code === this.range) throw new LzmaError('Corrupted range coder header');
+  }
+
+  nextByte() {
+    if (this.offset >= this.input.length) throw new LzmaError('Unexpected end of compressed data');
+    return this.input[this.offset++];
+  }
+
+  normalize() {
+    if (this.range < TOP_VALUE) {
+      this.range = (this.range << 8) >>> 0;
+      this.code = ((this.code << 8) | this.nextByte()) >>> 0;
+    }
+  }
+
+  decodeDirectBits(numBits) {
+    let result = 0;
+    for (let i = 0; i < numBits; i++) {
+      this.range >>>= 1;
+      let bit = 1;
+      if (this.code >= this.range) {
+        this.code -= this.range;
+      } else {
+        bit = 0;
+      }
+      this.normalize();
+      result = result * 2 + bit;
+    }
+    return result;
+  }
+
+  decodeBit(probs, index) {
+    const prob = probs[index];
+    const bound = (this.range >>> NUM_BIT_MODEL_TOTAL_BITS) * prob;
+    let bit;
+
+    if (this.code < bound) {
+      probs[index] = prob + ((BIT_MODEL_TOTAL - prob) >>> NUM_MOVE_BITS);
+      this.range = bound;
+      bit = 0;
+    } else {
+      probs[index] = prob - (prob >>> NUM_MOVE_BITS);
+      this.code -= bound;
+      this.range -= bound;
+      bit = 1;
+    }
+
+    this.normalize();
+    return bit;
+  }
+
+  decodeBitTree(probs, numBits, offset = 0) {
+    let m = 1;
+    for (let i = 0; i < numBits; i++) m = (m << 1) + this.decodeBit(probs, offset + m);
+    return m - (1 << numBits);
+  }
+
+  decodeReverseBitTree(probs, numBits, offset = 0) {
+    let m = 1;
+    let symbol = 0;
+    for (let i = 0; i < numBits; i++) {
+      const bit = this.decodeBit(probs, offset + m);
+      m = (m << 1) + bit;
+      symbol |= bit << i;
+    }
+    return symbol;
+  }
+}
+
+// Match lengths: 0-7 and 8-15 per position state, then 16-271 shared
+class LenDecoder {
+  constructor() {
+    this.choice = createProbs(2);
+    this.low = createProbs(1 << (NUM_POS_BITS_MAX + 3));
+    this.mid = createProbs(1 << (NUM_POS_BITS_MAX + 3));
+    this.high = createProbs(1 << 8);
+  }
+
+  decode(rc, posState) {
+    if (rc.decodeBit(this.choice, 0) === 0) return rc.decodeBitTree(this.low, 3, posState << 3);
+    if (rc.decodeBit(this.choice, 1) === 0) return 8 + rc.decodeBitTree(this.mid, 3, posState << 3);
+    return 16 + rc.decodeBitTree(this.high, 8);
+  }
+}
+
+// Growing output buffer, never past maxSize; the whole output doubles as the dictionary
+class OutputBuffer {
+  constructor(expectedSize, maxSize) {
+    this.data = new Uint8Array(expectedSize !== null ? expectedSize : Math.min(1 << 16, maxSize));
+    this.length = 0;
+    this.maxSize = maxSize;
+  }
+
+  putByte(byte) {
+    if (this.length === this.data.length) {
+      if (this.length >= this.maxSize) throw new LzmaError(`Decompressed data is larger than ${this.maxSize} bytes`);
+      const grown = new Uint8Array(Math.min(this.data.length * 2, this.maxSize));
+      grown.set(this.data);
+      this.data = grown;
+    }
+    this.data[this.length++] = byte;
+  }
+
+  getByte(distance) {
+    return this.data[this.length - distance];
+  }
+
+  toBuffer() {
+    return Buffer.from(this.data.buffer, this.data.byteOffset, this.length);
+  }
+}
+
+function readHeader(input) {
+  if (input.length < HEADER_SIZE) throw new LzmaError('Data is too short to be LZMA');
+
+  let d = input[0];
+  if (d >= 9 * 5 * 5) throw new LzmaError('Invalid LZMA properties');
+  const lc = d % 9;
+  d = Math.floor(d / 9);
+  const lp = d % 5;
+  const pb = Math.floor(d / 5);
+
+  const dictSize = input.readUInt32LE(1);
+  const low = input.readUInt32LE(5);
+  const high = input.readUInt32LE(9);
+  const unpackSize = low === 0xFFFFFFFF && high === 0xFFFFFFFF ? null : high * 0x100000000 + low;
+
+  return { lc, lp, pb, dictSize, unpackSize };
+}
+
+// Decompress an LZMA-alone buffer. Stops at the declared size, or at the end marker when the size is unknown.
+// Throws rather than produce more than maxSize bytes, whether declared or not.
+function decompress(input, { maxSize = MAX_OUTPUT_SIZE } = {}) {
+  if (!Buffer.isBuffer(input)) input = Buffer.from(input);
+  const { lc, lp, pb, unpackSize } = readHeader(input);
+  const limit = Math.min(maxSize, MAX_OUTPUT_SIZE);
+  if (unpackSize !== null && unpackSize > limit) throw new LzmaError('Declared size is too large');
+
+  const out = new OutputBuffer(unpackSize, limit);
+  if (unpackSize === 0) return out.toBuffer();
+
+  const rc = new RangeDecoder(input, HEADER_SIZE);
+  const literalProbs = createProbs(0x300 << (lc + lp));
+  const posSlotProbs = createProbs(NUM_LEN_TO_POS_STATES << 6);
+  const posProbs = createProbs(1 + NUM_FULL_DISTANCES - END_POS_MODEL_INDEX);
+  const alignProbs = createProbs(1 << NUM_ALIGN_BITS);
+  const isMatch = createProbs(NUM_STATES << NUM_POS_BITS_MAX);
+  const isRep = createProbs(NUM_STATES);
+  const isRepG0 = createProbs(NUM_STATES);
+  const isRepG1 = createProbs(NUM_STATES);
+  const isRepG2 = createProbs(NUM_STATES);
+  const isRep0Long = createProbs(NUM_STATES << NUM_POS_BITS_MAX);
+  const lenDecoder = new LenDecoder();
+  const repLenDecoder = new LenDecoder();
+
+  const pbMask = (1 << pb) - 1;
+  const lpMask = (1 << lp) - 1;
+  let state = 0;
+  let rep0 = 0;
+  let rep1 = 0;
+  let rep2 = 0;
+  let rep3 = 0;
+
+  const done = () => unpackSize !== null && out.length >= unpackSize;
+
+  const decodeLiteral = () => {
+    const prevByte = out.length > 0 ? out.getByte(1) : 0;
+    const offset = 0x300 * (((out.length & lpMask) << lc) + (prevByte >>> (8 - lc)));
+    let symbol = 1;
+
+    if (state >= 7) {
+      let matchByte = out.getByte(rep0 + 1);
+      while (symbol < 0x100) {
+        const matchBit = (matchByte >>> 7) & 1;
+        matchByte <<= 1;
+        const bit = rc.decodeBit(literalProbs, offset + ((1 + matchBit) << 8) + symbol);
+        symbol = (symbol << 1) | bit;
+        if (matchBit !== bit) break;
+      }
+    }
+    while (symbol < 0x100) symbol = (symbol << 1) | rc.decodeBit(literalProbs, offset + symbol);
+
+    out.putByte(symbol - 0x100);
+  };
+
+  const decodeDistance = (len) => {
+    const lenState = Math.min(len, NUM_LEN_TO_POS_STATES - 1);
+    const posSlot = rc.decodeBitTree(posSlotProbs, 6, lenState << 6);
+    if (posSlot < START_POS_MODEL_INDEX) return posSlot;
+
+    const numDirectBits = (posSlot >>> 1) - 1;
+    let dist = (2 | (posSlot & 1)) * Math.pow(2, numDirectBits);
+    if (posSlot < END_POS_MODEL_INDEX) {
+      dist += rc.decodeReverseBitTree(posProbs, numDirectBits, dist - posSlot);
+    } else {
+      dist += rc.decodeDirectBits(numDirectBits - NUM_ALIGN_BITS) * (1 << NUM_ALIGN_BITS);
+      dist += rc.decodeReverseBitTree(alignProbs, NUM_ALIGN_BITS);
+    }
+    return dist;
+  };
+
+  while (!done()) {
+    const posState = out.length & pbMask;
+
+    if (rc.decodeBit(isMatch, (state << NUM_POS_BITS_MAX) + posState) === 0) {
+      decodeLiteral();
+      state = state < 4 ? 0 : state < 10 ? state - 3 : state - 6;
+      continue;
+    }
+
+    let len;
+    if (rc.decodeBit(isRep, state) !== 0) {
+      if (out.length === 0) throw new LzmaError('Repeated match before any output');
+
+      if (rc.decodeBit(isRepG0, state) === 0) {
+        if (rc.decodeBit(isRep0Long, (state << NUM_POS_BITS_MAX) + posState) === 0) {
+          state = state < 7 ? 9 : 11;
+          out.putByte(out.getByte(rep0 + 1));
+          continue;
+        }
+      } else {
+        let dist;
+        if (rc.decodeBit(isRepG1, state) === 0) {
+          dist = rep1;
+        } else {
+          if (rc.decodeBit(isRepG2, state) === 0) {
+            dist = rep2;
+          } else {
+            dist = rep3;
+            rep3 = rep2;
+          }
+          rep2 = rep1;
+        }
+        rep1 = rep0;
+        rep0 = dist;
+      }
+      len = repLenDecoder.decode(rc, posState);
+      state = state < 7 ? 8 : 11;
+    } else {
+      rep3 = rep2;
+      rep2 = rep1;
+      rep1 = rep0;
+      len = lenDecoder.decode(rc, posState);
+      state = state < 7 ? 7 : 10;
+      rep0 = decodeDistance(len);
+
+      if (rep0 === END_MARKER_DISTANCE) break;
+      if (rep0 >= out.length) throw new LzmaError('Match distance is beyond the decoded data');
+    }
+
+    len += MATCH_MIN_LEN;
+    if (unpackSize !== null) len = Math.min(len, unpackSize - out.length);
+    for (let i = 0; i < len; i++) out.putByte(out.getByte(rep0 + 1));
+  }
+
+  if (unpackSize !== null && out.length < unpackSize) throw new LzmaError('Compressed data ended early');
+  return out.toBuffer();
+}
+
+module.exports = {
+  decompress,
+  LzmaError
+};
@@ -0,0 +1,184 @@
+const { components } = require('../config/apiSchemas');
+
+// Builds the OpenAPI 3 document from the app's own routers, so every mounted route is listed
+// and the schemas that validate requests are the ones that are documented. Middleware with an
+// `apiSchema` (see middleware/apiSchema) contributes to the routes registered after it.
+
+const ERROR_RESPONSES = {
+  400: 'Invalid parameters',
+  401: 'Missing access token',
+  403: 'Access token invalid, expired or without the required role',
+  404: 'Not found',
+  409: 'Conflict with the current state',
+  429: 'Too many requests',
+  503: 'Service unavailable'
+};
+
+const AUTH_NOTES = {
+  user: 'Requires a signed-in account.',
+  player: 'Requires a signed-in account linked to a player.',
+  admin: 'Requires an admin account.',
+  superAdmin: 'Requires a super admin account.'
+};
+
+const PARAMETER_FIELDS = ['description', 'required', 'deprecated', 'example'];
+
+// Mount path of a router from the regexp Express compiled for it, e.g. /^\/jobs\/?(?=\/|$)/i
+function mountPath(layer) {
+  if (layer.regexp.fast_slash) return '';
+  const path = layer.regexp.source
+    .replace(/^\^/, '')
+    .replace(/\\\/\?\(\?=\\\/\|\$\)$/, '')
+    .replace(/\\\//g, '/');
+  return /[\\^$()[\]*+?]/.test(path) ? null : path;
+}
+
+const toOpenApiPath = (path) => (path.replace(/\/$/, '') || '/').replace(/:(\w+)/g, '{$1}');
+
+// Later schemas add parameters and override the rest, so the route's own auth requirement wins
+function mergeSchemas(schemas) {
+  return schemas.reduce((merged, schema) => ({
+    ...merged,
+    ...schema,
+    params: { ...merged.params, ...schema.params },
+    query: { ...merged.query, ...schema.query },
+    auth: schema.auth || merged.auth,
+    errors: [...new Set([...(merged.errors || []), ...(schema.errors || [])])]
+  }), {});
+}
+
+// An OpenAPI parameter; `description`, `required` and the like move from the schema to it
+function toParameter(name, location, schema) {
+  const parameter = { name, in: location, required: location === 'path' };
+  const rest = { ...schema };
+  PARAMETER_FIELDS.forEach(field => {
+    if (rest[field] !== undefined) {
+      if (location !== 'path' || field !== 'required') parameter[field] = rest[field];
+      delete rest[field];
+    }
+  });
+  return { ...parameter, schema: rest };
+}
+
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+
+function toOperation(route, schema, tag, path) {
+  const pathParams = [...route.path.matchAll(/:(\w+)/g)].map(match => match[1]);
+  const parameters = [
+    ...pathParams.map(name => toParameter(name, 'path', schema.params[name] || { type: 'string' })),
+    ...Object.entries(schema.query).map(([name, query]) => toParameter(name, 'query', query))
+  ];
+
+  const description = [schema.description, AUTH_NOTES[schema.auth]].filter(Boolean).join('\n\n');
+  const operation = {
+    tags: [tag],
+    summary: schema.summary || path,
+    ...(description && { description }),
+    ...(parameters.length > 0 && { parameters })
+  };
+
+  if (schema.body || schema.upload) {
+    const content = {};
+    (schema.upload || []).forEach(type => {
+      content[type] = { schema: { type: 'string', format: 'binary' } };
+    });
+    if (schema.body) content['application/json'] = { schema: schema.body };
+    operation.requestBody = { required: Boolean(schema.upload || schema.body.required), content };
+  }
+
+  const errors = new Set(schema.errors);
+  if (parameters.length > 0 || schema.body) errors.add(400);
+  if (schema.auth) {
+    errors.add(401);
+    errors.add(403);
+  }
+
+  // Redirects have no body; `produces` names a non-JSON body such as the docs page
+  const status = schema.status || 200;
+  operation.responses = {
+    [status]: {
+      description: schema.responseDescription || 'Success',
+      ...(status < 300 && {
+        content: schema.produces
+          ? { [schema.produces]: { schema: { type: 'string' } } }
+          : jsonContent(schema.response || { type: 'object' })
+      })
+    }
+  };
+  [...errors].sort().forEach(status => {
+    operation.responses[status] = {
+      description: ERROR_RESPONSES[status] || 'Error',
+      content: jsonContent({ $ref: '#/components/schemas/Error' })
+    };
+  });
+  operation.responses[500] = { description: 'Internal server error', content: jsonContent({ $ref: '#/components/schemas/Error' }) };
+
+  if (schema.auth) operation.security = [{ bearerAuth: [] }];
+  return operation;
+}
+
+// Visit every route of a router stack with the schemas of the middleware before it
+function collectRoutes(stack, prefix, inherited, tag, paths) {
+  const shared = [...inherited];
+
+  stack.forEach(layer => {
+    if (layer.route) {
+      if (typeof layer.route.path !== 'string') return;
+      const fullPath = prefix + layer.route.path;
+      if (!fullPath.startsWith('/api/')) return;
+
+      const schema = mergeSchemas([
+        ...shared,
+        ...layer.route.stack.map(routeLayer => routeLayer.handle.apiSchema).filter(Boolean)
+      ]);
+      const openApiPath = toOpenApiPath(fullPath);
+      Object.keys(layer.route.methods).filter(method => method !== '_all').forEach(method => {
+        paths[openApiPath] = paths[openApiPath] || {};
+        paths[openApiPath][method] = toOperation(layer.route, schema, tag, openApiPath);
+      });
+      return;
+    }
+
+    if (layer.handle.stack) {
+      const mount = mountPath(layer);
+      if (mount === null) return;
+      const routerPath = prefix + mount;
+      collectRoutes(layer.handle.stack, routerPath, shared, routerPath.replace(/^\/api\//, '') || tag, paths);
+      return;
+    }
+
+    if (layer.handle.apiSchema) shared.push(layer.handle.apiSchema);
+  });
+}
+
+function buildOpenApiSpec(app, { version = '1.0.0', serverUrl = '/' } = {}) {
+  const paths = {};
+  collectRoutes(app._router ? app._router.stack : [], '', [], 'api', paths);
+
+  const sortedPaths = {};
+  Object.keys(paths).sort().forEach(path => {
+    sortedPaths[path] = paths[path];
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'osu! country leaderboards API',
+      version,
+      description: 'Country leaderboards, player rankings and statistics for osu!. ' +
+        'Most lists accept ?country= and ?mode=; paged lists take ?limit= and the ?cursor= ' +
+        'from meta.nextCursor or the Link header.'
+    },
+    servers: [{ url: serverUrl }],
+    tags: [...new Set(Object.values(sortedPaths).flatMap(operations => Object.values(operations).map(op => op.tags[0])))]
+      .sort()
+      .map(name => ({ name })),
+    paths: sortedPaths,
+    components
+  };
+}
+
+module.exports = {
+  buildOpenApiSpec,
+  mountPath
+};
@@ -1,238 +1,323 @@
 const axios = require('axios');
 const Bottleneck = require('bottleneck');
 const { config } = require('../config/env');
+const { DEFAULT_COUNTRY } = require('../config/countries');
+const { DEFAULT_MODE } = require('../config/modes');
 
 // osu! API client configuration
 const client_id = config.OSU_CLIENT_ID;
 const client_secret = config.OSU_CLIENT_SECRET;
 let access_token = null;
 let token_expiry = 0;
+let token_request = null;
 
-// Rate limiter for API calls
-const limiter = new Bottleneck({ 
-  maxConcurrent: config.OSU_API_MAX_CONCURRENT, 
-  minTime: config.OSU_API_MIN_TIME 
+// Every osu! request goes through this client, so OSU_API_BASE_URL can point it at a mock server
+const http = axios.create({
+  baseURL: config.OSU_API_BASE_URL,
+  timeout: config.OSU_API_TIMEOUT_MS
 });
 
-// Get access token for osu! API
-async function getAccessToken() {
-  const now = Date.now();
-  if (access_token && now < token_expiry) return access_token;
-  
+// Rate limiter for API calls, shared by every caller
+const limiter = new Bottleneck({
+  maxConcurrent: config.OSU_API_MAX_CONCURRENT,
+  minTime: config.OSU_API_MIN_TIME
+});
+
+// Set from a 429's Retry-After; no request starts before it
+let rateLimitedUntil = 0;
+
+// Request counters per endpoint, keyed by path pattern (e.g. /api/v2/users/{user}/{mode})
+const requestMetrics = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function endpointMetrics(endpoint) {
+  if (!requestMetrics.has(endpoint)) {
+    requestMetrics.set(endpoint, {
+      requests: 0,
+      errors: 0,
+      retries: 0,
+      rateLimited: 0,
+      tokenRefreshes: 0,
+      statuses: {},
+      totalMs: 0,
+      maxMs: 0,
+      lastRequestAt: null,
+      lastError: null
+    });
+  }
+  return requestMetrics.get(endpoint);
+}
+
+function recordRequest(endpoint, status, durationMs, error = null) {
+  const metrics = endpointMetrics(endpoint);
+  metrics.requests++;
+  metrics.statuses[status] = (metrics.statuses[status] || 0) + 1;
+  metrics.totalMs += durationMs;
+  metrics.maxMs = Math.max(metrics.maxMs, durationMs);
+  metrics.lastRequestAt = Date.now();
+  if (error) {
+    metrics.errors++;
+    metrics.lastError = error.message;
+  }
+}
+
+// Retry-After is either seconds or an HTTP date; without one, back off exponentially
+function getRetryDelay(attempt, headers = {}) {
+  const retryAfter = headers['retry-after'];
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+  return Math.min(config.OSU_API_RETRY_BASE_MS * Math.pow(2, attempt - 1), 60000);
+}
+
+// Send a request through the shared limiter once any Retry-After pause is over, and record
+// it under `endpoint`. Errors are recorded and rethrown.
+async function limitedRequest(endpoint, request) {
+  let start;
   try {
-    const response = await axios.post('https://osu.ppy.sh/oauth/token', {
-      client_id, 
-      client_secret, 
-      grant_type: 'client_credentials', 
-      scope: 'public'
+    const response = await limiter.schedule(async () => {
+      const wait = rateLimitedUntil - Date.now();
+      if (wait > 0) await sleep(wait);
+
+      start = Date.now();
+      return request();
     });
-    
-    access_token = response.data.access_token;
-    token_expiry = now + (response.data.expires_in * 1000) - 10000;
-    console.log('🔑 Obtained new osu! token');
-    return access_token;
+    recordRequest(endpoint, response.status, Date.now() - start);
+    return response;
   } catch (err) {
-    console.error('❌ Failed to get access token:', err.message);
+    recordRequest(endpoint, err.response?.status || 'network', start ? Date.now() - start : 0, err);
     throw err;
   }
 }
 
-// Get user data
-async function getUser(userId) {
-  const token = await getAccessToken();
-  
-  return await limiter.schedule(async () => {
-    const response = await axios.get(`https://osu.ppy.sh/api/v2/users/${userId}/osu`, {
-      headers: { Authorization: `Bearer ${token}` }
-    });
-    return response.data;
+// Get access token for osu! API; concurrent callers share one token request
+async function getAccessToken() {
+  if (access_token && Date.now() < token_expiry) return access_token;
+  if (token_request) return token_request;
+
+  token_request = (async () => {
+    // Counted from before the request waited its turn, so the token is renewed early rather than late
+    const requestedAt = Date.now();
+    try {
+      const response = await limitedRequest('/oauth/token', () => http.post('/oauth/token', {
+        client_id,
+        client_secret,
+        grant_type: 'client_credentials',
+        scope: 'public'
+      }));
+
+      access_token = response.data.access_token;
+      token_expiry = requestedAt + (response.data.expires_in * 1000) - 10000;
+      console.log('🔑 Obtained new osu! token');
+      return access_token;
+    } catch (err) {
+      console.error('❌ Failed to get access token:', err.message);
+      throw err;
+    } finally {
+      token_request = null;
+    }
+  })();
+
+  return token_request;
+}
+
+// Forget the cached token so the next request fetches a new one (the API answered 401)
+function invalidateAccessToken() {
+  access_token = null;
+  token_expiry = 0;
+}
+
+// GET an osu! endpoint through the shared limiter. `endpoint` names the path pattern for metrics.
+// 429s wait out Retry-After (pausing every other request too), 5xx and network errors retry with
+// backoff, and a 401 on the app token refreshes it once. Errors are axios errors, so callers can
+// check err.response.status.
+async function osuGet(endpoint, path, { params, userToken = null, auth = true, responseType } = {}) {
+  const metrics = endpointMetrics(endpoint);
+  let attempt = 0;
+  let refreshedToken = false;
+
+  for (;;) {
+    const token = userToken || (auth ? await getAccessToken() : null);
+
+    try {
+      const response = await limitedRequest(endpoint, () => http.get(path, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+        params,
+        responseType
+      }));
+      return response.data;
+    } catch (err) {
+      const status = err.response?.status;
+
+      if (status === 401 && auth && !userToken && !refreshedToken) {
+        refreshedToken = true;
+        metrics.tokenRefreshes++;
+        invalidateAccessToken();
+        continue;
+      }
+
+      attempt++;
+      const retryable = status === 429 || !status || status >= 500;
+      if (!retryable || attempt > config.OSU_API_MAX_RETRIES) throw err;
+
+      const delay = getRetryDelay(attempt, status === 429 ? err.response.headers : undefined);
+      metrics.retries++;
+      if (status === 429) {
+        metrics.rateLimited++;
+        rateLimitedUntil = Math.max(rateLimitedUntil, Date.now() + delay);
+        console.warn(`⏳ osu! API rate limited on ${endpoint}, pausing requests for ${delay}ms`);
+      } else {
+        console.warn(`osu! API ${endpoint} failed (attempt ${attempt}), retrying in ${delay}ms:`, err.message);
+        await sleep(delay);
+      }
+    }
+  }
+}
+
+// Authorization-code flow: where to send a player to approve sign-in
+function getAuthorizationUrl(state, scope = 'identify') {
+  const params = new URLSearchParams({
+    client_id,
+    redirect_uri: config.OSU_REDIRECT_URI,
+    response_type: 'code',
+    scope,
+    state
   });
+  return `${config.OSU_API_BASE_URL}/oauth/authorize?${params}`;
+}
+
+// Authorization-code flow: trade the callback code for a token acting as that player
+async function exchangeAuthorizationCode(code) {
+  const response = await limitedRequest('/oauth/token', () => http.post('/oauth/token', {
+    client_id,
+    client_secret,
+    code,
+    grant_type: 'authorization_code',
+    redirect_uri: config.OSU_REDIRECT_URI
+  }));
+  return response.data;
+}
+
+// The player who owns a user token (statistics are for the requested mode)
+async function getAuthenticatedUser(userToken, mode = DEFAULT_MODE) {
+  return osuGet('/api/v2/me/{mode}', `/api/v2/me/${mode}`, { userToken });
+}
+
+// Get user data (statistics are for the requested mode)
+async function getUser(userId, mode = DEFAULT_MODE) {
+  return osuGet('/api/v2/users/{user}/{mode}', `/api/v2/users/${userId}/${mode}`);
 }
 
 // Get user scores (best/recent)
-async function getUserScores(userId, type = 'best', limit = 50, mode = 'osu') {
-  const token = await getAccessToken();
-  
-  return await limiter.schedule(async () => {
-    const response = await axios.get(`https://osu.ppy.sh/api/v2/users/${userId}/scores/${type}`, {
-      headers: { Authorization: `Bearer ${token}` },
-      params: { mode, limit }
-    });
-    return response.data;
+async function getUserScores(userId, type = 'best', limit = 50, mode = DEFAULT_MODE) {
+  return osuGet(`/api/v2/users/{user}/scores/${type}`, `/api/v2/users/${userId}/scores/${type}`, {
+    params: { mode, limit }
   });
 }
 
-// Get beatmap scores
-async function getBeatmapScores(beatmapId, limit = 50) {
-  const token = await getAccessToken();
-  
-  return await limiter.schedule(async () => {
-    const response = await axios.get(`https://osu.ppy.sh/api/v2/beatmaps/${beatmapId}/scores`, {
-      headers: { Authorization: `Bearer ${token}` },
-      params: { limit }
-    });
-    return response.data;
+// Get beatmap scores (mode selects the ruleset, including converts)
+async function getBeatmapScores(beatmapId, limit = 50, mode = DEFAULT_MODE) {
+  return osuGet('/api/v2/beatmaps/{beatmap}/scores', `/api/v2/beatmaps/${beatmapId}/scores`, {
+    params: { limit, mode }
   });
 }
 
 // Get beatmap data
 async function getBeatmap(beatmapId) {
-  const token = await getAccessToken();
-  
-  return await limiter.schedule(async () => {
-    const response = await axios.get(`https://osu.ppy.sh/api/v2/beatmaps/${beatmapId}`, {
-      headers: { Authorization: `Bearer ${token}` }
-    });
-    return response.data;
-  });
+  return osuGet('/api/v2/beatmaps/{beatmap}', `/api/v2/beatmaps/${beatmapId}`);
+}
+
+// Find a beatmap by the MD5 of its .osu file, as replays reference it
+async function lookupBeatmapByChecksum(checksum) {
+  return osuGet('/api/v2/beatmaps/lookup', '/api/v2/beatmaps/lookup', { params: { checksum } });
+}
+
+// Download a beatmap's .osu file as raw bytes (not part of the API, so no token is needed)
+async function getBeatmapFile(beatmapId) {
+  const data = await osuGet('/osu/{beatmap}', `/osu/${beatmapId}`, { auth: false, responseType: 'arraybuffer' });
+  return Buffer.from(data);
 }
 
 // Get country rankings
-async function getCountryRankings(country = 'DZ', mode = 'osu', type = 'performance', cursor = null) {
-  const token = await getAccessToken();
-  
-  return await limiter.schedule(async () => {
-    const params = { country, mode, type };
-    if (cursor) params.cursor_string = cursor;
-    
-    const response = await axios.get('https://osu.ppy.sh/api/v2/rankings/osu/performance', {
-      headers: { Authorization: `Bearer ${token}` },
-      params
-    });
-    return response.data;
-  });
+async function getCountryRankings(country = DEFAULT_COUNTRY, mode = DEFAULT_MODE, type = 'performance', cursor = null) {
+  const params = { country };
+  if (cursor) params.cursor_string = cursor;
+
+  return osuGet(`/api/v2/rankings/{mode}/${type}`, `/api/v2/rankings/${mode}/${type}`, { params });
 }
 
-// Search beatmapsets
+// Search ranked beatmapsets; pass m (the mode's ruleset id) to search one mode
 async function searchBeatmapsets(params = {}) {
-  const token = await getAccessToken();
-  
-  return await limiter.schedule(async () => {
-    const defaultParams = { 
-      mode: 'osu', 
-      nsfw: false, 
-      sort: 'ranked_desc', 
-      s: 'ranked' 
-    };
-    
-    const response = await axios.get('https://osu.ppy.sh/api/v2/beatmapsets/search', {
-      headers: { Authorization: `Bearer ${token}` },
-      params: { ...defaultParams, ...params }
-    });
-    return response.data;
+  const defaultParams = {
+    nsfw: false,
+    sort: 'ranked_desc',
+    s: 'ranked'
+  };
+
+  return osuGet('/api/v2/beatmapsets/search', '/api/v2/beatmapsets/search', {
+    params: { ...defaultParams, ...params }
   });
 }
 
 // Search users
 async function searchUsers(query, mode = 'user') {
-  const token = await getAccessToken();
-  
-  return await limiter.schedule(async () => {
-    const response = await axios.get('https://osu.ppy.sh/api/v2/search', {
-      headers: { Authorization: `Bearer ${token}` },
-      params: { mode, query }
-    });
-    return response.data;
-  });
+  return osuGet('/api/v2/search', '/api/v2/search', { params: { mode, query } });
 }
 
 // Get multiplayer matches
 async function getMultiplayerMatches(limit = 50) {
-  const token = await getAccessToken();
-  
-  return await limiter.schedule(async () => {
-    try {
-      const response = await axios.get('https://osu.ppy.sh/api/v2/multiplayer/matches', {
-        headers: { Authorization: `Bearer ${token}` },
-        params: { limit }
-      });
-      return response.data;
-    } catch (err) {
-      // This endpoint might not be available, return empty result
-      return { matches: [] };
-    }
-  });
+  try {
+    return await osuGet('/api/v2/matches', '/api/v2/matches', { params: { limit } });
+  } catch (err) {
+    // This endpoint might not be available, return empty result
+    return { matches: [] };
+  }
 }
 
 // Get multiplayer match details
 async function getMultiplayerMatch(matchId) {
-  const token = await getAccessToken();
-  
-  return await limiter.schedule(async () => {
-    const response = await axios.get(`https://osu.ppy.sh/api/v2/multiplayer/matches/${matchId}`, {
-      headers: { Authorization: `Bearer ${token}` }
-    });
-    return response.data;
-  });
+  return osuGet('/api/v2/matches/{match}', `/api/v2/matches/${matchId}`);
 }
 
 // Get beatmap multiplayer scores (alternative approach)
 async function getBeatmapMultiplayerScores(beatmapId, limit = 10) {
-  const token = await getAccessToken();
-  
-  return await limiter.schedule(async () => {
-    try {
-      const response = await axios.get(`https://osu.ppy.sh/api/v2/beatmaps/${beatmapId}/multiplayer`, {
-        headers: { Authorization: `Bearer ${token}` },
-        params: { limit }
-      });
-      return response.data;
-    } catch (err) {
-      // Fallback to empty result if endpoint doesn't exist
-      return { matches: [] };
-    }
-  });
+  try {
+    return await osuGet('/api/v2/beatmaps/{beatmap}/multiplayer', `/api/v2/beatmaps/${beatmapId}/multiplayer`, {
+      params: { limit }
+    });
+  } catch (err) {
+    // Fallback to empty result if endpoint doesn't exist
+    return { matches: [] };
+  }
 }
 
 // Batch get users (with rate limiting)
-async function getBatchUsers(userIds, batchSize = 10) {
+async function getBatchUsers(userIds, batchSize = 10, mode = DEFAULT_MODE) {
   const results = [];
-  
+
   for (let i = 0; i < userIds.length; i += batchSize) {
     const batch = userIds.slice(i, i + batchSize);
-    const batchPromises = batch.map(userId => 
-      getUser(userId).catch(err => {
+    const batchPromises = batch.map(userId =>
+      getUser(userId, mode).catch(err => {
         console.warn(`Failed to get user ${userId}:`, err.message);
         return null;
       })
     );
-    
+
     const batchResults = await Promise.all(batchPromises);
     results.push(...batchResults.filter(result => result !== null));
-    
+
     // Small delay between batches
     if (i + batchSize < userIds.length) {
       await new Promise(resolve => setTimeout(resolve, 1000));
     }
   }
-  
-  return results;
-}
 
-// Retry wrapper for API calls
-async function withRetry(apiCall, maxRetries = 3, baseDelay = 1000) {
-  let lastError;
-  
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      return await apiCall();
-    } catch (error) {
-      lastError = error;
-      
-      // Don't retry certain errors
-      if (error.response?.status === 404 || error.response?.status === 401) {
-        throw error;
-      }
-      
-      if (attempt < maxRetries - 1) {
-        const delay = baseDelay * Math.pow(2, attempt);
-        console.warn(`API call failed (attempt ${attempt + 1}), retrying in ${delay}ms:`, error.message);
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
-    }
-  }
-  
-  throw lastError;
+  return results;
 }
 
 // Test API connection
@@ -248,19 +333,35 @@ async function testApiConnection() {
 
 // Get API rate limit status
 function getRateLimitStatus() {
+  const counts = limiter.counts();
   return {
-    running: limiter.running(),
-    pending: limiter.pending(),
-    done: limiter.done
+    running: counts.RUNNING + counts.EXECUTING,
+    pending: counts.RECEIVED + counts.QUEUED,
+    rateLimitedUntil: rateLimitedUntil > Date.now() ? rateLimitedUntil : null
   };
 }
 
+// Request counters per endpoint since the process started
+function getRequestMetrics() {
+  const endpoints = {};
+  for (const [endpoint, metrics] of requestMetrics) {
+    const { totalMs, ...rest } = metrics;
+    endpoints[endpoint] = { ...rest, avgMs: metrics.requests ? Math.round(totalMs / metrics.requests) : 0 };
+  }
+  return endpoints;
+}
+
 module.exports = {
   getAccessToken,
+  getAuthorizationUrl,
+  exchangeAuthorizationCode,
+  getAuthenticatedUser,
   getUser,
   getUserScores,
   getBeatmapScores,
   getBeatmap,
+  lookupBeatmapByChecksum,
+  getBeatmapFile,
   getCountryRankings,
   searchBeatmapsets,
   searchUsers,
@@ -268,8 +369,8 @@ module.exports = {
   getMultiplayerMatch,
   getBeatmapMultiplayerScores,
   getBatchUsers,
-  withRetry,
   testApiConnection,
   getRateLimitStatus,
+  getRequestMetrics,
   limiter
-};
\ No newline at end of file
+};
@@ -1,7 +1,18 @@
-const axios = require('axios');
 const { query, getRows, getRow } = require('../config/db');
-const { getAccessToken, getCountryRankings, searchUsers, limiter } = require('./osuApi');
+const {
+  getCountryRankings,
+  getBeatmapScores,
+  getUserScores,
+  searchUsers,
+  getMultiplayerMatches,
+  getMultiplayerMatch,
+  getBeatmapMultiplayerScores
+} = require('./osuApi');
 const { checkAchievements } = require('./achievements');
+const { discordService } = require('./discord');
+const { broadcastToClients } = require('../middleware/websocket');
+const { TRACKED_COUNTRIES, DEFAULT_COUNTRY, isTrackedCountry, normalizeCountry, getCountryInfo } = require('../config/countries');
+const { TRACKED_MODES, DEFAULT_MODE, getModeInfo } = require('../config/modes');
 
 class PlayerDiscoveryService {
   constructor() {
@@ -13,48 +24,37 @@ class PlayerDiscoveryService {
     ];
   }
 
-  // Method 1: Monitor Algeria country rankings
-  async discoverFromCountryRankings() {
+  // Method 1: Monitor country rankings
+  async discoverFromCountryRankings(country = DEFAULT_COUNTRY, mode = DEFAULT_MODE) {
     try {
-      const token = await getAccessToken();
       let cursor = null;
       let page = 1;
       const maxPages = 10;
       let totalFound = 0;
 
       while (page <= maxPages) {
-        const params = {
-          country: 'DZ',
-          mode: 'osu',
-          type: 'performance'
-        };
-        
-        if (cursor) params.cursor_string = cursor;
-
-        const response = await axios.get('https://osu.ppy.sh/api/v2/rankings/osu/performance', {
-          headers: { Authorization: `Bearer ${token}` },
-          params
-        });
+        const response = await getCountryRankings(country, mode, 'performance', cursor);
 
-        const rankings = response.data.ranking || [];
+        const rankings = response.ranking || [];
         if (rankings.length === 0) break;
 
+        // Each ranking entry is the player's statistics for this mode
         for (const playerRanking of rankings) {
-          const registered = await this.registerPlayer(playerRanking.user, 'country_rankings');
+          const registered = await this.registerPlayer(playerRanking.user, 'country_rankings', mode, playerRanking);
           if (registered) totalFound++;
         }
 
-        cursor = response.data.cursor?.page;
+        cursor = response.cursor?.page;
         if (!cursor) break;
         
         page++;
         await new Promise(resolve => setTimeout(resolve, 1000));
       }
 
-      console.log(`🇩🇿 Country rankings: found ${totalFound} players (${page-1} pages)`);
+      console.log(`${getCountryInfo(country).flag} ${country} ${getModeInfo(mode).name} rankings: found ${totalFound} players (${page-1} pages)`);
       return totalFound;
     } catch (err) {
-      console.error('❌ Country rankings discovery failed:', err.message);
+      console.error(`❌ Country rankings discovery failed for ${country} (${mode}):`, err.message);
       return 0;
     }
   }
@@ -63,33 +63,26 @@ class PlayerDiscoveryService {
   async discoverFromRecentScores() {
     try {
       const popularBeatmaps = await getRows(`
-        SELECT beatmap_id, COUNT(DISTINCT username) as player_count
+        SELECT beatmap_id, mode, COUNT(DISTINCT username) as player_count
         FROM algeria_top50 
-        GROUP BY beatmap_id 
+        GROUP BY beatmap_id, mode 
         ORDER BY player_count DESC 
         LIMIT 30
       `);
 
-      const token = await getAccessToken();
       let totalFound = 0;
 
       for (const beatmap of popularBeatmaps) {
         try {
-          const response = await axios.get(
-            `https://osu.ppy.sh/api/v2/beatmaps/${beatmap.beatmap_id}/scores`,
-            {
-              headers: { Authorization: `Bearer ${token}` },
-              params: { limit: 50 }
-            }
-          );
+          const response = await getBeatmapScores(beatmap.beatmap_id, 50, beatmap.mode);
 
-          const scores = response.data.scores || [];
-          const algerianScores = scores.filter(score => 
-            score.user?.country?.code === 'DZ'
+          const scores = response.scores || [];
+          const trackedScores = scores.filter(score => 
+            isTrackedCountry(score.user?.country?.code)
           );
 
-          for (const score of algerianScores) {
-            const registered = await this.registerPlayer(score.user, 'recent_scores');
+          for (const score of trackedScores) {
+            const registered = await this.registerPlayer(score.user, 'recent_scores', beatmap.mode);
             if (registered) totalFound++;
           }
 
@@ -107,30 +100,25 @@ class PlayerDiscoveryService {
     }
   }
 
-  // Method 3: Search for Algerian players
+  // Method 3: Search for players of the tracked countries
   async discoverFromUserSearch() {
     try {
-      const token = await getAccessToken();
       let totalFound = 0;
       
-      const searchTerms = ['algeria', 'dz', 'algerie'];
+      const searchTerms = [...new Set(
+        TRACKED_COUNTRIES.flatMap(country => getCountryInfo(country).searchTerms)
+      )];
 
       for (const term of searchTerms) {
         try {
-          const response = await axios.get('https://osu.ppy.sh/api/v2/search', {
-            headers: { Authorization: `Bearer ${token}` },
-            params: {
-              mode: 'user',
-              query: term
-            }
-          });
+          const response = await searchUsers(term);
 
-          const users = response.data.user?.data || [];
-          const algerianUsers = users.filter(user => 
-            user.country?.code === 'DZ'
+          const users = response.user?.data || [];
+          const trackedUsers = users.filter(user => 
+            isTrackedCountry(user.country?.code)
           );
 
-          for (const user of algerianUsers) {
+          for (const user of trackedUsers) {
             const registered = await this.registerPlayer(user, 'user_search');
             if (registered) totalFound++;
           }
@@ -152,20 +140,13 @@ class PlayerDiscoveryService {
   // Method 4: Discover players from recent multiplayer matches
   async discoverFromMultiplayerMatches() {
     try {
-      const token = await getAccessToken();
       let totalFound = 0;
       let matchIds = [];
       
-      try {
-        const res = await axios.get('https://osu.ppy.sh/api/v2/multiplayer/matches', {
-          headers: { Authorization: `Bearer ${token}` },
-          params: { limit: 30 }
-        });
-        if (Array.isArray(res.data.matches)) {
-          matchIds = res.data.matches.map(m => m.id).slice(0, 30);
-        }
-      } catch (e) {
-        console.debug('Multiplayer match list endpoint failed, will attempt alternative scanning');
+      // An empty list (the endpoint failed or had nothing) falls back to scanning beatmaps
+      const res = await getMultiplayerMatches(30);
+      if (Array.isArray(res.matches)) {
+        matchIds = res.matches.map(m => m.id).slice(0, 30);
       }
 
       if (matchIds.length === 0) {
@@ -176,12 +157,9 @@ class PlayerDiscoveryService {
         `);
         for (const bm of recentBeatmaps) {
           try {
-            const res = await axios.get(`https://osu.ppy.sh/api/v2/beatmaps/${bm.beatmap_id}/multiplayer`, {
-              headers: { Authorization: `Bearer ${token}` },
-              params: { limit: 10 }
-            });
-            if (res.data.matches) {
-              for (const m of res.data.matches) {
+            const res = await getBeatmapMultiplayerScores(bm.beatmap_id, 10);
+            if (res.matches) {
+              for (const m of res.matches) {
                 if (m.id) matchIds.push(m.id);
               }
             }
@@ -194,15 +172,14 @@ class PlayerDiscoveryService {
 
       for (const matchId of [...new Set(matchIds)].slice(0, 60)) {
         try {
-          const res = await axios.get(`https://osu.ppy.sh/api/v2/multiplayer/matches/${matchId}`, {
-            headers: { Authorization: `Bearer ${token}` }
-          });
-          const match = res.data;
-          const participants = match?.matches ? (match.matches.flatMap(x => x.scores || [])) : (match?.scores || []);
+          const match = await getMultiplayerMatch(matchId);
+          // The match lists everyone who took part in `users`; older shapes only had scores
+          const participants = match?.users
+            || (match?.matches ? match.matches.flatMap(x => x.scores || []) : (match?.scores || []));
           if (Array.isArray(participants)) {
             for (const p of participants) {
               const u = p.user || p;
-              if (u && u.country?.code === 'DZ') {
+              if (u && isTrackedCountry(u.country?.code)) {
                 const registered = await this.registerPlayer(u, 'multiplayer_matches');
                 if (registered) totalFound++;
               }
@@ -223,12 +200,17 @@ class PlayerDiscoveryService {
   }
 
   // Core player registration
-  async registerPlayer(userData, discoveryMethod = 'unknown') {
+  // modeStats are the player's statistics for the mode they were discovered in
+  async registerPlayer(userData, discoveryMethod = 'unknown', mode = DEFAULT_MODE, modeStats = userData?.statistics) {
     try {
-      if (!userData || !userData.id || userData.country?.code !== 'DZ') {
+      if (!userData || !userData.id || !isTrackedCountry(userData.country?.code)) {
         return false;
       }
 
+      const country = normalizeCountry(userData.country.code);
+      // player_stats ranks describe the default mode only
+      const defaultStats = mode === DEFAULT_MODE ? modeStats : null;
+
       // Check if player already exists
       const existingPlayer = await getRow(`
         SELECT username, last_seen FROM player_stats 
@@ -239,33 +221,30 @@ class PlayerDiscoveryService {
       const isNewPlayer = !existingPlayer;
 
       if (isNewPlayer) {
-        console.log(`🆕 New Algerian player: ${userData.username} (${discoveryMethod})`);
+        console.log(`🆕 New ${getCountryInfo(country).name} player: ${userData.username} (${discoveryMethod})`);
         
         // Send Discord notification
-        if (process.env.DISCORD_WEBHOOK_URL) {
-          await this.sendNewPlayerNotification(userData, discoveryMethod);
-        }
-
-        // Broadcast to clients if available
-        if (global.broadcastToClients) {
-          global.broadcastToClients({
-            type: 'new_player_discovered',
-            player: {
-              username: userData.username,
-              userId: userData.id,
-              discoveryMethod,
-              timestamp: now
-            }
-          });
-        }
+        await this.sendNewPlayerNotification(userData, discoveryMethod, country, modeStats);
+
+        // Broadcast to clients and webhook subscribers
+        broadcastToClients({
+          type: 'new_player_discovered',
+          player: {
+            username: userData.username,
+            userId: userData.id,
+            country,
+            discoveryMethod,
+            timestamp: now
+          }
+        });
       }
 
       // Insert/update player
       await query(`
         INSERT INTO player_stats (
           username, user_id, join_date, last_seen, avatar_url, cover_url,
-          global_rank, country_rank, level, playcount, total_playtime, is_active
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, true)
+          global_rank, country_rank, level, playcount, total_playtime, country, is_active
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, true)
         ON CONFLICT (username) DO UPDATE SET
           user_id = COALESCE(EXCLUDED.user_id, player_stats.user_id),
           last_seen = EXCLUDED.last_seen,
@@ -276,7 +255,8 @@ class PlayerDiscoveryService {
           level = COALESCE(EXCLUDED.level, player_stats.level),
           playcount = COALESCE(EXCLUDED.playcount, player_stats.playcount),
           total_playtime = COALESCE(EXCLUDED.total_playtime, player_stats.total_playtime),
-          is_active = true
+          country = EXCLUDED.country,
+          is_active = player_stats.moderation_status IS NULL
       `, [
         userData.username,
         userData.id,
@@ -284,13 +264,36 @@ class PlayerDiscoveryService {
         now,
         userData.avatar_url,
         userData.cover_url || userData.cover?.url,
-        userData.statistics?.global_rank,
-        userData.statistics?.country_rank,
-        userData.statistics?.level?.current,
-        userData.statistics?.play_count,
-        userData.statistics?.play_time
+        defaultStats?.global_rank,
+        defaultStats?.country_rank,
+        defaultStats?.level?.current,
+        defaultStats?.play_count,
+        defaultStats?.play_time,
+        country
       ]);
 
+      if (modeStats) {
+        await query(`
+          INSERT INTO player_mode_stats (
+            username, mode, country, global_rank, country_rank, playcount, total_playtime
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+          ON CONFLICT (username, mode) DO UPDATE SET
+            country = EXCLUDED.country,
+            global_rank = COALESCE(EXCLUDED.global_rank, player_mode_stats.global_rank),
+            country_rank = COALESCE(EXCLUDED.country_rank, player_mode_stats.country_rank),
+            playcount = COALESCE(EXCLUDED.playcount, player_mode_stats.playcount),
+            total_playtime = COALESCE(EXCLUDED.total_playtime, player_mode_stats.total_playtime)
+        `, [
+          userData.username,
+          mode,
+          country,
+          modeStats.global_rank,
+          modeStats.country_rank,
+          modeStats.play_count,
+          modeStats.play_time
+        ]);
+      }
+
       // Log discovery
       await query(`
         INSERT INTO player_discovery_log (username, user_id, discovery_method, is_new_player, player_data)
@@ -306,7 +309,7 @@ class PlayerDiscoveryService {
       // If new player, fetch their history
       if (isNewPlayer) {
         setTimeout(() => {
-          this.fetchPlayerHistory(userData.username, userData.id);
+          this.fetchPlayerHistory(userData.username, userData.id, mode);
         }, 5000);
       }
 
@@ -318,37 +321,25 @@ class PlayerDiscoveryService {
   }
 
   // Fetch comprehensive player history
-  async fetchPlayerHistory(username, userId) {
+  async fetchPlayerHistory(username, userId, mode = DEFAULT_MODE) {
     try {
-      console.log(`📥 Fetching history for ${username}`);
-      
-      const token = await getAccessToken();
+      console.log(`📥 Fetching ${mode} history for ${username}`);
       
       // Get best scores
-      const bestResponse = await axios.get(
-        `https://osu.ppy.sh/api/v2/users/${userId}/scores/best`,
-        {
-          headers: { Authorization: `Bearer ${token}` },
-          params: { limit: 100, mode: 'osu' }
-        }
-      );
-
-      const bestScores = bestResponse.data || [];
+      const bestScores = await getUserScores(userId, 'best', 100, mode) || [];
       
       // Process scores for leaderboard positions
       let processedScores = 0;
       for (const score of bestScores.slice(0, 50)) { // Limit to avoid rate limits
         try {
-          await limiter.schedule(() => 
-            this.checkScoreOnLeaderboard(score, username)
-          );
+          await this.checkScoreOnLeaderboard(score, username, mode);
           processedScores++;
         } catch (err) {
           console.warn(`Failed to process score on beatmap ${score.beatmap.id}:`, err.message);
         }
       }
 
-      await this.updatePlayerStats(username, bestScores);
+      await this.updatePlayerStats(username, bestScores, mode);
       await checkAchievements(username);
       
       console.log(`✅ Completed history fetch for ${username} (${processedScores} scores)`);
@@ -359,27 +350,19 @@ class PlayerDiscoveryService {
   }
 
   // Check if score appears on leaderboard
-  async checkScoreOnLeaderboard(score, expectedUsername) {
+  async checkScoreOnLeaderboard(score, expectedUsername, mode = DEFAULT_MODE) {
     try {
-      const token = await getAccessToken();
-      
-      const response = await axios.get(
-        `https://osu.ppy.sh/api/v2/beatmaps/${score.beatmap.id}/scores`,
-        {
-          headers: { Authorization: `Bearer ${token}` },
-          params: { limit: 50 }
-        }
-      );
+      const response = await getBeatmapScores(score.beatmap.id, 50, mode);
 
-      const leaderboardScores = response.data.scores || [];
-      const algerianScores = leaderboardScores.filter(s => 
-        s.user?.country?.code === 'DZ'
+      const leaderboardScores = response.scores || [];
+      const trackedScores = leaderboardScores.filter(s => 
+        isTrackedCountry(s.user?.country?.code)
       );
 
-      if (algerianScores.length > 0) {
+      if (trackedScores.length > 0) {
         const beatmapTitle = `${score.beatmapset.artist} - ${score.beatmapset.title} [${score.beatmap.version}]`;
         // This would need to import from leaderboard service
-        // await saveBeatmapScores(score.beatmap.id, beatmapTitle, algerianScores, score.beatmap);
+        // await saveBeatmapScores(score.beatmap.id, beatmapTitle, trackedScores, score.beatmap);
       }
 
     } catch (err) {
@@ -387,8 +370,8 @@ class PlayerDiscoveryService {
     }
   }
 
-  // Update player statistics
-  async updatePlayerStats(username, scores) {
+  // Update player statistics from their best scores in one mode
+  async updatePlayerStats(username, scores, mode = DEFAULT_MODE) {
     try {
       if (scores.length === 0) return;
 
@@ -400,33 +383,52 @@ class PlayerDiscoveryService {
         return sum + (score.pp || 0) * Math.pow(0.95, index);
       }, 0);
 
+      const values = [username, totalPP, weightedPP, avgAccuracy, bestScore, scores.length, Date.now()];
+
       await query(`
-        UPDATE player_stats SET
-          total_pp = $2,
-          weighted_pp = $3,
-          accuracy_avg = $4,
-          best_score = $5,
-          playcount = $6,
-          last_calculated = $7
-        WHERE username = $1
-      `, [
-        username,
-        totalPP,
-        weightedPP,
-        avgAccuracy,
-        bestScore,
-        scores.length,
-        new Date().toISOString()
-      ]);
+        INSERT INTO player_mode_stats (
+          username, total_pp, weighted_pp, accuracy_avg, best_score, playcount, last_calculated, mode, country
+        )
+        SELECT $1, $2, $3, $4, $5, $6, $7, $8, country FROM player_stats WHERE username = $1
+        ON CONFLICT (username, mode) DO UPDATE SET
+          total_pp = EXCLUDED.total_pp,
+          weighted_pp = EXCLUDED.weighted_pp,
+          accuracy_avg = EXCLUDED.accuracy_avg,
+          best_score = EXCLUDED.best_score,
+          playcount = EXCLUDED.playcount,
+          last_calculated = EXCLUDED.last_calculated
+      `, [...values, mode]);
+
+      // player_stats mirrors the default mode
+      if (mode === DEFAULT_MODE) {
+        await query(`
+          UPDATE player_stats SET
+            total_pp = $2,
+            weighted_pp = $3,
+            accuracy_avg = $4,
+            best_score = $5,
+            playcount = $6,
+            last_calculated = $7
+          WHERE username = $1
+        `, values);
+      }
 
     } catch (err) {
       console.error(`Failed to update stats for ${username}:`, err.message);
     }
   }
 
-  // Discord notification (disabled temporarily)
-  async sendNewPlayerNotification(userData, discoveryMethod) {
-    return; // skip sending anything
+  // Discord notification for a newly discovered player
+  async sendNewPlayerNotification(userData, discoveryMethod, country, stats = userData.statistics) {
+    return discordService.notify('new_player', {
+      username: userData.username,
+      userId: userData.id,
+      avatarUrl: userData.avatar_url,
+      country,
+      globalRank: stats?.global_rank,
+      pp: stats?.pp,
+      discoveryMethod
+    });
   }
 
   // Run complete discovery
@@ -434,8 +436,15 @@ class PlayerDiscoveryService {
     console.log('🔍 Starting player discovery...');
     
     const startTime = Date.now();
+    let countryRankings = 0;
+    for (const country of TRACKED_COUNTRIES) {
+      for (const mode of TRACKED_MODES) {
+        countryRankings += await this.discoverFromCountryRankings(country, mode);
+      }
+    }
+
     const results = {
-      countryRankings: await this.discoverFromCountryRankings(),
+      countryRankings,
       recentScores: await this.discoverFromRecentScores(),
       userSearch: await this.discoverFromUserSearch(),
       multiplayerMatches: await this.discoverFromMultiplayerMatches()
@@ -446,24 +455,22 @@ class PlayerDiscoveryService {
     
     console.log(`✅ Discovery completed in ${duration}s - Found ${total} new players`);
     
-    if (global.broadcastToClients) {
-      global.broadcastToClients({
-        type: 'discovery_complete',
-        results,
-        total,
-        duration,
-        timestamp: Date.now()
-      });
-    }
+    broadcastToClients({
+      type: 'discovery_complete',
+      results,
+      total,
+      duration,
+      timestamp: Date.now()
+    });
 
     return results;
   }
 }
 
 // Helper function to discover players by country
-async function discoverPlayers(country = 'DZ', limit = 50) {
+async function discoverPlayers(country = DEFAULT_COUNTRY, limit = 50, mode = DEFAULT_MODE) {
   const discovery = new PlayerDiscoveryService();
-  return await discovery.discoverFromCountryRankings();
+  return await discovery.discoverFromCountryRankings(normalizeCountry(country), mode);
 }
 
 module.exports = {
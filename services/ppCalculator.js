@@ -0,0 +1,344 @@
+// Performance points for osu!standard, following the live osu! formula.
+// Aim and speed come from the nomod aim_difficulty/speed_difficulty of an analysed .osu file
+// when the beatmap row has them, otherwise from splitting the star rating evenly; mods then
+// adjust them by rule of thumb unless exact ratings are passed in options.ratings.
+// Object counts fall back to an estimate from max_combo when the beatmap row has none.
+
+const PERFORMANCE_BASE_MULTIPLIER = 1.14;
+const STAR_RATING_MULTIPLIER = 0.0675;
+
+// Roughly how many hit objects a map has per point of max combo
+const OBJECTS_PER_COMBO_ESTIMATE = 0.75;
+const SLIDER_SHARE_ESTIMATE = 0.3;
+
+// How much DT/HT and HR/EZ move aim and speed difficulty on an average map
+const RATE_DIFFICULTY_EXPONENT = 0.83;
+const HARD_ROCK_AIM_BONUS = 1.06;
+const EASY_AIM_PENALTY = 0.9;
+
+// Scores with these mods are unranked and have no pp
+const UNRANKED_MODS = ['RX', 'AP', 'AT', 'CN', 'TP', 'SV2'];
+
+// Accepts 'HDDT', 'HD,DT', ['HD', 'DT'] or lazer-style [{ acronym: 'HD' }]
+function parseMods(mods) {
+  if (!mods || mods === 'None') return [];
+
+  const list = Array.isArray(mods)
+    ? mods.map(mod => (typeof mod === 'string' ? mod : mod?.acronym))
+    : String(mods).split(/[,+\s]+/).flatMap(part => (part.length % 2 === 0 ? part.match(/.{2}/g) || [] : [part]));
+
+  const parsed = list.filter(Boolean).map(mod => mod.toUpperCase());
+  // Nightcore is double time with a different sound
+  if (parsed.includes('NC') && !parsed.includes('DT')) parsed.push('DT');
+  return [...new Set(parsed)];
+}
+
+// Whether the mods make the map harder or easier beyond AR/OD/CS scaling
+const modsChangeDifficulty = (mods) => ['DT', 'HT', 'HR', 'EZ'].some(mod => mods.includes(mod));
+
+function clockRate(mods) {
+  if (mods.includes('DT')) return 1.5;
+  if (mods.includes('HT')) return 0.75;
+  return 1;
+}
+
+const arToMs = (ar) => (ar < 5 ? 1800 - 120 * ar : 1200 - 150 * (ar - 5));
+const msToAr = (ms) => (ms > 1200 ? (1800 - ms) / 120 : 5 + (1200 - ms) / 150);
+
+// CS/AR/OD/HP after HR/EZ scaling and the DT/HT clock rate
+function applyModsToDifficulty({ cs = 5, ar = 9, od = 8, hp = 5 }, mods) {
+  const scale = mods.includes('HR') ? 1.4 : mods.includes('EZ') ? 0.5 : 1;
+  const csScale = mods.includes('HR') ? 1.3 : mods.includes('EZ') ? 0.5 : 1;
+  const rate = clockRate(mods);
+
+  const scaledAr = Math.min(10, ar * scale);
+  const scaledOd = Math.min(10, od * scale);
+  const greatWindow = (80 - 6 * scaledOd) / rate;
+
+  return {
+    cs: Math.min(10, cs * csScale),
+    ar: msToAr(arToMs(scaledAr) / rate),
+    od: (80 - greatWindow) / 6,
+    hp: Math.min(10, hp * scale),
+    rate
+  };
+}
+
+// Inverse of the star rating formula: the combined aim+speed performance behind a star value
+function starsToBasePerformance(stars) {
+  const inner = stars / (Math.cbrt(PERFORMANCE_BASE_MULTIPLIER) * 0.027) - 4;
+  if (inner <= 0) return 0;
+  return Math.pow(inner, 3) * Math.pow(2, 1 / 1.1) / 100000;
+}
+
+// Star rating from aim and speed ratings, as osu! combines them
+function starRating(aimRating, speedRating) {
+  const basePerformance = Math.pow(
+    Math.pow(ratingToPerformance(aimRating), 1.1) + Math.pow(ratingToPerformance(speedRating), 1.1),
+    1 / 1.1
+  );
+  if (basePerformance <= 0.00001) return 0;
+  return Math.cbrt(PERFORMANCE_BASE_MULTIPLIER) * 0.027 *
+    (Math.cbrt(100000 / Math.pow(2, 1 / 1.1) * basePerformance) + 4);
+}
+
+function performanceToRating(performance) {
+  if (performance <= 0) return 0;
+  return STAR_RATING_MULTIPLIER * (Math.cbrt(performance * 100000) + 4) / 5;
+}
+
+function ratingToPerformance(rating) {
+  return Math.pow(5 * Math.max(1, rating / STAR_RATING_MULTIPLIER) - 4, 3) / 100000;
+}
+
+// Nomod aim and speed ratings (splitting the star rating evenly when the map was never
+// analysed), adjusted for mods that change how hard the map plays
+function estimateSkillRatings(beatmap, mods) {
+  let aim;
+  let speed;
+  if (beatmap.aim_difficulty != null && beatmap.speed_difficulty != null) {
+    aim = Number(beatmap.aim_difficulty);
+    speed = Number(beatmap.speed_difficulty);
+  } else {
+    const share = Math.pow(0.5, 1 / 1.1);
+    aim = speed = performanceToRating(starsToBasePerformance(Number(beatmap.difficulty_rating) || 0) * share);
+  }
+
+  const rateFactor = Math.pow(clockRate(mods), RATE_DIFFICULTY_EXPONENT);
+  aim *= rateFactor;
+  speed *= rateFactor;
+  if (mods.includes('HR')) aim *= HARD_ROCK_AIM_BONUS;
+  if (mods.includes('EZ')) aim *= EASY_AIM_PENALTY;
+
+  return { aim, speed };
+}
+
+// Circle/slider/spinner counts from the beatmap, or an estimate from max combo
+function getObjectCounts(beatmap) {
+  const circles = Number(beatmap.count_circles);
+  const sliders = Number(beatmap.count_sliders);
+  const spinners = Number(beatmap.count_spinners) || 0;
+
+  if (Number.isFinite(circles) && Number.isFinite(sliders) && circles + sliders > 0) {
+    return { circles, sliders, spinners, estimated: false };
+  }
+
+  const objects = Math.max(1, Math.round((Number(beatmap.max_combo) || 1) * OBJECTS_PER_COMBO_ESTIMATE));
+  const estimatedSliders = Math.round(objects * SLIDER_SHARE_ESTIMATE);
+  return { circles: objects - estimatedSliders, sliders: estimatedSliders, spinners: 0, estimated: true };
+}
+
+// Hit counts that produce `accuracy` (0-1) with the given misses, preferring 100s over 50s
+function hitCountsFromAccuracy(totalHits, accuracy, misses = 0) {
+  const countMiss = Math.min(misses, totalHits);
+  const remaining = totalHits - countMiss;
+  const lostAccuracy = totalHits * (1 - accuracy) - countMiss;
+
+  let count100 = Math.max(0, Math.round(1.5 * lostAccuracy));
+  let count50 = 0;
+
+  if (count100 > remaining) {
+    count100 = 0;
+    count50 = Math.min(remaining, Math.max(0, Math.round(1.2 * lostAccuracy)));
+  }
+
+  return { count300: remaining - count100 - count50, count100, count50, countMiss };
+}
+
+function accuracyOf({ count300, count100, count50, countMiss }) {
+  const total = count300 + count100 + count50 + countMiss;
+  if (total === 0) return 0;
+  return (300 * count300 + 100 * count100 + 50 * count50) / (300 * total);
+}
+
+class PPCalculator {
+  // beatmap: a beatmap_metadata row (difficulty_rating, cs, ar, od, hp, max_combo, ...)
+  // score: { accuracy (0-1) or count300/100/50, countMiss, combo, mods }
+  // options.ratings: exact { aim, speed } for these mods, e.g. from difficultyCalculator
+  // Returns null for unsupported modes and unranked mods.
+  static calculate(beatmap, score = {}, mode = 'osu', options = {}) {
+    if (mode !== 'osu' || !beatmap) return null;
+
+    const mods = parseMods(score.mods);
+    if (mods.some(mod => UNRANKED_MODS.includes(mod))) return null;
+
+    let objects = getObjectCounts(beatmap);
+    let hits;
+
+    if (score.count300 != null) {
+      hits = {
+        count300: Number(score.count300),
+        count100: Number(score.count100) || 0,
+        count50: Number(score.count50) || 0,
+        countMiss: Number(score.countMiss) || 0
+      };
+      // A score's judgements add up to the real object count, which beats the estimate
+      const judged = hits.count300 + hits.count100 + hits.count50 + hits.countMiss;
+      if (objects.estimated && judged > 0) {
+        const sliders = Math.round(judged * SLIDER_SHARE_ESTIMATE);
+        objects = { circles: judged - sliders, sliders, spinners: 0, estimated: true };
+      }
+    } else {
+      const objectCount = objects.circles + objects.sliders + objects.spinners;
+      hits = hitCountsFromAccuracy(objectCount, score.accuracy ?? 1, score.countMiss || 0);
+    }
+
+    const totalHits = objects.circles + objects.sliders + objects.spinners;
+    const maxCombo = Number(beatmap.max_combo) || totalHits;
+
+    const combo = Math.min(maxCombo, score.combo ?? maxCombo - hits.countMiss);
+    const difficulty = applyModsToDifficulty(beatmap, mods);
+    const ratings = options.ratings || estimateSkillRatings(beatmap, mods);
+
+    const context = {
+      mods, objects, totalHits, maxCombo, combo, difficulty, ratings,
+      accuracy: accuracyOf(hits),
+      effectiveMissCount: this.effectiveMissCount(hits, combo, maxCombo, objects.sliders, totalHits),
+      ...hits
+    };
+
+    let multiplier = PERFORMANCE_BASE_MULTIPLIER;
+    if (mods.includes('NF')) multiplier *= Math.max(0.9, 1 - 0.02 * context.effectiveMissCount);
+    if (mods.includes('SO') && totalHits > 0) multiplier *= 1 - Math.pow(objects.spinners / totalHits, 0.85);
+
+    const aim = this.aimValue(context);
+    const speed = this.speedValue(context);
+    const accuracy = this.accuracyValue(context);
+    const total = Math.pow(
+      Math.pow(aim, 1.1) + Math.pow(speed, 1.1) + Math.pow(accuracy, 1.1),
+      1 / 1.1
+    ) * multiplier;
+
+    return {
+      pp: total,
+      aim,
+      speed,
+      accuracy,
+      mods,
+      scoreAccuracy: context.accuracy,
+      combo,
+      maxCombo,
+      hits,
+      difficulty: {
+        ar: difficulty.ar,
+        od: difficulty.od,
+        cs: difficulty.cs,
+        hp: difficulty.hp,
+        aimRating: ratings.aim,
+        speedRating: ratings.speed
+      },
+      estimated: objects.estimated || (!options.ratings && (beatmap.aim_difficulty == null || modsChangeDifficulty(mods)))
+    };
+  }
+
+  // Misses implied by a broken combo, so sliderbreaks count against the score too
+  static effectiveMissCount({ count100, count50, countMiss }, combo, maxCombo, sliders, totalHits) {
+    let comboBasedMissCount = 0;
+    if (sliders > 0) {
+      const fullComboThreshold = maxCombo - 0.1 * sliders;
+      if (combo < fullComboThreshold) {
+        comboBasedMissCount = fullComboThreshold / Math.max(1, combo);
+      }
+    }
+
+    comboBasedMissCount = Math.min(comboBasedMissCount, count100 + count50 + countMiss);
+    return Math.min(totalHits, Math.max(countMiss, comboBasedMissCount));
+  }
+
+  static lengthBonus(totalHits) {
+    return 0.95 + 0.4 * Math.min(1, totalHits / 2000) +
+      (totalHits > 2000 ? Math.log10(totalHits / 2000) * 0.5 : 0);
+  }
+
+  static comboScaling(combo, maxCombo) {
+    return maxCombo > 0 ? Math.min(1, Math.pow(combo, 0.8) / Math.pow(maxCombo, 0.8)) : 1;
+  }
+
+  static aimValue(ctx) {
+    const { totalHits, effectiveMissCount, difficulty, mods } = ctx;
+    const lengthBonus = this.lengthBonus(totalHits);
+    let value = ratingToPerformance(ctx.ratings.aim) * lengthBonus;
+
+    if (effectiveMissCount > 0) {
+      value *= 0.97 * Math.pow(1 - Math.pow(effectiveMissCount / totalHits, 0.775), effectiveMissCount);
+    }
+    value *= this.comboScaling(ctx.combo, ctx.maxCombo);
+
+    let approachRateFactor = 0;
+    if (difficulty.ar > 10.33) approachRateFactor = 0.3 * (difficulty.ar - 10.33);
+    else if (difficulty.ar < 8) approachRateFactor = 0.05 * (8 - difficulty.ar);
+    value *= 1 + approachRateFactor * lengthBonus;
+
+    if (mods.includes('HD')) value *= 1 + 0.04 * (12 - difficulty.ar);
+
+    value *= ctx.accuracy;
+    value *= 0.98 + Math.pow(difficulty.od, 2) / 2500;
+    return value;
+  }
+
+  static speedValue(ctx) {
+    const { totalHits, effectiveMissCount, difficulty, mods } = ctx;
+    const lengthBonus = this.lengthBonus(totalHits);
+    let value = ratingToPerformance(ctx.ratings.speed) * lengthBonus;
+
+    if (effectiveMissCount > 0) {
+      value *= 0.97 * Math.pow(
+        1 - Math.pow(effectiveMissCount / totalHits, 0.775),
+        Math.pow(effectiveMissCount, 0.875)
+      );
+    }
+    value *= this.comboScaling(ctx.combo, ctx.maxCombo);
+
+    if (difficulty.ar > 10.33) value *= 1 + 0.3 * (difficulty.ar - 10.33) * lengthBonus;
+    if (mods.includes('HD')) value *= 1 + 0.04 * (12 - difficulty.ar);
+
+    value *= (0.95 + Math.pow(difficulty.od, 2) / 750) *
+      Math.pow(ctx.accuracy, (14.5 - Math.max(difficulty.od, 8)) / 2);
+
+    // Penalise 50s beyond one per 500 objects
+    value *= Math.pow(0.99, Math.max(0, ctx.count50 - totalHits / 500));
+    return value;
+  }
+
+  // Only circles are judged on timing, so accuracy pp comes from them alone
+  static accuracyValue(ctx) {
+    const circles = ctx.objects.circles;
+    if (circles === 0) return 0;
+
+    const nonCircles = ctx.totalHits - circles;
+    const betterAccuracy = Math.max(0,
+      ((ctx.count300 - nonCircles) * 6 + ctx.count100 * 2 + ctx.count50) / (circles * 6)
+    );
+
+    let value = Math.pow(1.52163, ctx.difficulty.od) * Math.pow(betterAccuracy, 24) * 2.83;
+    value *= Math.min(1.15, Math.pow(circles / 1000, 0.3));
+
+    if (ctx.mods.includes('HD')) value *= 1.08;
+    if (ctx.mods.includes('FL')) value *= 1.02;
+    return value;
+  }
+
+  // pp for a score from the osu! API (legacy statistics or lazer fields) on a saved beatmap
+  static calculateForApiScore(beatmap, apiScore, mode = 'osu') {
+    const stats = apiScore.statistics || {};
+    const result = this.calculate(beatmap, {
+      mods: apiScore.mods,
+      count300: stats.count_300 ?? stats.great ?? null,
+      count100: stats.count_100 ?? stats.ok,
+      count50: stats.count_50 ?? stats.meh,
+      countMiss: stats.count_miss ?? stats.miss,
+      combo: apiScore.max_combo
+    }, mode);
+    return result ? result.pp : null;
+  }
+}
+
+module.exports = {
+  PPCalculator,
+  parseMods,
+  clockRate,
+  starRating,
+  applyModsToDifficulty,
+  estimateSkillRatings,
+  hitCountsFromAccuracy
+};
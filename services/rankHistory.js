@@ -0,0 +1,142 @@
+const { query, getRows } = require('../config/db');
+const { DEFAULT_MODE } = require('../config/modes');
+
+// Country ranks worth announcing when a player first climbs into them
+const RANK_MILESTONES = [1, 10, 50, 100];
+
+// Daily rank snapshots and the trends derived from them
+class RankHistoryService {
+  // Store today's ranks for every active player in every mode; re-running the same day overwrites
+  async takeSnapshot(date = new Date().toISOString().split('T')[0]) {
+    const result = await query(`
+      INSERT INTO rank_snapshots (
+        snapshot_date, username, mode, country, global_rank, country_rank,
+        weighted_pp, accuracy, playcount
+      )
+      SELECT
+        $1::date, pms.username, pms.mode, pms.country, pms.global_rank, pms.country_rank,
+        pms.weighted_pp, pms.accuracy_avg, pms.playcount
+      FROM player_mode_stats pms
+      JOIN player_stats ps ON ps.username = pms.username
+      WHERE ps.is_active = true
+      ON CONFLICT (snapshot_date, username, mode) DO UPDATE SET
+        country = EXCLUDED.country,
+        global_rank = EXCLUDED.global_rank,
+        country_rank = EXCLUDED.country_rank,
+        weighted_pp = EXCLUDED.weighted_pp,
+        accuracy = EXCLUDED.accuracy,
+        playcount = EXCLUDED.playcount
+    `, [date]);
+
+    return result.rowCount;
+  }
+
+  // Country rank changes between the latest snapshot and the oldest one within `days` before it.
+  // rank_change is positive when the player climbed.
+  async getRankMovers(country, mode = DEFAULT_MODE, days = 7, limit = 10) {
+    const rows = await getRows(`
+      WITH latest AS (
+        SELECT MAX(snapshot_date) AS snapshot_date
+        FROM rank_snapshots
+        WHERE country = $1 AND mode = $2
+      ),
+      current AS (
+        SELECT rs.*
+        FROM rank_snapshots rs, latest
+        WHERE rs.country = $1 AND rs.mode = $2 AND rs.snapshot_date = latest.snapshot_date
+      ),
+      past AS (
+        SELECT DISTINCT ON (rs.username) rs.*
+        FROM rank_snapshots rs, latest
+        WHERE rs.country = $1 AND rs.mode = $2
+          AND rs.snapshot_date >= latest.snapshot_date - $3::int
+          AND rs.snapshot_date < latest.snapshot_date
+        ORDER BY rs.username, rs.snapshot_date ASC
+      )
+      SELECT
+        current.username,
+        past.snapshot_date AS from_date,
+        current.snapshot_date AS to_date,
+        past.country_rank AS previous_country_rank,
+        current.country_rank,
+        past.country_rank - current.country_rank AS rank_change,
+        past.global_rank AS previous_global_rank,
+        current.global_rank,
+        past.global_rank - current.global_rank AS global_rank_change,
+        current.weighted_pp,
+        current.weighted_pp - past.weighted_pp AS pp_change,
+        current.accuracy - past.accuracy AS accuracy_change,
+        current.playcount - past.playcount AS playcount_change
+      FROM current
+      JOIN past ON past.username = current.username
+      WHERE current.country_rank > 0 AND past.country_rank > 0
+    `, [country, mode, days]);
+
+    const moved = rows.filter(row => row.rank_change !== 0);
+
+    return {
+      climbers: moved.filter(row => row.rank_change > 0)
+        .sort((a, b) => b.rank_change - a.rank_change)
+        .slice(0, limit),
+      fallers: moved.filter(row => row.rank_change < 0)
+        .sort((a, b) => a.rank_change - b.rank_change)
+        .slice(0, limit)
+    };
+  }
+
+  // Players whose country rank crossed a milestone since their previous snapshot
+  async getMilestoneCrossings(date, milestones = RANK_MILESTONES) {
+    const rows = await getRows(`
+      SELECT
+        cur.username, cur.mode, cur.country, cur.weighted_pp,
+        cur.country_rank, prev.country_rank AS previous_country_rank
+      FROM rank_snapshots cur
+      JOIN LATERAL (
+        SELECT country_rank FROM rank_snapshots p
+        WHERE p.username = cur.username AND p.mode = cur.mode AND p.snapshot_date < cur.snapshot_date
+        ORDER BY p.snapshot_date DESC
+        LIMIT 1
+      ) prev ON true
+      WHERE cur.snapshot_date = $1 AND cur.country_rank > 0 AND prev.country_rank > cur.country_rank
+    `, [date]);
+
+    return rows
+      .map(row => ({
+        ...row,
+        // The best milestone reached, e.g. going from #60 to #8 announces top 10
+        milestone: [...milestones].sort((a, b) => a - b)
+          .find(m => row.country_rank <= m && row.previous_country_rank > m)
+      }))
+      .filter(row => row.milestone !== undefined);
+  }
+
+  // Daily snapshots for one player, oldest first
+  async getPlayerRankHistory(username, mode = DEFAULT_MODE, days = 90) {
+    return getRows(`
+      SELECT
+        snapshot_date, country, global_rank, country_rank, weighted_pp, accuracy, playcount
+      FROM rank_snapshots
+      WHERE username = $1 AND mode = $2 AND snapshot_date >= CURRENT_DATE - $3::int
+      ORDER BY snapshot_date ASC
+    `, [username, mode, days]);
+  }
+
+  // Drop snapshots older than the retention window
+  async pruneSnapshots(retentionDays = 365) {
+    const result = await query(`
+      DELETE FROM rank_snapshots
+      WHERE snapshot_date < CURRENT_DATE - $1::int
+    `, [retentionDays]);
+
+    return result.rowCount;
+  }
+}
+
+// Create singleton instance
+const rankHistoryService = new RankHistoryService();
+
+module.exports = {
+  RankHistoryService,
+  rankHistoryService,
+  RANK_MILESTONES
+};
@@ -0,0 +1,291 @@
+const { pointAlongPath } = require('./beatmapParser');
+const { circleRadius } = require('./difficultyCalculator');
+const { parseMods, clockRate, applyModsToDifficulty } = require('./ppCalculator');
+const { KEYS } = require('./replayParser');
+
+// Analytics from an osu!standard replay, replaying its key presses against the beatmap's objects.
+// This approximates osu!stable judgement: presses only reach the earliest unjudged object
+// (notelock), early presses outside the 50 window are ignored rather than counted as misses,
+// and objects are not stacked. The replay header's hit counts stay the authoritative ones.
+
+const PLAYFIELD_WIDTH = 512;
+const PLAYFIELD_HEIGHT = 384;
+const HEATMAP_CELL_SIZE = 16;
+const HISTOGRAM_BIN_SIZE = 5;
+const TIMELINE_SECTIONS = 20;
+// Slider ends are checked slightly early, and the cursor may stray this far from the ball
+const SLIDER_END_LENIENCY = 36;
+const FOLLOW_RADIUS_SCALE = 2.4;
+
+const BUTTONS = KEYS.M1 | KEYS.M2;
+
+const round = (value, places = 2) => Math.round(value * Math.pow(10, places)) / Math.pow(10, places);
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// Cursor position and held buttons at a time, interpolated between the surrounding frames
+function cursorAt(frames, time) {
+  let low = 0;
+  let high = frames.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >>> 1;
+    if (frames[mid].time <= time) low = mid; else high = mid - 1;
+  }
+
+  const current = frames[low];
+  const next = frames[low + 1];
+  if (!next || time <= current.time || next.time === current.time) return current;
+
+  const t = (time - current.time) / (next.time - current.time);
+  return {
+    x: current.x + (next.x - current.x) * t,
+    y: current.y + (next.y - current.y) * t,
+    keys: current.keys
+  };
+}
+
+// Hit windows in beatmap time; replays record beatmap time, so rate mods do not change them
+function hitWindows(od, mods) {
+  const scaled = Math.min(10, od * (mods.includes('HR') ? 1.4 : mods.includes('EZ') ? 0.5 : 1));
+  return { great: 80 - 6 * scaled, ok: 140 - 8 * scaled, meh: 200 - 10 * scaled };
+}
+
+// Every newly pressed button is one press, at the frame where it went down
+function findPresses(frames) {
+  const presses = [];
+  let previous = 0;
+
+  for (const frame of frames) {
+    const buttons = frame.keys & BUTTONS;
+    const pressed = buttons & ~previous;
+    if (pressed & KEYS.M1) presses.push(frame);
+    if (pressed & KEYS.M2) presses.push(frame);
+    previous = buttons;
+  }
+  return presses;
+}
+
+// Hard Rock flips the playfield vertically
+function flipObject(object) {
+  return {
+    ...object,
+    y: PLAYFIELD_HEIGHT - object.y,
+    endY: object.endY !== undefined ? PLAYFIELD_HEIGHT - object.endY : undefined,
+    path: object.path?.map(point => ({ x: point.x, y: PLAYFIELD_HEIGHT - point.y }))
+  };
+}
+
+// Head, ticks, repeats and tail of a slider as { time, position } checkpoints after the head
+function sliderCheckpoints(slider) {
+  const checkpoints = [];
+  const progressAt = (span, fraction) => (span % 2 === 0 ? fraction : 1 - fraction);
+
+  for (let span = 0; span < slider.slides; span++) {
+    const spanStart = slider.time + span * slider.spanDuration;
+    for (const fraction of slider.ticks) {
+      checkpoints.push({
+        time: spanStart + fraction * slider.spanDuration,
+        position: pointAlongPath(slider.path, progressAt(span, fraction)),
+        breaksCombo: true
+      });
+    }
+    if (span < slider.slides - 1) {
+      checkpoints.push({
+        time: spanStart + slider.spanDuration,
+        position: pointAlongPath(slider.path, progressAt(span, 1)),
+        breaksCombo: true
+      });
+    }
+  }
+
+  checkpoints.push({
+    time: Math.max(slider.time + (slider.endTime - slider.time) / 2, slider.endTime - SLIDER_END_LENIENCY),
+    position: { x: slider.endX, y: slider.endY },
+    breaksCombo: false
+  });
+
+  return checkpoints.sort((a, b) => a.time - b.time);
+}
+
+// Judge circles and slider heads from the presses, then sliders from how they were followed
+function simulateHits(frames, beatmap, mods) {
+  const difficulty = applyModsToDifficulty(beatmap.difficulty, mods);
+  const windows = hitWindows(beatmap.difficulty.od, mods);
+  const radius = circleRadius(difficulty.cs);
+
+  const objects = beatmap.hitObjects
+    .filter(object => object.kind === 'circle' || object.kind === 'slider')
+    .map(object => (mods.includes('HR') ? flipObject(object) : object));
+
+  const results = objects.map(object => ({ object, error: null, headHit: false }));
+  const presses = findPresses(frames);
+  let next = 0;
+
+  for (const press of presses) {
+    while (next < results.length && press.time > results[next].object.time + windows.meh) next++;
+    if (next >= results.length) break;
+
+    const result = results[next];
+    const error = press.time - result.object.time;
+    if (error < -windows.meh || distance(press, result.object) > radius) continue;
+
+    result.headHit = true;
+    result.error = error;
+    next++;
+  }
+
+  const followRadius = radius * FOLLOW_RADIUS_SCALE;
+
+  for (const result of results) {
+    const { object } = result;
+    const headJudgement = !result.headHit
+      ? 'miss'
+      : Math.abs(result.error) <= windows.great ? 'great' : Math.abs(result.error) <= windows.ok ? 'ok' : 'meh';
+
+    if (object.kind === 'circle') {
+      result.judgement = headJudgement;
+      result.sliderBreak = false;
+      continue;
+    }
+
+    const checkpoints = sliderCheckpoints(object);
+    let hit = result.headHit ? 1 : 0;
+    let broken = !result.headHit;
+
+    for (const checkpoint of checkpoints) {
+      const state = cursorAt(frames, checkpoint.time);
+      const held = (state.keys & BUTTONS) !== 0 && distance(state, checkpoint.position) <= followRadius;
+      if (held) {
+        hit++;
+      } else if (checkpoint.breaksCombo) {
+        broken = true;
+      }
+    }
+
+    const total = checkpoints.length + 1;
+    result.judgement = hit === total ? 'great' : hit * 2 >= total ? 'ok' : hit > 0 ? 'meh' : 'miss';
+    result.sliderBreak = broken && result.judgement !== 'miss';
+  }
+
+  return { results, windows };
+}
+
+function unstableRate(errors, rate) {
+  if (errors.length < 2) return null;
+  const mean = errors.reduce((sum, error) => sum + error, 0) / errors.length;
+  const variance = errors.reduce((sum, error) => sum + Math.pow(error - mean, 2), 0) / errors.length;
+  return round(Math.sqrt(variance) * 10 / rate);
+}
+
+function errorHistogram(errors, windows) {
+  const start = -Math.ceil(windows.meh / HISTOGRAM_BIN_SIZE) * HISTOGRAM_BIN_SIZE;
+  const counts = new Array(Math.ceil(-2 * start / HISTOGRAM_BIN_SIZE)).fill(0);
+
+  for (const error of errors) {
+    const bin = Math.floor((error - start) / HISTOGRAM_BIN_SIZE);
+    counts[Math.min(counts.length - 1, Math.max(0, bin))]++;
+  }
+  return { binSize: HISTOGRAM_BIN_SIZE, start, counts };
+}
+
+// Where the cursor spent the play, as frame counts per 16px cell of the playfield
+function cursorHeatmap(frames, from = -Infinity, to = Infinity) {
+  const columns = PLAYFIELD_WIDTH / HEATMAP_CELL_SIZE;
+  const rows = PLAYFIELD_HEIGHT / HEATMAP_CELL_SIZE;
+  const cells = Array.from({ length: rows }, () => new Array(columns).fill(0));
+  let outside = 0;
+
+  for (const frame of frames) {
+    if (frame.time < from || frame.time > to) continue;
+    if (frame.x < 0 || frame.y < 0 || frame.x >= PLAYFIELD_WIDTH || frame.y >= PLAYFIELD_HEIGHT) {
+      outside++;
+      continue;
+    }
+    cells[Math.floor(frame.y / HEATMAP_CELL_SIZE)][Math.floor(frame.x / HEATMAP_CELL_SIZE)]++;
+  }
+
+  return { cellSize: HEATMAP_CELL_SIZE, columns, rows, cells, outside };
+}
+
+// Judgements grouped into equal slices of the map, so misses can be placed on a timeline
+function judgementTimeline(results) {
+  if (results.length === 0) return [];
+
+  const first = results[0].object.time;
+  const last = Math.max(...results.map(result => result.object.endTime));
+  const length = Math.max(1, (last - first) / TIMELINE_SECTIONS);
+
+  const sections = Array.from({ length: TIMELINE_SECTIONS }, (_, index) => ({
+    start: Math.round(first + index * length),
+    end: Math.round(first + (index + 1) * length),
+    count300: 0, count100: 0, count50: 0, countMiss: 0, sliderBreaks: 0
+  }));
+
+  const field = { great: 'count300', ok: 'count100', meh: 'count50', miss: 'countMiss' };
+  for (const result of results) {
+    const section = sections[Math.min(TIMELINE_SECTIONS - 1, Math.floor((result.object.time - first) / length))];
+    section[field[result.judgement]]++;
+    if (result.sliderBreak) section.sliderBreaks++;
+  }
+  return sections;
+}
+
+// Analytics for a parsed replay. beatmap is the parsed .osu file, or null for cursor data only.
+function analyzeReplay(replay, beatmap = null) {
+  const mods = parseMods(replay.mods);
+  const rate = clockRate(mods);
+  const frames = [...replay.frames].sort((a, b) => a.time - b.time);
+
+  if (!beatmap || replay.mode !== 'osu' || beatmap.mode !== 'osu' || beatmap.hitObjects.length === 0) {
+    return {
+      clockRate: rate,
+      simulated: false,
+      heatmap: replay.mode === 'osu' ? cursorHeatmap(frames, 0) : null,
+      unstableRate: null,
+      hitErrors: null,
+      timeline: [],
+      misses: [],
+      judged: null
+    };
+  }
+
+  const { results, windows } = simulateHits(frames, beatmap, mods);
+  const errors = results.filter(result => result.error !== null).map(result => result.error);
+  const early = errors.filter(error => error < 0);
+  const late = errors.filter(error => error >= 0);
+  const average = (values) => (values.length ? round(values.reduce((sum, v) => sum + v, 0) / values.length) : null);
+
+  const count = (judgement) => results.filter(result => result.judgement === judgement).length;
+  const firstTime = beatmap.hitObjects[0].time;
+  const lastTime = Math.max(...beatmap.hitObjects.map(object => object.endTime));
+
+  return {
+    clockRate: rate,
+    simulated: true,
+    heatmap: cursorHeatmap(frames, firstTime, lastTime),
+    unstableRate: unstableRate(errors, rate),
+    hitErrors: {
+      mean: average(errors),
+      early: average(early),
+      late: average(late),
+      windows: { 300: round(windows.great), 100: round(windows.ok), 50: round(windows.meh) },
+      histogram: errorHistogram(errors, windows)
+    },
+    timeline: judgementTimeline(results),
+    misses: results
+      .filter(result => result.judgement === 'miss')
+      .map(result => ({ time: result.object.time, kind: result.object.kind })),
+    judged: {
+      count300: count('great'),
+      count100: count('ok'),
+      count50: count('meh'),
+      countMiss: count('miss'),
+      sliderBreaks: results.filter(result => result.sliderBreak).length
+    }
+  };
+}
+
+module.exports = {
+  analyzeReplay,
+  cursorHeatmap,
+  hitWindows
+};
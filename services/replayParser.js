@@ -0,0 +1,230 @@
+const { decompress, LzmaError } = require('./lzma');
+
+// .osr replay files: little-endian header fields followed by LZMA-compressed cursor frames.
+// Strings are 0x00 (absent) or 0x0b, a ULEB128 length and UTF-8 bytes.
+
+const MODE_NAMES = ['osu', 'taiko', 'fruits', 'mania'];
+
+// Buttons held in a frame; K1/K2 also set the matching mouse bit
+const KEYS = {
+  M1: 1,
+  M2: 2,
+  K1: 4,
+  K2: 8,
+  SMOKE: 16
+};
+
+// Mod bits as stored in replays and the v1 API, in the order osu! shows them
+const MOD_BITS = [
+  ['NF', 1], ['EZ', 2], ['TD', 4], ['HD', 8], ['HR', 16], ['SD', 32], ['DT', 64], ['RX', 128],
+  ['HT', 256], ['NC', 512], ['FL', 1024], ['AT', 2048], ['SO', 4096], ['AP', 8192], ['PF', 16384],
+  ['4K', 32768], ['5K', 65536], ['6K', 131072], ['7K', 262144], ['8K', 524288], ['FI', 1048576],
+  ['RD', 2097152], ['CN', 4194304], ['TP', 8388608], ['9K', 16777216], ['CO', 33554432],
+  ['1K', 67108864], ['3K', 134217728], ['2K', 268435456], ['SV2', 536870912], ['MR', 1073741824]
+];
+
+// The last frame of newer replays carries the RNG seed instead of a cursor position
+const SEED_FRAME_DELTA = -12345;
+
+// Frame text of an hour-long map at 60 frames a second is about 4 MB
+const MAX_FRAME_DATA_SIZE = 8 * 1024 * 1024;
+
+// Windows file time (100ns ticks since year 1) of the Unix epoch
+const UNIX_EPOCH_TICKS = 621355968000000000n;
+
+class ReplayParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReplayParseError';
+  }
+}
+
+class Reader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.offset = 0;
+  }
+
+  ensure(bytes) {
+    if (this.offset + bytes > this.buffer.length) {
+      throw new ReplayParseError('Replay file is truncated');
+    }
+  }
+
+  byte() {
+    this.ensure(1);
+    return this.buffer.readUInt8(this.offset++);
+  }
+
+  short() {
+    this.ensure(2);
+    const value = this.buffer.readUInt16LE(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  int() {
+    this.ensure(4);
+    const value = this.buffer.readInt32LE(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  long() {
+    this.ensure(8);
+    const value = this.buffer.readBigInt64LE(this.offset);
+    this.offset += 8;
+    return value;
+  }
+
+  uleb128() {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = this.byte();
+      result += (byte & 0x7f) * Math.pow(2, shift);
+      shift += 7;
+    } while (byte & 0x80);
+    return result;
+  }
+
+  string() {
+    const marker = this.byte();
+    if (marker === 0x00) return null;
+    if (marker !== 0x0b) throw new ReplayParseError('Invalid string in replay header');
+
+    const length = this.uleb128();
+    this.ensure(length);
+    const value = this.buffer.toString('utf8', this.offset, this.offset + length);
+    this.offset += length;
+    return value;
+  }
+
+  bytes(length) {
+    this.ensure(length);
+    const value = this.buffer.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return value;
+  }
+}
+
+// Mod bitmask to acronyms, leaving out DT under NC and SD under PF as the osu! API does
+function decodeMods(bits) {
+  const mods = MOD_BITS.filter(([, bit]) => (bits & bit) !== 0).map(([acronym]) => acronym);
+  return mods.filter(mod => !(mod === 'DT' && mods.includes('NC')) && !(mod === 'SD' && mods.includes('PF')));
+}
+
+// "time/life,..." pairs of the HP bar, life from 0 to 1
+function parseLifeBar(text) {
+  if (!text) return [];
+  return text.split(',')
+    .map(pair => pair.split('|'))
+    .filter(parts => parts.length === 2 && parts[0] !== '')
+    .map(([time, life]) => ({ time: parseInt(time), life: parseFloat(life) }));
+}
+
+// "delta|x|y|keys," frames; times are made absolute (ms of beatmap time)
+function parseFrames(text) {
+  const frames = [];
+  let time = 0;
+  let seed = null;
+
+  for (const entry of text.split(',')) {
+    if (!entry) continue;
+    const [delta, x, y, keys] = entry.split('|');
+
+    if (parseInt(delta) === SEED_FRAME_DELTA) {
+      seed = parseInt(keys) || null;
+      continue;
+    }
+
+    time += parseInt(delta) || 0;
+    frames.push({ time, x: parseFloat(x), y: parseFloat(y), keys: parseInt(keys) || 0 });
+  }
+
+  return { frames, seed };
+}
+
+// Parse an .osr file. Throws ReplayParseError when it is not a readable replay.
+function parseReplay(content) {
+  if (!Buffer.isBuffer(content) || content.length === 0) {
+    throw new ReplayParseError('Replay file is empty');
+  }
+
+  const reader = new Reader(content);
+  const mode = reader.byte();
+  if (!MODE_NAMES[mode]) throw new ReplayParseError('Not an .osr file (unknown game mode)');
+
+  const version = reader.int();
+  const beatmapMd5 = reader.string();
+  const playerName = reader.string();
+  const replayMd5 = reader.string();
+
+  const counts = {
+    count300: reader.short(),
+    count100: reader.short(),
+    count50: reader.short(),
+    countGeki: reader.short(),
+    countKatu: reader.short(),
+    countMiss: reader.short()
+  };
+
+  const score = reader.int();
+  const maxCombo = reader.short();
+  const perfect = reader.byte() === 1;
+  const modBits = reader.int();
+  const lifeBar = parseLifeBar(reader.string());
+  const ticks = reader.long();
+  const compressedLength = reader.int();
+
+  if (!beatmapMd5 || !playerName) {
+    throw new ReplayParseError('Replay has no beatmap checksum or player name');
+  }
+
+  let frames = [];
+  let seed = null;
+  if (compressedLength > 0) {
+    try {
+      ({ frames, seed } = parseFrames(decompress(reader.bytes(compressedLength), { maxSize: MAX_FRAME_DATA_SIZE }).toString('ascii')));
+    } catch (err) {
+      if (err instanceof LzmaError) throw new ReplayParseError(`Replay frames are corrupted: ${err.message}`);
+      throw err;
+    }
+  }
+
+  // Replays from before 2014 end after the frames; online ids were a 32-bit int for a while
+  let onlineScoreId = null;
+  const remaining = content.length - reader.offset;
+  if (remaining >= 8) {
+    onlineScoreId = Number(reader.long());
+  } else if (remaining >= 4) {
+    onlineScoreId = reader.int();
+  }
+
+  return {
+    mode: MODE_NAMES[mode],
+    version,
+    beatmapMd5,
+    playerName,
+    replayMd5,
+    ...counts,
+    score,
+    maxCombo,
+    perfect,
+    modBits,
+    mods: decodeMods(modBits),
+    lifeBar,
+    playedAt: Number((ticks - UNIX_EPOCH_TICKS) / 10000n),
+    onlineScoreId: onlineScoreId > 0 ? onlineScoreId : null,
+    frames,
+    seed
+  };
+}
+
+module.exports = {
+  parseReplay,
+  decodeMods,
+  ReplayParseError,
+  KEYS
+};
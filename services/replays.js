@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const { getRow, getRows } = require('../config/db');
+const { parseReplay, ReplayParseError } = require('./replayParser');
+const { analyzeReplay } = require('./replayAnalysis');
+const { parseOsuFile, BeatmapParseError } = require('./beatmapParser');
+const { beatmapAnalysisService } = require('./beatmapAnalysis');
+const { leaderboardService } = require('./leaderboard');
+const { lookupBeatmapByChecksum } = require('./osuApi');
+
+// Everything but the analysis, for listings
+const REPLAY_SUMMARY_COLUMNS = `
+  id, beatmap_id, player_id, player_name, mode, mods, score, max_combo,
+  count_300, count_100, count_50, count_miss, perfect, played_at, matched_score, uploaded_at,
+  (analysis->>'unstableRate')::REAL AS unstable_rate
+`;
+
+// Replay failures carry the HTTP status the route should answer with
+class ReplayError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ReplayError';
+    this.status = status;
+  }
+}
+
+// Uploaded .osr replays, matched to leaderboard scores and analysed against the beatmap
+class ReplayService {
+  // Beatmap id for a .osu checksum, from what is stored or else from the osu! API
+  async findBeatmapId(checksum) {
+    const known = await getRow(`
+      SELECT beatmap_id FROM beatmap_metadata WHERE checksum = $1
+      UNION ALL
+      SELECT beatmap_id FROM beatmap_attributes WHERE file_md5 = $1
+      UNION ALL
+      SELECT beatmap_id FROM beatmap_files WHERE file_md5 = $1
+      LIMIT 1
+    `, [checksum]);
+    if (known) return Number(known.beatmap_id);
+
+    try {
+      const beatmap = await lookupBeatmapByChecksum(checksum);
+      await leaderboardService.saveBeatmapMetadata(beatmap);
+      return beatmap.id;
+    } catch (err) {
+      if (err.response?.status === 404) return null;
+      throw err;
+    }
+  }
+
+  // The parsed .osu file the replay was played on, or null when that version is not available
+  async loadBeatmap(beatmapId, checksum) {
+    const file = await beatmapAnalysisService.getFile(beatmapId, checksum);
+    if (!file || file.md5 !== checksum) return null;
+
+    try {
+      return parseOsuFile(file.content);
+    } catch (err) {
+      if (err instanceof BeatmapParseError) return null;
+      throw err;
+    }
+  }
+
+  // Parse, match and analyse an .osr upload. Uploading the same replay again returns the stored one.
+  async upload(content, uploadedBy = null) {
+    let replay;
+    try {
+      replay = parseReplay(content);
+    } catch (err) {
+      if (err instanceof ReplayParseError) throw new ReplayError(err.message);
+      throw err;
+    }
+
+    const replayMd5 = replay.replayMd5 || crypto.createHash('md5').update(content).digest('hex');
+    const existing = await getRow('SELECT * FROM score_replays WHERE replay_md5 = $1', [replayMd5]);
+    if (existing) return { replay: existing, created: false };
+
+    const beatmapId = await this.findBeatmapId(replay.beatmapMd5);
+    if (!beatmapId) {
+      throw new ReplayError('The beatmap this replay was played on could not be found', 404);
+    }
+
+    const score = await getRow(`
+      SELECT player_id, username, score FROM algeria_top50
+      WHERE beatmap_id = $1 AND mode = $2 AND LOWER(username) = LOWER($3)
+    `, [beatmapId, replay.mode, replay.playerName]);
+    if (!score) {
+      throw new ReplayError(`${replay.playerName} has no leaderboard score on this beatmap`, 404);
+    }
+
+    const beatmap = await this.loadBeatmap(beatmapId, replay.beatmapMd5);
+    const analysis = analyzeReplay(replay, beatmap);
+
+    const row = await getRow(`
+      INSERT INTO score_replays (
+        replay_md5, beatmap_md5, beatmap_id, player_id, player_name, mode, mods, score, max_combo,
+        count_300, count_100, count_50, count_geki, count_katu, count_miss, perfect,
+        played_at, online_score_id, matched_score, analysis, uploaded_by, uploaded_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)
+      ON CONFLICT (replay_md5) DO NOTHING
+      RETURNING *
+    `, [
+      replayMd5, replay.beatmapMd5, beatmapId, score.player_id, score.username, replay.mode,
+      replay.mods.length ? replay.mods.join(',') : 'None', replay.score, replay.maxCombo,
+      replay.count300, replay.count100, replay.count50, replay.countGeki, replay.countKatu, replay.countMiss,
+      replay.perfect, replay.playedAt, replay.onlineScoreId, Number(score.score) === replay.score,
+      JSON.stringify(analysis), uploadedBy, Date.now()
+    ]);
+
+    // Lost a race with an identical upload
+    if (!row) {
+      return { replay: await getRow('SELECT * FROM score_replays WHERE replay_md5 = $1', [replayMd5]), created: false };
+    }
+    return { replay: row, created: true };
+  }
+
+  async getReplay(id) {
+    return getRow('SELECT * FROM score_replays WHERE id = $1', [id]);
+  }
+
+  // Replays of a player's score on a beatmap, the one of the current score first
+  async getScoreReplays(beatmapId, username, mode) {
+    return getRows(`
+      SELECT ${REPLAY_SUMMARY_COLUMNS}
+      FROM score_replays
+      WHERE beatmap_id = $1 AND LOWER(player_name) = LOWER($2) AND mode = $3
+      ORDER BY matched_score DESC, played_at DESC
+    `, [beatmapId, username, mode]);
+  }
+}
+
+// Create singleton instance
+const replayService = new ReplayService();
+
+module.exports = {
+  ReplayService,
+  replayService,
+  ReplayError
+};
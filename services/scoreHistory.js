@@ -0,0 +1,105 @@
+const { getRows } = require('../config/db');
+const { DEFAULT_MODE } = require('../config/modes');
+
+// Fields compared between observations, with the tolerance for float noise (null = exact match)
+const DIFF_FIELDS = {
+  score: 0,
+  pp: 0.01,
+  accuracy: 0.00001,
+  mods: null
+};
+
+// Append-only score history for the local leaderboards
+class ScoreHistoryService {
+  // List the tracked fields that differ; a missing previous row is a first sighting
+  detectChanges(previous, current) {
+    if (!previous) return ['new'];
+
+    return Object.entries(DIFF_FIELDS)
+      .filter(([field, tolerance]) => {
+        if (tolerance === null) {
+          return (previous[field] || 'None') !== (current[field] || 'None');
+        }
+        return Math.abs(Number(previous[field] || 0) - Number(current[field] || 0)) > tolerance;
+      })
+      .map(([field]) => field);
+  }
+
+  // Record a new observation inside the caller's transaction when something changed
+  async recordScore(client, previous, entry) {
+    const changes = this.detectChanges(previous, entry);
+    if (changes.length === 0) return [];
+
+    await client.query(`
+      INSERT INTO score_history (
+        beatmap_id, player_id, username, country, mode, rank, score, pp, accuracy,
+        mods, max_combo, count_miss, play_date, observed_at, changes
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+    `, [
+      entry.beatmapId, entry.playerId, entry.username, entry.country, entry.mode,
+      entry.rank, entry.score, entry.pp, entry.accuracy, entry.mods,
+      entry.maxCombo, entry.countMiss, entry.playDate, entry.observedAt, changes
+    ]);
+
+    return changes;
+  }
+
+  // Every version of one player's score on a beatmap, oldest first, with deltas to the previous one
+  async getPlayerBeatmapHistory(username, beatmapId, mode = DEFAULT_MODE) {
+    return getRows(`
+      SELECT
+        beatmap_id, username, country, mode, rank, score, pp, accuracy, mods,
+        max_combo, count_miss, play_date, observed_at, changes,
+        score - LAG(score) OVER w AS score_delta,
+        pp - LAG(pp) OVER w AS pp_delta,
+        accuracy - LAG(accuracy) OVER w AS accuracy_delta
+      FROM score_history
+      WHERE username = $1 AND beatmap_id = $2 AND mode = $3
+      WINDOW w AS (PARTITION BY player_id ORDER BY observed_at)
+      ORDER BY observed_at ASC
+    `, [username, beatmapId, mode]);
+  }
+
+  // Timeline of changes on a beatmap's local leaderboard, newest first
+  async getBeatmapHistory(beatmapId, country, mode = DEFAULT_MODE, limit = 100) {
+    return getRows(`
+      SELECT * FROM (
+        SELECT
+          beatmap_id, player_id, username, country, mode, rank, score, pp, accuracy, mods,
+          play_date, observed_at, changes,
+          score - LAG(score) OVER w AS score_delta,
+          pp - LAG(pp) OVER w AS pp_delta
+        FROM score_history
+        WHERE beatmap_id = $1 AND country = $2 AND mode = $3
+        WINDOW w AS (PARTITION BY player_id ORDER BY observed_at)
+      ) timeline
+      ORDER BY observed_at DESC
+      LIMIT $4
+    `, [beatmapId, country, mode, limit]);
+  }
+
+  // Rebuild the local leaderboard as it stood at a point in time
+  async getBeatmapLeaderboardAt(beatmapId, country, mode = DEFAULT_MODE, at = Date.now(), limit = 50) {
+    return getRows(`
+      SELECT
+        ROW_NUMBER() OVER (ORDER BY score DESC) AS rank,
+        player_id, username, score, pp, accuracy, mods, play_date, observed_at
+      FROM (
+        SELECT DISTINCT ON (player_id) *
+        FROM score_history
+        WHERE beatmap_id = $1 AND country = $2 AND mode = $3 AND observed_at <= $4
+        ORDER BY player_id, observed_at DESC
+      ) latest
+      ORDER BY score DESC
+      LIMIT $5
+    `, [beatmapId, country, mode, at, limit]);
+  }
+}
+
+// Create singleton instance
+const scoreHistoryService = new ScoreHistoryService();
+
+module.exports = {
+  ScoreHistoryService,
+  scoreHistoryService
+};
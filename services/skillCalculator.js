@@ -1,66 +1,39 @@
 const { query, getRows } = require('../config/db');
+const { DEFAULT_MODE, getModeSkills } = require('../config/modes');
+const { calculateSkills } = require('./skillModel');
+const { skillRatingService } = require('./skillRatings');
+
+// A player's scores with the content and settings of each map, best first
+const SKILL_SCORES_QUERY = `
+  SELECT
+    s.beatmap_id, s.pp, s.accuracy, s.mods, s.max_combo, s.count_miss, s.difficulty_rating, s.play_date,
+    bm.cs, bm.ar, bm.od, bm.hp, bm.max_combo AS beatmap_max_combo,
+    ba.mode AS attributes_mode, ba.aim_difficulty, ba.speed_difficulty,
+    ba.jump_ratio, ba.stream_ratio, ba.tech_ratio, ba.classification
+  FROM algeria_top50 s
+  LEFT JOIN beatmap_metadata bm ON bm.beatmap_id = s.beatmap_id
+  LEFT JOIN beatmap_attributes ba ON ba.beatmap_id = s.beatmap_id
+  WHERE s.username = $1 AND s.mode = $2
+  ORDER BY s.pp DESC NULLS LAST
+  LIMIT 100
+`;
 
 class SkillCalculator {
-  static calculateAimSkill(scores) {
-    const aimScores = scores.filter(s => s.mods?.includes('HR') || s.difficulty_rating > 5.0);
-    if (aimScores.length === 0) return 0;
-    
-    const avgPP = aimScores.reduce((sum, s) => sum + (s.pp || 0), 0) / aimScores.length;
-    const accuracyFactor = aimScores.reduce((sum, s) => sum + (s.accuracy || 0), 0) / aimScores.length;
-    
-    return Math.min(10, (avgPP / 100) * accuracyFactor * 1.2);
-  }
-
-  static calculateSpeedSkill(scores) {
-    const speedScores = scores.filter(s => s.mods?.includes('DT') || s.difficulty_rating > 4.5);
-    if (speedScores.length === 0) return 0;
-    
-    const dtScores = speedScores.filter(s => s.mods?.includes('DT')).length;
-    const dtRatio = dtScores / scores.length;
-    const avgPP = speedScores.reduce((sum, s) => sum + (s.pp || 0), 0) / speedScores.length;
-    
-    return Math.min(10, (avgPP / 80) * (1 + dtRatio));
-  }
-
-  static calculateAccuracySkill(scores) {
-    if (scores.length === 0) return 0;
-    
-    const avgAccuracy = scores.reduce((sum, s) => sum + (s.accuracy || 0), 0) / scores.length;
-    const highAccuracyScores = scores.filter(s => (s.accuracy || 0) > 0.98).length;
-    const consistencyBonus = highAccuracyScores / scores.length;
-    
-    return Math.min(10, avgAccuracy * 10 * (1 + consistencyBonus));
-  }
-
-  static calculateReadingSkill(scores) {
-    const readingScores = scores.filter(s => s.mods?.includes('HD') || s.mods?.includes('HR'));
-    if (readingScores.length === 0) return Math.min(10, scores.length * 0.1);
-    
-    const hdScores = readingScores.filter(s => s.mods?.includes('HD')).length;
-    const hrScores = readingScores.filter(s => s.mods?.includes('HR')).length;
-    const modVariety = (hdScores + hrScores) / scores.length;
-    
-    return Math.min(10, 3 + (modVariety * 7));
+  static getSkillScores(username, mode = DEFAULT_MODE) {
+    return getRows(SKILL_SCORES_QUERY, [username, mode]);
   }
 
-  static calculateConsistencySkill(scores) {
-    if (scores.length < 5) return 0;
-    
-    const missRates = scores.map(s => (s.count_miss || 0) / Math.max(1, s.max_combo || 100));
-    const avgMissRate = missRates.reduce((sum, rate) => sum + rate, 0) / missRates.length;
-    const consistency = Math.max(0, 1 - avgMissRate * 2);
-    
-    return Math.min(10, consistency * 10);
+  // { skill: { value, confidence, samples } } for the skills that apply to the mode
+  static calculateSkills(scores, mode = DEFAULT_MODE) {
+    return calculateSkills(scores, mode);
   }
 
-  static calculateOverallSkill(scores) {
-    const skills = {
-      aim: this.calculateAimSkill(scores),
-      speed: this.calculateSpeedSkill(scores),
-      accuracy: this.calculateAccuracySkill(scores),
-      reading: this.calculateReadingSkill(scores),
-      consistency: this.calculateConsistencySkill(scores)
-    };
+  // Only the skills that apply to the mode are calculated
+  static calculateOverallSkill(scores, mode = DEFAULT_MODE) {
+    const skills = {};
+    for (const [skill, { value }] of Object.entries(calculateSkills(scores, mode))) {
+      skills[skill] = value;
+    }
 
     // Weighted average with emphasis on different aspects
     const weights = {
@@ -71,9 +44,10 @@ class SkillCalculator {
       consistency: 0.15
     };
 
+    const totalWeight = Object.keys(skills).reduce((sum, skill) => sum + weights[skill], 0);
     const overallSkill = Object.entries(skills).reduce((sum, [skill, value]) => {
       return sum + (value * weights[skill]);
-    }, 0);
+    }, 0) / totalWeight;
 
     return {
       ...skills,
@@ -81,28 +55,28 @@ class SkillCalculator {
     };
   }
 
-  static calculateSkillProgression(username, days = 30) {
+  static calculateSkillProgression(username, days = 30, mode = DEFAULT_MODE) {
     const cutoff = Date.now() - (days * 24 * 60 * 60 * 1000);
     
     return getRows(`
       SELECT skill_type, skill_value, calculated_at
       FROM skill_tracking 
-      WHERE username = $1 AND calculated_at > $2
+      WHERE username = $1 AND calculated_at > $2 AND mode = $3
       ORDER BY calculated_at ASC
-    `, [username, cutoff]);
+    `, [username, cutoff, mode]);
   }
 
-  static async calculateSkillTrends(username) {
+  static async calculateSkillTrends(username, mode = DEFAULT_MODE) {
     const recentSkills = await getRows(`
       SELECT skill_type, skill_value, calculated_at
       FROM skill_tracking 
-      WHERE username = $1
+      WHERE username = $1 AND mode = $2
       ORDER BY calculated_at DESC
       LIMIT 50
-    `, [username]);
+    `, [username, mode]);
 
     const trends = {};
-    const skillTypes = ['aim', 'speed', 'accuracy', 'reading', 'consistency'];
+    const skillTypes = getModeSkills(mode);
 
     skillTypes.forEach(skillType => {
       const skillData = recentSkills
@@ -131,12 +105,12 @@ class SkillCalculator {
     return trends;
   }
 
-  static calculateSkillRanking(username, skillType) {
+  static calculateSkillRanking(username, skillType, mode = DEFAULT_MODE) {
     return query(`
       WITH recent_skills AS (
         SELECT DISTINCT ON (username) username, skill_value
         FROM skill_tracking 
-        WHERE skill_type = $2
+        WHERE skill_type = $2 AND mode = $3
         ORDER BY username, calculated_at DESC
       )
       SELECT COUNT(*) + 1 as rank
@@ -146,24 +120,25 @@ class SkillCalculator {
         FROM recent_skills 
         WHERE username = $1
       )
-    `, [username, skillType]);
+    `, [username, skillType, mode]);
   }
 
-  static async getTopPlayersBySkill(skillType, limit = 10) {
+  static async getTopPlayersBySkill(skillType, limit = 10, mode = DEFAULT_MODE) {
     return await getRows(`
       WITH recent_skills AS (
         SELECT DISTINCT ON (username) username, skill_value, calculated_at
         FROM skill_tracking 
-        WHERE skill_type = $1
+        WHERE skill_type = $1 AND mode = $3
         ORDER BY username, calculated_at DESC
       )
-      SELECT rs.username, rs.skill_value, ps.weighted_pp, ps.country_rank
+      SELECT rs.username, rs.skill_value, pms.weighted_pp, pms.country_rank
       FROM recent_skills rs
       JOIN player_stats ps ON rs.username = ps.username
+      JOIN player_mode_stats pms ON pms.username = rs.username AND pms.mode = $3
       WHERE ps.is_active = true
       ORDER BY rs.skill_value DESC
       LIMIT $2
-    `, [skillType, limit]);
+    `, [skillType, limit, mode]);
   }
 
   static calculateSkillBalance(skills) {
@@ -178,7 +153,7 @@ class SkillCalculator {
   }
 
   static categorizePlayer(skills) {
-    const { aim, speed, accuracy, reading, consistency } = skills;
+    const { aim = 0, speed = 0, accuracy = 0, reading = 0, consistency = 0 } = skills;
     
     // Determine dominant skills
     const maxSkill = Math.max(aim, speed, accuracy, reading, consistency);
@@ -218,45 +193,54 @@ class SkillCalculator {
   }
 }
 
-// Update player skills
-async function updatePlayerSkills(username, playerScores) {
+// Recalculate and store a player's skills in one mode; returns the skill values, or null
+// when the player has no scores there or the update failed
+async function updatePlayerSkills(username, mode = DEFAULT_MODE) {
   try {
-    const skills = SkillCalculator.calculateOverallSkill(playerScores);
+    const scores = await SkillCalculator.getSkillScores(username, mode);
+    if (scores.length === 0) return null;
+
+    const skills = SkillCalculator.calculateSkills(scores, mode);
     const now = Date.now();
     
-    for (const [skillType, skillValue] of Object.entries(skills)) {
-      if (skillType === 'overall') continue; // Skip overall in individual tracking
-      
+    for (const [skillType, { value, confidence }] of Object.entries(skills)) {
       await query(`
-        INSERT INTO skill_tracking (username, skill_type, skill_value, calculated_at)
-        VALUES ($1, $2, $3, $4)
-      `, [username, skillType, skillValue, now]);
+        INSERT INTO skill_tracking (username, skill_type, skill_value, confidence, calculated_at, mode)
+        VALUES ($1, $2, $3, $4, $5, $6)
+      `, [username, skillType, value, confidence, now, mode]);
     }
     
     // Keep only last 30 entries per skill type to prevent table bloat
     await query(`
       DELETE FROM skill_tracking 
-      WHERE username = $1 AND id NOT IN (
+      WHERE username = $1 AND mode = $2 AND id NOT IN (
         SELECT id FROM skill_tracking 
-        WHERE username = $1 
+        WHERE username = $1 AND mode = $2
         ORDER BY calculated_at DESC 
-        LIMIT 150
+        LIMIT $3
       )
-    `, [username]);
-    
+    `, [username, mode, getModeSkills(mode).length * 30]);
+
+    // Ratings only move on new scores, not on recalculating the same ones
+    const latestScoreDate = Math.max(0, ...scores.map(score => Number(score.play_date) || 0));
+    await skillRatingService.recordSkills(username, mode, skills, latestScoreDate, now);
+
+    return Object.fromEntries(Object.entries(skills).map(([skillType, { value }]) => [skillType, value]));
   } catch (err) {
     console.error('Skill tracking update failed:', err.message);
+    return null;
   }
 }
 
 // Get skill statistics for all players
-async function getSkillStatistics() {
+async function getSkillStatistics(mode = DEFAULT_MODE) {
   try {
     const stats = await getRows(`
       WITH recent_skills AS (
         SELECT DISTINCT ON (username, skill_type) 
                username, skill_type, skill_value
         FROM skill_tracking 
+        WHERE mode = $1
         ORDER BY username, skill_type, calculated_at DESC
       )
       SELECT 
@@ -268,7 +252,7 @@ async function getSkillStatistics() {
         PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY skill_value) as median_skill
       FROM recent_skills
       GROUP BY skill_type
-    `);
+    `, [mode]);
 
     return stats.reduce((acc, stat) => {
       acc[stat.skill_type] = {
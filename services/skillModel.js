@@ -0,0 +1,137 @@
+const { parseMods, applyModsToDifficulty, estimateSkillRatings, starRating } = require('./ppCalculator');
+const { getModeSkills } = require('../config/modes');
+
+// Skill ratings from what a player's scores show. Each score is evidence for every skill,
+// weighted by how much the map tests that skill (its jump/stream/tech content) and by its pp
+// relative to the player's top play, so a player's best work counts most.
+//
+// Aim, speed and reading are on the star scale: aim 6 means the player clears maps whose aim
+// alone is worth about 6 stars, with a clean play. Accuracy and consistency run from 0 to 10.
+
+// Scores far below the player's top play say little about their ceiling. Accuracy is about
+// typical plays, so relative pp counts for less there, and not at all for consistency: misses
+// lower a score's pp, so weighting by it would hide the very misses being measured.
+const RELATIVE_PP_EXPONENT = { aim: 2, speed: 2, reading: 2, accuracy: 1, consistency: 0 };
+// Misses are counted per this much combo, so long maps are not held against the player,
+// and consistency evidence falls linearly to zero at MAX_MISS_RATE of them
+const MISS_COMBO_SCALE = 300;
+const MAX_MISS_RATE = 10;
+// Scores on maps without parsed attributes count less, since their content is a guess
+const UNCLASSIFIED_WEIGHT = 0.5;
+const NEUTRAL_CONTENT = { jump: 1 / 3, stream: 1 / 3, tech: 1 / 3 };
+// Effective samples at which confidence reaches 1 - 1/e
+const CONFIDENCE_SAMPLES = 8;
+const MISS_PENALTY = 0.97;
+// Accuracy below this shows no accuracy skill at all
+const ACCURACY_FLOOR = 0.85;
+// Skills that rely on map content lose confidence when few maps were classified
+const CONTENT_SKILLS = ['aim', 'speed', 'reading'];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Share of the map that is jumps, streams and technical patterns, summing to 1
+function contentShares(score, mode) {
+  const ratios = [score.jump_ratio, score.stream_ratio, score.tech_ratio].map(value => Number(value));
+  const analysed = score.jump_ratio != null && (score.attributes_mode || 'osu') === 'osu';
+  if (mode !== 'osu' || !analysed || ratios.some(value => !Number.isFinite(value))) {
+    return { ...NEUTRAL_CONTENT, classified: false };
+  }
+
+  const [jump, stream, tech] = ratios;
+  const total = jump + stream + tech;
+  if (total <= 0) return { ...NEUTRAL_CONTENT, classified: true };
+  return { jump: jump / total, stream: stream / total, tech: tech / total, classified: true };
+}
+
+// How much the approach rate tests reading: very high or very low AR, and a little for HD
+function readingDemand(ar, mods) {
+  const highAr = Math.max(0, ar - 10);
+  const lowAr = Math.max(0, (8 - ar) / 3);
+  return clamp(highAr + lowAr + (mods.includes('HD') ? 0.2 : 0), 0, 1);
+}
+
+// What one score says about each skill (evidence) and how much it should count (weight)
+function scoreEvidence(score, topPP, mode) {
+  const mods = parseMods(score.mods);
+  const ratings = estimateSkillRatings(score, mods);
+  const difficulty = applyModsToDifficulty({
+    cs: Number(score.cs) || 5,
+    ar: score.ar != null ? Number(score.ar) : 9,
+    od: score.od != null ? Number(score.od) : 8,
+    hp: Number(score.hp) || 5
+  }, mods);
+
+  const accuracy = Number(score.accuracy) || 0;
+  const misses = Number(score.count_miss) || 0;
+  const mapCombo = Number(score.beatmap_max_combo) || 0;
+  const missRate = misses / Math.max(1, (mapCombo || Number(score.max_combo) || MISS_COMBO_SCALE) / MISS_COMBO_SCALE);
+  const quality = Math.pow(MISS_PENALTY, misses) * accuracy * accuracy;
+
+  const content = contentShares(score, mode);
+  const relativePP = topPP > 0 ? clamp((Number(score.pp) || 0) / topPP, 0, 1) : 0;
+  const base = (skill) => Math.pow(relativePP, RELATIVE_PP_EXPONENT[skill]) * (content.classified ? 1 : UNCLASSIFIED_WEIGHT);
+
+  return {
+    classified: content.classified,
+    evidence: {
+      aim: 2 * ratings.aim * quality,
+      speed: 2 * ratings.speed * quality,
+      reading: starRating(ratings.aim, ratings.speed) * quality,
+      accuracy: 10 * clamp((accuracy - ACCURACY_FLOOR) / (1 - ACCURACY_FLOOR), 0, 1) * (0.6 + 0.04 * clamp(difficulty.od, 0, 10)),
+      consistency: 10 * Math.max(0, 1 - missRate / MAX_MISS_RATE)
+    },
+    weight: {
+      aim: base('aim') * content.jump,
+      speed: base('speed') * content.stream,
+      reading: base('reading') * clamp(content.tech + readingDemand(difficulty.ar, mods), 0, 1),
+      accuracy: base('accuracy'),
+      consistency: base('consistency')
+    }
+  };
+}
+
+// Skill values with a 0-1 confidence from the effective number of scores behind each
+function calculateSkills(scores, mode = 'osu') {
+  const topPP = Math.max(0, ...scores.map(score => Number(score.pp) || 0));
+  const samples = scores.map(score => scoreEvidence(score, topPP, mode));
+
+  const skills = {};
+  for (const skill of getModeSkills(mode)) {
+    let weightSum = 0;
+    let squaredWeightSum = 0;
+    let valueSum = 0;
+    let classifiedWeight = 0;
+
+    for (const sample of samples) {
+      const weight = sample.weight[skill];
+      if (!(weight > 0)) continue;
+      weightSum += weight;
+      squaredWeightSum += weight * weight;
+      valueSum += weight * sample.evidence[skill];
+      if (sample.classified) classifiedWeight += weight;
+    }
+
+    if (weightSum === 0) {
+      skills[skill] = { value: 0, confidence: 0, samples: 0 };
+      continue;
+    }
+
+    const effectiveSamples = (weightSum * weightSum) / squaredWeightSum;
+    let confidence = 1 - Math.exp(-effectiveSamples / CONFIDENCE_SAMPLES);
+    if (CONTENT_SKILLS.includes(skill)) confidence *= 0.5 + 0.5 * (classifiedWeight / weightSum);
+
+    skills[skill] = {
+      value: clamp(valueSum / weightSum, 0, 10),
+      confidence: Math.round(confidence * 1000) / 1000,
+      samples: Math.round(effectiveSamples * 10) / 10
+    };
+  }
+
+  return skills;
+}
+
+module.exports = {
+  calculateSkills,
+  scoreEvidence,
+  contentShares
+};
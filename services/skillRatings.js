@@ -0,0 +1,223 @@
+const { query, getRow, getRows } = require('../config/db');
+const { DEFAULT_MODE } = require('../config/modes');
+const { keyset, keysetResult } = require('../middleware/pagination');
+
+// Skill values mean different things per skill and bunch up at the top, so each player is
+// placed by percentile among their country's players instead, and that percentile feeds a
+// Glicko-style rating: a rating with a deviation that shrinks as evidence arrives and grows
+// back while the player sets no new scores.
+
+const INITIAL_RATING = 1500;
+const INITIAL_DEVIATION = 350;
+const MIN_DEVIATION = 30;
+// Rating points per standard deviation of the country's skill distribution
+const RATING_SCALE = 200;
+// Deviation added per day without new scores, as Glicko's c; ~6 months takes 50 back to 350
+const DEVIATION_GROWTH_PER_DAY = 25;
+// Deviation of one observation made with full confidence; less confident ones count for less
+const OBSERVATION_DEVIATION = 120;
+const MIN_OBSERVATION_CONFIDENCE = 0.05;
+// Percentiles are kept off 0 and 1 so the extremes map to finite ratings
+const PERCENTILE_LIMIT = 0.01;
+const DAY = 24 * 60 * 60 * 1000;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Inverse of the standard normal CDF (Acklam's approximation, good to about 1e-9)
+function inverseNormal(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) return -inverseNormal(1 - p);
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+function percentileToRating(percentile) {
+  return INITIAL_RATING + RATING_SCALE * inverseNormal(clamp(percentile, PERCENTILE_LIMIT, 1 - PERCENTILE_LIMIT));
+}
+
+// The deviation as of `now`, grown for the time since the rating last changed
+function currentDeviation(deviation, updatedAt, now = Date.now()) {
+  const days = updatedAt ? Math.max(0, now - updatedAt) / DAY : 0;
+  return Math.min(INITIAL_DEVIATION, Math.sqrt(deviation * deviation + DEVIATION_GROWTH_PER_DAY * DEVIATION_GROWTH_PER_DAY * days));
+}
+
+// Move a rating toward an observed percentile by how sure each side is
+function updateRating(previous, percentile, confidence, now = Date.now()) {
+  const rating = previous ? Number(previous.rating) : INITIAL_RATING;
+  const deviation = previous
+    ? currentDeviation(Number(previous.deviation), Number(previous.updated_at), now)
+    : INITIAL_DEVIATION;
+
+  const priorVariance = deviation * deviation;
+  const observationVariance = (OBSERVATION_DEVIATION * OBSERVATION_DEVIATION) / Math.max(MIN_OBSERVATION_CONFIDENCE, confidence);
+  const gain = priorVariance / (priorVariance + observationVariance);
+
+  return {
+    rating: rating + gain * (percentileToRating(percentile) - rating),
+    deviation: Math.max(MIN_DEVIATION, Math.sqrt((1 - gain) * priorVariance))
+  };
+}
+
+// Latest skill value of every active player in a country and mode with their percentile:
+// the share of players below them, counting ties as half
+const COUNTRY_PERCENTILES_CTE = `
+  latest_skills AS (
+    SELECT DISTINCT ON (st.username, st.skill_type)
+           st.username, st.skill_type, st.skill_value, st.confidence
+    FROM skill_tracking st
+    JOIN player_stats ps ON ps.username = st.username
+    JOIN player_mode_stats pms ON pms.username = st.username AND pms.mode = st.mode
+    WHERE pms.country = $1 AND st.mode = $2 AND ps.is_active = true
+    ORDER BY st.username, st.skill_type, st.calculated_at DESC
+  ),
+  country_percentiles AS (
+    SELECT
+      ls.*,
+      (RANK() OVER (PARTITION BY ls.skill_type ORDER BY ls.skill_value) - 1
+        + COUNT(*) OVER (PARTITION BY ls.skill_type, ls.skill_value) / 2.0)
+        / COUNT(*) OVER (PARTITION BY ls.skill_type) AS percentile
+    FROM latest_skills ls
+  )
+`;
+
+class SkillRatingService {
+  // Store the player's current percentiles and, when they have set new scores since the last
+  // update, fold those percentiles into their ratings. `skills` is { skill: { value, confidence } }.
+  async recordSkills(username, mode, skills, latestScoreDate = 0, now = Date.now()) {
+    const player = await getRow(
+      'SELECT country FROM player_mode_stats WHERE username = $1 AND mode = $2',
+      [username, mode]
+    );
+    if (!player?.country) return {};
+
+    const percentiles = await getRows(`
+      WITH ${COUNTRY_PERCENTILES_CTE}
+      SELECT skill_type, percentile
+      FROM country_percentiles
+      WHERE username = $3
+    `, [player.country, mode, username]);
+
+    const existing = await getRows(`
+      SELECT skill_type, rating, deviation, last_score_date, updated_at
+      FROM skill_ratings
+      WHERE username = $1 AND mode = $2
+    `, [username, mode]);
+
+    const ratings = {};
+    for (const { skill_type: skillType, percentile } of percentiles) {
+      if (!skills[skillType]) continue;
+
+      const previous = existing.find(row => row.skill_type === skillType);
+      const hasNewScores = !previous || latestScoreDate > Number(previous.last_score_date);
+      const next = hasNewScores
+        ? updateRating(previous, Number(percentile), skills[skillType].confidence, now)
+        : { rating: previous.rating, deviation: previous.deviation };
+
+      await query(`
+        INSERT INTO skill_ratings (
+          username, mode, skill_type, rating, deviation, percentile, observations, last_score_date, updated_at
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, 1, $7, $8)
+        ON CONFLICT (username, mode, skill_type) DO UPDATE SET
+          rating = EXCLUDED.rating,
+          deviation = EXCLUDED.deviation,
+          percentile = EXCLUDED.percentile,
+          observations = skill_ratings.observations + CASE WHEN $9::boolean THEN 1 ELSE 0 END,
+          last_score_date = GREATEST(skill_ratings.last_score_date, EXCLUDED.last_score_date),
+          updated_at = CASE WHEN $9::boolean THEN EXCLUDED.updated_at ELSE skill_ratings.updated_at END
+      `, [username, mode, skillType, next.rating, next.deviation, percentile, latestScoreDate, now, hasNewScores]);
+
+      ratings[skillType] = { ...next, percentile: Number(percentile) };
+    }
+
+    return ratings;
+  }
+
+  // A page (req.page of the pagination middleware) of a country's players ranked by rating in
+  // one skill, with live percentiles and the deviation grown to today
+  async getSkillLeaderboard(country, mode = DEFAULT_MODE, skillType, page, now = Date.now()) {
+    const sortKeys = [{ column: 'sr.rating', order: 'DESC' }, { column: 'cp.username' }];
+    const params = [country, mode, skillType];
+    const { where, orderBy, limit } = keyset(sortKeys, page, params);
+    const rankedFrom = `
+      FROM country_percentiles cp
+      JOIN skill_ratings sr ON sr.username = cp.username AND sr.mode = $2 AND sr.skill_type = cp.skill_type
+      JOIN player_stats ps ON ps.username = cp.username
+      JOIN player_mode_stats pms ON pms.username = cp.username AND pms.mode = $2
+      WHERE cp.skill_type = $3
+    `;
+
+    const [rows, count] = await Promise.all([
+      getRows(`
+        WITH ${COUNTRY_PERCENTILES_CTE}
+        SELECT
+          cp.username,
+          cp.skill_value,
+          cp.confidence,
+          cp.percentile,
+          sr.rating,
+          sr.deviation,
+          sr.observations,
+          sr.updated_at,
+          pms.weighted_pp,
+          pms.country_rank,
+          ps.avatar_url
+        ${rankedFrom} AND ${where}
+        ORDER BY ${orderBy}
+        LIMIT ${limit}
+      `, params),
+      getRow(`
+        WITH ${COUNTRY_PERCENTILES_CTE}
+        SELECT COUNT(*) AS total
+        ${rankedFrom}
+      `, [country, mode, skillType])
+    ]);
+
+    const result = keysetResult(rows, sortKeys, page);
+    const items = result.items.map((row, index) => {
+      const deviation = currentDeviation(Number(row.deviation), Number(row.updated_at), now);
+      const rating = Number(row.rating);
+
+      return {
+        username: row.username,
+        skill_rank: result.firstRank === null ? null : result.firstRank + index,
+        rating: Math.round(rating),
+        uncertainty: Math.round(deviation),
+        rating_interval: [Math.round(rating - 2 * deviation), Math.round(rating + 2 * deviation)],
+        percentile: Math.round(Number(row.percentile) * 1000) / 10,
+        skill_value: parseFloat(row.skill_value),
+        confidence: parseFloat(row.confidence),
+        observations: row.observations,
+        weighted_pp: row.weighted_pp,
+        country_rank: row.country_rank,
+        avatar_url: row.avatar_url
+      };
+    });
+
+    return { ...result, items, total: parseInt(count.total) };
+  }
+}
+
+// Create singleton instance
+const skillRatingService = new SkillRatingService();
+
+module.exports = {
+  SkillRatingService,
+  skillRatingService,
+  percentileToRating,
+  currentDeviation,
+  updateRating
+};
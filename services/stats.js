@@ -1,4 +1,5 @@
 const { query, getRows, getRow } = require('../config/db');
+const { DEFAULT_COUNTRY } = require('../config/countries');
 
 // Daily statistics calculation and management
 class StatsService {
@@ -6,8 +7,8 @@ class StatsService {
     this.dailyStatsTable = 'daily_stats';
   }
 
-  // Calculate daily statistics
-  async calculateDailyStats() {
+  // Calculate daily statistics for one country
+  async calculateDailyStats(country = DEFAULT_COUNTRY) {
     try {
       const today = new Date().toISOString().split('T')[0];
       const yesterday = Date.now() - (24 * 60 * 60 * 1000);
@@ -16,38 +17,38 @@ class StatsService {
         getRow(`
           SELECT COUNT(DISTINCT username) as count 
           FROM algeria_top50 
-          WHERE last_updated > $1
-        `, [yesterday]),
+          WHERE last_updated > $1 AND country = $2
+        `, [yesterday, country]),
         
         getRow(`
           SELECT COUNT(*) as count 
           FROM algeria_top50 
-          WHERE last_updated > $1
-        `, [yesterday]),
+          WHERE last_updated > $1 AND country = $2
+        `, [yesterday, country]),
         
         getRow(`
           SELECT SUM(pp) as total 
           FROM algeria_top50 
-          WHERE last_updated > $1 AND pp > 0
-        `, [yesterday]),
+          WHERE last_updated > $1 AND country = $2 AND pp > 0
+        `, [yesterday, country]),
         
         getRow(`
           SELECT AVG(accuracy) as avg 
           FROM algeria_top50 
-          WHERE last_updated > $1 AND accuracy::numeric > 0
-        `, [yesterday]),
+          WHERE last_updated > $1 AND country = $2 AND accuracy::numeric > 0
+        `, [yesterday, country]),
         
         getRow(`
           SELECT MAX(score) as max 
           FROM algeria_top50 
-          WHERE last_updated > $1
-        `, [yesterday])
+          WHERE last_updated > $1 AND country = $2
+        `, [yesterday, country])
       ]);
       
       await query(`
-        INSERT INTO daily_stats (date, active_players, new_scores, total_pp_gained, average_accuracy, top_score)
-        VALUES ($1, $2, $3, $4, $5, $6)
-        ON CONFLICT (date) DO UPDATE SET
+        INSERT INTO daily_stats (date, active_players, new_scores, total_pp_gained, average_accuracy, top_score, country)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (date, country) DO UPDATE SET
           active_players = EXCLUDED.active_players,
           new_scores = EXCLUDED.new_scores,
           total_pp_gained = EXCLUDED.total_pp_gained,
@@ -59,11 +60,12 @@ class StatsService {
         parseInt(newScoresResult.count) || 0,
         parseFloat(totalPPResult.total) || 0,
         parseFloat(avgAccuracyResult.avg) || 0,
-        parseInt(topScoreResult.max) || 0
+        parseInt(topScoreResult.max) || 0,
+        country
       ]);
       
-      console.log(`📊 Daily stats calculated for ${today}`);
-      return { success: true, date: today };
+      console.log(`📊 Daily stats calculated for ${today} (${country})`);
+      return { success: true, date: today, country };
     } catch (err) {
       console.error('Daily stats calculation failed:', err.message);
       throw err;
@@ -71,11 +73,11 @@ class StatsService {
   }
 
   // Get daily stats for a specific date
-  async getDailyStats(date) {
+  async getDailyStats(date, country = DEFAULT_COUNTRY) {
     try {
       return await getRow(`
-        SELECT * FROM daily_stats WHERE date = $1
-      `, [date]);
+        SELECT * FROM daily_stats WHERE date = $1 AND country = $2
+      `, [date, country]);
     } catch (err) {
       console.error('Failed to get daily stats:', err.message);
       return null;
@@ -83,13 +85,13 @@ class StatsService {
   }
 
   // Get daily stats for a date range
-  async getDailyStatsRange(startDate, endDate) {
+  async getDailyStatsRange(startDate, endDate, country = DEFAULT_COUNTRY) {
     try {
       return await getRows(`
         SELECT * FROM daily_stats 
-        WHERE date BETWEEN $1 AND $2
+        WHERE date BETWEEN $1 AND $2 AND country = $3
         ORDER BY date ASC
-      `, [startDate, endDate]);
+      `, [startDate, endDate, country]);
     } catch (err) {
       console.error('Failed to get daily stats range:', err.message);
       return [];
@@ -97,7 +99,7 @@ class StatsService {
   }
 
   // Get weekly statistics
-  async getWeeklyStats() {
+  async getWeeklyStats(country = DEFAULT_COUNTRY) {
     try {
       const weekAgo = new Date();
       weekAgo.setDate(weekAgo.getDate() - 7);
@@ -113,9 +115,9 @@ class StatsService {
           average_accuracy,
           top_score
         FROM daily_stats
-        WHERE date BETWEEN $1 AND $2
+        WHERE date BETWEEN $1 AND $2 AND country = $3
         ORDER BY date ASC
-      `, [weekAgoStr, today]);
+      `, [weekAgoStr, today, country]);
     } catch (err) {
       console.error('Failed to get weekly stats:', err.message);
       return [];
@@ -123,7 +125,7 @@ class StatsService {
   }
 
   // Get monthly statistics
-  async getMonthlyStats() {
+  async getMonthlyStats(country = DEFAULT_COUNTRY) {
     try {
       const monthAgo = new Date();
       monthAgo.setMonth(monthAgo.getMonth() - 1);
@@ -139,9 +141,9 @@ class StatsService {
           average_accuracy,
           top_score
         FROM daily_stats
-        WHERE date BETWEEN $1 AND $2
+        WHERE date BETWEEN $1 AND $2 AND country = $3
         ORDER BY date ASC
-      `, [monthAgoStr, today]);
+      `, [monthAgoStr, today, country]);
     } catch (err) {
       console.error('Failed to get monthly stats:', err.message);
       return [];
@@ -149,7 +151,7 @@ class StatsService {
   }
 
   // Get aggregated statistics
-  async getAggregatedStats(period = 'week') {
+  async getAggregatedStats(period = 'week', country = DEFAULT_COUNTRY) {
     try {
       let dateFilter;
       const now = new Date();
@@ -179,8 +181,8 @@ class StatsService {
           MAX(top_score) as highest_score,
           COUNT(*) as days_recorded
         FROM daily_stats
-        WHERE date >= $1
-      `, [dateFilter]);
+        WHERE date >= $1 AND country = $2
+      `, [dateFilter, country]);
 
       return stats;
     } catch (err) {
@@ -190,7 +192,7 @@ class StatsService {
   }
 
   // Get player activity trends
-  async getPlayerActivityTrends(days = 30) {
+  async getPlayerActivityTrends(days = 30, country = DEFAULT_COUNTRY) {
     try {
       const cutoff = new Date();
       cutoff.setDate(cutoff.getDate() - days);
@@ -212,9 +214,9 @@ class StatsService {
             ELSE 0
           END as score_change
         FROM daily_stats
-        WHERE date >= $1
+        WHERE date >= $1 AND country = $2
         ORDER BY date ASC
-      `, [cutoffStr]);
+      `, [cutoffStr, country]);
     } catch (err) {
       console.error('Failed to get player activity trends:', err.message);
       return [];
@@ -222,7 +224,7 @@ class StatsService {
   }
 
   // Get top performing days
-  async getTopPerformingDays(metric = 'new_scores', limit = 10) {
+  async getTopPerformingDays(metric = 'new_scores', limit = 10, country = DEFAULT_COUNTRY) {
     try {
       const validMetrics = ['active_players', 'new_scores', 'total_pp_gained', 'top_score'];
       if (!validMetrics.includes(metric)) {
@@ -238,10 +240,10 @@ class StatsService {
           average_accuracy,
           top_score
         FROM daily_stats
-        WHERE ${metric} IS NOT NULL AND ${metric} > 0
+        WHERE country = $2 AND ${metric} IS NOT NULL AND ${metric} > 0
         ORDER BY ${metric} DESC
         LIMIT $1
-      `, [limit]);
+      `, [limit, country]);
     } catch (err) {
       console.error('Failed to get top performing days:', err.message);
       return [];
@@ -249,7 +251,7 @@ class StatsService {
   }
 
   // Get overall statistics
-  async getOverallStats() {
+  async getOverallStats(country = DEFAULT_COUNTRY) {
     try {
       const [
         totalStats, 
@@ -267,20 +269,22 @@ class StatsService {
             MAX(score) as highest_score,
             SUM(pp) as total_pp
           FROM algeria_top50
-        `),
+          WHERE country = $1
+        `, [country]),
         
         getRow(`
           SELECT COUNT(*) as active_24h
           FROM algeria_top50
-          WHERE last_updated > $1
-        `, [Date.now() - (24 * 60 * 60 * 1000)]),
+          WHERE last_updated > $1 AND country = $2
+        `, [Date.now() - (24 * 60 * 60 * 1000), country]),
         
         getRows(`
           SELECT username, weighted_pp, first_places
           FROM player_stats
+          WHERE country = $1
           ORDER BY weighted_pp DESC
           LIMIT 5
-        `),
+        `, [country]),
         
         getRows(`
           SELECT 
@@ -289,11 +293,11 @@ class StatsService {
             AVG(accuracy) as avg_accuracy,
             AVG(pp) as avg_pp
           FROM algeria_top50
-          WHERE mods != 'None'
+          WHERE mods != 'None' AND country = $1
           GROUP BY mods
           ORDER BY usage_count DESC
           LIMIT 10
-        `),
+        `, [country]),
         
         getRows(`
           SELECT 
@@ -301,9 +305,10 @@ class StatsService {
             COUNT(*) as score_count,
             AVG(accuracy) as avg_accuracy
           FROM algeria_top50
+          WHERE country = $1
           GROUP BY FLOOR(difficulty_rating)
           ORDER BY difficulty_range ASC
-        `)
+        `, [country])
       ]);
       
       return {
@@ -322,7 +327,7 @@ class StatsService {
   }
 
   // Get beatmap popularity statistics
-  async getBeatmapPopularityStats(limit = 20) {
+  async getBeatmapPopularityStats(limit = 20, country = DEFAULT_COUNTRY) {
     try {
       return await getRows(`
         SELECT 
@@ -336,10 +341,11 @@ class StatsService {
           MAX(score) as best_score,
           AVG(pp) as avg_pp
         FROM algeria_top50
+        WHERE country = $2
         GROUP BY beatmap_id, beatmap_title, artist, difficulty_name, difficulty_rating
         ORDER BY total_scores DESC
         LIMIT $1
-      `, [limit]);
+      `, [limit, country]);
     } catch (err) {
       console.error('Failed to get beatmap popularity stats:', err.message);
       return [];
@@ -347,7 +353,7 @@ class StatsService {
   }
 
   // Get player growth statistics
-  async getPlayerGrowthStats() {
+  async getPlayerGrowthStats(country = DEFAULT_COUNTRY) {
     try {
       const stats = await getRows(`
         SELECT 
@@ -355,14 +361,14 @@ class StatsService {
           AVG(new_players) as avg_new_players_per_week,
           SUM(new_players) as total_new_players
         FROM daily_stats
-        WHERE date >= CURRENT_DATE - INTERVAL '12 weeks'
+        WHERE date >= CURRENT_DATE - INTERVAL '12 weeks' AND country = $1
         GROUP BY DATE_TRUNC('week', date)
         ORDER BY week ASC
-      `);
+      `, [country]);
 
       const totalPlayers = await getRow(`
-        SELECT COUNT(*) as total FROM player_stats WHERE is_active = true
-      `);
+        SELECT COUNT(*) as total FROM player_stats WHERE is_active = true AND country = $1
+      `, [country]);
 
       return {
         weeklyGrowth: stats,
@@ -375,7 +381,7 @@ class StatsService {
   }
 
   // Get performance distribution
-  async getPerformanceDistribution() {
+  async getPerformanceDistribution(country = DEFAULT_COUNTRY) {
     try {
       return await getRows(`
         SELECT 
@@ -389,7 +395,7 @@ class StatsService {
           END as pp_range,
           COUNT(*) as player_count
         FROM player_stats
-        WHERE is_active = true AND weighted_pp > 0
+        WHERE is_active = true AND weighted_pp > 0 AND country = $1
         GROUP BY 
           CASE 
             WHEN weighted_pp >= 5000 THEN '5000+'
@@ -408,7 +414,7 @@ class StatsService {
             WHEN pp_range = '3000-4999' THEN 5
             WHEN pp_range = '5000+' THEN 6
           END
-      `);
+      `, [country]);
     } catch (err) {
       console.error('Failed to get performance distribution:', err.message);
       return [];
@@ -438,14 +444,14 @@ class StatsService {
   }
 
   // Export stats to CSV format
-  async exportStatsToCSV(startDate, endDate) {
+  async exportStatsToCSV(startDate, endDate, country = DEFAULT_COUNTRY) {
     try {
-      const stats = await this.getDailyStatsRange(startDate, endDate);
+      const stats = await this.getDailyStatsRange(startDate, endDate, country);
       
       const headers = ['date', 'active_players', 'new_scores', 'total_pp_gained', 'average_accuracy', 'top_score'];
       const csvContent = [
         headers.join(','),
-        ...stats.map(row => headers.map(header => row[header] || '').join(','))
+        ...stats.map(row => headers.map(header => row[header] ?? '').join(','))
       ].join('\n');
 
       return csvContent;
@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { query, getRows, getRow } = require('../config/db');
+const { config } = require('../config/env');
+
+// broadcastToClients message types that subscribers can receive
+const WEBHOOK_EVENTS = ['new_scores', 'new_player_discovered', 'new_achievements', 'scan_complete'];
+
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+const STALE_LOCK_MS = 5 * 60 * 1000;
+const MAX_RESPONSE_BODY = 2000;
+
+// Columns returned to admins; the secret is only shown when a subscription is created or rotated
+const SUBSCRIPTION_COLUMNS = 'id, url, events, description, is_active, created_by, created_at, updated_at';
+
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+// Signature subscribers verify: HMAC-SHA256 of "<timestamp>.<raw body>" with their secret
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Outbound webhook subscriptions with a retrying delivery log
+class WebhookService {
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts || config.WEBHOOK_MAX_ATTEMPTS;
+    this.retryBaseMs = options.retryBaseMs || config.WEBHOOK_RETRY_BASE_MS;
+    this.timeout = options.timeout || config.WEBHOOK_TIMEOUT_MS;
+    this.processing = false;
+  }
+
+  // Subscription management
+  async listSubscriptions() {
+    return getRows(`
+      SELECT s.id, s.url, s.events, s.description, s.is_active, s.created_by, s.created_at, s.updated_at,
+        COUNT(d.id) FILTER (WHERE d.status = 'delivered') AS delivered_count,
+        COUNT(d.id) FILTER (WHERE d.status = 'failed') AS failed_count,
+        COUNT(d.id) FILTER (WHERE d.status IN ('pending', 'sending')) AS pending_count,
+        MAX(d.delivered_at) AS last_delivered_at
+      FROM webhook_subscriptions s
+      LEFT JOIN webhook_deliveries d ON d.subscription_id = s.id
+      GROUP BY s.id
+      ORDER BY s.id
+    `);
+  }
+
+  async getSubscription(id) {
+    return getRow(`SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions WHERE id = $1`, [id]);
+  }
+
+  async createSubscription({ url, events = [], description = null, secret = generateSecret() }, createdBy = null) {
+    return getRow(`
+      INSERT INTO webhook_subscriptions (url, secret, events, description, created_by)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING ${SUBSCRIPTION_COLUMNS}, secret
+    `, [url, secret, events, description, createdBy]);
+  }
+
+  async updateSubscription(id, { url, events, description, isActive, rotateSecret = false }) {
+    return getRow(`
+      UPDATE webhook_subscriptions SET
+        url = COALESCE($2, url),
+        events = COALESCE($3, events),
+        description = COALESCE($4, description),
+        is_active = COALESCE($5, is_active),
+        secret = COALESCE($6, secret),
+        updated_at = $7
+      WHERE id = $1
+      RETURNING ${SUBSCRIPTION_COLUMNS}${rotateSecret ? ', secret' : ''}
+    `, [id, url, events, description, isActive, rotateSecret ? generateSecret() : null, Date.now()]);
+  }
+
+  async deleteSubscription(id) {
+    const result = await query('DELETE FROM webhook_subscriptions WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  }
+
+  async getDeliveries(subscriptionId, { status, limit = 50 } = {}) {
+    return getRows(`
+      SELECT id, event_type, status, attempts, response_status, last_error,
+        next_attempt_at, redelivery_of, created_at, delivered_at
+      FROM webhook_deliveries
+      WHERE subscription_id = $1 AND ($2::text IS NULL OR status = $2)
+      ORDER BY id DESC
+      LIMIT $3
+    `, [subscriptionId, status || null, limit]);
+  }
+
+  async getDelivery(id) {
+    return getRow('SELECT * FROM webhook_deliveries WHERE id = $1', [id]);
+  }
+
+  // Queue a broadcast message for every active subscription that wants it
+  async dispatch(message) {
+    if (!message || !WEBHOOK_EVENTS.includes(message.type)) return 0;
+
+    const { type, ...data } = message;
+    const result = await query(`
+      INSERT INTO webhook_deliveries (subscription_id, event_type, payload)
+      SELECT id, $1, $2
+      FROM webhook_subscriptions
+      WHERE is_active = true AND (cardinality(events) = 0 OR $1 = ANY(events))
+    `, [type, JSON.stringify({ event: type, timestamp: Date.now(), data })]);
+
+    if (result.rowCount > 0) {
+      this.processDeliveries().catch(err => console.error('Webhook delivery processing failed:', err.message));
+    }
+    return result.rowCount;
+  }
+
+  // Send the same payload again as a new delivery, keeping the original in the log
+  async redeliver(deliveryId) {
+    return getRow(`
+      INSERT INTO webhook_deliveries (subscription_id, event_type, payload, redelivery_of)
+      SELECT subscription_id, event_type, payload, id
+      FROM webhook_deliveries
+      WHERE id = $1
+      RETURNING id, subscription_id, event_type, status, redelivery_of, created_at
+    `, [deliveryId]);
+  }
+
+  // POST one delivery with signature headers; resolves to the HTTP response
+  async send(delivery, subscription) {
+    const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    return axios.post(subscription.url, body, {
+      timeout: this.timeout,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'osu-leaderboards-webhooks/1.0',
+        'X-Webhook-Event': delivery.event_type,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(subscription.secret, timestamp, body)
+      },
+      // Record every status instead of throwing on non-2xx
+      validateStatus: () => true,
+      maxRedirects: 0
+    });
+  }
+
+  getRetryDelay(attempts) {
+    return Math.min(this.retryBaseMs * Math.pow(2, attempts - 1), MAX_RETRY_DELAY_MS);
+  }
+
+  // Claim due deliveries and try to send them
+  async processDeliveries(batchSize = 20) {
+    if (this.processing) return { delivered: 0, failed: 0, retried: 0 };
+    this.processing = true;
+
+    const result = { delivered: 0, failed: 0, retried: 0 };
+
+    try {
+      const now = Date.now();
+      const deliveries = await getRows(`
+        UPDATE webhook_deliveries d SET status = 'sending', locked_at = $1
+        FROM webhook_subscriptions s
+        WHERE s.id = d.subscription_id AND d.id IN (
+          SELECT id FROM webhook_deliveries
+          WHERE (status = 'pending' AND next_attempt_at <= $1)
+             OR (status = 'sending' AND locked_at < $2)
+          ORDER BY id
+          LIMIT $3
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING d.*, s.url, s.secret, s.is_active
+      `, [now, now - STALE_LOCK_MS, batchSize]);
+
+      for (const delivery of deliveries) {
+        const attempts = delivery.attempts + 1;
+        let responseStatus = null;
+        let responseBody = null;
+        let error = null;
+
+        if (!delivery.is_active) {
+          error = 'Subscription is disabled';
+        } else {
+          try {
+            const response = await this.send(delivery, delivery);
+            responseStatus = response.status;
+            responseBody = typeof response.data === 'string' ? response.data : JSON.stringify(response.data ?? '');
+            responseBody = responseBody.slice(0, MAX_RESPONSE_BODY);
+            if (response.status < 200 || response.status >= 300) {
+              error = `Endpoint responded with ${response.status}`;
+            }
+          } catch (err) {
+            error = err.message;
+          }
+        }
+
+        if (!error) {
+          await query(`
+            UPDATE webhook_deliveries
+            SET status = 'delivered', attempts = $2, response_status = $3, response_body = $4,
+              last_error = NULL, delivered_at = $5, locked_at = NULL
+            WHERE id = $1
+          `, [delivery.id, attempts, responseStatus, responseBody, Date.now()]);
+          result.delivered++;
+          continue;
+        }
+
+        const giveUp = !delivery.is_active || attempts >= this.maxAttempts;
+        await query(`
+          UPDATE webhook_deliveries
+          SET status = $2, attempts = $3, response_status = $4, response_body = $5,
+            last_error = $6, next_attempt_at = $7, locked_at = NULL
+          WHERE id = $1
+        `, [delivery.id, giveUp ? 'failed' : 'pending', attempts, responseStatus, responseBody, error, Date.now() + this.getRetryDelay(attempts)]);
+
+        if (giveUp) {
+          console.warn(`⚠️ Webhook delivery #${delivery.id} to ${delivery.url} failed:`, error);
+          result.failed++;
+        } else {
+          result.retried++;
+        }
+      }
+    } finally {
+      this.processing = false;
+    }
+
+    return result;
+  }
+}
+
+// Create singleton instance
+const webhookService = new WebhookService();
+
+module.exports = {
+  WebhookService,
+  webhookService,
+  WEBHOOK_EVENTS,
+  signPayload
+};
@@ -0,0 +1,52 @@
+const { TRACKED_COUNTRIES, DEFAULT_COUNTRY, normalizeCountry, isTrackedCountry, getCountryInfo } = require('../../config/countries');
+
+// config/countries with TRACKED_COUNTRIES set to the given value
+function loadWith(trackedCountries) {
+  const previous = process.env.TRACKED_COUNTRIES;
+  process.env.TRACKED_COUNTRIES = trackedCountries;
+  try {
+    let countries;
+    jest.isolateModules(() => {
+      countries = require('../../config/countries');
+    });
+    return countries;
+  } finally {
+    process.env.TRACKED_COUNTRIES = previous;
+  }
+}
+
+describe('config/countries', () => {
+  it('tracks the configured countries, the first being the default', () => {
+    expect(TRACKED_COUNTRIES).toEqual(['DZ', 'MA']);
+    expect(DEFAULT_COUNTRY).toBe('DZ');
+  });
+
+  it('reads the list case- and space-insensitively', () => {
+    expect(loadWith(' ma, tn ,,').TRACKED_COUNTRIES).toEqual(['MA', 'TN']);
+  });
+
+  it('tracks Algeria when nothing is configured', () => {
+    const countries = loadWith('');
+
+    expect(countries.TRACKED_COUNTRIES).toEqual(['DZ']);
+    expect(countries.DEFAULT_COUNTRY).toBe('DZ');
+  });
+
+  it('normalises codes and only accepts strings', () => {
+    expect(normalizeCountry(' ma ')).toBe('MA');
+    expect(normalizeCountry(undefined)).toBeNull();
+    expect(normalizeCountry(212)).toBeNull();
+  });
+
+  it('matches tracked countries whatever their case', () => {
+    expect(isTrackedCountry('dz')).toBe(true);
+    expect(isTrackedCountry('MA')).toBe(true);
+    expect(isTrackedCountry('TN')).toBe(false);
+    expect(isTrackedCountry(null)).toBe(false);
+  });
+
+  it('describes known countries and falls back to the code for others', () => {
+    expect(getCountryInfo('ma')).toEqual({ name: 'Morocco', flag: '🇲🇦', searchTerms: ['morocco', 'maroc', 'ma'] });
+    expect(getCountryInfo('fr')).toEqual({ name: 'FR', flag: '', searchTerms: ['fr'] });
+  });
+});
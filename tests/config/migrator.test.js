@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../config/db', () => {
+  const { DataType } = require('pg-mem');
+  // pg-mem rejects statements it skips parts of, as it does CREATE TABLE IF NOT EXISTS for an existing table
+  const database = require('../helpers/pgMem').createTestDatabase({ noAstCoverageCheck: true });
+  // pg-mem has no advisory locks; the tests never run two migrators at once
+  ['pg_advisory_lock', 'pg_advisory_unlock'].forEach(name => database.db.public.registerFunction({
+    name,
+    args: [DataType.integer],
+    returns: DataType.bool,
+    implementation: () => true
+  }));
+  return database;
+});
+
+const { getRows, query } = require('../../config/db');
+const { loadMigrations, getMigrationStatus, migrateUp, migrateDown, assertSchemaUpToDate } = require('../../config/migrator');
+
+// A migrations directory holding the given files
+function migrationsDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  Object.entries(files).forEach(([file, source]) => fs.writeFileSync(path.join(dir, file), source));
+  return dir;
+}
+
+const migration = 'module.exports = { up: async () => {}, down: async () => {} };';
+
+describe('config/migrator', () => {
+  const all = loadMigrations();
+  const latest = all[all.length - 1];
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('loadMigrations', () => {
+    it('orders migrations by version and ignores other files', () => {
+      const dir = migrationsDir({
+        '010_later.js': migration,
+        '002_earlier.js': migration,
+        'README.md': '# not a migration',
+        'helpers.js': migration
+      });
+
+      expect(loadMigrations(dir).map(({ version, name, file }) => ({ version, name, file }))).toEqual([
+        { version: 2, name: 'earlier', file: '002_earlier.js' },
+        { version: 10, name: 'later', file: '010_later.js' }
+      ]);
+    });
+
+    it('requires both up() and down()', () => {
+      const dir = migrationsDir({ '001_one_way.js': 'module.exports = { up: async () => {} };' });
+
+      expect(() => loadMigrations(dir)).toThrow('Migration 001_one_way.js must export up() and down()');
+    });
+
+    it('refuses two migrations with the same version', () => {
+      const dir = migrationsDir({ '003_a.js': migration, '3_b.js': migration });
+
+      expect(() => loadMigrations(dir)).toThrow('Duplicate migration version 3');
+    });
+
+    it('finds nothing in a missing directory', () => {
+      expect(loadMigrations(path.join(os.tmpdir(), 'no-such-migrations'))).toEqual([]);
+    });
+
+    it('ships migrations numbered without gaps', () => {
+      expect(all.map(({ version }) => version)).toEqual(all.map((_, i) => i + 1));
+    });
+  });
+
+  describe('against a database', () => {
+    it('starts with every migration pending and refuses to serve', async () => {
+      const { applied, pending } = await getMigrationStatus();
+
+      expect(applied).toEqual([]);
+      expect(pending).toHaveLength(all.length);
+      await expect(assertSchemaUpToDate()).rejects.toThrow(`${all.length} pending migration(s)`);
+    });
+
+    it('applies every pending migration once and records it', async () => {
+      await expect(migrateUp()).resolves.toHaveLength(all.length);
+      await expect(migrateUp()).resolves.toEqual([]);
+
+      const recorded = await getRows('SELECT version, name FROM schema_migrations ORDER BY version');
+      expect(recorded).toEqual(all.map(({ version, name }) => ({ version, name })));
+      await expect(assertSchemaUpToDate()).resolves.toBeUndefined();
+    });
+
+    it('refuses a database migrated by a newer build', async () => {
+      await query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [999, 'from_the_future']);
+
+      await expect(assertSchemaUpToDate()).rejects.toThrow('unknown migration version(s): 999');
+      await expect(migrateDown()).rejects.toThrow('migration files missing for version(s) 999');
+
+      await query('DELETE FROM schema_migrations WHERE version = $1', [999]);
+    });
+
+    it('rolls back the latest migration', async () => {
+      await expect(migrateDown()).resolves.toEqual([expect.objectContaining({ version: latest.version })]);
+
+      const { pending } = await getMigrationStatus();
+      expect(pending.map(({ version }) => version)).toEqual([latest.version]);
+      await expect(assertSchemaUpToDate()).rejects.toThrow(latest.file);
+    });
+  });
+});
@@ -0,0 +1,55 @@
+const { GAME_MODES, TRACKED_MODES, DEFAULT_MODE, normalizeMode, isTrackedMode, getModeInfo, getModeSkills } = require('../../config/modes');
+
+// config/modes with TRACKED_MODES set to the given value
+function loadWith(trackedModes) {
+  const previous = process.env.TRACKED_MODES;
+  process.env.TRACKED_MODES = trackedModes;
+  try {
+    let modes;
+    jest.isolateModules(() => {
+      modes = require('../../config/modes');
+    });
+    return modes;
+  } finally {
+    process.env.TRACKED_MODES = previous;
+  }
+}
+
+describe('config/modes', () => {
+  it('tracks the configured modes with osu as the default', () => {
+    expect(TRACKED_MODES).toEqual(GAME_MODES);
+    expect(DEFAULT_MODE).toBe('osu');
+  });
+
+  it('accepts aliases in the configuration and drops unknown modes and duplicates', () => {
+    expect(loadWith('ctb, 3, catch, tetris').TRACKED_MODES).toEqual(['fruits', 'mania']);
+  });
+
+  it('defaults to the first tracked mode when osu is not tracked', () => {
+    expect(loadWith('mania,taiko').DEFAULT_MODE).toBe('mania');
+  });
+
+  it('tracks osu when nothing valid is configured', () => {
+    expect(loadWith('tetris').TRACKED_MODES).toEqual(['osu']);
+  });
+
+  it.each([
+    ['std', 'osu'], ['Standard', 'osu'], ['0', 'osu'], [1, 'taiko'], ['CTB', 'fruits'], ['catch', 'fruits'], [' mania ', 'mania']
+  ])('normalises %p to %s', (alias, mode) => {
+    expect(normalizeMode(alias)).toBe(mode);
+  });
+
+  it('leaves unknown names alone so callers can reject them', () => {
+    expect(normalizeMode('tetris')).toBe('tetris');
+    expect(normalizeMode(undefined)).toBeNull();
+    expect(isTrackedMode('tetris')).toBe(false);
+    expect(isTrackedMode('ctb')).toBe(true);
+  });
+
+  it('describes each mode and its skills, falling back to osu!', () => {
+    expect(getModeInfo('catch')).toEqual({ id: 2, name: 'osu!catch' });
+    expect(getModeInfo('tetris')).toEqual({ id: 0, name: 'osu!' });
+    expect(getModeSkills('mania')).toEqual(['speed', 'accuracy', 'consistency']);
+    expect(getModeSkills('tetris')).toEqual(['aim', 'speed', 'accuracy', 'reading', 'consistency']);
+  });
+});
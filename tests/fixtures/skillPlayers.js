@@ -0,0 +1,142 @@
+// Synthetic players with known skills and the scores they would set, for backtesting the
+// skill model. Everything comes from a seeded generator, so the data is the same every run.
+const { PPCalculator, starRating } = require('../../services/ppCalculator');
+
+const SEED = 20240517;
+const MAP_COUNT = 240;
+const PLAYER_COUNT = 48;
+// Share of maps that were never parsed, so they have a star rating but no content
+const UNANALYSED_SHARE = 0.3;
+const DAY = 24 * 60 * 60 * 1000;
+const START_DATE = Date.UTC(2023, 0, 1);
+
+function createRandom(seed) {
+  let state = seed;
+  const next = () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647;
+  };
+  return {
+    next,
+    range: (min, max) => min + (max - min) * next(),
+    pick: (items) => items[Math.floor(next() * items.length)],
+    normal: () => Math.sqrt(-2 * Math.log(next())) * Math.cos(2 * Math.PI * next()),
+    poisson: (lambda) => {
+      const limit = Math.exp(-lambda);
+      let k = 0;
+      let p = next();
+      while (p > limit) {
+        k++;
+        p *= next();
+      }
+      return k;
+    }
+  };
+}
+
+const CONTENT = {
+  jump: { jump: [0.45, 0.7], stream: [0, 0.08], tech: [0.05, 0.15], aim: 1.12, speed: 0.85 },
+  stream: { jump: [0, 0.1], stream: [0.45, 0.7], tech: [0.05, 0.15], aim: 0.88, speed: 1.15 },
+  tech: { jump: [0.1, 0.2], stream: [0.05, 0.15], tech: [0.35, 0.55], aim: 1, speed: 0.95 },
+  mixed: { jump: [0.2, 0.3], stream: [0.2, 0.3], tech: [0.1, 0.2], aim: 1, speed: 1 }
+};
+
+function createMaps(random) {
+  return Array.from({ length: MAP_COUNT }, (_, index) => {
+    const classification = random.pick(Object.keys(CONTENT));
+    const content = CONTENT[classification];
+    const rating = random.range(1.3, 3.6);
+    const aim = rating * content.aim;
+    const speed = rating * content.speed;
+    const analysed = random.next() >= UNANALYSED_SHARE;
+
+    return {
+      beatmap_id: 1000 + index,
+      classification,
+      difficulty_rating: starRating(aim, speed),
+      cs: Math.round(random.range(3.5, 5) * 10) / 10,
+      ar: Math.round(random.range(8.5, 10) * 10) / 10,
+      od: Math.round(random.range(7, 10) * 10) / 10,
+      hp: 5,
+      beatmap_max_combo: Math.round(random.range(300, 1500)),
+      aim_difficulty: analysed ? aim : null,
+      speed_difficulty: analysed ? speed : null,
+      attributes_mode: analysed ? 'osu' : null,
+      jump_ratio: analysed ? random.range(...content.jump) : null,
+      stream_ratio: analysed ? random.range(...content.stream) : null,
+      tech_ratio: analysed ? random.range(...content.tech) : null,
+      // Kept for the generator only; the model sees the ratios above
+      trueAim: aim,
+      trueSpeed: speed
+    };
+  });
+}
+
+// One play of a map: how far the player's skills fall short of what the map asks decides misses and accuracy
+function playScore(random, player, map, date) {
+  const share = CONTENT[map.classification];
+  const jumpWeight = (share.jump[0] + share.jump[1]) / 2;
+  const streamWeight = (share.stream[0] + share.stream[1]) / 2;
+  const gap = (jumpWeight * (player.aim - 2 * map.trueAim) + streamWeight * (player.speed - 2 * map.trueSpeed)) /
+    (jumpWeight + streamWeight);
+
+  const misses = Math.min(60, random.poisson(Math.exp(-1.2 * gap) * (2.2 - player.consistency / 5)));
+  const accuracy = Math.min(1, Math.max(0.8,
+    0.91 + 0.085 * (player.accuracy / 10) + 0.01 * Math.min(0, gap) + 0.006 * random.normal()
+  ));
+  const combo = misses === 0
+    ? map.beatmap_max_combo
+    : Math.round(map.beatmap_max_combo * random.range(0.15, 0.9) / Math.sqrt(misses));
+  const mods = random.next() < 0.25 ? 'HD' : 'None';
+
+  const result = PPCalculator.calculate(map, { accuracy, countMiss: misses, combo, mods: mods === 'None' ? '' : mods }, 'osu', {
+    ratings: { aim: map.trueAim, speed: map.trueSpeed }
+  });
+
+  return {
+    beatmap_id: map.beatmap_id,
+    pp: Math.round(result.pp * 100) / 100,
+    accuracy,
+    mods,
+    max_combo: combo,
+    count_miss: misses,
+    play_date: date,
+    ...Object.fromEntries(Object.entries(map).filter(([key]) => !key.startsWith('true') && key !== 'beatmap_id'))
+  };
+}
+
+function createPlayers(random, maps) {
+  return Array.from({ length: PLAYER_COUNT }, (_, index) => {
+    // Skills on the star scale the model reports (aim 6: clears about 6 stars of aim)
+    const level = random.range(4, 9);
+    const truth = {
+      aim: Math.max(2, level + random.normal() * 1.2),
+      speed: Math.max(2, level + random.normal() * 1.2),
+      accuracy: random.range(1, 10),
+      consistency: random.range(1, 10)
+    };
+
+    // Players mostly play maps they can pass, and some play far more than others
+    const scoreCount = Math.round(random.range(4, 90));
+    const playable = maps.filter(map => 2 * map.trueAim < truth.aim + 1.5 && 2 * map.trueSpeed < truth.speed + 1.5);
+    const played = new Set();
+    const scores = [];
+
+    for (let attempt = 0; scores.length < scoreCount && attempt < scoreCount * 5; attempt++) {
+      const map = random.pick(playable.length ? playable : maps);
+      if (played.has(map.beatmap_id)) continue;
+      played.add(map.beatmap_id);
+      scores.push(playScore(random, truth, map, START_DATE + Math.floor(random.range(0, 365)) * DAY));
+    }
+
+    return { username: `Player${index + 1}`, truth, scores };
+  });
+}
+
+function createSkillFixtures(seed = SEED) {
+  const random = createRandom(seed);
+  const maps = createMaps(random);
+  return { maps, players: createPlayers(random, maps) };
+}
+
+module.exports = { createSkillFixtures };
@@ -0,0 +1,36 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+// An app with routes/<name>.js mounted at /api/<name>, parsed and error-handled like server.js.
+// Required lazily so the test file's jest.mock calls apply to the routes and their services.
+function createApp(...names) {
+  const notFound = require('../../middleware/notFound');
+  const errorHandler = require('../../middleware/errorHandler');
+
+  const app = express();
+  app.set('trust proxy', 1);
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: true }));
+  names.forEach(name => app.use(`/api/${name}`, require(`../../routes/${name}`)));
+  app.use(notFound);
+  app.use(errorHandler);
+  return app;
+}
+
+// Bearer header for a signed-in account, e.g. signedIn({ username: 'Sahara_DZ' })
+function signedIn(user = {}) {
+  const { config } = require('../../config/env');
+  const token = jwt.sign({ id: 1, username: null, role: 'user', ...user }, config.JWT_SECRET, { expiresIn: '1h' });
+  return `Bearer ${token}`;
+}
+
+// With API_RESPONSE_CHECKS on (tests/setupEnv), apiRoute warns about responses that do not
+// match their schema. Call in beforeEach; the returned function lists this test's warnings.
+function watchSchemaDrift() {
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  return () => warn.mock.calls
+    .map(args => args.join(' '))
+    .filter(message => message.includes('does not match its schema'));
+}
+
+module.exports = { createApp, signedIn, watchSchemaDrift };
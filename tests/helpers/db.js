@@ -0,0 +1,20 @@
+// Answers the jest.fn() mocks of config/db by SQL: each answer is [pattern, rows], where the
+// pattern is a substring or RegExp of the SQL and rows an array, a row, or a function of the
+// params returning either. Unmatched queries get no rows. Earlier answers and calls are forgotten.
+function answerQueries(db, answers) {
+  const rowsFor = async (sql, params) => {
+    const answer = answers.find(([pattern]) => (pattern instanceof RegExp ? pattern.test(sql) : sql.includes(pattern)));
+    if (!answer) return [];
+    const rows = typeof answer[1] === 'function' ? await answer[1](params, sql) : answer[1];
+    return rows === undefined || rows === null ? [] : [].concat(rows);
+  };
+
+  db.getRows.mockReset().mockImplementation(async (sql, params = []) => rowsFor(sql, params));
+  db.getRow.mockReset().mockImplementation(async (sql, params = []) => (await rowsFor(sql, params))[0]);
+  db.query.mockReset().mockImplementation(async (sql, params = []) => {
+    const rows = await rowsFor(sql, params);
+    return { rows, rowCount: rows.length };
+  });
+}
+
+module.exports = { answerQueries };
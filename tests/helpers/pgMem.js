@@ -0,0 +1,51 @@
+const { newDb } = require('pg-mem');
+
+// A disposable in-memory Postgres with the same helpers as config/db, for
+// jest.mock('../../config/db', () => require('../helpers/pgMem').createTestDatabase()).
+// migrate() runs every migration in migrations/ against it. Options go to pg-mem's newDb().
+function createTestDatabase(options) {
+  const db = newDb(options);
+  // The DO blocks in the migrations only upgrade old databases, so they can be skipped here
+  db.registerLanguage('plpgsql', () => () => {});
+
+  const { Pool } = db.adapters.createPg();
+  const pool = new Pool();
+
+  async function query(sql, params = []) {
+    const client = await pool.connect();
+    try {
+      return await client.query(sql, params);
+    } finally {
+      client.release();
+    }
+  }
+
+  const getRows = async (sql, params = []) => (await query(sql, params)).rows;
+  const getRow = async (sql, params = []) => (await query(sql, params)).rows[0];
+
+  async function migrate() {
+    // Required here so the migrator picks up this module as config/db
+    const { loadMigrations } = require('../../config/migrator');
+    const client = await pool.connect();
+    try {
+      for (const migration of loadMigrations()) {
+        await migration.up(client);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  return {
+    db,
+    pool,
+    query,
+    getRows,
+    getRow,
+    migrate,
+    testConnection: async () => true,
+    closePool: async () => {}
+  };
+}
+
+module.exports = { createTestDatabase };
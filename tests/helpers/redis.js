@@ -0,0 +1,94 @@
+const RedisMock = require('ioredis-mock');
+
+// Stand-in for the `redis` package: node-redis v5's camelCase commands and option objects,
+// answered by ioredis-mock. Use with jest.mock('redis', () => require('../helpers/redis')).
+// ioredis-mock keeps one dataset per process, so tests flush it between cases.
+
+// set(key, value, { EX, PX, NX, XX }) becomes set(key, value, 'EX', n, 'NX')
+function setArguments(key, value, options = {}) {
+  const args = [key, value];
+  ['EX', 'PX'].forEach(unit => {
+    if (options[unit] !== undefined) args.push(unit, options[unit]);
+  });
+  ['NX', 'XX'].forEach(flag => {
+    if (options[flag]) args.push(flag);
+  });
+  return args;
+}
+
+// zAdd(key, { score, value } | [{ score, value }]) becomes zadd(key, score, value, ...)
+function zAddArguments(key, members) {
+  return [key, ...[].concat(members).flatMap(({ score, value }) => [score, value])];
+}
+
+// Redis gives scripts its cjson library and ioredis-mock does not. Scripts that use it get a
+// cjson.decode that reads the number fields of a flat object, all that the beatmap queue's
+// claim script looks at.
+const CJSON = `local cjson = { decode = function(raw)
+  local value = {}
+  for key, number in string.gmatch(raw, '"([%w_]+)":(%-?[%d.eE+]+)') do value[key] = tonumber(number) end
+  return value
+end }
+`;
+const withCjson = (script) => (script.includes('cjson.') ? CJSON + script : script);
+
+// node-redis resolves hGetAll to an object and the rest to ioredis' values
+const TRANSLATED = {
+  set: (mock, ...args) => mock.set(...setArguments(...args)),
+  zAdd: (mock, ...args) => mock.zadd(...zAddArguments(...args)),
+  hDel: (mock, key, fields) => mock.hdel(key, ...[].concat(fields)),
+  del: (mock, ...keys) => mock.del(...keys.flat()),
+  eval: (mock, script, { keys = [], arguments: args = [] } = {}) =>
+    mock.eval(withCjson(script), keys.length, ...keys, ...args)
+};
+
+const callCommand = (mock, name, args) => (TRANSLATED[name]
+  ? TRANSLATED[name](mock, ...args)
+  : mock[name.toLowerCase()](...args));
+
+// Queues commands and runs them as one ioredis-mock transaction; exec() resolves to the replies
+function createMulti(mock) {
+  const commands = [];
+  const multi = new Proxy({}, {
+    get(target, name) {
+      if (name === 'exec') {
+        return async () => {
+          const transaction = mock.multi();
+          commands.forEach(([command, args]) => callCommand(transaction, command, args));
+          const results = await transaction.exec();
+          return results.map(([err, reply]) => {
+            if (err) throw err;
+            return reply;
+          });
+        };
+      }
+      return (...args) => {
+        commands.push([name, args]);
+        return multi;
+      };
+    }
+  });
+  return multi;
+}
+
+function createClient() {
+  const mock = new RedisMock();
+  const client = {
+    isOpen: true,
+    isReady: true,
+    connect: async () => client,
+    quit: async () => 'OK',
+    on: () => client,
+    multi: () => createMulti(mock)
+  };
+
+  return new Proxy(client, {
+    get(target, name) {
+      if (name in target) return target[name];
+      if (typeof name !== 'string') return undefined;
+      return (...args) => callCommand(mock, name, args);
+    }
+  });
+}
+
+module.exports = { createClient };
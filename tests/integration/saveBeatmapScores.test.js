@@ -0,0 +1,277 @@
+jest.mock('redis', () => require('../helpers/redis'));
+jest.mock('../../config/db', () => require('../helpers/pgMem').createTestDatabase());
+
+const db = require('../../config/db');
+const { leaderboardService } = require('../../services/leaderboard');
+const { scoreHistoryService } = require('../../services/scoreHistory');
+const { skillRatingService } = require('../../services/skillRatings');
+const { h2hRatingService } = require('../../services/h2hRatings');
+const { discordService } = require('../../services/discord');
+const { insertDefaultAchievements } = require('../../services/achievements');
+const { isTrackedCountry } = require('../../config/countries');
+const users = require('../../mock/osuApi/fixtures/users.json');
+const beatmapsets = require('../../mock/osuApi/fixtures/beatmapsets.json');
+const fixtureScores = require('../../mock/osuApi/fixtures/scores.json');
+
+// The beatmap and its tracked scores as the osu! API returns them (see mock/osuApi)
+function beatmapInfo(beatmapId) {
+  const beatmapset = beatmapsets.find(set => set.beatmaps.some(beatmap => beatmap.id === beatmapId));
+  const { beatmaps, ...set } = beatmapset;
+  return { ...beatmaps.find(beatmap => beatmap.id === beatmapId), beatmapset: set };
+}
+
+function trackedScores(beatmapId, mode, overrides = {}) {
+  return fixtureScores
+    .filter(score => score.beatmap_id === beatmapId && score.mode === mode)
+    .map(score => {
+      const user = users.find(candidate => candidate.id === score.user_id);
+      return {
+        ...score,
+        user: { id: user.id, username: user.username, country_code: user.country_code, country: user.country },
+        ...overrides[user.username]
+      };
+    })
+    .sort((a, b) => b.score - a.score)
+    .filter(score => isTrackedCountry(score.user.country.code));
+}
+
+const FREEDOM_DIVE = 129891;
+const DRUM_PRACTICE = 9100001;
+const title = (beatmapId) => {
+  const { beatmapset, version } = beatmapInfo(beatmapId);
+  return `${beatmapset.artist} - ${beatmapset.title} [${version}]`;
+};
+
+const save = (beatmapId, mode, overrides) => leaderboardService.saveBeatmapScores(
+  beatmapId, title(beatmapId), trackedScores(beatmapId, mode, overrides), beatmapInfo(beatmapId), mode
+);
+
+const firstPlaceNotifications = () => discordService.notify.mock.calls
+  .filter(([event]) => event === 'new_first')
+  .map(([, payload]) => payload);
+
+// pg-mem shares one state between connections and ignores ROLLBACK, so what the save does with its
+// transaction is checked from the statements it sends: BEGIN, COMMIT or ROLLBACK, and notifications
+const events = [];
+
+function logTransactions(pool) {
+  const connect = pool.connect.bind(pool);
+  return jest.spyOn(pool, 'connect').mockImplementation(async () => {
+    const client = await connect();
+    if (!client.logged) {
+      const query = client.query.bind(client);
+      const release = client.release.bind(client);
+      client.query = (sql, ...args) => {
+        if (/^(BEGIN|COMMIT|ROLLBACK)$/.test(sql)) events.push(sql);
+        return query(sql, ...args);
+      };
+      client.release = (...args) => {
+        events.push('release');
+        return release(...args);
+      };
+      client.logged = true;
+    }
+    return client;
+  });
+}
+
+describe('LeaderboardService.saveBeatmapScores (pg-mem)', () => {
+  let migrated;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await db.migrate();
+    await insertDefaultAchievements();
+    migrated = db.db.backup();
+  });
+
+  beforeEach(() => {
+    migrated.restore();
+    events.length = 0;
+    logTransactions(db.pool);
+    jest.spyOn(discordService, 'notify').mockImplementation(async (event, payload) => {
+      events.push(`${event}:${payload.username}`);
+      return true;
+    });
+    // Its percentile query uses window functions pg-mem does not support
+    jest.spyOn(skillRatingService, 'recordSkills').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    db.pool.connect.mockRestore();
+    discordService.notify.mockRestore();
+    skillRatingService.recordSkills.mockRestore();
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  it('stores each tracked country with its own ranks', async () => {
+    await save(FREEDOM_DIVE, 'osu');
+
+    const rows = await db.getRows(`
+      SELECT username, country, rank, score, mods, accuracy_text, artist, difficulty_name, difficulty_rating
+      FROM algeria_top50 WHERE beatmap_id = $1 ORDER BY score DESC
+    `, [FREEDOM_DIVE]);
+
+    expect(rows.map(row => ({ ...row, score: Number(row.score), difficulty_rating: expect.closeTo(row.difficulty_rating) })))
+      .toEqual([
+        { username: 'Sahara_DZ', country: 'DZ', rank: 1, score: 91002871, mods: 'HD', accuracy_text: '98.71%',
+          artist: 'xi', difficulty_name: 'FOUR DIMENSIONS', difficulty_rating: expect.closeTo(7.61) },
+        { username: 'AtlasFC', country: 'MA', rank: 1, score: 86110422, mods: 'None', accuracy_text: '98.02%',
+          artist: 'xi', difficulty_name: 'FOUR DIMENSIONS', difficulty_rating: expect.closeTo(7.61) },
+        { username: 'KabyleKeys', country: 'DZ', rank: 2, score: 80440110, mods: 'HR', accuracy_text: '97.55%',
+          artist: 'xi', difficulty_name: 'FOUR DIMENSIONS', difficulty_rating: expect.closeTo(7.61) },
+        { username: 'OranStream', country: 'DZ', rank: 3, score: 62011983, mods: 'None', accuracy_text: '96.44%',
+          artist: 'xi', difficulty_name: 'FOUR DIMENSIONS', difficulty_rating: expect.closeTo(7.61) }
+      ]);
+    expect(rows.map(row => row.username)).not.toContain('ParisPlayer');
+  });
+
+  it('records first sightings, new #1s and notifications once they are committed', async () => {
+    await save(FREEDOM_DIVE, 'osu');
+
+    const history = await db.getRows('SELECT username, changes FROM score_history ORDER BY score DESC');
+    expect(history).toEqual([
+      { username: 'Sahara_DZ', changes: ['new'] },
+      { username: 'AtlasFC', changes: ['new'] },
+      { username: 'KabyleKeys', changes: ['new'] },
+      { username: 'OranStream', changes: ['new'] }
+    ]);
+
+    const activity = await db.getRows(`SELECT username, activity_data FROM player_activity WHERE activity_type = 'new_first_place'`);
+    expect(activity.map(row => [row.username, row.activity_data.country])).toEqual([['Sahara_DZ', 'DZ'], ['AtlasFC', 'MA']]);
+
+    expect(firstPlaceNotifications()).toEqual([
+      expect.objectContaining({ beatmapId: FREEDOM_DIVE, username: 'Sahara_DZ', country: 'DZ', mods: 'HD', pp: 702.5, previousHolder: undefined }),
+      expect.objectContaining({ beatmapId: FREEDOM_DIVE, username: 'AtlasFC', country: 'MA', mods: 'None', previousHolder: undefined })
+    ]);
+    const transaction = events.filter(event => !event.startsWith('achievement_unlocked') && event !== 'release');
+    expect(transaction.slice(0, 4)).toEqual(['BEGIN', 'COMMIT', 'new_first:Sahara_DZ', 'new_first:AtlasFC']);
+  });
+
+  it('updates player stats and achievements for everyone on the leaderboard', async () => {
+    await save(FREEDOM_DIVE, 'osu');
+    await save(131891, 'osu');
+
+    const stats = await db.getRows(`
+      SELECT username, country, total_scores, first_places, top_10_places, total_pp
+      FROM player_stats ORDER BY username
+    `);
+    expect(stats).toEqual([
+      { username: 'AtlasFC', country: 'MA', total_scores: 2, first_places: 2, top_10_places: 2, total_pp: expect.closeTo(1041.4) },
+      { username: 'KabyleKeys', country: 'DZ', total_scores: 1, first_places: 0, top_10_places: 1, total_pp: expect.closeTo(588.7) },
+      { username: 'OranStream', country: 'DZ', total_scores: 2, first_places: 1, top_10_places: 2, total_pp: expect.closeTo(984.3) },
+      { username: 'Sahara_DZ', country: 'DZ', total_scores: 2, first_places: 1, top_10_places: 2, total_pp: expect.closeTo(1157.5) }
+    ]);
+
+    const modeStats = await db.getRows(`SELECT DISTINCT mode FROM player_mode_stats`);
+    expect(modeStats).toEqual([{ mode: 'osu' }]);
+
+    const achievements = await db.getRows(`
+      SELECT a.name FROM player_achievements pa JOIN achievements a ON a.id = pa.achievement_id
+      WHERE pa.username = $1 ORDER BY a.name
+    `, ['KabyleKeys']);
+    expect(achievements.map(row => row.name)).toEqual(['Combo Master', 'Accuracy Elite', 'First Steps', 'Precision Master'].sort());
+  });
+
+  it('only records what changed when the beatmap is scanned again', async () => {
+    await save(FREEDOM_DIVE, 'osu');
+    await save(FREEDOM_DIVE, 'osu');
+
+    expect(await db.getRows('SELECT id FROM score_history')).toHaveLength(4);
+    expect(firstPlaceNotifications()).toHaveLength(2);
+
+    discordService.notify.mockClear();
+    await save(FREEDOM_DIVE, 'osu', { KabyleKeys: { score: 92000000, pp: 711.3, mods: ['HR'] } });
+
+    const latest = await db.getRows(`
+      SELECT username, changes FROM score_history WHERE NOT ('new' = ANY(changes))
+    `);
+    expect(latest).toEqual([{ username: 'KabyleKeys', changes: ['score', 'pp'] }]);
+
+    const ranks = await db.getRows(`SELECT username, rank FROM algeria_top50 WHERE country = 'DZ' ORDER BY rank`);
+    expect(ranks).toEqual([
+      { username: 'KabyleKeys', rank: 1 },
+      { username: 'Sahara_DZ', rank: 2 },
+      { username: 'OranStream', rank: 3 }
+    ]);
+
+    expect(firstPlaceNotifications()).toEqual([
+      expect.objectContaining({ username: 'KabyleKeys', country: 'DZ', previousHolder: 'Sahara_DZ' })
+    ]);
+  });
+
+  it('only makes head-to-head matches of scores that are new since the last rating', async () => {
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(Date.UTC(2026, 9, 19, 12));
+    await save(FREEDOM_DIVE, 'osu');
+    // Three players in DZ make three pairs; AtlasFC has nobody to play in MA
+    await expect(h2hRatingService.updateRatings()).resolves.toEqual({ beatmaps: 1, matches: 3, players: 3 });
+
+    clock.mockReturnValue(Date.UTC(2026, 9, 19, 18));
+    await save(FREEDOM_DIVE, 'osu');
+    await expect(h2hRatingService.updateRatings()).resolves.toEqual({ beatmaps: 0, matches: 0, players: 0 });
+
+    clock.mockReturnValue(Date.UTC(2026, 9, 20, 12));
+    await save(FREEDOM_DIVE, 'osu', { KabyleKeys: { score: 92000000, pp: 711.3, mods: ['HR'] } });
+    await expect(h2hRatingService.updateRatings()).resolves.toEqual({ beatmaps: 1, matches: 2, players: 3 });
+    clock.mockRestore();
+
+    const ratings = await db.getRows('SELECT username, matches, wins, losses FROM h2h_ratings ORDER BY username');
+    expect(ratings).toEqual([
+      { username: 'KabyleKeys', matches: 4, wins: 3, losses: 1 },
+      { username: 'OranStream', matches: 3, wins: 0, losses: 3 },
+      { username: 'Sahara_DZ', matches: 3, wins: 2, losses: 1 }
+    ]);
+  });
+
+  it('works out pp the API left out', async () => {
+    await save(FREEDOM_DIVE, 'osu', { KabyleKeys: { pp: null } });
+    await save(DRUM_PRACTICE, 'taiko', { KabyleKeys: { pp: null } });
+
+    const pp = await db.getRows(`SELECT mode, pp FROM algeria_top50 WHERE username = 'KabyleKeys' ORDER BY mode`);
+    expect(pp).toEqual([
+      { mode: 'osu', pp: expect.any(Number) },
+      // Only osu! standard pp can be calculated
+      { mode: 'taiko', pp: 0 }
+    ]);
+    expect(pp[0].pp).toBeGreaterThan(100);
+  });
+
+  it('keeps modes apart', async () => {
+    await save(FREEDOM_DIVE, 'osu');
+    await save(DRUM_PRACTICE, 'taiko');
+
+    const taiko = await db.getRows(`SELECT username, rank FROM algeria_top50 WHERE mode = 'taiko' ORDER BY rank`);
+    expect(taiko).toEqual([
+      { username: 'Tlemcen_Taiko', rank: 1 },
+      { username: 'KabyleKeys', rank: 2 },
+      { username: 'Sahara_DZ', rank: 3 }
+    ]);
+
+    const sahara = await db.getRows(`SELECT mode, rank FROM algeria_top50 WHERE username = 'Sahara_DZ' ORDER BY mode`);
+    expect(sahara).toEqual([{ mode: 'osu', rank: 1 }, { mode: 'taiko', rank: 3 }]);
+
+    // player_stats summarises the default mode; other modes only make sure the player exists
+    const tlemcen = await db.getRow(`SELECT total_scores, country FROM player_stats WHERE username = 'Tlemcen_Taiko'`);
+    expect(tlemcen).toEqual({ total_scores: 0, country: 'DZ' });
+    const tlemcenTaiko = await db.getRow(`
+      SELECT total_scores, first_places FROM player_mode_stats WHERE username = 'Tlemcen_Taiko' AND mode = 'taiko'
+    `);
+    expect(tlemcenTaiko).toEqual({ total_scores: 1, first_places: 1 });
+  });
+
+  it('rolls the whole beatmap back when a write fails', async () => {
+    const recordScore = scoreHistoryService.recordScore.bind(scoreHistoryService);
+    jest.spyOn(scoreHistoryService, 'recordScore')
+      .mockImplementationOnce(recordScore)
+      .mockRejectedValueOnce(new Error('disk full'));
+
+    await expect(save(FREEDOM_DIVE, 'osu')).rejects.toThrow('disk full');
+    scoreHistoryService.recordScore.mockRestore();
+
+    expect(events).toEqual(['BEGIN', 'ROLLBACK', 'release']);
+    expect(discordService.notify).not.toHaveBeenCalled();
+  });
+});
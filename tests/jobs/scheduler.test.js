@@ -0,0 +1,226 @@
+// One client for every case: the modules are reset for each, and every ioredis-mock client
+// adds a process listener
+const mockRedisClient = require('../helpers/redis').createClient();
+
+jest.mock('redis', () => ({ createClient: () => mockRedisClient }));
+jest.mock('../../config/db', () => ({
+  query: jest.fn(),
+  getRows: jest.fn(),
+  getRow: jest.fn()
+}));
+jest.mock('../../middleware/websocket', () => ({ broadcastToClients: jest.fn() }));
+// Schedules are checked, not kept: the tasks are stand-ins that never fire
+jest.mock('node-cron', () => ({
+  validate: jest.requireActual('node-cron').validate,
+  schedule: jest.fn()
+}));
+
+const { config } = require('../../config/env');
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+
+// Resolve once pending promise callbacks have run
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('scheduler', () => {
+  let scheduler;
+  let cron;
+  let jobRunService;
+  let redisClient;
+  let broadcastToClients;
+
+  // The scheduler keeps its jobs per process, so every case loads a fresh copy
+  beforeEach(async () => {
+    jest.resetModules();
+    scheduler = require('../../jobs/scheduler');
+    cron = require('node-cron');
+    ({ jobRunService } = require('../../services/jobRuns'));
+    ({ redisClient } = require('../../config/redis'));
+    ({ broadcastToClients } = require('../../middleware/websocket'));
+    await redisClient.flushAll();
+
+    let runs = 40;
+    jest.spyOn(jobRunService, 'start').mockImplementation(async (name, { trigger }) => ({ id: String(++runs), job_name: name, trigger }));
+    jest.spyOn(jobRunService, 'finish').mockImplementation(async (id, { status, error = null }) => ({ id, status, error, duration_ms: 120 }));
+    jest.spyOn(jobRunService, 'heartbeat').mockResolvedValue();
+    jest.spyOn(jobRunService, 'isPaused').mockResolvedValue(false);
+    jest.spyOn(jobRunService, 'markAbandoned').mockResolvedValue(0);
+    jest.spyOn(jobRunService, 'getSummaries').mockResolvedValue(new Map());
+    cron.schedule.mockReset().mockImplementation(() => ({ stop: jest.fn(), getNextRun: () => new Date(NOW + 60 * 60 * 1000) }));
+    ['log', 'warn', 'error'].forEach(level => jest.spyOn(console, level).mockImplementation(() => {}));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('startJobRun', () => {
+    it('records a run of the job under its lock', async () => {
+      const fn = jest.fn().mockResolvedValue({ updated: 12 });
+      scheduler.registerJob('daily-stats', fn);
+
+      const { run, done } = await scheduler.startJobRun('daily-stats', { triggeredBy: 'Kaze' });
+
+      expect(run).toEqual({ id: '41', job_name: 'daily-stats', trigger: 'manual' });
+      expect(jobRunService.start).toHaveBeenCalledWith('daily-stats', { trigger: 'manual', triggeredBy: 'Kaze', instanceId: scheduler.INSTANCE_ID });
+      expect(await redisClient.get('lock:job:daily-stats')).toEqual(expect.any(String));
+
+      await expect(done).resolves.toEqual({ id: '41', status: 'success', error: null, duration_ms: 120 });
+      expect(jobRunService.finish).toHaveBeenCalledWith('41', { status: 'success', result: { updated: 12 } });
+      expect(await redisClient.get('lock:job:daily-stats')).toBeNull();
+      expect(broadcastToClients.mock.calls.map(([event]) => event.type)).toEqual(['job_started', 'job_completed']);
+    });
+
+    it('records failures and releases the lock', async () => {
+      scheduler.registerJob('daily-stats', jest.fn().mockRejectedValue(new Error('osu! API unavailable')));
+
+      const { done } = await scheduler.startJobRun('daily-stats');
+
+      await expect(done).resolves.toMatchObject({ status: 'failure', error: 'osu! API unavailable' });
+      expect(await redisClient.get('lock:job:daily-stats')).toBeNull();
+      expect(broadcastToClients).toHaveBeenLastCalledWith(expect.objectContaining({ type: 'job_failed', error: 'osu! API unavailable' }));
+    });
+
+    it('settles even when the failure cannot be recorded', async () => {
+      scheduler.registerJob('daily-stats', jest.fn().mockRejectedValue(new Error('osu! API unavailable')));
+      jobRunService.finish.mockRejectedValue(new Error('connection lost'));
+
+      const { done } = await scheduler.startJobRun('daily-stats');
+
+      await expect(done).resolves.toBeNull();
+    });
+
+    it('runs a job once at a time here and across instances', async () => {
+      let finishJob;
+      scheduler.registerJob('daily-stats', () => new Promise(resolve => { finishJob = resolve; }));
+
+      const first = await scheduler.startJobRun('daily-stats');
+      await expect(scheduler.startJobRun('daily-stats')).resolves.toBeNull();
+      finishJob();
+      await first.done;
+
+      await redisClient.set('lock:job:daily-stats', 'other-instance');
+      await expect(scheduler.startJobRun('daily-stats')).resolves.toBeNull();
+      expect(jobRunService.start).toHaveBeenCalledTimes(1);
+      expect(await redisClient.get('lock:job:daily-stats')).toBe('other-instance');
+    });
+
+    it('gives the lock back when the run cannot be recorded', async () => {
+      scheduler.registerJob('daily-stats', jest.fn());
+      jobRunService.start.mockRejectedValue(new Error('connection lost'));
+
+      await expect(scheduler.startJobRun('daily-stats')).rejects.toThrow('connection lost');
+      expect(await redisClient.get('lock:job:daily-stats')).toBeNull();
+
+      jobRunService.start.mockResolvedValue({ id: '41' });
+      await expect(scheduler.startJobRun('daily-stats')).resolves.toMatchObject({ run: { id: '41' } });
+    });
+
+    it('renews the lock and heartbeats while the job runs', async () => {
+      jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate'] });
+      let finishJob;
+      scheduler.registerJob('daily-stats', () => new Promise(resolve => { finishJob = resolve; }));
+
+      const { done } = await scheduler.startJobRun('daily-stats');
+      const ttl = await redisClient.pttl('lock:job:daily-stats');
+      jest.advanceTimersByTime(Math.floor(config.JOB_LOCK_TTL_MS / 3));
+      await flush();
+
+      expect(jobRunService.heartbeat).toHaveBeenCalledWith('41');
+      expect(await redisClient.pttl('lock:job:daily-stats')).toBeGreaterThanOrEqual(ttl);
+
+      finishJob();
+      await done;
+      jest.advanceTimersByTime(config.JOB_LOCK_TTL_MS);
+      expect(jobRunService.heartbeat).toHaveBeenCalledTimes(1);
+    });
+
+    it('only runs registered jobs', async () => {
+      await expect(scheduler.startJobRun('nope')).rejects.toThrow('Unknown job: nope');
+    });
+  });
+
+  describe('registerJob', () => {
+    it('only runs jobs with an invalid schedule by hand', async () => {
+      scheduler.registerJob('daily-stats', jest.fn(), 'every day');
+
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Invalid cron expression for job \'daily-stats\''));
+      await expect(scheduler.getJob('daily-stats')).resolves.toMatchObject({ schedule: 'off', nextRun: null });
+    });
+  });
+
+  describe('startScheduler', () => {
+    it('schedules jobs in UTC and catches up on the ones that never succeeded', async () => {
+      const stats = jest.fn().mockResolvedValue({});
+      const leaderboards = jest.fn().mockResolvedValue({});
+      const cleanup = jest.fn().mockResolvedValue({});
+      scheduler.registerJob('daily-stats', stats, '0 3 * * *');
+      scheduler.registerJob('leaderboards', leaderboards, '*/30 * * * *');
+      scheduler.registerJob('cleanup', cleanup);
+      jobRunService.getSummaries.mockResolvedValue(new Map([['daily-stats', { last_success_at: String(NOW) }]]));
+
+      await scheduler.startScheduler();
+      await flush();
+
+      expect(jobRunService.markAbandoned).toHaveBeenCalledWith(expect.any(Number));
+      expect(cron.schedule.mock.calls.map(([schedule, , options]) => [schedule, options])).toEqual([
+        ['0 3 * * *', { name: 'daily-stats', timezone: 'Etc/UTC' }],
+        ['*/30 * * * *', { name: 'leaderboards', timezone: 'Etc/UTC' }]
+      ]);
+      expect(leaderboards).toHaveBeenCalledTimes(1);
+      expect(jobRunService.start).toHaveBeenCalledWith('leaderboards', expect.objectContaining({ trigger: 'startup' }));
+      expect(stats).not.toHaveBeenCalled();
+      expect(cleanup).not.toHaveBeenCalled();
+    });
+
+    it('skips scheduled runs of paused jobs', async () => {
+      const stats = jest.fn().mockResolvedValue({});
+      scheduler.registerJob('daily-stats', stats, '0 3 * * *');
+      jobRunService.getSummaries.mockResolvedValue(new Map([['daily-stats', { last_success_at: String(NOW) }]]));
+      await scheduler.startScheduler();
+      const tick = cron.schedule.mock.calls[0][1];
+
+      jobRunService.isPaused.mockResolvedValue(true);
+      await tick();
+      expect(stats).not.toHaveBeenCalled();
+
+      jobRunService.isPaused.mockResolvedValue(false);
+      await tick();
+      expect(stats).toHaveBeenCalledTimes(1);
+      expect(jobRunService.start).toHaveBeenCalledWith('daily-stats', expect.objectContaining({ trigger: 'schedule' }));
+    });
+
+    it('stops every schedule on shutdown', async () => {
+      scheduler.registerJob('daily-stats', jest.fn(), '0 3 * * *');
+      await scheduler.startScheduler();
+      const task = cron.schedule.mock.results[0].value;
+
+      scheduler.stopScheduler();
+
+      expect(task.stop).toHaveBeenCalled();
+      await expect(scheduler.getJob('daily-stats')).resolves.toMatchObject({ nextRun: null });
+    });
+  });
+
+  describe('setJobPaused', () => {
+    it('pauses a job on every instance and hides its next run', async () => {
+      scheduler.registerJob('daily-stats', jest.fn(), '0 3 * * *');
+      jobRunService.getSummaries.mockResolvedValue(new Map([['daily-stats', { last_success_at: String(NOW) }]]));
+      await scheduler.startScheduler();
+      const setPaused = jest.spyOn(jobRunService, 'setPaused').mockImplementation(async (name, paused, actor) => {
+        jobRunService.getSummaries.mockResolvedValue(new Map([[name, { paused, paused_by: actor, last_success_at: String(NOW) }]]));
+      });
+
+      await expect(scheduler.setJobPaused('daily-stats', true, 'Kaze')).resolves.toMatchObject({
+        paused: true, pausedBy: 'Kaze', nextRun: null, lastSuccessAt: NOW
+      });
+      expect(setPaused).toHaveBeenCalledWith('daily-stats', true, 'Kaze');
+
+      await expect(scheduler.setJobPaused('daily-stats', false, 'Kaze')).resolves.toMatchObject({
+        paused: false, pausedBy: null, nextRun: NOW + 60 * 60 * 1000
+      });
+      await expect(scheduler.setJobPaused('nope', true)).resolves.toBeNull();
+    });
+  });
+});
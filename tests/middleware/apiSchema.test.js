@@ -0,0 +1,141 @@
+const { apiRoute, validateSchema } = require('../../middleware/apiSchema');
+const { ref } = require('../../config/apiSchemas');
+
+// Run a middleware against a bare request; response is what it sent, or null when it called next()
+function run(middleware, { params = {}, query = {}, body } = {}) {
+  const req = { method: 'GET', originalUrl: '/api/players/Sahara_DZ', params, query, body };
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  let passed = false;
+  middleware(req, res, () => { passed = true; });
+  return { req, res, response: passed ? null : { status: res.statusCode, body: res.body } };
+}
+
+describe('validateSchema', () => {
+  const player = {
+    type: 'object',
+    required: ['username', 'pp'],
+    properties: {
+      username: { type: 'string', minLength: 2, maxLength: 15 },
+      pp: { type: 'number', minimum: 0 },
+      rank: { type: 'integer', nullable: true },
+      mode: { type: 'string', enum: ['osu', 'taiko'] },
+      avatar_url: { type: 'string', format: 'uri' },
+      tags: { type: 'array', items: { type: 'string', pattern: '^[a-z]+$' }, maxItems: 2 }
+    }
+  };
+
+  it('accepts values of the documented shape', () => {
+    expect(validateSchema(player, {
+      username: 'Sahara_DZ', pp: 6120.4, rank: null, mode: 'osu', avatar_url: 'https://a.ppy.sh/1', tags: ['aim']
+    })).toEqual([]);
+  });
+
+  it('names every problem after its path', () => {
+    expect(validateSchema(player, {
+      username: 'S', rank: 1.5, mode: 'mania', avatar_url: 'javascript:alert(1)', tags: ['aim', 'Speed', 'tech']
+    })).toEqual([
+      'pp is required',
+      'username must be at least 2 characters',
+      'rank must be an integer',
+      'mode must be one of: osu, taiko',
+      'avatar_url must be an http or https URL',
+      'tags must have at most 2 items',
+      'tags[1] has invalid format'
+    ]);
+  });
+
+  it('rejects nulls unless the schema allows them', () => {
+    expect(validateSchema(player, null)).toEqual(['body must not be null']);
+    expect(validateSchema(player, { username: 'Kaze', pp: null })).toEqual(['pp must not be null']);
+  });
+
+  it('follows references into the component schemas', () => {
+    const meta = { limit: 50, hasMore: false, nextCursor: null, prevCursor: null };
+
+    expect(validateSchema(ref('PageMeta'), meta)).toEqual([]);
+    expect(validateSchema(ref('PageMeta'), { ...meta, limit: '50' }, 'meta')).toEqual(['meta.limit must be an integer']);
+  });
+
+  it('wants every part of allOf and one of the shapes of oneOf', () => {
+    const named = { type: 'object', required: ['username'] };
+    const scored = { type: 'object', required: ['pp'] };
+
+    expect(validateSchema({ allOf: [named, scored] }, { username: 'Kaze' })).toEqual(['pp is required']);
+    expect(validateSchema({ oneOf: [named, scored] }, { pp: 1 })).toEqual([]);
+    expect(validateSchema({ oneOf: [named, scored] }, {}, 'player')).toEqual(['player does not match any of the allowed shapes']);
+  });
+
+  it('checks the values of maps against additionalProperties', () => {
+    const counts = { type: 'object', additionalProperties: { type: 'integer' } };
+
+    expect(validateSchema(counts, { osu: 3, taiko: 'many' })).toEqual(['taiko must be an integer']);
+  });
+});
+
+describe('apiRoute', () => {
+  const route = apiRoute({
+    summary: 'Player profile',
+    params: { username: { type: 'string', minLength: 2 } },
+    query: {
+      limit: { type: 'integer', minimum: 1, maximum: 100 },
+      recent: { type: 'boolean' },
+      country: { type: 'string', required: true }
+    },
+    response: { type: 'object', required: ['success'], properties: { success: { type: 'boolean' } } }
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('keeps its schema for the OpenAPI document', () => {
+    expect(route.apiSchema.summary).toBe('Player profile');
+  });
+
+  it('reads path and query strings as the documented types', () => {
+    const { response } = run(route, { params: { username: 'Sahara_DZ' }, query: { limit: '20', recent: 'true', country: 'DZ' } });
+
+    expect(response).toBeNull();
+  });
+
+  it('rejects requests with every problem listed', () => {
+    expect(run(route, { params: { username: 'S' }, query: { limit: 'many', recent: 'yes', country: '' } }).response).toEqual({
+      status: 400,
+      body: {
+        success: false,
+        errors: ['username must be at least 2 characters', 'limit must be an integer', 'recent must be true or false', 'country is required']
+      }
+    });
+  });
+
+  it('checks JSON bodies but leaves raw uploads to the route', () => {
+    const upload = apiRoute({ summary: 'Upload', body: { type: 'object', required: ['name'] } });
+
+    expect(run(upload, { body: {} }).response.body.errors).toEqual(['name is required']);
+    expect(run(upload, { body: Buffer.from('osr') }).response).toBeNull();
+  });
+
+  it('warns about successful responses that drift from their schema and sends them anyway', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const { res } = run(route, { params: { username: 'Sahara_DZ' }, query: { country: 'DZ' } });
+
+    res.json({ success: 'yes' });
+
+    expect(res.body).toEqual({ success: 'yes' });
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('GET /api/players/Sahara_DZ response does not match its schema: response.success must be true or false'));
+
+    warn.mockClear();
+    res.status(404).json({ success: false, error: 'Player not found' });
+    expect(warn).not.toHaveBeenCalled();
+  });
+});
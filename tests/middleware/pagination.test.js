@@ -0,0 +1,203 @@
+const {
+  paginate, keyset, keysetRows, keysetResult, rowKey, listsResult, pageMeta, encodeCursor, decodeCursor
+} = require('../../middleware/pagination');
+
+// Run a middleware against a bare request to /api/rankings; response is what it sent, or null
+// when it called next()
+function run(middleware, query = {}) {
+  const req = { query, baseUrl: '/api/rankings', path: '/' };
+  const res = {
+    headers: {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    }
+  };
+  let passed = false;
+  middleware(req, res, () => { passed = true; });
+  return { req, res, response: passed ? null : { status: res.statusCode, body: res.body } };
+}
+
+const SORT = [{ column: 'pms.weighted_pp', order: 'DESC' }, { column: 'pms.username' }];
+const player = (username, weighted_pp) => ({ username, weighted_pp });
+
+describe('paginate', () => {
+  it('starts at the top of the list with the default limit', () => {
+    const { req, response } = run(paginate({ defaultLimit: 20 }));
+
+    expect(response).toBeNull();
+    expect(req.page).toMatchObject({ limit: 20, cursor: null, cacheKey: 'first' });
+  });
+
+  it('rejects limits out of range and offsets', () => {
+    expect(run(paginate(), { limit: '101' }).response).toEqual({
+      status: 400,
+      body: { success: false, error: 'Limit must be between 1 and 100' }
+    });
+    expect(run(paginate(), { offset: '40' }).response).toEqual({
+      status: 400,
+      body: { success: false, error: 'Offset is not supported; page with cursor instead' }
+    });
+  });
+
+  it('reads cursors handed out for the same list only', () => {
+    const { req } = run(paginate(), { sort: 'total_pp' });
+    const cursor = encodeCursor({ f: req.page.fingerprint, k: [6120.4, 'Sahara_DZ'], r: 3 });
+
+    const same = run(paginate(), { sort: 'total_pp', limit: '10', cursor });
+    expect(same.req.page.cursor).toEqual({ key: [6120.4, 'Sahara_DZ'], rank: 3, backward: false });
+    // Cache keys are lowercased, so the cursor goes in as a digest
+    expect(same.req.page.cacheKey).toMatch(/^[0-9a-f]{40}$/);
+
+    expect(run(paginate(), { sort: 'accuracy_avg', cursor }).response.status).toBe(400);
+    expect(run(paginate(), { cursor: 'not-a-cursor' }).response.body).toEqual({ success: false, error: 'Invalid cursor' });
+  });
+
+  it('wants one key per list from lists paged together, going forward', () => {
+    const { req } = run(paginate({ lists: 2 }));
+    const f = req.page.fingerprint;
+
+    expect(run(paginate({ lists: 2 }), { cursor: encodeCursor({ f, k: [[1, 'a'], false] }) }).response).toBeNull();
+    expect(run(paginate({ lists: 2 }), { cursor: encodeCursor({ f, k: [1, 'a'] }) }).response.status).toBe(400);
+    expect(run(paginate({ lists: 2 }), { cursor: encodeCursor({ f, k: [[1, 'a'], false], b: 1 }) }).response.status).toBe(400);
+    expect(run(paginate(), { cursor: encodeCursor({ f, k: [[1, 'a'], false] }) }).response.status).toBe(400);
+  });
+});
+
+describe('keyset', () => {
+  it('orders the first page by the sort keys and asks for one row more', () => {
+    const params = ['DZ'];
+
+    expect(keyset(SORT, { limit: 50, cursor: null }, params)).toEqual({
+      where: 'TRUE',
+      orderBy: 'pms.weighted_pp DESC NULLS LAST, pms.username ASC NULLS LAST',
+      limit: '$2'
+    });
+    expect(params).toEqual(['DZ', 51]);
+  });
+
+  it('continues after the row of the cursor', () => {
+    const params = ['DZ'];
+    const { where, limit } = keyset(SORT, { limit: 50, cursor: { key: [6120.4, 'Sahara_DZ'], backward: false } }, params);
+
+    expect(where).toBe('(pms.weighted_pp < $2 OR (pms.weighted_pp = $2 AND (pms.username > $3 OR pms.username IS NULL)) OR pms.weighted_pp IS NULL)');
+    expect(limit).toBe('$4');
+    expect(params).toEqual(['DZ', 6120.4, 'Sahara_DZ', 51]);
+  });
+
+  it('goes on among the NULLs after a row without a value', () => {
+    const params = [];
+    const { where } = keyset(SORT, { limit: 10, cursor: { key: [null, 'AtlasFC'], backward: false } }, params);
+
+    expect(where).toBe('(pms.weighted_pp IS NULL AND (pms.username > $1 OR pms.username IS NULL))');
+    expect(params).toEqual(['AtlasFC', 11]);
+  });
+
+  it('reads backwards for the page before the cursor', () => {
+    const params = [];
+    const { where, orderBy } = keyset(SORT, { limit: 10, cursor: { key: [6120.4, 'Sahara_DZ'], backward: true } }, params);
+
+    expect(where).toBe('(pms.weighted_pp > $1 OR (pms.weighted_pp = $1 AND (pms.username < $2)))');
+    expect(orderBy).toBe('pms.weighted_pp ASC NULLS FIRST, pms.username DESC NULLS FIRST');
+  });
+});
+
+describe('keysetRows', () => {
+  const rows = [player('Kaze', 7000), player('AtlasFC', 6120.4), player('Sahara_DZ', 6120.4), player('Tlemcen', null)];
+
+  it('selects the rows after the cursor from a sorted array', () => {
+    const page = { limit: 2, cursor: { key: [6120.4, 'AtlasFC'], backward: false } };
+
+    expect(keysetRows(rows, [{ column: 'weighted_pp', order: 'DESC' }, { column: 'username' }], page))
+      .toEqual([player('Sahara_DZ', 6120.4), player('Tlemcen', null)]);
+  });
+
+  it('selects the rows before the cursor nearest first', () => {
+    const page = { limit: 2, cursor: { key: [null, 'Tlemcen'], backward: true } };
+
+    expect(keysetRows(rows, [{ column: 'weighted_pp', order: 'DESC' }, { column: 'username' }], page))
+      .toEqual([player('Sahara_DZ', 6120.4), player('AtlasFC', 6120.4), player('Kaze', 7000)]);
+  });
+});
+
+describe('keysetResult', () => {
+  const page = (cursor = null) => ({ limit: 2, cursor, fingerprint: 'f' });
+
+  it('drops the look-ahead row and points the cursors at the ends of the page', () => {
+    const result = keysetResult([player('Kaze', 7000), player('Sahara_DZ', 6120.4), player('AtlasFC', 6000)], SORT, page());
+
+    expect(result).toMatchObject({ firstRank: 1, hasMore: true, prevCursor: null });
+    expect(result.items).toHaveLength(2);
+    expect(decodeCursor(result.nextCursor)).toEqual({ f: 'f', k: [6120.4, 'Sahara_DZ'], r: 2 });
+  });
+
+  it('carries the ranks on from the cursor', () => {
+    const result = keysetResult([player('AtlasFC', 6000)], SORT, page({ key: [6120.4, 'Sahara_DZ'], rank: 2, backward: false }));
+
+    expect(result).toMatchObject({ firstRank: 3, hasMore: false, nextCursor: null });
+    expect(decodeCursor(result.prevCursor)).toEqual({ f: 'f', k: [6000, 'AtlasFC'], r: 3, b: 1 });
+  });
+
+  it('puts rows read backwards back in list order', () => {
+    const rows = [player('Sahara_DZ', 6120.4), player('Kaze', 7000), player('Mou', 7500)];
+
+    const result = keysetResult(rows, SORT, page({ key: [6000, 'AtlasFC'], rank: 5, backward: true }));
+
+    expect(result.items.map(row => row.username)).toEqual(['Kaze', 'Sahara_DZ']);
+    expect(result).toMatchObject({ firstRank: 3, hasMore: true });
+    expect(decodeCursor(result.prevCursor)).toMatchObject({ k: [7000, 'Kaze'], r: 3, b: 1 });
+  });
+
+  it('has nothing after a page read backwards from the end', () => {
+    const result = keysetResult([player('Tlemcen', null)], SORT, page({ key: null, rank: 41, backward: true }));
+
+    expect(result).toMatchObject({ firstRank: 40, hasMore: false, nextCursor: null, prevCursor: null });
+  });
+});
+
+describe('listsResult', () => {
+  it('goes on while any list has rows left', () => {
+    const keys = [rowKey(SORT, player('Kaze', 7000)), false];
+
+    expect(keys).toEqual([[7000, 'Kaze'], false]);
+    expect(decodeCursor(listsResult(keys, { fingerprint: 'f' }).nextCursor)).toEqual({ f: 'f', k: keys });
+    expect(listsResult([false, false], { fingerprint: 'f' })).toEqual({ hasMore: false, nextCursor: null, prevCursor: null });
+  });
+});
+
+describe('pageMeta', () => {
+  it('links the pages of the list and sends the total', () => {
+    const { req, res } = run(paginate(), { sort: 'total_pp', limit: '2' });
+    const result = { hasMore: true, nextCursor: 'next', prevCursor: 'prev' };
+
+    expect(pageMeta(req, res, result, 40)).toEqual({ limit: 2, total: 40, hasMore: true, nextCursor: 'next', prevCursor: 'prev' });
+    expect(res.headers['X-Total-Count']).toBe('40');
+
+    const links = res.headers.Link.split(', ');
+    expect(links.slice(0, 3)).toEqual([
+      '</api/rankings?sort=total_pp&limit=2>; rel="first"',
+      '</api/rankings?sort=total_pp&limit=2&cursor=prev>; rel="prev"',
+      '</api/rankings?sort=total_pp&limit=2&cursor=next>; rel="next"'
+    ]);
+    const last = new URL(links[3].match(/<([^>]+)>; rel="last"/)[1], 'http://localhost').searchParams.get('cursor');
+    expect(decodeCursor(last)).toEqual({ f: req.page.fingerprint, r: 41, b: 1 });
+  });
+
+  it('leaves the total out of lists that are not counted', () => {
+    const { req, res } = run(paginate());
+
+    expect(pageMeta(req, res, { hasMore: false, nextCursor: null, prevCursor: null })).toEqual({
+      limit: 50, hasMore: false, nextCursor: null, prevCursor: null
+    });
+    expect(res.headers['X-Total-Count']).toBeUndefined();
+    expect(res.headers.Link).toBe('</api/rankings?limit=50>; rel="first"');
+  });
+});
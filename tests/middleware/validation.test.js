@@ -0,0 +1,68 @@
+const { validateCountry, validateMode } = require('../../middleware/validation');
+
+// Run a middleware against a bare request; response is what it sent, or null when it called next()
+function run(middleware, query = {}) {
+  const req = { query };
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  let passed = false;
+  middleware(req, res, () => { passed = true; });
+  return { req, response: passed ? null : { status: res.statusCode, body: res.body } };
+}
+
+describe('validateCountry', () => {
+  it('uses the default country when none is given', () => {
+    const { req, response } = run(validateCountry);
+
+    expect(response).toBeNull();
+    expect(req).toMatchObject({ country: 'DZ', countryExplicit: false });
+  });
+
+  it('treats an empty country as none', () => {
+    expect(run(validateCountry, { country: '' }).req).toMatchObject({ country: 'DZ', countryExplicit: false });
+  });
+
+  it('accepts any tracked country, whatever its case', () => {
+    const { req, response } = run(validateCountry, { country: 'ma' });
+
+    expect(response).toBeNull();
+    expect(req).toMatchObject({ country: 'MA', countryExplicit: true });
+  });
+
+  it('rejects countries that are not tracked', () => {
+    expect(run(validateCountry, { country: 'TN' }).response).toEqual({
+      status: 400,
+      body: { success: false, error: 'Country must be one of: DZ, MA' }
+    });
+  });
+});
+
+describe('validateMode', () => {
+  it('uses the default mode when none is given', () => {
+    const { req, response } = run(validateMode);
+
+    expect(response).toBeNull();
+    expect(req.mode).toBe('osu');
+  });
+
+  it('accepts tracked modes by name or alias', () => {
+    expect(run(validateMode, { mode: 'taiko' }).req.mode).toBe('taiko');
+    expect(run(validateMode, { mode: 'CTB' }).req.mode).toBe('fruits');
+    expect(run(validateMode, { mode: '3' }).req.mode).toBe('mania');
+  });
+
+  it('rejects unknown modes', () => {
+    expect(run(validateMode, { mode: 'tetris' }).response).toEqual({
+      status: 400,
+      body: { success: false, error: 'Mode must be one of: osu, taiko, fruits, mania' }
+    });
+  });
+});
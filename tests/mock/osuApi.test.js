@@ -0,0 +1,215 @@
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const { once } = require('events');
+const request = require('supertest');
+const { createMockOsuApi, parseScenarios, SCENARIOS } = require('../../mock/osuApi/server');
+
+// A client-credentials token from the mock, as an Authorization header
+async function signIn(app) {
+  const res = await request(app).post('/oauth/token').send({ grant_type: 'client_credentials', client_id: 'any', client_secret: 'any' }).expect(200);
+  return `Bearer ${res.body.access_token}`;
+}
+
+describe('parseScenarios', () => {
+  it('reads lists and comma-separated names', () => {
+    expect([...parseScenarios('rate-limit, paging')]).toEqual(['rate-limit', 'paging']);
+    expect([...parseScenarios(['server-errors'])]).toEqual(['server-errors']);
+    expect(parseScenarios(undefined).size).toBe(0);
+  });
+
+  it('rejects names it does not know', () => {
+    expect(() => parseScenarios('paging,floods')).toThrow(`Unknown mock osu! scenarios: floods (known: ${SCENARIOS.join(', ')})`);
+  });
+});
+
+describe('mock osu! API', () => {
+  describe('oauth', () => {
+    const app = createMockOsuApi();
+
+    it('wants a token for the API', async () => {
+      await request(app).get('/api/v2/users/9000001/osu').expect(401);
+      await request(app).get('/api/v2/users/9000001/osu').set('Authorization', await signIn(app)).expect(200);
+    });
+
+    it('signs players in with mock-<user id> codes', async () => {
+      const redirect = await request(app).get('/oauth/authorize?redirect_uri=http://localhost:3000/callback&state=s1&user=AtlasFC').expect(302);
+      expect(redirect.headers.location).toBe('http://localhost:3000/callback?code=mock-9000005&state=s1');
+
+      const token = await request(app).post('/oauth/token').send({ grant_type: 'authorization_code', code: 'mock-9000005' }).expect(200);
+      expect(token.body).toMatchObject({ token_type: 'Bearer', refresh_token: expect.any(String) });
+
+      const me = await request(app).get('/api/v2/me/osu').set('Authorization', `Bearer ${token.body.access_token}`).expect(200);
+      expect(me.body).toMatchObject({ id: 9000005, username: 'AtlasFC', country_code: 'MA' });
+
+      await request(app).post('/oauth/token').send({ grant_type: 'authorization_code', code: 'mock-1' }).expect(400);
+    });
+  });
+
+  describe('endpoints', () => {
+    const app = createMockOsuApi();
+    let auth;
+
+    beforeAll(async () => {
+      auth = await signIn(app);
+    });
+
+    it('serves users by id or name with statistics for the mode', async () => {
+      const res = await request(app).get('/api/v2/users/@sahara_dz/taiko').set('Authorization', auth).expect(200);
+
+      expect(res.body).toMatchObject({ id: 9000001, username: 'Sahara_DZ', statistics: expect.objectContaining({ pp: expect.any(Number) }) });
+      await request(app).get('/api/v2/users/NoSuchPlayer/osu').set('Authorization', auth).expect(404);
+    });
+
+    it('serves beatmap leaderboards best score first, with the players', async () => {
+      const res = await request(app).get('/api/v2/beatmaps/129891/scores?mode=osu').set('Authorization', auth).expect(200);
+
+      const scores = res.body.scores.map(score => score.score);
+      expect(scores).toEqual([...scores].sort((a, b) => b - a));
+      expect(res.body.scores[0].user).toMatchObject({ id: expect.any(Number), username: expect.any(String) });
+    });
+
+    it('finds beatmaps by checksum with their set', async () => {
+      const { body: beatmap } = await request(app).get('/api/v2/beatmaps/129891').set('Authorization', auth).expect(200);
+      const res = await request(app).get(`/api/v2/beatmaps/lookup?checksum=${beatmap.checksum}`).set('Authorization', auth).expect(200);
+
+      expect(res.body).toMatchObject({ id: 129891, beatmapset: { title: 'FREEDOM DiVE' } });
+    });
+
+    it('ranks a country by performance', async () => {
+      const res = await request(app).get('/api/v2/rankings/osu/performance?country=dz').set('Authorization', auth).expect(200);
+
+      expect(res.body.ranking.map(entry => entry.user.country_code)).toEqual(['DZ', 'DZ', 'DZ']);
+      expect(res.body.cursor).toBeNull();
+    });
+
+    it('searches beatmapsets of a ruleset and users by name', async () => {
+      const sets = await request(app).get('/api/v2/beatmapsets/search?m=1').set('Authorization', auth).expect(200);
+      expect(sets.body.beatmapsets.map(set => set.title)).toEqual(['Drum Practice']);
+
+      const users = await request(app).get('/api/v2/search?mode=user&query=taiko').set('Authorization', auth).expect(200);
+      expect(users.body.user.data.map(user => user.username)).toEqual(['Tlemcen_Taiko']);
+    });
+
+    it('lists multiplayer matches and their events', async () => {
+      const list = await request(app).get('/api/v2/matches').set('Authorization', auth).expect(200);
+      const { id } = list.body.matches[0];
+
+      const match = await request(app).get(`/api/v2/matches/${id}`).set('Authorization', auth).expect(200);
+      expect(match.body).toMatchObject({ match: { id }, events: expect.any(Array), users: expect.any(Array) });
+    });
+  });
+
+  describe('scenarios', () => {
+    it('answers every rateLimitEvery-th request with a 429 and Retry-After', async () => {
+      const app = createMockOsuApi({ scenarios: 'rate-limit', rateLimitEvery: 2, retryAfterSeconds: 3 });
+      const auth = await signIn(app);
+
+      await request(app).get('/api/v2/users/9000001/osu').set('Authorization', auth).expect(200);
+      const limited = await request(app).get('/api/v2/users/9000001/osu').set('Authorization', auth).expect(429);
+
+      expect(limited.headers['retry-after']).toBe('3');
+    });
+
+    it('answers every errorEvery-th request with a 500', async () => {
+      const app = createMockOsuApi({ scenarios: ['server-errors'], errorEvery: 2 });
+      const auth = await signIn(app);
+
+      const statuses = [];
+      for (let i = 0; i < 4; i++) {
+        statuses.push((await request(app).get('/api/v2/beatmaps/129891').set('Authorization', auth)).status);
+      }
+      expect(statuses).toEqual([200, 500, 200, 500]);
+    });
+
+    it('stops accepting tokens after tokenUses requests', async () => {
+      const app = createMockOsuApi({ scenarios: 'expired-tokens', tokenUses: 2 });
+      const auth = await signIn(app);
+
+      const statuses = [];
+      for (let i = 0; i < 4; i++) {
+        statuses.push((await request(app).get('/api/v2/beatmaps/129891').set('Authorization', auth)).status);
+      }
+      expect(statuses).toEqual([200, 200, 401, 401]);
+    });
+
+    it('pages rankings with the cursors osu! hands out', async () => {
+      const app = createMockOsuApi({ scenarios: 'paging', pagingPageSize: 2 });
+      const auth = await signIn(app);
+
+      const first = await request(app).get('/api/v2/rankings/osu/performance').set('Authorization', auth).expect(200);
+      expect(first.body).toMatchObject({ cursor: { page: 2 }, total: 5 });
+      expect(first.body.ranking).toHaveLength(2);
+
+      const second = await request(app).get('/api/v2/rankings/osu/performance')
+        .query({ cursor_string: first.body.cursor_string })
+        .set('Authorization', auth)
+        .expect(200);
+      expect(second.body.ranking.map(entry => entry.user.id)).not.toContain(first.body.ranking[0].user.id);
+    });
+
+    it('switches scenarios at runtime and reports its state', async () => {
+      const app = createMockOsuApi();
+      const auth = await signIn(app);
+
+      await request(app).put('/__mock/scenarios').send({ scenarios: ['paging'] }).expect(200, { scenarios: ['paging'] });
+      await request(app).put('/__mock/scenarios').send({ scenarios: ['floods'] }).expect(400);
+      await request(app).get('/api/v2/rankings/osu/performance').set('Authorization', auth).expect(200);
+
+      const state = await request(app).get('/__mock/state').expect(200);
+      expect(state.body).toMatchObject({
+        scenarios: ['paging'],
+        apiRequests: 1,
+        activeTokens: 1,
+        endpoints: { 'POST /oauth/token': { requests: 1, statuses: { 200: 1 } } }
+      });
+
+      await request(app).post('/__mock/reset').expect(200);
+      await request(app).get('/api/v2/rankings/osu/performance').set('Authorization', auth).expect(401);
+    });
+  });
+});
+
+// A port nothing listens on right now
+async function freePort() {
+  const server = net.createServer().listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const { port } = server.address();
+  server.close();
+  await once(server, 'close');
+  return port;
+}
+
+describe('npm run mock-osu', () => {
+  it('serves the mock on the port and with the scenarios asked for', async () => {
+    const port = await freePort();
+    const child = spawn(process.execPath, [path.join(__dirname, '../../scripts/mockOsuApi.js'), '--port', String(port), '--scenarios', 'paging,rate-limit'], {
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    try {
+      let output = '';
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`mock osu! API did not start: ${output}`)), 10000);
+        child.stdout.on('data', chunk => {
+          output += chunk;
+          if (output.includes('Scenarios:')) {
+            clearTimeout(timer);
+            resolve();
+          }
+        });
+        child.on('exit', code => {
+          clearTimeout(timer);
+          reject(new Error(`mock osu! API exited with ${code}`));
+        });
+      });
+
+      expect(output).toContain(`listening on http://localhost:${port}`);
+      const state = await request(`http://127.0.0.1:${port}`).get('/__mock/state').expect(200);
+      expect(state.body.scenarios).toEqual(['paging', 'rate-limit']);
+    } finally {
+      child.kill('SIGTERM');
+      if (child.exitCode === null) await once(child, 'exit');
+    }
+  });
+});
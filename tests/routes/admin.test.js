@@ -0,0 +1,532 @@
+const request = require('supertest');
+
+jest.mock('redis', () => require('../helpers/redis'));
+jest.mock('../../jobs/scheduler', () => ({
+  startJobRun: jest.fn(),
+  listJobs: jest.fn(),
+  getJob: jest.fn(),
+  setJobPaused: jest.fn()
+}));
+
+const scheduler = require('../../jobs/scheduler');
+const { adminService, CACHE_NAMESPACES } = require('../../services/admin');
+const { auditService } = require('../../services/audit');
+const { beatmapAnalysisService } = require('../../services/beatmapAnalysis');
+const { BeatmapParseError } = require('../../services/beatmapParser');
+const { beatmapQueueService } = require('../../services/beatmapQueue');
+const { commentService } = require('../../services/comments');
+const { jobRunService } = require('../../services/jobRuns');
+const { webhookService, WEBHOOK_EVENTS } = require('../../services/webhooks');
+const { createApp, signedIn, watchSchemaDrift } = require('../helpers/app');
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+
+const comment = {
+  id: 12,
+  target_username: 'AtlasFC',
+  commenter_username: 'Sahara_DZ',
+  comment_text: 'gg on the #1',
+  created_at: '1792411200000',
+  updated_at: '1792414800000',
+  commenter_avatar_url: null
+};
+
+const webhook = {
+  id: 3,
+  url: 'https://hooks.example.com/osu',
+  events: ['new_scores'],
+  description: 'Discord relay',
+  is_active: true,
+  created_at: '1792411200000',
+  updated_at: '1792411200000'
+};
+
+const run = { id: '41', job_name: 'daily-stats', trigger: 'manual', triggered_by: 'Kaze', status: 'running', started_at: String(NOW) };
+
+const job = { name: 'daily-stats', schedule: '0 0 * * *', paused: false, pausedBy: null, running: false, nextRun: NOW + 3600000, lastRun: null, lastSuccessAt: null };
+
+describe('/api/admin', () => {
+  const app = createApp('admin');
+  const admin = signedIn({ username: 'Kaze', role: 'admin' });
+  const superAdmin = signedIn({ username: 'Root', role: 'super_admin' });
+  let schemaDrift;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate'] });
+    schemaDrift = watchSchemaDrift();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(auditService, 'record').mockResolvedValue();
+    Object.values(scheduler).forEach(fn => fn.mockReset());
+  });
+
+  afterEach(() => {
+    const drift = schemaDrift();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    expect(drift).toEqual([]);
+  });
+
+  describe('access', () => {
+    it('requires an admin token', async () => {
+      await request(app).get('/api/admin/cache').expect(401);
+
+      const res = await request(app).get('/api/admin/cache').set('Authorization', signedIn()).expect(403);
+      expect(res.body).toEqual({ success: false, error: 'Admin access required' });
+    });
+
+    it('lets super admins in as well', async () => {
+      await request(app).get('/api/admin/cache').set('Authorization', superAdmin).expect(200);
+    });
+
+    it('writes every write request to the audit log, with the body', async () => {
+      jest.spyOn(adminService, 'invalidateCacheNamespaces').mockResolvedValue({ rankings: 4 });
+
+      await request(app).post('/api/admin/cache/invalidate?x=1').set('Authorization', admin)
+        .send({ namespaces: ['rankings'] }).expect(200);
+
+      expect(auditService.record).toHaveBeenCalledWith({
+        actor: 'Kaze',
+        action: 'cache.invalidate',
+        target: null,
+        payload: { cleared: { rankings: 4 }, body: { namespaces: ['rankings'] } },
+        method: 'POST',
+        path: '/api/admin/cache/invalidate',
+        ip: expect.any(String),
+        status: 200
+      });
+      expect(console.log).toHaveBeenCalledWith('🔧 Admin Action: Kaze - POST /api/admin/cache/invalidate?x=1 (200)');
+    });
+
+    it('does not log reads', async () => {
+      await request(app).get('/api/admin/cache').set('Authorization', admin).expect(200);
+
+      expect(auditService.record).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('players', () => {
+    it('queues a refresh of the player in the requested mode', async () => {
+      jest.spyOn(adminService, 'findPlayer').mockResolvedValue({ username: 'Sahara_DZ' });
+      jest.spyOn(adminService, 'refreshPlayer').mockResolvedValue({ username: 'Sahara_DZ', mode: 'taiko' });
+
+      const res = await request(app).post('/api/admin/players/sahara_dz/refresh?mode=taiko').set('Authorization', admin).expect(202);
+
+      expect(res.body.data).toEqual({ username: 'Sahara_DZ', mode: 'taiko', status: 'queued' });
+      expect(adminService.refreshPlayer).toHaveBeenCalledWith('Sahara_DZ', 'taiko');
+      expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'player.refresh', target: 'sahara_dz', payload: { mode: 'taiko' }, status: 202
+      }));
+    });
+
+    it('does not refresh unknown players', async () => {
+      jest.spyOn(adminService, 'findPlayer').mockResolvedValue(null);
+      jest.spyOn(adminService, 'refreshPlayer');
+
+      await request(app).post('/api/admin/players/nobody/refresh').set('Authorization', admin).expect(404);
+      expect(adminService.refreshPlayer).not.toHaveBeenCalled();
+    });
+
+    it.each([['ban', 'banned'], ['hide', 'hidden']])('can %s a player with a reason', async (action, status) => {
+      const player = { username: 'Sahara_DZ', moderation_status: status, moderation_reason: 'multi-accounting' };
+      jest.spyOn(adminService, 'moderatePlayer').mockResolvedValue(player);
+
+      const res = await request(app).post(`/api/admin/players/Sahara_DZ/${action}`).set('Authorization', admin)
+        .send({ reason: '  multi-accounting ' }).expect(200);
+
+      expect(res.body.data).toEqual(player);
+      expect(adminService.moderatePlayer).toHaveBeenCalledWith('Sahara_DZ', status, 'multi-accounting', 'Kaze');
+    });
+
+    it('requires a reason to ban', async () => {
+      jest.spyOn(adminService, 'moderatePlayer');
+
+      const res = await request(app).post('/api/admin/players/Sahara_DZ/ban').set('Authorization', admin).send({}).expect(400);
+
+      expect(res.body.errors).toEqual(['reason is required']);
+      expect(adminService.moderatePlayer).not.toHaveBeenCalled();
+    });
+
+    it('restores a player and logs what was lifted', async () => {
+      jest.spyOn(adminService, 'findPlayer')
+        .mockResolvedValue({ username: 'Sahara_DZ', moderation_status: 'banned', moderation_reason: 'multi-accounting' });
+      jest.spyOn(adminService, 'restorePlayer').mockResolvedValue({ username: 'Sahara_DZ', moderation_status: 'active' });
+
+      await request(app).post('/api/admin/players/sahara_dz/restore').set('Authorization', admin).expect(200);
+
+      expect(adminService.restorePlayer).toHaveBeenCalledWith('Sahara_DZ');
+      expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'player.restore',
+        payload: { previousStatus: 'banned', previousReason: 'multi-accounting' }
+      }));
+    });
+
+    describe('POST /merge', () => {
+      it('is for super admins only', async () => {
+        jest.spyOn(adminService, 'mergePlayers');
+
+        const res = await request(app).post('/api/admin/players/merge').set('Authorization', admin)
+          .send({ source: 'Sahara_old', target: 'Sahara_DZ' }).expect(403);
+
+        expect(res.body.error).toBe('Super admin access required');
+        expect(adminService.mergePlayers).not.toHaveBeenCalled();
+        expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({ action: 'player.merge', status: 403 }));
+      });
+
+      it('merges the source into the target', async () => {
+        jest.spyOn(adminService, 'mergePlayers').mockResolvedValue({ source: 'Sahara_old', target: 'Sahara_DZ', moved: { scores: 14 } });
+
+        const res = await request(app).post('/api/admin/players/merge').set('Authorization', superAdmin)
+          .send({ source: 'Sahara_old', target: 'Sahara_DZ' }).expect(200);
+
+        expect(res.body.data.moved).toEqual({ scores: 14 });
+        expect(adminService.mergePlayers).toHaveBeenCalledWith('Sahara_old', 'Sahara_DZ');
+      });
+
+      it('refuses to merge a player into themselves or into nobody', async () => {
+        jest.spyOn(adminService, 'mergePlayers').mockResolvedValue(null);
+
+        await request(app).post('/api/admin/players/merge').set('Authorization', superAdmin)
+          .send({ source: 'sahara_dz', target: 'Sahara_DZ' }).expect(400);
+        await request(app).post('/api/admin/players/merge').set('Authorization', superAdmin)
+          .send({ source: 'Sahara_old', target: 'Sahara_DZ' }).expect(404);
+        expect(adminService.mergePlayers).toHaveBeenCalledTimes(1);
+      });
+    });
+  });
+
+  describe('beatmaps', () => {
+    it('shows the fetch queue of a mode with its dead letters', async () => {
+      const deadLetter = { beatmapId: 129891, title: 'FREEDOM DiVE', mode: 'osu', attempts: 5, lastError: '502', failedAt: NOW };
+      jest.spyOn(beatmapQueueService, 'getStats').mockResolvedValue({ osu: { pending: 3 }, taiko: { pending: 0 } });
+      jest.spyOn(beatmapQueueService, 'getDeadLetters').mockResolvedValue([deadLetter]);
+
+      const res = await request(app).get('/api/admin/beatmaps/queue').set('Authorization', admin).expect(200);
+
+      expect(res.body).toEqual({ success: true, data: { stats: { pending: 3 }, deadLetters: [deadLetter] }, meta: { mode: 'osu' } });
+    });
+
+    it('retries every dead letter, or only the given beatmaps', async () => {
+      jest.spyOn(beatmapQueueService, 'retryDeadLetters').mockResolvedValue(2);
+
+      await request(app).post('/api/admin/beatmaps/queue/retry?mode=mania').set('Authorization', admin).send({}).expect(200);
+      const res = await request(app).post('/api/admin/beatmaps/queue/retry').set('Authorization', admin)
+        .send({ beatmapIds: [129891, 131891] }).expect(200);
+
+      expect(res.body).toEqual({ success: true, data: { requeued: 2 }, meta: { mode: 'osu' } });
+      expect(beatmapQueueService.retryDeadLetters.mock.calls).toEqual([['mania', null], ['osu', [129891, 131891]]]);
+    });
+
+    it('refreshes a beatmap from osu!', async () => {
+      jest.spyOn(adminService, 'refreshBeatmap').mockResolvedValue({ beatmap_id: 129891, trackedScores: 6 });
+
+      await request(app).post('/api/admin/beatmaps/129891/refresh').set('Authorization', admin).expect(200);
+
+      expect(adminService.refreshBeatmap).toHaveBeenCalledWith(129891, 'osu');
+      expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'beatmap.refresh', target: 129891, payload: { mode: 'osu', trackedScores: 6 }
+      }));
+    });
+
+    it('reports beatmaps osu! does not know', async () => {
+      jest.spyOn(adminService, 'refreshBeatmap').mockResolvedValue(null);
+
+      await request(app).post('/api/admin/beatmaps/999999999/refresh').set('Authorization', admin).expect(404);
+    });
+
+    it('imports a .osu file sent as the raw body or as JSON, logging uploads by size', async () => {
+      const data = { beatmap_id: 129891, file_md5: 'a1b2', classification: 'stream' };
+      jest.spyOn(beatmapAnalysisService, 'importFile').mockResolvedValue(data);
+      const file = 'osu file format v14\n';
+
+      await request(app).post('/api/admin/beatmaps/129891/file').set('Authorization', admin)
+        .set('Content-Type', 'text/plain').send(file).expect(200);
+      await request(app).post('/api/admin/beatmaps/129891/file').set('Authorization', admin).send({ content: file }).expect(200);
+
+      expect(beatmapAnalysisService.importFile.mock.calls).toEqual([
+        [Buffer.from(file), { beatmapId: 129891, source: 'upload' }],
+        [file, { beatmapId: 129891, source: 'upload' }]
+      ]);
+      expect(auditService.record.mock.calls[0][0].payload).toEqual({ md5: 'a1b2', classification: 'stream', bodyBytes: file.length });
+    });
+
+    it('rejects missing and unparseable files', async () => {
+      jest.spyOn(beatmapAnalysisService, 'importFile').mockRejectedValue(new BeatmapParseError('Not a .osu file'));
+
+      await request(app).post('/api/admin/beatmaps/129891/file').set('Authorization', admin).send({}).expect(400);
+      const res = await request(app).post('/api/admin/beatmaps/129891/file').set('Authorization', admin)
+        .set('Content-Type', 'text/plain').send('hello').expect(400);
+
+      expect(res.body).toEqual({ success: false, error: 'Not a .osu file' });
+      expect(console.error).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('jobs', () => {
+    it('lists the jobs', async () => {
+      scheduler.listJobs.mockResolvedValue([job]);
+
+      const res = await request(app).get('/api/admin/jobs').set('Authorization', admin).expect(200);
+
+      expect(res.body).toEqual({ success: true, data: [job] });
+    });
+
+    it('pages through the run history of a job', async () => {
+      scheduler.getJob.mockResolvedValue(job);
+      jest.spyOn(jobRunService, 'getRuns').mockResolvedValue([run]);
+
+      const res = await request(app).get('/api/admin/jobs/daily-stats/runs?status=failure&limit=5').set('Authorization', admin).expect(200);
+
+      expect(res.body.meta).toEqual({ status: 'failure', limit: 5, offset: 0 });
+      expect(jobRunService.getRuns).toHaveBeenCalledWith('daily-stats', { status: 'failure', limit: 5, offset: 0 });
+    });
+
+    it('only shows runs of known jobs', async () => {
+      scheduler.getJob.mockResolvedValue(null);
+
+      await request(app).get('/api/admin/jobs/nope/runs').set('Authorization', admin).expect(404);
+    });
+
+    it('starts a run on behalf of the admin', async () => {
+      scheduler.getJob.mockResolvedValue(job);
+      scheduler.startJobRun.mockResolvedValue({ run });
+
+      const res = await request(app).post('/api/admin/jobs/daily-stats/run').set('Authorization', admin).expect(202);
+
+      expect(res.body.data).toEqual(run);
+      expect(scheduler.startJobRun).toHaveBeenCalledWith('daily-stats', { trigger: 'manual', triggeredBy: 'Kaze' });
+      expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'job.run', target: 'daily-stats', payload: { runId: '41' }
+      }));
+    });
+
+    it('does not start a job that is already running', async () => {
+      scheduler.getJob.mockResolvedValue(job);
+      scheduler.startJobRun.mockResolvedValue(null);
+
+      const res = await request(app).post('/api/admin/jobs/daily-stats/run').set('Authorization', admin).expect(409);
+
+      expect(res.body.error).toBe('Job is already running');
+    });
+
+    it('pauses and resumes a schedule', async () => {
+      scheduler.setJobPaused.mockImplementation(async (name, paused, actor) => ({ ...job, paused, pausedBy: paused ? actor : null }));
+
+      const paused = await request(app).post('/api/admin/jobs/daily-stats/pause').set('Authorization', admin).expect(200);
+      const resumed = await request(app).post('/api/admin/jobs/daily-stats/resume').set('Authorization', admin).expect(200);
+
+      expect(paused.body.data).toMatchObject({ paused: true, pausedBy: 'Kaze' });
+      expect(resumed.body.data).toMatchObject({ paused: false, pausedBy: null });
+      expect(auditService.record.mock.calls.map(([entry]) => entry.action)).toEqual(['job.pause', 'job.resume']);
+    });
+
+    it('cannot pause unknown jobs', async () => {
+      scheduler.setJobPaused.mockResolvedValue(null);
+
+      await request(app).post('/api/admin/jobs/nope/pause').set('Authorization', admin).expect(404);
+    });
+  });
+
+  describe('cache', () => {
+    it('lists the namespaces', async () => {
+      const res = await request(app).get('/api/admin/cache').set('Authorization', admin).expect(200);
+
+      expect(res.body.data).toEqual({ namespaces: CACHE_NAMESPACES });
+    });
+
+    it('clears each requested namespace once', async () => {
+      jest.spyOn(adminService, 'invalidateCacheNamespaces').mockResolvedValue({ rankings: 4, leaderboard: 0 });
+
+      await request(app).post('/api/admin/cache/invalidate').set('Authorization', admin)
+        .send({ namespaces: ['rankings', 'leaderboard', 'rankings'] }).expect(200);
+
+      expect(adminService.invalidateCacheNamespaces).toHaveBeenCalledWith(['rankings', 'leaderboard']);
+    });
+
+    it('only clears known namespaces', async () => {
+      jest.spyOn(adminService, 'invalidateCacheNamespaces');
+
+      await request(app).post('/api/admin/cache/invalidate').set('Authorization', admin).send({ namespaces: ['sessions'] }).expect(400);
+      await request(app).post('/api/admin/cache/invalidate').set('Authorization', admin).send({ namespaces: [] }).expect(400);
+      expect(adminService.invalidateCacheNamespaces).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('audit', () => {
+    const entry = {
+      id: '9', created_at: String(NOW), actor: 'Kaze', action: 'player.ban', target: 'Sahara_DZ',
+      method: 'POST', path: '/api/admin/players/Sahara_DZ/ban', status: 200, ip: '127.0.0.1', payload: null
+    };
+
+    it('searches the log with the given filters', async () => {
+      jest.spyOn(auditService, 'search').mockResolvedValue({ rows: [entry], total: 1 });
+
+      const res = await request(app).get('/api/admin/audit?actor=Kaze&status=failure&from=2026-10-01&to=1792411200000&limit=10')
+        .set('Authorization', admin).expect(200);
+
+      const filters = { actor: 'Kaze', action: undefined, target: undefined, status: 'failure', from: Date.UTC(2026, 9, 1), to: 1792411200000 };
+      expect(auditService.search).toHaveBeenCalledWith({ ...filters, limit: 10, offset: 0 });
+      expect(res.body).toEqual({
+        success: true,
+        data: [entry],
+        meta: { total: 1, limit: 10, offset: 0, filters: { ...filters, action: null, target: null } }
+      });
+    });
+
+    it('rejects dates it cannot read', async () => {
+      jest.spyOn(auditService, 'search');
+
+      await request(app).get('/api/admin/audit?from=yesterday').set('Authorization', admin).expect(400);
+      expect(auditService.search).not.toHaveBeenCalled();
+    });
+
+    it('downloads every matching entry as CSV', async () => {
+      jest.spyOn(auditService, 'search').mockResolvedValue({ rows: [entry], total: 1 });
+
+      const res = await request(app).get('/api/admin/audit?action=player&format=csv').set('Authorization', admin).expect(200);
+
+      expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+      expect(res.headers['content-disposition']).toBe('attachment; filename="admin-audit-2026-10-19.csv"');
+      expect(res.text).toBe(auditService.toCSV([entry]));
+      expect(auditService.search).toHaveBeenCalledWith(expect.objectContaining({ action: 'player', limit: 10000, offset: 0 }));
+    });
+  });
+
+  describe('webhooks', () => {
+    it('lists subscriptions with the events they can subscribe to', async () => {
+      jest.spyOn(webhookService, 'listSubscriptions').mockResolvedValue([webhook]);
+
+      const res = await request(app).get('/api/admin/webhooks').set('Authorization', admin).expect(200);
+
+      expect(res.body).toEqual({ success: true, data: [webhook], meta: { events: WEBHOOK_EVENTS } });
+    });
+
+    it('creates a subscription, returning its secret once', async () => {
+      jest.spyOn(webhookService, 'createSubscription').mockResolvedValue({ ...webhook, secret: 'whsec_123' });
+      const body = { url: webhook.url, events: ['new_scores', 'new_scores'], description: 'Discord relay' };
+
+      const res = await request(app).post('/api/admin/webhooks').set('Authorization', admin).send(body).expect(201);
+
+      expect(res.body.data.secret).toBe('whsec_123');
+      expect(webhookService.createSubscription).toHaveBeenCalledWith(
+        { url: webhook.url, events: ['new_scores'], description: 'Discord relay' }, 'Kaze'
+      );
+      expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({ action: 'webhook.create', target: 3 }));
+    });
+
+    it('validates the url and events', async () => {
+      jest.spyOn(webhookService, 'createSubscription');
+
+      await request(app).post('/api/admin/webhooks').set('Authorization', admin).send({ events: [] }).expect(400);
+      await request(app).post('/api/admin/webhooks').set('Authorization', admin)
+        .send({ url: webhook.url, events: ['player.deleted'] }).expect(400);
+      expect(webhookService.createSubscription).not.toHaveBeenCalled();
+    });
+
+    it('gets, updates and deletes one subscription', async () => {
+      jest.spyOn(webhookService, 'getSubscription').mockResolvedValue(webhook);
+      jest.spyOn(webhookService, 'updateSubscription').mockResolvedValue({ ...webhook, is_active: false });
+      jest.spyOn(webhookService, 'deleteSubscription').mockResolvedValue(true);
+
+      await request(app).get('/api/admin/webhooks/3').set('Authorization', admin).expect(200);
+      await request(app).patch('/api/admin/webhooks/3').set('Authorization', admin).send({ isActive: false }).expect(200);
+      const res = await request(app).delete('/api/admin/webhooks/3').set('Authorization', admin).expect(200);
+
+      expect(res.body).toEqual({ success: true, message: 'Webhook deleted' });
+      expect(webhookService.updateSubscription).toHaveBeenCalledWith(3, {
+        url: undefined, events: undefined, description: undefined, isActive: false, rotateSecret: false
+      });
+      expect(webhookService.deleteSubscription).toHaveBeenCalledWith(3);
+    });
+
+    it('answers 404 for unknown subscriptions', async () => {
+      jest.spyOn(webhookService, 'getSubscription').mockResolvedValue(null);
+      jest.spyOn(webhookService, 'updateSubscription').mockResolvedValue(null);
+      jest.spyOn(webhookService, 'deleteSubscription').mockResolvedValue(false);
+
+      await request(app).get('/api/admin/webhooks/404').set('Authorization', admin).expect(404);
+      await request(app).patch('/api/admin/webhooks/404').set('Authorization', admin).send({ rotateSecret: true }).expect(404);
+      await request(app).delete('/api/admin/webhooks/404').set('Authorization', admin).expect(404);
+      await request(app).get('/api/admin/webhooks/404/deliveries').set('Authorization', admin).expect(404);
+    });
+
+    it('lists the deliveries of a subscription', async () => {
+      jest.spyOn(webhookService, 'getSubscription').mockResolvedValue(webhook);
+      jest.spyOn(webhookService, 'getDeliveries').mockResolvedValue([{ id: 77, status: 'failed' }]);
+
+      const res = await request(app).get('/api/admin/webhooks/3/deliveries?status=failed').set('Authorization', admin).expect(200);
+
+      expect(res.body.meta).toEqual({ subscriptionId: 3, status: 'failed', limit: 50 });
+      expect(webhookService.getDeliveries).toHaveBeenCalledWith(3, { status: 'failed', limit: 50 });
+    });
+
+    it('queues a delivery again and starts sending', async () => {
+      jest.spyOn(webhookService, 'redeliver').mockResolvedValueOnce({ id: 78, status: 'pending' }).mockResolvedValueOnce(null);
+      jest.spyOn(webhookService, 'processDeliveries').mockResolvedValue();
+
+      await request(app).post('/api/admin/webhooks/deliveries/77/redeliver').set('Authorization', admin).expect(202);
+      await request(app).post('/api/admin/webhooks/deliveries/79/redeliver').set('Authorization', admin).expect(404);
+
+      expect(webhookService.redeliver.mock.calls).toEqual([[77], [79]]);
+      expect(webhookService.processDeliveries).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('comments', () => {
+    it('shows the open reports by default', async () => {
+      jest.spyOn(commentService, 'getModerationQueue').mockResolvedValue([{ ...comment, report_count: 3 }]);
+
+      const res = await request(app).get('/api/admin/comments/queue').set('Authorization', admin).expect(200);
+
+      expect(res.body.meta).toEqual({ status: 'open', limit: 50, offset: 0 });
+      expect(commentService.getModerationQueue).toHaveBeenCalledWith({ status: 'open', limit: 50, offset: 0 });
+    });
+
+    it('hides, unhides and dismisses reports as the admin', async () => {
+      jest.spyOn(commentService, 'hide').mockResolvedValue({ ...comment, is_hidden: true });
+      jest.spyOn(commentService, 'unhide').mockResolvedValue(comment);
+      jest.spyOn(commentService, 'dismissReports').mockResolvedValue(2);
+
+      await request(app).post('/api/admin/comments/12/hide').set('Authorization', admin).send({ reason: 'spam' }).expect(200);
+      await request(app).post('/api/admin/comments/12/unhide').set('Authorization', admin).expect(200);
+      const res = await request(app).post('/api/admin/comments/12/dismiss').set('Authorization', admin).expect(200);
+
+      expect(res.body.data).toEqual({ id: 12, dismissed: 2 });
+      expect(commentService.hide).toHaveBeenCalledWith(12, 'Kaze', 'spam');
+      expect(commentService.unhide).toHaveBeenCalledWith(12);
+      expect(commentService.dismissReports).toHaveBeenCalledWith(12, 'Kaze');
+      expect(auditService.record.mock.calls.map(([entry]) => [entry.action, entry.target]))
+        .toEqual([['comment.hide', '12'], ['comment.unhide', '12'], ['comment.dismiss_reports', '12']]);
+    });
+
+    it('answers 404 for unknown comments', async () => {
+      jest.spyOn(commentService, 'hide').mockResolvedValue(null);
+      jest.spyOn(commentService, 'unhide').mockResolvedValue(null);
+
+      await request(app).post('/api/admin/comments/404/hide').set('Authorization', admin).send({}).expect(404);
+      await request(app).post('/api/admin/comments/404/unhide').set('Authorization', admin).expect(404);
+    });
+
+    it('bars a player from commenting and lifts the ban', async () => {
+      jest.spyOn(commentService, 'banCommenter').mockResolvedValue({ username: 'Sahara_DZ', expires_at: null });
+      jest.spyOn(commentService, 'unbanCommenter').mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+      await request(app).post('/api/admin/comments/commenters/Sahara_DZ/ban').set('Authorization', admin)
+        .send({ reason: 'harassment', days: 7 }).expect(200);
+      const res = await request(app).delete('/api/admin/comments/commenters/Sahara_DZ/ban').set('Authorization', admin).expect(200);
+      await request(app).delete('/api/admin/comments/commenters/Sahara_DZ/ban').set('Authorization', admin).expect(404);
+
+      expect(commentService.banCommenter).toHaveBeenCalledWith('Sahara_DZ', 'Kaze', 'harassment', 7);
+      expect(res.body.data).toEqual({ username: 'Sahara_DZ', banned: false });
+    });
+
+    it('passes on failures as a 500', async () => {
+      jest.spyOn(commentService, 'getModerationQueue').mockRejectedValue(new Error('timeout'));
+
+      const res = await request(app).get('/api/admin/comments/queue').set('Authorization', admin).expect(500);
+
+      expect(res.body).toEqual({ success: false, error: 'Internal server error' });
+      expect(console.error).toHaveBeenCalledWith('Comment queue error:', expect.any(Error));
+    });
+  });
+});
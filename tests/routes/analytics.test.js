@@ -0,0 +1,159 @@
+const request = require('supertest');
+
+jest.mock('redis', () => require('../helpers/redis'));
+jest.mock('../../config/db', () => ({
+  query: jest.fn(),
+  getRows: jest.fn(),
+  getRow: jest.fn()
+}));
+
+const db = require('../../config/db');
+const { redisClient } = require('../../config/redis');
+const { answerQueries } = require('../helpers/db');
+const { createApp, watchSchemaDrift } = require('../helpers/app');
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('/api/analytics', () => {
+  const app = createApp('analytics');
+  let schemaDrift;
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate'] });
+    await redisClient.flushAll();
+    schemaDrift = watchSchemaDrift();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    answerQueries(db, []);
+  });
+
+  afterEach(() => {
+    const drift = schemaDrift();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    expect(drift).toEqual([]);
+  });
+
+  describe('GET /overview', () => {
+    it('combines the country totals with its breakdowns', async () => {
+      answerQueries(db, [
+        ['COUNT(DISTINCT username) as total_players', { total_players: '3', total_scores: '7', highest_score: '98211054' }],
+        ['as active_24h', { active_24h: '4' }],
+        ['FROM skill_tracking', [{ skill_type: 'aim', avg_value: '5.5' }]],
+        ['FROM player_stats', [{ username: 'Sahara_DZ', weighted_pp: 6120.4, first_places: 4 }]],
+        ['GROUP BY mods', [{ mods: 'HD', usage_count: '3' }]],
+        ['GROUP BY FLOOR(difficulty_rating)', [{ difficulty_range: '6', score_count: '2' }]]
+      ]);
+
+      const res = await request(app).get('/api/analytics/overview').query({ country: 'ma' }).expect(200);
+
+      expect(res.body.data).toEqual({
+        totalStats: { total_players: '3', total_scores: '7', highest_score: '98211054', active24h: 4 },
+        topPerformers: [{ username: 'Sahara_DZ', weighted_pp: 6120.4, first_places: 4 }],
+        skillDistribution: [{ skill_type: 'aim', avg_value: '5.5' }],
+        modUsage: [{ mods: 'HD', usage_count: '3' }],
+        difficultyDistribution: [{ difficulty_range: '6', score_count: '2' }]
+      });
+      expect(db.getRow).toHaveBeenCalledWith(expect.stringContaining('as active_24h'), ['MA', NOW - DAY]);
+      expect(await redisClient.ttl('analytics:overview:ma')).toBe(900);
+    });
+
+    it('rejects untracked countries and answers 500 when the database fails', async () => {
+      await request(app).get('/api/analytics/overview').query({ country: 'FR' }).expect(400);
+
+      db.getRow.mockRejectedValue(new Error('timeout'));
+      const res = await request(app).get('/api/analytics/overview').expect(500);
+      expect(res.body).toEqual({ success: false, error: 'Failed to fetch analytics data' });
+    });
+  });
+
+  describe('GET /activity-trends', () => {
+    it('covers the requested number of days', async () => {
+      const day = { date: '2026-10-18', active_players: '5', scores_set: '12', avg_accuracy: 0.97, total_pp: 3200.5 };
+      answerQueries(db, [['GROUP BY DATE(to_timestamp', [day]]]);
+
+      const res = await request(app).get('/api/analytics/activity-trends').query({ days: 7 }).expect(200);
+
+      expect(res.body.data).toEqual([day]);
+      expect(db.getRows).toHaveBeenCalledWith(expect.any(String), ['DZ', NOW - 7 * DAY]);
+    });
+
+    it('allows at most a year', async () => {
+      const res = await request(app).get('/api/analytics/activity-trends').query({ days: 400 }).expect(400);
+
+      expect(res.body.errors).toEqual(['days must be at most 365']);
+    });
+  });
+
+  describe('GET /beatmap-popularity', () => {
+    it('lists the most played beatmaps up to the limit', async () => {
+      answerQueries(db, [['COUNT(DISTINCT a.username) as player_count', [{ beatmap_id: '129891', player_count: '6' }]]]);
+
+      const res = await request(app).get('/api/analytics/beatmap-popularity').query({ limit: 5 }).expect(200);
+
+      expect(res.body.data).toEqual([{ beatmap_id: '129891', player_count: '6' }]);
+      expect(db.getRows).toHaveBeenCalledWith(expect.any(String), ['DZ', 5]);
+    });
+  });
+
+  describe('GET /skill-analysis', () => {
+    it('filters by skill when one is given', async () => {
+      await request(app).get('/api/analytics/skill-analysis').expect(200);
+      await request(app).get('/api/analytics/skill-analysis').query({ skill_type: 'aim', days: 14 }).expect(200);
+
+      const [[all, allParams], [aim, aimParams]] = db.getRows.mock.calls;
+      expect(all).not.toContain('skill_type = $3');
+      expect(allParams).toEqual([NOW - 30 * DAY, 'DZ']);
+      expect(aim).toContain('skill_type = $3');
+      expect(aimParams).toEqual([NOW - 14 * DAY, 'DZ', 'aim']);
+    });
+
+    it('rejects unknown skills', async () => {
+      await request(app).get('/api/analytics/skill-analysis').query({ skill_type: 'luck' }).expect(400);
+    });
+  });
+
+  describe('GET /mod-usage', () => {
+    it('splits mod combinations into usage-weighted single mod statistics', async () => {
+      const combined = [
+        { mods: 'HD,DT', usage_count: '3', unique_players: '2', avg_accuracy: '0.96', avg_pp: '400', avg_difficulty: '6.5' },
+        { mods: 'HD', usage_count: '1', unique_players: '1', avg_accuracy: '1', avg_pp: '200', avg_difficulty: '5.5' }
+      ];
+      answerQueries(db, [['GROUP BY mods', combined]]);
+
+      const res = await request(app).get('/api/analytics/mod-usage').expect(200);
+
+      expect(res.body.data.combinedMods).toEqual(combined);
+      expect(res.body.data.individualMods).toEqual([
+        { mod: 'HD', usage_count: 4, avg_accuracy: expect.closeTo(0.97), avg_pp: 350, avg_difficulty: 6.25 },
+        { mod: 'DT', usage_count: 3, avg_accuracy: expect.closeTo(0.96), avg_pp: 400, avg_difficulty: 6.5 }
+      ]);
+    });
+  });
+
+  describe('GET /performance-distribution', () => {
+    it('returns the pp, accuracy and rank ranges of the country', async () => {
+      answerQueries(db, [
+        ['as pp_range', [{ pp_range: '400+ PP', count: '2' }]],
+        ['as accuracy_range', [{ accuracy_range: '98-100%', count: '5' }]],
+        ['as rank_range', [{ rank_range: '#1', count: '4' }]]
+      ]);
+
+      const res = await request(app).get('/api/analytics/performance-distribution').expect(200);
+
+      expect(res.body.data).toEqual({
+        ppDistribution: [{ pp_range: '400+ PP', count: '2' }],
+        accuracyDistribution: [{ accuracy_range: '98-100%', count: '5' }],
+        rankDistribution: [{ rank_range: '#1', count: '4' }]
+      });
+    });
+
+    it('caches each country separately', async () => {
+      await request(app).get('/api/analytics/performance-distribution').expect(200);
+      await request(app).get('/api/analytics/performance-distribution').expect(200);
+      await request(app).get('/api/analytics/performance-distribution').query({ country: 'MA' }).expect(200);
+
+      expect(db.getRows.mock.calls.map(([, params]) => params[0])).toEqual(['DZ', 'DZ', 'DZ', 'MA', 'MA', 'MA']);
+    });
+  });
+});
@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+
+jest.mock('redis', () => require('../helpers/redis'));
+jest.mock('../../config/db', () => ({
+  query: jest.fn(),
+  getRows: jest.fn(),
+  getRow: jest.fn()
+}));
+jest.mock('../../services/osuApi', () => ({
+  ...jest.requireActual('../../services/osuApi'),
+  exchangeAuthorizationCode: jest.fn(),
+  getAuthenticatedUser: jest.fn()
+}));
+
+const db = require('../../config/db');
+const { redisClient } = require('../../config/redis');
+const { config } = require('../../config/env');
+const { exchangeAuthorizationCode, getAuthenticatedUser } = require('../../services/osuApi');
+const { authService } = require('../../services/auth');
+const { answerQueries } = require('../helpers/db');
+const { createApp, signedIn, watchSchemaDrift } = require('../helpers/app');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const osuUser = { id: 4821930, username: 'Sahara_DZ', country: { code: 'DZ' }, statistics: { pp: 6120.4 } };
+const account = { id: 3, osu_user_id: '4821930', username: 'Sahara_DZ', role: 'user' };
+
+describe('/api/auth', () => {
+  const app = createApp('auth');
+  let schemaDrift;
+
+  // Starts a sign-in and returns the state osu! would send back to the callback
+  const startLogin = async (redirect) => {
+    const res = await request(app).get('/api/auth/osu/login').query(redirect ? { redirect } : {}).expect(302);
+    return new URL(res.headers.location).searchParams.get('state');
+  };
+
+  beforeEach(async () => {
+    await redisClient.flushAll();
+    schemaDrift = watchSchemaDrift();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(authService.playerDiscovery, 'registerPlayer').mockResolvedValue();
+    exchangeAuthorizationCode.mockReset().mockResolvedValue({ access_token: 'osu-token' });
+    getAuthenticatedUser.mockReset().mockResolvedValue(osuUser);
+    answerQueries(db, [
+      ['FROM player_stats WHERE user_id', { username: 'Sahara_DZ', moderation_status: null }],
+      ['SELECT role FROM user_accounts', null],
+      ['INSERT INTO user_accounts', account],
+      ['INSERT INTO refresh_tokens', { id: 41 }]
+    ]);
+  });
+
+  afterEach(() => {
+    const drift = schemaDrift();
+    jest.restoreAllMocks();
+    expect(drift).toEqual([]);
+  });
+
+  describe('GET /osu/login', () => {
+    it('redirects to osu! with a single-use state', async () => {
+      const res = await request(app).get('/api/auth/osu/login').expect(302);
+
+      const location = new URL(res.headers.location);
+      expect(`${location.origin}${location.pathname}`).toBe(`${config.OSU_API_BASE_URL}/oauth/authorize`);
+      expect(location.searchParams.get('response_type')).toBe('code');
+      expect(await redisClient.get(`oauth_state:${location.searchParams.get('state')}`)).toBe('{"redirect":null}');
+    });
+
+    it('only returns to same-site paths', async () => {
+      await request(app).get('/api/auth/osu/login').query({ redirect: '//evil.example' }).expect(400);
+      await request(app).get('/api/auth/osu/login').query({ redirect: 'https://evil.example' }).expect(400);
+      expect(await redisClient.keys('*')).toEqual([]);
+    });
+  });
+
+  describe('GET /osu/callback', () => {
+    it('signs the player in and returns a token pair', async () => {
+      const state = await startLogin();
+
+      const res = await request(app).get('/api/auth/osu/callback').query({ code: 'abc', state }).expect(200);
+
+      expect(res.body.data).toEqual({
+        accessToken: expect.any(String),
+        refreshToken: expect.any(String),
+        tokenType: 'Bearer',
+        expiresAt: expect.any(Number),
+        account: { id: 3, osuUserId: 4821930, username: 'Sahara_DZ', role: 'user' }
+      });
+      expect(jwt.verify(res.body.data.accessToken, config.JWT_SECRET)).toMatchObject({ id: 3, username: 'Sahara_DZ', role: 'user' });
+      expect(exchangeAuthorizationCode).toHaveBeenCalledWith('abc');
+      expect(authService.playerDiscovery.registerPlayer).toHaveBeenCalledWith(osuUser, 'oauth_login', 'osu', osuUser.statistics);
+
+      const [, params] = db.getRow.mock.calls.find(([sql]) => sql.includes('INSERT INTO refresh_tokens'));
+      expect(params[1]).toBe(hashToken(res.body.data.refreshToken));
+    });
+
+    it('hands browser sign-ins the tokens in the URL fragment', async () => {
+      const state = await startLogin('/profile');
+
+      const res = await request(app).get('/api/auth/osu/callback').query({ code: 'abc', state }).expect(302);
+
+      const [path, fragment] = res.headers.location.split('#');
+      expect(path).toBe('/profile');
+      expect([...new URLSearchParams(fragment).keys()]).toEqual(['access_token', 'refresh_token', 'expires_at']);
+    });
+
+    it('rejects unknown or reused states', async () => {
+      const state = await startLogin();
+      await request(app).get('/api/auth/osu/callback').query({ code: 'abc', state }).expect(200);
+
+      const res = await request(app).get('/api/auth/osu/callback').query({ code: 'abc', state }).expect(400);
+
+      expect(res.body.error).toBe('Invalid or expired OAuth state');
+      expect(exchangeAuthorizationCode).toHaveBeenCalledTimes(1);
+    });
+
+    it('answers 401 when the player denied access or osu! rejects the code', async () => {
+
+      await request(app).get('/api/auth/osu/callback').query({ error: 'access_denied' }).expect(401);
+
+      exchangeAuthorizationCode.mockRejectedValue(new Error('invalid_grant'));
+      const res = await request(app).get('/api/auth/osu/callback').query({ code: 'abc', state: await startLogin() }).expect(401);
+      expect(res.body).toEqual({ success: false, error: 'osu! did not accept the authorization code' });
+    });
+
+    it('only lets in players from tracked countries who are not banned', async () => {
+      getAuthenticatedUser.mockResolvedValue({ ...osuUser, country: { code: 'FR' } });
+      const foreign = await request(app).get('/api/auth/osu/callback').query({ code: 'abc', state: await startLogin() }).expect(403);
+      expect(foreign.body.error).toBe('Only players from tracked countries can sign in');
+
+      getAuthenticatedUser.mockResolvedValue(osuUser);
+      db.getRow.mockImplementation(async (sql) =>
+        (sql.includes('FROM player_stats') ? { username: 'Sahara_DZ', moderation_status: 'banned' } : undefined));
+      const banned = await request(app).get('/api/auth/osu/callback').query({ code: 'abc', state: await startLogin() }).expect(403);
+      expect(banned.body.error).toBe('This player is banned');
+    });
+  });
+
+  describe('POST /refresh', () => {
+    const stored = { id: 40, account_id: 3, expires_at: Date.now() + 60000 };
+
+    it('rotates the refresh token', async () => {
+      answerQueries(db, [
+        ['SELECT * FROM refresh_tokens', (params) => (params[0] === hashToken('old-token') ? stored : null)],
+        ['UPDATE refresh_tokens SET revoked_at', { id: 40 }],
+        ['SELECT * FROM user_accounts', account],
+        ['INSERT INTO refresh_tokens', { id: 41 }]
+      ]);
+
+      const res = await request(app).post('/api/auth/refresh').send({ refreshToken: 'old-token' }).expect(200);
+
+      expect(res.body.data.refreshToken).not.toBe('old-token');
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('SET replaced_by'), [40, 41]);
+    });
+
+    it('revokes every session when a rotated token is presented again', async () => {
+      answerQueries(db, [['SELECT * FROM refresh_tokens', stored]]);
+
+      const res = await request(app).post('/api/auth/refresh').send({ refreshToken: 'old-token' }).expect(401);
+
+      expect(res.body.error).toBe('Refresh token has been revoked');
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('WHERE account_id = $1'), [3, expect.any(Number)]);
+    });
+
+    it('rejects missing, unknown and expired tokens', async () => {
+      await request(app).post('/api/auth/refresh').send({}).expect(400);
+      await request(app).post('/api/auth/refresh').send({ refreshToken: 'unknown' }).expect(401);
+
+      answerQueries(db, [['SELECT * FROM refresh_tokens', { ...stored, expires_at: Date.now() - 1 }]]);
+      const res = await request(app).post('/api/auth/refresh').send({ refreshToken: 'old-token' }).expect(401);
+      expect(res.body.error).toBe('Refresh token has expired');
+    });
+  });
+
+  describe('POST /logout', () => {
+    it('revokes the given refresh token', async () => {
+      answerQueries(db, [['UPDATE refresh_tokens', { id: 40 }]]);
+
+      const res = await request(app).post('/api/auth/logout').send({ refreshToken: 'old-token' }).expect(200);
+
+      expect(res.body).toEqual({ success: true, data: { revoked: 1 } });
+      expect(db.query).toHaveBeenCalledWith(expect.any(String), [hashToken('old-token'), expect.any(Number)]);
+    });
+
+    it('revokes every session of the signed-in account with all: true', async () => {
+      answerQueries(db, [['UPDATE refresh_tokens', [{ id: 40 }, { id: 41 }]]]);
+
+      await request(app).post('/api/auth/logout').send({ all: true }).expect(401);
+      const res = await request(app).post('/api/auth/logout').set('Authorization', signedIn({ id: 3 })).send({ all: true }).expect(200);
+
+      expect(res.body.data).toEqual({ revoked: 2 });
+    });
+  });
+
+  describe('GET /me', () => {
+    it('returns the account with its player profile', async () => {
+      const me = { ...account, created_at: '1792411200000', last_login_at: '1792411200000', country: 'DZ', weighted_pp: 6120.4, global_rank: 15230 };
+      answerQueries(db, [['FROM user_accounts ua', (params) => (params[0] === 3 ? me : null)]]);
+
+      const res = await request(app).get('/api/auth/me').set('Authorization', signedIn({ id: 3 })).expect(200);
+      expect(res.body).toEqual({ success: true, data: me });
+
+      await request(app).get('/api/auth/me').set('Authorization', signedIn({ id: 4 })).expect(404);
+      await request(app).get('/api/auth/me').expect(401);
+    });
+  });
+});
@@ -0,0 +1,200 @@
+const request = require('supertest');
+
+jest.mock('redis', () => require('../helpers/redis'));
+jest.mock('../../config/db', () => ({
+  query: jest.fn(),
+  getRows: jest.fn(),
+  getRow: jest.fn()
+}));
+jest.mock('../../services/osuApi', () => ({
+  ...jest.requireActual('../../services/osuApi'),
+  getBeatmap: jest.fn()
+}));
+
+const db = require('../../config/db');
+const { redisClient } = require('../../config/redis');
+const { getBeatmap } = require('../../services/osuApi');
+const { leaderboardService } = require('../../services/leaderboard');
+const { answerQueries } = require('../helpers/db');
+const { createApp, watchSchemaDrift } = require('../helpers/app');
+
+const beatmap = {
+  beatmap_id: '129891',
+  artist: 'xi',
+  title: 'FREEDOM DiVE',
+  version: 'FOUR DIMENSIONS',
+  difficulty_rating: 7.07,
+  cs: 4, ar: 10, od: 8, hp: 6,
+  max_combo: 2385,
+  count_circles: 1398,
+  count_sliders: 492,
+  count_spinners: 2
+};
+
+// A short jump map: 40 circles at 200 BPM
+const osuFile = [
+  'osu file format v14', '',
+  '[General]', 'Mode: 0', '',
+  '[Metadata]', 'Title:Short Jumps', 'Artist:Someone', 'Version:Insane', 'BeatmapID:4242', '',
+  '[Difficulty]', 'HPDrainRate:5', 'CircleSize:4', 'OverallDifficulty:8', 'ApproachRate:9', 'SliderMultiplier:1.4', 'SliderTickRate:1', '',
+  '[TimingPoints]', '0,300,4,2,0,100,1,0', '',
+  '[HitObjects]',
+  ...Array.from({ length: 40 }, (_, i) => `${(i * 97) % 512},${(i * 53) % 384},${1000 + i * 150},1,0,0:0:0:0:`)
+].join('\n');
+
+describe('/api/beatmaps', () => {
+  const app = createApp('beatmaps');
+  let schemaDrift;
+
+  beforeEach(async () => {
+    await redisClient.flushAll();
+    schemaDrift = watchSchemaDrift();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    getBeatmap.mockReset();
+    answerQueries(db, [['FROM beatmap_metadata bm', beatmap]]);
+  });
+
+  afterEach(() => {
+    const drift = schemaDrift();
+    jest.restoreAllMocks();
+    expect(drift).toEqual([]);
+  });
+
+  describe('GET /:beatmapId/pp', () => {
+    it('gives pp for the default accuracies, rising with accuracy', async () => {
+      const res = await request(app).get('/api/beatmaps/129891/pp').expect(200);
+
+      expect(res.body.data.map(row => row.accuracy)).toEqual([95, 97, 98, 99, 100]);
+      const pp = res.body.data.map(row => row.pp);
+      expect(pp).toEqual([...pp].sort((a, b) => a - b));
+      expect(res.body.meta).toMatchObject({
+        beatmapId: 129891,
+        title: 'xi - FREEDOM DiVE [FOUR DIMENSIONS]',
+        mode: 'osu',
+        misses: 0,
+        maxCombo: 2385,
+        starRating: 7.07
+      });
+    });
+
+    it('applies accuracy, mods and misses', async () => {
+      const nomod = await request(app).get('/api/beatmaps/129891/pp').query({ acc: 98 }).expect(200);
+      const hddt = await request(app).get('/api/beatmaps/129891/pp').query({ acc: 98, mods: 'HDDT' }).expect(200);
+      const misses = await request(app).get('/api/beatmaps/129891/pp').query({ acc: 98, misses: 5 }).expect(200);
+
+      expect(hddt.body.data[0].pp).toBeGreaterThan(nomod.body.data[0].pp);
+      expect(misses.body.data[0].pp).toBeLessThan(nomod.body.data[0].pp);
+      expect(hddt.body.meta.mods).toEqual(['HD', 'DT']);
+    });
+
+    it('caches the beatmap after the first request', async () => {
+      await request(app).get('/api/beatmaps/129891/pp').expect(200);
+      await request(app).get('/api/beatmaps/129891/pp').query({ acc: 99 }).expect(200);
+
+      expect(db.getRow).toHaveBeenCalledTimes(1);
+      expect(await redisClient.exists('beatmap:129891')).toBe(1);
+    });
+
+    it('fetches and stores beatmaps it has not seen', async () => {
+      let stored = false;
+      answerQueries(db, [['FROM beatmap_metadata bm', () => (stored ? beatmap : null)]]);
+      getBeatmap.mockResolvedValue({ id: 129891 });
+      jest.spyOn(leaderboardService, 'saveBeatmapMetadata').mockImplementation(async () => { stored = true; });
+
+      await request(app).get('/api/beatmaps/129891/pp').expect(200);
+
+      expect(getBeatmap).toHaveBeenCalledWith('129891');
+      expect(leaderboardService.saveBeatmapMetadata).toHaveBeenCalledWith({ id: 129891 });
+    });
+
+    it('answers 404 for beatmaps osu! does not know', async () => {
+      answerQueries(db, []);
+      getBeatmap.mockRejectedValue(Object.assign(new Error('Not Found'), { response: { status: 404 } }));
+
+      const res = await request(app).get('/api/beatmaps/999999999/pp').expect(404);
+
+      expect(res.body).toEqual({ success: false, error: 'Beatmap not found' });
+    });
+
+    it('rejects other modes, unranked mods and invalid parameters', async () => {
+      await request(app).get('/api/beatmaps/129891/pp').query({ mode: 'taiko' }).expect(400);
+
+      const relax = await request(app).get('/api/beatmaps/129891/pp').query({ mods: 'RX' }).expect(400);
+      expect(relax.body.error).toBe('pp is not awarded with these mods');
+
+      const invalid = await request(app).get('/api/beatmaps/0/pp').query({ acc: 101, misses: -1 }).expect(400);
+      expect(invalid.body.errors).toEqual([
+        'beatmapId must be at least 1',
+        'acc must be at most 100',
+        'misses must be at least 0'
+      ]);
+    });
+  });
+
+  describe('POST /analyze', () => {
+    it('analyses a raw .osu upload', async () => {
+      const res = await request(app)
+        .post('/api/beatmaps/analyze')
+        .query({ mods: 'HD' })
+        .set('Content-Type', 'text/plain')
+        .send(osuFile)
+        .expect(200);
+
+      expect(res.body.data).toMatchObject({
+        md5: expect.stringMatching(/^[0-9a-f]{32}$/),
+        metadata: { title: 'Short Jumps', version: 'Insane', beatmapId: 4242 },
+        attributes: { mode: 'osu', mods: ['HD'], maxCombo: 40, countCircles: 40, countSliders: 0 },
+        ssPP: expect.any(Number)
+      });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('accepts the file text as JSON content', async () => {
+      const res = await request(app).post('/api/beatmaps/analyze').send({ content: osuFile }).expect(200);
+
+      expect(res.body.data.attributes.countCircles).toBe(40);
+    });
+
+    it('answers 400 for missing or unreadable files', async () => {
+      await request(app).post('/api/beatmaps/analyze').send({}).expect(400);
+
+      const res = await request(app).post('/api/beatmaps/analyze').set('Content-Type', 'text/plain').send('not a beatmap').expect(400);
+      expect(res.body.error).toBe('Not an .osu file (missing "osu file format" header)');
+    });
+
+    it('answers 400 for files too large to analyse', async () => {
+      const circles = Array.from({ length: 20001 }, (_, i) => `256,192,${i},1,0`);
+
+      const res = await request(app).post('/api/beatmaps/analyze').send({ content: `${osuFile}\n${circles.join('\n')}` }).expect(400);
+      expect(res.body.error).toBe('Beatmap has more than 20000 hit objects');
+    });
+
+    // Runs last: the heavy request limit is shared by every analysis in this file
+    it('limits how often a client can ask for analyses', async () => {
+      let res;
+      for (let i = 0; i < 11 && res?.status !== 429; i++) {
+        res = await request(app).post('/api/beatmaps/analyze').send({ content: osuFile });
+      }
+
+      expect(res.status).toBe(429);
+      expect(res.body).toEqual({ success: false, error: 'Too many resource-intensive requests' });
+    });
+  });
+
+  describe('GET /:beatmapId/attributes', () => {
+    it('returns the stored attributes', async () => {
+      const attributes = { beatmap_id: '129891', aim_difficulty: 3.4, speed_difficulty: 3.1, classification: 'stream' };
+      answerQueries(db, [['FROM beatmap_attributes', attributes]]);
+
+      const res = await request(app).get('/api/beatmaps/129891/attributes').expect(200);
+
+      expect(res.body).toEqual({ success: true, data: attributes });
+    });
+
+    it('answers 404 for beatmaps that were never analysed', async () => {
+      answerQueries(db, []);
+
+      await request(app).get('/api/beatmaps/129891/attributes').expect(404);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+const request = require('supertest');
+
+jest.mock('redis', () => require('../helpers/redis'));
+jest.mock('../../services/comments', () => ({
+  ...jest.requireActual('../../services/comments'),
+  commentService: { update: jest.fn(), remove: jest.fn(), report: jest.fn() }
+}));
+
+const { commentService, CommentError } = require('../../services/comments');
+const { createApp, signedIn, watchSchemaDrift } = require('../helpers/app');
+
+const comment = {
+  id: 12,
+  target_username: 'AtlasFC',
+  commenter_username: 'Sahara_DZ',
+  comment_text: 'gg on the #1',
+  created_at: '1792411200000',
+  updated_at: '1792414800000',
+  commenter_avatar_url: null
+};
+
+describe('/api/comments', () => {
+  const app = createApp('comments');
+  const auth = signedIn({ username: 'Sahara_DZ' });
+  let schemaDrift;
+
+  beforeEach(() => {
+    schemaDrift = watchSchemaDrift();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    Object.values(commentService).forEach(fn => fn.mockReset());
+  });
+
+  afterEach(() => {
+    const drift = schemaDrift();
+    jest.restoreAllMocks();
+    expect(drift).toEqual([]);
+  });
+
+  it('requires a signed-in account linked to a player', async () => {
+    await request(app).patch('/api/comments/12').send({ text: 'edited' }).expect(401);
+    await request(app).delete('/api/comments/12').set('Authorization', signedIn()).expect(403);
+  });
+
+  describe('PATCH /:id', () => {
+    it('edits the comment as the signed-in player', async () => {
+      commentService.update.mockResolvedValue(comment);
+
+      const res = await request(app).patch('/api/comments/12').set('Authorization', auth).send({ text: 'gg on the #1' }).expect(200);
+
+      expect(res.body).toEqual({ success: true, data: comment });
+      expect(commentService.update).toHaveBeenCalledWith(12, 'Sahara_DZ', 'gg on the #1');
+    });
+
+    it('validates the id and the text', async () => {
+      const res = await request(app).patch('/api/comments/abc').set('Authorization', auth).send({}).expect(400);
+
+      expect(res.body.errors).toEqual(['id must be an integer', 'text is required']);
+      expect(commentService.update).not.toHaveBeenCalled();
+    });
+
+    it('passes on the status of comment errors', async () => {
+      commentService.update.mockRejectedValue(new CommentError('Comment not found', 404));
+
+      const res = await request(app).patch('/api/comments/12').set('Authorization', auth).send({ text: 'edited' }).expect(404);
+
+      expect(res.body).toEqual({ success: false, error: 'Comment not found' });
+      expect(console.error).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /:id', () => {
+    it('removes the comment on behalf of the signed-in account', async () => {
+      commentService.remove.mockResolvedValue({ id: 12, deleted: true });
+
+      const res = await request(app).delete('/api/comments/12').set('Authorization', auth).expect(200);
+
+      expect(res.body).toEqual({ success: true, data: { id: 12, deleted: true } });
+      expect(commentService.remove).toHaveBeenCalledWith(12, expect.objectContaining({ username: 'Sahara_DZ', role: 'user' }));
+    });
+
+    it('answers 500 for unexpected failures', async () => {
+      commentService.remove.mockRejectedValue(new Error('timeout'));
+
+      await request(app).delete('/api/comments/12').set('Authorization', auth).expect(500);
+
+      expect(console.error).toHaveBeenCalledWith('Comment delete error:', expect.any(Error));
+    });
+  });
+
+  describe('POST /:id/report', () => {
+    it('answers 201 for a new report and 200 for a repeated one', async () => {
+      commentService.report.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+      const first = await request(app).post('/api/comments/12/report').set('Authorization', auth).send({ reason: '  spam  ' }).expect(201);
+      await request(app).post('/api/comments/12/report').set('Authorization', auth).send({}).expect(200);
+
+      expect(first.body).toEqual({ success: true, data: { id: 12, reported: true } });
+      expect(commentService.report.mock.calls).toEqual([[12, 'Sahara_DZ', 'spam'], [12, 'Sahara_DZ', null]]);
+    });
+
+    it('rejects reasons that are too long', async () => {
+      await request(app).post('/api/comments/12/report').set('Authorization', auth).send({ reason: 'x'.repeat(501) }).expect(400);
+
+      expect(commentService.report).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,161 @@
+const request = require('supertest');
+
+jest.mock('redis', () => require('../helpers/redis'));
+jest.mock('../../config/db', () => ({
+  query: jest.fn(),
+  getRows: jest.fn(),
+  getRow: jest.fn()
+}));
+
+const db = require('../../config/db');
+const { redisClient } = require('../../config/redis');
+const { answerQueries } = require('../helpers/db');
+const { createApp, watchSchemaDrift } = require('../helpers/app');
+
+const players = {
+  Sahara_DZ: { username: 'Sahara_DZ', total_pp: 24000, weighted_pp: 6120.4, accuracy_avg: 0.97, first_places: 4, total_scores: 30, avg_rank: 3.5 },
+  AtlasFC: { username: 'AtlasFC', total_pp: 20000, weighted_pp: 5800, accuracy_avg: 0.985, first_places: 6, total_scores: 25, avg_rank: 2.5 },
+  Tlemcen: { username: 'Tlemcen', total_pp: 9000, weighted_pp: 3100, accuracy_avg: 0.95, first_places: 0, total_scores: 12, avg_rank: 20 }
+};
+
+const nameOf = (pattern) => pattern.replace(/%/g, '');
+
+const score = (username, overrides = {}) => ({
+  beatmap_id: '129891', username, rank: 1, score: '98211054', accuracy: 0.99, pp: 512.3, mods: 'HD', country: 'DZ', mode: 'osu', ...overrides
+});
+
+describe('/api/compare', () => {
+  const app = createApp('compare');
+  let schemaDrift;
+
+  beforeEach(async () => {
+    await redisClient.flushAll();
+    schemaDrift = watchSchemaDrift();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    answerQueries(db, [
+      ['FROM player_stats', ([pattern]) => players[nameOf(pattern)]],
+      ['FROM skill_tracking', ([pattern]) => (nameOf(pattern) === 'Sahara_DZ'
+        ? [{ skill_type: 'aim', avg_skill: '6.5' }, { skill_type: 'speed', avg_skill: '5.25' }]
+        : [{ skill_type: 'aim', avg_skill: '5.5' }])],
+      ['FROM player_achievements', ([pattern]) => ({ achievement_count: nameOf(pattern) === 'Sahara_DZ' ? '7' : '3' })],
+      ['INNER JOIN algeria_top50 p2', ([first, second]) => [
+        { beatmap_id: '129891', winner: first },
+        { beatmap_id: '131891', winner: second },
+        { beatmap_id: '75', winner: first }
+      ]],
+      ['FROM algeria_top50', []]
+    ]);
+  });
+
+  afterEach(() => {
+    const drift = schemaDrift();
+    jest.restoreAllMocks();
+    expect(drift).toEqual([]);
+  });
+
+  describe('GET /:username1/:username2', () => {
+    it('compares statistics, skills and shared beatmaps', async () => {
+      const res = await request(app).get('/api/compare/Sahara_DZ/AtlasFC').expect(200);
+      const { data } = res.body;
+
+      expect(data.player1).toMatchObject({ username: 'Sahara_DZ', achievementCount: '7', topScores: [] });
+      expect(data.player2.achievementCount).toBe('3');
+      expect(data.skillComparison.aim).toEqual({ player1: 6.5, player2: 5.5, difference: 1 });
+      expect(data.skillComparison.speed).toEqual({ player1: 5.25, player2: 0, difference: 5.25 });
+      expect(data.headToHead).toMatchObject({ totalMaps: 3, player1Wins: 2, player2Wins: 1 });
+      expect(data.statComparison.totalPP).toEqual({ player1: 24000, player2: 20000, difference: 4000, percentDiff: 20 });
+      expect(data.statComparison.firstPlaces.difference).toBe(-2);
+    });
+
+    it('serves repeated comparisons from the cache', async () => {
+      await request(app).get('/api/compare/Sahara_DZ/AtlasFC').expect(200);
+      const calls = db.getRow.mock.calls.length;
+
+      await request(app).get('/api/compare/Sahara_DZ/AtlasFC').expect(200);
+
+      expect(db.getRow.mock.calls.length).toBe(calls);
+    });
+
+    it('answers 404 when either player is unknown', async () => {
+      const res = await request(app).get('/api/compare/Sahara_DZ/Nobody').expect(404);
+
+      expect(res.body).toEqual({ success: false, error: 'One or both players not found' });
+    });
+
+    it('rejects invalid usernames and untracked countries', async () => {
+      await request(app).get('/api/compare/S/AtlasFC').expect(400);
+      await request(app).get('/api/compare/Sahara_DZ/AtlasFC').query({ country: 'FR' }).expect(400);
+    });
+
+    it('answers 500 when the database fails', async () => {
+      db.getRow.mockRejectedValue(new Error('timeout'));
+
+      const res = await request(app).get('/api/compare/Sahara_DZ/AtlasFC').expect(500);
+
+      expect(res.body).toEqual({ success: false, error: 'Failed to compare players' });
+    });
+  });
+
+  describe('POST /multiple', () => {
+    it('ranks two to four players against each other', async () => {
+      const res = await request(app)
+        .post('/api/compare/multiple')
+        .send({ usernames: ['Tlemcen', 'Sahara_DZ', 'AtlasFC'] })
+        .expect(200);
+
+      const { players: compared, rankings } = res.body.data;
+      expect(compared.map(p => p.username).sort()).toEqual(['AtlasFC', 'Sahara_DZ', 'Tlemcen']);
+      expect(compared.find(p => p.username === 'Sahara_DZ').skills).toEqual({ aim: 6.5, speed: 5.25 });
+      expect(rankings.byWeightedPP.map(p => p.username)).toEqual(['Sahara_DZ', 'AtlasFC', 'Tlemcen']);
+      expect(rankings.byAccuracy.map(p => p.username)).toEqual(['AtlasFC', 'Sahara_DZ', 'Tlemcen']);
+      expect(rankings.byFirstPlaces[0].username).toBe('AtlasFC');
+    });
+
+    it('needs two to four valid usernames', async () => {
+      await request(app).post('/api/compare/multiple').send({ usernames: ['Sahara_DZ'] }).expect(400);
+      await request(app).post('/api/compare/multiple').send({ usernames: ['a1', 'b2', 'c3', 'd4', 'e5'] }).expect(400);
+
+      const res = await request(app).post('/api/compare/multiple').send({}).expect(400);
+      expect(res.body.errors).toEqual(['usernames is required']);
+    });
+
+    it('names the players it could not find', async () => {
+
+      const res = await request(app).post('/api/compare/multiple').send({ usernames: ['Sahara_DZ', 'Nobody'] }).expect(500);
+
+      expect(res.body).toEqual({ success: false, error: 'Players not found: Nobody' });
+    });
+  });
+
+  describe('GET /beatmap/:beatmapId/:username1/:username2', () => {
+    it("compares both players' scores against the country leaderboard", async () => {
+      const leaderboard = [score('Sahara_DZ'), score('AtlasFC', { rank: 2, score: '97000000', accuracy: 0.98, pp: 490 })];
+      answerQueries(db, [
+        ['AND username ILIKE', ([, pattern]) => leaderboard.find(row => row.username === nameOf(pattern))],
+        ['AND country = $2', (params) => (params[1] === 'MA' ? [] : leaderboard)]
+      ]);
+
+      const res = await request(app).get('/api/compare/beatmap/129891/Sahara_DZ/AtlasFC').expect(200);
+
+      expect(res.body.data).toMatchObject({
+        hasScores: true,
+        player1Score: { username: 'Sahara_DZ' },
+        player2Score: { username: 'AtlasFC' },
+        comparison: { scoreDiff: 1211054, rankDiff: -1, winner: 'Sahara_DZ' }
+      });
+      expect(res.body.data.comparison.ppDiff).toBeCloseTo(22.3);
+      expect(res.body.data.leaderboard).toHaveLength(2);
+
+      const morocco = await request(app).get('/api/compare/beatmap/129891/Sahara_DZ/AtlasFC').query({ country: 'ma' }).expect(200);
+      expect(morocco.body.data.leaderboard).toEqual([]);
+    });
+
+    it('says so when neither player has played the beatmap', async () => {
+      answerQueries(db, []);
+
+      const res = await request(app).get('/api/compare/beatmap/129891/Sahara_DZ/AtlasFC').expect(200);
+
+      expect(res.body.data).toEqual({ hasScores: false, message: 'Neither player has played this beatmap' });
+    });
+  });
+});
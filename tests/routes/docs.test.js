@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+
+jest.mock('redis', () => require('../helpers/redis'));
+jest.mock('../../config/db', () => ({
+  query: jest.fn(),
+  getRows: jest.fn(),
+  getRow: jest.fn(),
+  pool: { connect: jest.fn() }
+}));
+
+const { createApp } = require('../helpers/app');
+
+const ROUTES = fs.readdirSync(path.join(__dirname, '../../routes'))
+  .filter(file => file.endsWith('.js'))
+  .map(file => file.replace('.js', ''));
+
+describe('/api/docs', () => {
+  const app = createApp(...ROUTES);
+
+  it('serves the interactive documentation pointing at the OpenAPI document', async () => {
+    const res = await request(app).get('/api/docs').expect(200).expect('Content-Type', /html/);
+
+    expect(res.text).toContain("url: '/api/docs/openapi.json'");
+  });
+
+  it('documents every mounted route', async () => {
+    const { body: spec } = await request(app).get('/api/docs/openapi.json').expect(200);
+
+    expect(spec.openapi).toMatch(/^3\./);
+    const operations = Object.entries(spec.paths).flatMap(([route, methods]) =>
+      Object.keys(methods).map(method => `${method.toUpperCase()} ${route}`));
+
+    expect(operations).toEqual(expect.arrayContaining([
+      'GET /api/health',
+      'GET /api/players/{username}',
+      'POST /api/admin/jobs/{name}/run',
+      'GET /api/leaderboards/beatmap/{beatmapId}',
+      'POST /api/replays'
+    ]));
+    ROUTES.forEach(name => {
+      expect(operations.some(operation => operation.includes(` /api/${name}`))).toBe(true);
+    });
+    Object.values(spec.paths).forEach(methods => Object.values(methods).forEach(operation => {
+      expect(operation.summary).toEqual(expect.any(String));
+      expect(operation.responses).toEqual(expect.any(Object));
+    }));
+  });
+});
@@ -0,0 +1,92 @@
+const request = require('supertest');
+
+jest.mock('redis', () => require('../helpers/redis'));
+jest.mock('../../services/feed', () => ({
+  ...jest.requireActual('../../services/feed'),
+  feedService: { getFeed: jest.fn() }
+}));
+
+const { feedService } = require('../../services/feed');
+const { encodeCursor } = require('../../middleware/pagination');
+const { createApp, signedIn, watchSchemaDrift } = require('../helpers/app');
+
+const lastPage = { items: [], hasMore: false, nextCursor: null, prevCursor: null };
+
+describe('/api/feed', () => {
+  const app = createApp('feed');
+  let schemaDrift;
+
+  beforeEach(() => {
+    schemaDrift = watchSchemaDrift();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    feedService.getFeed.mockReset().mockResolvedValue(lastPage);
+  });
+
+  afterEach(() => {
+    const drift = schemaDrift();
+    jest.restoreAllMocks();
+    expect(drift).toEqual([]);
+  });
+
+  it('requires a signed-in account linked to a player', async () => {
+    await request(app).get('/api/feed').expect(401);
+
+    const res = await request(app).get('/api/feed').set('Authorization', signedIn()).expect(403);
+    expect(res.body).toEqual({ success: false, error: 'This account is not linked to a player' });
+  });
+
+  it('pages through the feed of the signed-in player', async () => {
+    const auth = signedIn({ username: 'Sahara_DZ' });
+    const item = { key: 'activity:7', type: 'first_place', username: 'AtlasFC', occurred_at: '1792411200000' };
+    // Cursors point at the last item of the page, for the list they were handed out for
+    feedService.getFeed.mockImplementation(async (username, page) => ({
+      items: [item],
+      hasMore: true,
+      nextCursor: encodeCursor({ f: page.fingerprint, k: [item.occurred_at, item.key] }),
+      prevCursor: null
+    }));
+    const first = await request(app).get('/api/feed').query({ limit: 10 }).set('Authorization', auth).expect(200);
+
+    feedService.getFeed.mockResolvedValue(lastPage);
+    const res = await request(app).get('/api/feed').query({ limit: 10, cursor: first.body.meta.nextCursor }).set('Authorization', auth).expect(200);
+
+    expect(first.body).toEqual({
+      success: true,
+      data: [item],
+      meta: { username: 'Sahara_DZ', limit: 10, hasMore: true, nextCursor: first.body.meta.nextCursor, prevCursor: null }
+    });
+    expect(res.body.meta).toEqual({ username: 'Sahara_DZ', limit: 10, hasMore: false, nextCursor: null, prevCursor: null });
+    expect(feedService.getFeed).toHaveBeenLastCalledWith('Sahara_DZ', expect.objectContaining({
+      limit: 10,
+      cursor: { key: ['1792411200000', 'activity:7'], rank: null, backward: false }
+    }));
+  });
+
+  it('starts from the newest activity without a cursor', async () => {
+    await request(app).get('/api/feed').set('Authorization', signedIn({ username: 'Sahara_DZ' })).expect(200);
+
+    expect(feedService.getFeed).toHaveBeenCalledWith('Sahara_DZ', expect.objectContaining({ limit: 30, cursor: null }));
+  });
+
+  it('rejects malformed cursors and limits', async () => {
+    const auth = signedIn({ username: 'Sahara_DZ' });
+
+    const cursor = await request(app).get('/api/feed').query({ cursor: 'not-a-cursor' }).set('Authorization', auth).expect(400);
+    expect(cursor.body).toEqual({ success: false, error: 'Invalid cursor' });
+    // Cursors of other lists, like the old { t, id } ones, are refused too
+    await request(app).get('/api/feed').query({ cursor: encodeCursor({ t: 1792411200000, id: 7 }) }).set('Authorization', auth).expect(400);
+
+    const limit = await request(app).get('/api/feed').query({ limit: 500 }).set('Authorization', auth).expect(400);
+    expect(limit.body).toEqual({ success: false, error: 'Limit must be between 1 and 100' });
+    expect(feedService.getFeed).not.toHaveBeenCalled();
+  });
+
+  it('answers 500 when the feed cannot be built', async () => {
+    feedService.getFeed.mockRejectedValue(new Error('timeout'));
+
+    const res = await request(app).get('/api/feed').set('Authorization', signedIn({ username: 'Sahara_DZ' })).expect(500);
+
+    expect(res.body).toEqual({ success: false, error: 'Internal server error' });
+    expect(console.error).toHaveBeenCalledWith('Feed error:', expect.any(Error));
+  });
+});
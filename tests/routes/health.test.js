@@ -0,0 +1,90 @@
+const request = require('supertest');
+
+jest.mock('redis', () => require('../helpers/redis'));
+jest.mock('../../config/db', () => ({
+  query: jest.fn(),
+  getRows: jest.fn(),
+  getRow: jest.fn(),
+  testConnection: jest.fn()
+}));
+jest.mock('../../services/osuApi', () => ({
+  ...jest.requireActual('../../services/osuApi'),
+  testApiConnection: jest.fn()
+}));
+
+const { testConnection } = require('../../config/db');
+const { redisClient } = require('../../config/redis');
+const { testApiConnection } = require('../../services/osuApi');
+const { createApp, watchSchemaDrift } = require('../helpers/app');
+
+describe('/api/health', () => {
+  const app = createApp('health');
+  let schemaDrift;
+
+  beforeEach(async () => {
+    await redisClient.flushAll();
+    schemaDrift = watchSchemaDrift();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    testConnection.mockReset().mockResolvedValue(true);
+    testApiConnection.mockReset().mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    const drift = schemaDrift();
+    jest.restoreAllMocks();
+    expect(drift).toEqual([]);
+  });
+
+  describe('GET /', () => {
+    it('reports every service connected', async () => {
+      const res = await request(app).get('/api/health').expect(200);
+
+      expect(res.body).toMatchObject({
+        status: 'healthy',
+        services: { database: 'connected', redis: 'connected', osuApi: 'connected' }
+      });
+    });
+
+    it('answers 503 when a service is down', async () => {
+      testConnection.mockResolvedValue(false);
+
+      const res = await request(app).get('/api/health').expect(503);
+
+      expect(res.body.status).toBe('unhealthy');
+      expect(res.body.services).toEqual({ database: 'disconnected', redis: 'connected', osuApi: 'connected' });
+    });
+  });
+
+  describe('GET /detailed', () => {
+    it('includes response times, queue depths and osu! API metrics', async () => {
+      await redisClient.zAdd('beatmap_queue:osu:pending', [{ score: 1, value: '129891' }, { score: 2, value: '131891' }]);
+
+      const res = await request(app).get('/api/health/detailed').expect(200);
+
+      expect(res.body.status).toBe('healthy');
+      expect(res.body.checks).toEqual({
+        database: { status: 'healthy', responseTime: expect.any(Number) },
+        redis: { status: 'healthy', responseTime: expect.any(Number) },
+        osuApi: { status: 'healthy', responseTime: expect.any(Number) }
+      });
+      expect(res.body.queues.beatmaps.osu).toEqual({
+        pending: 2, delayed: 0, active: 0, dead: 0, processed: 0, failed: 0, deadLettered: 0
+      });
+      expect(res.body.osuApi.limiter).toEqual(expect.objectContaining({ running: 0, pending: 0 }));
+    });
+
+    it('marks checks that fail, whether they return false or throw', async () => {
+      testConnection.mockResolvedValue(false);
+      testApiConnection.mockRejectedValue(new Error('getaddrinfo ENOTFOUND osu.ppy.sh'));
+
+      const res = await request(app).get('/api/health/detailed').expect(503);
+
+      expect(res.body.status).toBe('unhealthy');
+      expect(res.body.checks).toEqual({
+        database: { status: 'unhealthy', error: 'Database connection test failed' },
+        redis: { status: 'healthy', responseTime: expect.any(Number) },
+        osuApi: { status: 'unhealthy', error: 'getaddrinfo ENOTFOUND osu.ppy.sh' }
+      });
+    });
+  });
+});
@@ -0,0 +1,253 @@
+const request = require('supertest');
+
+jest.mock('redis', () => require('../helpers/redis'));
+jest.mock('../../config/db', () => ({
+  query: jest.fn(),
+  getRows: jest.fn(),
+  getRow: jest.fn()
+}));
+
+const db = require('../../config/db');
+const { redisClient } = require('../../config/redis');
+const { leaderboardService } = require('../../services/leaderboard');
+const { scoreHistoryService } = require('../../services/scoreHistory');
+const { answerQueries } = require('../helpers/db');
+const { createApp, watchSchemaDrift } = require('../helpers/app');
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+const HOUR = 60 * 60 * 1000;
+
+const score = (rank, overrides = {}) => ({
+  beatmap_id: '129891',
+  beatmap_title: 'FREEDOM DiVE',
+  artist: 'xi',
+  difficulty_name: 'FOUR DIMENSIONS',
+  difficulty_rating: 7.07,
+  player_id: String(4821930 + rank),
+  username: `Player_${rank}`,
+  rank,
+  score: String(98211054 - rank * 1000),
+  accuracy: 0.99,
+  accuracy_text: '99.00%',
+  mods: 'HD',
+  pp: 512.3 - rank,
+  max_combo: 2385,
+  play_date: '1792411200000',
+  last_updated: '1792411200000',
+  country: 'DZ',
+  mode: 'osu',
+  ...overrides
+});
+
+// The SELECT of a list and the COUNT(*) beside it
+const listOf = (rows, total = rows.length) => [
+  ['COUNT(*) AS total', { total: String(total) }],
+  ['FROM algeria_top50', rows]
+];
+
+describe('/api/leaderboards', () => {
+  const app = createApp('leaderboards');
+  let schemaDrift;
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate'] });
+    await redisClient.flushAll();
+    schemaDrift = watchSchemaDrift();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    answerQueries(db, listOf([]));
+  });
+
+  afterEach(() => {
+    const drift = schemaDrift();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    expect(drift).toEqual([]);
+  });
+
+  describe('GET /', () => {
+    it('lists the scores of the country and mode with their page', async () => {
+      answerQueries(db, listOf([score(1), score(2), score(3)], 120));
+
+      const res = await request(app).get('/api/leaderboards').query({ country: 'MA', mode: 'taiko', limit: 2 }).expect(200);
+
+      expect(res.body.data).toHaveLength(2);
+      expect(res.body.meta).toMatchObject({
+        country: 'MA', mode: 'taiko', sort: 'score', order: 'DESC', limit: 2, total: 120, hasMore: true, prevCursor: null
+      });
+      expect(res.headers['x-total-count']).toBe('120');
+      expect(res.headers.link).toContain('rel="next"');
+      // One row more than the page tells whether there is a next one
+      expect(db.getRows).toHaveBeenCalledWith(expect.stringContaining('ORDER BY score DESC NULLS LAST, beatmap_id ASC NULLS LAST'), ['MA', 'taiko', 3]);
+    });
+
+    it('follows the next cursor', async () => {
+      answerQueries(db, listOf([score(1), score(2)], 3));
+      const first = await request(app).get('/api/leaderboards').query({ limit: 1 }).expect(200);
+
+      const second = await request(app).get('/api/leaderboards').query({ limit: 1, cursor: first.body.meta.nextCursor }).expect(200);
+
+      expect(second.body.meta).toMatchObject({ hasMore: true });
+      expect(second.body.meta.prevCursor).toEqual(expect.any(String));
+      // The page continues after the last row of the one before
+      const [sql, params] = db.getRows.mock.calls[1];
+      expect(sql).toContain('(score < $3 OR (score = $3 AND (beatmap_id > $4 OR (beatmap_id = $4 AND (player_id > $5 OR player_id IS NULL)) OR beatmap_id IS NULL)) OR score IS NULL)');
+      expect(params).toEqual(['DZ', 'osu', '98210054', '129891', '4821931', 2]);
+    });
+
+    it('rejects offsets and cursors of other lists', async () => {
+      answerQueries(db, listOf([score(1), score(2)], 3));
+      const first = await request(app).get('/api/leaderboards').query({ limit: 1 }).expect(200);
+
+      await request(app).get('/api/leaderboards').query({ limit: 1, offset: 1 }).expect(400);
+      await request(app).get('/api/leaderboards').query({ sort: 'pp', limit: 1, cursor: first.body.meta.nextCursor }).expect(400);
+      expect(db.getRows).toHaveBeenCalledTimes(1);
+    });
+
+    it('applies the filters as parameters', async () => {
+      await request(app)
+        .get('/api/leaderboards')
+        .query({ sort: 'pp', order: 'asc', minDifficulty: 5, maxDifficulty: 7.5, mods: 'HDDT', player: 'sah', beatmapId: 129891 })
+        .expect(200);
+
+      const [sql, params] = db.getRows.mock.calls[0];
+      expect(sql).toContain('difficulty_rating >= $3 AND difficulty_rating <= $4 AND mods = $5 AND username ILIKE $6 AND beatmap_id = $7');
+      expect(sql).toContain('ORDER BY pp ASC');
+      expect(params).toEqual(['DZ', 'osu', 5, 7.5, 'HDDT', '%sah%', '129891', 101]);
+    });
+
+    it('rejects unknown sorts, modes and limits', async () => {
+      await request(app).get('/api/leaderboards').query({ sort: 'score; DROP TABLE algeria_top50' }).expect(400);
+      await request(app).get('/api/leaderboards').query({ mode: 'catch-the-beat' }).expect(400);
+      await request(app).get('/api/leaderboards').query({ limit: 101 }).expect(400);
+      expect(db.getRows).not.toHaveBeenCalled();
+    });
+
+    it('answers 500 when the database fails', async () => {
+      db.getRows.mockRejectedValue(new Error('timeout'));
+
+      await request(app).get('/api/leaderboards').expect(500);
+      expect(console.error).toHaveBeenCalledWith('Leaderboards error:', expect.any(Error));
+    });
+  });
+
+  describe('GET /beatmap/:beatmapId', () => {
+    beforeEach(() => {
+      jest.spyOn(leaderboardService, 'getBeatmapLeaderboard').mockResolvedValue([score(1), score(2), score(3)]);
+      answerQueries(db, [['FROM beatmap_metadata', { artist: 'xi', title: 'FREEDOM DiVE', version: 'FOUR DIMENSIONS' }]]);
+    });
+
+    it('pages through the cached leaderboard of the beatmap', async () => {
+      const first = await request(app).get('/api/leaderboards/beatmap/129891').query({ limit: 2 }).expect(200);
+      const second = await request(app).get('/api/leaderboards/beatmap/129891').query({ limit: 2, cursor: first.body.meta.nextCursor }).expect(200);
+      const back = await request(app).get('/api/leaderboards/beatmap/129891').query({ limit: 2, cursor: second.body.meta.prevCursor }).expect(200);
+
+      expect(first.body.data.map(row => row.rank)).toEqual([1, 2]);
+      expect(second.body.data.map(row => row.rank)).toEqual([3]);
+      expect(back.body.data.map(row => row.rank)).toEqual([1, 2]);
+      expect(first.body.beatmapInfo.title).toBe('FREEDOM DiVE');
+      expect(second.body.meta).toMatchObject({ beatmapId: 129891, total: 3, hasMore: false });
+      expect(back.body.meta).toMatchObject({ hasMore: true, prevCursor: null });
+      expect(leaderboardService.getBeatmapLeaderboard).toHaveBeenCalledTimes(1);
+      expect(leaderboardService.getBeatmapLeaderboard).toHaveBeenCalledWith('129891', 'DZ', 'osu');
+    });
+
+    it('keeps countries and modes apart', async () => {
+      await request(app).get('/api/leaderboards/beatmap/129891').expect(200);
+      await request(app).get('/api/leaderboards/beatmap/129891').query({ country: 'MA' }).expect(200);
+      await request(app).get('/api/leaderboards/beatmap/129891').query({ mode: 'mania' }).expect(200);
+
+      expect(leaderboardService.getBeatmapLeaderboard.mock.calls).toEqual([
+        ['129891', 'DZ', 'osu'], ['129891', 'MA', 'osu'], ['129891', 'DZ', 'mania']
+      ]);
+    });
+  });
+
+  describe('GET /beatmap/:beatmapId/history', () => {
+    it('lists the changes, or the leaderboard as it stood at a moment', async () => {
+      jest.spyOn(scoreHistoryService, 'getBeatmapHistory').mockResolvedValue([{ username: 'Player_1' }]);
+      jest.spyOn(scoreHistoryService, 'getBeatmapLeaderboardAt').mockResolvedValue([]);
+
+      const history = await request(app).get('/api/leaderboards/beatmap/129891/history').expect(200);
+      const at = await request(app).get('/api/leaderboards/beatmap/129891/history').query({ at: NOW - HOUR }).expect(200);
+
+      expect(history.body.meta).toEqual({ country: 'DZ', mode: 'osu', beatmapId: 129891, at: null, total: 1, limit: 100 });
+      expect(scoreHistoryService.getBeatmapHistory).toHaveBeenCalledWith('129891', 'DZ', 'osu', 100);
+      expect(at.body.meta).toMatchObject({ at: NOW - HOUR, limit: 50 });
+      expect(scoreHistoryService.getBeatmapLeaderboardAt).toHaveBeenCalledWith('129891', 'DZ', 'osu', NOW - HOUR, 50);
+    });
+  });
+
+  describe('GET /top-scores', () => {
+    it('filters by minimum pp and timeframe', async () => {
+      answerQueries(db, listOf([score(1)]));
+
+      const res = await request(app).get('/api/leaderboards/top-scores').query({ timeframe: '7d', minPP: 300 }).expect(200);
+
+      expect(res.body.meta).toMatchObject({ timeframe: '7d', minPP: 300, total: 1 });
+      expect(db.getRows.mock.calls[0][1]).toEqual(['DZ', 'osu', 300, NOW - 7 * 24 * HOUR, 51]);
+    });
+
+    it('rejects unknown timeframes', async () => {
+      await request(app).get('/api/leaderboards/top-scores').query({ timeframe: '1y' }).expect(400);
+    });
+  });
+
+  describe('GET /recent', () => {
+    it('lists scores of the last hours', async () => {
+      const res = await request(app).get('/api/leaderboards/recent').query({ hours: 6 }).expect(200);
+
+      expect(res.body.meta).toMatchObject({ hours: 6, total: 0, cutoff: new Date(NOW - 6 * HOUR).toISOString() });
+      expect(db.getRows.mock.calls[0][1]).toEqual(['DZ', 'osu', NOW - 6 * HOUR, 51]);
+    });
+  });
+
+  describe('GET /first-places', () => {
+    it('lists #1 scores, optionally of one player', async () => {
+      answerQueries(db, listOf([score(1)]));
+
+      const res = await request(app).get('/api/leaderboards/first-places').query({ player: 'Player' }).expect(200);
+
+      expect(res.body.meta).toMatchObject({ player: 'Player', total: 1, limit: 100 });
+      const [sql, params] = db.getRows.mock.calls[0];
+      expect(sql).toContain('rank = 1 AND username ILIKE $3');
+      expect(params).toEqual(['DZ', 'osu', '%Player%', 101]);
+    });
+  });
+
+  describe('GET /stats', () => {
+    it('caches the statistics of each country and mode for ten minutes', async () => {
+      jest.spyOn(leaderboardService, 'getLeaderboardStats').mockResolvedValue({ total_scores: '7' });
+
+      await request(app).get('/api/leaderboards/stats').expect(200);
+      const res = await request(app).get('/api/leaderboards/stats').expect(200);
+
+      expect(res.body).toEqual({ success: true, data: { total_scores: '7' }, meta: { country: 'DZ', mode: 'osu' } });
+      expect(leaderboardService.getLeaderboardStats).toHaveBeenCalledTimes(1);
+      expect(await redisClient.ttl('leaderboard_stats:dz:osu')).toBe(600);
+    });
+  });
+
+  describe('aggregates', () => {
+    it.each([
+      ['/mods', { mods: 'HD', usage_count: '3', avg_accuracy: 0.98, avg_pp: 410.2, max_pp: 512.3, unique_players: '2' }],
+      ['/difficulty-distribution', { difficulty_range: '7.0-7.99', score_count: '4', avg_accuracy: 0.97, avg_pp: 300, unique_players: '3' }],
+      ['/popular-beatmaps', { beatmap_id: '129891', beatmap_title: 'FREEDOM DiVE', total_scores: '6', best_score: '98211054', unique_players: '6' }]
+    ])('GET %s returns the rows of the country and mode', async (path, row) => {
+      answerQueries(db, [['FROM algeria_top50', [row]]]);
+
+      const res = await request(app).get(`/api/leaderboards${path}`).query({ country: 'ma', mode: 'fruits' }).expect(200);
+
+      expect(res.body.data).toEqual([row]);
+      expect(res.body.meta).toMatchObject({ country: 'MA', mode: 'fruits' });
+      expect(db.getRows.mock.calls[0][1].slice(0, 2)).toEqual(['MA', 'fruits']);
+    });
+
+    it('limits the mods and popular beatmaps lists', async () => {
+      await request(app).get('/api/leaderboards/mods').query({ limit: 5 }).expect(200);
+      await request(app).get('/api/leaderboards/popular-beatmaps').expect(200);
+      await request(app).get('/api/leaderboards/popular-beatmaps').query({ limit: 0 }).expect(400);
+
+      expect(db.getRows.mock.calls.map(([, params]) => params[2])).toEqual([5, 20]);
+    });
+  });
+});
@@ -0,0 +1,302 @@
+const request = require('supertest');
+
+jest.mock('redis', () => require('../helpers/redis'));
+jest.mock('../../config/db', () => ({
+  query: jest.fn(),
+  getRows: jest.fn(),
+  getRow: jest.fn()
+}));
+
+const db = require('../../config/db');
+const { redisClient } = require('../../config/redis');
+const { scoreHistoryService } = require('../../services/scoreHistory');
+const { rankHistoryService } = require('../../services/rankHistory');
+const { feedService } = require('../../services/feed');
+const { commentService, CommentError } = require('../../services/comments');
+const { answerQueries } = require('../helpers/db');
+const { createApp, signedIn, watchSchemaDrift } = require('../helpers/app');
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+const DAY = 24 * 60 * 60 * 1000;
+
+const player = {
+  username: 'Sahara_DZ',
+  user_id: '4821930',
+  country: 'DZ',
+  total_scores: 30,
+  avg_rank: 3.5,
+  best_score: '98211054',
+  total_pp: 24000,
+  weighted_pp: 6120.4,
+  first_places: 4,
+  top_10_places: 20,
+  accuracy_avg: 0.97,
+  playcount: 41230,
+  total_playtime: 3600000,
+  global_rank: 15230,
+  country_rank: 3,
+  last_calculated: '1792411200000'
+};
+
+const taikoStats = { has_stats: true, total_scores: 3, weighted_pp: 410.5, first_places: 1 };
+
+// The mode stats query without a row in the mode: zeros typed like the columns, BIGINTs as strings
+const noModeStats = {
+  has_stats: false, total_scores: 0, avg_rank: 0, best_score: '0', total_pp: 0, weighted_pp: 0, first_places: 0,
+  top_10_places: 0, accuracy_avg: 0, playcount: 0, total_playtime: 0, global_rank: 0, country_rank: 0, last_calculated: '0'
+};
+
+const score = (overrides = {}) => ({
+  beatmap_id: '129891', beatmap_title: 'FREEDOM DiVE', username: 'Sahara_DZ', rank: 1, score: '98211054',
+  accuracy: 0.99, mods: 'HD', pp: 512.3, play_date: '1792411200000', last_updated: '1792411200000', ...overrides
+});
+
+const comment = {
+  id: 12, target_username: 'AtlasFC', commenter_username: 'Sahara_DZ', comment_text: 'gg on the #1', created_at: '1792411200000'
+};
+
+describe('/api/players', () => {
+  const app = createApp('players');
+  const auth = signedIn({ username: 'Sahara_DZ' });
+  let schemaDrift;
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate'] });
+    await redisClient.flushAll();
+    schemaDrift = watchSchemaDrift();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    answerQueries(db, [
+      ['FROM player_stats', ([pattern]) => (/sahara/i.test(pattern) ? player : null)],
+      ['LEFT JOIN player_mode_stats', ([, mode]) => (mode === 'taiko' ? taikoStats : noModeStats)],
+      ['COUNT(*) + 1 as rank', { rank: '3' }],
+      ['COUNT(*) AS total', { total: '1' }],
+      ['FROM algeria_top50', [score()]],
+      ['FROM skill_tracking', [
+        { skill_type: 'aim', skill_value: '6.5', confidence: '0.8', calculated_at: String(NOW - DAY) },
+        { skill_type: 'aim', skill_value: '6.1', confidence: '0.7', calculated_at: String(NOW - 2 * DAY) },
+        { skill_type: 'speed', skill_value: '5.25', confidence: '0.6', calculated_at: String(NOW - DAY) }
+      ]],
+      ['FROM player_achievements pa', [
+        { name: 'First Blood', points: 10, category: 'first_places' },
+        { name: 'PP Hunter', points: 25, category: 'pp' }
+      ]],
+      ['FROM player_activity', [{ activity_type: 'first_place', activity_data: {}, timestamp: String(NOW - DAY) }]]
+    ]);
+  });
+
+  afterEach(() => {
+    const drift = schemaDrift();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    expect(drift).toEqual([]);
+  });
+
+  describe('GET /:username', () => {
+    it('builds the profile with scores, skill progression and achievements', async () => {
+      const res = await request(app).get('/api/players/Sahara_DZ').expect(200);
+      const { data } = res.body;
+
+      expect(data).toMatchObject({ username: 'Sahara_DZ', mode: 'osu', weighted_pp: 6120.4, countryRank: 3 });
+      expect(data.recentScores).toEqual([score()]);
+      expect(data.skillProgression.aim).toEqual([{ value: 6.5, timestamp: NOW - DAY }, { value: 6.1, timestamp: NOW - 2 * DAY }]);
+      expect(data.achievements).toHaveLength(2);
+      expect(data.recentActivity).toHaveLength(1);
+      expect(await redisClient.exists('player:sahara_dz:osu')).toBe(1);
+    });
+
+    it('uses the statistics of the requested mode, and zeros without any', async () => {
+      const taiko = await request(app).get('/api/players/sahara').query({ mode: 'taiko' }).expect(200);
+      const mania = await request(app).get('/api/players/Sahara_DZ').query({ mode: 'mania' }).expect(200);
+
+      expect(taiko.body.data).toMatchObject({ mode: 'taiko', weighted_pp: 410.5, first_places: 1, total_scores: 3 });
+      expect(mania.body.data).toMatchObject({ mode: 'mania', weighted_pp: 0, first_places: 0, best_score: '0' });
+      expect(db.getRow).toHaveBeenCalledWith(expect.stringContaining('FROM player_mode_stats'), [410.5, 'DZ', 'taiko']);
+      // The mode row belongs to the player found, not to whatever else the name matches
+      expect(db.getRow).toHaveBeenCalledWith(expect.stringContaining('pms.username = $1'), ['Sahara_DZ', 'taiko']);
+    });
+
+    it('answers 404 for unknown players and players of another country', async () => {
+      await request(app).get('/api/players/Nobody').expect(404);
+
+      const res = await request(app).get('/api/players/Sahara_DZ').query({ country: 'MA' }).expect(404);
+      expect(res.body).toEqual({ success: false, error: 'Player not found' });
+    });
+  });
+
+  describe('GET /:username/stats', () => {
+    it('returns the statistics without the calculation time', async () => {
+      const res = await request(app).get('/api/players/Sahara_DZ/stats').expect(200);
+
+      expect(res.body.data).toMatchObject({ username: 'Sahara_DZ', weighted_pp: 6120.4, mode: 'osu' });
+      expect(res.body.data).not.toHaveProperty('last_calculated');
+    });
+
+    it('answers 404 for unknown players', async () => {
+      await request(app).get('/api/players/Nobody/stats').expect(404);
+
+      expect(db.getRow).not.toHaveBeenCalledWith(expect.stringContaining('LEFT JOIN player_mode_stats'), expect.anything());
+    });
+  });
+
+  describe('score lists', () => {
+    it.each([
+      ['recent', 'ORDER BY last_updated DESC', 20],
+      ['best', 'ORDER BY pp DESC', 20],
+      ['firsts', 'AND rank = 1', 50]
+    ])('GET /:username/%s pages through the scores of the mode', async (list, sql, defaultLimit) => {
+      const res = await request(app).get(`/api/players/Sahara_DZ/${list}`).query({ mode: 'fruits' }).expect(200);
+
+      expect(res.body.data).toEqual([score()]);
+      expect(res.body.meta).toMatchObject({ username: 'Sahara_DZ', mode: 'fruits', limit: defaultLimit, total: 1 });
+      expect(db.getRows).toHaveBeenCalledWith(expect.stringContaining(sql), ['%Sahara_DZ%', 'fruits', defaultLimit + 1]);
+    });
+  });
+
+  describe('GET /:username/history/:beatmapId', () => {
+    it("lists every version of the player's score", async () => {
+      jest.spyOn(scoreHistoryService, 'getPlayerBeatmapHistory').mockResolvedValue([{ score: '98211054' }, { score: '97000000' }]);
+
+      const res = await request(app).get('/api/players/sahara_dz/history/129891').expect(200);
+
+      expect(res.body.meta).toEqual({ username: 'Sahara_DZ', mode: 'osu', beatmapId: 129891, versions: 2 });
+      expect(scoreHistoryService.getPlayerBeatmapHistory).toHaveBeenCalledWith('Sahara_DZ', '129891', 'osu');
+      expect(db.getRow).toHaveBeenCalledWith(expect.stringContaining('LOWER(username) = LOWER($1)'), ['sahara_dz']);
+    });
+
+    it('only finds the player by their whole name', async () => {
+      jest.spyOn(feedService, 'findPlayer').mockImplementation(async (username) =>
+        (username.toLowerCase() === 'sahara_dz' ? { username: 'Sahara_DZ', country: 'DZ', is_active: true } : undefined));
+
+      await request(app).get('/api/players/sahara/history/129891').expect(404);
+      await request(app).get('/api/players/Sahara_DZ/history/129891').query({ country: 'MA' }).expect(404);
+    });
+  });
+
+  describe('GET /:username/rank-history', () => {
+    it('returns the daily snapshots of the requested days', async () => {
+      jest.spyOn(rankHistoryService, 'getPlayerRankHistory').mockResolvedValue([{ snapshot_date: '2026-10-18', country_rank: 3 }]);
+
+      const res = await request(app).get('/api/players/Sahara_DZ/rank-history').query({ days: 7 }).expect(200);
+
+      expect(res.body.meta).toEqual({ username: 'Sahara_DZ', mode: 'osu', days: 7, snapshots: 1 });
+      expect(rankHistoryService.getPlayerRankHistory).toHaveBeenCalledWith('Sahara_DZ', 'osu', 7);
+      expect(db.getRow).toHaveBeenCalledWith(expect.stringContaining('LOWER(username) = LOWER($1)'), ['Sahara_DZ']);
+
+      await request(app).get('/api/players/Nobody/rank-history').expect(404);
+    });
+
+    it('only finds the player by their whole name', async () => {
+      jest.spyOn(feedService, 'findPlayer').mockImplementation(async (username) =>
+        (username.toLowerCase() === 'sahara_dz' ? { username: 'Sahara_DZ', country: 'DZ', is_active: true } : undefined));
+
+      await request(app).get('/api/players/sahara/rank-history').expect(404);
+      await request(app).get('/api/players/SAHARA_DZ/rank-history').expect(200);
+    });
+  });
+
+  describe('GET /:username/skills', () => {
+    it('returns the latest value and confidence of each skill with its progression', async () => {
+      const res = await request(app).get('/api/players/Sahara_DZ/skills').query({ days: 14 }).expect(200);
+
+      expect(res.body.data.latest).toEqual({ aim: 6.5, speed: 5.25 });
+      expect(res.body.data.confidence).toEqual({ aim: 0.8, speed: 0.6 });
+      expect(res.body.data.progression.aim).toHaveLength(2);
+      expect(db.getRows).toHaveBeenCalledWith(expect.any(String), ['%Sahara_DZ%', NOW - 14 * DAY, 'osu']);
+    });
+  });
+
+  describe('GET /:username/achievements', () => {
+    it('adds up the points of the unlocked achievements', async () => {
+      const res = await request(app).get('/api/players/Sahara_DZ/achievements').expect(200);
+
+      expect(res.body.data).toMatchObject({ totalAchievements: 2, totalPoints: 35 });
+    });
+  });
+
+  describe('follows', () => {
+    beforeEach(() => {
+      jest.spyOn(feedService, 'findPlayer').mockImplementation(async (username) =>
+        ({ atlasfc: { username: 'AtlasFC', is_active: true }, sahara_dz: { username: 'Sahara_DZ', is_active: true } })[username.toLowerCase()]);
+      jest.spyOn(feedService, 'follow').mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+      jest.spyOn(feedService, 'unfollow').mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+    });
+
+    it('follows a player, answering 201 the first time', async () => {
+      const first = await request(app).post('/api/players/atlasfc/follow').set('Authorization', auth).expect(201);
+      await request(app).post('/api/players/atlasfc/follow').set('Authorization', auth).expect(200);
+
+      expect(first.body.data).toEqual({ follower: 'Sahara_DZ', following: 'AtlasFC' });
+      expect(feedService.follow).toHaveBeenCalledWith('Sahara_DZ', 'AtlasFC');
+    });
+
+    it('does not follow yourself or unknown players', async () => {
+      await request(app).post('/api/players/Sahara_DZ/follow').set('Authorization', auth).expect(400);
+      await request(app).post('/api/players/Nobody/follow').set('Authorization', auth).expect(404);
+      await request(app).post('/api/players/AtlasFC/follow').set('Authorization', signedIn()).expect(403);
+      await request(app).post('/api/players/AtlasFC/follow').expect(401);
+      expect(feedService.follow).not.toHaveBeenCalled();
+    });
+
+    it('unfollows, answering 404 when there was no follow', async () => {
+      await request(app).delete('/api/players/AtlasFC/follow').set('Authorization', auth).expect(200);
+      const res = await request(app).delete('/api/players/AtlasFC/follow').set('Authorization', auth).expect(404);
+
+      expect(res.body.error).toBe('You are not following this player');
+    });
+
+    it.each(['followers', 'following'])('GET /:username/%s pages with the total count', async (direction) => {
+      jest.spyOn(feedService, 'listRelationships')
+        .mockResolvedValue({ items: [{ username: 'Tlemcen' }], hasMore: false, nextCursor: null, prevCursor: null });
+      jest.spyOn(feedService, 'getFollowCounts').mockResolvedValue({ followers: 12, following: 4 });
+
+      const res = await request(app).get(`/api/players/AtlasFC/${direction}`).query({ limit: 10 }).expect(200);
+
+      const total = direction === 'followers' ? 12 : 4;
+      expect(res.body.meta).toEqual({ username: 'AtlasFC', total, limit: 10, hasMore: false, nextCursor: null, prevCursor: null });
+      expect(res.headers['x-total-count']).toBe(String(total));
+      expect(feedService.listRelationships).toHaveBeenCalledWith('AtlasFC', direction, expect.objectContaining({ limit: 10, cursor: null }));
+
+      await request(app).get(`/api/players/AtlasFC/${direction}`).query({ cursor: '%%%' }).expect(400);
+    });
+  });
+
+  describe('comments', () => {
+    beforeEach(() => {
+      jest.spyOn(feedService, 'findPlayer').mockImplementation(async (username) =>
+        (username === 'AtlasFC' ? { username: 'AtlasFC', is_active: true } : { username, is_active: false }));
+    });
+
+    it('lists the comments on a profile', async () => {
+      jest.spyOn(commentService, 'listForPlayer')
+        .mockResolvedValue({ items: [comment], hasMore: true, nextCursor: 'next', prevCursor: null });
+
+      const res = await request(app).get('/api/players/AtlasFC/comments').expect(200);
+
+      expect(res.body).toEqual({
+        success: true,
+        data: [comment],
+        meta: { username: 'AtlasFC', limit: 20, hasMore: true, nextCursor: 'next', prevCursor: null }
+      });
+      expect(res.headers.link).toContain('</api/players/AtlasFC/comments?limit=20&cursor=next>; rel="next"');
+      await request(app).get('/api/players/Hidden/comments').expect(404);
+    });
+
+    it('posts a comment as the signed-in player', async () => {
+      jest.spyOn(commentService, 'create').mockResolvedValue(comment);
+
+      const res = await request(app).post('/api/players/AtlasFC/comments').set('Authorization', auth).send({ text: 'gg on the #1' }).expect(201);
+
+      expect(res.body.data).toEqual(comment);
+      expect(commentService.create).toHaveBeenCalledWith('AtlasFC', 'Sahara_DZ', 'gg on the #1');
+    });
+
+    it('passes on the status of comment errors', async () => {
+      jest.spyOn(commentService, 'create').mockRejectedValue(new CommentError('You are commenting too fast', 429));
+
+      const res = await request(app).post('/api/players/AtlasFC/comments').set('Authorization', auth).send({ text: 'again' }).expect(429);
+
+      expect(res.body).toEqual({ success: false, error: 'You are commenting too fast' });
+      await request(app).post('/api/players/AtlasFC/comments').set('Authorization', auth).send({ text: '' }).expect(400);
+    });
+  });
+});
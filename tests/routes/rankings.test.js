@@ -0,0 +1,217 @@
+const request = require('supertest');
+
+jest.mock('redis', () => require('../helpers/redis'));
+jest.mock('../../config/db', () => ({
+  query: jest.fn(),
+  getRows: jest.fn(),
+  getRow: jest.fn()
+}));
+
+const db = require('../../config/db');
+const { redisClient } = require('../../config/redis');
+const { rankHistoryService } = require('../../services/rankHistory');
+const { skillRatingService } = require('../../services/skillRatings');
+const { h2hRatingService } = require('../../services/h2hRatings');
+const { answerQueries } = require('../helpers/db');
+const { createApp, watchSchemaDrift } = require('../helpers/app');
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+const DAY = 24 * 60 * 60 * 1000;
+
+const ranked = (rank, overrides = {}) => ({
+  username: `Player_${rank}`,
+  user_id: String(4821930 + rank),
+  total_scores: 30 - rank,
+  avg_rank: 3.5,
+  best_score: '98211054',
+  total_pp: 24000 - rank * 1000,
+  weighted_pp: 6120.4 - rank * 100,
+  first_places: 5 - rank,
+  accuracy_avg: 0.97,
+  country_rank: rank,
+  avatar_url: null,
+  rank: String(rank),
+  ...overrides
+});
+
+// The cursor of a page link in the Link header
+const linkCursor = (res, rel) => {
+  const [, url] = res.headers.link.match(new RegExp(`<([^>]+)>; rel="${rel}"`));
+  return new URL(url, 'http://localhost').searchParams.get('cursor');
+};
+
+const listOf = (rows, total = rows.length) => [
+  ['COUNT(*) AS total', { total: String(total) }],
+  ['FROM player_mode_stats', rows]
+];
+
+describe('/api/rankings', () => {
+  const app = createApp('rankings');
+  let schemaDrift;
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate'] });
+    await redisClient.flushAll();
+    schemaDrift = watchSchemaDrift();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    answerQueries(db, listOf([ranked(1), ranked(2), ranked(3)], 40));
+  });
+
+  afterEach(() => {
+    const drift = schemaDrift();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    expect(drift).toEqual([]);
+  });
+
+  describe('GET /', () => {
+    it('ranks the active players of the country and mode and caches the page', async () => {
+      const res = await request(app).get('/api/rankings').query({ limit: 2 }).expect(200);
+      await request(app).get('/api/rankings').query({ limit: 2 }).expect(200);
+
+      expect(res.body.data.map(row => row.username)).toEqual(['Player_1', 'Player_2']);
+      expect(res.body.meta).toMatchObject({
+        country: 'DZ', mode: 'osu', sort: 'weighted_pp', timeframe: 'all', minScores: 5, limit: 2, total: 40, hasMore: true
+      });
+      expect(db.getRows).toHaveBeenCalledTimes(1);
+      expect(db.getRows).toHaveBeenCalledWith(expect.stringContaining('ORDER BY pms.weighted_pp DESC'), ['DZ', 'osu', 5, 3]);
+    });
+
+    it('carries the ranks on through the cursors', async () => {
+      const first = await request(app).get('/api/rankings').query({ limit: 2 }).expect(200);
+      answerQueries(db, listOf([ranked(3), ranked(4), ranked(5)], 40));
+
+      const second = await request(app).get('/api/rankings').query({ limit: 2, cursor: first.body.meta.nextCursor }).expect(200);
+
+      expect(first.body.data.map(row => row.rank)).toEqual(['1', '2']);
+      expect(second.body.data.map(row => row.rank)).toEqual(['3', '4']);
+      expect(db.getRows.mock.calls[0][1]).toEqual(['DZ', 'osu', 5, 5920.4, 'Player_2', 3]);
+
+      answerQueries(db, listOf([ranked(40)], 40));
+      const last = await request(app).get('/api/rankings').query({ limit: 2, cursor: linkCursor(second, 'last') }).expect(200);
+
+      // The last page is read backwards from the end of the list
+      expect(db.getRows.mock.calls[0][0]).toContain('ORDER BY pms.weighted_pp ASC NULLS FIRST, pms.username DESC NULLS FIRST');
+      expect(last.body.data.map(row => row.rank)).toEqual(['40']);
+      expect(last.body.meta).toMatchObject({ hasMore: false, nextCursor: null });
+    });
+
+    it('ranks by average rank ascending and filters recently calculated players', async () => {
+      await request(app).get('/api/rankings').query({ sort: 'avg_rank', timeframe: '7d', minScores: 0, country: 'MA' }).expect(200);
+
+      const [sql, params] = db.getRows.mock.calls[0];
+      expect(sql).toContain('ORDER BY pms.avg_rank ASC');
+      expect(sql).toContain('pms.last_calculated >= $4');
+      expect(params).toEqual(['MA', 'osu', 0, NOW - 7 * DAY, 51]);
+    });
+
+    it('rejects unknown sorts and timeframes', async () => {
+      await request(app).get('/api/rankings').query({ sort: 'username' }).expect(400);
+      await request(app).get('/api/rankings').query({ timeframe: '1y' }).expect(400);
+    });
+
+    it('answers 500 when the database fails', async () => {
+      db.getRows.mockRejectedValue(new Error('timeout'));
+
+      await request(app).get('/api/rankings').expect(500);
+      expect(console.error).toHaveBeenCalledWith('Rankings error:', expect.any(Error));
+    });
+  });
+
+  describe('GET /top/:metric', () => {
+    it('orders by the column behind the metric', async () => {
+      const res = await request(app).get('/api/rankings/top/playtime').expect(200);
+
+      expect(res.body.meta).toMatchObject({ metric: 'playtime', limit: 20, total: 40 });
+      expect(db.getRows).toHaveBeenCalledWith(expect.stringContaining('ORDER BY pms.total_playtime DESC'), ['DZ', 'osu', 21]);
+      await request(app).get('/api/rankings/top/level').expect(400);
+    });
+  });
+
+  describe('GET /skills/:skillType', () => {
+    it('pages through the skill ratings', async () => {
+      const rating = { username: 'Player_1', skill_rank: 1, rating: 1850, uncertainty: 60, percentile: 97.5 };
+      jest.spyOn(skillRatingService, 'getSkillLeaderboard')
+        .mockResolvedValue({ items: [rating], total: 1, hasMore: false, nextCursor: null, prevCursor: null });
+
+      const res = await request(app).get('/api/rankings/skills/speed').query({ mode: 'taiko' }).expect(200);
+
+      expect(res.body.data).toEqual([rating]);
+      expect(res.body.meta).toMatchObject({ mode: 'taiko', skillType: 'speed', total: 1 });
+      expect(skillRatingService.getSkillLeaderboard).toHaveBeenCalledWith('DZ', 'taiko', 'speed', expect.objectContaining({ limit: 20, cursor: null }));
+    });
+
+    it('rejects skills the mode does not track', async () => {
+      const res = await request(app).get('/api/rankings/skills/aim').query({ mode: 'taiko' }).expect(400);
+
+      expect(res.body.error).toBe("Skill 'aim' is not tracked for taiko");
+    });
+  });
+
+  describe('GET /country-comparison', () => {
+    it('lists players in order of their osu! country rank', async () => {
+      const res = await request(app).get('/api/rankings/country-comparison').expect(200);
+
+      expect(res.body.meta).toMatchObject({ limit: 100, total: 40 });
+      expect(db.getRows).toHaveBeenCalledWith(expect.stringContaining('ORDER BY pms.country_rank ASC'), ['DZ', 'osu', 101]);
+    });
+  });
+
+  describe('GET /trends', () => {
+    it('returns the climbers and fallers of the period', async () => {
+      const movers = { climbers: [{ username: 'Player_2', rank_change: 3 }], fallers: [] };
+      jest.spyOn(rankHistoryService, 'getRankMovers').mockResolvedValue(movers);
+
+      const res = await request(app).get('/api/rankings/trends').query({ days: 30, limit: 5 }).expect(200);
+
+      expect(res.body).toEqual({
+        success: true,
+        data: movers,
+        meta: { country: 'DZ', mode: 'osu', days: 30, limit: 5, period: 'Last 30 days' }
+      });
+      expect(rankHistoryService.getRankMovers).toHaveBeenCalledWith('DZ', 'osu', 30, 5);
+    });
+  });
+
+  describe('GET /h2h', () => {
+    it('pages through the head-to-head ratings', async () => {
+      const rating = { username: 'Player_1', h2h_rank: 1, rating: 1720, deviation: 80, matches: 42 };
+      jest.spyOn(h2hRatingService, 'getLeaderboard')
+        .mockResolvedValue({ items: [rating], total: 1, hasMore: false, nextCursor: null, prevCursor: null });
+
+      const res = await request(app).get('/api/rankings/h2h').query({ minMatches: 3 }).expect(200);
+
+      expect(res.body.meta).toMatchObject({ minMatches: 3, total: 1 });
+      expect(h2hRatingService.getLeaderboard).toHaveBeenCalledWith('DZ', 'osu', expect.objectContaining({ limit: 50, cursor: null }), { minMatches: 3 });
+    });
+  });
+
+  describe('GET /h2h/:username1/:username2', () => {
+    it('returns the win probabilities of both players', async () => {
+      const matchup = {
+        player1: { username: 'Player_1', rating: 1720, deviation: 80, matches: 42 },
+        player2: { username: 'Player_2', rating: 1600, deviation: 90, matches: 30 },
+        player1WinProbability: 0.66,
+        player2WinProbability: 0.34,
+        sharedMaps: { total: 12, player1Wins: 8, player2Wins: 4, draws: 0 }
+      };
+      jest.spyOn(h2hRatingService, 'getMatchup').mockResolvedValueOnce(matchup).mockResolvedValueOnce(null);
+
+      const res = await request(app).get('/api/rankings/h2h/Player_1/Player_2').expect(200);
+      expect(res.body).toEqual({ success: true, data: matchup, meta: { mode: 'osu' } });
+
+      await request(app).get('/api/rankings/h2h/Player_1/Nobody').expect(404);
+    });
+  });
+
+  describe('GET /milestones', () => {
+    it('counts the players of each milestone', async () => {
+      const milestones = [{ milestone: 'top_100_pp', players_count: '12' }, { milestone: 'high_accuracy', players_count: '3' }];
+      answerQueries(db, [['WITH mode_players', milestones]]);
+
+      const res = await request(app).get('/api/rankings/milestones').query({ mode: 'mania' }).expect(200);
+
+      expect(res.body).toEqual({ success: true, data: milestones, meta: { country: 'DZ', mode: 'mania' } });
+    });
+  });
+});
@@ -0,0 +1,122 @@
+const request = require('supertest');
+
+jest.mock('redis', () => require('../helpers/redis'));
+jest.mock('../../services/replays', () => ({
+  ...jest.requireActual('../../services/replays'),
+  replayService: { upload: jest.fn(), getScoreReplays: jest.fn(), getReplay: jest.fn() }
+}));
+
+const { replayService, ReplayError } = require('../../services/replays');
+const { createApp, signedIn, watchSchemaDrift } = require('../helpers/app');
+
+const replay = {
+  id: 5,
+  beatmap_id: '129891',
+  player_id: '4821930',
+  player_name: 'Sahara_DZ',
+  mode: 'osu',
+  mods: 'HD',
+  score: '98211054',
+  max_combo: 2385,
+  count_miss: 0,
+  perfect: true,
+  played_at: '1792411200000',
+  matched_score: true,
+  uploaded_at: '1792414800000',
+  analysis: { unstableRate: 92.4 }
+};
+
+const osr = Buffer.from([0x00, 0x14, 0x32, 0x33, 0x01]);
+
+describe('/api/replays', () => {
+  const app = createApp('replays');
+  let schemaDrift;
+
+  beforeEach(() => {
+    schemaDrift = watchSchemaDrift();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    Object.values(replayService).forEach(fn => fn.mockReset());
+  });
+
+  afterEach(() => {
+    const drift = schemaDrift();
+    jest.restoreAllMocks();
+    expect(drift).toEqual([]);
+  });
+
+  // POST / allows ten uploads per five minutes, so these tests stay under that
+  describe('POST /', () => {
+    const upload = () => request(app).post('/api/replays').set('Content-Type', 'application/octet-stream');
+
+    it('stores a new replay as the signed-in account and answers 201', async () => {
+      replayService.upload.mockResolvedValue({ replay, created: true });
+
+      const res = await upload().set('Authorization', signedIn({ id: 3 })).send(osr).expect(201);
+
+      expect(res.body).toEqual({ success: true, data: replay, meta: { created: true } });
+      const [content, uploadedBy] = replayService.upload.mock.calls[0];
+      expect(Buffer.compare(content, osr)).toBe(0);
+      expect(uploadedBy).toBe(3);
+    });
+
+    it('answers 200 with the stored replay for a repeated upload', async () => {
+      replayService.upload.mockResolvedValue({ replay, created: false });
+
+      const res = await upload().set('Authorization', signedIn({ id: 3 })).send(osr).expect(200);
+
+      expect(res.body.meta).toEqual({ created: false });
+    });
+
+    it('requires a signed-in account and a file', async () => {
+      await upload().send(osr).expect(401);
+
+      const res = await request(app).post('/api/replays').set('Authorization', signedIn()).expect(400);
+      expect(res.body.error).toBe('Send the .osr file as the request body');
+      expect(replayService.upload).not.toHaveBeenCalled();
+    });
+
+    it('passes on the status of replay errors', async () => {
+      replayService.upload.mockRejectedValue(new ReplayError('No leaderboard score matches this replay', 404));
+
+      const res = await upload().set('Authorization', signedIn()).send(osr).expect(404);
+
+      expect(res.body).toEqual({ success: false, error: 'No leaderboard score matches this replay' });
+    });
+  });
+
+  describe('GET /', () => {
+    it("lists the replays of a player's score in the mode", async () => {
+      replayService.getScoreReplays.mockResolvedValue([replay]);
+
+      const res = await request(app).get('/api/replays').query({ beatmapId: 129891, username: 'Sahara_DZ', mode: 'taiko' }).expect(200);
+
+      expect(res.body).toEqual({ success: true, data: [replay], meta: { total: 1, mode: 'taiko' } });
+      expect(replayService.getScoreReplays).toHaveBeenCalledWith('129891', 'Sahara_DZ', 'taiko');
+    });
+
+    it('requires the beatmap and the player', async () => {
+      const res = await request(app).get('/api/replays').expect(400);
+
+      expect(res.body.errors).toEqual(['beatmapId is required', 'username is required']);
+    });
+  });
+
+  describe('GET /:id', () => {
+    it('returns one replay with its analysis', async () => {
+      replayService.getReplay.mockResolvedValue(replay);
+
+      const res = await request(app).get('/api/replays/5').expect(200);
+
+      expect(res.body).toEqual({ success: true, data: replay });
+      expect(replayService.getReplay).toHaveBeenCalledWith(5);
+    });
+
+    it('answers 404 for unknown replays and 500 for failures', async () => {
+      await request(app).get('/api/replays/6').expect(404);
+
+      replayService.getReplay.mockRejectedValue(new Error('timeout'));
+      await request(app).get('/api/replays/5').expect(500);
+      expect(console.error).toHaveBeenCalledWith('Replay error:', expect.any(Error));
+    });
+  });
+});
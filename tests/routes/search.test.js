@@ -0,0 +1,198 @@
+const request = require('supertest');
+
+jest.mock('redis', () => require('../helpers/redis'));
+jest.mock('../../config/db', () => ({
+  query: jest.fn(),
+  getRows: jest.fn(),
+  getRow: jest.fn()
+}));
+
+const db = require('../../config/db');
+const { redisClient } = require('../../config/redis');
+const { answerQueries } = require('../helpers/db');
+const { createApp, watchSchemaDrift } = require('../helpers/app');
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+
+const player = { username: 'Sahara_DZ', user_id: '4821930', weighted_pp: 6120.4, total_pp: 24000, first_places: 4, total_scores: 30 };
+const beatmap = { beatmap_id: '129891', artist: 'xi', title: 'FREEDOM DiVE', version: 'FOUR DIMENSIONS', country_players: '6' };
+const score = { beatmap_id: '129891', beatmap_title: 'FREEDOM DiVE', username: 'Sahara_DZ', rank: 1, score: '98211054', pp: 512.3 };
+
+describe('/api/search', () => {
+  const app = createApp('search');
+  let schemaDrift;
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate'] });
+    await redisClient.flushAll();
+    schemaDrift = watchSchemaDrift();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    answerQueries(db, [
+      [/COUNT\(\*\) AS total FROM player_stats/, { total: '1' }],
+      [/COUNT\(\*\) AS total FROM beatmap_metadata/, { total: '3' }],
+      [/COUNT\(\*\) AS total FROM algeria_top50/, { total: '2' }],
+      [/COUNT\(\*\) AS total FROM \(SELECT bm.beatmap_id/, { total: '4' }],
+      ['COUNT(*) AS total', { total: '0' }],
+      ['FROM player_stats', [player]],
+      ['FROM beatmap_metadata', [beatmap]],
+      ['FROM algeria_top50', [score]]
+    ]);
+  });
+
+  afterEach(() => {
+    const drift = schemaDrift();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    expect(drift).toEqual([]);
+  });
+
+  describe('GET /', () => {
+    it('searches players, beatmaps and scores of the country together', async () => {
+      const res = await request(app).get('/api/search').query({ q: ' free ', country: 'MA' }).expect(200);
+
+      expect(res.body).toMatchObject({
+        success: true,
+        query: 'free',
+        country: 'MA',
+        data: { players: [player], beatmaps: [beatmap], scores: [score] },
+        meta: { totals: { players: 1, beatmaps: 3, scores: 2 }, limit: 20, hasMore: false, nextCursor: null, prevCursor: null }
+      });
+      db.getRows.mock.calls.forEach(([, params]) => expect(params).toEqual(['%free%', 'MA', 21]));
+    });
+
+    it('pages each type on from where it stopped and skips the ones that ran out', async () => {
+      const next = { ...player, username: 'AtlasFC', weighted_pp: 5980 };
+      answerQueries(db, [
+        ['COUNT(*) AS total', { total: '2' }],
+        ['FROM player_stats', [player, next]],
+        ['FROM beatmap_metadata', [beatmap]],
+        ['FROM algeria_top50', [score]]
+      ]);
+      const first = await request(app).get('/api/search').query({ q: 'free', limit: 1 }).expect(200);
+
+      const second = await request(app).get('/api/search').query({ q: 'free', limit: 1, cursor: first.body.meta.nextCursor }).expect(200);
+
+      expect(first.body.meta).toMatchObject({ hasMore: true, prevCursor: null });
+      expect(second.body.data).toEqual({ players: [player], beatmaps: [], scores: [] });
+      expect(db.getRows).toHaveBeenCalledTimes(4);
+      expect(db.getRows.mock.calls[3][1]).toEqual(['%free%', 'DZ', 6120.4, 'Sahara_DZ', 2]);
+      await request(app).get('/api/search/players/advanced').query({ cursor: first.body.meta.nextCursor }).expect(400);
+    });
+
+    it('only searches the requested type and caches the results', async () => {
+      const res = await request(app).get('/api/search').query({ q: 'sahara', type: 'players' }).expect(200);
+      await request(app).get('/api/search').query({ q: 'sahara', type: 'players' }).expect(200);
+
+      expect(res.body.data).toEqual({ players: [player] });
+      expect(res.body.meta.totals).toEqual({ players: 1 });
+      expect(db.getRows).toHaveBeenCalledTimes(1);
+    });
+
+    it('needs a query of at least two characters', async () => {
+      const res = await request(app).get('/api/search').query({ q: 'x' }).expect(400);
+
+      expect(res.body.errors).toEqual(['q must be at least 2 characters']);
+      await request(app).get('/api/search').expect(400);
+    });
+
+    it('answers 500 when the search fails', async () => {
+      db.getRows.mockRejectedValue(new Error('timeout'));
+
+      const res = await request(app).get('/api/search').query({ q: 'free' }).expect(500);
+
+      expect(res.body).toEqual({ success: false, error: 'Search failed' });
+    });
+  });
+
+  describe('GET /players/advanced', () => {
+    it('turns each range into a parameter', async () => {
+      const res = await request(app)
+        .get('/api/search/players/advanced')
+        .query({ minPP: 1000, maxPP: 7000, minAccuracy: 0.95, minScores: 10, hasFirstPlace: true, sortBy: 'first_places', order: 'asc' })
+        .expect(200);
+
+      const [sql, params] = db.getRows.mock.calls[0];
+      expect(sql).toContain('weighted_pp >= $2 AND weighted_pp <= $3 AND accuracy_avg >= $4 AND total_scores >= $5 AND first_places > 0');
+      expect(sql).toContain('ORDER BY first_places ASC');
+      expect(params).toEqual(['DZ', 1000, 7000, 0.95, 10, 51]);
+      expect(res.body.meta).toMatchObject({ sort: 'first_places', order: 'ASC', total: 1 });
+      expect(res.body.data[0].search_rank).toBe('1');
+    });
+
+    it('rejects unknown sorts and negative ranges', async () => {
+      await request(app).get('/api/search/players/advanced').query({ sortBy: 'password' }).expect(400);
+      await request(app).get('/api/search/players/advanced').query({ minPP: -1 }).expect(400);
+    });
+  });
+
+  describe('GET /beatmaps/advanced', () => {
+    it('filters the beatmap attributes and can require country scores', async () => {
+      const res = await request(app)
+        .get('/api/search/beatmaps/advanced')
+        .query({ minDiff: 6, maxLength: 300, minBPM: 180, maxAR: 9.5, hasCountryScores: true, sortBy: 'bpm' })
+        .expect(200);
+
+      const [sql, params] = db.getRows.mock.calls[0];
+      expect(sql).toContain('WHERE bm.difficulty_rating >= $2 AND bm.length <= $3 AND bm.bpm >= $4 AND bm.ar <= $5');
+      expect(sql).toContain('HAVING COUNT(DISTINCT ats.username) > 0');
+      expect(sql).toContain('ORDER BY bpm DESC');
+      expect(params).toEqual(['DZ', 6, 300, 180, 9.5, 51]);
+      expect(res.body.meta.total).toBe(4);
+    });
+
+    it('still takes the names from when only Algeria was tracked', async () => {
+      await request(app)
+        .get('/api/search/beatmaps/advanced')
+        .query({ hasAlgerianScores: true, sortBy: 'algerian_players' })
+        .expect(200);
+
+      const [sql] = db.getRows.mock.calls[0];
+      expect(sql).toContain('HAVING COUNT(DISTINCT ats.username) > 0');
+      expect(sql).toContain('ORDER BY country_players DESC');
+      expect(sql).toContain('country_players AS algerian_players');
+    });
+  });
+
+  describe('GET /suggestions', () => {
+    it('suggests players or beatmaps', async () => {
+      const players = await request(app).get('/api/search/suggestions').query({ q: 'sah' }).expect(200);
+      const beatmaps = await request(app).get('/api/search/suggestions').query({ q: 'free', type: 'beatmaps', limit: 3 }).expect(200);
+
+      expect(players.body.data).toEqual([player]);
+      expect(beatmaps.body.data).toEqual([beatmap]);
+      expect(db.getRows.mock.calls.map(([, params]) => params)).toEqual([['%sah%', 10, 'DZ'], ['%free%', 3]]);
+    });
+
+    it('returns nothing for queries shorter than two characters', async () => {
+      const res = await request(app).get('/api/search/suggestions').query({ q: 's' }).expect(200);
+
+      expect(res.body).toEqual({ success: true, data: [] });
+      expect(db.getRows).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /trending', () => {
+    it('returns the players and beatmaps with the most scores this week', async () => {
+      const res = await request(app).get('/api/search/trending').query({ limit: 5 }).expect(200);
+
+      expect(res.body.data).toEqual({ trendingPlayers: [player], trendingBeatmaps: [beatmap] });
+      db.getRows.mock.calls.forEach(([, params]) => expect(params).toEqual([NOW - WEEK, 5, 'DZ']));
+    });
+  });
+
+  describe('GET /player/:username/scores', () => {
+    it("searches the player's scores in every country unless one is asked for", async () => {
+      await request(app).get('/api/search/player/Sahara_DZ/scores').query({ q: 'free', minPP: 300, mods: 'HD' }).expect(200);
+      const res = await request(app).get('/api/search/player/Sahara_DZ/scores').query({ country: 'DZ', sortBy: 'accuracy' }).expect(200);
+
+      const [[anyCountry, anyParams], [inCountry, inParams]] = db.getRows.mock.calls;
+      expect(anyCountry).toContain('(beatmap_title ILIKE $2 OR artist ILIKE $2) AND pp >= $3 AND mods = $4');
+      expect(anyParams).toEqual(['%Sahara_DZ%', '%free%', 300, 'HD', 51]);
+      expect(inCountry).toContain('country = $2');
+      expect(inCountry).toContain('ORDER BY accuracy DESC');
+      expect(inParams).toEqual(['%Sahara_DZ%', 'DZ', 51]);
+      expect(res.body.meta).toMatchObject({ username: 'Sahara_DZ', total: 2 });
+    });
+  });
+});
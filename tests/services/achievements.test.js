@@ -0,0 +1,168 @@
+jest.mock('../../config/db', () => ({
+  query: jest.fn(),
+  getRows: jest.fn(),
+  getRow: jest.fn()
+}));
+
+jest.mock('../../services/discord', () => ({
+  discordService: { notify: jest.fn() }
+}));
+
+const { query, getRows, getRow } = require('../../config/db');
+const { discordService } = require('../../services/discord');
+const { checkAchievements } = require('../../services/achievements');
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2026, 9, 1, 18);
+
+// A score that only earns First Steps; play_date comes back from pg as a string like the real BIGINT
+const score = (overrides = {}) => ({
+  beatmap_id: 129891,
+  username: 'Sahara_DZ',
+  rank: 5,
+  score: 1000000,
+  accuracy: 0.9,
+  mods: 'None',
+  max_combo: 300,
+  difficulty_rating: 3.2,
+  count_miss: 4,
+  play_date: String(START),
+  last_updated: String(START),
+  ...overrides
+});
+
+const stats = (overrides = {}) => ({
+  username: 'Sahara_DZ',
+  total_pp: 250,
+  total_playtime: 3600,
+  country_rank: 0,
+  accuracy_avg: 0.9,
+  ...overrides
+});
+
+const ACHIEVEMENT_IDS = {};
+
+function givenPlayer(scores, playerStats = stats(), owned = []) {
+  getRows.mockResolvedValue(scores);
+  getRow.mockImplementation(async (sql, params) => {
+    if (sql.includes('FROM player_stats')) return playerStats;
+    if (sql.includes('FROM achievements')) {
+      const [name] = params;
+      ACHIEVEMENT_IDS[name] = ACHIEVEMENT_IDS[name] || Object.keys(ACHIEVEMENT_IDS).length + 1;
+      return { id: ACHIEVEMENT_IDS[name], description: name, category: 'test', icon: '🏆', points: 10 };
+    }
+    if (sql.includes('FROM player_achievements')) {
+      const name = Object.keys(ACHIEVEMENT_IDS).find(key => ACHIEVEMENT_IDS[key] === params[1]);
+      return owned.includes(name) ? { id: 1 } : undefined;
+    }
+    return undefined;
+  });
+}
+
+const daily = (days) => Array.from({ length: days.length }, (_, i) => score({
+  beatmap_id: 1000 + i,
+  play_date: String(START + days[i] * DAY)
+}));
+
+describe('checkAchievements', () => {
+  beforeEach(() => {
+    query.mockReset().mockResolvedValue({ rows: [], rowCount: 1 });
+    getRows.mockReset();
+    getRow.mockReset();
+    discordService.notify.mockReset().mockResolvedValue(true);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it('only awards First Steps for an unremarkable first score', async () => {
+    givenPlayer([score()]);
+
+    await expect(checkAchievements('Sahara_DZ')).resolves.toEqual(['First Steps']);
+  });
+
+  it('awards nothing to players without stats', async () => {
+    givenPlayer([score()], null);
+
+    await expect(checkAchievements('Sahara_DZ')).resolves.toEqual([]);
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  // [achievement, scores and stats that earn it, the closest miss]
+  const conditions = [
+    ['Century Club',
+      [Array.from({ length: 100 }, (_, i) => score({ beatmap_id: i })), stats()],
+      [Array.from({ length: 99 }, (_, i) => score({ beatmap_id: i })), stats()]],
+    ['PP Collector', [[score()], stats({ total_pp: 1000 })], [[score()], stats({ total_pp: 999.9 })]],
+    ['Perfectionist', [[score({ accuracy: 1 })], stats()], [[score({ accuracy: 0.9999 })], stats()]],
+    ['Speed Demon', [[score({ mods: 'HD,DT' })], stats()], [[score({ mods: 'HD' })], stats()]],
+    ['Precision Master', [[score({ mods: 'HR' })], stats()], [[score({ mods: 'EZ' })], stats()]],
+    ['In the Dark', [[score({ mods: 'HD' })], stats()], [[score({ mods: 'FL' })], stats()]],
+    ['Top Player', [[score({ rank: 1 })], stats()], [[score({ rank: 2 })], stats()]],
+    ['Dedication', [[score()], stats({ total_playtime: 360000 })], [[score()], stats({ total_playtime: 359999 })]],
+    ['Combo Master', [[score({ max_combo: 1000 })], stats()], [[score({ max_combo: 999 })], stats()]],
+    ['Mod Master',
+      [['HD', 'HR', 'DT', 'FL', 'EZ'].map((mods, i) => score({ beatmap_id: i, mods })), stats()],
+      [['HD', 'HR', 'DT', 'FL', 'None'].map((mods, i) => score({ beatmap_id: i, mods })), stats()]],
+    ['Rising Star', [[score()], stats({ country_rank: 100 })], [[score()], stats({ country_rank: 101 })]],
+    ['No Fail',
+      [[score({ difficulty_rating: 5, count_miss: 0 })], stats()],
+      [[score({ difficulty_rating: 5, count_miss: 1 }), score({ difficulty_rating: 4.99, count_miss: 0 })], stats()]],
+    ['Accuracy Elite', [[score()], stats({ accuracy_avg: 0.95 })], [[score()], stats({ accuracy_avg: 0.9499 })]],
+    ['Consistency King', [daily([0, 1, 2, 3, 4]), stats()], [daily([0, 1, 2, 3, 5]), stats()]]
+  ];
+
+  describe.each(conditions)('%s', (name, [earnedScores, earnedStats], [missedScores, missedStats]) => {
+    it('is awarded when the condition is met', async () => {
+      givenPlayer(earnedScores, earnedStats);
+
+      const unlocked = await checkAchievements('Sahara_DZ');
+
+      expect(unlocked).toContain(name);
+      expect(discordService.notify).toHaveBeenCalledWith('achievement_unlocked',
+        expect.objectContaining({ username: 'Sahara_DZ', name }));
+    });
+
+    it('is not awarded just short of it', async () => {
+      givenPlayer(missedScores, missedStats);
+
+      expect(await checkAchievements('Sahara_DZ')).not.toContain(name);
+    });
+  });
+
+  it('counts consecutive days in play order whatever order the scores come in', async () => {
+    givenPlayer(daily([30, 3, 31, 32, 0, 33, 34]).reverse());
+
+    expect(await checkAchievements('Sahara_DZ')).toContain('Consistency King');
+  });
+
+  it('counts several scores on one day once', async () => {
+    const sameDay = [0, 0, 0, 1, 1, 2, 3].map((day, i) => score({
+      beatmap_id: i,
+      play_date: String(START + day * DAY + i * 60000)
+    }));
+    givenPlayer(sameDay);
+
+    expect(await checkAchievements('Sahara_DZ')).not.toContain('Consistency King');
+  });
+
+  it('skips achievements the player already has', async () => {
+    givenPlayer([score({ rank: 1 })], stats(), ['First Steps']);
+
+    await expect(checkAchievements('Sahara_DZ')).resolves.toEqual(['Top Player']);
+    expect(query).toHaveBeenCalledTimes(1);
+    expect(query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO player_achievements'),
+      ['Sahara_DZ', ACHIEVEMENT_IDS['Top Player']]);
+  });
+
+  it('returns nothing when the database fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    getRows.mockRejectedValue(new Error('connection refused'));
+
+    await expect(checkAchievements('Sahara_DZ')).resolves.toEqual([]);
+    expect(console.error).toHaveBeenCalledWith('Achievement check failed:', 'connection refused');
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,110 @@
+jest.mock('redis', () => require('../helpers/redis'));
+jest.mock('../../config/db', () => require('../helpers/pgMem').createTestDatabase());
+
+const db = require('../../config/db');
+const { cacheService } = require('../../services/cache');
+const { authService } = require('../../services/auth');
+const { adminService } = require('../../services/admin');
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+
+const statuses = () => db.getRows('SELECT username, is_active, moderation_status FROM player_stats ORDER BY username');
+
+describe('AdminService', () => {
+  beforeAll(async () => {
+    await db.migrate();
+  });
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate'] });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(cacheService, 'invalidatePlayerRelatedCache').mockResolvedValue();
+    jest.spyOn(authService, 'revokeAll').mockResolvedValue(1);
+
+    await db.query('DELETE FROM user_accounts');
+    await db.query('DELETE FROM player_stats');
+    for (const [username, userId] of [['Sahara_DZ', 1], ['Sahara1DZ', 2], ['Kaze', 3], ['KAZE', 4]]) {
+      await db.query('INSERT INTO player_stats (username, user_id, country) VALUES ($1, $2, $3)', [username, userId, 'DZ']);
+    }
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('findPlayer', () => {
+    it('matches usernames whatever their case', async () => {
+      await expect(adminService.findPlayer('sahara_dz')).resolves.toMatchObject({ username: 'Sahara_DZ', user_id: 1 });
+    });
+
+    it('does not treat _ and % as wildcards', async () => {
+      await expect(adminService.findPlayer('Sahara_D_')).resolves.toBeNull();
+      await expect(adminService.findPlayer('%')).resolves.toBeNull();
+    });
+
+    it('prefers the exact spelling when names differ only by case, and refuses to guess otherwise', async () => {
+      await expect(adminService.findPlayer('KAZE')).resolves.toMatchObject({ user_id: 4 });
+      await expect(adminService.findPlayer('kaze')).resolves.toBeNull();
+    });
+  });
+
+  describe('moderatePlayer', () => {
+    it('bans exactly the named player and ends their sessions', async () => {
+      const { id } = await db.getRow(
+        "INSERT INTO user_accounts (osu_user_id, username, role) VALUES (1, 'Sahara_DZ', 'user') RETURNING id"
+      );
+
+      const player = await adminService.moderatePlayer('sahara_dz', 'banned', 'multi-accounting', 'Kaze');
+
+      expect(player).toMatchObject({
+        username: 'Sahara_DZ', is_active: false, moderation_status: 'banned',
+        moderation_reason: 'multi-accounting', moderated_by: 'Kaze'
+      });
+      expect(authService.revokeAll).toHaveBeenCalledWith(id);
+      expect(cacheService.invalidatePlayerRelatedCache).toHaveBeenCalledWith('Sahara_DZ');
+      expect(await statuses()).toEqual([
+        { username: 'KAZE', is_active: true, moderation_status: null },
+        { username: 'Kaze', is_active: true, moderation_status: null },
+        { username: 'Sahara1DZ', is_active: true, moderation_status: null },
+        { username: 'Sahara_DZ', is_active: false, moderation_status: 'banned' }
+      ]);
+    });
+
+    it('hides without ending sessions', async () => {
+      await expect(adminService.moderatePlayer('Sahara1DZ', 'hidden', 'smurf', 'Kaze'))
+        .resolves.toMatchObject({ moderation_status: 'hidden' });
+      expect(authService.revokeAll).not.toHaveBeenCalled();
+    });
+
+    it('changes nobody when the name is a pattern or ambiguous', async () => {
+      await expect(adminService.moderatePlayer('Sahara%', 'banned', 'wildcard', 'Kaze')).resolves.toBeNull();
+      await expect(adminService.moderatePlayer('kaze', 'banned', 'ambiguous', 'Kaze')).resolves.toBeNull();
+
+      expect((await statuses()).every(row => row.is_active)).toBe(true);
+      expect(cacheService.invalidatePlayerRelatedCache).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('restorePlayer', () => {
+    it('lifts the moderation of exactly the named player', async () => {
+      await adminService.moderatePlayer('Sahara_DZ', 'hidden', 'smurf', 'Kaze');
+      await adminService.moderatePlayer('Sahara1DZ', 'hidden', 'smurf', 'Kaze');
+
+      await expect(adminService.restorePlayer('SAHARA_DZ'))
+        .resolves.toEqual({ username: 'Sahara_DZ', is_active: true, moderation_status: null });
+      await expect(adminService.restorePlayer('Sahara_D_')).resolves.toBeNull();
+
+      expect((await statuses()).filter(row => !row.is_active).map(row => row.username)).toEqual(['Sahara1DZ']);
+    });
+  });
+
+  describe('mergePlayers', () => {
+    it('does not resolve either side by pattern', async () => {
+      await expect(adminService.mergePlayers('Sahara_D%', 'Sahara1DZ')).resolves.toBeNull();
+      await expect(adminService.mergePlayers('kaze', 'Sahara_DZ')).resolves.toBeNull();
+
+      expect(await statuses()).toHaveLength(4);
+    });
+  });
+});
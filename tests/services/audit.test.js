@@ -0,0 +1,155 @@
+jest.mock('../../config/db', () => require('../helpers/pgMem').createTestDatabase());
+
+const db = require('../../config/db');
+const { AuditService, redact } = require('../../services/audit');
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('redact', () => {
+  it('hides secrets at any depth and keeps flags about them', () => {
+    expect(redact({
+      reason: 'multi-accounting',
+      secret: 'abc',
+      rotateSecret: true,
+      nested: [{ apiKey: 'k', Authorization: 'Bearer x', count: 2 }]
+    })).toEqual({
+      reason: 'multi-accounting',
+      secret: '[REDACTED]',
+      rotateSecret: true,
+      nested: [{ apiKey: '[REDACTED]', Authorization: '[REDACTED]', count: 2 }]
+    });
+  });
+
+  it('keeps only the origin of URLs that carry a path or query', () => {
+    expect(redact({
+      url: 'https://discord.com/api/webhooks/123/token',
+      callbackUrl: 'https://example.com/',
+      avatarUrl: 'not a url'
+    })).toEqual({
+      url: 'https://discord.com/[REDACTED]',
+      callbackUrl: 'https://example.com',
+      avatarUrl: '[REDACTED]'
+    });
+  });
+
+  it('leaves scalars alone', () => {
+    expect(redact('text')).toBe('text');
+    expect(redact(null)).toBeNull();
+  });
+});
+
+describe('AuditService', () => {
+  const service = new AuditService();
+
+  const entry = (overrides = {}) => ({
+    actor: 'Kaze', action: 'player.ban', target: 'Sahara_DZ', method: 'POST', path: '/api/admin/players/Sahara_DZ/ban', status: 200, ...overrides
+  });
+
+  beforeAll(async () => {
+    await db.migrate();
+  });
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate'] });
+    await db.query('DELETE FROM admin_audit_log');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  // Record entries one minute apart, oldest first
+  const recordAll = async (entries) => {
+    for (const [i, overrides] of entries.entries()) {
+      jest.setSystemTime(NOW - (entries.length - i) * 60 * 1000);
+      await service.record(entry(overrides));
+    }
+    jest.setSystemTime(NOW);
+  };
+
+  it('stores the redacted payload', async () => {
+    const { id } = await service.record(entry({ payload: { reason: 'smurf', token: 't' } }));
+
+    const stored = await db.getRow('SELECT actor, target, payload, created_at FROM admin_audit_log WHERE id = $1', [id]);
+    expect(stored).toMatchObject({ actor: 'Kaze', target: 'Sahara_DZ', payload: { reason: 'smurf', token: '[REDACTED]' } });
+    expect(Number(stored.created_at)).toBe(NOW);
+  });
+
+  describe('search', () => {
+    beforeEach(async () => {
+      await recordAll([
+        { action: 'player.ban' },
+        { action: 'player.restore', actor: 'Mizu' },
+        { action: 'players.export', target: null },
+        { action: 'cache.clear', target: null, status: 403 },
+        { action: 'player', target: 'AtlasFC', status: 404 }
+      ]);
+    });
+
+    const actions = async (filters) => (await service.search(filters)).rows.map(row => row.action);
+
+    it('lists everything newest first with the total', async () => {
+      const { rows, total } = await service.search({ limit: 2 });
+
+      expect(total).toBe(5);
+      expect(rows.map(row => row.action)).toEqual(['player', 'cache.clear']);
+      expect(await actions({ limit: 2, offset: 2 })).toEqual(['players.export', 'player.restore']);
+    });
+
+    it('matches an action and its sub-actions, not actions that merely start the same', async () => {
+      expect(await actions({ action: 'player' })).toEqual(['player', 'player.restore', 'player.ban']);
+    });
+
+    it('filters by actor and target case-insensitively', async () => {
+      expect(await actions({ actor: 'mizu' })).toEqual(['player.restore']);
+      expect(await actions({ target: 'atlasfc' })).toEqual(['player']);
+    });
+
+    it('filters by outcome or status code', async () => {
+      expect(await actions({ status: 'failure' })).toEqual(['player', 'cache.clear']);
+      expect(await actions({ status: 'success' })).toHaveLength(3);
+      expect(await actions({ status: '403' })).toEqual(['cache.clear']);
+    });
+
+    it('filters by time', async () => {
+      expect(await actions({ from: NOW - 2 * 60 * 1000, to: NOW - 60 * 1000 })).toEqual(['player', 'cache.clear']);
+    });
+  });
+
+  describe('toCSV', () => {
+    it('writes one quoted line per entry with ISO dates', () => {
+      const csv = service.toCSV([{
+        id: 7, created_at: String(NOW), actor: 'Kaze', action: 'player.ban', target: 'Sahara, "DZ"',
+        method: 'POST', path: '/x', status: 200, ip: null, payload: { reason: 'smurf' }
+      }]);
+
+      expect(csv.split('\n')).toEqual([
+        'id,created_at,actor,action,target,method,path,status,ip,payload',
+        '7,2026-10-19T12:00:00.000Z,Kaze,player.ban,"Sahara, ""DZ""",POST,/x,200,,"{""reason"":""smurf""}"'
+      ]);
+    });
+
+    it('defuses values a spreadsheet would run as formulas', () => {
+      const [, line] = service.toCSV([{ id: 1, actor: '=HYPERLINK("x")', target: '-1' }]).split('\n');
+
+      expect(line).toBe(`1,,"'=HYPERLINK(""x"")",,'-1,,,,,`);
+    });
+  });
+
+  describe('prune', () => {
+    it('deletes entries past the retention window', async () => {
+      await recordAll([{ action: 'old' }]);
+      jest.setSystemTime(NOW - 40 * DAY);
+      await service.record(entry({ action: 'ancient' }));
+      jest.setSystemTime(NOW);
+
+      await expect(service.prune(30)).resolves.toBe(1);
+      expect((await service.search()).rows.map(row => row.action)).toEqual(['old']);
+    });
+
+    it('keeps everything without a retention window', async () => {
+      await expect(service.prune(0)).resolves.toBe(0);
+    });
+  });
+});
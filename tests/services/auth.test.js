@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+jest.mock('redis', () => require('../helpers/redis'));
+jest.mock('../../config/db', () => ({
+  query: jest.fn(),
+  getRows: jest.fn(),
+  getRow: jest.fn()
+}));
+jest.mock('../../services/osuApi', () => ({
+  getAuthorizationUrl: jest.fn(state => `https://osu.ppy.sh/oauth/authorize?state=${state}`),
+  exchangeAuthorizationCode: jest.fn(),
+  getAuthenticatedUser: jest.fn()
+}));
+
+const db = require('../../config/db');
+const { redisClient } = require('../../config/redis');
+const { config } = require('../../config/env');
+const { exchangeAuthorizationCode, getAuthenticatedUser } = require('../../services/osuApi');
+const { AuthService, AuthError } = require('../../services/auth');
+const { answerQueries } = require('../helpers/db');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+const DAY = 24 * 60 * 60 * 1000;
+
+const osuUser = { id: 4821930, username: 'Sahara_DZ', country: { code: 'DZ' }, statistics: { pp: 6120.4 } };
+const account = { id: 3, osu_user_id: '4821930', username: 'Sahara_DZ', role: 'user' };
+const storedToken = (overrides = {}) => ({ id: 40, account_id: 3, expires_at: NOW + DAY, revoked_at: null, ...overrides });
+
+describe('AuthService', () => {
+  let service;
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate'] });
+    await redisClient.flushAll();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    exchangeAuthorizationCode.mockReset().mockResolvedValue({ access_token: 'osu-token' });
+    getAuthenticatedUser.mockReset().mockResolvedValue(osuUser);
+    service = new AuthService();
+    jest.spyOn(service.playerDiscovery, 'registerPlayer').mockResolvedValue(true);
+    answerQueries(db, [
+      ['FROM player_stats WHERE user_id', { username: 'Sahara_DZ', moderation_status: null }],
+      ['SELECT role FROM user_accounts', null],
+      ['INSERT INTO user_accounts', account],
+      ['INSERT INTO refresh_tokens', { id: 41 }]
+    ]);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('OAuth state', () => {
+    it('remembers where to return to, once', async () => {
+      const url = await service.createLoginUrl('/players/Sahara_DZ');
+      const state = new URL(url).searchParams.get('state');
+
+      await expect(service.consumeState(state)).resolves.toEqual({ redirect: '/players/Sahara_DZ' });
+      await expect(service.consumeState(state)).resolves.toBeNull();
+    });
+
+    it('knows nothing of missing or made-up states', async () => {
+      await expect(service.consumeState(undefined)).resolves.toBeNull();
+      await expect(service.consumeState('made-up')).resolves.toBeNull();
+    });
+  });
+
+  describe('loginWithCode', () => {
+    it('registers the player and issues tokens for their account', async () => {
+      const result = await service.loginWithCode('code', { userAgent: 'jest', ip: '127.0.0.1' });
+
+      expect(service.playerDiscovery.registerPlayer).toHaveBeenCalledWith(osuUser, 'oauth_login', 'osu', osuUser.statistics);
+      expect(result).toMatchObject({ account, refreshTokenId: 41, tokenType: 'Bearer' });
+      const [, params] = db.getRow.mock.calls.find(([sql]) => sql.includes('INSERT INTO refresh_tokens'));
+      expect(params.slice(3)).toEqual(['jest', '127.0.0.1']);
+    });
+
+    it('turns osu! rejecting the code into a 401', async () => {
+      exchangeAuthorizationCode.mockRejectedValue(new Error('invalid_grant'));
+
+      await expect(service.loginWithCode('bad')).rejects.toMatchObject({ name: 'AuthError', status: 401 });
+    });
+
+    it('refuses players from untracked countries and banned players with a 403', async () => {
+      getAuthenticatedUser.mockResolvedValueOnce({ ...osuUser, country: { code: 'TN' } });
+      await expect(service.loginWithCode('code')).rejects.toMatchObject({ status: 403 });
+
+      answerQueries(db, [['FROM player_stats WHERE user_id', { username: 'Sahara_DZ', moderation_status: 'banned' }]]);
+      await expect(service.loginWithCode('code')).rejects.toThrow('This player is banned');
+    });
+  });
+
+  describe('resolveRole', () => {
+    let adminIds;
+    let superAdminIds;
+
+    beforeEach(() => {
+      ({ ADMIN_OSU_IDS: adminIds, SUPER_ADMIN_OSU_IDS: superAdminIds } = config);
+      config.ADMIN_OSU_IDS = [100];
+      config.SUPER_ADMIN_OSU_IDS = [200];
+    });
+
+    afterEach(() => {
+      config.ADMIN_OSU_IDS = adminIds;
+      config.SUPER_ADMIN_OSU_IDS = superAdminIds;
+    });
+
+    it('gives configured ids their role, whatever the account had', () => {
+      expect(service.resolveRole('100')).toBe('admin');
+      expect(service.resolveRole(200, 'admin')).toBe('super_admin');
+    });
+
+    it('keeps the current role of everyone else', () => {
+      expect(service.resolveRole(300)).toBe('user');
+      expect(service.resolveRole(300, 'admin')).toBe('admin');
+    });
+  });
+
+  describe('issueTokens', () => {
+    it('signs an access token and stores only the hash of the refresh token', async () => {
+      const tokens = await service.issueTokens(account);
+
+      const claims = jwt.verify(tokens.accessToken, config.JWT_SECRET);
+      expect(claims).toMatchObject({ id: 3, osuUserId: 4821930, username: 'Sahara_DZ', role: 'user' });
+      expect(tokens.expiresAt).toBe(claims.exp * 1000);
+      const [, params] = db.getRow.mock.calls[0];
+      expect(params).toEqual([3, hashToken(tokens.refreshToken), NOW + config.REFRESH_TOKEN_TTL_DAYS * DAY, null, null]);
+    });
+  });
+
+  describe('refresh', () => {
+    it('revokes the presented token and links it to its replacement', async () => {
+      answerQueries(db, [
+        ['WHERE token_hash', storedToken()],
+        ['SET revoked_at', { id: 40 }],
+        ['FROM user_accounts WHERE id', account],
+        ['INSERT INTO refresh_tokens', { id: 41 }],
+        ['SET replaced_by', { id: 40 }]
+      ]);
+
+      const result = await service.refresh('old-token');
+
+      expect(db.getRow.mock.calls[0][1]).toEqual([hashToken('old-token')]);
+      expect(result).toMatchObject({ account, refreshTokenId: 41 });
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('SET replaced_by'), [40, 41]);
+    });
+
+    it('rejects unknown and expired tokens', async () => {
+      answerQueries(db, [['WHERE token_hash', null]]);
+      await expect(service.refresh(undefined)).rejects.toThrow('Invalid refresh token');
+
+      answerQueries(db, [['WHERE token_hash', storedToken({ expires_at: NOW - 1 })]]);
+      await expect(service.refresh('old-token')).rejects.toThrow('Refresh token has expired');
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('revokes every session of the account when a rotated token comes back', async () => {
+      answerQueries(db, [
+        ['WHERE token_hash', storedToken({ revoked_at: NOW - DAY })],
+        ['WHERE id = $1 AND revoked_at IS NULL', null],
+        ['WHERE account_id = $1', [{ id: 41 }, { id: 42 }]]
+      ]);
+
+      await expect(service.refresh('old-token')).rejects.toThrow('Refresh token has been revoked');
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('WHERE account_id = $1'), [3, NOW]);
+    });
+
+    it('refuses tokens of deleted accounts', async () => {
+      answerQueries(db, [
+        ['WHERE token_hash', storedToken()],
+        ['SET revoked_at', { id: 40 }],
+        ['FROM user_accounts WHERE id', null]
+      ]);
+
+      await expect(service.refresh('old-token')).rejects.toEqual(new AuthError('Account no longer exists'));
+    });
+  });
+
+  describe('revoke', () => {
+    it('reports whether the token was still live', async () => {
+      answerQueries(db, [['SET revoked_at', null]]);
+
+      await expect(service.revoke('gone')).resolves.toBe(false);
+      expect(db.query).toHaveBeenCalledWith(expect.any(String), [hashToken('gone'), NOW]);
+    });
+
+    it('counts the sessions it ended for an account', async () => {
+      answerQueries(db, [['WHERE account_id = $1', [{ id: 40 }, { id: 41 }, { id: 42 }]]]);
+
+      await expect(service.revokeAll(3)).resolves.toBe(3);
+    });
+  });
+});
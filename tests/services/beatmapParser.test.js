@@ -0,0 +1,94 @@
+const { parseOsuFile, buildSliderPath, BeatmapParseError } = require('../../services/beatmapParser');
+
+// 200 BPM, 1.4x slider velocity: one beat of slider is 140px
+const osuFile = (hitObjects, difficulty = ['SliderMultiplier:1.4', 'SliderTickRate:1']) => [
+  'osu file format v14', '',
+  '[General]', 'Mode: 0', '',
+  '[Metadata]', 'Title:Sliders', 'Artist:Someone', 'Version:Hard', 'BeatmapID:4242', '',
+  '[Difficulty]', 'CircleSize:4', 'OverallDifficulty:8', ...difficulty, '',
+  '[TimingPoints]', '0,300,4,2,0,100,1,0', '',
+  '[HitObjects]', ...hitObjects
+].join('\n');
+
+const slider = line => parseOsuFile(osuFile([line])).hitObjects[0];
+
+describe('parseOsuFile', () => {
+  it('reads metadata and difficulty', () => {
+    const beatmap = parseOsuFile(osuFile(['256,192,1000,1,0']));
+
+    expect(beatmap).toMatchObject({ formatVersion: 14, mode: 'osu', metadata: { title: 'Sliders', beatmapId: 4242 } });
+    expect(beatmap.difficulty).toMatchObject({ cs: 4, od: 8, ar: 8, sliderMultiplier: 1.4, sliderTickRate: 1 });
+    expect(beatmap.hitObjects).toEqual([expect.objectContaining({ kind: 'circle', time: 1000 })]);
+  });
+
+  it('rejects files that are not .osu files', () => {
+    expect(() => parseOsuFile('')).toThrow(BeatmapParseError);
+    expect(() => parseOsuFile('[HitObjects]')).toThrow('missing "osu file format" header');
+  });
+
+  it('keeps slider velocity and tick rate to what the editor allows', () => {
+    const { difficulty } = parseOsuFile(osuFile([], ['SliderMultiplier:0.0001', 'SliderTickRate:1e9']));
+    expect(difficulty).toMatchObject({ sliderMultiplier: 0.4, sliderTickRate: 8 });
+
+    expect(parseOsuFile(osuFile([], ['SliderMultiplier:fast'])).difficulty.sliderMultiplier).toBe(1.4);
+  });
+
+  describe('sliders', () => {
+    it('places a tick every beat, never right on the end of a span', () => {
+      expect(slider('0,0,1000,2,0,L|420:0,1,420')).toMatchObject({ ticks: [1 / 3, 2 / 3], tickCount: 2, spanDuration: 900 });
+      expect(slider('0,0,1000,2,0,L|280:0,2,280')).toMatchObject({ ticks: [0.5], tickCount: 2, endTime: 2200, endX: 0 });
+      expect(slider('0,0,1000,2,0,L|130:0,1,130').ticks).toEqual([]);
+    });
+
+    it('clamps absurd lengths, repeats and tick counts instead of walking them', () => {
+      const started = Date.now();
+      const hostile = parseOsuFile(osuFile(['0,0,1000,2,0,L|500:0,1000000,1e9'], ['SliderMultiplier:0.4', 'SliderTickRate:8']));
+
+      expect(hostile.hitObjects[0]).toMatchObject({ slides: 100, length: 10000 });
+      expect(hostile.hitObjects[0].ticks).toHaveLength(100);
+      expect(Date.now() - started).toBeLessThan(1000);
+    });
+
+    it('rejects sliders with too many control points', () => {
+      const points = Array.from({ length: 256 }, (_, i) => `${i}:${i % 2}`).join('|');
+
+      expect(() => slider(`0,0,1000,2,0,B|${points},1,100`)).toThrow('Slider at 1000ms has more than 256 control points');
+    });
+
+    it('rejects files whose ticks and repeats add up past the budget', () => {
+      const sliders = Array.from({ length: 40 }, (_, i) => `0,0,${1000 + i},2,0,L|500:0,100,10000`);
+
+      expect(() => parseOsuFile(osuFile(sliders, ['SliderMultiplier:0.4', 'SliderTickRate:8'])))
+        .toThrow('Beatmap has too many slider ticks and repeats to analyse');
+    });
+
+    it('rejects files whose curves are too costly to flatten', () => {
+      const points = Array.from({ length: 200 }, (_, i) => `${(i * 37) % 512}:${(i * 91) % 384}`).join('|');
+      const sliders = Array.from({ length: 200 }, (_, i) => `0,0,${1000 + i},2,0,B|${points},1,10000`);
+
+      expect(() => parseOsuFile(osuFile(sliders))).toThrow('Beatmap sliders are too complex to analyse');
+    });
+  });
+
+  it('rejects files with too many hit objects before parsing them', () => {
+    const circles = Array.from({ length: 20001 }, (_, i) => `256,192,${i},1,0`);
+
+    expect(() => parseOsuFile(osuFile(circles))).toThrow('Beatmap has more than 20000 hit objects');
+  });
+});
+
+describe('buildSliderPath', () => {
+  it('flattens short curves finely', () => {
+    const path = buildSliderPath('B', [{ x: 0, y: 0 }, { x: 50, y: 100 }, { x: 100, y: 0 }], 150);
+
+    expect(path.length).toBeGreaterThan(20);
+    expect(path[0]).toEqual({ x: 0, y: 0 });
+  });
+
+  it('flattens long control polygons more coarsely to a bounded number of points', () => {
+    const points = Array.from({ length: 200 }, (_, i) => ({ x: (i * 37) % 512, y: (i * 91) % 384 }));
+
+    expect(buildSliderPath('B', points, 10000).length).toBeLessThanOrEqual(1000);
+    expect(buildSliderPath('C', points, 10000).length).toBeLessThanOrEqual(1000);
+  });
+});
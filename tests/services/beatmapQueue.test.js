@@ -0,0 +1,165 @@
+jest.mock('redis', () => require('../helpers/redis'));
+
+const { redisClient } = require('../../config/redis');
+const { config } = require('../../config/env');
+const { BeatmapQueueService, PRIORITY } = require('../../services/beatmapQueue');
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+const MINUTE = 60 * 1000;
+
+const beatmap = (beatmapId, title = `Beatmap ${beatmapId}`) => ({ beatmapId, title });
+
+describe('BeatmapQueueService', () => {
+  const queue = new BeatmapQueueService();
+
+  // Claim every due job of the mode, in order
+  async function claimAll(mode = 'osu') {
+    const jobs = [];
+    for (let job = await queue.claim(mode); job; job = await queue.claim(mode)) jobs.push(job);
+    return jobs;
+  }
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate'] });
+    await redisClient.flushAll();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('enqueue', () => {
+    it('queues each beatmap once per mode', async () => {
+      await expect(queue.enqueue('osu', [beatmap(129891), beatmap(131891)])).resolves.toBe(2);
+      await expect(queue.enqueue('osu', [beatmap(129891)])).resolves.toBe(0);
+      await expect(queue.enqueue('taiko', [beatmap(129891)])).resolves.toBe(1);
+
+      const stats = await queue.getStats();
+      expect(stats.osu).toMatchObject({ pending: 2, active: 0, delayed: 0, dead: 0 });
+      expect(stats.taiko.pending).toBe(1);
+    });
+
+    it('skips beatmaps being fetched or dead-lettered', async () => {
+      await queue.enqueue('osu', [beatmap(129891)]);
+      await queue.claim('osu');
+      await expect(queue.enqueue('osu', [beatmap(129891)])).resolves.toBe(0);
+
+      await redisClient.hSet('beatmap_queue:osu:dead', '131891', JSON.stringify({ beatmapId: 131891 }));
+      await expect(queue.enqueue('osu', [beatmap(131891)])).resolves.toBe(0);
+      await expect(queue.claim('osu')).resolves.toBeNull();
+    });
+  });
+
+  describe('claim', () => {
+    it('hands out known beatmaps before newly ranked ones, oldest first', async () => {
+      await queue.enqueue('osu', [beatmap(1), beatmap(2)], PRIORITY.RANKED);
+      jest.advanceTimersByTime(MINUTE);
+      await queue.enqueue('osu', [beatmap(3)], PRIORITY.KNOWN);
+      jest.advanceTimersByTime(MINUTE);
+      await queue.enqueue('osu', [beatmap(4)], PRIORITY.KNOWN);
+
+      expect((await claimAll()).map(job => job.beatmapId)).toEqual([3, 4, 1, 2]);
+    });
+
+    it('moves a pending beatmap up when it is queued again at a higher priority', async () => {
+      await queue.enqueue('osu', [beatmap(1), beatmap(2, 'Ranked title')], PRIORITY.RANKED);
+      await queue.enqueue('osu', [beatmap(2, 'Known title')], PRIORITY.KNOWN);
+      await queue.enqueue('osu', [beatmap(1)], PRIORITY.RANKED);
+
+      const jobs = await claimAll();
+      expect(jobs.map(job => job.beatmapId)).toEqual([2, 1]);
+      expect(jobs[0]).toMatchObject({ title: 'Known title', priority: PRIORITY.KNOWN, attempts: 0, mode: 'osu' });
+    });
+
+    it('hands a job out again once the lease of a worker that died runs out', async () => {
+      await queue.enqueue('osu', [beatmap(129891)]);
+      await queue.claim('osu');
+
+      jest.advanceTimersByTime(config.BEATMAP_QUEUE_LEASE_MS - 1);
+      await expect(queue.claim('osu')).resolves.toBeNull();
+
+      jest.advanceTimersByTime(1);
+      await expect(queue.claim('osu')).resolves.toMatchObject({ beatmapId: 129891 });
+    });
+  });
+
+  describe('fail', () => {
+    it('retries with a doubling delay', async () => {
+      await queue.enqueue('osu', [beatmap(129891)]);
+
+      let job = await queue.claim('osu');
+      await expect(queue.fail(job, new Error('HTTP 502'))).resolves.toEqual({
+        deadLettered: false, attempts: 1, retryAt: NOW + config.BEATMAP_QUEUE_RETRY_BASE_MS
+      });
+      expect((await queue.getStats()).osu).toMatchObject({ pending: 0, delayed: 1, active: 0, failed: 1 });
+      await expect(queue.claim('osu')).resolves.toBeNull();
+
+      jest.advanceTimersByTime(config.BEATMAP_QUEUE_RETRY_BASE_MS);
+      job = await queue.claim('osu');
+      expect(job).toMatchObject({ beatmapId: 129891, attempts: 1, lastError: 'HTTP 502' });
+
+      const { retryAt } = await queue.fail(job, new Error('HTTP 502'));
+      expect(retryAt).toBe(Date.now() + 2 * config.BEATMAP_QUEUE_RETRY_BASE_MS);
+    });
+
+    it('dead-letters a job after its last attempt and retries it on request', async () => {
+      await queue.enqueue('osu', [beatmap(129891), beatmap(131891)]);
+      const job = await queue.claim('osu');
+
+      const result = await queue.fail({ ...job, attempts: config.BEATMAP_QUEUE_MAX_ATTEMPTS - 1 }, new Error('Beatmap not found'));
+
+      expect(result).toEqual({ deadLettered: true, attempts: config.BEATMAP_QUEUE_MAX_ATTEMPTS });
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Beatmap 129891 (osu) dead-lettered'));
+      expect(await queue.getDeadLetters('osu')).toEqual([expect.objectContaining({
+        beatmapId: 129891, lastError: 'Beatmap not found', failedAt: NOW
+      })]);
+      expect((await queue.getStats()).osu).toMatchObject({ pending: 1, dead: 1, deadLettered: 1 });
+
+      await expect(queue.retryDeadLetters('osu', [131891])).resolves.toBe(0);
+      await expect(queue.retryDeadLetters('osu', [129891])).resolves.toBe(1);
+      expect(await queue.getDeadLetters('osu')).toEqual([]);
+      // Back at the front of the queue with a clean slate
+      expect(await queue.claim('osu')).toMatchObject({ beatmapId: 129891, priority: PRIORITY.KNOWN, attempts: 0 });
+    });
+  });
+
+  describe('process', () => {
+    it('fetches up to the limit and counts the outcomes', async () => {
+      await queue.enqueue('osu', [1, 2, 3, 4, 5].map(id => beatmap(id)));
+      const handler = jest.fn(async (job) => {
+        if (job.beatmapId === 2) throw new Error('HTTP 502');
+      });
+      const onProgress = jest.fn();
+
+      const totals = await queue.process('osu', handler, { limit: 4, onProgress });
+
+      expect(totals).toEqual({ processed: 3, failed: 1, deadLettered: 0 });
+      expect(handler.mock.calls.map(([job]) => job.beatmapId).sort()).toEqual([1, 2, 3, 4]);
+      expect(onProgress).toHaveBeenCalledTimes(4);
+      expect((await queue.getStats()).osu).toMatchObject({ pending: 1, delayed: 1, active: 0, processed: 3, failed: 1 });
+    });
+
+    it('stops when the queue runs dry', async () => {
+      await queue.enqueue('osu', [beatmap(1)]);
+
+      await expect(queue.process('osu', async () => {})).resolves.toEqual({ processed: 1, failed: 0, deadLettered: 0 });
+    });
+  });
+
+  describe('getStats', () => {
+    it('reports every tracked mode, null where Redis fails', async () => {
+      jest.spyOn(redisClient, 'zCard').mockImplementation(async (key) => {
+        if (key.startsWith('beatmap_queue:mania')) throw new Error('ECONNRESET');
+        return 0;
+      });
+
+      const stats = await queue.getStats();
+
+      expect(Object.keys(stats)).toEqual(['osu', 'taiko', 'fruits', 'mania']);
+      expect(stats.osu).toEqual({ pending: 0, delayed: 0, active: 0, dead: 0, processed: 0, failed: 0, deadLettered: 0 });
+      expect(stats.mania).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,160 @@
+jest.mock('redis', () => require('../helpers/redis'));
+
+const {
+  redisClient, getCached, setCached, invalidateCache, getCacheKey, acquireLock, renewLock, releaseLock, saveProgress, getProgress
+} = require('../../config/redis');
+const { cacheService } = require('../../services/cache');
+
+describe('Redis cache', () => {
+  beforeEach(async () => {
+    await redisClient.flushAll();
+    jest.spyOn(console, 'debug').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('config/redis helpers', () => {
+    it('builds lower-case keys from their parts', () => {
+      expect(getCacheKey('rankings', 'DZ', 'osu', 'weighted_pp', 50)).toBe('rankings:dz:osu:weighted_pp:50');
+    });
+
+    it('fetches once and serves the cached copy after that', async () => {
+      const fetch = jest.fn().mockResolvedValue({ players: ['Sahara_DZ'] });
+
+      await expect(getCached('rankings:dz', fetch, 60)).resolves.toEqual({ players: ['Sahara_DZ'] });
+      await expect(getCached('rankings:dz', fetch, 60)).resolves.toEqual({ players: ['Sahara_DZ'] });
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(await redisClient.ttl('rankings:dz')).toBe(60);
+    });
+
+    it('falls back to fetching directly when Redis fails', async () => {
+      jest.spyOn(redisClient, 'get').mockRejectedValueOnce(new Error('ECONNREFUSED'));
+      const fetch = jest.fn().mockResolvedValue([1, 2, 3]);
+
+      await expect(getCached('search:x', fetch)).resolves.toEqual([1, 2, 3]);
+      expect(console.warn).toHaveBeenCalledWith('Cache error, falling back to direct fetch:', 'ECONNREFUSED');
+    });
+
+    it('invalidates keys matching a pattern and leaves the rest', async () => {
+      await setCached('leaderboard:129891:dz:osu', { scores: [] });
+      await setCached('leaderboard:129891:ma:osu', { scores: [] });
+      await setCached('leaderboard:131891:dz:osu', { scores: [] });
+
+      await invalidateCache('leaderboard:129891:*');
+
+      expect(await redisClient.keys('*')).toEqual(['leaderboard:131891:dz:osu']);
+    });
+
+    it('saves and reads progress markers', async () => {
+      await saveProgress('discovery', '42');
+
+      await expect(getProgress('discovery')).resolves.toBe('42');
+      await expect(getProgress('missing')).resolves.toBeNull();
+    });
+  });
+
+  describe('locks', () => {
+    it('can only be held by one caller at a time', async () => {
+      const token = await acquireLock('fetch-leaderboards', 10000);
+
+      expect(token).toMatch(/^[0-9a-f]{32}$/);
+      await expect(acquireLock('fetch-leaderboards', 10000)).resolves.toBeNull();
+
+      await releaseLock('fetch-leaderboards', token);
+      await expect(acquireLock('fetch-leaderboards', 10000)).resolves.toEqual(expect.any(String));
+    });
+
+    it('are only renewed and released by their holder', async () => {
+      const token = await acquireLock('daily-stats', 1000);
+
+      await expect(renewLock('daily-stats', 'someone-else', 60000)).resolves.toBe(false);
+      await expect(renewLock('daily-stats', token, 60000)).resolves.toBe(true);
+      expect(await redisClient.pTTL('lock:daily-stats')).toBeGreaterThan(1000);
+
+      await releaseLock('daily-stats', 'someone-else');
+      await expect(redisClient.exists('lock:daily-stats')).resolves.toBe(1);
+      await releaseLock('daily-stats', token);
+      await expect(redisClient.exists('lock:daily-stats')).resolves.toBe(0);
+    });
+
+    it('are not acquired when Redis is unreachable', async () => {
+      jest.spyOn(redisClient, 'set').mockRejectedValueOnce(new Error('ECONNREFUSED'));
+
+      await expect(acquireLock('fetch-leaderboards', 10000)).resolves.toBeNull();
+    });
+  });
+
+  describe('CacheService', () => {
+    it('round-trips player, leaderboard and rankings entries', async () => {
+      const rankings = { country: 'DZ', mode: 'osu', sort: 'weighted_pp', limit: 50, cursor: 'first' };
+
+      await cacheService.cachePlayer('Sahara_DZ', 'osu', { username: 'Sahara_DZ' });
+      await cacheService.cacheLeaderboard(129891, 'DZ', 'osu', [{ rank: 1 }]);
+      await cacheService.cacheRankings(rankings, { players: [] });
+
+      await expect(cacheService.getPlayerCache('Sahara_DZ', 'osu')).resolves.toEqual({ username: 'Sahara_DZ' });
+      await expect(cacheService.getPlayerCache('Sahara_DZ', 'taiko')).resolves.toBeNull();
+      await expect(cacheService.getLeaderboardCache(129891, 'DZ', 'osu')).resolves.toEqual([{ rank: 1 }]);
+      await expect(cacheService.getRankingsCache(rankings)).resolves.toEqual({ players: [] });
+      await expect(cacheService.getRankingsCache({ ...rankings, cursor: 'c0ffee' })).resolves.toBeNull();
+    });
+
+    it('drops everything about a player, plus the rankings and analytics built on them', async () => {
+      await cacheService.cachePlayer('Sahara_DZ', 'osu', {});
+      await cacheService.cachePlayer('Sahara_DZ', 'taiko', {});
+      await cacheService.cachePlayer('AtlasFC', 'osu', {});
+      await cacheService.cacheAchievements('Sahara_DZ', []);
+      await cacheService.cacheRankings({ country: 'DZ' }, {});
+      await cacheService.cacheAnalytics('overview', {});
+      await cacheService.cacheBeatmap(129891, {});
+
+      await expect(cacheService.invalidatePlayerRelatedCache('Sahara_DZ')).resolves.toBe(5);
+      expect((await redisClient.keys('*')).sort()).toEqual(['beatmap:129891', 'player:atlasfc:osu']);
+    });
+
+    it('clears one namespace', async () => {
+      await cacheService.cacheSearch('sahara', 'players', []);
+      await cacheService.cacheSearch('freedom', 'beatmaps', []);
+      await cacheService.cacheBeatmap(129891, {});
+
+      await expect(cacheService.invalidateNamespace('search')).resolves.toBe(2);
+      expect(await redisClient.keys('*')).toEqual(['beatmap:129891']);
+    });
+
+    it('reads and writes several keys at once', async () => {
+      await cacheService.mset([['a', { n: 1 }], ['b', [2]]], 120);
+
+      await expect(cacheService.mget(['a', 'missing', 'b'])).resolves.toEqual([{ n: 1 }, null, [2]]);
+      await expect(cacheService.ttl('b')).resolves.toBe(120);
+    });
+
+    it('only warms the cache with real data', async () => {
+      await expect(cacheService.warmCache(async () => ({ ok: true }), 'warm:yes')).resolves.toEqual({ ok: true });
+      await expect(cacheService.warmCache(async () => null, 'warm:no')).resolves.toBeNull();
+
+      await expect(cacheService.exists('warm:yes')).resolves.toBe(1);
+      await expect(cacheService.exists('warm:no')).resolves.toBe(0);
+    });
+
+    it('reports its health and size', async () => {
+      await cacheService.set('a', 1);
+      await cacheService.set('b', 2);
+
+      await expect(cacheService.getCacheHealth()).resolves.toEqual({
+        status: 'healthy', pingTime: expect.any(Number), totalKeys: 2, timestamp: expect.any(Number)
+      });
+    });
+
+    it('treats Redis failures as cache misses', async () => {
+      jest.spyOn(redisClient, 'get').mockRejectedValue(new Error('ECONNREFUSED'));
+
+      await expect(cacheService.getPlayerCache('Sahara_DZ', 'osu')).resolves.toBeNull();
+      await expect(cacheService.get('anything')).resolves.toBeNull();
+      expect(console.warn).toHaveBeenCalledWith('Failed to get player cache:', 'ECONNREFUSED');
+    });
+  });
+});
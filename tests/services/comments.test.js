@@ -0,0 +1,200 @@
+jest.mock('../../config/db', () => ({
+  query: jest.fn(),
+  getRows: jest.fn(),
+  getRow: jest.fn(),
+  pool: { connect: jest.fn() }
+}));
+
+const db = require('../../config/db');
+const { config } = require('../../config/env');
+const { feedService } = require('../../services/feed');
+const { decodeCursor } = require('../../middleware/pagination');
+const { CommentService, CommentError, checkCommentText } = require('../../services/comments');
+const { answerQueries } = require('../helpers/db');
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+
+// A pooled client answering like answerQueries, remembering every statement it ran
+function connectClient(answers) {
+  const client = {
+    statements: [],
+    query: jest.fn(async (sql, params = []) => {
+      client.statements.push(sql.trim().split(/\s+/).slice(0, 2).join(' '));
+      const answer = answers.find(([pattern]) => sql.includes(pattern));
+      const rows = answer ? [].concat(answer[1]) : [];
+      return { rows, rowCount: rows.length };
+    }),
+    release: jest.fn()
+  };
+  db.pool.connect.mockResolvedValue(client);
+  return client;
+}
+
+const comment = (overrides = {}) => ({
+  id: 12, target_username: 'AtlasFC', commenter_username: 'Sahara_DZ', comment_text: 'gg', is_deleted: false, is_hidden: false, ...overrides
+});
+
+describe('checkCommentText', () => {
+  it('accepts ordinary comments', () => {
+    expect(checkCommentText('gg on the #1, that FC was clean')).toBeNull();
+  });
+
+  it('rejects empty and overlong comments', () => {
+    expect(checkCommentText('   ')).toBe('Comment cannot be empty');
+    expect(checkCommentText(undefined)).toBe('Comment cannot be empty');
+    expect(checkCommentText('a'.repeat(config.COMMENT_MAX_LENGTH + 1)))
+      .toBe(`Comment must be at most ${config.COMMENT_MAX_LENGTH} characters`);
+  });
+
+  it('rejects links', () => {
+    expect(checkCommentText('see www.example.com')).toBe('Links are not allowed in comments');
+    expect(checkCommentText('join discord.gg/osu')).toBe('Links are not allowed in comments');
+  });
+
+  it('sees through accents and letter substitutions in blocked words', () => {
+    expect(checkCommentText('sh1t play')).toBe('Comment contains blocked language');
+    expect(checkCommentText('quel bâtard')).toBe('Comment contains blocked language');
+    expect(checkCommentText('nice shot', ['shot'])).toBe('Comment contains blocked language');
+  });
+});
+
+describe('CommentService', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate'] });
+    db.pool.connect.mockReset();
+    answerQueries(db, []);
+    service = new CommentService();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('create', () => {
+    it('counts recent comments under a lock on the commenter, then posts', async () => {
+      const client = connectClient([
+        ['COUNT(*)', { last_minute: '0', last_hour: '4' }],
+        ['INSERT INTO player_comments', { id: 12, comment_text: 'gg' }]
+      ]);
+
+      await expect(service.create('AtlasFC', 'Sahara_DZ', '  gg  ')).resolves.toEqual({ id: 12, comment_text: 'gg' });
+
+      expect(client.statements).toEqual(['BEGIN', 'SELECT 1', 'SELECT COUNT(*)', 'INSERT INTO', 'COMMIT']);
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining('FOR UPDATE'), ['Sahara_DZ']);
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO player_comments'), ['AtlasFC', 'Sahara_DZ', 'gg', NOW]);
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it.each([
+      ['a minute', { last_minute: String(config.COMMENT_RATE_LIMIT_PER_MINUTE), last_hour: '5' }],
+      ['an hour', { last_minute: '0', last_hour: String(config.COMMENT_RATE_LIMIT_PER_HOUR) }]
+    ])('refuses commenters over the limit for %s, posting nothing', async (_, counts) => {
+      const client = connectClient([['COUNT(*)', counts]]);
+
+      await expect(service.create('AtlasFC', 'Sahara_DZ', 'gg')).rejects.toEqual(
+        new CommentError('You are commenting too fast, try again later', 429)
+      );
+
+      expect(client.statements).toEqual(['BEGIN', 'SELECT 1', 'SELECT COUNT(*)', 'ROLLBACK']);
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('refuses banned commenters and unacceptable text without opening a transaction', async () => {
+      answerQueries(db, [['FROM comment_bans', { username: 'Sahara_DZ' }]]);
+      await expect(service.create('AtlasFC', 'Sahara_DZ', 'gg')).rejects.toMatchObject({ status: 403 });
+
+      answerQueries(db, []);
+      await expect(service.create('AtlasFC', 'Sahara_DZ', 'www.example.com')).rejects.toMatchObject({ status: 400 });
+
+      expect(db.pool.connect).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listForPlayer', () => {
+    it('continues after the cursor and hands out the next one', async () => {
+      answerQueries(db, [['FROM player_comments c', [
+        { id: 9, created_at: String(NOW - 1000) }, { id: 8, created_at: String(NOW - 2000) }, { id: 7, created_at: String(NOW - 3000) }
+      ]]]);
+
+      const cursor = { key: [String(NOW), 10], rank: null, backward: false };
+      const page = await service.listForPlayer('AtlasFC', { limit: 2, cursor, fingerprint: 'f' });
+
+      expect(page.items.map(item => item.id)).toEqual([9, 8]);
+      expect(decodeCursor(page.nextCursor)).toEqual({ f: 'f', k: [String(NOW - 2000), 8] });
+      expect(db.getRows.mock.calls[0][0]).toContain('ORDER BY c.created_at DESC NULLS LAST, c.id DESC NULLS LAST');
+      expect(db.getRows.mock.calls[0][1]).toEqual(['AtlasFC', String(NOW), 10, 3]);
+    });
+  });
+
+  describe('update', () => {
+    it('lets authors edit their visible comments', async () => {
+      answerQueries(db, [['SELECT * FROM player_comments', comment()], ['UPDATE player_comments', comment({ comment_text: 'GG' })]]);
+
+      await expect(service.update(12, 'Sahara_DZ', ' GG ')).resolves.toMatchObject({ comment_text: 'GG' });
+      expect(db.getRow).toHaveBeenLastCalledWith(expect.any(String), [12, 'GG', NOW]);
+    });
+
+    it.each([
+      ['missing', null, 'Sahara_DZ', 404],
+      ['deleted', comment({ is_deleted: true }), 'Sahara_DZ', 404],
+      ["someone else's", comment(), 'AtlasFC', 403],
+      ['hidden', comment({ is_hidden: true }), 'Sahara_DZ', 403]
+    ])('refuses to edit %s comments', async (_, existing, username, status) => {
+      answerQueries(db, [['SELECT * FROM player_comments', existing]]);
+
+      await expect(service.update(12, username, 'GG')).rejects.toMatchObject({ status });
+    });
+  });
+
+  describe('remove', () => {
+    it('lets authors and admins delete, and nobody else', async () => {
+      answerQueries(db, [['SELECT * FROM player_comments', comment()]]);
+
+      await expect(service.remove(12, { username: 'Sahara_DZ', role: 'user' })).resolves.toEqual({ id: 12, deleted: true });
+      await expect(service.remove(12, { username: 'Kaze', role: 'super_admin' })).resolves.toEqual({ id: 12, deleted: true });
+      await expect(service.remove(12, { username: 'AtlasFC', role: 'user' })).rejects.toMatchObject({ status: 403 });
+    });
+  });
+
+  describe('report', () => {
+    it('reports visible comments of other players once', async () => {
+      answerQueries(db, [['SELECT * FROM player_comments', comment()], ['INSERT INTO comment_reports', { id: 1 }]]);
+
+      await expect(service.report(12, 'Kaze', 'spam')).resolves.toBe(true);
+      await expect(service.report(12, 'Sahara_DZ')).rejects.toThrow('You cannot report your own comment');
+
+      answerQueries(db, [['SELECT * FROM player_comments', comment({ is_hidden: true })]]);
+      await expect(service.report(12, 'Kaze')).rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('commenting bans', () => {
+    beforeEach(() => {
+      jest.spyOn(feedService, 'findPlayer').mockImplementation(async username =>
+        (username.toLowerCase() === 'sahara_dz' ? { username: 'Sahara_DZ', is_active: true } : undefined));
+    });
+
+    it('bans the player the name matches exactly, for a number of days', async () => {
+      answerQueries(db, [['INSERT INTO comment_bans', params => ({ username: params[0] })]]);
+
+      await expect(service.banCommenter('sahara_dz', 'Kaze', 'harassment', 7)).resolves.toEqual({ username: 'Sahara_DZ' });
+      expect(db.getRow.mock.calls[0][1]).toEqual(['Sahara_DZ', 'harassment', 'Kaze', NOW, NOW + 7 * 24 * 60 * 60 * 1000]);
+    });
+
+    it('bans nobody for unknown names', async () => {
+      await expect(service.banCommenter('Sahara_D%', 'Kaze', 'harassment')).resolves.toBeNull();
+      expect(db.getRow).not.toHaveBeenCalled();
+    });
+
+    it('lifts the ban of exactly that player', async () => {
+      answerQueries(db, [['DELETE FROM comment_bans', { username: 'Sahara_DZ' }]]);
+
+      await expect(service.unbanCommenter('SAHARA_DZ')).resolves.toBe(true);
+      expect(db.query).toHaveBeenCalledWith('DELETE FROM comment_bans WHERE username = $1', ['Sahara_DZ']);
+      await expect(service.unbanCommenter('_ahara_DZ')).resolves.toBe(false);
+    });
+  });
+});
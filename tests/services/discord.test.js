@@ -0,0 +1,209 @@
+const http = require('http');
+
+jest.mock('../../config/db', () => ({
+  query: jest.fn(),
+  getRows: jest.fn(),
+  getRow: jest.fn()
+}));
+
+const { query, getRows } = require('../../config/db');
+const { DiscordService } = require('../../services/discord');
+
+// Local stand-in for the Discord webhook endpoint
+function startWebhookStandIn() {
+  const standIn = { requests: [], responses: [] };
+
+  standIn.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      standIn.requests.push(JSON.parse(body));
+      const { status = 204, data } = standIn.responses.shift() || {};
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(data ? JSON.stringify(data) : undefined);
+    });
+  });
+
+  return new Promise(resolve => {
+    standIn.server.listen(0, '127.0.0.1', () => {
+      standIn.url = `http://127.0.0.1:${standIn.server.address().port}/webhook`;
+      resolve(standIn);
+    });
+  });
+}
+
+const allEvents = { new_first: true, new_player: true, achievement_unlocked: true, rank_milestone: true };
+
+const outboxEntry = (overrides = {}) => ({
+  id: 1,
+  event_type: 'new_first',
+  attempts: 0,
+  payload: {
+    beatmapId: 129891,
+    beatmapTitle: 'xi - FREEDOM DiVE [FOUR DIMENSIONS]',
+    username: 'player1',
+    country: 'DZ',
+    mode: 'osu',
+    score: 12345678,
+    pp: 612.4,
+    accuracy: 0.9871,
+    mods: 'HD,DT',
+    previousHolder: 'player2',
+    timestamp: 1700000000000
+  },
+  ...overrides
+});
+
+describe('DiscordService', () => {
+  let standIn;
+  let service;
+
+  beforeAll(async () => {
+    standIn = await startWebhookStandIn();
+  });
+
+  afterAll(() => new Promise(resolve => standIn.server.close(resolve)));
+
+  beforeEach(() => {
+    standIn.requests = [];
+    standIn.responses = [];
+    query.mockReset().mockResolvedValue({ rows: [], rowCount: 1 });
+    getRows.mockReset().mockResolvedValue([]);
+    service = new DiscordService({
+      webhookUrl: standIn.url,
+      enabled: true,
+      eventToggles: { ...allEvents },
+      maxAttempts: 3,
+      retryBaseMs: 1000
+    });
+  });
+
+  const lastUpdateParams = () => query.mock.calls[query.mock.calls.length - 1][1];
+
+  describe('buildMessage', () => {
+    it('renders a new #1 embed', () => {
+      const { embeds: [embed] } = service.buildMessage('new_first', outboxEntry().payload);
+
+      expect(embed.title).toBe('👑 New #1 on xi - FREEDOM DiVE [FOUR DIMENSIONS]');
+      expect(embed.url).toBe('https://osu.ppy.sh/b/129891');
+      expect(embed.description).toContain('beating **player2**');
+      expect(embed.fields).toEqual(expect.arrayContaining([
+        { name: 'Score', value: '12,345,678', inline: true },
+        { name: 'Accuracy', value: '98.71%', inline: true },
+        { name: 'Mods', value: 'HD,DT', inline: true }
+      ]));
+      expect(embed.timestamp).toBe(new Date(1700000000000).toISOString());
+    });
+
+    it('renders every supported event type', () => {
+      const payloads = {
+        new_player: { username: 'newbie', userId: 42, country: 'DZ', globalRank: 15000, pp: 3200 },
+        achievement_unlocked: { username: 'player1', name: 'Top Player', icon: '👑', points: 200, description: 'Reach #1 on any beatmap' },
+        rank_milestone: { username: 'player1', country: 'DZ', mode: 'osu', milestone: 10, previousRank: 14, currentRank: 9, pp: 7000 }
+      };
+
+      expect(service.buildMessage('new_player', payloads.new_player).embeds[0].title).toBe('🆕 New player: newbie');
+      expect(service.buildMessage('achievement_unlocked', payloads.achievement_unlocked).embeds[0].title)
+        .toBe('👑 player1 unlocked Top Player');
+      expect(service.buildMessage('rank_milestone', payloads.rank_milestone).embeds[0].fields[0].value).toBe('#14 → #9');
+    });
+
+    it('rejects unknown event types', () => {
+      expect(() => service.buildMessage('nope', {})).toThrow('Unknown Discord event type');
+    });
+  });
+
+  describe('notify', () => {
+    it('queues enabled events in the outbox', async () => {
+      jest.spyOn(service, 'processOutbox').mockResolvedValue({});
+
+      await expect(service.notify('new_player', { username: 'newbie' })).resolves.toBe(true);
+
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO discord_outbox'), ['new_player', expect.any(String)]);
+      expect(service.processOutbox).toHaveBeenCalled();
+    });
+
+    it('skips events that are toggled off', async () => {
+      service.eventToggles.new_player = false;
+
+      await expect(service.notify('new_player', { username: 'newbie' })).resolves.toBe(false);
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('skips everything when notifications are disabled', async () => {
+      service.enabled = false;
+
+      await expect(service.notify('new_first', outboxEntry().payload)).resolves.toBe(false);
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('processOutbox', () => {
+    it('delivers due entries and marks them sent', async () => {
+      getRows.mockResolvedValue([outboxEntry()]);
+
+      const result = await service.processOutbox();
+
+      expect(result).toEqual({ sent: 1, failed: 0, retried: 0 });
+      expect(standIn.requests).toHaveLength(1);
+      expect(standIn.requests[0].embeds[0].title).toContain('New #1');
+      expect(query.mock.calls[0][0]).toContain("status = 'sent'");
+    });
+
+    it('reschedules with exponential backoff on server errors', async () => {
+      getRows.mockResolvedValue([outboxEntry({ attempts: 1 })]);
+      standIn.responses.push({ status: 500 });
+
+      const before = Date.now();
+      const result = await service.processOutbox();
+
+      expect(result.retried).toBe(1);
+      const [, status, attempts, error, nextAttemptAt] = lastUpdateParams();
+      expect(status).toBe('pending');
+      expect(attempts).toBe(2);
+      expect(error).toContain('500');
+      expect(nextAttemptAt).toBeGreaterThanOrEqual(before + 2000);
+    });
+
+    it("honours Discord's retry_after when rate limited", async () => {
+      getRows.mockResolvedValue([outboxEntry()]);
+      standIn.responses.push({ status: 429, data: { retry_after: 7.5 } });
+
+      const before = Date.now();
+      await service.processOutbox();
+
+      const [, status, , , nextAttemptAt] = lastUpdateParams();
+      expect(status).toBe('pending');
+      expect(nextAttemptAt).toBeGreaterThanOrEqual(before + 7500);
+      expect(nextAttemptAt).toBeLessThan(before + 7500 + 1000);
+    });
+
+    it('gives up after the last attempt', async () => {
+      getRows.mockResolvedValue([outboxEntry({ attempts: 2 })]);
+      standIn.responses.push({ status: 502 });
+
+      const result = await service.processOutbox();
+
+      expect(result.failed).toBe(1);
+      expect(lastUpdateParams()[1]).toBe('failed');
+    });
+
+    it('does not retry requests Discord rejected', async () => {
+      getRows.mockResolvedValue([outboxEntry()]);
+      standIn.responses.push({ status: 400, data: { message: 'Invalid Form Body' } });
+
+      const result = await service.processOutbox();
+
+      expect(result.failed).toBe(1);
+      expect(lastUpdateParams()[1]).toBe('failed');
+    });
+
+    it('reclaims entries left in sending by a crashed process', async () => {
+      await service.processOutbox();
+
+      const [sql, params] = getRows.mock.calls[0];
+      expect(sql).toContain("status = 'sending' AND locked_at < $2");
+      expect(params[1]).toBeLessThan(params[0]);
+    });
+  });
+});
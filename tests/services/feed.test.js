@@ -0,0 +1,95 @@
+jest.mock('../../config/db', () => require('../helpers/pgMem').createTestDatabase());
+
+const db = require('../../config/db');
+const { FeedService } = require('../../services/feed');
+const { decodeCursor } = require('../../middleware/pagination');
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+const MINUTE = 60 * 1000;
+
+// req.page as the pagination middleware reads it from ?limit= and ?cursor=
+const page = (limit, cursor) => {
+  if (!cursor) return { limit, cursor: null, fingerprint: 'f' };
+  const { k, r, b } = decodeCursor(cursor);
+  return { limit, cursor: { key: k, rank: r ?? null, backward: b === 1 }, fingerprint: 'f' };
+};
+
+describe('FeedService', () => {
+  const service = new FeedService();
+
+  beforeAll(async () => {
+    await db.migrate();
+  });
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate'] });
+    await db.query('DELETE FROM player_relationships');
+    await db.query('DELETE FROM player_activity');
+    await db.query('DELETE FROM player_stats');
+    for (const [username, isActive] of [['Sahara_DZ', true], ['Sahara1DZ', true], ['Kaze', true], ['KAZE', true], ['AtlasFC', false]]) {
+      await db.query('INSERT INTO player_stats (username, country, is_active) VALUES ($1, $2, $3)', [username, 'DZ', isActive]);
+    }
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('findPlayer', () => {
+    it('matches usernames whatever their case, but not as patterns', async () => {
+      await expect(service.findPlayer('sahara_dz')).resolves.toEqual({ username: 'Sahara_DZ', country: 'DZ', is_active: true });
+      await expect(service.findPlayer('Sahara_D_')).resolves.toBeUndefined();
+      await expect(service.findPlayer('%')).resolves.toBeUndefined();
+    });
+
+    it('prefers the exact spelling when names differ only by case', async () => {
+      await expect(service.findPlayer('KAZE')).resolves.toMatchObject({ username: 'KAZE' });
+      await expect(service.findPlayer('Kaze')).resolves.toMatchObject({ username: 'Kaze' });
+    });
+  });
+
+  describe('follow', () => {
+    it('creates a follow once and removes it once', async () => {
+      await expect(service.follow('Sahara_DZ', 'Kaze')).resolves.toBe(true);
+      await service.follow('Sahara_DZ', 'Kaze');
+      expect(await db.getRows('SELECT follower_username, following_username FROM player_relationships'))
+        .toEqual([{ follower_username: 'Sahara_DZ', following_username: 'Kaze' }]);
+
+      await expect(service.unfollow('Sahara_DZ', 'Kaze')).resolves.toBe(true);
+      await expect(service.unfollow('Sahara_DZ', 'Kaze')).resolves.toBe(false);
+    });
+  });
+
+  describe('listRelationships', () => {
+    beforeEach(async () => {
+      // Followed one minute apart: Sahara1DZ first, KAZE last
+      for (const [i, following] of ['Sahara1DZ', 'Kaze', 'AtlasFC', 'KAZE'].entries()) {
+        jest.setSystemTime(NOW - (4 - i) * MINUTE);
+        await service.follow('Sahara_DZ', following);
+      }
+      jest.setSystemTime(NOW);
+    });
+
+    const usernames = page => page.items.map(item => item.username);
+
+    it('pages through active players, most recent follow first', async () => {
+      const first = await service.listRelationships('Sahara_DZ', 'following', page(2));
+      expect(usernames(first)).toEqual(['KAZE', 'Kaze']);
+      expect(first.prevCursor).toBeNull();
+
+      const second = await service.listRelationships('Sahara_DZ', 'following', page(2, first.nextCursor));
+      expect(usernames(second)).toEqual(['Sahara1DZ']);
+      expect(second.nextCursor).toBeNull();
+
+      const back = await service.listRelationships('Sahara_DZ', 'following', page(2, second.prevCursor));
+      expect(usernames(back)).toEqual(['KAZE', 'Kaze']);
+      expect(back.prevCursor).toBeNull();
+    });
+
+    it('lists followers the other way round', async () => {
+      const { items } = await service.listRelationships('Kaze', 'followers', page(50));
+
+      expect(items).toEqual([expect.objectContaining({ username: 'Sahara_DZ' })]);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+jest.mock('../../config/db', () => ({
+  query: jest.fn(),
+  getRows: jest.fn(),
+  getRow: jest.fn(),
+  pool: { connect: jest.fn() }
+}));
+
+const db = require('../../config/db');
+const { H2HRatingService, ratePeriod, winProbability, beatmapMatches } = require('../../services/h2hRatings');
+const { answerQueries } = require('../helpers/db');
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+const DAY = 24 * 60 * 60 * 1000;
+const SCALE = 173.7178;
+
+// Glicko-2 scale from a rating and deviation on the Glicko scale
+const glicko2 = (rating, deviation, sigma = 0.06) => ({ mu: (rating - 1500) / SCALE, phi: deviation / SCALE, sigma });
+
+// A pooled client that remembers every statement and answers the rating lookup
+function connectClient(ratings = []) {
+  const client = {
+    query: jest.fn(async (sql) => ({ rows: sql.includes('FROM h2h_ratings') ? ratings : [], rowCount: 0 })),
+    release: jest.fn()
+  };
+  db.pool.connect.mockResolvedValue(client);
+  return client;
+}
+
+const upserts = client => client.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO h2h_ratings')).map(([, params]) => params);
+
+describe('ratePeriod', () => {
+  it("reproduces the worked example of Glickman's Glicko-2 paper", () => {
+    const rated = ratePeriod(glicko2(1500, 200), [
+      { opponent: glicko2(1400, 30), score: 1, weight: 1 },
+      { opponent: glicko2(1550, 100), score: 0, weight: 1 },
+      { opponent: glicko2(1700, 300), score: 0, weight: 1 }
+    ]);
+
+    expect(1500 + rated.mu * SCALE).toBeCloseTo(1464.06, 1);
+    expect(rated.phi * SCALE).toBeCloseTo(151.52, 1);
+    expect(rated.sigma).toBeCloseTo(0.059996, 6);
+  });
+
+  it('leaves players without games alone', () => {
+    const player = glicko2(1620, 80);
+
+    expect(ratePeriod(player, [])).toEqual(player);
+  });
+});
+
+describe('winProbability', () => {
+  it('is even for equal ratings and favours the higher rating', () => {
+    expect(winProbability(glicko2(1500, 100), glicko2(1500, 300))).toBeCloseTo(0.5, 9);
+
+    const favourite = winProbability(glicko2(1700, 50), glicko2(1500, 50));
+    expect(favourite).toBeGreaterThan(0.7);
+    expect(winProbability(glicko2(1500, 50), glicko2(1700, 50))).toBeCloseTo(1 - favourite, 9);
+  });
+
+  it('is less sure when the ratings are uncertain', () => {
+    expect(winProbability(glicko2(1700, 300), glicko2(1500, 300))).toBeLessThan(winProbability(glicko2(1700, 50), glicko2(1500, 50)));
+  });
+});
+
+describe('beatmapMatches', () => {
+  const scores = [
+    { username: 'Kaze', score: '900', scored_at: '100' },
+    { username: 'Sahara_DZ', score: '800', scored_at: '300' },
+    { username: 'AtlasFC', score: '900', scored_at: '100' }
+  ];
+
+  it('pairs every player, weighted to about one match per player', () => {
+    expect(beatmapMatches(scores, null)).toEqual([
+      { a: 'Kaze', b: 'Sahara_DZ', result: 1, weight: 0.5 },
+      { a: 'Kaze', b: 'AtlasFC', result: 0.5, weight: 0.5 },
+      { a: 'Sahara_DZ', b: 'AtlasFC', result: 0, weight: 0.5 }
+    ]);
+  });
+
+  it('only replays pairs with a score set since the beatmap was last processed', () => {
+    expect(beatmapMatches(scores, 200).map(({ a, b }) => [a, b])).toEqual([['Kaze', 'Sahara_DZ'], ['Sahara_DZ', 'AtlasFC']]);
+  });
+});
+
+describe('H2HRatingService', () => {
+  const service = new H2HRatingService();
+
+  beforeEach(() => {
+    db.pool.connect.mockReset();
+    answerQueries(db, []);
+  });
+
+  describe('updateRatings', () => {
+    it('does nothing without new scores on shared leaderboards', async () => {
+      await expect(service.updateRatings({ now: NOW })).resolves.toEqual({ beatmaps: 0, matches: 0, players: 0 });
+      expect(db.pool.connect).not.toHaveBeenCalled();
+    });
+
+    it('rates one period per mode and marks the beatmaps processed', async () => {
+      answerQueries(db, [
+        ['FROM score_history h', [
+          { beatmap_id: '1', mode: 'osu', country: 'DZ', scores_updated_at: '300', processed_through: null },
+          { beatmap_id: '2', mode: 'osu', country: 'DZ', scores_updated_at: '400', processed_through: '350' }
+        ]],
+        ['FROM algeria_top50 s', [
+          { beatmap_id: '1', mode: 'osu', country: 'DZ', username: 'Kaze', score: '900', scored_at: '100' },
+          { beatmap_id: '1', mode: 'osu', country: 'DZ', username: 'Sahara_DZ', score: '800', scored_at: '300' },
+          { beatmap_id: '2', mode: 'osu', country: 'DZ', username: 'Kaze', score: '700', scored_at: '200' },
+          { beatmap_id: '2', mode: 'osu', country: 'DZ', username: 'Sahara_DZ', score: '750', scored_at: '400' }
+        ]]
+      ]);
+      const client = connectClient([{ username: 'Kaze', rating: '1600', deviation: '80', volatility: '0.06', updated_at: String(NOW - DAY) }]);
+
+      await expect(service.updateRatings({ now: NOW })).resolves.toEqual({ beatmaps: 2, matches: 2, players: 2 });
+
+      const [kaze, sahara] = upserts(client);
+      // One win each: matches, wins, losses, draws
+      expect(kaze.slice(6)).toEqual([2, 1, 1, 0, NOW]);
+      expect(sahara.slice(6)).toEqual([2, 1, 1, 0, NOW]);
+      // The unrated player moves more and stays less certain
+      expect(Math.abs(kaze[3] - 1600)).toBeLessThan(Math.abs(sahara[3] - 1500));
+      expect(sahara[4]).toBeGreaterThan(kaze[4]);
+
+      const processed = client.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO h2h_processed_beatmaps')).map(([, params]) => params);
+      expect(processed).toEqual([['1', 'osu', 'DZ', '300', NOW], ['2', 'osu', 'DZ', '400', NOW]]);
+      expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('rolls back when a write fails', async () => {
+      answerQueries(db, [
+        ['FROM score_history h', { beatmap_id: '1', mode: 'osu', country: 'DZ', scores_updated_at: '300', processed_through: null }],
+        ['FROM algeria_top50 s', [
+          { beatmap_id: '1', mode: 'osu', country: 'DZ', username: 'Kaze', score: '900', scored_at: '100' },
+          { beatmap_id: '1', mode: 'osu', country: 'DZ', username: 'Sahara_DZ', score: '800', scored_at: '300' }
+        ]]
+      ]);
+      const client = connectClient();
+      client.query.mockImplementation(async (sql) => {
+        if (sql.includes('INSERT INTO h2h_ratings')) throw new Error('connection lost');
+        return { rows: [], rowCount: 0 };
+      });
+
+      await expect(service.updateRatings({ now: NOW })).rejects.toThrow('connection lost');
+      expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(client.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('getLeaderboard', () => {
+    it('ranks after the cursor with deviations grown for idle days', async () => {
+      answerQueries(db, [
+        ['ORDER BY hr.rating DESC NULLS LAST', [
+          { username: 'Kaze', rating: '1710.4', deviation: '60', volatility: '0.06', matches: 40, updated_at: String(NOW) },
+          { username: 'Sahara_DZ', rating: '1650', deviation: '60', volatility: '0.06', matches: 25, updated_at: String(NOW - 100 * DAY) }
+        ]],
+        ['COUNT(*) AS total', { total: '9' }]
+      ]);
+
+      const page = { limit: 2, cursor: { key: [1720, 'AtlasFC'], rank: 4, backward: false }, fingerprint: 'f' };
+      const { items, total } = await service.getLeaderboard('DZ', 'osu', page, { minMatches: 10 }, NOW);
+
+      expect(total).toBe(9);
+      expect(db.getRows.mock.calls[0][1]).toEqual(['DZ', 'osu', 10, 1720, 'AtlasFC', 3]);
+      expect(items[0]).toMatchObject({ h2h_rank: 5, username: 'Kaze', rating: 1710, deviation: 60, volatility: 0.06 });
+      expect(items[1]).toMatchObject({ h2h_rank: 6, rating: 1650 });
+      expect(items[1].deviation).toBeGreaterThan(100);
+    });
+  });
+});
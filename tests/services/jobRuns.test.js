@@ -0,0 +1,105 @@
+jest.mock('../../config/db', () => ({
+  query: jest.fn(),
+  getRows: jest.fn(),
+  getRow: jest.fn()
+}));
+
+const db = require('../../config/db');
+const { JobRunService, toCounters } = require('../../services/jobRuns');
+const { answerQueries } = require('../helpers/db');
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('toCounters', () => {
+  it('keeps the flat values of a job result', () => {
+    expect(toCounters({ updated: 12, errors: 0, country: 'DZ', dryRun: false, players: ['Kaze'], stats: { a: 1 } }))
+      .toEqual({ updated: 12, errors: 0, country: 'DZ', dryRun: false });
+  });
+
+  it('has nothing for results without flat values', () => {
+    expect(toCounters(undefined)).toBeNull();
+    expect(toCounters(42)).toBeNull();
+    expect(toCounters([1, 2])).toBeNull();
+    expect(toCounters({ players: [] })).toBeNull();
+  });
+});
+
+describe('JobRunService', () => {
+  const service = new JobRunService();
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate'] });
+    answerQueries(db, []);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('starts runs as running with a first heartbeat', async () => {
+    answerQueries(db, [['INSERT INTO job_runs', params => ({ id: '41', status: 'running', started_at: String(params[4]) })]]);
+
+    const run = await service.start('daily-stats', { trigger: 'manual', triggeredBy: 'Kaze', instanceId: 'web-1' });
+
+    expect(run).toEqual({ id: '41', status: 'running', started_at: String(NOW) });
+    expect(db.getRow.mock.calls[0][1]).toEqual(['daily-stats', 'manual', 'Kaze', 'web-1', NOW]);
+  });
+
+  it('finishes runs with their counters and error', async () => {
+    await service.finish('41', { status: 'success', result: { updated: 12, players: ['Kaze'] } });
+    await service.finish('42', { status: 'failure', error: 'osu! API unavailable' });
+
+    expect(db.getRow.mock.calls[0][1]).toEqual(['41', 'success', null, '{"updated":12}', NOW]);
+    expect(db.getRow.mock.calls[1][1]).toEqual(['42', 'failure', 'osu! API unavailable', null, NOW]);
+  });
+
+  it('abandons runs whose heartbeat stopped', async () => {
+    answerQueries(db, [["SET status = 'abandoned'", [{}, {}]]]);
+
+    await expect(service.markAbandoned(NOW - 5 * 60 * 1000)).resolves.toBe(2);
+    expect(db.query.mock.calls[0][1]).toEqual([NOW, NOW - 5 * 60 * 1000]);
+  });
+
+  it('filters the run history by status', async () => {
+    await service.getRuns('daily-stats');
+    await service.getRuns('daily-stats', { status: 'failure', limit: 5, offset: 10 });
+
+    expect(db.getRows.mock.calls[0][0]).not.toContain('AND status');
+    expect(db.getRows.mock.calls[0][1]).toEqual(['daily-stats', 20, 0]);
+    expect(db.getRows.mock.calls[1][0]).toContain('AND status = $4');
+    expect(db.getRows.mock.calls[1][1]).toEqual(['daily-stats', 5, 10, 'failure']);
+  });
+
+  it('summarises jobs by name', async () => {
+    answerQueries(db, [['WITH names AS', [
+      { job_name: 'daily-stats', paused: false, last_success_at: String(NOW), last_run: { id: '41', status: 'success' } },
+      { job_name: 'leaderboards', paused: true, paused_by: 'Kaze', last_success_at: null, last_run: null }
+    ]]]);
+
+    const summaries = await service.getSummaries();
+
+    expect([...summaries.keys()]).toEqual(['daily-stats', 'leaderboards']);
+    expect(summaries.get('leaderboards')).toMatchObject({ paused: true, paused_by: 'Kaze' });
+  });
+
+  it('pauses and resumes jobs', async () => {
+    await expect(service.isPaused('leaderboards')).resolves.toBe(false);
+
+    await service.setPaused('leaderboards', true, 'Kaze');
+    expect(db.query.mock.calls[0][1]).toEqual(['leaderboards', true, 'Kaze', NOW]);
+
+    answerQueries(db, [['FROM job_settings', { paused: true }]]);
+    await expect(service.isPaused('leaderboards')).resolves.toBe(true);
+  });
+
+  it('prunes finished runs past the retention window', async () => {
+    answerQueries(db, [['DELETE FROM job_runs', [{}, {}, {}]]]);
+
+    await expect(service.prune(30)).resolves.toBe(3);
+    expect(db.query.mock.calls[0][1]).toEqual([NOW - 30 * DAY]);
+
+    await expect(service.prune(0)).resolves.toBe(0);
+    expect(db.query).toHaveBeenCalledTimes(1);
+  });
+});
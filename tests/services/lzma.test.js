@@ -0,0 +1,46 @@
+const { decompress, LzmaError } = require('../../services/lzma');
+
+// LZMA-alone streams with an unknown size, ended by the end marker
+const frames = Buffer.from('XQAAgAD//////////wAYHwJDUQO0DobDyTn5IJXXlK7eHFGFGa/yqV0tsMPBStaDLKBixO6QaN7y//lKwAA=', 'base64');
+const framesText = '0|256|192|0,16|260|190|1,16|264|188|1,-12345|0|0|42,';
+// 100000 zero bytes
+const zeros = Buffer.from(
+  'XQAAgAD//////////wAAb/3//6O3/0c+SBVyOWFRuJIo5qOGB/nu5B6C0y/FOjwBS7F+yYqKTS+jDdl/puOMIxFT4FkYxXWK4nf4tpR/DGrA3nRJZOLpXFOyBNax9kS1W///uaoAAA==',
+  'base64'
+);
+
+// The same stream with its size written into the header
+const withDeclaredSize = (input, size) => {
+  const copy = Buffer.from(input);
+  copy.writeUInt32LE(size % 0x100000000, 5);
+  copy.writeUInt32LE(Math.floor(size / 0x100000000), 9);
+  return copy;
+};
+
+describe('decompress', () => {
+  it('decodes up to the end marker when the size is unknown', () => {
+    expect(decompress(frames).toString('ascii')).toBe(framesText);
+    expect(decompress(zeros).equals(Buffer.alloc(100000))).toBe(true);
+  });
+
+  it('stops at the declared size', () => {
+    expect(decompress(withDeclaredSize(frames, framesText.length)).toString('ascii')).toBe(framesText);
+    expect(decompress(withDeclaredSize(frames, 5)).toString('ascii')).toBe('0|256');
+  });
+
+  it('refuses declared sizes over the limit before decoding anything', () => {
+    expect(() => decompress(withDeclaredSize(frames, framesText.length), { maxSize: 10 })).toThrow(new LzmaError('Declared size is too large'));
+    expect(() => decompress(withDeclaredSize(frames, 2 ** 40))).toThrow('Declared size is too large');
+  });
+
+  it('stops growing the output at the limit when the size is unknown', () => {
+    expect(() => decompress(zeros, { maxSize: 1000 })).toThrow(new LzmaError('Decompressed data is larger than 1000 bytes'));
+    expect(decompress(zeros, { maxSize: 100000 })).toHaveLength(100000);
+  });
+
+  it('rejects data that is not LZMA', () => {
+    expect(() => decompress(Buffer.from('short'))).toThrow('Data is too short to be LZMA');
+    expect(() => decompress(Buffer.alloc(13, 0xff))).toThrow('Invalid LZMA properties');
+    expect(() => decompress(frames.subarray(0, 30))).toThrow('Unexpected end of compressed data');
+  });
+});
@@ -0,0 +1,76 @@
+const express = require('express');
+const { buildOpenApiSpec, mountPath } = require('../../services/openapi');
+const { apiRoute } = require('../../middleware/apiSchema');
+const { paginate } = require('../../middleware/pagination');
+
+const ok = (req, res) => res.json({ success: true });
+
+// A small app: a paged public list, a signed-in route with a path parameter and an upload
+function buildApp() {
+  const players = express.Router();
+  players.use(paginate({ defaultLimit: 20 }));
+  players.get('/', apiRoute({ summary: 'List players', query: { country: { type: 'string', description: 'Country code' } } }), ok);
+
+  const signedIn = (req, res, next) => next();
+  signedIn.apiSchema = { auth: 'user', errors: [404] };
+  players.post('/:username/follow', signedIn, apiRoute({ summary: 'Follow a player', params: { username: { type: 'string', minLength: 2 } } }), ok);
+
+  const replays = express.Router();
+  replays.post('/', apiRoute({ summary: 'Upload a replay', upload: ['application/octet-stream'], status: 201 }), ok);
+
+  const app = express();
+  app.use('/api/players', players);
+  app.use('/api/replays', replays);
+  app.get('/health', ok);
+  return app;
+}
+
+describe('mountPath', () => {
+  it('reads the mount path Express compiled for a router', () => {
+    const app = buildApp();
+    const paths = app._router.stack.filter(layer => layer.handle.stack).map(mountPath);
+
+    expect(paths).toEqual(['/api/players', '/api/replays']);
+  });
+});
+
+describe('buildOpenApiSpec', () => {
+  const spec = buildOpenApiSpec(buildApp(), { version: '2.1.0' });
+
+  it('lists the /api routes only, tagged after their router', () => {
+    expect(spec).toMatchObject({ openapi: '3.0.3', info: { version: '2.1.0' } });
+    expect(Object.keys(spec.paths)).toEqual(['/api/players', '/api/players/{username}/follow', '/api/replays']);
+    expect(spec.tags).toEqual([{ name: 'players' }, { name: 'replays' }]);
+    expect(spec.components.schemas.Error).toEqual(expect.any(Object));
+  });
+
+  it('adds the parameters of router middleware to its routes', () => {
+    const operation = spec.paths['/api/players'].get;
+
+    expect(operation.summary).toBe('List players');
+    expect(operation.parameters.map(({ name, in: location }) => `${location} ${name}`)).toEqual(['query limit', 'query cursor', 'query country']);
+    expect(operation.parameters[2]).toEqual({ name: 'country', in: 'query', required: false, description: 'Country code', schema: { type: 'string' } });
+    expect(Object.keys(operation.responses)).toEqual(['200', '400', '500']);
+  });
+
+  it('documents the sign-in a route needs and the errors it may answer with', () => {
+    const operation = spec.paths['/api/players/{username}/follow'].post;
+
+    expect(operation.parameters[0]).toEqual({ name: 'username', in: 'path', required: true, schema: { type: 'string', minLength: 2 } });
+    expect(operation.description).toBe('Requires a signed-in account.');
+    expect(operation.security).toEqual([{ bearerAuth: [] }]);
+    expect(Object.keys(operation.responses)).toEqual(['200', '400', '401', '403', '404', '500']);
+    expect(operation.responses[404].content['application/json'].schema).toEqual({ $ref: '#/components/schemas/Error' });
+  });
+
+  it('describes raw uploads and their status', () => {
+    const operation = spec.paths['/api/replays'].post;
+
+    expect(operation.requestBody).toEqual({
+      required: true,
+      content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } }
+    });
+    expect(operation.responses[201].description).toBe('Success');
+    expect(operation.security).toBeUndefined();
+  });
+});
@@ -0,0 +1,135 @@
+const { once } = require('events');
+const { createMockOsuApi } = require('../../mock/osuApi/server');
+
+// Short waits, so retries and backoff take milliseconds
+process.env.OSU_API_RETRY_BASE_MS = '10';
+process.env.OSU_API_MIN_TIME = '1';
+process.env.OSU_API_MAX_RETRIES = '2';
+
+const SAHARA = 9000001;
+const USER_ENDPOINT = '/api/v2/users/{user}/{mode}';
+
+describe('osu! API client', () => {
+  let server;
+  let mock;
+  let osuApi;
+
+  // Serve the mock osu! API with `options` and load a fresh client pointed at it
+  async function connect(options = {}) {
+    const app = createMockOsuApi({ retryAfterSeconds: 0.05, ...options });
+    server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    mock = app.locals.mock;
+
+    process.env.OSU_API_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+    jest.resetModules();
+    osuApi = require('../../services/osuApi');
+  }
+
+  const tokenRequests = () => (mock.endpoints['POST /oauth/token'] || { requests: 0 }).requests;
+
+  beforeEach(() => {
+    ['log', 'warn', 'error'].forEach(level => jest.spyOn(console, level).mockImplementation(() => {}));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    if (server.listening) {
+      server.close();
+      await once(server, 'close');
+    }
+  });
+
+  describe('access token', () => {
+    it('is fetched through the shared limiter and counted in the metrics', async () => {
+      await connect();
+      const schedule = jest.spyOn(osuApi.limiter, 'schedule');
+
+      await expect(osuApi.getUser(SAHARA, 'osu')).resolves.toMatchObject({ username: 'Sahara_DZ' });
+
+      expect(schedule).toHaveBeenCalledTimes(2);
+      expect(osuApi.getRequestMetrics()['/oauth/token']).toMatchObject({ requests: 1, errors: 0, statuses: { 200: 1 } });
+      expect(osuApi.getRequestMetrics()[USER_ENDPOINT]).toMatchObject({ requests: 1, statuses: { 200: 1 } });
+    });
+
+    it('is requested once for concurrent callers and then reused', async () => {
+      await connect();
+
+      await Promise.all([osuApi.getUser(SAHARA, 'osu'), osuApi.getUser('KabyleKeys', 'osu'), osuApi.getBeatmap(129891)]);
+      await osuApi.getUser('OranStream', 'osu');
+
+      expect(tokenRequests()).toBe(1);
+    });
+
+    it('records failed token requests', async () => {
+      await connect();
+      server.close();
+      await once(server, 'close');
+
+      await expect(osuApi.getUser(SAHARA, 'osu')).rejects.toThrow();
+
+      expect(osuApi.getRequestMetrics()['/oauth/token']).toMatchObject({ requests: 1, errors: 1, statuses: { network: 1 } });
+      await expect(osuApi.testApiConnection()).resolves.toBe(false);
+    });
+
+    it('is refreshed once when the API stops accepting it', async () => {
+      await connect({ scenarios: 'expired-tokens', tokenUses: 1 });
+
+      await osuApi.getUser(SAHARA, 'osu');
+      await expect(osuApi.getUser('KabyleKeys', 'osu')).resolves.toMatchObject({ username: 'KabyleKeys' });
+
+      expect(tokenRequests()).toBe(2);
+      expect(osuApi.getRequestMetrics()[USER_ENDPOINT]).toMatchObject({ requests: 3, tokenRefreshes: 1, statuses: { 200: 2, 401: 1 } });
+    });
+
+    it('is not refreshed for tokens acting as a player', async () => {
+      await connect();
+
+      await expect(osuApi.getAuthenticatedUser('not-a-token', 'osu')).rejects.toMatchObject({ response: { status: 401 } });
+      expect(tokenRequests()).toBe(0);
+    });
+  });
+
+  describe('retries', () => {
+    it('wait out Retry-After on a 429', async () => {
+      await connect({ scenarios: 'rate-limit', rateLimitEvery: 2 });
+      await osuApi.getUser(SAHARA, 'osu');
+
+      const start = Date.now();
+      await expect(osuApi.getUser('KabyleKeys', 'osu')).resolves.toMatchObject({ username: 'KabyleKeys' });
+
+      expect(Date.now() - start).toBeGreaterThanOrEqual(45);
+      expect(osuApi.getRequestMetrics()[USER_ENDPOINT]).toMatchObject({
+        requests: 3, retries: 1, rateLimited: 1, statuses: { 200: 2, 429: 1 }
+      });
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('pausing requests for 50ms'));
+    });
+
+    it('back off on server errors', async () => {
+      await connect({ scenarios: 'server-errors', errorEvery: 2 });
+      await osuApi.getUser(SAHARA, 'osu');
+
+      await expect(osuApi.getUser('KabyleKeys', 'osu')).resolves.toMatchObject({ username: 'KabyleKeys' });
+
+      expect(osuApi.getRequestMetrics()[USER_ENDPOINT]).toMatchObject({
+        requests: 3, errors: 1, retries: 1, rateLimited: 0, statuses: { 200: 2, 500: 1 }
+      });
+    });
+
+    it('give up after OSU_API_MAX_RETRIES', async () => {
+      await connect({ scenarios: 'server-errors', errorEvery: 1 });
+
+      await expect(osuApi.getUser(SAHARA, 'osu')).rejects.toMatchObject({ response: { status: 500 } });
+
+      expect(osuApi.getRequestMetrics()[USER_ENDPOINT]).toMatchObject({ requests: 3, retries: 2, statuses: { 500: 3 } });
+    });
+
+    it('do not repeat requests the API rejected', async () => {
+      await connect();
+
+      await expect(osuApi.getUser(1, 'osu')).rejects.toMatchObject({ response: { status: 404 } });
+
+      expect(osuApi.getRequestMetrics()[USER_ENDPOINT]).toMatchObject({ requests: 1, retries: 0, statuses: { 404: 1 } });
+    });
+  });
+});
@@ -0,0 +1,119 @@
+jest.mock('../../config/db', () => ({
+  query: jest.fn(),
+  getRows: jest.fn(),
+  getRow: jest.fn()
+}));
+jest.mock('../../services/osuApi', () => ({ getCountryRankings: jest.fn() }));
+jest.mock('../../services/discord', () => ({ discordService: { notify: jest.fn() } }));
+jest.mock('../../middleware/websocket', () => ({ broadcastToClients: jest.fn() }));
+
+const { query, getRow } = require('../../config/db');
+const { getCountryRankings } = require('../../services/osuApi');
+const { discordService } = require('../../services/discord');
+const { broadcastToClients } = require('../../middleware/websocket');
+const { PlayerDiscoveryService } = require('../../services/playerDiscovery');
+
+const user = (overrides = {}) => ({
+  id: 4821930,
+  username: 'Sahara_DZ',
+  avatar_url: 'https://a.ppy.sh/4821930',
+  country: { code: 'DZ' },
+  ...overrides
+});
+
+const statistics = { global_rank: 15230, country_rank: 3, play_count: 41230, play_time: 3600000, pp: 6120.4, level: { current: 100 } };
+
+const upsertOf = (table) => query.mock.calls.find(([sql]) => sql.includes(`INSERT INTO ${table}`));
+
+describe('PlayerDiscoveryService', () => {
+  let service;
+
+  beforeEach(() => {
+    query.mockReset().mockResolvedValue({ rows: [], rowCount: 1 });
+    getRow.mockReset().mockResolvedValue(undefined);
+    getCountryRankings.mockReset();
+    discordService.notify.mockReset().mockResolvedValue();
+    broadcastToClients.mockReset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(global, 'setTimeout').mockImplementation(() => 0);
+    service = new PlayerDiscoveryService();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('registerPlayer', () => {
+    it('stores a new player of a tracked country with their country, and announces them', async () => {
+      await expect(service.registerPlayer(user({ country: { code: 'ma' } }), 'user_search')).resolves.toBe(true);
+
+      const [, params] = upsertOf('player_stats');
+      expect(params[0]).toBe('Sahara_DZ');
+      expect(params[11]).toBe('MA');
+      expect(discordService.notify).toHaveBeenCalledWith('new_player', expect.objectContaining({ country: 'MA' }));
+      expect(broadcastToClients).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'new_player_discovered', player: expect.objectContaining({ country: 'MA' })
+      }));
+    });
+
+    it('ignores players of countries that are not tracked', async () => {
+      await expect(service.registerPlayer(user({ country: { code: 'TN' } }))).resolves.toBe(false);
+      await expect(service.registerPlayer(user({ country: undefined }))).resolves.toBe(false);
+
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('keeps the ranks of the mode it was found in, and only the default mode in player_stats', async () => {
+      await service.registerPlayer(user(), 'country_rankings', 'taiko', statistics);
+
+      const [, playerParams] = upsertOf('player_stats');
+      expect(playerParams.slice(6, 11)).toEqual([undefined, undefined, undefined, undefined, undefined]);
+      const [, modeParams] = upsertOf('player_mode_stats');
+      expect(modeParams).toEqual(['Sahara_DZ', 'taiko', 'DZ', 15230, 3, 41230, 3600000]);
+    });
+
+    it('fills player_stats from the default mode', async () => {
+      await service.registerPlayer(user(), 'country_rankings', 'osu', statistics);
+
+      const [, playerParams] = upsertOf('player_stats');
+      expect(playerParams.slice(6, 11)).toEqual([15230, 3, 100, 41230, 3600000]);
+      expect(upsertOf('player_mode_stats')[1][1]).toBe('osu');
+    });
+
+    it('updates known players without announcing them again', async () => {
+      getRow.mockResolvedValue({ username: 'Sahara_DZ', last_seen: '2026-10-01T00:00:00.000Z' });
+
+      await expect(service.registerPlayer(user())).resolves.toBe(false);
+
+      expect(upsertOf('player_stats')).toBeDefined();
+      expect(discordService.notify).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('runDiscovery', () => {
+    it('walks the rankings of every tracked country in every tracked mode', async () => {
+      getCountryRankings.mockResolvedValue({ ranking: [] });
+      jest.spyOn(service, 'discoverFromRecentScores').mockResolvedValue(0);
+      jest.spyOn(service, 'discoverFromUserSearch').mockResolvedValue(0);
+      jest.spyOn(service, 'discoverFromMultiplayerMatches').mockResolvedValue(0);
+
+      await service.runDiscovery();
+
+      expect(getCountryRankings.mock.calls.map(([country, mode]) => `${country}:${mode}`)).toEqual([
+        'DZ:osu', 'DZ:taiko', 'DZ:fruits', 'DZ:mania', 'MA:osu', 'MA:taiko', 'MA:fruits', 'MA:mania'
+      ]);
+    });
+
+    it('counts the new players found in a country', async () => {
+      getCountryRankings.mockResolvedValue({
+        ranking: [
+          { ...statistics, user: user() },
+          { ...statistics, user: user({ id: 2, username: 'AtlasFC', country: { code: 'MA' } }) }
+        ]
+      });
+
+      await expect(service.discoverFromCountryRankings('DZ', 'mania')).resolves.toBe(2);
+      expect(getCountryRankings).toHaveBeenCalledWith('DZ', 'mania', 'performance', null);
+    });
+  });
+});
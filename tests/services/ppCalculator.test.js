@@ -0,0 +1,141 @@
+const {
+  PPCalculator, parseMods, clockRate, starRating, applyModsToDifficulty, estimateSkillRatings, hitCountsFromAccuracy
+} = require('../../services/ppCalculator');
+
+// A 6.5* map with known object counts, never analysed from its .osu file
+const beatmap = (overrides = {}) => ({
+  difficulty_rating: 6.5, cs: 4, ar: 9.3, od: 8.5, hp: 6, max_combo: 1500,
+  count_circles: 700, count_sliders: 300, count_spinners: 2,
+  ...overrides
+});
+
+const pp = (score, overrides, options) => PPCalculator.calculate(beatmap(overrides), score, 'osu', options).pp;
+
+describe('parseMods', () => {
+  it.each([
+    ['HDDT', ['HD', 'DT']],
+    ['HD,DT', ['HD', 'DT']],
+    ['hd+hr', ['HD', 'HR']],
+    [['HD', 'DT'], ['HD', 'DT']],
+    [[{ acronym: 'hd' }, { acronym: 'FL' }], ['HD', 'FL']],
+    ['None', []],
+    [null, []]
+  ])('reads %p', (mods, expected) => {
+    expect(parseMods(mods)).toEqual(expected);
+  });
+
+  it('treats nightcore as double time', () => {
+    expect(parseMods('HDNC')).toEqual(['HD', 'NC', 'DT']);
+    expect(clockRate(parseMods('NC'))).toBe(1.5);
+    expect(clockRate(['HT'])).toBe(0.75);
+  });
+});
+
+describe('applyModsToDifficulty', () => {
+  it('scales and caps AR, OD and CS with HR', () => {
+    expect(applyModsToDifficulty(beatmap(), ['HR'])).toEqual({ cs: 5.2, ar: 10, od: 10, hp: 6 * 1.4, rate: 1 });
+  });
+
+  it('speeds up approach and hit windows with DT', () => {
+    const { ar, od, rate } = applyModsToDifficulty(beatmap(), ['DT']);
+
+    expect(rate).toBe(1.5);
+    expect(ar).toBeCloseTo(10.533, 3);
+    expect(od).toBeCloseTo(10.111, 3);
+  });
+
+  it('halves everything with EZ', () => {
+    expect(applyModsToDifficulty(beatmap(), ['EZ'])).toMatchObject({ cs: 2, ar: 4.65, hp: 3 });
+  });
+});
+
+describe('star ratings', () => {
+  it('splits an unanalysed star rating into aim and speed that combine back to it', () => {
+    const { aim, speed } = estimateSkillRatings(beatmap(), []);
+
+    expect(aim).toBe(speed);
+    expect(starRating(aim, speed)).toBeCloseTo(6.5, 6);
+  });
+
+  it('uses analysed nomod ratings and raises them for DT and HR', () => {
+    const analysed = beatmap({ aim_difficulty: 3.4, speed_difficulty: 2.9 });
+
+    expect(estimateSkillRatings(analysed, [])).toEqual({ aim: 3.4, speed: 2.9 });
+    const { aim, speed } = estimateSkillRatings(analysed, ['DT', 'HR']);
+    expect(aim).toBeCloseTo(3.4 * Math.pow(1.5, 0.83) * 1.06, 6);
+    expect(speed).toBeCloseTo(2.9 * Math.pow(1.5, 0.83), 6);
+  });
+});
+
+describe('hitCountsFromAccuracy', () => {
+  it('finds judgements that add up to the objects and the accuracy', () => {
+    expect(hitCountsFromAccuracy(1000, 0.98, 3)).toEqual({ count300: 971, count100: 26, count50: 0, countMiss: 3 });
+    expect(hitCountsFromAccuracy(1000, 1)).toEqual({ count300: 1000, count100: 0, count50: 0, countMiss: 0 });
+  });
+});
+
+describe('PPCalculator.calculate', () => {
+  it('gives a full combo SS on a 6.5* map a plausible value', () => {
+    const result = PPCalculator.calculate(beatmap(), {});
+
+    expect(result.pp).toBeGreaterThan(300);
+    expect(result.pp).toBeLessThan(450);
+    expect(result).toMatchObject({ scoreAccuracy: 1, combo: 1500, maxCombo: 1500, estimated: true });
+  });
+
+  it('drops with lower accuracy, misses and a broken combo', () => {
+    const ss = pp({});
+
+    expect(pp({ accuracy: 0.99 })).toBeLessThan(ss);
+    expect(pp({ accuracy: 0.98, countMiss: 5 })).toBeLessThan(pp({ accuracy: 0.98 }));
+    expect(pp({ combo: 700 })).toBeLessThan(ss);
+  });
+
+  it('rewards HD, and DT far more', () => {
+    const ss = pp({});
+
+    expect(pp({ mods: 'HD' })).toBeGreaterThan(ss);
+    expect(pp({ mods: 'DT' })).toBeGreaterThan(ss * 2);
+  });
+
+  it('only penalises no fail for misses', () => {
+    expect(pp({ mods: 'NF' })).toBe(pp({}));
+    expect(pp({ mods: 'NF', countMiss: 10 })).toBeLessThan(pp({ countMiss: 10 }));
+  });
+
+  it('uses exact ratings when given, and then is not an estimate', () => {
+    const result = PPCalculator.calculate(beatmap(), { mods: 'HDDT' }, 'osu', { ratings: { aim: 4.1, speed: 3.6 } });
+
+    expect(result.difficulty).toMatchObject({ aimRating: 4.1, speedRating: 3.6 });
+    expect(result.estimated).toBe(false);
+  });
+
+  it('estimates object counts from max combo, then from the judgements when it has them', () => {
+    const unknownCounts = { count_circles: null, count_sliders: null };
+
+    expect(PPCalculator.calculate(beatmap(unknownCounts), {}).hits).toEqual({ count300: 1125, count100: 0, count50: 0, countMiss: 0 });
+    expect(PPCalculator.calculate(beatmap(unknownCounts), { count300: 990, count100: 10, countMiss: 2 }).hits)
+      .toEqual({ count300: 990, count100: 10, count50: 0, countMiss: 2 });
+  });
+
+  it('has nothing for other modes, unranked mods or missing beatmaps', () => {
+    expect(PPCalculator.calculate(beatmap(), {}, 'taiko')).toBeNull();
+    expect(PPCalculator.calculate(beatmap(), { mods: 'RX' })).toBeNull();
+    expect(PPCalculator.calculate(beatmap(), { mods: 'HDAP' })).toBeNull();
+    expect(PPCalculator.calculate(null, {})).toBeNull();
+  });
+});
+
+describe('PPCalculator.calculateForApiScore', () => {
+  it('reads legacy and lazer statistics alike', () => {
+    const legacy = { mods: ['HD'], max_combo: 1400, statistics: { count_300: 990, count_100: 10, count_50: 0, count_miss: 2 } };
+    const lazer = { mods: [{ acronym: 'HD' }], max_combo: 1400, statistics: { great: 990, ok: 10, miss: 2 } };
+
+    expect(PPCalculator.calculateForApiScore(beatmap(), legacy)).toBeCloseTo(PPCalculator.calculateForApiScore(beatmap(), lazer), 9);
+    expect(PPCalculator.calculateForApiScore(beatmap(), lazer)).toBeGreaterThan(0);
+  });
+
+  it('has no pp for modes it cannot calculate', () => {
+    expect(PPCalculator.calculateForApiScore(beatmap(), { statistics: {} }, 'mania')).toBeNull();
+  });
+});
@@ -0,0 +1,104 @@
+jest.mock('../../config/db', () => ({
+  query: jest.fn(),
+  getRows: jest.fn(),
+  getRow: jest.fn()
+}));
+
+const { query, getRows } = require('../../config/db');
+const { RankHistoryService } = require('../../services/rankHistory');
+
+const mover = (username, rankChange) => ({ username, rank_change: rankChange });
+
+describe('RankHistoryService', () => {
+  let service;
+
+  beforeEach(() => {
+    query.mockReset().mockResolvedValue({ rows: [], rowCount: 0 });
+    getRows.mockReset().mockResolvedValue([]);
+    service = new RankHistoryService();
+  });
+
+  describe('takeSnapshot', () => {
+    it('snapshots active players for the given day and counts the rows written', async () => {
+      query.mockResolvedValue({ rowCount: 42 });
+
+      await expect(service.takeSnapshot('2026-10-19')).resolves.toBe(42);
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('ON CONFLICT (snapshot_date, username, mode) DO UPDATE');
+      expect(params).toEqual(['2026-10-19']);
+    });
+  });
+
+  describe('getRankMovers', () => {
+    it('splits players into climbers and fallers, biggest moves first, leaving out those who held', async () => {
+      getRows.mockResolvedValue([
+        mover('Sahara_DZ', 3), mover('AtlasFC', -1), mover('Kabyle', 12), mover('Oran', 0), mover('Tlemcen', -7)
+      ]);
+
+      const { climbers, fallers } = await service.getRankMovers('DZ', 'taiko', 30);
+
+      expect(climbers.map(row => row.username)).toEqual(['Kabyle', 'Sahara_DZ']);
+      expect(fallers.map(row => row.username)).toEqual(['Tlemcen', 'AtlasFC']);
+      expect(getRows).toHaveBeenCalledWith(expect.any(String), ['DZ', 'taiko', 30]);
+    });
+
+    it('limits each side separately and defaults to a week of osu! ranks', async () => {
+      getRows.mockResolvedValue([mover('a', 1), mover('b', 2), mover('c', 3), mover('d', -1), mover('e', -2)]);
+
+      const { climbers, fallers } = await service.getRankMovers('MA', undefined, undefined, 2);
+
+      expect(climbers.map(row => row.username)).toEqual(['c', 'b']);
+      expect(fallers.map(row => row.username)).toEqual(['e', 'd']);
+      expect(getRows.mock.calls[0][1]).toEqual(['MA', 'osu', 7]);
+    });
+  });
+
+  describe('getMilestoneCrossings', () => {
+    it('announces the best milestone each climber reached', async () => {
+      getRows.mockResolvedValue([
+        { username: 'Sahara_DZ', country_rank: 8, previous_country_rank: 60 },
+        { username: 'AtlasFC', country_rank: 1, previous_country_rank: 2 },
+        { username: 'Kabyle', country_rank: 99, previous_country_rank: 140 }
+      ]);
+
+      const crossings = await service.getMilestoneCrossings('2026-10-19');
+
+      expect(crossings.map(({ username, milestone }) => ({ username, milestone }))).toEqual([
+        { username: 'Sahara_DZ', milestone: 10 },
+        { username: 'AtlasFC', milestone: 1 },
+        { username: 'Kabyle', milestone: 100 }
+      ]);
+      expect(getRows.mock.calls[0][1]).toEqual(['2026-10-19']);
+    });
+
+    it('ignores climbs that stay between two milestones', async () => {
+      getRows.mockResolvedValue([{ username: 'Oran', country_rank: 12, previous_country_rank: 40 }]);
+
+      await expect(service.getMilestoneCrossings('2026-10-19')).resolves.toEqual([]);
+    });
+
+    it('takes custom milestones in any order', async () => {
+      getRows.mockResolvedValue([{ username: 'Oran', country_rank: 12, previous_country_rank: 40 }]);
+
+      const [crossing] = await service.getMilestoneCrossings('2026-10-19', [25, 5, 15]);
+
+      expect(crossing.milestone).toBe(15);
+    });
+  });
+
+  describe('history and retention', () => {
+    it("reads a player's snapshots over the requested window", async () => {
+      await service.getPlayerRankHistory('Sahara_DZ', 'mania', 30);
+
+      expect(getRows).toHaveBeenCalledWith(expect.stringContaining('ORDER BY snapshot_date ASC'), ['Sahara_DZ', 'mania', 30]);
+    });
+
+    it('prunes snapshots past the retention window', async () => {
+      query.mockResolvedValue({ rowCount: 17 });
+
+      await expect(service.pruneSnapshots()).resolves.toBe(17);
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('DELETE FROM rank_snapshots'), [365]);
+    });
+  });
+});
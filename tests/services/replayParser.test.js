@@ -0,0 +1,72 @@
+const { parseReplay, decodeMods, ReplayParseError } = require('../../services/replayParser');
+
+// LZMA-alone frames of unknown size: three cursor frames and the RNG seed
+const frames = Buffer.from('XQAAgAD//////////wAYHwJDUQO0DobDyTn5IJXXlK7eHFGFGa/yqV0tsMPBStaDLKBixO6QaN7y//lKwAA=', 'base64');
+
+const PLAYED_AT = Date.UTC(2026, 9, 19, 12);
+
+const string = (value) => {
+  const bytes = Buffer.from(value, 'utf8');
+  return Buffer.concat([Buffer.from([0x0b, bytes.length]), bytes]);
+};
+const int = (value, size = 4) => {
+  const buffer = Buffer.alloc(size);
+  if (size === 2) buffer.writeUInt16LE(value);
+  else if (size === 4) buffer.writeInt32LE(value);
+  else buffer.writeBigInt64LE(BigInt(value));
+  return buffer;
+};
+
+// An osu! standard .osr around the given compressed frames
+function osr(compressed = frames) {
+  return Buffer.concat([
+    Buffer.from([0]), int(20260101),
+    string('d41d8cd98f00b204e9800998ecf8427e'), string('Sahara_DZ'), string('0cc175b9c0f1b6a831c399e269772661'),
+    ...[990, 10, 0, 200, 5, 2].map(count => int(count, 2)),
+    int(98211054), int(2385, 2), Buffer.from([0]), int(8 | 64),
+    string('0|1,5000|0.8'),
+    int(BigInt(PLAYED_AT) * 10000n + 621355968000000000n, 8),
+    int(compressed.length), compressed,
+    int(4821930123, 8)
+  ]);
+}
+
+describe('parseReplay', () => {
+  it('reads the header, the frames and the seed', () => {
+    expect(parseReplay(osr())).toMatchObject({
+      mode: 'osu',
+      playerName: 'Sahara_DZ',
+      count300: 990,
+      countMiss: 2,
+      score: 98211054,
+      maxCombo: 2385,
+      mods: ['HD', 'DT'],
+      lifeBar: [{ time: 0, life: 1 }, { time: 5000, life: 0.8 }],
+      playedAt: PLAYED_AT,
+      onlineScoreId: 4821930123,
+      frames: [{ time: 0, x: 256, y: 192, keys: 0 }, { time: 16, x: 260, y: 190, keys: 1 }, { time: 32, x: 264, y: 188, keys: 1 }],
+      seed: 42
+    });
+  });
+
+  it('refuses frames declaring more data than any replay has', () => {
+    const oversized = Buffer.from(frames);
+    oversized.writeUInt32LE(64 * 1024 * 1024, 5);
+    oversized.writeUInt32LE(0, 9);
+
+    expect(() => parseReplay(osr(oversized))).toThrow(new ReplayParseError('Replay frames are corrupted: Declared size is too large'));
+  });
+
+  it('rejects empty, truncated and foreign files', () => {
+    expect(() => parseReplay(Buffer.alloc(0))).toThrow('Replay file is empty');
+    expect(() => parseReplay(osr().subarray(0, 40))).toThrow('Replay file is truncated');
+    expect(() => parseReplay(Buffer.from([9, 0, 0, 0, 0]))).toThrow('Not an .osr file (unknown game mode)');
+  });
+});
+
+describe('decodeMods', () => {
+  it('leaves out the mods implied by NC and PF', () => {
+    expect(decodeMods(8 | 64 | 512)).toEqual(['HD', 'NC']);
+    expect(decodeMods(32 | 16384)).toEqual(['PF']);
+  });
+});
@@ -0,0 +1,109 @@
+jest.mock('../../config/db', () => ({
+  query: jest.fn(),
+  getRows: jest.fn(),
+  getRow: jest.fn()
+}));
+
+const { getRows } = require('../../config/db');
+const { ScoreHistoryService } = require('../../services/scoreHistory');
+
+const observation = (overrides = {}) => ({
+  beatmapId: 129891,
+  playerId: 4821930,
+  username: 'Sahara_DZ',
+  country: 'DZ',
+  mode: 'osu',
+  rank: 1,
+  score: 58213440,
+  pp: 412.37,
+  accuracy: 98.7654,
+  mods: 'HDDT',
+  maxCombo: 1822,
+  countMiss: 0,
+  playDate: '2026-10-18T21:04:11.000Z',
+  observedAt: '2026-10-19T12:00:00.000Z',
+  ...overrides
+});
+
+describe('ScoreHistoryService', () => {
+  let service;
+
+  beforeEach(() => {
+    getRows.mockReset().mockResolvedValue([]);
+    service = new ScoreHistoryService();
+  });
+
+  describe('detectChanges', () => {
+    it('treats a score seen for the first time as new', () => {
+      expect(service.detectChanges(null, observation())).toEqual(['new']);
+    });
+
+    it('lists every tracked field that changed', () => {
+      const previous = observation();
+
+      expect(service.detectChanges(previous, observation({ score: 58300000, pp: 415, mods: 'HDDTHR' })))
+        .toEqual(['score', 'pp', 'mods']);
+      expect(service.detectChanges(previous, observation({ accuracy: 98.9 }))).toEqual(['accuracy']);
+    });
+
+    it('ignores float noise within the tolerances', () => {
+      expect(service.detectChanges(observation(), observation({ pp: 412.375, accuracy: 98.765405 }))).toEqual([]);
+    });
+
+    it('compares numbers stored as strings by value', () => {
+      expect(service.detectChanges(observation({ score: '58213440', pp: '412.37' }), observation())).toEqual([]);
+    });
+
+    it('treats missing mods as None', () => {
+      expect(service.detectChanges(observation({ mods: null }), observation({ mods: 'None' }))).toEqual([]);
+      expect(service.detectChanges(observation({ mods: null }), observation({ mods: 'HD' }))).toEqual(['mods']);
+    });
+  });
+
+  describe('recordScore', () => {
+    it('inserts the observation with what changed', async () => {
+      const client = { query: jest.fn().mockResolvedValue({ rowCount: 1 }) };
+      const entry = observation({ score: 58400000 });
+
+      await expect(service.recordScore(client, observation(), entry)).resolves.toEqual(['score']);
+
+      const [sql, params] = client.query.mock.calls[0];
+      expect(sql).toContain('INSERT INTO score_history');
+      expect(params).toEqual([
+        129891, 4821930, 'Sahara_DZ', 'DZ', 'osu', 1, 58400000, 412.37, 98.7654,
+        'HDDT', 1822, 0, entry.playDate, entry.observedAt, ['score']
+      ]);
+    });
+
+    it('records nothing when the score is unchanged', async () => {
+      const client = { query: jest.fn() };
+
+      await expect(service.recordScore(client, observation(), observation())).resolves.toEqual([]);
+      expect(client.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('history queries', () => {
+    it("reads one player's history on a beatmap in the default mode", async () => {
+      await service.getPlayerBeatmapHistory('Sahara_DZ', 129891);
+
+      expect(getRows).toHaveBeenCalledWith(expect.stringContaining('ORDER BY observed_at ASC'), ['Sahara_DZ', 129891, 'osu']);
+    });
+
+    it('reads the timeline of a local leaderboard, newest first', async () => {
+      await service.getBeatmapHistory(129891, 'MA', 'taiko', 20);
+
+      expect(getRows).toHaveBeenCalledWith(expect.stringContaining('ORDER BY observed_at DESC'), [129891, 'MA', 'taiko', 20]);
+    });
+
+    it('rebuilds a leaderboard from the latest observation of each player before a point in time', async () => {
+      const at = Date.UTC(2026, 8, 1);
+
+      await service.getBeatmapLeaderboardAt(129891, 'DZ', 'osu', at);
+
+      const [sql, params] = getRows.mock.calls[0];
+      expect(sql).toContain('DISTINCT ON (player_id)');
+      expect(params).toEqual([129891, 'DZ', 'osu', at, 50]);
+    });
+  });
+});
@@ -0,0 +1,187 @@
+jest.mock('../../config/db', () => ({
+  query: jest.fn(),
+  getRows: jest.fn(),
+  getRow: jest.fn()
+}));
+
+jest.mock('../../services/skillRatings', () => ({
+  skillRatingService: { recordSkills: jest.fn() }
+}));
+
+const { query, getRows } = require('../../config/db');
+const { skillRatingService } = require('../../services/skillRatings');
+const { SkillCalculator, updatePlayerSkills } = require('../../services/skillCalculator');
+const { createSkillFixtures } = require('../fixtures/skillPlayers');
+const { spearman } = require('../../scripts/backtestSkills');
+
+const { players } = createSkillFixtures();
+
+describe('SkillCalculator', () => {
+  beforeEach(() => {
+    query.mockReset().mockResolvedValue({ rows: [], rowCount: 1 });
+    getRows.mockReset().mockResolvedValue([]);
+    skillRatingService.recordSkills.mockReset().mockResolvedValue();
+  });
+
+  describe('calculateSkills', () => {
+    it('ranks the fixture players close to their true skills', () => {
+      const estimates = players.map(player => SkillCalculator.calculateSkills(player.scores, 'osu'));
+      const recovery = (skill) => spearman(
+        estimates.map(skills => skills[skill].value),
+        players.map(player => player.truth[skill])
+      );
+
+      expect(recovery('aim')).toBeGreaterThan(0.7);
+      expect(recovery('speed')).toBeGreaterThan(0.6);
+      expect(recovery('accuracy')).toBeGreaterThan(0.9);
+      expect(recovery('consistency')).toBeGreaterThan(0.3);
+    });
+
+    it('only calculates the skills of the mode', () => {
+      const skills = SkillCalculator.calculateSkills(players[0].scores, 'taiko');
+
+      expect(Object.keys(skills)).toEqual(['speed', 'accuracy', 'reading', 'consistency']);
+      Object.values(skills).forEach(({ value, confidence }) => {
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThanOrEqual(10);
+        expect(confidence).toBeGreaterThanOrEqual(0);
+        expect(confidence).toBeLessThanOrEqual(1);
+      });
+    });
+
+    it('reports zero with no confidence when there are no scores', () => {
+      expect(SkillCalculator.calculateSkills([], 'mania')).toEqual({
+        speed: { value: 0, confidence: 0, samples: 0 },
+        accuracy: { value: 0, confidence: 0, samples: 0 },
+        consistency: { value: 0, confidence: 0, samples: 0 }
+      });
+    });
+  });
+
+  describe('calculateOverallSkill', () => {
+    it('weights the skills into an overall value', () => {
+      const { scores } = players[0];
+      const values = Object.fromEntries(Object.entries(SkillCalculator.calculateSkills(scores))
+        .map(([skill, { value }]) => [skill, value]));
+
+      const result = SkillCalculator.calculateOverallSkill(scores);
+
+      expect(result).toEqual({ ...values, overall: expect.any(Number) });
+      expect(result.overall).toBeCloseTo(
+        values.aim * 0.25 + values.speed * 0.25 + values.accuracy * 0.2 + values.reading * 0.15 + values.consistency * 0.15
+      );
+    });
+
+    it('renormalises the weights over the skills the mode has', () => {
+      const { scores } = players[0];
+      const values = SkillCalculator.calculateSkills(scores, 'mania');
+
+      const result = SkillCalculator.calculateOverallSkill(scores, 'mania');
+
+      expect(result).not.toHaveProperty('aim');
+      expect(result.overall).toBeCloseTo(
+        (values.speed.value * 0.25 + values.accuracy.value * 0.2 + values.consistency.value * 0.15) / 0.6
+      );
+    });
+  });
+
+  describe('calculateSkillTrends', () => {
+    const entries = (skill, values) => values.map((skill_value, i) => ({
+      skill_type: skill,
+      skill_value,
+      calculated_at: 1700000000000 - i * 86400000
+    }));
+
+    it('compares the three newest values with the three oldest', async () => {
+      getRows.mockResolvedValue([
+        ...entries('aim', [5.6, 5.5, 5.4, 5.0, 4.9, 4.8]),
+        ...entries('speed', [4.0, 4.1, 4.2, 4.5, 4.6, 4.7]),
+        ...entries('accuracy', [7.0, 7.05, 6.95, 7.0]),
+        ...entries('reading', [3.2, 3.1])
+      ]);
+
+      const trends = await SkillCalculator.calculateSkillTrends('Sahara_DZ');
+
+      expect(getRows).toHaveBeenCalledWith(expect.stringContaining('FROM skill_tracking'), ['Sahara_DZ', 'osu']);
+      expect(trends.aim).toEqual({ current: expect.closeTo(5.5), trend: expect.closeTo(0.6), direction: 'improving' });
+      expect(trends.speed).toEqual({ current: expect.closeTo(4.1), trend: expect.closeTo(-0.5), direction: 'declining' });
+      expect(trends.accuracy.direction).toBe('stable');
+      expect(trends.reading).toEqual({ current: 3.2, trend: 0, direction: 'insufficient_data' });
+      expect(trends.consistency).toEqual({ current: 0, trend: 0, direction: 'insufficient_data' });
+    });
+
+    it('only reports the skills of the mode', async () => {
+      const trends = await SkillCalculator.calculateSkillTrends('Tlemcen_Taiko', 'taiko');
+
+      expect(Object.keys(trends)).toEqual(['speed', 'accuracy', 'reading', 'consistency']);
+    });
+  });
+
+  describe('calculateSkillBalance', () => {
+    it('is 10 for perfectly even skills and drops with their spread', () => {
+      expect(SkillCalculator.calculateSkillBalance({ aim: 5, speed: 5, accuracy: 5 })).toBe(10);
+      expect(SkillCalculator.calculateSkillBalance({ aim: 2, speed: 8 })).toBe(7);
+      expect(SkillCalculator.calculateSkillBalance({ aim: 0, speed: 30 })).toBe(0);
+    });
+
+    it('ignores values that are not numbers', () => {
+      expect(SkillCalculator.calculateSkillBalance({ aim: 4, speed: 4, category: 'All-Rounder' })).toBe(10);
+      expect(SkillCalculator.calculateSkillBalance({})).toBe(0);
+    });
+  });
+
+  describe('categorizePlayer', () => {
+    it.each([
+      [{ aim: 9, speed: 5, accuracy: 5, reading: 5, consistency: 5 }, 'Aim Specialist'],
+      [{ aim: 4, speed: 9, accuracy: 5, reading: 5, consistency: 5 }, 'Speed Player'],
+      [{ aim: 4, speed: 4, accuracy: 9, reading: 5, consistency: 5 }, 'Accuracy Player'],
+      [{ aim: 4, speed: 4, accuracy: 5, reading: 9, consistency: 5 }, 'Technical Player'],
+      [{ aim: 4, speed: 4, accuracy: 5, reading: 5, consistency: 9 }, 'Consistent Player'],
+      [{ aim: 8, speed: 7.5, accuracy: 5, reading: 5, consistency: 5 }, 'All-Rounder'],
+      [{ aim: 3, speed: 3, accuracy: 8, reading: 5, consistency: 7.6 }, 'Precision Player'],
+      [{ aim: 3, speed: 8, accuracy: 5, reading: 7.5, consistency: 7.4 }, 'Versatile Player'],
+      [{ aim: 3, speed: 8, accuracy: 5, reading: 7.5, consistency: 5 }, 'Developing Player']
+    ])('categorises %o as %s', (skills, category) => {
+      expect(SkillCalculator.categorizePlayer(skills)).toBe(category);
+    });
+  });
+
+  describe('updatePlayerSkills', () => {
+    it('records every skill of the mode and passes them on to the ratings', async () => {
+      const { scores } = players[0];
+      getRows.mockResolvedValue(scores);
+
+      const values = await updatePlayerSkills('Sahara_DZ', 'osu');
+
+      const inserts = query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO skill_tracking'));
+      expect(inserts.map(([, params]) => params[1])).toEqual(['aim', 'speed', 'accuracy', 'reading', 'consistency']);
+      expect(inserts[0][1]).toEqual(['Sahara_DZ', 'aim', values.aim, expect.any(Number), expect.any(Number), 'osu']);
+
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('DELETE FROM skill_tracking'), ['Sahara_DZ', 'osu', 150]);
+
+      const latestScoreDate = Math.max(...scores.map(score => score.play_date));
+      expect(skillRatingService.recordSkills).toHaveBeenCalledWith(
+        'Sahara_DZ', 'osu', SkillCalculator.calculateSkills(scores, 'osu'), latestScoreDate, expect.any(Number)
+      );
+      expect(values).toEqual(Object.fromEntries(
+        Object.entries(SkillCalculator.calculateSkills(scores, 'osu')).map(([skill, { value }]) => [skill, value])
+      ));
+    });
+
+    it('does nothing for players without scores in the mode', async () => {
+      await expect(updatePlayerSkills('Sahara_DZ', 'mania')).resolves.toBeNull();
+      expect(query).not.toHaveBeenCalled();
+      expect(skillRatingService.recordSkills).not.toHaveBeenCalled();
+    });
+
+    it('returns null when the update fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      getRows.mockResolvedValue(players[0].scores);
+      query.mockRejectedValue(new Error('deadlock detected'));
+
+      await expect(updatePlayerSkills('Sahara_DZ')).resolves.toBeNull();
+      expect(console.error).toHaveBeenCalledWith('Skill tracking update failed:', 'deadlock detected');
+      console.error.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const { calculateSkills, scoreEvidence, contentShares } = require('../../services/skillModel');
+
+// A top play on an analysed jump map
+const score = (overrides = {}) => ({
+  pp: 300, accuracy: 0.98, count_miss: 0, max_combo: 1200, beatmap_max_combo: 1200, mods: '',
+  difficulty_rating: 6, cs: 4, ar: 9.3, od: 8.5, hp: 6,
+  jump_ratio: 0.6, stream_ratio: 0.2, tech_ratio: 0.2, attributes_mode: 'osu',
+  ...overrides
+});
+
+describe('contentShares', () => {
+  it('normalises the analysed ratios to shares of the map', () => {
+    const shares = contentShares(score({ jump_ratio: 3, stream_ratio: 1, tech_ratio: 0 }), 'osu');
+
+    expect(shares).toEqual({ jump: 0.75, stream: 0.25, tech: 0, classified: true });
+  });
+
+  it('treats unanalysed maps and other modes as evenly mixed and unclassified', () => {
+    const neutral = { jump: 1 / 3, stream: 1 / 3, tech: 1 / 3, classified: false };
+
+    expect(contentShares(score({ jump_ratio: null }), 'osu')).toEqual(neutral);
+    expect(contentShares(score({ attributes_mode: 'taiko' }), 'osu')).toEqual(neutral);
+    expect(contentShares(score(), 'mania')).toEqual(neutral);
+  });
+});
+
+describe('scoreEvidence', () => {
+  it('counts a jump map mostly towards aim', () => {
+    const { weight } = scoreEvidence(score(), 300, 'osu');
+
+    expect(weight.aim).toBeCloseTo(0.6, 6);
+    expect(weight.speed).toBeCloseTo(0.2, 6);
+  });
+
+  it('weighs plays far below the top play less, except for consistency', () => {
+    const top = scoreEvidence(score(), 300, 'osu').weight;
+    const half = scoreEvidence(score({ pp: 150 }), 300, 'osu').weight;
+
+    expect(half.aim).toBeCloseTo(top.aim / 4, 6);
+    expect(half.accuracy).toBeCloseTo(top.accuracy / 2, 6);
+    expect(half.consistency).toBe(top.consistency);
+  });
+
+  it('takes misses out of consistency per stretch of combo, not per map', () => {
+    const short = scoreEvidence(score({ count_miss: 3, beatmap_max_combo: 300 }), 300, 'osu').evidence;
+    const long = scoreEvidence(score({ count_miss: 3, beatmap_max_combo: 3000 }), 300, 'osu').evidence;
+
+    expect(short.consistency).toBeCloseTo(7, 6);
+    expect(long.consistency).toBeCloseTo(9.7, 6);
+  });
+
+  it('shows no accuracy skill below the floor', () => {
+    expect(scoreEvidence(score({ accuracy: 0.8 }), 300, 'osu').evidence.accuracy).toBe(0);
+  });
+
+  it('counts high approach rate and HD towards reading', () => {
+    const plain = scoreEvidence(score({ tech_ratio: 0 }), 300, 'osu').weight.reading;
+
+    expect(scoreEvidence(score({ tech_ratio: 0, mods: 'HD' }), 300, 'osu').weight.reading).toBeGreaterThan(plain);
+    expect(scoreEvidence(score({ tech_ratio: 0, mods: 'DT' }), 300, 'osu').weight.reading).toBeGreaterThan(plain);
+  });
+});
+
+describe('calculateSkills', () => {
+  it('gains confidence with more scores, and less of it on unanalysed maps', () => {
+    const few = calculateSkills([score()]);
+    const many = calculateSkills(Array.from({ length: 20 }, () => score()));
+    const unanalysed = calculateSkills(Array.from({ length: 20 }, () => score({ jump_ratio: null })));
+
+    expect(many.aim.confidence).toBeGreaterThan(few.aim.confidence);
+    expect(many.aim.samples).toBe(20);
+    expect(unanalysed.aim.confidence).toBeLessThan(many.aim.confidence);
+    expect(unanalysed.accuracy.confidence).toBe(many.accuracy.confidence);
+  });
+
+  it('keeps values on the 0-10 scale', () => {
+    const skills = calculateSkills([score({ difficulty_rating: 14, mods: 'DTHR' })]);
+
+    expect(Object.values(skills).every(skill => skill.value >= 0 && skill.value <= 10)).toBe(true);
+  });
+});
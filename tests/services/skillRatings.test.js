@@ -0,0 +1,129 @@
+jest.mock('../../config/db', () => ({
+  query: jest.fn(),
+  getRows: jest.fn(),
+  getRow: jest.fn()
+}));
+
+const db = require('../../config/db');
+const { SkillRatingService, percentileToRating, currentDeviation, updateRating } = require('../../services/skillRatings');
+const { answerQueries } = require('../helpers/db');
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('percentileToRating', () => {
+  it('puts the median at 1500 and a standard deviation at 200 points', () => {
+    expect(percentileToRating(0.5)).toBeCloseTo(1500, 6);
+    expect(percentileToRating(0.841344746)).toBeCloseTo(1700, 3);
+    expect(percentileToRating(0.158655254)).toBeCloseTo(1300, 3);
+  });
+
+  it('keeps the extremes finite', () => {
+    expect(percentileToRating(0)).toBeCloseTo(percentileToRating(0.01), 6);
+    expect(percentileToRating(1)).toBeCloseTo(3000 - percentileToRating(0), 6);
+  });
+});
+
+describe('currentDeviation', () => {
+  it('grows with time since the last update, up to the initial deviation', () => {
+    expect(currentDeviation(50, NOW, NOW)).toBe(50);
+    expect(currentDeviation(50, NOW - 4 * DAY, NOW)).toBeCloseTo(Math.sqrt(50 * 50 + 625 * 4), 6);
+    expect(currentDeviation(50, NOW - 365 * DAY, NOW)).toBe(350);
+  });
+
+  it('does not grow ratings that were never updated', () => {
+    expect(currentDeviation(80, null, NOW)).toBe(80);
+  });
+});
+
+describe('updateRating', () => {
+  it('moves a new player most of the way to the observed percentile', () => {
+    const { rating, deviation } = updateRating(null, 0.841344746, 1, NOW);
+
+    expect(rating).toBeGreaterThan(1650);
+    expect(rating).toBeLessThan(1700);
+    expect(deviation).toBeCloseTo(Math.sqrt((350 * 350 * 120 * 120) / (350 * 350 + 120 * 120)), 6);
+  });
+
+  it('moves settled ratings little, and less for low confidence', () => {
+    const settled = { rating: 1500, deviation: 40, updated_at: NOW };
+
+    const sure = updateRating(settled, 0.841344746, 1, NOW);
+    const unsure = updateRating(settled, 0.841344746, 0.1, NOW);
+
+    expect(sure.rating - 1500).toBeLessThan(40);
+    expect(unsure.rating - 1500).toBeLessThan(sure.rating - 1500);
+    expect(unsure.deviation).toBeGreaterThan(sure.deviation);
+  });
+
+  it('never lets the deviation drop below its floor', () => {
+    expect(updateRating({ rating: 1500, deviation: 30, updated_at: NOW }, 0.5, 1, NOW).deviation).toBe(30);
+  });
+});
+
+describe('SkillRatingService', () => {
+  const service = new SkillRatingService();
+  const skills = { aim: { value: 6.1, confidence: 0.9 }, speed: { value: 5.2, confidence: 0.6 } };
+
+  beforeEach(() => {
+    answerQueries(db, []);
+  });
+
+  describe('recordSkills', () => {
+    it('does nothing for players without a country in the mode', async () => {
+      await expect(service.recordSkills('Sahara_DZ', 'osu', skills, NOW, NOW)).resolves.toEqual({});
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('rates players from their country percentiles', async () => {
+      answerQueries(db, [
+        ['FROM player_mode_stats WHERE', { country: 'DZ' }],
+        ['FROM country_percentiles', [{ skill_type: 'aim', percentile: '0.9' }, { skill_type: 'speed', percentile: '0.5' }]],
+        ['FROM skill_ratings', []]
+      ]);
+
+      const ratings = await service.recordSkills('Sahara_DZ', 'osu', skills, NOW - DAY, NOW);
+
+      expect(ratings.aim).toEqual({ ...updateRating(null, 0.9, 0.9, NOW), percentile: 0.9 });
+      expect(ratings.speed.rating).toBeCloseTo(1500, 6);
+      expect(db.getRows.mock.calls[0][1]).toEqual(['DZ', 'osu', 'Sahara_DZ']);
+      expect(db.query).toHaveBeenCalledTimes(2);
+      expect(db.query.mock.calls[0][1]).toEqual(['Sahara_DZ', 'osu', 'aim', ratings.aim.rating, ratings.aim.deviation, '0.9', NOW - DAY, NOW, true]);
+    });
+
+    it('only refreshes the percentile when there are no new scores', async () => {
+      const previous = { skill_type: 'aim', rating: 1620, deviation: 60, last_score_date: String(NOW - DAY), updated_at: String(NOW - 2 * DAY) };
+      answerQueries(db, [
+        ['FROM player_mode_stats WHERE', { country: 'DZ' }],
+        ['FROM country_percentiles', { skill_type: 'aim', percentile: '0.95' }],
+        ['FROM skill_ratings', previous]
+      ]);
+
+      const ratings = await service.recordSkills('Sahara_DZ', 'osu', skills, NOW - DAY, NOW);
+
+      expect(ratings).toEqual({ aim: { rating: 1620, deviation: 60, percentile: 0.95 } });
+      expect(db.query.mock.calls[0][1].slice(3)).toEqual([1620, 60, '0.95', NOW - DAY, NOW, false]);
+    });
+  });
+
+  describe('getSkillLeaderboard', () => {
+    it('ranks after the cursor with the deviation grown to today', async () => {
+      answerQueries(db, [
+        ['ORDER BY sr.rating DESC NULLS LAST', [
+          { username: 'Kaze', skill_value: '6.2', confidence: '0.9', percentile: '0.975', rating: '1890.4', deviation: '50', updated_at: String(NOW), observations: 12 },
+          { username: 'Sahara_DZ', skill_value: '5.9', confidence: '0.8', percentile: '0.9', rating: '1755', deviation: '50', updated_at: String(NOW - 4 * DAY), observations: 7 }
+        ]],
+        ['COUNT(*) AS total', { total: '42' }]
+      ]);
+
+      const page = { limit: 2, cursor: { key: [1900, 'AtlasFC'], rank: 10, backward: false }, fingerprint: 'f' };
+      const { items, total, nextCursor } = await service.getSkillLeaderboard('DZ', 'osu', 'aim', page, NOW);
+
+      expect(total).toBe(42);
+      expect(db.getRows.mock.calls[0][1]).toEqual(['DZ', 'osu', 'aim', 1900, 'AtlasFC', 3]);
+      expect(nextCursor).toBeNull();
+      expect(items[0]).toMatchObject({ username: 'Kaze', skill_rank: 11, rating: 1890, uncertainty: 50, rating_interval: [1790, 1990], percentile: 97.5 });
+      expect(items[1]).toMatchObject({ skill_rank: 12, uncertainty: Math.round(Math.sqrt(50 * 50 + 625 * 4)) });
+    });
+  });
+});
@@ -0,0 +1,194 @@
+jest.mock('../../config/db', () => ({
+  query: jest.fn(),
+  getRows: jest.fn(),
+  getRow: jest.fn()
+}));
+
+const { query, getRows, getRow } = require('../../config/db');
+const { StatsService } = require('../../services/stats');
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+const today = '2026-10-19';
+
+describe('StatsService', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate'] });
+    query.mockReset().mockResolvedValue({ rows: [], rowCount: 1 });
+    getRows.mockReset().mockResolvedValue([]);
+    getRow.mockReset().mockResolvedValue(undefined);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    service = new StatsService();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('calculateDailyStats', () => {
+    it('stores the last day of scores for the country, parsing what pg returns as strings', async () => {
+      getRow
+        .mockResolvedValueOnce({ count: '12' })
+        .mockResolvedValueOnce({ count: '48' })
+        .mockResolvedValueOnce({ total: '10234.5' })
+        .mockResolvedValueOnce({ avg: '0.9612' })
+        .mockResolvedValueOnce({ max: '98211054' });
+
+      await expect(service.calculateDailyStats('MA')).resolves.toEqual({ success: true, date: today, country: 'MA' });
+
+      getRow.mock.calls.forEach(([, params]) => expect(params).toEqual([NOW - 24 * 60 * 60 * 1000, 'MA']));
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO daily_stats'),
+        [today, 12, 48, 10234.5, 0.9612, 98211054, 'MA']);
+    });
+
+    it('stores zeros for a day without scores', async () => {
+      getRow.mockResolvedValue({ count: '0', total: null, avg: null, max: null });
+
+      await service.calculateDailyStats();
+
+      expect(query.mock.calls[0][1]).toEqual([today, 0, 0, 0, 0, 0, 'DZ']);
+    });
+
+    it('rethrows database errors', async () => {
+      getRow.mockRejectedValue(new Error('relation "algeria_top50" does not exist'));
+
+      await expect(service.calculateDailyStats()).rejects.toThrow('does not exist');
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('date ranges', () => {
+    it('reads one day', async () => {
+      getRow.mockResolvedValue({ date: today, new_scores: 3 });
+
+      await expect(service.getDailyStats(today, 'DZ')).resolves.toEqual({ date: today, new_scores: 3 });
+      expect(getRow).toHaveBeenCalledWith(expect.stringContaining('FROM daily_stats'), [today, 'DZ']);
+    });
+
+    it('covers the last seven days for the weekly stats and the last month for the monthly ones', async () => {
+      await service.getWeeklyStats('DZ');
+      await service.getMonthlyStats('DZ');
+
+      expect(getRows.mock.calls[0][1]).toEqual(['2026-10-12', today, 'DZ']);
+      expect(getRows.mock.calls[1][1]).toEqual(['2026-09-19', today, 'DZ']);
+    });
+
+    it.each([
+      ['day', today],
+      ['week', '2026-10-12'],
+      ['month', '2026-09-19'],
+      ['all', '1970-01-01']
+    ])('aggregates the %s period from %s', async (period, from) => {
+      await service.getAggregatedStats(period, 'DZ');
+
+      expect(getRow).toHaveBeenCalledWith(expect.stringContaining('WHERE date >= $1 AND country = $2'), [from, 'DZ']);
+    });
+
+    it('falls back to empty results when the database fails', async () => {
+      getRow.mockRejectedValue(new Error('timeout'));
+      getRows.mockRejectedValue(new Error('timeout'));
+
+      await expect(service.getDailyStats(today)).resolves.toBeNull();
+      await expect(service.getDailyStatsRange('2026-10-01', today)).resolves.toEqual([]);
+      await expect(service.getWeeklyStats()).resolves.toEqual([]);
+      await expect(service.getAggregatedStats()).resolves.toBeNull();
+      await expect(service.getPlayerActivityTrends()).resolves.toEqual([]);
+    });
+  });
+
+  describe('getTopPerformingDays', () => {
+    it('orders by the requested metric', async () => {
+      await service.getTopPerformingDays('active_players', 5, 'MA');
+
+      const [sql, params] = getRows.mock.calls[0];
+      expect(sql).toContain('ORDER BY active_players DESC');
+      expect(params).toEqual([5, 'MA']);
+    });
+
+    it('only interpolates known metrics', async () => {
+      await service.getTopPerformingDays('new_scores; DROP TABLE daily_stats', 5);
+
+      const [sql] = getRows.mock.calls[0];
+      expect(sql).toContain('ORDER BY new_scores DESC');
+      expect(sql).not.toContain('DROP TABLE');
+    });
+  });
+
+  describe('getOverallStats', () => {
+    it('combines the totals with the country breakdowns', async () => {
+      getRow
+        .mockResolvedValueOnce({ total_players: '3', total_scores: '7', total_beatmaps: '2', highest_score: '98211054' })
+        .mockResolvedValueOnce({ active_24h: '4' });
+      getRows
+        .mockResolvedValueOnce([{ username: 'Sahara_DZ', weighted_pp: 1157.5, first_places: 2 }])
+        .mockResolvedValueOnce([{ mods: 'HD', usage_count: '3' }])
+        .mockResolvedValueOnce([{ difficulty_range: 5, score_count: '2' }]);
+
+      await expect(service.getOverallStats('DZ')).resolves.toEqual({
+        totalStats: { total_players: '3', total_scores: '7', total_beatmaps: '2', highest_score: '98211054', active24h: 4 },
+        topPerformers: [{ username: 'Sahara_DZ', weighted_pp: 1157.5, first_places: 2 }],
+        modUsage: [{ mods: 'HD', usage_count: '3' }],
+        difficultyDistribution: [{ difficulty_range: 5, score_count: '2' }]
+      });
+      getRows.mock.calls.forEach(([, params]) => expect(params).toEqual(['DZ']));
+    });
+
+    it('returns null when any query fails', async () => {
+      getRow.mockRejectedValue(new Error('timeout'));
+
+      await expect(service.getOverallStats()).resolves.toBeNull();
+    });
+  });
+
+  describe('getPlayerGrowthStats', () => {
+    it('reports weekly growth and the active player count', async () => {
+      getRows.mockResolvedValue([{ week: '2026-10-12', total_new_players: '5' }]);
+      getRow.mockResolvedValue({ total: '42' });
+
+      await expect(service.getPlayerGrowthStats('DZ')).resolves.toEqual({
+        weeklyGrowth: [{ week: '2026-10-12', total_new_players: '5' }],
+        totalActivePlayers: 42
+      });
+    });
+
+    it('reports no growth when the query fails', async () => {
+      getRows.mockRejectedValue(new Error('column "new_players" does not exist'));
+
+      await expect(service.getPlayerGrowthStats()).resolves.toEqual({ weeklyGrowth: [], totalActivePlayers: 0 });
+    });
+  });
+
+  describe('cleanupOldStats', () => {
+    it('deletes days older than the retention and returns how many went', async () => {
+      query.mockResolvedValue({ rowCount: 14 });
+
+      await expect(service.cleanupOldStats(30)).resolves.toBe(14);
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('DELETE FROM daily_stats'), ['2026-09-19']);
+    });
+
+    it('returns 0 when the delete fails', async () => {
+      query.mockRejectedValue(new Error('timeout'));
+
+      await expect(service.cleanupOldStats()).resolves.toBe(0);
+    });
+  });
+
+  describe('exportStatsToCSV', () => {
+    it('writes a header and one line per day, keeping zeros', async () => {
+      getRows.mockResolvedValue([
+        { date: '2026-10-18', active_players: 12, new_scores: 48, total_pp_gained: 10234.5, average_accuracy: 0.9612, top_score: '98211054' },
+        { date: '2026-10-19', active_players: 0, new_scores: 0, total_pp_gained: 0, average_accuracy: null, top_score: '0' }
+      ]);
+
+      await expect(service.exportStatsToCSV('2026-10-18', today, 'DZ')).resolves.toBe([
+        'date,active_players,new_scores,total_pp_gained,average_accuracy,top_score',
+        '2026-10-18,12,48,10234.5,0.9612,98211054',
+        '2026-10-19,0,0,0,,0'
+      ].join('\n'));
+      expect(getRows).toHaveBeenCalledWith(expect.any(String), ['2026-10-18', today, 'DZ']);
+    });
+  });
+});
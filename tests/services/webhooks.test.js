@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const http = require('http');
+
+jest.mock('../../config/db', () => ({
+  query: jest.fn(),
+  getRows: jest.fn(),
+  getRow: jest.fn()
+}));
+
+const { query, getRows, getRow } = require('../../config/db');
+const { WebhookService, signPayload } = require('../../services/webhooks');
+
+// Local stand-in for a subscriber endpoint
+function startSubscriberStandIn() {
+  const standIn = { requests: [], responses: [] };
+
+  standIn.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      standIn.requests.push({ headers: req.headers, body });
+      const { status = 200, data = 'ok' } = standIn.responses.shift() || {};
+      res.writeHead(status, { 'Content-Type': 'text/plain' });
+      res.end(data);
+    });
+  });
+
+  return new Promise(resolve => {
+    standIn.server.listen(0, '127.0.0.1', () => {
+      standIn.url = `http://127.0.0.1:${standIn.server.address().port}/hooks`;
+      resolve(standIn);
+    });
+  });
+}
+
+describe('signPayload', () => {
+  it('signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+    const expected = crypto.createHmac('sha256', 'shh').update('1760875200.{"a":1}').digest('hex');
+
+    expect(signPayload('shh', 1760875200, '{"a":1}')).toBe(`sha256=${expected}`);
+  });
+});
+
+describe('WebhookService', () => {
+  let standIn;
+  let service;
+
+  const delivery = (overrides = {}) => ({
+    id: 31,
+    subscription_id: 4,
+    event_type: 'new_scores',
+    payload: { event: 'new_scores', timestamp: 1760875200000, data: { count: 3 } },
+    attempts: 0,
+    url: standIn.url,
+    secret: 'subscriber-secret',
+    is_active: true,
+    ...overrides
+  });
+
+  const lastUpdateParams = () => query.mock.calls[query.mock.calls.length - 1][1];
+
+  beforeAll(async () => {
+    standIn = await startSubscriberStandIn();
+  });
+
+  afterAll(() => new Promise(resolve => standIn.server.close(resolve)));
+
+  beforeEach(() => {
+    standIn.requests = [];
+    standIn.responses = [];
+    query.mockReset().mockResolvedValue({ rows: [], rowCount: 1 });
+    getRows.mockReset().mockResolvedValue([]);
+    getRow.mockReset().mockResolvedValue(undefined);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    service = new WebhookService({ maxAttempts: 3, retryBaseMs: 1000, timeout: 2000 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('subscriptions', () => {
+    it('generates a secret for new subscriptions and only returns it then', async () => {
+      await service.createSubscription({ url: standIn.url, events: ['new_scores'] }, 'admin');
+
+      const [sql, params] = getRow.mock.calls[0];
+      expect(sql).toContain('RETURNING id, url, events, description, is_active, created_by, created_at, updated_at, secret');
+      expect(params[1]).toMatch(/^[0-9a-f]{64}$/);
+      expect(params).toEqual([standIn.url, params[1], ['new_scores'], null, 'admin']);
+    });
+
+    it('rotates the secret only on request', async () => {
+      await service.updateSubscription(4, { isActive: false });
+      await service.updateSubscription(4, { rotateSecret: true });
+
+      const [[keptSql, keptParams], [rotatedSql, rotatedParams]] = getRow.mock.calls;
+      expect(keptSql).not.toContain('updated_at, secret');
+      expect(keptParams[5]).toBeNull();
+      expect(keptParams[4]).toBe(false);
+      expect(rotatedSql).toContain('updated_at, secret');
+      expect(rotatedParams[5]).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    it('reports whether a deleted subscription existed', async () => {
+      query.mockResolvedValueOnce({ rowCount: 0 });
+
+      await expect(service.deleteSubscription(99)).resolves.toBe(false);
+      await expect(service.deleteSubscription(4)).resolves.toBe(true);
+    });
+  });
+
+  describe('dispatch', () => {
+    it('queues subscribed events with their payload and starts delivering', async () => {
+      jest.spyOn(service, 'processDeliveries').mockResolvedValue({});
+      query.mockResolvedValue({ rowCount: 2 });
+
+      await expect(service.dispatch({ type: 'new_achievements', username: 'Sahara_DZ' })).resolves.toBe(2);
+
+      const [sql, [type, payload]] = query.mock.calls[0];
+      expect(sql).toContain('INSERT INTO webhook_deliveries');
+      expect(type).toBe('new_achievements');
+      expect(JSON.parse(payload)).toEqual({ event: 'new_achievements', timestamp: expect.any(Number), data: { username: 'Sahara_DZ' } });
+      expect(service.processDeliveries).toHaveBeenCalled();
+    });
+
+    it('ignores messages that are not webhook events', async () => {
+      await expect(service.dispatch({ type: 'heartbeat' })).resolves.toBe(0);
+      await expect(service.dispatch(null)).resolves.toBe(0);
+
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('does not start delivering when nobody subscribed', async () => {
+      jest.spyOn(service, 'processDeliveries');
+      query.mockResolvedValue({ rowCount: 0 });
+
+      await service.dispatch({ type: 'scan_complete' });
+
+      expect(service.processDeliveries).not.toHaveBeenCalled();
+    });
+  });
+
+  it('redelivers as a new delivery pointing at the original', async () => {
+    await service.redeliver(31);
+
+    expect(getRow).toHaveBeenCalledWith(expect.stringContaining('redelivery_of'), [31]);
+  });
+
+  describe('processDeliveries', () => {
+    it('posts signed deliveries and marks them delivered', async () => {
+      getRows.mockResolvedValue([delivery()]);
+
+      await expect(service.processDeliveries()).resolves.toEqual({ delivered: 1, failed: 0, retried: 0 });
+
+      const [{ headers, body }] = standIn.requests;
+      expect(JSON.parse(body)).toEqual({ id: 31, event: 'new_scores', timestamp: 1760875200000, data: { count: 3 } });
+      expect(headers['x-webhook-event']).toBe('new_scores');
+      expect(headers['x-webhook-delivery']).toBe('31');
+      expect(headers['x-webhook-signature'])
+        .toBe(signPayload('subscriber-secret', headers['x-webhook-timestamp'], body));
+      expect(query.mock.calls[0][0]).toContain("status = 'delivered'");
+      expect(lastUpdateParams().slice(0, 4)).toEqual([31, 1, 200, 'ok']);
+    });
+
+    it('retries failed responses with exponential backoff', async () => {
+      getRows.mockResolvedValue([delivery({ attempts: 1 })]);
+      standIn.responses.push({ status: 503, data: 'busy' });
+
+      const before = Date.now();
+      await expect(service.processDeliveries()).resolves.toEqual({ delivered: 0, failed: 0, retried: 1 });
+
+      const [id, status, attempts, responseStatus, responseBody, error, nextAttemptAt] = lastUpdateParams();
+      expect([id, status, attempts, responseStatus, responseBody, error])
+        .toEqual([31, 'pending', 2, 503, 'busy', 'Endpoint responded with 503']);
+      expect(nextAttemptAt).toBeGreaterThanOrEqual(before + 2000);
+    });
+
+    it('gives up after the last attempt', async () => {
+      getRows.mockResolvedValue([delivery({ attempts: 2 })]);
+      standIn.responses.push({ status: 500 });
+
+      await expect(service.processDeliveries()).resolves.toEqual({ delivered: 0, failed: 1, retried: 0 });
+      expect(lastUpdateParams()[1]).toBe('failed');
+    });
+
+    it('records unreachable endpoints as errors', async () => {
+      getRows.mockResolvedValue([delivery({ url: 'http://127.0.0.1:1/hooks' })]);
+
+      await expect(service.processDeliveries()).resolves.toEqual({ delivered: 0, failed: 0, retried: 1 });
+      expect(lastUpdateParams()[5]).toContain('ECONNREFUSED');
+    });
+
+    it('fails deliveries of disabled subscriptions without sending them', async () => {
+      getRows.mockResolvedValue([delivery({ is_active: false })]);
+
+      await expect(service.processDeliveries()).resolves.toEqual({ delivered: 0, failed: 1, retried: 0 });
+      expect(standIn.requests).toHaveLength(0);
+      expect(lastUpdateParams()[5]).toBe('Subscription is disabled');
+    });
+
+    it('runs one batch at a time', async () => {
+      service.processing = true;
+
+      await expect(service.processDeliveries()).resolves.toEqual({ delivered: 0, failed: 0, retried: 0 });
+      expect(getRows).not.toHaveBeenCalled();
+    });
+  });
+
+  it('caps the retry delay at six hours', () => {
+    expect(service.getRetryDelay(1)).toBe(1000);
+    expect(service.getRetryDelay(4)).toBe(8000);
+    expect(service.getRetryDelay(40)).toBe(6 * 60 * 60 * 1000);
+  });
+});